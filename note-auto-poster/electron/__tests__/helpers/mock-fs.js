@@ -0,0 +1,25 @@
+// サービスのテストで deps.fs に渡すメモリ上のファイルシステム
+import { vi } from 'vitest';
+import path from 'path';
+
+/**
+ * @param {Object<string, string>} [initial] - フルパス → 内容
+ * @returns {object} files（中身）と、fs の同期 API のモック
+ */
+export function createMockFs(initial = {}) {
+  const files = { ...initial };
+  return {
+    files,
+    // ファイルを1つでも含むディレクトリも存在する扱い
+    existsSync: vi.fn((p) => p in files || Object.keys(files).some((f) => f.startsWith(p + path.sep))),
+    readFileSync: vi.fn((p) => {
+      if (!(p in files)) throw new Error(`ENOENT: ${p}`);
+      return files[p];
+    }),
+    writeFileSync: vi.fn((p, data) => { files[p] = data; }),
+    mkdirSync: vi.fn(),
+    readdirSync: vi.fn((dir) => Object.keys(files)
+      .filter((f) => path.dirname(f) === dir)
+      .map((f) => path.basename(f))),
+  };
+}
@@ -0,0 +1,201 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const schedulerModule = await import('../scheduler.js');
+const { Scheduler, _internal } = schedulerModule;
+const { parseTime, toCronExpression, getNextRun, getLastScheduledRun, isMissed } = _internal;
+
+// In-memory fs for the state file
+function createMockFs(initial = {}) {
+  const files = { ...initial };
+  return {
+    files,
+    existsSync: vi.fn((p) => p in files || Object.keys(files).some((f) => f.startsWith(p))),
+    readFileSync: vi.fn((p) => files[p]),
+    writeFileSync: vi.fn((p, data) => { files[p] = data; }),
+    mkdirSync: vi.fn(),
+  };
+}
+
+function createMockCron() {
+  const scheduled = [];
+  return {
+    scheduled,
+    schedule: vi.fn((expression, fn) => {
+      const task = { expression, fn, stop: vi.fn() };
+      scheduled.push(task);
+      return task;
+    }),
+  };
+}
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+describe('scheduler time helpers', () => {
+  it('parseTime は HH:MM を解釈し、不正値は null', () => {
+    expect(parseTime('02:00')).toEqual({ hour: 2, minute: 0 });
+    expect(parseTime('23:59')).toEqual({ hour: 23, minute: 59 });
+    expect(parseTime('24:00')).toBeNull();
+    expect(parseTime('')).toBeNull();
+    expect(parseTime(undefined)).toBeNull();
+  });
+
+  it('toCronExpression は毎日の cron 式を返す', () => {
+    expect(toCronExpression('02:30')).toBe('30 2 * * *');
+    expect(toCronExpression('bad')).toBeNull();
+  });
+
+  it('getNextRun は当日の時刻を過ぎていれば翌日を返す', () => {
+    const now = new Date(2026, 1, 20, 10, 0);
+    expect(getNextRun('12:00', now)).toEqual(new Date(2026, 1, 20, 12, 0));
+    expect(getNextRun('02:00', now)).toEqual(new Date(2026, 1, 21, 2, 0));
+  });
+
+  it('getLastScheduledRun は直近の予定時刻を返す', () => {
+    const now = new Date(2026, 1, 20, 10, 0);
+    expect(getLastScheduledRun('02:00', now)).toEqual(new Date(2026, 1, 20, 2, 0));
+    expect(getLastScheduledRun('12:00', now)).toEqual(new Date(2026, 1, 19, 12, 0));
+  });
+
+  it('isMissed は前回実行より後に予定時刻があれば true', () => {
+    const now = new Date(2026, 1, 20, 10, 0);
+    const since = new Date(2026, 1, 1).toISOString();
+    expect(isMissed('02:00', new Date(2026, 1, 19, 2, 0).toISOString(), since, now)).toBe(true);
+    expect(isMissed('02:00', new Date(2026, 1, 20, 2, 0).toISOString(), since, now)).toBe(false);
+  });
+
+  it('isMissed は記録開始前の予定をキャッチアップしない', () => {
+    const now = new Date(2026, 1, 20, 10, 0);
+    const since = new Date(2026, 1, 20, 9, 0).toISOString();
+    expect(isMissed('02:00', null, since, now)).toBe(false);
+  });
+});
+
+describe('Scheduler', () => {
+  let cron;
+  let fs;
+  let now;
+  let config;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    cron = createMockCron();
+    fs = createMockFs();
+    now = new Date(2026, 1, 20, 10, 0);
+    config = {
+      getActiveAccounts: vi.fn(async () => [
+        { id: 'tokken', schedule: { batch_generation_time: '02:00', auto_post_time: '12:00' } },
+      ]),
+    };
+    schedulerModule._setDepsForTesting({ cron, fs, config, logger: mockLogger, now: () => now });
+  });
+
+  it('有効なアカウントごとに生成・投稿ジョブを登録する', async () => {
+    const s = new Scheduler();
+    s.setRunner('generate', vi.fn());
+    s.setRunner('post', vi.fn());
+    await s.start();
+    expect(cron.schedule).toHaveBeenCalledWith('0 2 * * *', expect.any(Function));
+    expect(cron.schedule).toHaveBeenCalledWith('0 12 * * *', expect.any(Function));
+    const status = s.getStatus();
+    expect(status.jobs).toHaveLength(2);
+    expect(status.next.job).toBe('post');
+  });
+
+  it('reload で既存タスクを停止して登録し直す', async () => {
+    const s = new Scheduler();
+    s.setRunner('generate', vi.fn());
+    s.setRunner('post', vi.fn());
+    await s.start();
+    const first = [...cron.scheduled];
+    await s.reload();
+    first.forEach((t) => expect(t.stop).toHaveBeenCalled());
+    expect(cron.scheduled).toHaveLength(4);
+  });
+
+  it('cron 発火時に登録済みランナーを実行し、結果を記録する', async () => {
+    const s = new Scheduler();
+    const generate = vi.fn(async () => ({ generated: 3, errors: 0, results: [] }));
+    s.setRunner('generate', generate);
+    await s.start();
+
+    const task = cron.scheduled.find((t) => t.expression === '0 2 * * *');
+    task.fn();
+    await vi.waitFor(() => expect(s.getStatus().last).not.toBeNull());
+
+    expect(generate).toHaveBeenCalledWith('tokken');
+    const last = s.getStatus().last;
+    expect(last.lastResult.status).toBe('success');
+    expect(last.lastResult.summary).toContain('3件生成');
+  });
+
+  it('Message Batch の送信とアウトライン作成は生成件数ではなくそれぞれの結果を記録する', async () => {
+    const s = new Scheduler();
+    const generate = vi.fn(async () => ({ batchId: 'msgbatch_01', submitted: 4, generated: 0, errors: 0, results: [] }));
+    s.setRunner('generate', generate);
+    await s.start();
+    const task = cron.scheduled.find((t) => t.expression === '0 2 * * *');
+
+    task.fn();
+    await vi.waitFor(() => expect(s.getStatus().last).not.toBeNull());
+    expect(s.getStatus().last.lastResult.summary).toBe('バッチ送信済み（4件）');
+
+    generate.mockResolvedValueOnce({ outlined: 2, generated: 0, errors: 1, results: [] });
+    task.fn();
+    await vi.waitFor(() => expect(s.getStatus().last.lastResult.summary).toBe('アウトライン 2 件（エラー: 1件）'));
+  });
+
+  it('ランナーの例外は error として記録される', async () => {
+    const s = new Scheduler();
+    s.setRunner('post', vi.fn(async () => { throw new Error('ログイン失敗'); }));
+    await s.start();
+    const result = await s.runJob('tokken', 'post');
+    expect(result.status).toBe('error');
+    expect(result.summary).toBe('ログイン失敗');
+  });
+
+  it('ランナー未登録のジョブは cron に登録せず、手動実行は skipped になる', async () => {
+    const s = new Scheduler();
+    s.setRunner('generate', vi.fn());
+    await s.start();
+    expect(cron.scheduled.map((t) => t.expression)).toEqual(['0 2 * * *']);
+    const result = await s.runJob('tokken', 'post');
+    expect(result.status).toBe('skipped');
+
+    // 起動後に登録したランナーもジョブになる
+    s.setRunner('post', vi.fn());
+    await vi.waitFor(() => expect(s.getStatus().jobs).toHaveLength(2));
+  });
+
+  it('アカウントIDに : が含まれていてもジョブを取り違えない', async () => {
+    config.getActiveAccounts.mockResolvedValue([{ id: 'team:tokken', schedule: { batch_generation_time: '02:00' } }]);
+    const s = new Scheduler();
+    s.setRunner('generate', vi.fn(async () => ({ generated: 1, errors: 0 })));
+    await s.start();
+    expect(s.getStatus().jobs).toEqual([expect.objectContaining({ accountId: 'team:tokken', job: 'generate', label: 'バッチ生成' })]);
+  });
+
+  it('起動時に取りこぼした実行をキャッチアップする', async () => {
+    // 初回起動で状態ファイルのパスを確定させてから中身を差し替える
+    new Scheduler()._loadState();
+    const statePath = Object.keys(fs.files)[0];
+    fs.files[statePath] = JSON.stringify({
+      since: new Date(2026, 1, 1).toISOString(),
+      runs: {
+        'tokken:generate': { lastRunAt: new Date(2026, 1, 19, 2, 0).toISOString() },
+        'tokken:post': { lastRunAt: new Date(2026, 1, 19, 12, 0).toISOString() },
+      },
+    });
+
+    const s = new Scheduler();
+    const generate = vi.fn(async () => ({ generated: 1, errors: 0 }));
+    const post = vi.fn(async () => ({ posted: 1, errors: 0 }));
+    s.setRunner('generate', generate);
+    s.setRunner('post', post);
+    await s.start();
+
+    // 02:00 は取りこぼし、12:00 はまだ来ていない
+    expect(generate).toHaveBeenCalledTimes(1);
+    expect(post).not.toHaveBeenCalled();
+  });
+});
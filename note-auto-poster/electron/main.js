@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, powerMonitor } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const logger = require('./utils/logger');
@@ -143,6 +143,13 @@ ipcMain.handle('accounts:set', async (_, id, data) => {
   } catch (e) {
     throw new Error(e.message);
   }
+  // スケジュール時刻・有効状態の変更を反映
+  try {
+    const { scheduler } = require('./scheduler');
+    if (scheduler.started) await scheduler.reload();
+  } catch (e) {
+    logger.error('scheduler:reload', e.message);
+  }
 });
 
 // Topic handlers
@@ -199,11 +206,17 @@ ipcMain.handle('topics:cache', async (_, accountId) => {
 });
 
 // Generator handlers
-ipcMain.handle('generator:run', async (_, accountId) => {
+// Streamed partial text of the article being written goes to the renderer as generator:progress
+function sendGeneratorProgress(payload) {
+  const win = BrowserWindow.getAllWindows()[0];
+  if (win) win.webContents.send('generator:progress', payload);
+}
+
+ipcMain.handle('generator:run', async (_, accountId, options = {}) => {
   try {
     const { Generator } = require('./services/generator');
     const gen = new Generator();
-    return await gen.run(accountId);
+    return await gen.run(accountId, { onProgress: sendGeneratorProgress, resumeRunId: options.resumeRunId });
   } catch (e) {
     logger.error('generator:run', e.message);
     return { error: e.message };
@@ -214,16 +227,136 @@ ipcMain.handle('generator:runSingle', async (_, accountId, topicId, regenerateIn
   try {
     const { Generator } = require('./services/generator');
     const gen = new Generator();
-    return await gen.runSingle(accountId, topicId, regenerateInstructions);
+    return await gen.runSingle(accountId, topicId, regenerateInstructions, { onProgress: sendGeneratorProgress });
   } catch (e) {
     logger.error('generator:runSingle', e.message);
     return { error: e.message };
   }
 });
 
+ipcMain.handle('generator:cancel', async (_, accountId) => {
+  try {
+    const { cancel } = require('./services/generator');
+    return { success: true, cancelled: cancel(accountId) };
+  } catch (e) {
+    logger.error('generator:cancel', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
 ipcMain.handle('generator:getSystemPrompt', async () => {
-  const { SYSTEM_PROMPT } = require('./services/generator');
-  return SYSTEM_PROMPT;
+  const systemPrompt = require('./services/system-prompt');
+  return systemPrompt.getActive().text;
+});
+
+// Base system prompt versions (Settings editor): save, restore, notes and diffs
+ipcMain.handle('systemPrompt:get', async () => {
+  try {
+    const systemPrompt = require('./services/system-prompt');
+    return { active: systemPrompt.getActive(), versions: systemPrompt.listVersions() };
+  } catch (e) {
+    logger.error('systemPrompt:get', e.message);
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('systemPrompt:getVersion', async (_, version) => {
+  try {
+    const systemPrompt = require('./services/system-prompt');
+    return { version: systemPrompt.getVersion(version) };
+  } catch (e) {
+    logger.error('systemPrompt:getVersion', e.message);
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('systemPrompt:save', async (_, text, note) => {
+  try {
+    const systemPrompt = require('./services/system-prompt');
+    return { success: true, version: systemPrompt.saveVersion(text, note) };
+  } catch (e) {
+    logger.error('systemPrompt:save', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('systemPrompt:restore', async (_, version) => {
+  try {
+    const systemPrompt = require('./services/system-prompt');
+    return { success: true, version: systemPrompt.restoreVersion(version) };
+  } catch (e) {
+    logger.error('systemPrompt:restore', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('systemPrompt:updateNote', async (_, version, note) => {
+  try {
+    const systemPrompt = require('./services/system-prompt');
+    return { success: true, version: systemPrompt.updateNote(version, note) };
+  } catch (e) {
+    logger.error('systemPrompt:updateNote', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('systemPrompt:diff', async (_, from, to) => {
+  try {
+    const systemPrompt = require('./services/system-prompt');
+    return systemPrompt.diffVersions(from, to);
+  } catch (e) {
+    logger.error('systemPrompt:diff', e.message);
+    return { error: e.message };
+  }
+});
+
+// Pillar prompt templates (Settings editor)
+async function findPillar(accountId, pillarId) {
+  const config = require('./utils/config');
+  const account = await config.getAccount(accountId);
+  const pillar = (account?.pillars || []).find((p) => p.id === pillarId);
+  if (!pillar) throw new Error(`柱 ${pillarId} が見つかりません`);
+  return pillar;
+}
+
+ipcMain.handle('prompts:load', async (_, accountId, pillarId) => {
+  try {
+    const promptTemplates = require('./services/prompt-templates');
+    const pillar = await findPillar(accountId, pillarId);
+    let loaded;
+    try {
+      loaded = promptTemplates.loadTemplate(pillar);
+    } catch (e) {
+      // prompt_file を指定したがまだ無い: 空のテンプレートから書き始める
+      loaded = { file: pillar.prompt_file, text: '', source: 'missing', error: e.message };
+    }
+    return { ...loaded, variables: promptTemplates.VARIABLES };
+  } catch (e) {
+    logger.error('prompts:load', e.message);
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('prompts:save', async (_, accountId, pillarId, text) => {
+  try {
+    const promptTemplates = require('./services/prompt-templates');
+    const pillar = await findPillar(accountId, pillarId);
+    const saved = promptTemplates.saveTemplate(pillar, text);
+    return { success: true, file: saved.file };
+  } catch (e) {
+    logger.error('prompts:save', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('prompts:preview', async (_, accountId, topicId, options) => {
+  try {
+    const { Generator } = require('./services/generator');
+    return await new Generator().previewPrompt(accountId, topicId, options);
+  } catch (e) {
+    logger.error('prompts:preview', e.message);
+    return { error: e.message };
+  }
 });
 
 ipcMain.handle('generator:status', async (_, batchId) => {
@@ -236,6 +369,120 @@ ipcMain.handle('generator:status', async (_, batchId) => {
   }
 });
 
+// Message Batches still waiting for results (the inbox resumes polling them after a restart)
+ipcMain.handle('generator:openBatches', async (_, accountId) => {
+  try {
+    const { Generator } = require('./services/generator');
+    return new Generator().listOpenBatches(accountId).map((b) => ({
+      batchId: b.batch_id, topics: b.topics.length, requestCounts: b.request_counts, createdAt: b.created_at,
+    }));
+  } catch (e) {
+    logger.error('generator:openBatches', e.message);
+    return [];
+  }
+});
+
+// Outline-first generation: review the outline of a topic in the Inbox, then expand it into the article
+function sendOutlinesUpdated(accountId, outlineId) {
+  const win = BrowserWindow.getAllWindows()[0];
+  if (win) win.webContents.send('generator:outlinesUpdated', accountId, outlineId);
+}
+
+ipcMain.handle('outlines:get', async (_, accountId, topicId) => {
+  try {
+    const { Generator } = require('./services/generator');
+    return new Generator().getOutlineForTopic(accountId, topicId);
+  } catch (e) {
+    logger.error('outlines:get', e.message);
+    return null;
+  }
+});
+
+ipcMain.handle('outlines:save', async (_, id, outline) => {
+  try {
+    const { Generator } = require('./services/generator');
+    return { success: true, outline: new Generator().saveOutline(id, outline) };
+  } catch (e) {
+    logger.error('outlines:save', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('outlines:approve', async (_, id, outline) => {
+  try {
+    const { Generator } = require('./services/generator');
+    return await new Generator().approveOutline(id, { outline, onProgress: sendGeneratorProgress });
+  } catch (e) {
+    logger.error('outlines:approve', e.message);
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('outlines:reject', async (_, id) => {
+  try {
+    const { Generator } = require('./services/generator');
+    return await new Generator().rejectOutline(id);
+  } catch (e) {
+    logger.error('outlines:reject', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+// Series: plan a multi-part series from one seed theme and add each part as its own topic row
+ipcMain.handle('series:plan', async (_, accountId, request) => {
+  try {
+    const series = require('./services/series');
+    return { plan: await series.planSeries(accountId, request || {}) };
+  } catch (e) {
+    logger.error('series:plan', e.message);
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('series:create', async (_, accountId, plan, topicFields) => {
+  try {
+    const series = require('./services/series');
+    return { success: true, series: await series.createSeries(accountId, plan, topicFields || {}) };
+  } catch (e) {
+    logger.error('series:create', e.message);
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('series:list', async (_, accountId) => {
+  try {
+    const series = require('./services/series');
+    return series.listSeries(accountId);
+  } catch (e) {
+    logger.error('series:list', e.message);
+    return [];
+  }
+});
+
+ipcMain.handle('series:remove', async (_, seriesId) => {
+  try {
+    const series = require('./services/series');
+    series.removeSeries(seriesId);
+    return { success: true };
+  } catch (e) {
+    logger.error('series:remove', e.message);
+    return { error: e.message };
+  }
+});
+
+// Streamed batch runs cut short by a crash (the inbox offers to resume them)
+ipcMain.handle('generator:interruptedRuns', async (_, accountId) => {
+  try {
+    const { Generator } = require('./services/generator');
+    return new Generator().listInterruptedRuns(accountId).map((r) => ({
+      runId: r.id, total: r.progress.topicIds.length, done: r.progress.results.length, startedAt: r.started_at,
+    }));
+  } catch (e) {
+    logger.error('generator:interruptedRuns', e.message);
+    return [];
+  }
+});
+
 // Article handlers — read .md files from userData/data/accounts/{id}/articles/
 function getArticlesDir(accountId) {
   try {
@@ -247,21 +494,33 @@ function getArticlesDir(accountId) {
 
 ipcMain.handle('articles:list', async (_, accountId) => {
   try {
+    const frontmatter = require('./utils/frontmatter');
     const dir = getArticlesDir(accountId);
     if (!fs.existsSync(dir)) return [];
     const files = fs.readdirSync(dir).filter((f) => f.endsWith('.md')).sort().reverse();
-    return files.map((f) => {
+    const entries = [];
+    const list = files.map((f) => {
       const content = fs.readFileSync(path.join(dir, f), 'utf-8');
-      const lines = content.split('\n');
-      const title = (lines[0] || '').replace(/^#+\s*/, '').trim() || f;
+      const { metadata, body } = frontmatter.parse(content);
+      const title = frontmatter.extractTitle(body) || f;
+      const created_at = fs.statSync(path.join(dir, f)).birthtime.toISOString();
+      entries.push({ filename: f, metadata, body, created_at });
       return {
         id: f.replace('.md', ''),
         title,
         filename: f,
-        status: 'generated',
-        created_at: fs.statSync(path.join(dir, f)).birthtime.toISOString(),
+        ...frontmatter.articleFields(metadata),
+        created_at,
       };
     });
+
+    // Keep the SQLite article index in step with the files on disk
+    try {
+      require('./utils/db').syncArticles(accountId, entries);
+    } catch (e) {
+      logger.error('articles:list', 'Index sync failed (non-blocking): ' + e.message);
+    }
+    return list;
   } catch (e) {
     logger.error('articles:list', e.message);
     return [];
@@ -270,19 +529,19 @@ ipcMain.handle('articles:list', async (_, accountId) => {
 
 ipcMain.handle('articles:get', async (_, accountId, articleId) => {
   try {
+    const frontmatter = require('./utils/frontmatter');
     const dir = getArticlesDir(accountId);
     const filename = articleId.endsWith('.md') ? articleId : `${articleId}.md`;
     const filePath = path.join(dir, filename);
     if (!fs.existsSync(filePath)) return null;
     const content = fs.readFileSync(filePath, 'utf-8');
-    const lines = content.split('\n');
-    const title = (lines[0] || '').replace(/^#+\s*/, '').trim();
+    const { metadata, body } = frontmatter.parse(content);
     return {
       id: articleId,
-      title,
-      body: content,
+      title: frontmatter.extractTitle(body),
+      body,
       filename,
-      status: 'generated',
+      ...frontmatter.articleFields(metadata),
       created_at: fs.statSync(filePath).birthtime.toISOString(),
     };
   } catch (e) {
@@ -292,16 +551,66 @@ ipcMain.handle('articles:get', async (_, accountId, articleId) => {
 
 ipcMain.handle('articles:update', async (_, accountId, article) => {
   try {
+    const frontmatter = require('./utils/frontmatter');
     const dir = getArticlesDir(accountId);
     const filename = article.filename || (article.id.endsWith('.md') ? article.id : `${article.id}.md`);
     const filePath = path.join(dir, filename);
     if (!fs.existsSync(filePath)) return { error: '記事ファイルが見つかりません' };
-    fs.writeFileSync(filePath, article.body || article.content || '', 'utf-8');
+
+    // Keep the existing frontmatter; the renderer only edits the body
+    const existing = frontmatter.parse(fs.readFileSync(filePath, 'utf-8'));
+    const incoming = frontmatter.parse(article.body || article.content || '');
+    const metadata = { ...existing.metadata, ...incoming.metadata };
+    if (article.status) metadata.status = article.status;
+    if (Array.isArray(article.tags)) metadata.tags = article.tags.map((t) => String(t).trim()).filter(Boolean);
+    // A title picked in the title workshop is kept in the frontmatter; follow later edits of the H1
+    if (metadata.title !== undefined) metadata.title = frontmatter.extractTitle(incoming.body) || metadata.title;
+
+    // Articles that leak hidden private info cannot be approved
+    const privacyChecker = require('./services/privacy-checker');
+    const config = require('./utils/config');
+    let privacy;
+    if (article.status === 'reviewed') {
+      try {
+        privacy = await privacyChecker.assertApprovable(accountId, filename, { body: incoming.body });
+      } catch (e) {
+        if (e.code !== 'PRIVACY_BLOCKED') throw e;
+        return { error: e.message, privacy: e.privacy };
+      }
+    } else {
+      privacy = privacyChecker.checkText(incoming.body, await config.getAccount(accountId));
+    }
+    metadata.privacy_status = privacy.status;
+
+    fs.writeFileSync(filePath, frontmatter.stringify(metadata, incoming.body), 'utf-8');
+
+    try {
+      const db = require('./utils/db');
+      const articleId = filename.replace(/\.md$/, '');
+      db.addVersion(accountId, articleId, { source: 'edited', body: incoming.body, metadata });
+      db.upsertArticle(accountId, { filename, metadata, body: incoming.body });
+    } catch (e) {
+      logger.error('articles:update', 'DB record failed (non-blocking): ' + e.message);
+    }
+
+    if (article.status === 'reviewed' && existing.metadata.status !== 'reviewed') {
+      const { notifier } = require('./services/notifier');
+      notifier.notify('approved', {
+        accountId, filename, title: frontmatter.extractTitle(incoming.body) || filename, source: 'ui',
+      });
+    }
+
+    // A fresh rejection starts the regeneration loop in the background
+    if (article.status === 'rejected' && existing.metadata.status !== 'rejected') {
+      const { regenerator } = require('./services/regenerator');
+      regenerator
+        .handleRejection(accountId, filename, { reason: article.reject_reason || '', source: 'ui' })
+        .catch((e) => logger.error('articles:update', 'Regeneration failed: ' + e.message));
+    }
 
     // Auto-push to GitHub if enabled and status changed
     if (article.status) {
       try {
-        const config = require('./utils/config');
         const githubEnabled = await config.get('github.enabled');
         if (githubEnabled) {
           const { githubSync } = require('./utils/github-sync');
@@ -314,6 +623,8 @@ ipcMain.handle('articles:update', async (_, accountId, article) => {
         }
       } catch (e) {
         logger.error('articles:update', 'GitHub push failed (non-blocking): ' + e.message);
+        const { notifier } = require('./services/notifier');
+        notifier.notify('sync_failed', { accountId, filename, error: e.message });
       }
     }
 
@@ -323,6 +634,38 @@ ipcMain.handle('articles:update', async (_, accountId, article) => {
   }
 });
 
+ipcMain.handle('regenerator:run', async (_, accountId, filename, reason) => {
+  try {
+    const { regenerator } = require('./services/regenerator');
+    const result = await regenerator.regenerate(accountId, filename, { reason: reason || '', source: 'ui' });
+    return { success: true, ...result };
+  } catch (e) {
+    logger.error('regenerator:run', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+// Title workshop: scored title candidates for an article, and applying one to the H1 + frontmatter
+ipcMain.handle('titles:candidates', async (_, accountId, filename, options) => {
+  try {
+    const titleWorkshop = require('./services/title-workshop');
+    return await titleWorkshop.generateCandidates(accountId, filename, options || {});
+  } catch (e) {
+    logger.error('titles:candidates', e.message);
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('titles:apply', async (_, accountId, filename, title) => {
+  try {
+    const titleWorkshop = require('./services/title-workshop');
+    return { success: true, ...titleWorkshop.applyTitle(accountId, filename, title) };
+  } catch (e) {
+    logger.error('titles:apply', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
 ipcMain.handle('articles:delete', async (_, accountId, articleId) => {
   try {
     const dir = getArticlesDir(accountId);
@@ -330,12 +673,201 @@ ipcMain.handle('articles:delete', async (_, accountId, articleId) => {
     const filePath = path.join(dir, filename);
     if (!fs.existsSync(filePath)) return { error: '記事ファイルが見つかりません' };
     fs.unlinkSync(filePath);
+    try {
+      require('./utils/db').removeArticle(accountId, filename.replace(/\.md$/, ''));
+    } catch (e) {
+      logger.error('articles:delete', 'DB record failed (non-blocking): ' + e.message);
+    }
     return { success: true };
   } catch (e) {
     return { error: e.message };
   }
 });
 
+// Analyzer handlers
+ipcMain.handle('analyzer:import', async (_, accountId, filePath) => {
+  try {
+    const analyzer = require('./services/analyzer');
+    return { success: true, ...(await analyzer.importStats(accountId, filePath)) };
+  } catch (e) {
+    logger.error('analyzer:import', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('analyzer:analyze', async (_, accountId) => {
+  try {
+    const analyzer = require('./services/analyzer');
+    return await analyzer.analyze(accountId);
+  } catch (e) {
+    logger.error('analyzer:analyze', e.message);
+    return { error: e.message };
+  }
+});
+
+// Trend scraper handlers
+ipcMain.handle('trends:scrape', async (_, accountId, options) => {
+  try {
+    const scraper = require('./services/scraper');
+    return { success: true, ...(await scraper.scrapeTrends(accountId, options)) };
+  } catch (e) {
+    logger.error('trends:scrape', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('trends:import', async (_, accountId, filePaths) => {
+  try {
+    const scraper = require('./services/scraper');
+    return { success: true, ...(await scraper.importHtml(accountId, filePaths)) };
+  } catch (e) {
+    logger.error('trends:import', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('trends:latest', async (_, accountId) => {
+  try {
+    const scraper = require('./services/scraper');
+    return scraper.getLatest(accountId);
+  } catch (e) {
+    logger.error('trends:latest', e.message);
+    return null;
+  }
+});
+
+ipcMain.handle('trends:push', async (_, accountId, proposals) => {
+  try {
+    const scraper = require('./services/scraper');
+    return { success: true, ...(await scraper.pushProposals(accountId, proposals)) };
+  } catch (e) {
+    logger.error('trends:push', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+// Privacy handlers
+ipcMain.handle('privacy:check', async (_, accountId, filename) => {
+  try {
+    const privacyChecker = require('./services/privacy-checker');
+    return await privacyChecker.checkArticle(accountId, filename);
+  } catch (e) {
+    logger.error('privacy:check', e.message);
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('privacy:applySuggestions', async (_, accountId, filename) => {
+  try {
+    const privacyChecker = require('./services/privacy-checker');
+    return { success: true, ...(await privacyChecker.applySuggestionsToArticle(accountId, filename)) };
+  } catch (e) {
+    logger.error('privacy:applySuggestions', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+// Paid line handlers
+ipcMain.handle('paidLine:check', async (_, accountId, filename) => {
+  try {
+    const paidLine = require('./services/paid-line');
+    return await paidLine.checkArticle(accountId, filename);
+  } catch (e) {
+    logger.error('paidLine:check', e.message);
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('paidLine:fix', async (_, accountId, filename) => {
+  try {
+    const paidLine = require('./services/paid-line');
+    const result = await paidLine.checkArticle(accountId, filename, { fix: true });
+    try {
+      const db = require('./utils/db');
+      db.addVersion(accountId, filename.replace(/\.md$/, ''), { source: 'edited', body: result.body, note: '有料ラインの調整' });
+      db.indexArticleFile(accountId, filename);
+    } catch (e) {
+      logger.error('paidLine:fix', 'DB record failed (non-blocking): ' + e.message);
+    }
+    return { success: true, ...result };
+  } catch (e) {
+    logger.error('paidLine:fix', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+// Fact checker handlers
+ipcMain.handle('facts:get', async (_, accountId) => {
+  try {
+    const factChecker = require('./services/fact-checker');
+    return factChecker.loadFacts(accountId);
+  } catch (e) {
+    logger.error('facts:get', e.message);
+    return [];
+  }
+});
+
+ipcMain.handle('facts:save', async (_, accountId, facts) => {
+  try {
+    const factChecker = require('./services/fact-checker');
+    return { success: true, facts: factChecker.saveFacts(accountId, facts) };
+  } catch (e) {
+    logger.error('facts:save', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('factChecker:check', async (_, accountId, filename) => {
+  try {
+    const factChecker = require('./services/fact-checker');
+    return { success: true, ...(await factChecker.checkArticle(accountId, filename)) };
+  } catch (e) {
+    logger.error('factChecker:check', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('factChecker:get', async (_, accountId, articleId) => {
+  try {
+    const factChecker = require('./services/fact-checker');
+    return factChecker.getResult(accountId, articleId);
+  } catch (e) {
+    return null;
+  }
+});
+
+// Scorer handlers
+ipcMain.handle('scorer:score', async (_, accountId, filename) => {
+  try {
+    const scorer = require('./services/scorer');
+    return { success: true, ...(await scorer.scoreArticle(accountId, filename)) };
+  } catch (e) {
+    logger.error('scorer:score', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+// Poster handlers
+ipcMain.handle('poster:post', async (_, accountId, filename) => {
+  try {
+    const poster = require('./services/poster');
+    return await poster.postArticle(accountId, filename);
+  } catch (e) {
+    logger.error('poster:post', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+ipcMain.handle('poster:postApproved', async (_, accountId) => {
+  try {
+    const poster = require('./services/poster');
+    return await poster.postApproved(accountId);
+  } catch (e) {
+    logger.error('poster:postApproved', e.message);
+    return { error: e.message };
+  }
+});
+
 // GitHub Sync handlers
 ipcMain.handle('github:testConnection', async () => {
   try {
@@ -348,23 +880,32 @@ ipcMain.handle('github:testConnection', async () => {
   }
 });
 
+// A failed manual sync is also routed to the notifier (sync_failed)
+function reportSyncFailure(accountId, result) {
+  if (result?.success === false) {
+    const { notifier } = require('./services/notifier');
+    notifier.notify('sync_failed', { accountId, error: result.error });
+  }
+  return result;
+}
+
 ipcMain.handle('github:sync', async (_, accountId) => {
   try {
     const { githubSync } = require('./utils/github-sync');
-    return await githubSync.sync(accountId);
+    return reportSyncFailure(accountId, await githubSync.sync(accountId));
   } catch (e) {
     logger.error('github:sync', e.message);
-    return { success: false, error: e.message };
+    return reportSyncFailure(accountId, { success: false, error: e.message });
   }
 });
 
 ipcMain.handle('github:syncWithPR', async (_, accountId) => {
   try {
     const { githubSync } = require('./utils/github-sync');
-    return await githubSync.syncWithPR(accountId);
+    return reportSyncFailure(accountId, await githubSync.syncWithPR(accountId));
   } catch (e) {
     logger.error('github:syncWithPR', e.message);
-    return { success: false, error: e.message };
+    return reportSyncFailure(accountId, { success: false, error: e.message });
   }
 });
 
@@ -450,7 +991,16 @@ ipcMain.handle('thumbnails:list', (_, accountId, articleId) => {
 ipcMain.handle('thumbnails:select', (_, accountId, articleId, pattern) => {
   try {
     const thumbnailGenerator = require('./services/thumbnail-generator');
-    return thumbnailGenerator.selectThumbnail(accountId, articleId, pattern);
+    const selected = thumbnailGenerator.selectThumbnail(accountId, articleId, pattern);
+
+    // Remember the chosen pattern so the analyzer can compare thumbnails
+    const filePath = path.join(getArticlesDir(accountId), `${articleId}.md`);
+    if (fs.existsSync(filePath)) {
+      const frontmatter = require('./utils/frontmatter');
+      const { metadata, body } = frontmatter.parse(fs.readFileSync(filePath, 'utf-8'));
+      fs.writeFileSync(filePath, frontmatter.stringify({ ...metadata, thumbnail_pattern: pattern }, body), 'utf-8');
+    }
+    return selected;
   } catch (e) {
     return { error: e.message };
   }
@@ -539,6 +1089,88 @@ ipcMain.handle('telegram:isLinked', async (_, accountId, filename) => {
   }
 });
 
+// Notification handlers
+ipcMain.handle('notifier:catalog', async () => {
+  const { EVENTS, CHANNELS } = require('./services/notifier');
+  return {
+    events: Object.entries(EVENTS).map(([key, e]) => ({ key, label: e.label, defaultChannels: e.defaultChannels })),
+    channels: CHANNELS,
+  };
+});
+
+ipcMain.handle('notifier:test', async (_, channel, settings) => {
+  try {
+    const { notifier } = require('./services/notifier');
+    return await notifier.test(channel, settings);
+  } catch (e) {
+    logger.error('notifier:test', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
+// Usage / budget handlers
+ipcMain.handle('usage:breakdown', async (_, filter) => {
+  try {
+    const { getCostBreakdown } = require('./services/usage-tracker');
+    return getCostBreakdown(filter || {});
+  } catch (e) {
+    logger.error('usage:breakdown', e.message);
+    return { error: e.message };
+  }
+});
+
+ipcMain.handle('usage:budget', async () => {
+  try {
+    const { getBudgetStatus } = require('./services/usage-tracker');
+    return await getBudgetStatus();
+  } catch (e) {
+    logger.error('usage:budget', e.message);
+    return { error: e.message };
+  }
+});
+
+// Model registry handlers
+ipcMain.handle('models:list', async () => {
+  try {
+    const models = require('./utils/model-registry');
+    return { models: await models.listModels(), tasks: await models.listTasks() };
+  } catch (e) {
+    logger.error('models:list', e.message);
+    return { error: e.message };
+  }
+});
+
+// Schedule handlers
+ipcMain.handle('schedule:status', async () => {
+  try {
+    const { scheduler } = require('./scheduler');
+    return scheduler.getStatus();
+  } catch (e) {
+    return { started: false, jobs: [], next: null, last: null, error: e.message };
+  }
+});
+
+ipcMain.handle('schedule:runNow', async (_, accountId, job) => {
+  try {
+    const { scheduler } = require('./scheduler');
+    return await scheduler.runJob(accountId, job, 'manual');
+  } catch (e) {
+    logger.error('schedule:runNow', e.message);
+    return { status: 'error', summary: e.message };
+  }
+});
+
+ipcMain.handle('schedule:reload', async () => {
+  try {
+    const { scheduler } = require('./scheduler');
+    await scheduler.reload();
+    return { success: true };
+  } catch (e) {
+    logger.error('schedule:reload', e.message);
+    return { success: false, error: e.message };
+  }
+});
+
 // Log handlers
 ipcMain.handle('logs:get', async (_, opts) => {
   try {
@@ -560,8 +1192,23 @@ ipcMain.handle('logs:cleanup', async (_, days) => {
 });
 
 app.whenReady().then(async () => {
+  // Open the SQLite DB first: migrations (and the one-time import of legacy files) run here
+  try {
+    require('./utils/db').open();
+  } catch (e) {
+    logger.error('db:open', e.message);
+  }
+
   createWindow();
 
+  // Reset what a crash left behind (runs still 'running', topics stuck in 'generating') before anything generates again
+  try {
+    const { Generator } = require('./services/generator');
+    await new Generator().recoverInterrupted();
+  } catch (e) {
+    logger.error('generator:recover', e.message);
+  }
+
   // Auto-start Telegram polling if enabled
   try {
     const config = require('./utils/config');
@@ -571,21 +1218,135 @@ app.whenReady().then(async () => {
       telegramService.on('articleStatusChanged', (accountId, filename, status) => {
         const win = BrowserWindow.getAllWindows()[0];
         if (win) win.webContents.send('telegram:articleStatusChanged', accountId, filename, status);
+        if (status === 'reviewed') {
+          const { notifier } = require('./services/notifier');
+          const frontmatter = require('./utils/frontmatter');
+          const filePath = path.join(getArticlesDir(accountId), filename);
+          const title = fs.existsSync(filePath)
+            ? frontmatter.extractTitle(frontmatter.parse(fs.readFileSync(filePath, 'utf-8')).body)
+            : null;
+          notifier.notify('approved', { accountId, filename, title: title || filename, source: 'telegram' });
+        }
       });
       telegramService.on('articleUpdated', (accountId, filename) => {
         const win = BrowserWindow.getAllWindows()[0];
         if (win) win.webContents.send('telegram:articleUpdated', accountId, filename);
       });
+      telegramService.on('articleRejected', (accountId, filename, reason) => {
+        const { regenerator } = require('./services/regenerator');
+        regenerator
+          .handleRejection(accountId, filename, { reason, source: 'telegram' })
+          .catch((e) => logger.error('telegram:reject', e.message));
+      });
+      // Outline review from its forum topic (buttons, /approve, /reject, or a reply with what to change)
+      telegramService.on('outlineApproved', (accountId, outlineId) => {
+        const { Generator } = require('./services/generator');
+        sendOutlinesUpdated(accountId, outlineId);
+        new Generator()
+          .approveOutline(outlineId)
+          .then((result) => {
+            sendOutlinesUpdated(accountId, outlineId);
+            if (result.success) return telegramService.notifyOutline(outlineId, `✅ 本文を生成しました: ${result.article.title}`);
+            return null;
+          })
+          .catch((e) => {
+            logger.error('telegram:outlineApprove', e.message);
+            sendOutlinesUpdated(accountId, outlineId);
+            return telegramService.notifyOutline(outlineId, `⚠️ 本文を生成できませんでした: ${e.message}`);
+          })
+          .catch((e) => logger.error('telegram:outlineApprove', e.message));
+      });
+      telegramService.on('outlineRejected', (accountId, outlineId) => {
+        const { Generator } = require('./services/generator');
+        new Generator()
+          .rejectOutline(outlineId)
+          .then(() => sendOutlinesUpdated(accountId, outlineId))
+          .catch((e) => logger.error('telegram:outlineReject', e.message));
+      });
+      telegramService.on('outlineRevisionRequested', (accountId, outlineId, instruction) => {
+        const { Generator } = require('./services/generator');
+        new Generator()
+          .reviseOutline(outlineId, instruction)
+          .then((record) => {
+            sendOutlinesUpdated(accountId, outlineId);
+            return telegramService.notifyOutline(outlineId, '✏️ アウトラインを直しました', { record });
+          })
+          .catch((e) => {
+            logger.error('telegram:outlineRevise', e.message);
+            return telegramService.notifyOutline(outlineId, `⚠️ アウトラインを直せませんでした: ${e.message}`);
+          })
+          .catch((e) => logger.error('telegram:outlineRevise', e.message));
+      });
+      telegramService.on('regenerateRequested', (accountId, filename) => {
+        const { regenerator } = require('./services/regenerator');
+        regenerator
+          .regenerate(accountId, filename, { source: 'telegram' })
+          .catch((e) => logger.error('telegram:regenerate', e.message));
+      });
       await telegramService.startPolling();
     }
   } catch (e) {
     logger.error('telegram:autoStart', e.message);
   }
+
+  // Forward regeneration progress to the renderer (escalations are notified by the regenerator itself)
+  try {
+    const { regenerator } = require('./services/regenerator');
+    for (const event of ['started', 'regenerated', 'escalated']) {
+      regenerator.on(event, (payload) => {
+        const win = BrowserWindow.getAllWindows()[0];
+        if (win) win.webContents.send('regenerator:updated', event, payload);
+      });
+    }
+  } catch (e) {
+    logger.error('regenerator:init', e.message);
+  }
+
+  // Start the per-account scheduler (batch generation / auto post)
+  try {
+    const { scheduler } = require('./scheduler');
+    scheduler.setRunner('generate', async (accountId) => {
+      const { Generator } = require('./services/generator');
+      return new Generator().run(accountId);
+    });
+    scheduler.setRunner('post', async (accountId) => {
+      const poster = require('./services/poster');
+      return poster.postApproved(accountId);
+    });
+    scheduler.on('updated', (status) => {
+      const win = BrowserWindow.getAllWindows()[0];
+      if (win) win.webContents.send('schedule:updated', status);
+    });
+    await scheduler.start();
+    powerMonitor.on('resume', () => {
+      scheduler.catchUp().catch((e) => logger.error('scheduler:catchUp', e.message));
+    });
+  } catch (e) {
+    logger.error('scheduler:start', e.message);
+  }
+
+  // Collect Message Batches that ended while the app was closed, then keep polling the open ones
+  try {
+    const { Generator, BATCH_POLL_INTERVAL_MS } = require('./services/generator');
+    const pollBatches = () => {
+      new Generator().pollBatches().catch((e) => logger.error('generator:pollBatches', e.message));
+    };
+    pollBatches();
+    setInterval(pollBatches, BATCH_POLL_INTERVAL_MS);
+  } catch (e) {
+    logger.error('generator:pollBatches', e.message);
+  }
 });
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 app.on('before-quit', async () => {
+  try {
+    const { scheduler } = require('./scheduler');
+    scheduler.stop();
+  } catch {
+    // cleanup failure is non-fatal
+  }
   try {
     const { telegramService } = require('./services/telegram');
     telegramService.stopPolling();
@@ -598,4 +1359,9 @@ app.on('before-quit', async () => {
   } catch {
     // cleanup failure is non-fatal
   }
+  try {
+    require('./utils/db').close();
+  } catch {
+    // cleanup failure is non-fatal
+  }
 });
@@ -21,10 +21,44 @@ contextBridge.exposeInMainWorld('electronAPI', {
     cache: (accountId) => ipcRenderer.invoke('topics:cache', accountId),
   },
   generator: {
-    run: (accountId) => ipcRenderer.invoke('generator:run', accountId),
+    run: (accountId, options) => ipcRenderer.invoke('generator:run', accountId, options),
     runSingle: (accountId, topicId, regenerateInstructions) => ipcRenderer.invoke('generator:runSingle', accountId, topicId, regenerateInstructions),
     status: (batchId) => ipcRenderer.invoke('generator:status', batchId),
+    openBatches: (accountId) => ipcRenderer.invoke('generator:openBatches', accountId),
+    interruptedRuns: (accountId) => ipcRenderer.invoke('generator:interruptedRuns', accountId),
     getSystemPrompt: () => ipcRenderer.invoke('generator:getSystemPrompt'),
+    cancel: (accountId) => ipcRenderer.invoke('generator:cancel', accountId),
+    onProgress: (callback) => {
+      ipcRenderer.on('generator:progress', (_, payload) => callback(payload));
+    },
+  },
+  outlines: {
+    get: (accountId, topicId) => ipcRenderer.invoke('outlines:get', accountId, topicId),
+    save: (id, outline) => ipcRenderer.invoke('outlines:save', id, outline),
+    approve: (id, outline) => ipcRenderer.invoke('outlines:approve', id, outline),
+    reject: (id) => ipcRenderer.invoke('outlines:reject', id),
+    onUpdated: (callback) => {
+      ipcRenderer.on('generator:outlinesUpdated', (_, accountId, outlineId) => callback(accountId, outlineId));
+    },
+  },
+  series: {
+    plan: (accountId, request) => ipcRenderer.invoke('series:plan', accountId, request),
+    create: (accountId, plan, topicFields) => ipcRenderer.invoke('series:create', accountId, plan, topicFields),
+    list: (accountId) => ipcRenderer.invoke('series:list', accountId),
+    remove: (seriesId) => ipcRenderer.invoke('series:remove', seriesId),
+  },
+  systemPrompt: {
+    get: () => ipcRenderer.invoke('systemPrompt:get'),
+    getVersion: (version) => ipcRenderer.invoke('systemPrompt:getVersion', version),
+    save: (text, note) => ipcRenderer.invoke('systemPrompt:save', text, note),
+    restore: (version) => ipcRenderer.invoke('systemPrompt:restore', version),
+    updateNote: (version, note) => ipcRenderer.invoke('systemPrompt:updateNote', version, note),
+    diff: (from, to) => ipcRenderer.invoke('systemPrompt:diff', from, to),
+  },
+  prompts: {
+    load: (accountId, pillarId) => ipcRenderer.invoke('prompts:load', accountId, pillarId),
+    save: (accountId, pillarId, text) => ipcRenderer.invoke('prompts:save', accountId, pillarId, text),
+    preview: (accountId, topicId, options) => ipcRenderer.invoke('prompts:preview', accountId, topicId, options),
   },
   articles: {
     list: (accountId) => ipcRenderer.invoke('articles:list', accountId),
@@ -32,6 +66,39 @@ contextBridge.exposeInMainWorld('electronAPI', {
     update: (accountId, article) => ipcRenderer.invoke('articles:update', accountId, article),
     delete: (accountId, articleId) => ipcRenderer.invoke('articles:delete', accountId, articleId),
   },
+  analyzer: {
+    import: (accountId, filePath) => ipcRenderer.invoke('analyzer:import', accountId, filePath),
+    analyze: (accountId) => ipcRenderer.invoke('analyzer:analyze', accountId),
+  },
+  trends: {
+    scrape: (accountId, options) => ipcRenderer.invoke('trends:scrape', accountId, options),
+    import: (accountId, filePaths) => ipcRenderer.invoke('trends:import', accountId, filePaths),
+    latest: (accountId) => ipcRenderer.invoke('trends:latest', accountId),
+    push: (accountId, proposals) => ipcRenderer.invoke('trends:push', accountId, proposals),
+  },
+  privacy: {
+    check: (accountId, filename) => ipcRenderer.invoke('privacy:check', accountId, filename),
+    applySuggestions: (accountId, filename) => ipcRenderer.invoke('privacy:applySuggestions', accountId, filename),
+  },
+  paidLine: {
+    check: (accountId, filename) => ipcRenderer.invoke('paidLine:check', accountId, filename),
+    fix: (accountId, filename) => ipcRenderer.invoke('paidLine:fix', accountId, filename),
+  },
+  facts: {
+    get: (accountId) => ipcRenderer.invoke('facts:get', accountId),
+    save: (accountId, facts) => ipcRenderer.invoke('facts:save', accountId, facts),
+  },
+  factChecker: {
+    check: (accountId, filename) => ipcRenderer.invoke('factChecker:check', accountId, filename),
+    get: (accountId, articleId) => ipcRenderer.invoke('factChecker:get', accountId, articleId),
+  },
+  scorer: {
+    score: (accountId, filename) => ipcRenderer.invoke('scorer:score', accountId, filename),
+  },
+  poster: {
+    post: (accountId, filename) => ipcRenderer.invoke('poster:post', accountId, filename),
+    postApproved: (accountId) => ipcRenderer.invoke('poster:postApproved', accountId),
+  },
   dialog: {
     openFile: (options) => ipcRenderer.invoke('dialog:openFile', options),
   },
@@ -67,10 +134,39 @@ contextBridge.exposeInMainWorld('electronAPI', {
       ipcRenderer.on('telegram:articleUpdated', (_, accountId, filename) => callback(accountId, filename));
     },
   },
+  regenerator: {
+    run: (accountId, filename, reason) => ipcRenderer.invoke('regenerator:run', accountId, filename, reason),
+    onUpdated: (callback) => {
+      ipcRenderer.on('regenerator:updated', (_, event, payload) => callback(event, payload));
+    },
+  },
+  notifier: {
+    catalog: () => ipcRenderer.invoke('notifier:catalog'),
+    test: (channel, settings) => ipcRenderer.invoke('notifier:test', channel, settings),
+  },
+  usage: {
+    breakdown: (filter) => ipcRenderer.invoke('usage:breakdown', filter),
+    budget: () => ipcRenderer.invoke('usage:budget'),
+  },
+  models: {
+    list: () => ipcRenderer.invoke('models:list'),
+  },
+  schedule: {
+    status: () => ipcRenderer.invoke('schedule:status'),
+    runNow: (accountId, job) => ipcRenderer.invoke('schedule:runNow', accountId, job),
+    reload: () => ipcRenderer.invoke('schedule:reload'),
+    onUpdated: (callback) => {
+      ipcRenderer.on('schedule:updated', (_, status) => callback(status));
+    },
+  },
   logs: {
     get: (opts) => ipcRenderer.invoke('logs:get', opts),
     cleanup: (days) => ipcRenderer.invoke('logs:cleanup', days),
   },
+  titles: {
+    candidates: (accountId, filename, options) => ipcRenderer.invoke('titles:candidates', accountId, filename, options),
+    apply: (accountId, filename, title) => ipcRenderer.invoke('titles:apply', accountId, filename, title),
+  },
   thumbnails: {
     generate: (accountId, article) => ipcRenderer.invoke('thumbnails:generate', accountId, article),
     list: (accountId, articleId) => ipcRenderer.invoke('thumbnails:list', accountId, articleId),
@@ -0,0 +1,362 @@
+/**
+ * Scheduler
+ *
+ * アカウントごとの schedule.batch_generation_time / schedule.auto_post_time に従って
+ * バッチ生成・自動投稿を実行する。
+ *
+ * - node-cron で毎日の指定時刻にジョブを登録する
+ * - 実行結果は scheduler-state.json に保存し、スリープ等で取りこぼした実行を
+ *   起動時・復帰時にキャッチアップする
+ * - 実際の処理（生成・投稿）は setRunner() で登録された関数に委譲する。ランナーの無いジョブは cron に登録しない
+ */
+
+const _cron = require('node-cron');
+const _fs = require('fs');
+const path = require('path');
+const _config = require('./utils/config');
+const _logger = require('./utils/logger');
+
+// Mutable deps for testing
+let deps = { cron: _cron, fs: _fs, config: _config, logger: _logger, now: () => new Date() };
+
+const JOBS = {
+  generate: { key: 'batch_generation_time', label: 'バッチ生成', defaultTime: '02:00' },
+  post: { key: 'auto_post_time', label: '自動投稿', defaultTime: '12:00' },
+};
+
+// これより古い取りこぼしはキャッチアップしない（数日ぶりの起動で一斉実行しないため）
+const CATCH_UP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', 'data');
+  }
+}
+
+function getStatePath() {
+  return path.join(getDataDir(), 'scheduler-state.json');
+}
+
+/**
+ * "HH:MM" を { hour, minute } に変換する（不正な値は null）
+ */
+function parseTime(time) {
+  const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+function toCronExpression(time) {
+  const parsed = parseTime(time);
+  if (!parsed) return null;
+  return `${parsed.minute} ${parsed.hour} * * *`;
+}
+
+/**
+ * 指定時刻の次回実行日時を返す（now より後）
+ */
+function getNextRun(time, now = new Date()) {
+  const parsed = parseTime(time);
+  if (!parsed) return null;
+  const next = new Date(now);
+  next.setHours(parsed.hour, parsed.minute, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+  return next;
+}
+
+/**
+ * 指定時刻の直近の実行予定日時を返す（now 以前）
+ */
+function getLastScheduledRun(time, now = new Date()) {
+  const parsed = parseTime(time);
+  if (!parsed) return null;
+  const last = new Date(now);
+  last.setHours(parsed.hour, parsed.minute, 0, 0);
+  if (last > now) last.setDate(last.getDate() - 1);
+  return last;
+}
+
+/**
+ * 取りこぼした実行があるかを判定する
+ * @param {string} time - "HH:MM"
+ * @param {string|null} lastRunAt - 最後に実行した日時（ISO）
+ * @param {string} since - 記録開始日時（ISO）。未実行のジョブはここを基準にする
+ * @param {Date} now
+ */
+function isMissed(time, lastRunAt, since, now = new Date()) {
+  const lastScheduled = getLastScheduledRun(time, now);
+  if (!lastScheduled) return false;
+  if (now - lastScheduled > CATCH_UP_WINDOW_MS) return false;
+  const reference = new Date(lastRunAt || since || now);
+  return lastScheduled > reference;
+}
+
+function summarizeResult(job, result) {
+  if (!result) return '';
+  if (job === 'generate') {
+    // Message Batch は送信まで。記事は回収したときに書かれる
+    if (result.batchId) return `バッチ送信済み（${result.submitted || 0}件）`;
+    // アウトライン先行モードは承認待ちのアウトラインを作るまで
+    if (result.outlined !== undefined) return `アウトライン ${result.outlined} 件（エラー: ${result.errors || 0}件）`;
+    return `${result.generated || 0}件生成（エラー: ${result.errors || 0}件）`;
+  }
+  if (job === 'post') {
+    return `${result.posted || 0}件投稿（エラー: ${result.errors || 0}件）`;
+  }
+  return '';
+}
+
+class Scheduler {
+  constructor() {
+    this.tasks = new Map(); // `${accountId}:${job}` -> cron task
+    this.times = new Map(); // `${accountId}:${job}` -> { accountId, job, time: "HH:MM" }
+    this.runners = {}; // job -> async (accountId) => result
+    this.active = new Set(); // 実行中の `${accountId}:${job}`
+    this.state = null;
+    this.started = false;
+    this._eventHandlers = {};
+  }
+
+  on(event, handler) {
+    if (!this._eventHandlers[event]) this._eventHandlers[event] = [];
+    this._eventHandlers[event].push(handler);
+  }
+
+  _emit(event, ...args) {
+    (this._eventHandlers[event] || []).forEach(h => h(...args));
+  }
+
+  /**
+   * ジョブの実処理を登録する
+   * @param {'generate'|'post'} job
+   * @param {function} runner - async (accountId) => result
+   */
+  setRunner(job, runner) {
+    this.runners[job] = runner;
+    // 起動後に登録されたジョブもすぐ cron に載せる
+    if (this.started) {
+      this.reload().catch((e) => deps.logger.error('scheduler', `ジョブの再登録に失敗: ${e.message}`));
+    }
+  }
+
+  // --- State ---
+
+  _loadState() {
+    if (this.state) return this.state;
+    const statePath = getStatePath();
+    try {
+      if (deps.fs.existsSync(statePath)) {
+        this.state = JSON.parse(deps.fs.readFileSync(statePath, 'utf-8'));
+      }
+    } catch (e) {
+      deps.logger.error('scheduler', `状態ファイルの読み込みに失敗: ${e.message}`);
+    }
+    if (!this.state || typeof this.state !== 'object') {
+      this.state = { since: deps.now().toISOString(), runs: {} };
+      this._saveState();
+    }
+    if (!this.state.runs) this.state.runs = {};
+    return this.state;
+  }
+
+  _saveState() {
+    try {
+      const statePath = getStatePath();
+      const dir = path.dirname(statePath);
+      if (!deps.fs.existsSync(dir)) deps.fs.mkdirSync(dir, { recursive: true });
+      deps.fs.writeFileSync(statePath, JSON.stringify(this.state, null, 2), 'utf-8');
+    } catch (e) {
+      deps.logger.error('scheduler', `状態ファイルの保存に失敗: ${e.message}`);
+    }
+  }
+
+  _getRun(accountId, job) {
+    return this._loadState().runs[`${accountId}:${job}`] || null;
+  }
+
+  _setRun(accountId, job, run) {
+    this._loadState().runs[`${accountId}:${job}`] = run;
+    this._saveState();
+  }
+
+  // --- Lifecycle ---
+
+  async start() {
+    this._loadState();
+    this.started = true;
+    await this.reload();
+    await this.catchUp();
+  }
+
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+    this.times.clear();
+    this.started = false;
+  }
+
+  /**
+   * アカウント設定を読み直して cron を登録し直す
+   */
+  async reload() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+    this.times.clear();
+
+    const accounts = await deps.config.getActiveAccounts();
+    for (const account of accounts) {
+      for (const [job, def] of Object.entries(JOBS)) {
+        // 処理が無いジョブは登録しない（毎日 skipped を記録し、取りこぼしとして扱われるだけになるため）
+        if (!this.runners[job]) continue;
+        const time = account.schedule?.[def.key] || def.defaultTime;
+        const expression = toCronExpression(time);
+        if (!expression) {
+          deps.logger.warn('scheduler', `${account.id}: ${def.label}の時刻が不正です (${time})`);
+          continue;
+        }
+        const id = `${account.id}:${job}`;
+        const task = deps.cron.schedule(expression, () => {
+          this.runJob(account.id, job, 'schedule').catch(() => {});
+        });
+        this.tasks.set(id, task);
+        this.times.set(id, { accountId: account.id, job, time });
+      }
+    }
+
+    deps.logger.info('scheduler', `${this.tasks.size}件のジョブを登録しました`);
+    this._emit('updated', this.getStatus());
+  }
+
+  /**
+   * スリープ等で取りこぼした実行を補完する
+   */
+  async catchUp() {
+    const state = this._loadState();
+    const now = deps.now();
+    const missed = [];
+    for (const { accountId, job, time } of this.times.values()) {
+      const run = this._getRun(accountId, job);
+      if (isMissed(time, run?.lastRunAt, state.since, now)) {
+        missed.push({ accountId, job });
+      }
+    }
+
+    for (const { accountId, job } of missed) {
+      deps.logger.info('scheduler', `${accountId}: 取りこぼした${JOBS[job].label}を実行します`);
+      await this.runJob(accountId, job, 'catch-up').catch(() => {});
+    }
+    return missed;
+  }
+
+  /**
+   * ジョブを実行して結果を記録する
+   * @param {string} accountId
+   * @param {'generate'|'post'} job
+   * @param {'schedule'|'catch-up'|'manual'} trigger
+   */
+  async runJob(accountId, job, trigger = 'manual') {
+    if (!JOBS[job]) throw new Error(`不明なジョブです: ${job}`);
+    const id = `${accountId}:${job}`;
+    if (this.active.has(id)) {
+      deps.logger.warn('scheduler', `${id} は実行中のためスキップします`);
+      return { skipped: true, reason: 'already running' };
+    }
+
+    const startedAt = deps.now().toISOString();
+    const runner = this.runners[job];
+    if (!runner) {
+      const lastResult = {
+        status: 'skipped',
+        summary: `${JOBS[job].label}の処理が登録されていません`,
+        trigger,
+        finishedAt: startedAt,
+      };
+      this._setRun(accountId, job, { lastRunAt: startedAt, lastResult });
+      this._emit('updated', this.getStatus());
+      return lastResult;
+    }
+
+    this.active.add(id);
+    this._emit('updated', this.getStatus());
+    let lastResult;
+    try {
+      deps.logger.info('scheduler', `${accountId}: ${JOBS[job].label}開始 (${trigger})`);
+      const result = await runner(accountId);
+      const failed = result?.error || (result?.errors > 0 && !(result.generated || result.posted));
+      lastResult = {
+        status: failed ? 'error' : 'success',
+        summary: result?.error || summarizeResult(job, result),
+        trigger,
+        finishedAt: deps.now().toISOString(),
+      };
+      deps.logger.info('scheduler', `${accountId}: ${JOBS[job].label}完了 - ${lastResult.summary}`);
+    } catch (e) {
+      lastResult = {
+        status: 'error',
+        summary: e.message,
+        trigger,
+        finishedAt: deps.now().toISOString(),
+      };
+      deps.logger.error('scheduler', `${accountId}: ${JOBS[job].label}失敗 - ${e.message}`);
+    } finally {
+      this.active.delete(id);
+    }
+
+    this._setRun(accountId, job, { lastRunAt: startedAt, lastResult });
+    this._emit('updated', this.getStatus());
+    return lastResult;
+  }
+
+  // --- Status ---
+
+  getStatus() {
+    const now = deps.now();
+    const jobs = [];
+    for (const [id, { accountId, job, time }] of this.times) {
+      const run = this.state ? this._getRun(accountId, job) : null;
+      jobs.push({
+        accountId,
+        job,
+        label: JOBS[job].label,
+        time,
+        nextRun: getNextRun(time, now)?.toISOString() || null,
+        running: this.active.has(id),
+        lastRunAt: run?.lastRunAt || null,
+        lastResult: run?.lastResult || null,
+      });
+    }
+
+    const next = jobs
+      .filter(j => j.nextRun)
+      .sort((a, b) => a.nextRun.localeCompare(b.nextRun))[0] || null;
+    const last = jobs
+      .filter(j => j.lastResult)
+      .sort((a, b) => b.lastResult.finishedAt.localeCompare(a.lastResult.finishedAt))[0] || null;
+
+    return { started: this.started, jobs, next, last };
+  }
+}
+
+// Singleton
+const scheduler = new Scheduler();
+
+module.exports = {
+  scheduler,
+  Scheduler,
+  JOBS,
+  // テスト用
+  _internal: { parseTime, toCronExpression, getNextRun, getLastScheduledRun, isMissed },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
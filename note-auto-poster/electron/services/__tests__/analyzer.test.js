@@ -0,0 +1,132 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import path from 'path';
+
+const analyzer = await import('../analyzer.js');
+const { importStats, analyze, _internal, _setDepsForTesting } = analyzer;
+const { parseStatsCsv, parseStatsHtml, noteKey, normalizeTitle, classifyTitle, lengthBucket } = _internal;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+const CSV = [
+  '記事タイトル,URL,ビュー,スキ,売上数,売上金額',
+  '【保存版】ガイド10年の英語フレーズ集,https://note.com/tokken/n/nabc123,1000,50,20,"9,800"',
+  'ツアーの価格設定,https://note.com/tokken/n/ndef456,500,10,1,980',
+  '関係のない記事,https://note.com/tokken/n/nzzz999,300,3,0,0',
+].join('\n');
+
+function article(meta, body) {
+  const fm = Object.entries(meta).map(([k, v]) => `${k}: ${v}`).join('\n');
+  return `---\n${fm}\n---\n${body}`;
+}
+
+describe('parsers', () => {
+  it('CSV の見出しを正規化して記事ごとに集計する', () => {
+    const rows = parseStatsCsv('\uFEFF' + CSV);
+    expect(rows[0]).toEqual({
+      key: 'nabc123',
+      url: 'https://note.com/tokken/n/nabc123',
+      title: '【保存版】ガイド10年の英語フレーズ集',
+      views: 1000, likes: 50, comments: 0, sales: 20, revenue: 9800,
+    });
+    expect(rows).toHaveLength(3);
+  });
+
+  it('売上数の列が無い売上 CSV は 1 行 1 件として数える', () => {
+    const rows = parseStatsCsv('記事,金額\nA,980\nA,980\nB,500');
+    expect(rows.map((r) => [r.title, r.sales, r.revenue])).toEqual([['A', 2, 1960], ['B', 1, 500]]);
+  });
+
+  it('保存した HTML の表からリンクと数値を読む', () => {
+    const html = `<!DOCTYPE html><html><body>
+      <table><tr><td>ナビ</td></tr></table>
+      <table>
+        <tr><th>記事</th><th>ビュー</th><th>スキ</th></tr>
+        <tr><td><a href="https://note.com/tokken/n/nabc123">英語&amp;フレーズ集</a></td><td>1,200</td><td>60</td></tr>
+      </table></body></html>`;
+    expect(parseStatsHtml(html)).toEqual([{
+      key: 'nabc123', url: 'https://note.com/tokken/n/nabc123', title: '英語&フレーズ集',
+      views: 1200, likes: 60, comments: 0, sales: 0, revenue: 0,
+    }]);
+  });
+
+  it('タイトル・URL の列が無ければエラー', () => {
+    expect(() => parseStatsCsv('foo,bar\n1,2')).toThrow('タイトルまたは URL の列が見つかりません');
+  });
+
+  it('URL・タイトルの正規化と分類', () => {
+    expect(noteKey('https://note.com/tokken/n/nABC123?magazine_key=x')).toBe('nabc123');
+    expect(normalizeTitle('【保存版】ガイド １０年')).toBe(normalizeTitle('保存版ガイド10年'));
+    expect(classifyTitle('【保存版】10選のテンプレ')).toEqual(['tag', 'number', 'template']);
+    expect(classifyTitle('ガイドの一日')).toEqual(['plain']);
+    expect(lengthBucket('あ'.repeat(3500))).toBe('medium');
+  });
+});
+
+describe('importStats / analyze', () => {
+  let files;
+  let stats;
+  let articlesDir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    files = {};
+    stats = [];
+    const fs = {
+      existsSync: vi.fn((p) => p in files || Object.keys(files).some((f) => f.startsWith(p + path.sep))),
+      readFileSync: vi.fn((p) => files[p]),
+      readdirSync: vi.fn((dir) => Object.keys(files).filter((f) => path.dirname(f) === dir).map((f) => path.basename(f))),
+    };
+    const db = {
+      saveNoteStats: vi.fn((accountId, rows) => {
+        stats = rows.map((r) => ({ ...r, stat_key: r.key, imported_at: '2026-03-01T00:00:00.000Z' }));
+      }),
+      listNoteStats: vi.fn(() => stats),
+      loadTopicsCache: vi.fn(() => ({ topics: [{ id: 2, pillar: 'guide_business', price: 980 }] })),
+    };
+    _setDepsForTesting({
+      fs,
+      db,
+      logger: mockLogger,
+      config: {
+        getAccount: vi.fn(async () => ({ pillars: [{ id: 'guide_ai', name: 'AI × ガイド' }, { id: 'guide_business', name: 'ガイド業' }] })),
+      },
+    });
+
+    articlesDir = path.join(__dirname, '..', '..', '..', 'data', 'accounts', 'tokken', 'articles');
+    files[path.join(articlesDir, 'phrases.md')] = article(
+      { note_url: 'https://note.com/tokken/n/nabc123', pillar: 'guide_ai', price: 980, thumbnail_pattern: 'b', model: 'claude-opus-4-6', system_prompt_version: 2 },
+      '# 【保存版】ガイド10年の英語フレーズ集\n\n' + 'あ'.repeat(4000)
+    );
+    files[path.join(articlesDir, 'pricing.md')] = article(
+      { topic_id: 2 },
+      '# ツアーの 価格設定\n\n本文'
+    );
+    files['/tmp/stats.csv'] = CSV;
+  });
+
+  it('取り込んだ行を保存し、URL とタイトルで記事に照合する', async () => {
+    const result = await importStats('tokken', '/tmp/stats.csv');
+    expect(result).toEqual({ imported: 3, matched: 2, unmatched: ['関係のない記事'] });
+  });
+
+  it('記事の属性と結合して観点ごとに集計する', async () => {
+    await importStats('tokken', '/tmp/stats.csv');
+    const result = await analyze('tokken');
+
+    expect(result.totals).toMatchObject({ articles: 2, views: 1500, sales: 21, revenue: 10780 });
+    expect(result.unmatched).toBe(1);
+    expect(result.imported_at).toBe('2026-03-01T00:00:00.000Z');
+
+    // トピック経由でピラー・価格を補う
+    const pricing = result.articles.find((a) => a.id === 'pricing');
+    expect(pricing).toMatchObject({ pillar: 'guide_business', price: 980, length: 'short', model: null });
+
+    expect(result.groups.pillar.map((g) => [g.label, g.sales])).toEqual([['AI × ガイド', 20], ['ガイド業', 1]]);
+    expect(result.groups.thumbnail_pattern.map((g) => g.label)).toEqual(['パターンB', '不明']);
+    expect(result.best.pillar).toEqual({ key: 'guide_ai', label: 'AI × ガイド', conversion: 0.02 });
+    expect(result.best.model).toMatchObject({ key: 'claude-opus-4-6' });
+    expect(result.groups.system_prompt_version.map((g) => [g.label, g.sales])).toEqual([['版 2', 20], ['不明', 1]]);
+    expect(result.insights[0]).toBe('ピラーは「AI × ガイド」の購入率が最も高い（2.0%）');
+  });
+});
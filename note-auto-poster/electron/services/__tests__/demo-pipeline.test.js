@@ -0,0 +1,76 @@
+// @vitest-environment node
+// デモモード: 同梱のフィクスチャ（fake プロバイダ）だけで生成 → 採点 → タイトル案まで通す
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import path from 'path';
+import { createMockFs } from '../../__tests__/helpers/mock-fs.js';
+
+const llm = await import('../../utils/llm-provider.js');
+const generator = await import('../generator.js');
+const scorer = await import('../scorer.js');
+const titleWorkshop = await import('../title-workshop.js');
+const frontmatter = await import('../../utils/frontmatter.js');
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+describe('デモモードのパイプライン', () => {
+  let fs;
+  let client;
+  let gen;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs = createMockFs();
+    client = llm.createClient({ provider: 'fake', fixtures: llm.DEMO_FIXTURES });
+    const config = { get: vi.fn(async (key) => (key === 'api.use_batch' ? true : undefined)), getAccount: vi.fn(async () => ({})) };
+    const usage = { recordUsage: vi.fn(async () => null), assertWithinBudget: vi.fn(async () => {}) };
+    const getClient = async () => client;
+
+    scorer._setDepsForTesting({ fs, config, logger: mockLogger, getClient, notify: vi.fn(async () => ({})), ...usage });
+    generator._setDepsForTesting({
+      fs,
+      config,
+      logger: mockLogger,
+      db: { startGenerationRun: vi.fn(() => 1), finishGenerationRun: vi.fn(), addVersion: vi.fn(), indexArticleFile: vi.fn() },
+      getClient,
+      postProcess: async (accountId, filename) => ({ scored: await scorer.scoreArticle(accountId, filename) }),
+      notify: vi.fn(async () => ({})),
+      seriesPrompt: () => '',
+      describeSeries: () => null,
+      getSystemPrompt: () => ({ version: 1, text: generator.SYSTEM_PROMPT }),
+      ...usage,
+    });
+    titleWorkshop._setDepsForTesting({
+      fs, config, logger: mockLogger, getClient, getSystemPrompt: () => generator.SYSTEM_PROMPT, ...usage,
+    });
+
+    gen = new generator.Generator();
+    gen.sm = {
+      readTopics: vi.fn(async () => [{ id: 1, theme: '京都ガイドの1日' }]),
+      updateTopicStatus: vi.fn(async () => {}),
+    };
+  });
+
+  it('ネットワークなしで記事を書いて保存し、採点とタイトル案まで進む', async () => {
+    const result = await gen.runSingle('tokken', 1);
+
+    expect(result.success).toBe(true);
+    expect(result.article.title).toBe('【保存版】京都ガイドの1日｜現場で10年続けてわかった失敗と対処法5選');
+    const [articlePath] = Object.keys(fs.files);
+    const { metadata, body } = frontmatter.parse(fs.files[articlePath]);
+    expect(body).toContain('<!-- paid-line -->');
+    expect(metadata).toMatchObject({ status: 'generated', score: 7.5, length_status: 'ok', system_prompt_version: 1 });
+
+    const titles = await titleWorkshop.generateCandidates('tokken', path.basename(articlePath));
+    expect(titles.current.title).toBe(result.article.title);
+    expect(titles.candidates.length).toBeGreaterThan(0);
+    // 生成・採点・タイトル案の3回とも fake に届いている
+    expect(client.calls).toHaveLength(3);
+  });
+
+  it('Message Batches の無いプロバイダでは api.use_batch でも逐次生成する', async () => {
+    const summary = await gen.run('tokken');
+
+    expect(summary).toMatchObject({ generated: 1, errors: 0 });
+    expect(mockLogger.warn).toHaveBeenCalledWith('generator', expect.stringContaining('Message Batches'), expect.anything());
+  });
+});
@@ -0,0 +1,163 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import path from 'path';
+import { createMockFs } from '../../__tests__/helpers/mock-fs.js';
+
+const factChecker = await import('../fact-checker.js');
+const {
+  checkArticle,
+  getResult,
+  loadFacts,
+  saveFacts,
+  extractClaims,
+  registerSearchProvider,
+  _internal,
+  _setDepsForTesting,
+} = factChecker;
+const { buildVerificationPrompt, parseVerificationResponse } = _internal;
+
+const FACTS = [
+  { key: 'guide_years', label: 'ガイド歴', value: '12年' },
+  { key: 'platforms', label: '利用しているプラットフォーム', value: 'Viator, GetYourGuide' },
+];
+
+const ARTICLE = `# 京都ガイドの1日
+
+ガイド歴15年の私が解説します。
+これまで多くのお客様を案内してきました。
+
+## プラットフォーム
+
+- Klook でも集客しています。
+- Viator の規約では直接取引が禁止されています。
+
+\`\`\`
+3000人
+\`\`\`
+`;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+describe('extractClaims', () => {
+  it('数値・日付・サービス名・規約を含む文を抜き出す（タイトル・見出し・コードは除く）', () => {
+    const claims = extractClaims(ARTICLE, FACTS);
+    expect(claims).toEqual([
+      { id: 1, sentence: 'ガイド歴15年の私が解説します。', line: 3, types: ['number'] },
+      { id: 2, sentence: 'Klook でも集客しています。', line: 8, types: ['service'] },
+      { id: 3, sentence: 'Viator の規約では直接取引が禁止されています。', line: 9, types: ['service', 'rule'] },
+    ]);
+  });
+
+  it('ファクト集の英字の値をサービス名として扱う', () => {
+    const claims = extractClaims('# T\nMyTourApp を使っています。', [{ label: 'ツール', value: 'MyTourApp' }]);
+    expect(claims[0].types).toEqual(['service']);
+  });
+});
+
+describe('verification prompt / response', () => {
+  it('ファクト集と検証する文を含む', () => {
+    const prompt = buildVerificationPrompt(extractClaims(ARTICLE, FACTS), FACTS);
+    expect(prompt).toContain('- ガイド歴: 12年');
+    expect(prompt).toContain('1. ガイド歴15年の私が解説します。');
+    expect(prompt).not.toContain('検索結果');
+  });
+
+  it('不明な status は unverified として扱う', () => {
+    const byId = parseVerificationResponse('{"results":[{"id":1,"status":"conflict","fact":"ガイド歴: 12年"},{"id":2,"status":"?"}]}');
+    expect(byId[1]).toEqual({ status: 'conflict', fact: 'ガイド歴: 12年', reason: '' });
+    expect(byId[2].status).toBe('unverified');
+  });
+});
+
+describe('checkArticle', () => {
+  let fs;
+  let values;
+  let create;
+  let dir;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    fs = createMockFs();
+    values = {
+      'api.anthropic_key': 'sk-test',
+      'api.scoring_model': 'claude-haiku-4-5-20251001',
+      'api.web_search_key': '',
+    };
+    create = vi.fn(async () => ({
+      content: [{
+        text: JSON.stringify({
+          results: [
+            { id: 1, status: 'conflict', fact: 'ガイド歴: 12年', reason: '年数が異なる' },
+            { id: 2, status: 'conflict', fact: '利用しているプラットフォーム: Viator, GetYourGuide', reason: 'Klook は使っていない' },
+            { id: 3, status: 'unverified', fact: '', reason: '' },
+          ],
+        }),
+      }],
+    }));
+    _setDepsForTesting({
+      fs,
+      config: { get: vi.fn(async (key) => values[key]) },
+      logger: mockLogger,
+      getClient: vi.fn(async () => ({ messages: { create } })),
+      recordUsage: vi.fn(async () => null),
+    });
+
+    // アカウントのディレクトリを確定させる
+    saveFacts('tokken', FACTS);
+    const factsPath = Object.keys(fs.files)[0];
+    dir = path.dirname(factsPath);
+    fs.files[path.join(dir, 'articles', 'kyoto.md')] = ARTICLE;
+  });
+
+  it('ファクト集の保存と読み込み（空の行は除く）', () => {
+    saveFacts('tokken', [...FACTS, { label: '', value: '' }]);
+    expect(loadFacts('tokken')).toEqual([
+      { key: 'guide_years', label: 'ガイド歴', value: '12年', note: '' },
+      { key: 'platforms', label: '利用しているプラットフォーム', value: 'Viator, GetYourGuide', note: '' },
+    ]);
+  });
+
+  it('矛盾した文を flagged として保存し、frontmatter に記録する', async () => {
+    const result = await checkArticle('tokken', 'kyoto.md');
+
+    expect(result.status).toBe('flagged');
+    expect(result.searched).toBe(false);
+    expect(result.claims[0]).toMatchObject({ sentence: 'ガイド歴15年の私が解説します。', status: 'conflict', fact: 'ガイド歴: 12年' });
+    expect(result.claims[2].status).toBe('unverified');
+
+    expect(getResult('tokken', 'kyoto')).toEqual(result);
+    const saved = fs.files[path.join(dir, 'articles', 'kyoto.md')];
+    expect(saved).toContain('fact_check_status: flagged');
+    expect(saved).toContain('fact_check_flags: 2');
+  });
+
+  it('web_search_key があれば未確認のサービス・規約を検索で裏付ける', async () => {
+    values['api.web_search_key'] = 'search-key';
+    values['api.web_search_provider'] = 'stub';
+    const search = vi.fn(async () => [{ title: 'Viator 規約', url: 'https://example.com/terms', snippet: '直接取引は禁止' }]);
+    registerSearchProvider('stub', search);
+    create
+      .mockResolvedValueOnce({
+        content: [{ text: JSON.stringify({ results: [{ id: 1, status: 'consistent' }, { id: 2, status: 'consistent' }, { id: 3, status: 'unverified' }] }) }],
+      })
+      .mockResolvedValueOnce({
+        content: [{ text: JSON.stringify({ results: [{ id: 3, status: 'consistent', fact: 'Viator 規約', reason: '検索結果と一致' }] }) }],
+      });
+
+    const result = await checkArticle('tokken', 'kyoto.md');
+
+    expect(search).toHaveBeenCalledWith('Viator の規約では直接取引が禁止されています。', 'search-key');
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls[1][0].messages[0].content).toContain('検索結果');
+    expect(result.searched).toBe(true);
+    expect(result.status).toBe('ok');
+    expect(result.claims[2].sources).toEqual(['https://example.com/terms']);
+  });
+
+  it('主張が無ければ API を呼ばずに ok', async () => {
+    fs.files[path.join(dir, 'articles', 'plain.md')] = '# タイトル\n\n前向きにいきましょう。';
+    const result = await checkArticle('tokken', 'plain.md');
+    expect(result).toMatchObject({ status: 'ok', claims: [] });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
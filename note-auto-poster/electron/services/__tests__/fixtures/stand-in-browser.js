@@ -0,0 +1,121 @@
+// note-editor.html を jsdom で開き、postArticle が使う Playwright の操作だけを再現するスタブ。
+// Chromium の無い環境（CI）でもスタンドインに投稿して window.__note を確かめられる。
+import { JSDOM, CookieJar } from 'jsdom';
+
+const HAS_TEXT = /^(.*):has-text\("(.+)"\)$/;
+
+// jsdom に無いクリップボード API（pasteHtml が使う分だけ）
+const CLIPBOARD_POLYFILL = `
+  window.DataTransfer = class DataTransfer {
+    constructor() { this._data = {}; }
+    setData(type, value) { this._data[type] = String(value); }
+    getData(type) { return this._data[type] ?? ''; }
+  };
+  window.ClipboardEvent = class ClipboardEvent extends Event {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.clipboardData = init.clipboardData ?? null;
+    }
+  };
+`;
+
+function isVisible(el) {
+  for (let node = el; node; node = node.parentElement) {
+    if (node.classList.contains('hidden')) return false;
+  }
+  return true;
+}
+
+/**
+ * @param {string} html - どの URL でも返すページ
+ * @returns {{ browser: object, page: object }} launchBrowser の戻り値と同じ形の browser と、その page
+ */
+export function createStandInBrowser(html) {
+  const cookieJar = new CookieJar();
+  let dom = null;
+  let pending = null;
+
+  // ページ遷移はスタンドインが window.__navigate に渡してくるので、ここで開き直す
+  function load(url) {
+    pending = url;
+    while (pending) {
+      const next = pending;
+      pending = null;
+      dom?.window.close();
+      dom = new JSDOM(html, {
+        url: next,
+        cookieJar,
+        runScripts: 'dangerously',
+        beforeParse(window) {
+          window.eval(CLIPBOARD_POLYFILL);
+          window.__navigate = (to) => { pending = new URL(to, window.location.href).href; };
+        },
+      });
+    }
+  }
+
+  function settle() {
+    if (pending) load(pending);
+  }
+
+  function queryAll(selector) {
+    const doc = dom.window.document;
+    const match = selector.match(HAS_TEXT);
+    if (!match) return [...doc.querySelectorAll(selector)];
+    return [...doc.querySelectorAll(match[1])].filter((el) => el.textContent.includes(match[2]));
+  }
+
+  // Playwright は見えている要素を待って操作する。スタブでは見えていなければ失敗にする
+  function find(selector) {
+    const el = queryAll(selector).find(isVisible);
+    if (!el) throw new Error(`スタンドインに表示中の要素がありません: ${selector}`);
+    return el;
+  }
+
+  function click(el) {
+    el.click();
+    settle();
+  }
+
+  const page = {
+    goto: async (url) => load(url),
+    url: () => dom.window.location.href,
+    waitForURL: async (predicate) => {
+      if (!predicate(new URL(page.url()))) throw new Error(`URL が変わりません: ${page.url()}`);
+    },
+    fill: async (selector, value) => {
+      const el = find(selector);
+      el.value = value;
+      el.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+    },
+    click: async (selector) => click(find(selector)),
+    setInputFiles: async (selector, file) => {
+      const el = find(selector);
+      Object.defineProperty(el, 'files', { value: [{ name: file.split(/[\\/]/).pop() }], configurable: true });
+    },
+    // Playwright と同じく関数をページ内で実行し、戻り値はシリアライズして返す
+    evaluate: async (fn, arg) => {
+      const result = dom.window.eval(`(${fn.toString()})`)(arg);
+      return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    },
+    locator: (selector) => ({
+      nth: (i) => ({ click: async () => click(queryAll(selector)[i]) }),
+      count: async () => queryAll(selector).length,
+      first: () => ({ getAttribute: async (name) => queryAll(selector)[0]?.getAttribute(name) ?? null }),
+    }),
+  };
+
+  const context = {
+    newPage: async () => page,
+    storageState: async () => {},
+  };
+
+  const browser = {
+    closed: false,
+    newContext: async () => context,
+    // 投稿後に window.__note を読むため、閉じてもページは残す
+    close: async () => { browser.closed = true; },
+  };
+
+  return { browser, page };
+}
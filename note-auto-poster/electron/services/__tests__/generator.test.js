@@ -0,0 +1,813 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+
+const { Generator, SYSTEM_PROMPT, callClaude, cancel, _setDepsForTesting } = await import('../generator.js');
+const db = await import('../../utils/db.js');
+const frontmatter = await import('../../utils/frontmatter.js');
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+// 使用量の記録と予算の確認（usage-tracker）
+const usage = { recordUsage: vi.fn(async () => null), assertWithinBudget: vi.fn(async () => {}) };
+_setDepsForTesting(usage);
+// 連載（series）の回ではないトピックとして扱う
+_setDepsForTesting({ seriesPrompt: () => '', describeSeries: () => null, attachToSeries: () => null });
+// 設定で編集したシステムプロンプトの版（system-prompt）
+_setDepsForTesting({ getSystemPrompt: () => ({ version: 1, text: SYSTEM_PROMPT }) });
+
+/**
+ * messages.stream の代わり。chunks を順に流し、signal で中断できる
+ * hold: true なら最後の chunk の後、中断されるまで待つ
+ * stopReason は生成の stop_reason、replies は文字数を合わせるパス（messages.create）の返答
+ */
+function createFakeClient({ chunks, hold = false, stopReason = 'end_turn', replies = [] }) {
+  const calls = [];
+  const client = {
+    messages: {
+      stream(params, { signal } = {}) {
+        calls.push(params);
+        const handlers = { text: [], streamEvent: [] };
+        const emit = (name, ...args) => handlers[name].forEach((h) => h(...args));
+        const finished = (async () => {
+          await Promise.resolve();
+          emit('streamEvent', { type: 'message_start', message: { usage: { input_tokens: 1200 } } });
+          let snapshot = '';
+          for (const chunk of chunks) {
+            if (signal?.aborted) throw new Error('Request was aborted.');
+            snapshot += chunk;
+            emit('streamEvent', { type: 'content_block_delta', delta: { type: 'text_delta', text: chunk } });
+            emit('text', chunk, snapshot);
+            await new Promise((resolve) => setTimeout(resolve, 0));
+          }
+          if (hold) {
+            await new Promise((_, reject) => {
+              if (signal.aborted) reject(new Error('Request was aborted.'));
+              signal.addEventListener('abort', () => reject(new Error('Request was aborted.')));
+            });
+          }
+          emit('streamEvent', { type: 'message_delta', usage: { output_tokens: 42 } });
+          return { content: [{ type: 'text', text: snapshot }], stop_reason: stopReason };
+        })();
+        return {
+          on(name, handler) {
+            handlers[name].push(handler);
+            return this;
+          },
+          finalMessage: () => finished,
+        };
+      },
+      async create(params) {
+        calls.push(params);
+        return {
+          content: [{ type: 'text', text: replies.shift() }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 2000, output_tokens: 300 },
+        };
+      },
+    },
+  };
+  return { client, calls };
+}
+
+describe('callClaude', () => {
+  it('本文を逐次受け取り、文字数とトークン数を onProgress に送る', async () => {
+    const { client, calls } = createFakeClient({ chunks: ['# 京都', 'ガイド\n\n', '本文'] });
+    const onProgress = vi.fn();
+
+    const result = await callClaude(client, 'claude-sonnet-4-5-20250929', '京都ガイド', '', '', null, '', { onProgress });
+
+    expect(result).toEqual({
+      text: '# 京都ガイド\n\n本文',
+      usage: { input_tokens: 1200, output_tokens: 42 },
+      promptVersion: expect.stringMatching(/^sha256:[0-9a-f]{12}$/),
+    });
+    expect(calls[0]).toMatchObject({ model: 'claude-sonnet-4-5-20250929', max_tokens: 8192 });
+    // 最初の chunk ですぐ送り、以降は間引く。最後に確定値を1回送る
+    expect(onProgress.mock.calls[0][0]).toEqual({ text: '# 京都', chars: 4, input_tokens: 1200, output_tokens: 1 });
+    expect(onProgress).toHaveBeenLastCalledWith({
+      text: '# 京都ガイド\n\n本文', chars: 11, input_tokens: 1200, output_tokens: 42,
+    });
+  });
+});
+
+describe('Generator の中止', () => {
+  let gen;
+  let topics;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.open(':memory:', { dataDir: path.join(os.tmpdir(), 'note-auto-poster-generator-test') });
+    const values = {
+      'api.anthropic_key': 'sk-test',
+      'api.generation_model': 'claude-sonnet-4-5-20250929',
+    };
+    _setDepsForTesting({
+      config: {
+        get: vi.fn(async (key) => values[key]),
+        set: vi.fn(async () => {}),
+        getAccount: vi.fn(async () => ({ display_name: 'とっけん' })),
+      },
+      logger: mockLogger,
+      db,
+      notify: vi.fn(async () => ({})),
+    });
+    topics = [
+      { id: 1, theme: '京都ガイドの1日', status: 'pending' },
+      { id: 2, theme: '奈良ガイドの1日', status: 'pending' },
+    ];
+    gen = new Generator();
+    gen.sm = {
+      readTopics: vi.fn(async () => topics),
+      updateTopicStatus: vi.fn(async () => {}),
+    };
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('中止するとトピックを pending に戻し、失敗として扱わない', async () => {
+    const { client } = createFakeClient({ chunks: ['# 京都'], hold: true });
+    _setDepsForTesting({ getClient: async () => client });
+    const onProgress = vi.fn(() => cancel('tokken'));
+
+    const result = await gen.runSingle('tokken', 1, null, { onProgress });
+
+    expect(result).toEqual({ success: false, cancelled: true });
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ accountId: 'tokken', topicId: 1, theme: '京都ガイドの1日' }));
+    expect(gen.sm.updateTopicStatus.mock.calls).toEqual([
+      ['tokken', 1, 'generating'],
+      ['tokken', 1, 'pending'],
+    ]);
+    expect(db.listGenerationRuns('tokken')[0]).toMatchObject({ mode: 'single', status: 'cancelled' });
+    expect(cancel('tokken')).toBe(0);
+  });
+
+  it('バッチは中止した時点で止まり、残りのトピックには手を付けない', async () => {
+    const { client } = createFakeClient({ chunks: ['# 京都'], hold: true });
+    _setDepsForTesting({ getClient: async () => client });
+    const onProgress = vi.fn(() => cancel('tokken'));
+
+    const summary = await gen.run('tokken', { onProgress });
+
+    expect(summary).toEqual({ generated: 0, errors: 0, results: [], cancelled: true });
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ topicId: 1, index: 0, total: 2 }));
+    expect(gen.sm.updateTopicStatus.mock.calls).toEqual([
+      ['tokken', 1, 'generating'],
+      ['tokken', 1, 'pending'],
+    ]);
+    expect(db.listGenerationRuns('tokken')[0]).toMatchObject({ mode: 'batch', status: 'cancelled' });
+  });
+});
+
+describe('修正指示での再生成', () => {
+  it('トピックの最新の記事を前回の原稿として同じファイルに書き直す', async () => {
+    const files = {
+      '京都ガイドの1日_1700000000000.md': '---\nstatus: generated\ntopic_id: 1\n---\n# 古い原稿\n\n本文',
+      '京都ガイドの1日_1800000000000.md': '---\nstatus: generated\ntopic_id: 1\n---\n# 新しい原稿\n\n本文',
+      '奈良ガイドの1日_1900000000000.md': '---\nstatus: generated\ntopic_id: 2\n---\n# 奈良\n\n本文',
+    };
+    const writeFileSync = vi.fn();
+    const regenerate = vi.fn(async (_, filename) => {
+      files[filename] = '---\nstatus: generated\ntopic_id: 1\nregenerate_count: 1\n---\n# 書き直した原稿\n\n本文';
+      return { action: 'regenerated', attempt: 1, status: 'generated' };
+    });
+    const getClient = vi.fn();
+    _setDepsForTesting({
+      fs: {
+        existsSync: vi.fn(() => true),
+        readdirSync: vi.fn(() => Object.keys(files)),
+        readFileSync: vi.fn((p) => files[path.basename(p)]),
+        writeFileSync,
+      },
+      logger: mockLogger,
+      getClient,
+      regenerate,
+    });
+    const gen = new Generator();
+    gen.sm = { readTopics: vi.fn(async () => []), updateTopicStatus: vi.fn(async () => {}) };
+
+    const result = await gen.runSingle('tokken', 1, '具体例を増やす');
+
+    expect(regenerate).toHaveBeenCalledWith('tokken', '京都ガイドの1日_1800000000000.md', { reason: '具体例を増やす', source: 'ui' });
+    expect(result).toMatchObject({
+      success: true,
+      regenerated: true,
+      attempt: 1,
+      article: { id: '京都ガイドの1日_1800000000000', title: '書き直した原稿', topic_id: 1, regenerate_count: 1 },
+    });
+    // 新しいファイルは作らない
+    expect(writeFileSync).not.toHaveBeenCalled();
+    expect(getClient).not.toHaveBeenCalled();
+    expect(gen.sm.updateTopicStatus).not.toHaveBeenCalled();
+
+    regenerate.mockResolvedValueOnce({ action: 'skipped' });
+    expect(await gen.runSingle('tokken', 1, 'もう一度')).toEqual({ success: false, skipped: true });
+  });
+});
+
+describe('Message Batches', () => {
+  let gen;
+  let files;
+  let notify;
+  let batches;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.open(':memory:', { dataDir: path.join(os.tmpdir(), 'note-auto-poster-generator-test') });
+    files = {};
+    notify = vi.fn(async () => ({}));
+    const values = {
+      'api.anthropic_key': 'sk-test',
+      'api.generation_model': 'claude-sonnet-4-5-20250929',
+      'api.use_batch': true,
+      'app.min_chars': 10,
+      'app.max_chars': 4000,
+    };
+    batches = {
+      create: vi.fn(async () => ({ id: 'msgbatch_01', processing_status: 'in_progress' })),
+      retrieve: vi.fn(async () => ({ processing_status: 'in_progress', request_counts: { processing: 2, succeeded: 0, errored: 0 } })),
+      results: vi.fn(async () => [
+        {
+          custom_id: 'topic-1',
+          result: {
+            type: 'succeeded',
+            message: {
+              model: 'claude-sonnet-4-5-20250929',
+              content: [{ type: 'text', text: '# 京都ガイドの1日\n\n本文' }],
+              usage: { input_tokens: 1500, output_tokens: 3200 },
+            },
+          },
+        },
+        {
+          custom_id: 'topic-2',
+          result: { type: 'errored', error: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } } },
+        },
+      ]),
+      cancel: vi.fn(async () => ({})),
+    };
+    _setDepsForTesting({
+      fs: {
+        existsSync: vi.fn(() => true),
+        mkdirSync: vi.fn(),
+        writeFileSync: vi.fn((p, data) => { files[path.basename(p)] = data; }),
+      },
+      config: {
+        get: vi.fn(async (key) => values[key]),
+        set: vi.fn(async () => {}),
+        getAccount: vi.fn(async () => ({ display_name: 'とっけん' })),
+      },
+      logger: mockLogger,
+      db,
+      notify,
+      getClient: async () => ({ messages: { batches } }),
+      postProcess: vi.fn(async () => ({ privacy: null, facts: null, scored: null })),
+    });
+    gen = new Generator();
+    gen.sm = {
+      readTopics: vi.fn(async () => [
+        { id: 1, theme: '京都ガイドの1日', status: 'pending', pillar: 'guide', keywords: '京都 ガイド', is_paid: true, price: 500, free_preview_ratio: 0.3 },
+        { id: 2, theme: '奈良ガイドの1日', status: 'pending', additional_instructions: '初心者向け' },
+        { id: 3, theme: '大阪ガイドの1日', status: 'generated' },
+      ]),
+      updateTopicStatus: vi.fn(async () => {}),
+    };
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('pending のテーマを1つのバッチで送り、バッチIDを記録する', async () => {
+    const result = await gen.run('tokken');
+
+    expect(result).toEqual({ batchId: 'msgbatch_01', submitted: 2, generated: 0, errors: 0, results: [] });
+    const { requests } = batches.create.mock.calls[0][0];
+    expect(requests.map((r) => r.custom_id)).toEqual(['topic-1', 'topic-2']);
+    expect(requests[1].params).toMatchObject({ model: 'claude-sonnet-4-5-20250929', max_tokens: 8192 });
+    expect(requests[1].params.messages[0].content).toContain('追加指示：初心者向け');
+    expect(gen.sm.updateTopicStatus.mock.calls).toEqual([
+      ['tokken', 1, 'generating'],
+      ['tokken', 2, 'generating'],
+    ]);
+    expect(gen.listOpenBatches('tokken')).toEqual([
+      expect.objectContaining({
+        batch_id: 'msgbatch_01',
+        topics: [expect.objectContaining({ id: 1, free_preview_ratio: 0.3 }), expect.objectContaining({ id: 2 })],
+      }),
+    ]);
+  });
+
+  it('処理中はリクエスト数だけ返し、終わったら結果を記事にしてシートに反映する', async () => {
+    await gen.run('tokken');
+    gen.sm.updateTopicStatus.mockClear();
+
+    expect(await gen.status('msgbatch_01')).toEqual({
+      batchId: 'msgbatch_01', status: 'in_progress', requestCounts: { processing: 2, succeeded: 0, errored: 0 },
+    });
+    expect(batches.results).not.toHaveBeenCalled();
+
+    batches.retrieve.mockResolvedValue({ processing_status: 'ended', request_counts: { processing: 0, succeeded: 1, errored: 1 } });
+    // 画面のポーリングとバックグラウンドのポーリングが重なっても1回だけ回収する
+    const [status] = await Promise.all([gen.status('msgbatch_01'), gen.pollBatches()]);
+
+    expect(status).toMatchObject({ status: 'ended', generated: 1, errors: 1 });
+    expect(batches.results).toHaveBeenCalledTimes(1);
+    const [filename] = Object.keys(files);
+    expect(filename).toMatch(/^京都ガイドの1日_\d+\.md$/);
+    const { metadata, body } = frontmatter.parse(files[filename]);
+    expect(metadata).toMatchObject({
+      topic_id: 1,
+      account_id: 'tokken',
+      pillar: 'guide',
+      is_paid: true,
+      price: 500,
+      free_preview_ratio: 0.3,
+      model: 'claude-sonnet-4-5-20250929',
+      status: 'generated',
+      tags: ['京都', 'ガイド'],
+      token_usage: { input: 1500, output: 3200 },
+      prompt_version: expect.stringMatching(/^sha256:/),
+      batch_id: 'msgbatch_01',
+      system_prompt_version: 1,
+      length: 11,
+      length_status: 'ok',
+    });
+    expect(body).toBe('# 京都ガイドの1日\n\n本文');
+    expect(gen.sm.updateTopicStatus.mock.calls).toEqual([
+      ['tokken', 1, 'generated'],
+      ['tokken', 2, 'error'],
+    ]);
+    expect(notify).toHaveBeenCalledWith('generation_finished', expect.objectContaining({ count: 1, errors: 1, title: '京都ガイドの1日' }));
+    expect(db.listGenerationRuns('tokken')[0]).toMatchObject({ mode: 'batch', status: 'success', result: { generated: 1, errors: 1 } });
+
+    // 回収済みのバッチは API に問い合わせずに結果を返す
+    batches.retrieve.mockClear();
+    expect(await gen.status('msgbatch_01')).toMatchObject({ status: 'ended', generated: 1, errors: 1 });
+    expect(batches.retrieve).not.toHaveBeenCalled();
+    expect(gen.listOpenBatches('tokken')).toEqual([]);
+  });
+
+  it('回収の途中で落ちても、記事にした分は次の回収で書き直さない', async () => {
+    await gen.run('tokken');
+    const [succeeded, errored] = await batches.results();
+    batches.retrieve.mockResolvedValue({ processing_status: 'ended', request_counts: { processing: 0, succeeded: 1, errored: 1 } });
+    batches.results.mockImplementationOnce(async () => (async function* () {
+      yield succeeded;
+      throw new Error('socket hang up');
+    })());
+
+    await expect(gen.status('msgbatch_01')).rejects.toThrow('socket hang up');
+    expect(Object.keys(files)).toHaveLength(1);
+    expect(db.getGenerationBatch('msgbatch_01').collected).toEqual({
+      'topic-1': expect.objectContaining({ topicId: 1, status: 'success' }),
+    });
+
+    for (const name of Object.keys(files)) delete files[name];
+    batches.results.mockResolvedValueOnce([succeeded, errored]);
+    expect(await gen.status('msgbatch_01')).toMatchObject({ status: 'ended', generated: 1, errors: 1 });
+    expect(files).toEqual({});
+    expect(db.listGenerationRuns('tokken')[0]).toMatchObject({ status: 'success', result: { generated: 1, errors: 1 } });
+  });
+});
+
+describe('柱ごとのプロンプト', () => {
+  // 同梱の electron/prompts/guide_ai.md を使う
+  it('トピックの柱の方針をシステムプロンプトに足して生成する', async () => {
+    const { client, calls } = createFakeClient({ chunks: ['# AIで台本', '\n\n本文'] });
+    const writeFileSync = vi.fn();
+    _setDepsForTesting({
+      fs: { existsSync: vi.fn(() => true), mkdirSync: vi.fn(), writeFileSync },
+      config: {
+        get: vi.fn(async (key) => ({
+          'api.anthropic_key': 'sk-test', 'api.generation_model': 'claude-sonnet-4-5-20250929', 'app.min_chars': 5, 'app.max_chars': 4000,
+        })[key]),
+        getAccount: vi.fn(async () => ({ persona: '現役ガイド', pillars: [{ id: 'guide_ai', name: 'AI効率化' }] })),
+      },
+      logger: mockLogger,
+      db: { recordGenerationRun: vi.fn(), finishGenerationRun: vi.fn() },
+      getClient: async () => client,
+      postProcess: vi.fn(async () => ({ privacy: null, facts: null, scored: null })),
+      getSystemPrompt: () => ({ version: 3, text: 'あなたは京都の現役ガイドです。' }),
+    });
+    const gen = new Generator();
+    gen.sm = {
+      readTopics: vi.fn(async () => [{ id: 1, theme: 'AIで台本を作る', pillar: 'guide_ai', free_preview_ratio: 0.2 }]),
+      updateTopicStatus: vi.fn(async () => {}),
+    };
+
+    const preview = await gen.previewPrompt('tokken', 1);
+    expect(preview.system).toMatch(/^あなたは京都の現役ガイドです。\n\n文字数は/);
+    expect(preview.systemPromptVersion).toBe(3);
+    expect(preview.system).toContain('## コンテンツ柱「AI効率化」の執筆方針\nこの記事は「AI効率化」の柱です。テーマは「AIで台本を作る」。');
+    expect(preview.system).toContain('- 想定読者: 現役ガイド');
+    expect(preview.system).toContain('無料エリアは全体の 20% 程度');
+    expect(preview.system).toContain('文字数は5〜4000文字に収めてください。');
+    expect(preview).toMatchObject({ file: 'guide_ai.md', unknown: [] });
+
+    const result = await gen.runSingle('tokken', 1);
+    expect(calls[0].system).toBe(preview.system);
+    expect(result.article).toMatchObject({ model: 'claude-sonnet-4-5-20250929', token_usage: { input: 1200, output: 42 } });
+
+    // 生成した記事の frontmatter にトピック・モデル・トークン数・プロンプトの版が残る
+    const { metadata, body } = frontmatter.parse(writeFileSync.mock.calls[0][1]);
+    expect(metadata).toEqual({
+      topic_id: 1,
+      account_id: 'tokken',
+      pillar: 'guide_ai',
+      is_paid: false,
+      price: 0,
+      free_preview_ratio: 0.2,
+      generated_at: expect.any(String),
+      model: 'claude-sonnet-4-5-20250929',
+      status: 'generated',
+      token_usage: { input: 1200, output: 42 },
+      prompt_version: `sha256:${crypto.createHash('sha256').update(preview.system).digest('hex').slice(0, 12)}`,
+      system_prompt_version: 3,
+      length: 8,
+      length_status: 'ok',
+    });
+    expect(body).toBe('# AIで台本\n\n本文');
+  });
+});
+
+describe('文字数', () => {
+  let writeFileSync;
+  let gen;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    writeFileSync = vi.fn();
+    gen = new Generator();
+    gen.sm = {
+      readTopics: vi.fn(async () => [{ id: 1, theme: '京都ガイドの1日' }]),
+      updateTopicStatus: vi.fn(async () => {}),
+    };
+  });
+
+  function setup(client) {
+    _setDepsForTesting({
+      fs: { existsSync: vi.fn(() => true), mkdirSync: vi.fn(), writeFileSync },
+      config: {
+        get: vi.fn(async (key) => ({
+          'api.anthropic_key': 'sk-test', 'api.generation_model': 'claude-sonnet-4-5-20250929', 'app.min_chars': 20, 'app.max_chars': 100,
+        })[key]),
+        getAccount: vi.fn(async () => ({})),
+      },
+      logger: mockLogger,
+      db: { recordGenerationRun: vi.fn(), finishGenerationRun: vi.fn() },
+      getClient: async () => client,
+      postProcess: vi.fn(async () => ({ privacy: null, facts: null, scored: null })),
+    });
+  }
+
+  it('max_tokens で切れた記事は続きを書かせてから保存し、トークン数を合算する', async () => {
+    const { client, calls } = createFakeClient({
+      chunks: ['# 京都\n\n', 'あ'.repeat(15)], stopReason: 'max_tokens', replies: [`${'い'.repeat(10)}。`],
+    });
+    setup(client);
+
+    const result = await gen.runSingle('tokken', 1);
+
+    expect(calls[1].messages[1]).toEqual({ role: 'assistant', content: `# 京都\n\n${'あ'.repeat(15)}` });
+    expect(result.article).toMatchObject({
+      body: `# 京都\n\n${'あ'.repeat(15)}\n${'い'.repeat(10)}。`,
+      length: 29,
+      length_status: 'ok',
+      token_usage: { input: 3200, output: 342 },
+    });
+    const { metadata } = frontmatter.parse(writeFileSync.mock.calls[0][1]);
+    expect(metadata).toMatchObject({ length: 29, length_status: 'ok', length_passes: ['continue'] });
+  });
+
+  it('範囲に収められなかった記事はそのまま保存して length_status で知らせる', async () => {
+    const { client } = createFakeClient({ chunks: ['# 京都'], replies: ['短い', '短い', '短い'] });
+    setup(client);
+
+    const result = await gen.runSingle('tokken', 1);
+
+    expect(result.article).toMatchObject({ length_status: 'too_short' });
+    const { metadata } = frontmatter.parse(writeFileSync.mock.calls[0][1]);
+    expect(metadata).toMatchObject({ length_status: 'too_short', length_passes: ['expand', 'expand', 'expand'] });
+  });
+});
+
+describe('アウトラインから生成', () => {
+  const outlineJson = JSON.stringify({
+    title_candidates: ['京都ガイドの失敗3選', '京都ガイドで学んだこと'],
+    pain_points: ['お客様が迷子になる'],
+    free_sample: '集合場所の失敗',
+    paid_items: [
+      { title: '集合場所を間違えた', situation: '朝の京都駅', problem: '改札が違った' },
+      { title: '雨で予定が崩れた', situation: '嵐山', weapon: '雨プラン' },
+    ],
+    closing: '失敗は武器になる',
+  });
+  let files;
+  let notify;
+  let gen;
+  let calls;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.open(':memory:', { dataDir: path.join(os.tmpdir(), 'note-auto-poster-generator-test') });
+    files = {};
+    notify = vi.fn(async () => ({}));
+    calls = [];
+    const client = {
+      messages: {
+        async create(params) {
+          calls.push(params);
+          const content = params.messages[0].content;
+          const text = content.includes('今回はアウトラインだけ') ? outlineJson : `セクション${calls.length}`;
+          return { content: [{ type: 'text', text }], stop_reason: 'end_turn', usage: { input_tokens: 100, output_tokens: 10 } };
+        },
+      },
+    };
+    _setDepsForTesting({
+      fs: {
+        existsSync: vi.fn(() => true),
+        mkdirSync: vi.fn(),
+        writeFileSync: vi.fn((p, data) => { files[path.basename(p)] = data; }),
+      },
+      config: {
+        get: vi.fn(async (key) => ({
+          'api.anthropic_key': 'sk-test',
+          'api.generation_model': 'claude-sonnet-4-5-20250929',
+          'api.outline_first': true,
+          'app.min_chars': 10,
+          'app.max_chars': 4000,
+        })[key]),
+        set: vi.fn(async () => {}),
+        getAccount: vi.fn(async () => ({})),
+      },
+      logger: mockLogger,
+      db,
+      notify,
+      getClient: async () => client,
+      postProcess: vi.fn(async () => ({ privacy: null, facts: null, scored: null })),
+    });
+    gen = new Generator();
+    gen.sm = {
+      readTopics: vi.fn(async () => [{ id: 1, theme: '京都ガイドの1日', status: 'pending', is_paid: true, price: 500 }]),
+      updateTopicStatus: vi.fn(async () => {}),
+    };
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('最初はアウトラインだけを作り、承認待ちで保存する', async () => {
+    const result = await gen.runSingle('tokken', 1);
+
+    expect(result.success).toBe(true);
+    expect(result.outline).toMatchObject({
+      status: 'pending',
+      topic_id: '1',
+      outline: { title: '京都ガイドの失敗3選', paid_items: [{ title: '集合場所を間違えた' }, { title: '雨で予定が崩れた' }] },
+      usage: { input_tokens: 100, output_tokens: 10 },
+    });
+    expect(calls).toHaveLength(1);
+    expect(Object.keys(files)).toHaveLength(0);
+    expect(gen.sm.updateTopicStatus).toHaveBeenLastCalledWith('tokken', 1, 'outlined');
+    expect(gen.getOutlineForTopic('tokken', 1).id).toBe(result.outline.id);
+    expect(notify).toHaveBeenCalledWith('outline_ready', { accountId: 'tokken', theme: '京都ガイドの1日', count: 1 });
+  });
+
+  it('承認したアウトラインをセクションごとに書き、有料ラインを入れて保存する', async () => {
+    const { outline } = await gen.runSingle('tokken', 1);
+    const edited = { ...outline.outline, title: '京都ガイドで学んだこと' };
+    const onProgress = vi.fn();
+
+    const result = await gen.approveOutline(outline.id, { outline: edited, onProgress });
+
+    // アウトライン + 無料エリア・項目2つ・締め
+    expect(calls).toHaveLength(5);
+    expect(calls[2].messages[0].content).toContain('# 京都ガイドで学んだこと');
+    expect(calls[2].messages[0].content).toContain('有料パートの項目 1「集合場所を間違えた」');
+    expect(calls[2].messages[0].content).toContain('セクション2\n\n<!-- paid-line -->');
+    expect(onProgress).toHaveBeenCalledTimes(4);
+    expect(result.article).toMatchObject({
+      body: 'セクション2\n\n<!-- paid-line -->\n\nセクション3\n\nセクション4\n\nセクション5',
+      token_usage: { input: 500, output: 50 },
+    });
+    const { metadata } = frontmatter.parse(Object.values(files)[0]);
+    expect(metadata).toMatchObject({ outline_id: outline.id, is_paid: true, token_usage: { input: 500, output: 50 } });
+    expect(db.getGenerationOutline(outline.id)).toMatchObject({
+      status: 'expanded', outline: { title: '京都ガイドで学んだこと' }, filename: Object.keys(files)[0],
+    });
+    // 2回目の承認（Inbox と Telegram）は受け付けない
+    await expect(gen.approveOutline(outline.id)).rejects.toThrow('承認待ちではありません');
+  });
+
+  it('却下するとテーマを未生成に戻す', async () => {
+    const { outline } = await gen.runSingle('tokken', 1);
+
+    await gen.rejectOutline(outline.id);
+
+    expect(db.getGenerationOutline(outline.id).status).toBe('rejected');
+    expect(gen.sm.updateTopicStatus).toHaveBeenLastCalledWith('tokken', 1, 'pending');
+    expect(gen.getOutlineForTopic('tokken', 1)).toBeNull();
+  });
+});
+
+describe('逐次のバッチ生成（並列・再試行・再開）', () => {
+  let gen;
+  let values;
+  let sleep;
+  let topics;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.open(':memory:', { dataDir: path.join(os.tmpdir(), 'note-auto-poster-generator-test') });
+    values = {
+      'api.anthropic_key': 'sk-test',
+      'api.generation_model': 'claude-sonnet-4-5-20250929',
+      'api.concurrency': 2,
+      'app.min_chars': 1,
+      'app.max_chars': 4000,
+    };
+    sleep = vi.fn(async () => {});
+    topics = [
+      { id: 1, theme: '京都ガイドの1日', status: 'pending' },
+      { id: 2, theme: '奈良ガイドの1日', status: 'pending' },
+      { id: 3, theme: '大阪ガイドの1日', status: 'pending' },
+    ];
+    _setDepsForTesting({
+      fs: { existsSync: vi.fn(() => true), mkdirSync: vi.fn(), writeFileSync: vi.fn() },
+      config: {
+        get: vi.fn(async (key) => values[key]),
+        set: vi.fn(async () => {}),
+        getAccount: vi.fn(async () => ({})),
+        getActiveAccounts: vi.fn(async () => [{ id: 'tokken' }]),
+      },
+      logger: mockLogger,
+      db,
+      notify: vi.fn(async () => ({})),
+      sleep,
+      postProcess: vi.fn(async () => ({ privacy: null, facts: null, scored: null })),
+    });
+    gen = new Generator();
+    gen.sm = {
+      readTopics: vi.fn(async () => topics),
+      updateTopicStatus: vi.fn(async () => {}),
+    };
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  /**
+   * createFakeClient の stream を包み、同時に流れている数を数える。failures の順に最初の呼び出しを失敗させる
+   */
+  function createPoolClient(failures = []) {
+    const { client } = createFakeClient({ chunks: ['# 記事\n\n', '本文'] });
+    const stream = client.messages.stream.bind(client.messages);
+    const counter = { inFlight: 0, max: 0 };
+    client.messages.stream = (params, options) => {
+      const failure = failures.shift();
+      if (failure) {
+        return { on() { return this; }, finalMessage: () => Promise.reject(failure) };
+      }
+      const inner = stream(params, options);
+      counter.inFlight += 1;
+      counter.max = Math.max(counter.max, counter.inFlight);
+      const finished = inner.finalMessage().finally(() => { counter.inFlight -= 1; });
+      return {
+        on(name, handler) {
+          inner.on(name, handler);
+          return this;
+        },
+        finalMessage: () => finished,
+      };
+    };
+    _setDepsForTesting({ getClient: async () => client });
+    return counter;
+  }
+
+  function apiError(status, message, headers = {}) {
+    return Object.assign(new Error(message), { status, headers });
+  }
+
+  it('api.concurrency の数だけ同時に書き、トピックごとの状態を送る', async () => {
+    const counter = createPoolClient();
+    const onProgress = vi.fn();
+
+    const summary = await gen.run('tokken', { onProgress });
+
+    expect(summary).toMatchObject({ generated: 3, errors: 0 });
+    expect(counter.max).toBe(2);
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({
+      topics: [
+        expect.objectContaining({ topicId: 1, state: 'done' }),
+        expect.objectContaining({ topicId: 2, state: 'done' }),
+        expect.objectContaining({ topicId: 3, state: 'done' }),
+      ],
+    }));
+    expect(db.listGenerationRuns('tokken')[0]).toMatchObject({
+      status: 'success',
+      progress: { topicIds: [1, 2, 3], results: expect.arrayContaining([expect.objectContaining({ topicId: 3, status: 'success' })]) },
+    });
+  });
+
+  it('レート制限と過負荷は待って再試行し、それ以外のエラーはそのトピックを失敗にする', async () => {
+    values['api.concurrency'] = 1;
+    createPoolClient([
+      apiError(429, 'rate limited', { 'retry-after': '3' }),
+      Object.assign(new Error('Overloaded'), { error: { type: 'error', error: { type: 'overloaded_error' } } }),
+      null,
+      apiError(400, 'invalid request'),
+    ]);
+    const onProgress = vi.fn();
+
+    const summary = await gen.run('tokken', { onProgress });
+
+    expect(sleep).toHaveBeenCalledTimes(2);
+    expect(sleep.mock.calls[0][0]).toBe(3000);
+    // retry-after が無ければ 5 秒から倍々（+ 1 秒未満のゆらぎ）
+    expect(sleep.mock.calls[1][0]).toBeGreaterThanOrEqual(10000);
+    expect(sleep.mock.calls[1][0]).toBeLessThan(11000);
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({
+      topics: expect.arrayContaining([expect.objectContaining({ topicId: 1, state: 'retrying', attempt: 2 })]),
+    }));
+    expect(summary).toMatchObject({ generated: 2, errors: 1 });
+    expect(summary.results.find((r) => r.status === 'error')).toMatchObject({ topicId: 2, error: 'invalid request' });
+  });
+
+  it('記事ごとに使用量を記録し、予算に達したら残りのトピックを書かずに止める', async () => {
+    values['api.concurrency'] = 1;
+    createPoolClient();
+    const budgetError = Object.assign(new Error('今日の予算 $5 に達しました'), { code: 'BUDGET_EXCEEDED' });
+    // 実行前・1件目の前は予算内、2件目の前に上限に達する
+    usage.assertWithinBudget.mockResolvedValueOnce().mockResolvedValueOnce().mockRejectedValueOnce(budgetError);
+
+    const summary = await gen.run('tokken');
+
+    expect(summary).toMatchObject({ generated: 1, errors: 0, budgetExceeded: '今日の予算 $5 に達しました' });
+    expect(gen.sm.updateTopicStatus).not.toHaveBeenCalledWith('tokken', 2, expect.anything());
+    expect(gen.sm.updateTopicStatus).not.toHaveBeenCalledWith('tokken', 3, expect.anything());
+    expect(usage.recordUsage).toHaveBeenCalledTimes(1);
+    expect(usage.recordUsage).toHaveBeenCalledWith(expect.objectContaining({
+      accountId: 'tokken', articleId: expect.stringMatching(/\.md$/), purpose: 'generation', model: 'claude-sonnet-4-5-20250929',
+      usage: expect.objectContaining({ input_tokens: expect.any(Number) }),
+    }));
+  });
+
+  it('予算に達していたらバッチ生成を始めない', async () => {
+    usage.assertWithinBudget.mockRejectedValueOnce(new Error('今月の予算 $50 に達しました'));
+
+    await expect(gen.run('tokken')).rejects.toThrow('今月の予算 $50 に達しました');
+    expect(gen.sm.updateTopicStatus).not.toHaveBeenCalled();
+    expect(db.listGenerationRuns('tokken')).toEqual([]);
+  });
+
+  it('中断したバッチ生成は結果の無いトピックだけを書いて再開する', async () => {
+    createPoolClient();
+    const runId = db.startGenerationRun('tokken', {
+      mode: 'batch',
+      progress: { topicIds: [1, 2, 3], results: [{ topic: '京都ガイドの1日', topicId: 1, status: 'success' }] },
+    });
+    db.interruptGenerationRuns();
+
+    const summary = await gen.run('tokken', { resumeRunId: runId });
+
+    expect(gen.sm.updateTopicStatus.mock.calls.filter((c) => c[2] === 'generating').map((c) => c[1])).toEqual([2, 3]);
+    expect(summary).toMatchObject({ generated: 3, errors: 0 });
+    expect(db.getGenerationRun(runId)).toMatchObject({ status: 'success' });
+    await expect(gen.run('tokken', { resumeRunId: runId })).rejects.toThrow('再開できるバッチ生成が見つかりません');
+  });
+
+  it('起動時に、落ちたときのまま generating のトピックを戻す（Message Batch の回収待ちは除く）', async () => {
+    topics = [
+      { id: 1, theme: '京都ガイドの1日', status: 'generating' },
+      { id: 2, theme: '奈良ガイドの1日', status: 'generating' },
+      { id: 3, theme: '大阪ガイドの1日', status: 'generating' },
+      { id: 4, theme: '神戸ガイドの1日', status: 'generated' },
+    ];
+    const runId = db.startGenerationRun('tokken', { mode: 'batch', progress: { topicIds: [1], results: [] } });
+    db.saveGenerationBatch('tokken', { batchId: 'msgbatch_01', topics: [{ custom_id: 'topic-2', id: 2 }] });
+    const outlineId = db.saveGenerationOutline('tokken', { topic: topics[2], outline: { title: '大阪' } });
+    db.updateGenerationOutline(outlineId, { status: 'approved' });
+
+    const result = await gen.recoverInterrupted();
+
+    expect(result).toEqual({
+      interrupted: 1,
+      reset: [
+        { accountId: 'tokken', topicId: 1, status: 'pending' },
+        { accountId: 'tokken', topicId: 3, status: 'outlined' },
+      ],
+    });
+    expect(gen.sm.updateTopicStatus.mock.calls).toEqual([
+      ['tokken', 1, 'pending'],
+      ['tokken', 3, 'outlined'],
+    ]);
+    expect(db.getGenerationOutline(outlineId).status).toBe('pending');
+    expect(gen.listInterruptedRuns('tokken').map((r) => r.id)).toEqual([runId]);
+  });
+});
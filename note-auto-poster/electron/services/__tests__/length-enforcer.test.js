@@ -0,0 +1,131 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const {
+  countChars, getLengthRange, enforceLength, MAX_PASSES, _setDepsForTesting,
+} = await import('../length-enforcer.js');
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+const range = { min: 100, max: 200 };
+
+/**
+ * messages.create の代わり。replies を順に返し、受け取った params を calls に残す
+ */
+function createFakeClient(replies) {
+  const calls = [];
+  const client = {
+    messages: {
+      create: vi.fn(async (params) => {
+        calls.push(params);
+        const reply = typeof replies[0] === 'function' ? replies[0](params) : replies[0];
+        if (replies.length > 1) replies.shift();
+        const { text, stopReason = 'end_turn' } = typeof reply === 'string' ? { text: reply } : reply;
+        return {
+          content: [{ type: 'text', text }],
+          stop_reason: stopReason,
+          usage: { input_tokens: 100, output_tokens: 10 },
+        };
+      }),
+    },
+  };
+  return { client, calls };
+}
+
+const base = { model: 'claude-sonnet-4-5-20250929', system: 'システム', user: '京都ガイドの1日', range };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  _setDepsForTesting({ logger: mockLogger });
+});
+
+describe('countChars', () => {
+  it('空白と HTML コメントは数えない', () => {
+    expect(countChars('# 京都\n\nあい う\n<!-- paid-line -->\nえ')).toBe(7);
+    expect(countChars('')).toBe(0);
+  });
+});
+
+describe('getLengthRange', () => {
+  it('設定画面の app.min_chars / max_chars を優先し、無ければ article.* と既定値を使う', async () => {
+    const config = (values) => ({ get: vi.fn(async (key) => values[key]) });
+    expect(await getLengthRange(config({ 'app.min_chars': 2000, 'app.max_chars': 3000, 'article.min_length': 1 }))).toEqual({ min: 2000, max: 3000 });
+    expect(await getLengthRange(config({ 'article.min_length': 1000, 'article.max_length': 2500 }))).toEqual({ min: 1000, max: 2500 });
+    expect(await getLengthRange(config({}))).toEqual({ min: 1500, max: 4000 });
+    // 上限が下限以下の設定は使わない
+    expect(await getLengthRange(config({ 'app.min_chars': 3000, 'app.max_chars': 2000 }))).toEqual({ min: 1500, max: 4000 });
+  });
+});
+
+describe('enforceLength', () => {
+  it('範囲内の記事には何もしない', async () => {
+    const { client } = createFakeClient(['']);
+    const text = `# 京都\n${'あ'.repeat(150)}`;
+    expect(await enforceLength({ ...base, client, text, stopReason: 'end_turn' })).toEqual({
+      text, length: 153, status: 'ok', passes: [], usage: null,
+    });
+    expect(client.messages.create).not.toHaveBeenCalled();
+  });
+
+  it('max_tokens で切れた記事は同じ会話で続きを書かせる', async () => {
+    const { client, calls } = createFakeClient([`${'い'.repeat(50)}。\n\n## まとめ\n${'う'.repeat(30)}`]);
+    const text = `# 京都\n\n${'あ'.repeat(60)}\n`;
+
+    const result = await enforceLength({ ...base, client, text, stopReason: 'max_tokens' });
+
+    expect(calls[0].system).toBe('システム');
+    expect(calls[0].messages.map((m) => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(calls[0].messages[0].content).toBe('京都ガイドの1日');
+    // assistant の原稿は末尾の空白を落として渡す（API が受け付けないため）
+    expect(calls[0].messages[1].content).toBe(`# 京都\n\n${'あ'.repeat(60)}`);
+    expect(result.text).toBe(`# 京都\n\n${'あ'.repeat(60)}\n${'い'.repeat(50)}。\n\n## まとめ\n${'う'.repeat(30)}`);
+    expect(result).toMatchObject({ status: 'ok', passes: ['continue'], usage: { input_tokens: 100, output_tokens: 10 } });
+  });
+
+  it('短すぎる記事は締めの見出しの前にセクションを足す', async () => {
+    const { client, calls } = createFakeClient([`## 追加の事例\n${'か'.repeat(60)}`]);
+    const text = `# 京都\n\n## 導入\n${'あ'.repeat(40)}\n\n## まとめ\n${'う'.repeat(20)}`;
+
+    const result = await enforceLength({ ...base, client, text, stopReason: 'end_turn' });
+
+    expect(calls[0].messages[2].content).toContain('この記事は 72 文字で、目標（100〜200 文字）に足りません。');
+    expect(result.text).toBe(
+      `# 京都\n\n## 導入\n${'あ'.repeat(40)}\n\n## 追加の事例\n${'か'.repeat(60)}\n\n## まとめ\n${'う'.repeat(20)}`,
+    );
+    expect(result).toMatchObject({ status: 'ok', passes: ['expand'] });
+  });
+
+  it('長すぎる記事は見出しごとに縮め、見出しと有料ラインと短いセクションはそのまま残す', async () => {
+    const longRange = { min: 100, max: 300 };
+    const { client, calls } = createFakeClient([
+      (params) => (params.messages[0].content.includes('あ') ? `## 導入\n${'あ'.repeat(80)}` : 'え'.repeat(90)),
+    ]);
+    const text = [
+      '# 京都', '', '## 導入', 'あ'.repeat(250), '', '<!-- paid-line -->', '', '## 本編', 'え'.repeat(250), '', '## まとめ', 'お'.repeat(20),
+    ].join('\n');
+
+    const result = await enforceLength({ ...base, range: longRange, client, text, stopReason: 'end_turn' });
+
+    // 「# 京都」「## まとめ」は 200 文字未満、有料ラインは縮めない
+    expect(calls).toHaveLength(2);
+    expect(calls[0].messages[0].content).toContain('次の記事のセクションを約 128 文字（今は 254 文字）に縮めてください。');
+    // 見出しを落とした返答には元の見出しを付け直す
+    expect(result.text).toBe([
+      '# 京都', '', '## 導入', 'あ'.repeat(80), '', '<!-- paid-line -->', '', '## 本編', 'え'.repeat(90), '', '## まとめ', 'お'.repeat(20),
+    ].join('\n'));
+    expect(result).toMatchObject({ status: 'ok', passes: ['condense'], usage: { input_tokens: 200, output_tokens: 20 } });
+  });
+
+  it(`${MAX_PASSES} 回で範囲に入らなければ状態を返して知らせる`, async () => {
+    const { client } = createFakeClient([{ text: 'い'.repeat(10), stopReason: 'max_tokens' }]);
+
+    const result = await enforceLength({ ...base, client, text: 'あ'.repeat(20), stopReason: 'max_tokens' });
+
+    expect(client.messages.create).toHaveBeenCalledTimes(MAX_PASSES);
+    expect(result).toMatchObject({
+      status: 'truncated', length: 50, passes: ['continue', 'continue', 'continue'], usage: { input_tokens: 300, output_tokens: 30 },
+    });
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      'length', '文字数を範囲に収められませんでした: truncated 50 文字（100〜200）', { model: base.model },
+    );
+  });
+});
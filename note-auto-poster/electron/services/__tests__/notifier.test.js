@@ -0,0 +1,218 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import net from 'net';
+
+const { Notifier, _internal, _setDepsForTesting } = await import('../notifier.js');
+const smtp = await import('../../utils/smtp.js');
+const { resolveRoutes, formatMessage } = _internal;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+/**
+ * テスト用の SMTP サーバー。受け取ったコマンドとメール本文を記録する
+ */
+function startSmtpServer({ auth = false, rejectRecipients = false } = {}) {
+  const received = { commands: [], data: '' };
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 localhost test\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf-8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            received.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        received.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write(`250-localhost\r\n${auth ? '250-AUTH PLAIN\r\n' : ''}250 8BITMIME\r\n`);
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else if (line.startsWith('RCPT') && rejectRecipients) socket.write('550 no such user\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') {
+          socket.write('221 bye\r\n');
+          socket.end();
+        } else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+  });
+}
+
+// MIME エンコードされた件名（B / Q、折り返しあり）を戻す
+function decodeSubject(data) {
+  const [headers] = data.split('\r\n\r\n');
+  const value = headers.replace(/\r\n[ \t]+/g, ' ').match(/^Subject: (.*)$/m)[1];
+  const words = [...value.matchAll(/=\?UTF-8\?([BQ])\?([^?]*)\?=/gi)].map(([, encoding, text]) => (
+    encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1')
+  ));
+  return Buffer.concat(words).toString('utf-8');
+}
+
+function decodeBody(data) {
+  const [, body] = data.split('\r\n\r\n');
+  return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf-8');
+}
+
+describe('resolveRoutes', () => {
+  it('未設定のイベントは既定の送り先、未知のチャネルは除く', () => {
+    const routes = resolveRoutes({ posted: ['email', 'fax'], approved: [] });
+    expect(routes.posted).toEqual(['email']);
+    expect(routes.approved).toEqual([]);
+    expect(routes.generation_failed).toEqual(['desktop', 'telegram']);
+  });
+});
+
+describe('formatMessage', () => {
+  it('エスカレーションは再生成回数と却下理由を伝える', () => {
+    const message = formatMessage('review_needed', {
+      accountId: 'tokken', title: '京都ガイド', escalated: true, attempts: 3, reason: 'トーンが暗い',
+    });
+    expect(message.title).toBe('記事の確認が必要です');
+    expect(message.text).toContain('[tokken] 記事の確認が必要です');
+    expect(message.text).toContain('3 回再生成しても');
+    expect(message.text).toContain('最後の却下理由: トーンが暗い');
+  });
+});
+
+describe('Notifier', () => {
+  let settings;
+  let showDesktop;
+  let telegram;
+  let fetchMock;
+  let sendMail;
+  let notifier;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    settings = {
+      channels: {
+        telegram: { enabled: true },
+        webhook: { enabled: true, url: 'https://hooks.example.com/note' },
+        email: { enabled: false },
+      },
+      routes: {
+        posted: ['desktop', 'telegram', 'webhook', 'email'],
+      },
+    };
+    showDesktop = vi.fn();
+    telegram = { notifyArticle: vi.fn(async () => ({ success: true })) };
+    fetchMock = vi.fn(async () => ({ ok: true, status: 200 }));
+    sendMail = vi.fn(async () => ({ accepted: ['me@example.com'] }));
+    _setDepsForTesting({
+      logger: mockLogger,
+      config: { get: vi.fn(async (key) => (key === 'notifications' ? settings : undefined)) },
+      showDesktop,
+      getTelegram: () => telegram,
+      fetch: fetchMock,
+      sendMail,
+    });
+    notifier = new Notifier();
+  });
+
+  it('イベントを送り先のうち有効なチャネルに届ける', async () => {
+    const payload = {
+      accountId: 'tokken', filename: 'kyoto.md', title: '京都ガイドの1日', url: 'https://note.com/tokken/n/n1', status: 'public',
+    };
+    const result = await notifier.notify('posted', payload);
+
+    expect(result).toEqual({ event: 'posted', delivered: ['desktop', 'telegram', 'webhook'], failed: [] });
+    expect(showDesktop).toHaveBeenCalledWith({
+      title: 'note に投稿しました', body: '「京都ガイドの1日」\nhttps://note.com/tokken/n/n1',
+    });
+    expect(telegram.notifyArticle).toHaveBeenCalledWith('tokken', 'kyoto.md', expect.stringContaining('note に投稿しました'));
+    expect(sendMail).not.toHaveBeenCalled();
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/note');
+    expect(JSON.parse(init.body)).toMatchObject({ event: 'posted', title: 'note に投稿しました', payload });
+  });
+
+  it('チャネルの失敗は記録して、ほかのチャネルには送り続ける', async () => {
+    showDesktop.mockImplementation(() => { throw new Error('デスクトップ通知に対応していません'); });
+    fetchMock.mockResolvedValue({ ok: false, status: 500 });
+
+    const result = await notifier.notify('posted', { accountId: 'tokken', title: 'a', url: 'u' });
+
+    expect(result.delivered).toEqual(['telegram']);
+    expect(result.failed).toEqual([
+      { channel: 'desktop', error: 'デスクトップ通知に対応していません' },
+      { channel: 'webhook', error: 'Webhook 500' },
+    ]);
+    expect(mockLogger.error).toHaveBeenCalledWith('notifier', expect.stringContaining('webhook'), { accountId: 'tokken' });
+  });
+
+  it('ルートを設定していないイベントは既定の送り先（デスクトップ）に届く', async () => {
+    const handler = vi.fn();
+    notifier.on('notified', handler);
+    const result = await notifier.notify('sync_failed', { accountId: 'tokken', filename: 'a.md', error: 'GitHub API 401' });
+    expect(result.delivered).toEqual(['desktop']);
+    expect(showDesktop).toHaveBeenCalledWith({ title: 'GitHub への同期に失敗しました', body: 'a.md: GitHub API 401' });
+    expect(handler).toHaveBeenCalledWith(result);
+  });
+
+  it('テスト送信は無効なチャネルにも送る', async () => {
+    const result = await notifier.test('email', { host: 'localhost', port: 2525, from: 'a@example.com', to: 'me@example.com' });
+    expect(result).toEqual({ success: true });
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      host: 'localhost', port: 2525, subject: '[note AutoPoster] テスト通知',
+    }));
+    expect(await notifier.test('pager')).toEqual({ success: false, error: '未知のチャネル: pager' });
+  });
+
+  describe('メール（ローカルの SMTP サーバー）', () => {
+    let smtpServer;
+
+    afterEach(() => new Promise((resolve) => smtpServer.server.close(resolve)));
+
+    it('SMTP でイベントのメールを送る', async () => {
+      smtpServer = await startSmtpServer({ auth: true });
+      settings.channels.email = {
+        enabled: true, host: '127.0.0.1', port: smtpServer.port,
+        user: 'bot', pass: 'secret', from: 'AutoPoster <bot@example.com>', to: 'me@example.com, you@example.com',
+      };
+      settings.routes = { budget_exceeded: ['email'] };
+      _setDepsForTesting({ sendMail: smtp.sendMail });
+
+      const result = await notifier.notify('budget_exceeded', {
+        accountId: 'tokken', period: '今月', spent: 52.1, budget: 50,
+      });
+
+      expect(result).toEqual({ event: 'budget_exceeded', delivered: ['email'], failed: [] });
+      const { commands, data } = smtpServer.received;
+      expect(commands).toEqual([
+        expect.stringMatching(/^EHLO /),
+        `AUTH PLAIN ${Buffer.from('\u0000bot\u0000secret').toString('base64')}`,
+        'MAIL FROM:<bot@example.com>',
+        'RCPT TO:<me@example.com>',
+        'RCPT TO:<you@example.com>',
+        'DATA',
+      ]);
+      expect(data).toContain('To: me@example.com, you@example.com');
+      expect(decodeSubject(data)).toBe('[note AutoPoster] API の利用額が予算を超えました');
+      expect(decodeBody(data)).toBe('[tokken] API の利用額が予算を超えました\n今月の利用額 $52.1 が予算 $50 を超えました');
+    });
+
+    it('SMTP サーバーが拒否したら失敗として返す', async () => {
+      smtpServer = await startSmtpServer({ rejectRecipients: true });
+
+      await expect(smtp.sendMail({
+        host: '127.0.0.1', port: smtpServer.port, from: 'bot@example.com', to: 'nobody@example.com', subject: 's', text: 't',
+      })).rejects.toThrow(/^メールを送信できませんでした: .*550 no such user/);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const {
+  parseOutline, normalizeOutline, formatOutline, reviseOutline, _setDepsForTesting,
+} = await import('../outliner.js');
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+const outline = {
+  title: '京都ガイドの失敗3選',
+  title_candidates: ['京都ガイドの失敗3選', '京都ガイドで学んだこと'],
+  pain_points: ['お客様が迷子になる'],
+  free_sample: '集合場所の失敗',
+  paid_items: [{
+    title: '集合場所を間違えた',
+    situation: '朝の京都駅',
+    problem: '改札が違った',
+    reaction: '',
+    response: '',
+    prevention: '',
+    weapon: '集合写真を送る',
+  }],
+  closing: '失敗は武器になる',
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  _setDepsForTesting({ logger: mockLogger });
+});
+
+describe('parseOutline', () => {
+  it('前後の説明を無視して JSON を読み、最初のタイトル案をタイトルにする', () => {
+    const text = `こちらがアウトラインです。\n${JSON.stringify({ ...outline, title: undefined })}\n以上です。`;
+    expect(parseOutline(text)).toEqual(outline);
+  });
+
+  it('タイトルや有料パートの項目が無ければエラーにする', () => {
+    expect(() => parseOutline('JSON ではない')).toThrow('アウトラインを解析できませんでした');
+    expect(() => normalizeOutline({ paid_items: [{ title: 'a' }] })).toThrow('タイトルがありません');
+    expect(() => normalizeOutline({ title: 'a', paid_items: [{ situation: '見出しなし' }] })).toThrow('有料パートの項目がありません');
+  });
+
+  it('画面で編集したアウトラインの空行を落とし、新しいタイトルを候補に加える', () => {
+    const edited = normalizeOutline({ ...outline, title: ' 新しいタイトル ', pain_points: ['悩み', '', ' '] });
+    expect(edited.title).toBe('新しいタイトル');
+    expect(edited.title_candidates[0]).toBe('新しいタイトル');
+    expect(edited.pain_points).toEqual(['悩み']);
+  });
+});
+
+describe('formatOutline', () => {
+  it('空の手順は書かずに Markdown にする', () => {
+    expect(formatOutline(outline)).toBe([
+      '# 京都ガイドの失敗3選',
+      '',
+      'ほかのタイトル案: 京都ガイドで学んだこと',
+      '',
+      '## 読者の悩み',
+      '- お客様が迷子になる',
+      '',
+      '## 無料サンプル',
+      '集合場所の失敗',
+      '',
+      '## 有料パート',
+      '',
+      '### 1. 集合場所を間違えた',
+      '- ❶ 状況: 朝の京都駅',
+      '- ❷ 問題: 改札が違った',
+      '- ❻ この経験から得た「武器」: 集合写真を送る',
+      '',
+      '## 締め',
+      '失敗は武器になる',
+    ].join('\n'));
+  });
+});
+
+describe('reviseOutline', () => {
+  it('今のアウトラインと指示を同じ会話で渡す', async () => {
+    const create = vi.fn(async () => ({
+      content: [{ type: 'text', text: JSON.stringify({ ...outline, closing: '次はあなたの番' }) }],
+      usage: { input_tokens: 100, output_tokens: 10 },
+    }));
+
+    const result = await reviseOutline({
+      client: { messages: { create } },
+      model: 'claude-sonnet-4-5-20250929',
+      system: 'システム',
+      user: '京都ガイドの1日',
+      outline,
+      instruction: '締めをもっと前向きに',
+    });
+
+    const { messages } = create.mock.calls[0][0];
+    expect(messages.map((m) => m.role)).toEqual(['user', 'assistant', 'user']);
+    expect(JSON.parse(messages[1].content)).toEqual(outline);
+    expect(messages[2].content).toContain('締めをもっと前向きに');
+    expect(result).toEqual({ outline: { ...outline, closing: '次はあなたの番' }, usage: { input_tokens: 100, output_tokens: 10 } });
+  });
+});
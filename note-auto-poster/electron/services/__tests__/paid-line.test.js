@@ -0,0 +1,146 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import path from 'path';
+
+const { validate, checkArticle, _internal, _setDepsForTesting } = await import('../paid-line.js');
+const frontmatter = await import('../../utils/frontmatter.js');
+const { normalizeRatio } = _internal;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+const articlesDir = path.join(__dirname, '..', '..', '..', 'data', 'accounts', 'tokken', 'articles');
+const articlePath = path.join(articlesDir, 'article.md');
+
+// 見出しごとの文字数（見出し行を含む）: 導入 20 / 悩み 20 / 本編1 60 / 本編2 60。タイトルは数えない
+function article(marker = null, at = '## 本編1') {
+  const sections = [
+    '# 京都ガイドの1日',
+    '',
+    'あ'.repeat(20),
+    '',
+    '## 悩み',
+    'い'.repeat(16),
+    '',
+    '## 本編1',
+    'う'.repeat(55),
+    '',
+    '## 本編2',
+    'え'.repeat(55),
+  ];
+  if (marker) sections.splice(sections.indexOf(at), 0, marker, '');
+  return sections.join('\n');
+}
+
+describe('validate', () => {
+  it('設定どおりの位置にある有料ラインはそのまま', () => {
+    const body = article('<!-- paid-line -->', '## 本編1');
+    const { report, body: fixed } = validate(body, { isPaid: true, freePreviewRatio: 0.3 }, { fix: true });
+    expect(report).toMatchObject({ status: 'ok', markers: 1, issues: [], expected_ratio: 0.3 });
+    expect(report.ratio).toBeCloseTo(0.25);
+    expect(fixed).toBe(body);
+  });
+
+  it('「ここから有料」の書き方を <!-- paid-line --> に揃える', () => {
+    const { report, body } = validate(article('────── ✂️ ここから有料 ──────'), { isPaid: true }, { fix: true });
+    expect(report.status).toBe('fixed');
+    expect(report.issues.map((i) => i.type)).toEqual(['variant']);
+    expect(body).toBe(article('<!-- paid-line -->'));
+  });
+
+  it('有料ラインが無ければ設定に一番近い見出しの前に入れる', () => {
+    const { report, body } = validate(article(), { isPaid: true, freePreviewRatio: 30 }, { fix: true });
+    expect(report.issues.map((i) => i.type)).toEqual(['missing']);
+    expect(report.status).toBe('fixed');
+    expect(report.ratio).toBeCloseTo(0.25);
+    expect(body).toBe(article('<!-- paid-line -->', '## 本編1'));
+  });
+
+  it('無料部分の割合が外れていれば見出しの位置に動かす', () => {
+    const body = article('<!-- paid-line -->', '## 本編2');
+    const checked = validate(body, { isPaid: true, freePreviewRatio: 0.3 });
+    expect(checked.report).toMatchObject({ status: 'needs_fix', issues: [{ type: 'ratio', message: '無料部分が 63% です（設定は 30%）' }] });
+    expect(checked.body).toBe(body);
+
+    const fixed = validate(body, { isPaid: true, freePreviewRatio: 0.3 }, { fix: true });
+    expect(fixed.report.original_ratio).toBeCloseTo(0.625);
+    expect(fixed.report.ratio).toBeCloseTo(0.25);
+    expect(fixed.body).toBe(article('<!-- paid-line -->', '## 本編1'));
+  });
+
+  it('有料ラインが複数あれば1つにまとめる', () => {
+    const body = `${article('<!-- paid-line -->')}\n\n<!-- paid-line -->\n\nおまけ`;
+    const { report, body: fixed } = validate(body, { isPaid: true }, { fix: true });
+    expect(report.issues.map((i) => i.type)).toEqual(['duplicate']);
+    expect(fixed.match(/<!-- paid-line -->/g)).toHaveLength(1);
+    expect(fixed.endsWith('え'.repeat(55) + '\n\nおまけ')).toBe(true);
+  });
+
+  it('無料記事の有料ラインは取り除く', () => {
+    const { report, body } = validate(article('✂️ ここから有料'), { isPaid: false }, { fix: true });
+    expect(report).toMatchObject({ status: 'fixed', expected_ratio: null, issues: [{ type: 'free_marker' }] });
+    expect(body).toBe(article());
+  });
+
+  it('コードブロックの中の「ここから有料」は区切りとして扱わない', () => {
+    const body = `${article('<!-- paid-line -->')}\n\n\`\`\`\nここから有料\n\`\`\``;
+    expect(validate(body, { isPaid: true }).report).toMatchObject({ status: 'ok', markers: 1 });
+  });
+
+  it('見出しも段落も無い本文は直せない', () => {
+    const { report, body } = validate('# タイトル\n' + 'あ'.repeat(100), { isPaid: true }, { fix: true });
+    expect(report.status).toBe('needs_fix');
+    expect(report.issues.map((i) => i.type)).toEqual(['missing', 'no_boundary']);
+    expect(body).toBe('# タイトル\n' + 'あ'.repeat(100));
+  });
+
+  it('無料プレビュー率は 0.3 と 30 のどちらの書き方でもよく、空欄は30%', () => {
+    expect(normalizeRatio(0.25)).toBe(0.25);
+    expect(normalizeRatio(40)).toBe(0.4);
+    expect(normalizeRatio(0)).toBe(0.3);
+    expect(normalizeRatio('')).toBe(0.3);
+  });
+});
+
+describe('checkArticle', () => {
+  let files;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    files = {};
+    _setDepsForTesting({
+      fs: {
+        existsSync: vi.fn((p) => p in files),
+        readFileSync: vi.fn((p) => files[p]),
+        writeFileSync: vi.fn((p, data) => { files[p] = data; }),
+      },
+      logger: mockLogger,
+    });
+  });
+
+  it('frontmatter の設定で検査し、fix なら本文と結果を書き戻す', async () => {
+    files[articlePath] = frontmatter.stringify({ status: 'generated', is_paid: true, price: 500, free_preview_ratio: 0.3 }, article());
+
+    const checked = await checkArticle('tokken', 'article.md');
+    expect(checked).toMatchObject({ status: 'needs_fix', issues: [{ type: 'missing' }] });
+    expect(frontmatter.parse(files[articlePath]).body).toBe(article());
+
+    const fixed = await checkArticle('tokken', 'article.md', { fix: true });
+    expect(fixed).toMatchObject({ status: 'fixed', body: article('<!-- paid-line -->') });
+    const { metadata, body } = frontmatter.parse(files[articlePath]);
+    expect(metadata).toMatchObject({ status: 'generated', price: 500, paid_line_status: 'fixed', free_ratio: 0.25 });
+    expect(body).toBe(article('<!-- paid-line -->'));
+    expect(mockLogger.info).toHaveBeenCalledWith('paid-line', 'article.md: fixed (missing)', { accountId: 'tokken' });
+  });
+
+  it('is_paid の無い古い記事は有料ラインの有無で有料か判断する', async () => {
+    files[articlePath] = article();
+    expect(await checkArticle('tokken', 'article.md')).toMatchObject({ status: 'ok', is_paid: false });
+    files[articlePath] = article('<!-- paid-line -->');
+    expect(await checkArticle('tokken', 'article.md')).toMatchObject({ status: 'ok', is_paid: true });
+  });
+
+  it('記事フォルダの外のファイルは検査しない', async () => {
+    await expect(checkArticle('tokken', '../config.json')).rejects.toThrow('不正なファイル名です');
+    await expect(checkArticle('tokken', 'missing.md')).rejects.toThrow('記事ファイルが見つかりません');
+  });
+});
@@ -0,0 +1,406 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import realFs from 'fs';
+import { createMockFs } from '../../__tests__/helpers/mock-fs.js';
+
+const poster = await import('../poster.js');
+const { postArticle, postApproved, _internal, _setDepsForTesting } = poster;
+const { markdownToBlocks, buildPostContent, resolvePostOptions } = _internal;
+
+const ARTICLE = `---
+status: reviewed
+topic_id: 12
+---
+# 京都ガイドの1日
+
+朝は**早め**に集合します。
+
+## 無料パート
+
+- 集合場所
+- 持ち物
+
+<!-- paid-line -->
+
+## 有料パート
+
+本当のコツはここから。
+`;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+// Playwright の page を模したモック。操作を順に記録する
+function createMockPage({ loginRedirect = false, noteUrl = 'https://note.com/tokken/n/n123' } = {}) {
+  let url = '';
+  const actions = [];
+  const page = {
+    actions,
+    goto: vi.fn(async (u) => {
+      url = loginRedirect && !actions.some((a) => a[0] === 'click' && a[1].includes('ログイン'))
+        ? u.replace('/notes/new', '/login')
+        : u;
+    }),
+    url: () => url,
+    fill: vi.fn(async (sel, value) => { actions.push(['fill', sel, value]); }),
+    click: vi.fn(async (sel) => {
+      actions.push(['click', sel]);
+      if (sel.includes('ログイン')) url = url.replace('/login', '/notes/new');
+      if (sel.includes('下書き保存')) url = url.replace('/notes/new', '/notes/n123/edit');
+    }),
+    waitForURL: vi.fn(async () => {}),
+    evaluate: vi.fn(async (fn, arg) => { actions.push(['paste', arg.selector, arg.html]); }),
+    setInputFiles: vi.fn(async (sel, file) => { actions.push(['upload', sel, file]); }),
+    locator: vi.fn((sel) => ({
+      nth: (i) => ({ click: async () => { actions.push(['nth', sel, i]); } }),
+      count: async () => (sel === 'a[data-note-url]' ? 1 : 0),
+      first: () => ({ getAttribute: async () => noteUrl }),
+    })),
+  };
+  const context = {
+    newPage: vi.fn(async () => page),
+    storageState: vi.fn(async () => {}),
+  };
+  const browser = {
+    newContext: vi.fn(async () => context),
+    close: vi.fn(async () => {}),
+  };
+  return { page, context, browser };
+}
+
+function createAccount(overrides = {}) {
+  return {
+    id: 'tokken',
+    note: { email: 'a@example.com', password: 'pw', publish_status: 'public' },
+    pillars: [{ id: 'guide', name: 'ガイド', magazine: 'ツアーガイド実践マガジン' }],
+    ...overrides,
+  };
+}
+
+describe('markdownToBlocks', () => {
+  it('見出し・段落・リスト・区切り線をブロックに変換する', () => {
+    const blocks = markdownToBlocks('## 見出し\n\n本文 **強調**\n\n- a\n- b\n\n1. x\n2. y\n\n---\n\n### 小見出し');
+    expect(blocks).toEqual([
+      '<h2>見出し</h2>',
+      '<p>本文 <strong>強調</strong></p>',
+      '<ul><li>a</li><li>b</li></ul>',
+      '<ol><li>x</li><li>y</li></ol>',
+      '<hr>',
+      '<h3>小見出し</h3>',
+    ]);
+  });
+
+  it('HTML をエスケープする', () => {
+    expect(markdownToBlocks('<script>')).toEqual(['<p>&lt;script&gt;</p>']);
+  });
+
+  it('連載のリンクはリンクにし、目印のコメントは出さない', () => {
+    const blocks = markdownToBlocks('<!-- series-nav -->\n前回: [第1回 京都駅](https://note.com/tokken/n/n1)\n<!-- /series-nav -->');
+    expect(blocks).toEqual(['<p>前回: <a href="https://note.com/tokken/n/n1">第1回 京都駅</a></p>']);
+  });
+});
+
+describe('buildPostContent', () => {
+  it('タイトル行を除き、有料ラインで無料・有料部分に分ける', () => {
+    const post = buildPostContent(ARTICLE);
+    expect(post.title).toBe('京都ガイドの1日');
+    expect(post.metadata.status).toBe('reviewed');
+    expect(post.hasPaidLine).toBe(true);
+    expect(post.freeBlocks).toEqual([
+      '<p>朝は<strong>早め</strong>に集合します。</p>',
+      '<h2>無料パート</h2>',
+      '<ul><li>集合場所</li><li>持ち物</li></ul>',
+    ]);
+    expect(post.paidBlocks).toEqual(['<h2>有料パート</h2>', '<p>本当のコツはここから。</p>']);
+  });
+
+  it('有料ラインが無ければ全体が無料部分', () => {
+    const post = buildPostContent('# タイトル\n\n本文');
+    expect(post.hasPaidLine).toBe(false);
+    expect(post.paidBlocks).toEqual([]);
+  });
+});
+
+describe('resolvePostOptions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('frontmatter に無い価格・ピラーはトピックから補う', async () => {
+    _setDepsForTesting({
+      logger: mockLogger,
+      getTopics: vi.fn(async () => [{ id: 12, pillar: 'guide', is_paid: true, price: 500 }]),
+    });
+    const options = await resolvePostOptions('tokken', createAccount(), { topic_id: '12' }, true);
+    expect(options).toEqual({
+      isPaid: true,
+      price: 500,
+      magazine: 'ツアーガイド実践マガジン',
+      publishStatus: 'public',
+    });
+  });
+
+  it('価格が 0 なら有料にしない。publish_status 未設定は下書き', async () => {
+    _setDepsForTesting({ logger: mockLogger, getTopics: vi.fn(async () => []) });
+    const options = await resolvePostOptions(
+      'tokken',
+      createAccount({ note: {} }),
+      { is_paid: true, price: 0, pillar: 'none' },
+      true
+    );
+    expect(options.isPaid).toBe(false);
+    expect(options.magazine).toBe('');
+    expect(options.publishStatus).toBe('draft');
+  });
+});
+
+describe('postArticle / postApproved', () => {
+  let fs;
+  let config;
+  let mock;
+  let notify;
+  let db;
+  let articlePath;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    fs = createMockFs();
+    mock = createMockPage();
+    config = {
+      get: vi.fn(async () => undefined),
+      getAccount: vi.fn(async () => createAccount()),
+    };
+    notify = vi.fn(async () => ({}));
+    db = { indexArticleFile: vi.fn() };
+    _setDepsForTesting({
+      fs,
+      config,
+      db,
+      logger: mockLogger,
+      launchBrowser: vi.fn(async () => mock.browser),
+      getTopics: vi.fn(async () => [{ id: 12, pillar: 'guide', is_paid: true, price: 500 }]),
+      notify,
+    });
+
+    // パスを確定させるため、存在しないファイルで一度呼ぶ
+    await postArticle('tokken', 'probe.md').catch(() => {});
+    const probed = fs.existsSync.mock.calls[0][0];
+    articlePath = path.join(path.dirname(probed), '2026-02-20_kyoto.md');
+    fs.files[articlePath] = ARTICLE;
+    fs.existsSync.mockClear();
+  });
+
+  it('タイトル・本文を入力し、有料ライン・価格・マガジンを設定して公開する', async () => {
+    const result = await postArticle('tokken', '2026-02-20_kyoto.md');
+
+    expect(result).toEqual({ success: true, noteUrl: 'https://note.com/tokken/n/n123', status: 'public' });
+    const { actions } = mock.page;
+    expect(actions).toContainEqual(['fill', 'textarea[placeholder="記事タイトル"]', '京都ガイドの1日']);
+    const paste = actions.find((a) => a[0] === 'paste');
+    expect(paste[2]).toContain('<h2>有料パート</h2>');
+    expect(paste[2]).not.toContain('paid-line');
+    expect(actions).toContainEqual(['fill', 'input[name="price"]', '500']);
+    // 無料部分は3ブロックなので 3 番目（index 2）の直後に有料ライン
+    expect(actions).toContainEqual(['nth', 'button:has-text("ラインをこの場所に変更")', 2]);
+    expect(actions).toContainEqual(['click', 'label:has-text("ツアーガイド実践マガジン")']);
+    expect(actions.at(-1)).toEqual(['click', 'button:has-text("投稿する")']);
+    expect(mock.browser.close).toHaveBeenCalled();
+  });
+
+  it('投稿後に frontmatter へ note_url を書き戻す', async () => {
+    await postArticle('tokken', '2026-02-20_kyoto.md');
+    const saved = fs.files[articlePath];
+    expect(saved).toContain('note_url: https://note.com/tokken/n/n123');
+    expect(saved).toContain('note_status: public');
+    expect(saved).toMatch(/^status: posted$/m);
+    expect(saved).toContain('# 京都ガイドの1日');
+    expect(db.indexArticleFile).toHaveBeenCalledWith('tokken', '2026-02-20_kyoto.md');
+    expect(notify).toHaveBeenCalledWith('posted', {
+      accountId: 'tokken', filename: '2026-02-20_kyoto.md', title: '京都ガイドの1日',
+      url: 'https://note.com/tokken/n/n123', status: 'public',
+    });
+  });
+
+  it('連載の回なら投稿後にほかの回のリンクを更新する', async () => {
+    const refreshSeries = vi.fn();
+    _setDepsForTesting({ refreshSeries });
+    fs.files[articlePath] = ARTICLE.replace('topic_id: 12', 'topic_id: 12\nseries_id: 3');
+    await postArticle('tokken', '2026-02-20_kyoto.md');
+    expect(refreshSeries).toHaveBeenCalledWith('tokken', 3);
+    expect(fs.files[articlePath]).toContain('note_url: https://note.com/tokken/n/n123');
+  });
+
+  it('選択済みサムネイルがあればアップロードする', async () => {
+    const thumbnailGenerator = await import('../thumbnail-generator.js');
+    const thumb = thumbnailGenerator.getSelectedPath('tokken', '2026-02-20_kyoto');
+    fs.files[thumb] = 'png';
+    await postArticle('tokken', '2026-02-20_kyoto.md');
+    expect(mock.page.actions).toContainEqual(['upload', 'input[type="file"]', thumb]);
+  });
+
+  it('publish_status が draft なら有料ライン・価格・マガジンを設定してから下書き保存する', async () => {
+    config.getAccount.mockResolvedValue(createAccount({ note: { email: 'a', password: 'b', publish_status: 'draft' } }));
+    const result = await postArticle('tokken', '2026-02-20_kyoto.md');
+    expect(result.status).toBe('draft');
+    expect(result.noteUrl).toContain('/notes/n123/edit');
+    const { actions } = mock.page;
+    expect(actions).toContainEqual(['fill', 'input[name="price"]', '500']);
+    expect(actions).toContainEqual(['nth', 'button:has-text("ラインをこの場所に変更")', 2]);
+    expect(actions).toContainEqual(['click', 'label:has-text("ツアーガイド実践マガジン")']);
+    expect(actions.at(-1)).toEqual(['click', 'button:has-text("下書き保存")']);
+    expect(actions.some((a) => a[1] === 'button:has-text("投稿する")')).toBe(false);
+    expect(fs.files[articlePath]).toContain('note_status: draft');
+  });
+
+  it('ログイン画面にリダイレクトされたら認証情報でログインする', async () => {
+    mock = createMockPage({ loginRedirect: true });
+    _setDepsForTesting({ launchBrowser: vi.fn(async () => mock.browser) });
+    await postArticle('tokken', '2026-02-20_kyoto.md');
+    expect(mock.page.actions).toContainEqual(['fill', '#email', 'a@example.com']);
+    expect(mock.page.actions).toContainEqual(['fill', '#password', 'pw']);
+    expect(mock.context.storageState).toHaveBeenCalled();
+  });
+
+  it('ログイン情報が無ければエラーにしてブラウザを閉じる', async () => {
+    mock = createMockPage({ loginRedirect: true });
+    _setDepsForTesting({ launchBrowser: vi.fn(async () => mock.browser) });
+    config.getAccount.mockResolvedValue(createAccount({ note: {} }));
+    await expect(postArticle('tokken', '2026-02-20_kyoto.md')).rejects.toThrow('ログイン情報');
+    expect(mock.browser.close).toHaveBeenCalled();
+  });
+
+  it('postApproved は承認済みかつ未投稿の記事だけを投稿する', async () => {
+    const dir = path.dirname(articlePath);
+    fs.files[path.join(dir, 'a_pending.md')] = '---\nstatus: generated\n---\n# 未承認\n';
+    fs.files[path.join(dir, 'b_posted.md')] = '---\nstatus: reviewed\nnote_url: https://note.com/x\n---\n# 投稿済み\n';
+
+    const result = await postApproved('tokken');
+    expect(result.posted).toBe(1);
+    expect(result.errors).toBe(0);
+    expect(result.results[0].filename).toBe('2026-02-20_kyoto.md');
+  });
+});
+
+// ローカルのスタンドインに投稿する。Chromium があれば実ブラウザ、無ければ jsdom のスタブページで開く
+const { chromium } = await import('playwright');
+const { createStandInBrowser } = await import('./fixtures/stand-in-browser.js');
+const hasChromium = (() => {
+  try {
+    return realFs.existsSync(chromium.executablePath());
+  } catch {
+    return false;
+  }
+})();
+
+const fixture = realFs.readFileSync(path.join(__dirname, 'fixtures', 'note-editor.html'), 'utf-8');
+
+async function openStandIn() {
+  if (!hasChromium) {
+    const { browser, page } = createStandInBrowser(fixture);
+    return {
+      baseUrl: 'http://note.stand-in.test',
+      launchBrowser: async () => browser,
+      readNote: () => page.evaluate(() => window.__note),
+      close: async () => {},
+    };
+  }
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(fixture);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const tmp = realFs.mkdtempSync(path.join(os.tmpdir(), 'poster-'));
+  let browser;
+  let page;
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    launchBrowser: async () => {
+      browser = await chromium.launch({ headless: true });
+      // storageState の書き出し先を一時ディレクトリに逃がし、閉じる前にページを保持する
+      const newContext = browser.newContext.bind(browser);
+      browser.newContext = async () => {
+        const context = await newContext();
+        const storageState = context.storageState.bind(context);
+        context.storageState = () => storageState({ path: path.join(tmp, 'state.json') });
+        const newPage = context.newPage.bind(context);
+        context.newPage = async () => { page = await newPage(); return page; };
+        return context;
+      };
+      const close = browser.close.bind(browser);
+      browser.close = async () => {};
+      browser._realClose = close;
+      return browser;
+    },
+    readNote: () => page.evaluate(() => window.__note),
+    close: async () => {
+      await browser?._realClose();
+      server.close();
+      realFs.rmSync(tmp, { recursive: true, force: true });
+    },
+  };
+}
+
+describe('postArticle（ローカルのエディタスタンドイン）', () => {
+  let standIn;
+  let fs;
+  let filePath;
+
+  async function setUp(account) {
+    standIn = await openStandIn();
+    fs = createMockFs();
+    _setDepsForTesting({
+      fs,
+      config: {
+        get: vi.fn(async (key) => (key === 'note.base_url' ? standIn.baseUrl : undefined)),
+        getAccount: vi.fn(async () => account),
+      },
+      db: { indexArticleFile: vi.fn() },
+      logger: mockLogger,
+      getTopics: vi.fn(async () => [{ id: 12, pillar: 'guide', is_paid: true, price: 500 }]),
+      launchBrowser: standIn.launchBrowser,
+    });
+
+    await postArticle('tokken', 'probe.md').catch(() => {});
+    const probed = fs.existsSync.mock.calls[0][0];
+    filePath = path.join(path.dirname(probed), 'kyoto.md');
+    fs.files[filePath] = ARTICLE;
+  }
+
+  afterEach(async () => {
+    await standIn?.close();
+  });
+
+  it('ログインから公開まで通り、有料ラインと価格・マガジンが反映される', async () => {
+    await setUp(createAccount());
+    const result = await postArticle('tokken', 'kyoto.md');
+    expect(result.noteUrl).toBe(`${standIn.baseUrl}/tokken/n/n1a2b3c4d`);
+
+    const posted = await standIn.readNote();
+    expect(posted.title).toBe('京都ガイドの1日');
+    expect(posted.html).toContain('<h2>有料パート</h2>');
+    expect(posted.isPaid).toBe(true);
+    expect(posted.price).toBe(500);
+    expect(posted.paidLineAfter).toBe(2);
+    expect(posted.magazines).toEqual(['ツアーガイド実践マガジン']);
+    expect(posted.status).toBe('public');
+    expect(fs.files[filePath]).toContain(`note_url: ${standIn.baseUrl}/tokken/n/n1a2b3c4d`);
+  }, 60000);
+
+  it('下書き保存でも有料ラインと価格・マガジンが反映される', async () => {
+    await setUp(createAccount({ note: { email: 'a@example.com', password: 'pw', publish_status: 'draft' } }));
+    const result = await postArticle('tokken', 'kyoto.md');
+    expect(result).toEqual({ success: true, noteUrl: `${standIn.baseUrl}/notes/n1a2b3c4d/edit`, status: 'draft' });
+
+    const saved = await standIn.readNote();
+    expect(saved.status).toBe('draft');
+    expect(saved.isPaid).toBe(true);
+    expect(saved.price).toBe(500);
+    expect(saved.paidLineAfter).toBe(2);
+    expect(saved.magazines).toEqual(['ツアーガイド実践マガジン']);
+    expect(fs.files[filePath]).toContain('status: posted');
+    expect(fs.files[filePath]).toContain('note_status: draft');
+  }, 60000);
+});
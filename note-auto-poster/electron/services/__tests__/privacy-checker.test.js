@@ -0,0 +1,181 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import path from 'path';
+import { createMockFs } from '../../__tests__/helpers/mock-fs.js';
+
+const privacyChecker = await import('../privacy-checker.js');
+const {
+  checkText,
+  checkArticle,
+  assertApprovable,
+  applySuggestions,
+  applySuggestionsToArticle,
+  buildPrivacyRules,
+  formatForTelegram,
+  _internal,
+  _setDepsForTesting,
+} = privacyChecker;
+const { buildVariants } = _internal;
+
+const account = {
+  privacy: {
+    real_name: 'hidden',
+    monthly_revenue: 'vague',
+    guest_count: 'vague',
+    ota_platform_names: 'hidden',
+    residence: 'public',
+  },
+  privacy_values: {
+    real_name: '山田 太郎, Taro Yamada',
+    monthly_revenue: '50万円',
+    guest_count: '3000人',
+    ota_platform_names: 'Viator、GetYourGuide',
+    residence: '京都',
+  },
+};
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+describe('buildVariants', () => {
+  it('名前は空白の有無と姓・名を含む', () => {
+    expect(buildVariants('山田 太郎', 'name')).toEqual(expect.arrayContaining(['山田 太郎', '山田太郎', '山田', '太郎']));
+  });
+
+  it('空白の無い名前は / で姓と名を区切って指定する', () => {
+    expect(buildVariants('山田/太郎', 'name')).toEqual(['山田太郎', '山田', '太郎']);
+    expect(buildVariants('山田太郎', 'name')).toEqual(['山田太郎']);
+    const result = checkText('山田です。太郎と呼ばれています。', {
+      privacy: { real_name: 'hidden' },
+      privacy_values: { real_name: '山田／太郎' },
+    });
+    expect(result.findings.map((f) => f.match)).toEqual(['山田', '太郎']);
+  });
+
+  it('金額は万・桁区切りの表記ゆれを含む', () => {
+    expect(buildVariants('50万円', 'amount')).toEqual(
+      expect.arrayContaining(['50万円', '50万', '500,000円', '500000円', '500000'])
+    );
+  });
+});
+
+describe('checkText', () => {
+  it('hidden の値（表記ゆれ含む）を検出して blocked にする', () => {
+    const result = checkText('私、山田太郎です。TARO YAMADA とも名乗ります。ｖｉａｔｏｒで予約。', account);
+    expect(result.status).toBe('blocked');
+    expect(result.blocked).toBe(true);
+    expect(result.findings.map((f) => f.match)).toEqual(['山田太郎', 'TARO YAMADA', 'ｖｉａｔｏｒ']);
+    expect(result.findings.every((f) => f.level === 'hidden')).toBe(true);
+  });
+
+  it('vague の値はぼかし表現を提案する', () => {
+    const result = checkText('# タイトル\n月収５０万円を達成し、3,000人を案内しました。', account);
+    expect(result.status).toBe('warn');
+    expect(result.findings).toEqual([
+      expect.objectContaining({ label: '月間収益', match: '月収５０万円', suggestion: 'まとまった収入', line: 2 }),
+      expect.objectContaining({ label: '案内人数', match: '3,000人', suggestion: '多くのお客様', line: 2 }),
+    ]);
+  });
+
+  it('数値の一部だけには反応しない・public の値は検査しない', () => {
+    const result = checkText('150万円の機材を買い、京都で13000人を案内。', account);
+    expect(result.findings).toEqual([]);
+    expect(result.status).toBe('ok');
+  });
+
+  it('値が未入力なら何も検出しない', () => {
+    expect(checkText('山田太郎', { privacy: { real_name: 'hidden' } }).findings).toEqual([]);
+  });
+});
+
+describe('applySuggestions', () => {
+  it('vague の指摘箇所だけを置き換える', () => {
+    const text = '山田です。月収50万円を達成。';
+    const result = checkText(text, account);
+    expect(applySuggestions(text, result.findings)).toBe('山田です。まとまった収入を達成。');
+  });
+});
+
+describe('buildPrivacyRules', () => {
+  it('hidden と vague の項目名をルールにし、実際の値は含めない', () => {
+    const rules = buildPrivacyRules(account);
+    expect(rules).toContain('## プライバシーに関するルール');
+    expect(rules).toContain('本名');
+    expect(rules).toContain('月間収益（例：「まとまった収入」）');
+    expect(rules).not.toContain('山田');
+    expect(rules).not.toContain('50万円');
+    expect(rules).not.toContain('居住地');
+  });
+
+  it('プライバシー設定が無いアカウントは全項目を非公開（DEFAULT_LEVEL）としてルールにする', () => {
+    const rules = buildPrivacyRules({});
+    expect(rules).toContain('## プライバシーに関するルール');
+    expect(rules).toContain('本名、国際結婚、居住地');
+    expect(rules).toContain('活動エリア');
+    expect(rules).not.toContain('ぼかして書く');
+    expect(buildPrivacyRules(undefined)).toBe(rules);
+  });
+
+  it('すべて public ならルールは空文字', () => {
+    const privacy = Object.fromEntries(_internal.PRIVACY_FIELDS.map(f => [f.key, 'public']));
+    expect(buildPrivacyRules({ privacy })).toBe('');
+  });
+});
+
+describe('formatForTelegram', () => {
+  it('指摘を一覧にし、blocked なら承認不可を伝える', () => {
+    const text = formatForTelegram(checkText('山田太郎の月収50万円', account));
+    expect(text).toContain('⛔ 非公開: 本名「山田太郎」');
+    expect(text).toContain('⚠️ ぼかし推奨: 月間収益「月収50万円」→「まとまった収入」');
+    expect(text).toContain('承認できません');
+    expect(formatForTelegram(checkText('問題なし', account))).toBeNull();
+  });
+});
+
+describe('checkArticle / assertApprovable', () => {
+  let fs;
+  let articlePath;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    fs = createMockFs();
+    _setDepsForTesting({
+      fs,
+      config: { getAccount: vi.fn(async () => account) },
+      logger: mockLogger,
+    });
+    await checkArticle('tokken', 'probe.md').catch(() => {});
+    articlePath = path.join(path.dirname(fs.existsSync.mock.calls[0][0]), 'article.md');
+  });
+
+  it('検査結果を frontmatter の privacy_status に記録する', async () => {
+    fs.files[articlePath] = '---\nstatus: generated\n---\n# タイトル\n月収50万円';
+    const result = await checkArticle('tokken', 'article.md');
+    expect(result.status).toBe('warn');
+    expect(fs.files[articlePath]).toContain('privacy_status: warn');
+    expect(fs.files[articlePath]).toContain('status: generated');
+  });
+
+  it('hidden の値があれば承認不可のエラー', async () => {
+    fs.files[articlePath] = '# タイトル\nGetYourGuide で集客';
+    await expect(assertApprovable('tokken', 'article.md')).rejects.toMatchObject({
+      message: expect.stringContaining('OTAプラットフォーム名'),
+      code: 'PRIVACY_BLOCKED',
+      privacy: expect.objectContaining({ status: 'blocked' }),
+    });
+  });
+
+  it('まだ保存していない本文を渡すと、ファイルには書かずにその本文を検査する', async () => {
+    fs.files[articlePath] = '# タイトル\n問題なし';
+    await expect(assertApprovable('tokken', 'article.md', { body: '# タイトル\nViator で集客' })).rejects.toThrow('OTAプラットフォーム名');
+    expect(await assertApprovable('tokken', 'article.md', { body: '# タイトル\n月収50万円' })).toMatchObject({ status: 'warn' });
+    expect(fs.writeFileSync).not.toHaveBeenCalled();
+  });
+
+  it('applySuggestionsToArticle はぼかし表現で保存する', async () => {
+    fs.files[articlePath] = '# タイトル\n月収50万円';
+    const result = await applySuggestionsToArticle('tokken', 'article.md');
+    expect(result.status).toBe('ok');
+    expect(fs.files[articlePath]).toContain('# タイトル\nまとまった収入');
+    expect(fs.files[articlePath]).toContain('privacy_status: ok');
+  });
+});
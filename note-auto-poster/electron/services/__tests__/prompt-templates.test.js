@@ -0,0 +1,96 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import path from 'path';
+
+const {
+  loadTemplate, saveTemplate, buildVariables, renderTemplate, buildPillarPrompt, _internal, _setDepsForTesting,
+} = await import('../prompt-templates.js');
+
+const DATA_DIR = '/data';
+const BUNDLED_DIR = '/app/prompts';
+
+describe('renderTemplate', () => {
+  it('知っている変数を置き換え、知らない変数は残して返す', () => {
+    const result = renderTemplate('「{{theme}}」を{{ persona }}向けに。口調は{{tone}}、{{tone}}', {
+      theme: '京都ガイドの1日', persona: '副業を始めたい会社員',
+    });
+    expect(result.text).toBe('「京都ガイドの1日」を副業を始めたい会社員向けに。口調は{{tone}}、{{tone}}');
+    expect(result.unknown).toEqual(['tone']);
+  });
+});
+
+describe('buildVariables', () => {
+  it('無料プレビュー率を%で表し、想定読者はトピック→柱→アカウントの順に探す', () => {
+    const account = { persona: 'note の読者' };
+    const pillar = { id: 'guide_ai', name: 'AI効率化', persona: 'ガイド仲間' };
+
+    expect(buildVariables({ theme: 'a', price: 500, free_preview_ratio: 0.25 }, pillar, account)).toMatchObject({
+      pillar: 'AI効率化', is_paid: '有料', price: '500', free_preview_ratio: '25%', persona: 'ガイド仲間',
+    });
+    expect(buildVariables({ theme: 'a', free_preview_ratio: 40, persona: '学生' }, pillar, account)).toMatchObject({
+      free_preview_ratio: '40%', persona: '学生',
+    });
+    expect(buildVariables({ theme: 'a', is_paid: false }, null, account)).toMatchObject({
+      is_paid: '無料', price: '', free_preview_ratio: '30%', persona: 'note の読者',
+    });
+    expect(_internal.formatRatio('')).toBe('30%');
+  });
+});
+
+describe('テンプレートファイル', () => {
+  let files;
+  let fs;
+
+  beforeEach(() => {
+    files = {
+      [path.join(BUNDLED_DIR, 'guide_ai.md')]: '同梱: {{theme}}',
+      [path.join(BUNDLED_DIR, 'guide_business.md')]: '同梱: {{price}}円',
+      [path.join(DATA_DIR, 'prompts', 'guide_business.md')]: '編集済み: {{price}}円 / {{free_preview_ratio}}',
+    };
+    fs = {
+      existsSync: vi.fn((p) => p in files || p === path.join(DATA_DIR, 'prompts')),
+      readFileSync: vi.fn((p) => files[p]),
+      mkdirSync: vi.fn(),
+      writeFileSync: vi.fn((p, text) => { files[p] = text; }),
+    };
+    _setDepsForTesting({ fs, getDataDir: () => DATA_DIR, bundledDir: BUNDLED_DIR });
+  });
+
+  it('data/prompts のファイルを同梱のものより優先する', () => {
+    expect(loadTemplate({ id: 'guide_business' })).toEqual({
+      file: 'guide_business.md', text: '編集済み: {{price}}円 / {{free_preview_ratio}}', source: 'user',
+    });
+    expect(loadTemplate({ id: 'x', prompt_file: 'guide_ai.md' })).toMatchObject({ file: 'guide_ai.md', source: 'bundled' });
+    expect(loadTemplate({ id: 'culture_branding' })).toEqual({ file: 'culture_branding.md', text: '', source: 'none' });
+  });
+
+  it('指定したファイルが無いときや prompts の外を指すときはエラー', () => {
+    expect(() => loadTemplate({ id: 'x', prompt_file: 'missing.md' })).toThrow('プロンプトファイルが見つかりません: missing.md');
+    expect(() => loadTemplate({ id: 'x', prompt_file: '../config.json' })).toThrow('不正なプロンプトファイル名です');
+  });
+
+  it('保存は data/prompts に書き、同梱のファイルは変えない', () => {
+    const saved = saveTemplate({ id: 'guide_ai' }, '新しい方針');
+    expect(saved).toEqual({ file: 'guide_ai.md', path: path.join(DATA_DIR, 'prompts', 'guide_ai.md') });
+    expect(files[path.join(BUNDLED_DIR, 'guide_ai.md')]).toBe('同梱: {{theme}}');
+    expect(loadTemplate({ id: 'guide_ai' })).toMatchObject({ text: '新しい方針', source: 'user' });
+  });
+
+  it('トピックの柱のテンプレートを埋めて見出しを付ける', () => {
+    const account = { pillars: [{ id: 'guide_business', name: 'ツアーガイド副業' }] };
+    const topic = { id: 1, theme: '価格設定', pillar: 'guide_business', price: 980, free_preview_ratio: 0.2 };
+
+    expect(buildPillarPrompt(account, topic)).toEqual({
+      text: '## コンテンツ柱「ツアーガイド副業」の執筆方針\n編集済み: 980円 / 20%',
+      file: 'guide_business.md',
+      source: 'user',
+      unknown: [],
+    });
+    // 保存前のテンプレートで試す（設定画面のプレビュー）
+    expect(buildPillarPrompt(account, topic, { template: '{{theme}} {{tone}}' })).toMatchObject({
+      text: '## コンテンツ柱「ツアーガイド副業」の執筆方針\n価格設定 {{tone}}', source: 'editor', unknown: ['tone'],
+    });
+    // 柱が無いトピックには何も足さない
+    expect(buildPillarPrompt(account, { theme: 'a', pillar: 'unknown' }).text).toBe('');
+  });
+});
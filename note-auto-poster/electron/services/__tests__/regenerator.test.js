@@ -0,0 +1,221 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import path from 'path';
+import { createMockFs } from '../../__tests__/helpers/mock-fs.js';
+
+const { Regenerator, _internal, _setDepsForTesting } = await import('../regenerator.js');
+const frontmatter = await import('../../utils/frontmatter.js');
+const { buildInstructions } = _internal;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+const articlesDir = path.join(__dirname, '..', '..', '..', 'data', 'accounts', 'tokken', 'articles');
+const articlePath = path.join(articlesDir, 'article.md');
+
+// callClaude の戻り値（本文・トークン数・プロンプトの版）
+function draft(text) {
+  return { text, usage: { input_tokens: 2100, output_tokens: 3300 }, promptVersion: 'sha256:0123456789ab' };
+}
+
+describe('buildInstructions', () => {
+  it('却下理由と前回の原稿を指示に含める', () => {
+    const text = buildInstructions('# 前回\n\n本文', '具体例が少ない');
+    expect(text).toContain('### 却下理由\n具体例が少ない');
+    expect(text).toContain('### 前回の原稿\n# 前回\n\n本文');
+  });
+
+  it('理由が無ければ全体の改善を求める', () => {
+    expect(buildInstructions('本文', '')).toContain('理由の記載なし');
+  });
+
+  it('却下していない記事には修正指示として渡す', () => {
+    const text = buildInstructions('# 前回\n\n本文', '見出しを増やす', { rejected: false });
+    expect(text).toContain('### 修正指示\n見出しを増やす');
+    expect(text).toContain('### 前回の原稿\n# 前回\n\n本文');
+    expect(text).not.toContain('却下');
+  });
+});
+
+describe('Regenerator', () => {
+  let fs;
+  let values;
+  let db;
+  let client;
+  let callClaude;
+  let postProcess;
+  let telegram;
+  let notify;
+  let regenerator;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs = createMockFs({
+      [articlePath]: '---\nstatus: generated\ntopic_id: 5\nscore: 3\nauto_decision: rejected\n---\n# 最初の原稿\n\n本文',
+    });
+    values = {
+      'api.anthropic_key': 'sk-test',
+      'api.regeneration_model': 'claude-opus-4-6',
+      'regeneration.max_attempts': 2,
+      'telegram.enabled': true,
+    };
+    db = { addVersion: vi.fn(), indexArticleFile: vi.fn() };
+    client = { messages: {} };
+    callClaude = vi.fn(async () => draft('# 書き直した原稿\n\n新しい本文'));
+    postProcess = vi.fn(async () => ({ scored: { status: 'generated', score: 6 } }));
+    telegram = { sendArticleForReview: vi.fn(async () => ({ success: true })) };
+    notify = vi.fn(async () => ({}));
+    _setDepsForTesting({
+      fs,
+      db,
+      logger: mockLogger,
+      config: { get: vi.fn(async (key) => values[key]) },
+      getClient: vi.fn(async () => client),
+      callClaude,
+      postProcess,
+      getPrivacyRules: vi.fn(async () => ''),
+      getPillarPrompt: vi.fn(async () => ''),
+      seriesPrompt: vi.fn(() => ''),
+      getSystemPrompt: () => ({ version: 4, text: 'ベースのプロンプト' }),
+      refreshSeries: vi.fn(),
+      readTopics: vi.fn(async () => [{ id: 5, theme: 'ツアーガイドの失敗談', additional_instructions: '体験談多め' }]),
+      getTelegram: () => telegram,
+      notify,
+      recordUsage: vi.fn(async () => null),
+      assertWithinBudget: vi.fn(async () => {}),
+    });
+    regenerator = new Regenerator();
+  });
+
+  it('却下理由を記録し、前回の原稿と理由を添えて再生成する', async () => {
+    const events = [];
+    regenerator.on('regenerated', (e) => events.push(e));
+
+    const result = await regenerator.handleRejection('tokken', 'article.md', { reason: '具体例が少ない', source: 'telegram' });
+
+    expect(result).toEqual({ action: 'regenerated', attempt: 1, status: 'generated' });
+    const [usedClient, model, theme, extra, , instructions, , options] = callClaude.mock.calls[0];
+    expect(usedClient).toBe(client);
+    expect([model, theme, extra]).toEqual(['claude-opus-4-6', 'ツアーガイドの失敗談', '体験談多め']);
+    expect(options.basePrompt).toBe('ベースのプロンプト');
+    expect(instructions).toContain('具体例が少ない');
+    expect(instructions).toContain('# 最初の原稿');
+
+    const { metadata, body } = frontmatter.parse(fs.files[articlePath]);
+    expect(body).toBe('# 書き直した原稿\n\n新しい本文');
+    expect(metadata).toMatchObject({
+      status: 'generated', topic_id: 5, regenerate_count: 1,
+      reject_reason: '具体例が少ない', rejected_by: 'telegram', regeneration_model: 'claude-opus-4-6',
+      token_usage: { input: 2100, output: 3300 }, prompt_version: 'sha256:0123456789ab', system_prompt_version: 4,
+    });
+    // 前回の原稿の採点結果は引き継がない
+    expect(metadata.score).toBeUndefined();
+    expect(metadata.auto_decision).toBeUndefined();
+
+    expect(db.addVersion.mock.calls.map(([, id, v]) => [id, v.source])).toEqual([
+      ['article', 'rejected'],
+      ['article', 'regenerated'],
+    ]);
+    expect(db.addVersion.mock.calls[1][2].note).toBe('再生成 1 回目 (telegram): 具体例が少ない');
+    expect(postProcess).toHaveBeenCalledWith('tokken', 'article.md');
+    expect(telegram.sendArticleForReview).toHaveBeenCalledWith('tokken', expect.objectContaining({
+      title: '書き直した原稿', filename: 'article.md',
+    }));
+    expect(events).toEqual([{ accountId: 'tokken', filename: 'article.md', attempt: 1, status: 'generated' }]);
+    expect(notify).toHaveBeenCalledWith('review_needed', {
+      accountId: 'tokken', filename: 'article.md', title: '書き直した原稿', score: 6,
+    });
+  });
+
+  it('予算に達していたら再生成しない', async () => {
+    const budgetError = Object.assign(new Error('今月の予算 $50 に達しました'), { code: 'BUDGET_EXCEEDED' });
+    _setDepsForTesting({ assertWithinBudget: vi.fn(async () => { throw budgetError; }) });
+
+    await expect(regenerator.regenerate('tokken', 'article.md')).rejects.toThrow('今月の予算 $50 に達しました');
+    expect(callClaude).not.toHaveBeenCalled();
+  });
+
+  it('上限回数に達した記事は再生成せずエスカレーションする', async () => {
+    fs.files[articlePath] = '---\nstatus: generated\nregenerate_count: 2\n---\n# 三回目の原稿\n\n本文';
+    const escalated = vi.fn();
+    regenerator.on('escalated', escalated);
+
+    const result = await regenerator.handleRejection('tokken', 'article.md', { reason: 'トーンが暗い', source: 'scorer' });
+
+    expect(result).toEqual({ action: 'escalated', attempt: 2 });
+    expect(callClaude).not.toHaveBeenCalled();
+    expect(frontmatter.parse(fs.files[articlePath]).metadata).toMatchObject({
+      status: 'rejected', escalated: true, reject_reason: 'トーンが暗い',
+    });
+    expect(escalated).toHaveBeenCalledWith({
+      accountId: 'tokken', filename: 'article.md', title: '三回目の原稿', reason: 'トーンが暗い', attempts: 2,
+    });
+    expect(notify).toHaveBeenCalledWith('review_needed', {
+      accountId: 'tokken', filename: 'article.md', title: '三回目の原稿', reason: 'トーンが暗い', attempts: 2, escalated: true,
+    });
+  });
+
+  it('自動再生成が無効なら却下理由の記録だけ行う', async () => {
+    values['regeneration.enabled'] = false;
+    const result = await regenerator.handleRejection('tokken', 'article.md', { reason: '長すぎる' });
+    expect(result).toEqual({ action: 'recorded' });
+    expect(callClaude).not.toHaveBeenCalled();
+    expect(frontmatter.parse(fs.files[articlePath]).metadata).toMatchObject({ status: 'rejected', reject_reason: '長すぎる' });
+  });
+
+  it('複数行の却下理由は1行にまとめて記録し、他の項目を壊さない', async () => {
+    values['regeneration.enabled'] = false;
+    await regenerator.handleRejection('tokken', 'article.md', { reason: '長すぎる\nprice: 0\n\n  見出しも減らす' });
+
+    const { metadata, body } = frontmatter.parse(fs.files[articlePath]);
+    expect(metadata.reject_reason).toBe('長すぎる price: 0 見出しも減らす');
+    expect(metadata).not.toHaveProperty('price');
+    expect(metadata).toMatchObject({ status: 'rejected', topic_id: 5, rejected_by: 'ui' });
+    expect(body).toBe('# 最初の原稿\n\n本文');
+  });
+
+  it('再生成中に記事が編集されたら結果を破棄する', async () => {
+    callClaude.mockImplementation(async () => {
+      fs.files[articlePath] = '---\nstatus: reviewed\n---\n# 手で直した原稿\n';
+      return draft('# 書き直した原稿\n');
+    });
+    const result = await regenerator.handleRejection('tokken', 'article.md', { reason: '' });
+    expect(result).toEqual({ action: 'skipped' });
+    expect(fs.files[articlePath]).toContain('# 手で直した原稿');
+    expect(postProcess).not.toHaveBeenCalled();
+  });
+
+  it('同じ記事の再生成は同時に走らせない', async () => {
+    let release;
+    callClaude.mockImplementation(() => new Promise((resolve) => { release = () => resolve(draft('# 新しい原稿\n')); }));
+
+    const first = regenerator.regenerate('tokken', 'article.md', { reason: 'a' });
+    await vi.waitFor(() => expect(callClaude).toHaveBeenCalled());
+    expect(await regenerator.regenerate('tokken', 'article.md', { reason: 'b' })).toEqual({ action: 'skipped' });
+
+    release();
+    expect(await first).toMatchObject({ action: 'regenerated', attempt: 1 });
+    expect(callClaude).toHaveBeenCalledTimes(1);
+  });
+
+  it('却下していない記事は修正指示を添えて同じファイルに書き直し、版を残す', async () => {
+    const result = await regenerator.regenerate('tokken', 'article.md', { reason: '見出しを増やす' });
+
+    expect(result).toEqual({ action: 'regenerated', attempt: 1, status: 'generated' });
+    const instructions = callClaude.mock.calls[0][5];
+    expect(instructions).toContain('### 修正指示\n見出しを増やす');
+    expect(instructions).toContain('# 最初の原稿');
+    expect(Object.keys(fs.files)).toEqual([articlePath]);
+    expect(frontmatter.parse(fs.files[articlePath]).metadata.regenerate_count).toBe(1);
+    expect(db.addVersion).toHaveBeenCalledWith('tokken', 'article', expect.objectContaining({
+      source: 'regenerated', note: '再生成 1 回目 (ui): 見出しを増やす',
+    }));
+  });
+
+  it('再び却下された原稿は Telegram に送らない', async () => {
+    postProcess.mockResolvedValue({ scored: { status: 'rejected', score: 3 } });
+    const result = await regenerator.regenerate('tokken', 'article.md', { reason: '' });
+    expect(result.status).toBe('rejected');
+    expect(telegram.sendArticleForReview).not.toHaveBeenCalled();
+    expect(notify).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,198 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import path from 'path';
+import { createMockFs } from '../../__tests__/helpers/mock-fs.js';
+
+const scorer = await import('../scorer.js');
+const llm = await import('../../utils/llm-provider.js');
+const { scoreArticle, CRITERIA, _internal, _setDepsForTesting } = scorer;
+const { buildScoringPrompt, parseScoringResponse, decide, getThresholds } = _internal;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+function response(scores, extra = {}) {
+  return JSON.stringify({
+    scores,
+    reasons: Object.fromEntries(Object.keys(scores).map((k) => [k, `${k}の理由`])),
+    summary: '全体として良い記事',
+    ...extra,
+  });
+}
+
+const allScores = (value) => Object.fromEntries(CRITERIA.map((c) => [c.key, value]));
+
+describe('buildScoringPrompt', () => {
+  it('6つの採点項目と本文を含む', () => {
+    const prompt = buildScoringPrompt('# タイトル\n本文');
+    for (const c of CRITERIA) {
+      expect(prompt).toContain(c.key);
+      expect(prompt).toContain(c.label);
+    }
+    expect(prompt).toContain('# タイトル\n本文');
+  });
+});
+
+describe('parseScoringResponse', () => {
+  it('前置き付きの JSON から平均スコアを計算する', () => {
+    const scores = { persona: 9, specificity: 8, practicality: 7, tone: 9, countermeasures: 6, originality: 7 };
+    const result = parseScoringResponse(`採点結果です。\n${response(scores)}`);
+    expect(result.scores).toEqual(scores);
+    expect(result.score).toBe(7.7);
+    expect(result.reasons.persona).toBe('personaの理由');
+    expect(result.summary).toBe('全体として良い記事');
+  });
+
+  it('範囲外の値は 1〜10 に丸め、理由の改行は除く', () => {
+    const result = parseScoringResponse(response(
+      { ...allScores(5), tone: 12, originality: 0 },
+      { reasons: { persona: '1行目\n2行目' } }
+    ));
+    expect(result.scores.tone).toBe(10);
+    expect(result.scores.originality).toBe(1);
+    expect(result.reasons.persona).toBe('1行目 2行目');
+  });
+
+  it('項目が欠けていればエラー', () => {
+    expect(() => parseScoringResponse(response({ persona: 5 }))).toThrow('specificity');
+    expect(() => parseScoringResponse('JSON ではない')).toThrow('解析できませんでした');
+  });
+});
+
+describe('decide', () => {
+  const thresholds = { approve: 8, reject: 4 };
+  const result = (score, scores = allScores(Math.round(score))) => ({
+    score,
+    scores,
+    reasons: Object.fromEntries(CRITERIA.map((c) => [c.key, `${c.label}が弱い`])),
+  });
+
+  it('承認しきい値以上は reviewed', () => {
+    expect(decide(result(8), thresholds, 'generated')).toMatchObject({ status: 'reviewed', decision: 'approved' });
+  });
+
+  it('却下しきい値以下は rejected で、低い項目を理由に含める', () => {
+    const decision = decide(result(3.5, { ...allScores(4), tone: 2, persona: 6 }), thresholds, 'generated');
+    expect(decision.status).toBe('rejected');
+    expect(decision.reason).toContain('トーン(2)');
+    expect(decision.reason).not.toContain('人物像の一貫性');
+  });
+
+  it('しきい値の間は判定しない', () => {
+    expect(decide(result(6), thresholds, 'generated')).toBeNull();
+  });
+
+  it('手動でレビュー済みの記事は判定しない', () => {
+    expect(decide(result(9), thresholds, 'rejected')).toBeNull();
+    expect(decide(result(2), thresholds, 'reviewed')).toBeNull();
+  });
+});
+
+describe('getThresholds', () => {
+  const withConfig = (values) => {
+    vi.clearAllMocks();
+    _setDepsForTesting({ logger: mockLogger, config: { get: vi.fn(async (key) => values[key]) } });
+  };
+
+  it('0 も設定値として使い、未設定や数値でない値だけ既定値にする', async () => {
+    withConfig({ 'scoring.auto_approve_threshold': 7.5, 'scoring.auto_reject_threshold': 0 });
+    expect(await getThresholds()).toEqual({ approve: 7.5, reject: 0 });
+
+    withConfig({ 'scoring.auto_reject_threshold': 'abc' });
+    expect(await getThresholds()).toEqual({ approve: 8, reject: 4 });
+  });
+
+  it('却下しきい値が承認しきい値以上なら設定を使わず既定値に戻す', async () => {
+    withConfig({ 'scoring.auto_approve_threshold': 5, 'scoring.auto_reject_threshold': 5 });
+    expect(await getThresholds()).toEqual({ approve: 8, reject: 4 });
+    expect(mockLogger.warn).toHaveBeenCalledWith('scorer', expect.stringContaining('既定値を使います'));
+  });
+});
+
+describe('scoreArticle', () => {
+  let fs;
+  let config;
+  let create;
+  let onAutoReject;
+  let notify;
+  let articlePath;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    fs = createMockFs();
+    const values = {
+      'api.anthropic_key': 'sk-test',
+      'api.scoring_model': 'claude-haiku-4-5-20251001',
+      'scoring.auto_approve_threshold': 8,
+      'scoring.auto_reject_threshold': 4,
+    };
+    config = { get: vi.fn(async (key) => values[key]) };
+    create = vi.fn(async () => ({ content: [{ text: response(allScores(9)) }] }));
+    onAutoReject = vi.fn(async () => {});
+    notify = vi.fn(async () => ({}));
+    _setDepsForTesting({
+      fs,
+      config,
+      logger: mockLogger,
+      getClient: vi.fn(async () => ({ messages: { create } })),
+      onAutoReject,
+      notify,
+      recordUsage: vi.fn(async () => null),
+    });
+
+    // パスを確定させるため、存在しないファイルで一度呼ぶ
+    await scoreArticle('tokken', 'probe.md').catch(() => {});
+    articlePath = path.join(path.dirname(fs.existsSync.mock.calls[0][0]), 'article.md');
+    fs.existsSync.mockClear();
+  });
+
+  it('スコアと理由を frontmatter に書き込み、高得点なら自動承認する', async () => {
+    fs.files[articlePath] = '# タイトル\n\n本文';
+    const result = await scoreArticle('tokken', 'article.md');
+
+    expect(result).toMatchObject({ score: 9, status: 'reviewed', decision: 'approved' });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ model: 'claude-haiku-4-5-20251001' }));
+
+    const saved = fs.files[articlePath];
+    expect(saved).toMatch(/^---\n/);
+    expect(saved).toContain('score: 9');
+    expect(saved).toContain('  persona: 9');
+    expect(saved).toContain('  persona: personaの理由');
+    expect(saved).toContain('status: reviewed');
+    expect(saved).toContain('auto_decision: approved');
+    expect(saved).toContain('auto_decision_reason: 総合スコア 9');
+    expect(saved).toContain('# タイトル\n\n本文');
+    expect(notify).toHaveBeenCalledWith('approved', {
+      accountId: 'tokken', filename: 'article.md', title: 'タイトル', score: 9, source: 'scorer',
+    });
+  });
+
+  it('低得点なら自動却下する', async () => {
+    create.mockResolvedValue({ content: [{ text: response(allScores(3)) }] });
+    fs.files[articlePath] = '---\nstatus: generated\n---\n# タイトル\n';
+    const result = await scoreArticle('tokken', 'article.md');
+    expect(result.status).toBe('rejected');
+    expect(fs.files[articlePath]).toContain('auto_decision: rejected');
+    await vi.waitFor(() => {
+      expect(onAutoReject).toHaveBeenCalledWith('tokken', 'article.md', expect.stringContaining('総合スコア 3'));
+    });
+  });
+
+  it('手動で承認済みの記事はスコアのみ更新する', async () => {
+    create.mockResolvedValue({ content: [{ text: response(allScores(2)) }] });
+    fs.files[articlePath] = '---\nstatus: reviewed\n---\n# タイトル\n';
+    const result = await scoreArticle('tokken', 'article.md');
+    expect(result.status).toBe('reviewed');
+    expect(result.decision).toBeNull();
+    expect(fs.files[articlePath]).not.toContain('auto_decision');
+    expect(onAutoReject).not.toHaveBeenCalled();
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('APIキーが無ければエラー', async () => {
+    fs.files[articlePath] = '# タイトル\n';
+    config.get.mockResolvedValue(undefined);
+    // キーの確認はプロバイダ（llm-provider.js）がする
+    _setDepsForTesting({ getClient: () => llm.getClient({ config }) });
+    await expect(scoreArticle('tokken', 'article.md')).rejects.toThrow('APIキー');
+  });
+});
@@ -0,0 +1,190 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+
+const scraper = await import('../scraper.js');
+const { parseListingHtml, parseCount, tokenize, pillarKeywords } = scraper._internal;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+const fixturesDir = path.join(__dirname, 'fixtures');
+const fixture = (name) => fs.readFileSync(path.join(fixturesDir, name), 'utf-8');
+
+const PILLARS = [{ id: 'guide_business', name: 'ガイド業', keywords: 'ツアーガイド, インバウンド' }];
+
+function createMockDb() {
+  let saved = null;
+  return {
+    saveTrendScrape: vi.fn((accountId, data) => {
+      saved = { ...data, scraped_at: '2026-03-01T00:00:00.000Z' };
+      return saved.scraped_at;
+    }),
+    loadTrendScrape: vi.fn(() => saved),
+  };
+}
+
+function createMockBrowser(pagesByUrl) {
+  let current = '';
+  const page = {
+    goto: vi.fn(async (url) => {
+      if (!(url in pagesByUrl)) throw new Error('404');
+      current = url;
+    }),
+    evaluate: vi.fn(async () => {}),
+    waitForTimeout: vi.fn(async () => {}),
+    content: vi.fn(async () => pagesByUrl[current]),
+  };
+  const browser = {
+    page,
+    newContext: vi.fn(async () => ({ newPage: vi.fn(async () => page) })),
+    close: vi.fn(async () => {}),
+  };
+  return browser;
+}
+
+describe('parseCount', () => {
+  it('カンマ・k・万の表記を数値にする', () => {
+    expect(parseCount('1,204')).toBe(1204);
+    expect(parseCount('1.2k')).toBe(1200);
+    expect(parseCount('3.4万')).toBe(34000);
+    expect(parseCount('')).toBe(0);
+  });
+});
+
+describe('parseListingHtml', () => {
+  it('一覧から記事のタイトル・価格・スキ数を取り出す', () => {
+    const items = parseListingHtml(fixture('note-hashtag.html'), 'https://note.com');
+    expect(items.map(({ title, price, likes }) => ({ title, price, likes }))).toEqual([
+      { title: '【保存版】ツアーガイドの英語フレーズ100選', price: 980, likes: 1204 },
+      { title: 'ツアーガイドが使う英語フレーズ集｜接客&案内', price: 500, likes: 310 },
+      { title: 'インバウンド向けツアーの価格設定と集客のコツ', price: 0, likes: 1200 },
+    ]);
+    expect(items[0].url).toMatch(/^https:\/\/note\.com\/.+\/n\//);
+  });
+
+  it('絶対 URL やクエリ付きのリンクも同じ記事として扱う', () => {
+    const hashtag = parseListingHtml(fixture('note-hashtag.html'));
+    const search = parseListingHtml(fixture('note-search.html'));
+    const a = search.find((i) => i.title.includes('英語フレーズ100選'));
+    expect(a.key).toBe(hashtag[0].key);
+    expect(a.price).toBe(980);
+  });
+});
+
+describe('tokenize / pillarKeywords', () => {
+  it('タイトルの語からありふれた語を除く', () => {
+    expect(tokenize('【保存版】ツアーガイドの英語フレーズ100選')).toEqual(
+      expect.arrayContaining(['ツアーガイド', '英語', 'フレーズ'])
+    );
+    expect(tokenize('【保存版】ツアーガイドの英語フレーズ100選')).not.toContain('保存版');
+  });
+
+  it('キーワードが無ければピラー名を使う', () => {
+    expect(pillarKeywords(PILLARS[0])).toEqual(['ツアーガイド', 'インバウンド']);
+    expect(pillarKeywords({ id: 'x', name: 'AI × ガイド' })).toEqual(['AI × ガイド']);
+  });
+});
+
+describe('Trend scraper', () => {
+  let db;
+  let addTopic;
+  let sleep;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db = createMockDb();
+    addTopic = vi.fn(async () => {});
+    sleep = vi.fn(async () => {});
+    scraper._setDepsForTesting({
+      fs,
+      db,
+      logger: mockLogger,
+      config: {
+        get: vi.fn(async () => undefined),
+        getAccount: vi.fn(async () => ({ id: 'tokken', pillars: PILLARS })),
+      },
+      addTopic,
+      sleep,
+    });
+  });
+
+  it('保存した HTML を似たタイトルごとにまとめてテーマ案にする', async () => {
+    const result = await scraper.importHtml('tokken', [
+      path.join(fixturesDir, 'note-hashtag.html'),
+      path.join(fixturesDir, 'note-search.html'),
+      path.join(fixturesDir, 'note-ranking.html'),
+    ]);
+
+    // ピラーに関係ない記事と、1件だけの話題はテーマ案にしない
+    expect(result.proposals.map((p) => p.theme)).toEqual([
+      'インバウンド向けツアーの価格設定と集客のコツ',
+      'ツアーガイドの英語フレーズ100選',
+    ]);
+    expect(result.proposals[0]).toMatchObject({
+      pillar: 'guide_business',
+      keywords: ['価格設定', '集客', 'インバウンド'],
+      is_paid: true,
+      price: 900,
+      stats: { notes: 3, likes: 1926, paid_ratio: 0.67 },
+    });
+    expect(result.proposals[1]).toMatchObject({ keywords: ['ツアーガイド', '英語', 'フレーズ'], price: 700 });
+    expect(result.items.some((i) => i.title.includes('新NISA'))).toBe(false);
+    expect(db.saveTrendScrape).toHaveBeenCalledWith('tokken', { items: result.items, proposals: result.proposals });
+  });
+
+  it('ピラーのキーワードごとに一覧ページを巡回する', async () => {
+    const browser = createMockBrowser({
+      'https://note.com/hashtag/%E3%83%84%E3%82%A2%E3%83%BC%E3%82%AC%E3%82%A4%E3%83%89': fixture('note-hashtag.html'),
+      'https://note.com/ranking': fixture('note-ranking.html'),
+    });
+    scraper._setDepsForTesting({ launchBrowser: vi.fn(async () => browser) });
+
+    const result = await scraper.scrapeTrends('tokken', { sources: ['hashtag', 'ranking'] });
+
+    expect(browser.page.goto.mock.calls.map(([url]) => decodeURIComponent(url))).toEqual([
+      'https://note.com/hashtag/ツアーガイド',
+      'https://note.com/hashtag/インバウンド',
+      'https://note.com/ranking',
+    ]);
+    // 取得できなかったページは記録して続ける
+    expect(result.errors).toEqual([
+      { url: 'https://note.com/hashtag/%E3%82%A4%E3%83%B3%E3%83%90%E3%82%A6%E3%83%B3%E3%83%89', error: '404' },
+    ]);
+    expect(sleep).toHaveBeenCalledTimes(2);
+    expect(browser.close).toHaveBeenCalled();
+
+    const ranked = result.items.find((i) => i.title.includes('失敗した話'));
+    expect(ranked).toMatchObject({ pillar: 'guide_business', sources: ['ranking'] });
+    expect(result.proposals.map((p) => p.theme)).toContain('インバウンド向けツアーの価格設定と集客のコツ');
+  });
+
+  it('選んだテーマ案をシートに追加して追加済みにする', async () => {
+    const { proposals } = await scraper.importHtml('tokken', [
+      path.join(fixturesDir, 'note-hashtag.html'),
+      path.join(fixturesDir, 'note-search.html'),
+    ]);
+    const target = { ...proposals[0], theme: '副業ガイドの価格設定' };
+    addTopic.mockImplementation(async (accountId, topic) => {
+      if (topic.theme !== target.theme) throw new Error('シートに書き込めません');
+    });
+
+    const result = await scraper.pushProposals('tokken', [target, proposals[1]]);
+
+    expect(result).toEqual({
+      added: 1,
+      pushed: [target.id],
+      errors: [{ id: proposals[1].id, theme: proposals[1].theme, error: 'シートに書き込めません' }],
+    });
+    expect(addTopic).toHaveBeenCalledWith('tokken', expect.objectContaining({
+      theme: '副業ガイドの価格設定',
+      keywords: target.keywords.join(', '),
+      pillar: 'guide_business',
+      is_paid: true,
+      status: 'pending',
+    }));
+    const latest = scraper.getLatest('tokken');
+    expect(latest.proposals.find((p) => p.id === target.id).pushed).toBe(true);
+    expect(latest.proposals.find((p) => p.id === proposals[1].id).pushed).toBeUndefined();
+  });
+});
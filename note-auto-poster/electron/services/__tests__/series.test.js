@@ -0,0 +1,163 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import path from 'path';
+import { createMockFs } from '../../__tests__/helpers/mock-fs.js';
+
+const series = await import('../series.js');
+const db = await import('../../utils/db.js');
+const {
+  planSeries, createSeries, describeTopic, buildSeriesPrompt, attachArticle, refreshNavigation, listSeries, _internal, _setDepsForTesting,
+} = series;
+const { parsePlan, insertNavigation } = _internal;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+const PLAN = {
+  title: '京都ガイド入門',
+  persona: '京都で10年ガイドをしてきた語り手',
+  seedTheme: '京都ガイドの仕事',
+  parts: [
+    { theme: '京都ガイドの集合場所', summary: '駅での集合のコツ' },
+    { theme: '京都ガイドの雨の日', summary: '雨の日のルート' },
+    { theme: '京都ガイドの締めくくり', summary: '解散の仕方' },
+  ],
+};
+
+function createSheet() {
+  const rows = [{ id: 0, theme: '京都ガイドの雨の日' }];
+  return {
+    rows,
+    addTopic: vi.fn(async (_, topic) => {
+      rows.push({ id: rows.length, ...topic });
+      return { success: true };
+    }),
+    readTopics: vi.fn(async () => rows),
+  };
+}
+
+describe('parsePlan / insertNavigation', () => {
+  it('企画の JSON を読み、テーマの無い回を除く', () => {
+    const plan = parsePlan('企画です\n{"title": "", "parts": [{"theme": " 第1回 "}, {"summary": "x"}]}', { seedTheme: '種', persona: '語り手' });
+    expect(plan).toEqual({ title: '種', persona: '語り手', parts: [{ theme: '第1回', summary: '' }] });
+    expect(() => parsePlan('{"parts": []}')).toThrow('連載の回がありません');
+    expect(() => parsePlan('JSON なし')).toThrow('解析できませんでした');
+  });
+
+  it('タイトルの直後に入れ、2回目は差し替える', () => {
+    const once = insertNavigation('# タイトル\n\n本文', '<!-- series-nav -->\nA\n<!-- /series-nav -->');
+    expect(once).toBe('# タイトル\n\n<!-- series-nav -->\nA\n<!-- /series-nav -->\n\n本文');
+    const twice = insertNavigation(once, '<!-- series-nav -->\nB\n<!-- /series-nav -->');
+    expect(twice).toBe('# タイトル\n\n<!-- series-nav -->\nB\n<!-- /series-nav -->\n\n本文');
+  });
+});
+
+describe('series', () => {
+  let fs;
+  let sheet;
+  let client;
+  let recordUsage;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.open(':memory:', { dataDir: path.join(os.tmpdir(), 'note-auto-poster-series-test') });
+    fs = createMockFs();
+    sheet = createSheet();
+    client = {
+      messages: {
+        create: vi.fn(async () => ({
+          content: [{ text: JSON.stringify(PLAN) }],
+          usage: { input_tokens: 100, output_tokens: 50 },
+        })),
+      },
+    };
+    recordUsage = vi.fn(async () => null);
+    _setDepsForTesting({
+      fs,
+      db,
+      logger: mockLogger,
+      config: { get: vi.fn(async (key) => (key === 'api.anthropic_key' ? 'sk-test' : undefined)) },
+      getClient: async () => client,
+      getSheetManager: () => sheet,
+      recordUsage,
+      assertWithinBudget: vi.fn(async () => {}),
+    });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('種テーマから回数分の企画を作り、使用量を記録する', async () => {
+    const plan = await planSeries('tokken', { seedTheme: '京都ガイドの仕事', parts: 2 });
+
+    expect(plan.title).toBe('京都ガイド入門');
+    expect(plan.parts.map((p) => p.theme)).toEqual(['京都ガイドの集合場所', '京都ガイドの雨の日']);
+    const prompt = client.messages.create.mock.calls[0][0].messages[0].content;
+    expect(prompt).toContain('全2回の連載');
+    expect(recordUsage).toHaveBeenCalledWith(expect.objectContaining({ accountId: 'tokken', purpose: 'series_plan' }));
+    await expect(planSeries('tokken', { seedTheme: ' ' })).rejects.toThrow('種となるテーマを入力してください');
+  });
+
+  it('回ごとにトピックを追加し、同じテーマの既存の行ではなく追加した行に紐づける', async () => {
+    const created = await createSeries('tokken', PLAN, { pillar: 'guide', is_paid: true, price: 300, extra: 'x' });
+
+    expect(sheet.addTopic).toHaveBeenCalledTimes(3);
+    expect(sheet.addTopic).toHaveBeenCalledWith('tokken', {
+      pillar: 'guide', is_paid: true, price: 300, theme: '京都ガイドの集合場所', persona: PLAN.persona, status: 'pending',
+    });
+    expect(created.parts.map((p) => p.topic_id)).toEqual(['1', '2', '3']);
+    expect(describeTopic('tokken', { id: 2, theme: '京都ガイドの雨の日' })).toEqual({
+      series_id: created.id, series_title: '京都ガイド入門', series_part: 2, series_total: 3,
+    });
+    expect(describeTopic('tokken', { id: 9, theme: '関係ないテーマ' })).toBeNull();
+  });
+
+  it('トピックの追加に失敗したら何回目かを伝える', async () => {
+    sheet.addTopic.mockResolvedValueOnce({ success: true }).mockRejectedValueOnce(new Error('quota'));
+    await expect(createSeries('tokken', PLAN)).rejects.toThrow('第2回のトピックを追加できませんでした: quota');
+  });
+
+  it('書いた回に前回・次回のリンクを入れ、次の回のプロンプトにこれまでの内容を渡す', async () => {
+    await createSeries('tokken', PLAN);
+    const first = { id: 1, theme: '京都ガイドの集合場所' };
+    const second = { id: 2, theme: '京都ガイドの雨の日' };
+
+    // 第1回: 書く前のプロンプトと、書いた後のリンク
+    const firstPrompt = buildSeriesPrompt('tokken', first);
+    expect(firstPrompt).toContain('連載「京都ガイド入門」の第1回（全3回）');
+    expect(firstPrompt).toContain(PLAN.persona);
+    expect(firstPrompt).toContain('次回（第2回「京都ガイドの雨の日」）の予告');
+    expect(firstPrompt).not.toContain('これまでの回の内容');
+
+    // 記事ファイルがまだ無ければ紐づけだけする。ファイルの場所は series.js が探したパスから取る
+    expect(attachArticle('tokken', first, 'a.md')).toBeNull();
+    const [{ parts }] = listSeries('tokken');
+    expect(parts[0].filename).toBe('a.md');
+    expect(parts[0].article).toBeNull();
+    const filePath = fs.existsSync.mock.calls.find(([p]) => p.endsWith(`${path.sep}a.md`))[0];
+
+    fs.files[filePath] = '---\nstatus: generated\n---\n# 集合は改札の外で\n\n## 改札を決める\n\n本文';
+    const body = attachArticle('tokken', first, 'a.md');
+    expect(body).toContain('**連載「京都ガイド入門」第1回（全3回）**');
+    expect(body).toContain('次回: 第2回 京都ガイドの雨の日（近日公開）');
+    expect(body).not.toContain('前回:');
+
+    const secondPrompt = buildSeriesPrompt('tokken', second);
+    expect(secondPrompt).toContain('第1回「集合は改札の外で」: 駅での集合のコツ');
+    expect(secondPrompt).toContain('見出し: 改札を決める');
+
+    // 第2回を書くと第1回の「次回」が第2回のタイトルになり、第1回を投稿すると第2回の「前回」が note の URL へのリンクになる
+    const secondPath = filePath.replace(/a\.md$/, 'b.md');
+    fs.files[secondPath] = '---\nstatus: generated\n---\n# 雨の日は地下へ\n\n本文';
+    attachArticle('tokken', second, 'b.md');
+    expect(fs.files[filePath]).toContain('次回: 第2回 雨の日は地下へ');
+
+    fs.files[filePath] = fs.files[filePath].replace('status: generated', 'status: generated\nnote_url: https://note.com/tokken/n/n1');
+    expect(refreshNavigation('tokken', listSeries('tokken')[0].id)).toBe(1);
+
+    expect(fs.files[secondPath]).toContain('前回: [第1回 集合は改札の外で](https://note.com/tokken/n/n1)');
+    expect(listSeries('tokken')[0].parts.map((p) => p.article?.note_url ?? null)).toEqual(['https://note.com/tokken/n/n1', null, null]);
+    expect(db.listVersions('tokken', 'b').at(-1)).toMatchObject({ source: 'edited', note: '連載のリンクを更新' });
+  });
+});
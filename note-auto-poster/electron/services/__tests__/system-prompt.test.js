@@ -0,0 +1,61 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import path from 'path';
+
+const systemPrompt = await import('../system-prompt.js');
+const db = await import('../../utils/db.js');
+const { _internal, _setDepsForTesting } = systemPrompt;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+describe('diffLines', () => {
+  it('行単位で追加・削除・共通を並べる', () => {
+    expect(_internal.diffLines('a\nb\nc', 'a\nx\nc\nd')).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'added', text: 'x' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' },
+    ]);
+  });
+});
+
+describe('system-prompt', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.open(':memory:', { dataDir: path.join(os.tmpdir(), 'note-auto-poster-system-prompt-test') });
+    _setDepsForTesting({ db, logger: mockLogger, bundledPrompt: () => '## 文体\n- です・ます' });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('版が無ければ同梱のプロンプトを版 1 にし、保存した版を使う', () => {
+    expect(systemPrompt.getActive()).toEqual({ version: 1, text: '## 文体\n- です・ます', note: '同梱の初期版' });
+
+    const saved = systemPrompt.saveVersion('## 文体\n- だ・である', '  語尾を変えた ');
+    expect(saved).toMatchObject({ version: 2, note: '語尾を変えた', active: true });
+    expect(systemPrompt.getActive()).toMatchObject({ version: 2, text: '## 文体\n- だ・である' });
+    expect(() => systemPrompt.saveVersion('## 文体\n- だ・である')).toThrow('いまの版（版 2）と同じ内容です');
+    expect(() => systemPrompt.saveVersion('  ')).toThrow('システムプロンプトを入力してください');
+  });
+
+  it('過去の版に戻しても版は増えず、差分・メモを扱える', () => {
+    systemPrompt.saveVersion('## 文体\n- だ・である\n- 短く', null);
+
+    expect(systemPrompt.diffVersions(1)).toMatchObject({ from: 1, to: 2, added: 2, removed: 1 });
+    expect(systemPrompt.restoreVersion(1)).toMatchObject({ version: 1, active: true });
+    expect(systemPrompt.getActive().version).toBe(1);
+    expect(systemPrompt.updateNote(2, '')).toMatchObject({ version: 2, note: null });
+    expect(systemPrompt.listVersions().map((v) => [v.version, v.active])).toEqual([[2, false], [1, true]]);
+    expect(() => systemPrompt.restoreVersion(9)).toThrow('システムプロンプトの版 9 が見つかりません');
+  });
+
+  it('DB が使えなければ同梱のプロンプトを版なしで返す', () => {
+    _setDepsForTesting({ db: { getActiveSystemPromptVersion: () => { throw new Error('DB が開かれていません'); } } });
+    expect(systemPrompt.getActive()).toEqual({ version: null, text: '## 文体\n- です・ます', note: null });
+    expect(mockLogger.error).toHaveBeenCalled();
+  });
+});
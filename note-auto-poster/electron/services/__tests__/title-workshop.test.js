@@ -0,0 +1,117 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createMockFs } from '../../__tests__/helpers/mock-fs.js';
+
+const titleWorkshop = await import('../title-workshop.js');
+const { generateCandidates, applyTitle, _internal, _setDepsForTesting } = titleWorkshop;
+const { extractTitleRules, parseCandidates, scoreRules } = _internal;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+const ARTICLE = '---\nstatus: generated\nseries_id: 2\n---\n# 京都ガイドの話\n\n## 集合場所\n\n本文';
+
+function reply(data) {
+  return { content: [{ text: `案です\n${JSON.stringify(data)}` }], usage: { input_tokens: 100, output_tokens: 50 } };
+}
+
+describe('extractTitleRules / parseCandidates / scoreRules', () => {
+  it('システムプロンプトの「タイトルの付け方」だけを取り出す', () => {
+    const prompt = '## 文体\n- です・ます\n\n## タイトルの付け方\n- 【保存版】を使う\n- 数字を入れる\n\n## 構成\n- 見出し';
+    expect(extractTitleRules(prompt)).toBe('- 【保存版】を使う\n- 数字を入れる');
+    expect(extractTitleRules('## 文体\n- です・ます')).toContain('【保存版】【テンプレ付き】');
+  });
+
+  it('応答の JSON を読み、読めなければエラーにする', () => {
+    expect(parseCandidates('前置き {"candidates": []} 後書き')).toEqual({ candidates: [] });
+    expect(() => parseCandidates('JSON なし')).toThrow('タイトル案を解析できませんでした');
+  });
+
+  it('タグ・数字・価値・長さを 2.5 点ずつで採点する', () => {
+    const full = scoreRules('【保存版】京都ガイド10年で学んだ集合場所の決め方マニュアル');
+    expect(full.score).toBe(10);
+    expect(full.checks.every((c) => c.passed)).toBe(true);
+
+    const bare = scoreRules('京都の話');
+    expect(bare.score).toBe(0);
+    expect(scoreRules('京都ガイドが教える雨の日の回り方、十選をまとめて紹介').checks.find((c) => c.key === 'number').passed).toBe(true);
+  });
+});
+
+describe('title-workshop', () => {
+  let fs;
+  let client;
+  let db;
+  let refreshSeries;
+  let recordUsage;
+  let filePath;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs = createMockFs();
+    client = { messages: { create: vi.fn() } };
+    db = { addVersion: vi.fn(), upsertArticle: vi.fn() };
+    refreshSeries = vi.fn();
+    recordUsage = vi.fn(async () => null);
+    _setDepsForTesting({
+      fs,
+      db,
+      logger: mockLogger,
+      config: { get: vi.fn(async (key) => (key === 'api.anthropic_key' ? 'sk-test' : undefined)) },
+      getClient: async () => client,
+      getSystemPrompt: () => '## タイトルの付け方\n- 【保存版】を使う',
+      formatTitle: (title) => [title.slice(0, 8), title.slice(8)].filter(Boolean).join('<br>'),
+      refreshSeries,
+      recordUsage,
+      assertWithinBudget: vi.fn(async () => {}),
+    });
+    // 記事ファイルのパスは title-workshop.js が探したパスから取る
+    fs.existsSync.mockImplementationOnce((p) => {
+      filePath = p;
+      fs.files[p] = ARTICLE;
+      return true;
+    });
+  });
+
+  it('今のタイトルと重なる案を除き、点の高い順に並べる', async () => {
+    client.messages.create.mockResolvedValue(reply({
+      current: { appeal: 4, reason: '価値が見えない' },
+      candidates: [
+        { title: '京都の話', appeal: 9, reason: '短い' },
+        { title: '# 【保存版】京都ガイド10年で学んだ集合場所の決め方マニュアル', appeal: 8, reason: '全部入り' },
+        { title: '京都ガイドの話', appeal: 10 },
+        { title: '京都の話', appeal: 2 },
+        { title: '' },
+      ],
+    }));
+
+    const result = await generateCandidates('tokken', 'a.md', { count: 3 });
+
+    const prompt = client.messages.create.mock.calls[0][0].messages[0].content;
+    expect(prompt).toContain('タイトル案を10個');
+    expect(prompt).toContain('- 【保存版】を使う');
+    expect(prompt).toContain('## 今のタイトル\n京都ガイドの話');
+    expect(result.current).toMatchObject({ title: '京都ガイドの話', length: 7, appeal: 4, score: 3.3, lines: ['京都ガイドの話'] });
+    expect(result.candidates.map((c) => c.title)).toEqual([
+      '【保存版】京都ガイド10年で学んだ集合場所の決め方マニュアル',
+      '京都の話',
+    ]);
+    expect(result.candidates[0]).toMatchObject({ score: 9, rule_score: 10, reason: '全部入り', lines: ['【保存版】京都ガ', 'イド10年で学んだ集合場所の決め方マニュアル'] });
+    expect(result.candidates[1].score).toBe(4.5);
+    expect(recordUsage).toHaveBeenCalledWith(expect.objectContaining({ accountId: 'tokken', articleId: 'a.md', purpose: 'title_workshop' }));
+    expect(mockLogger.warn).toHaveBeenCalled();
+  });
+
+  it('選んだタイトルを H1 と frontmatter に反映し、版を残して連載のリンクも直す', () => {
+    const result = applyTitle('tokken', 'a.md', '## 【保存版】京都ガイドの集合場所\n5選');
+
+    expect(result.title).toBe('【保存版】京都ガイドの集合場所 5選');
+    expect(result.body).toBe('# 【保存版】京都ガイドの集合場所 5選\n\n## 集合場所\n\n本文');
+    expect(fs.files[filePath]).toContain('title: 【保存版】京都ガイドの集合場所 5選');
+    expect(fs.files[filePath]).toContain('status: generated');
+    expect(db.addVersion).toHaveBeenCalledWith('tokken', 'a', expect.objectContaining({ source: 'edited', note: 'タイトルを変更' }));
+    expect(db.upsertArticle).toHaveBeenCalledWith('tokken', expect.objectContaining({ filename: 'a.md' }));
+    expect(refreshSeries).toHaveBeenCalledWith('tokken', 2);
+    expect(() => applyTitle('tokken', 'a.md', ' ')).toThrow('タイトルを入力してください');
+    expect(() => applyTitle('tokken', '../a.md', 'x')).toThrow('不正なファイル名です');
+  });
+});
@@ -0,0 +1,134 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import path from 'path';
+import os from 'os';
+
+const tracker = await import('../usage-tracker.js');
+const db = await import('../../utils/db.js');
+const { estimateCost, recordUsage, getBudgetStatus, assertWithinBudget, getCostBreakdown, importUsageLog, _internal, _setDepsForTesting } = tracker;
+
+const mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+describe('usage-tracker', () => {
+  let values;
+  let notify;
+  let files;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    _internal.notified.clear();
+    db.open(':memory:', { dataDir: path.join(os.tmpdir(), 'note-auto-poster-usage-test') });
+    values = { 'budget.daily_usd': 0, 'budget.monthly_usd': 0, 'budget.warn_ratio': 0.8 };
+    notify = vi.fn(async () => ({}));
+    files = {};
+    _setDepsForTesting({
+      db,
+      logger: mockLogger,
+      notify,
+      config: { get: vi.fn(async (key) => values[key]) },
+      fs: {
+        existsSync: vi.fn((p) => p in files),
+        readFileSync: vi.fn((p) => files[p]),
+      },
+      now: () => new Date(),
+    });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('モデルのファミリーの単価で費用を出し、Message Batches は半額にする', () => {
+    const usage = { input_tokens: 1_000_000, output_tokens: 100_000 };
+    expect(estimateCost('claude-sonnet-4-5-20250929', usage)).toBe(4.5);
+    expect(estimateCost('claude-opus-4-6', usage)).toBe(7.5);
+    expect(estimateCost('claude-haiku-4-5-20251001', { inputTokens: 1_000_000, outputTokens: 100_000 })).toBe(1.5);
+    expect(estimateCost('claude-sonnet-4-5-20250929', usage, { batch: true })).toBe(2.25);
+    // 知らないモデルは sonnet の単価で見積もる
+    expect(estimateCost('claude-next', usage)).toBe(4.5);
+  });
+
+  it('呼び出しごとに記録し、用途・モデル・記事ごとの内訳を出す', async () => {
+    await recordUsage({
+      accountId: 'tokken', articleId: 'kyoto_1.md', purpose: 'generation', model: 'claude-sonnet-4-5-20250929',
+      usage: { input_tokens: 100_000, output_tokens: 10_000 },
+    });
+    await recordUsage({
+      accountId: 'tokken', articleId: 'kyoto_1.md', purpose: 'scoring', model: 'claude-haiku-4-5-20251001',
+      usage: { input_tokens: 10_000, output_tokens: 1_000 },
+    });
+    await recordUsage({ accountId: 'other', purpose: 'outline', model: 'claude-sonnet-4-5-20250929', usage: { input_tokens: 1000, output_tokens: 0 } });
+
+    const all = getCostBreakdown();
+    expect(all.total).toMatchObject({ input_tokens: 111_000, output_tokens: 11_000, calls: 3 });
+    expect(all.total.cost).toBeCloseTo(0.45 + 0.015 + 0.003);
+    expect(all.byPurpose.map((r) => [r.key, r.label])).toEqual([
+      ['generation', '記事の生成'], ['scoring', 'スコアリング'], ['outline', 'アウトライン'],
+    ]);
+    expect(all.byAccount.map((r) => r.key)).toEqual(['tokken', 'other']);
+    expect(all.byArticle).toEqual([expect.objectContaining({ key: 'tokken/kyoto_1', calls: 2 })]);
+    expect(all.byDay).toHaveLength(1);
+
+    expect(getCostBreakdown({ accountId: 'other' }).total).toMatchObject({ calls: 1, cost: 0.003 });
+  });
+
+  it('予算の警告と超過を期間ごとに1回だけ通知し、超過したら生成を止める', async () => {
+    values['budget.monthly_usd'] = 1;
+    const call = (output) => recordUsage({
+      accountId: 'tokken', purpose: 'generation', model: 'claude-sonnet-4-5-20250929', usage: { input_tokens: 0, output_tokens: output },
+    });
+
+    await call(50_000); // $0.75
+    await expect(assertWithinBudget()).resolves.toBeUndefined();
+    await call(4_000); // $0.81
+    await call(1_000); // $0.825
+    expect(notify.mock.calls).toEqual([
+      ['budget_warning', expect.objectContaining({ accountId: 'tokken', period: '今月', spent: 0.81, budget: 1 })],
+    ]);
+
+    await call(25_000); // $1.2
+    await call(1_000);
+    expect(notify).toHaveBeenCalledTimes(2);
+    expect(notify).toHaveBeenLastCalledWith('budget_exceeded', expect.objectContaining({ period: '今月', spent: 1.2, budget: 1 }));
+
+    const status = await getBudgetStatus();
+    expect(status.monthly).toMatchObject({ exceeded: true, warning: false });
+    expect(status.daily).toMatchObject({ budget: 0, exceeded: false });
+    await expect(assertWithinBudget()).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED', message: expect.stringContaining('今月の予算 $1') });
+  });
+
+  it('GitHub Actions のリライトの使用量を取り込み、取り込み済みの行は飛ばす', async () => {
+    const logPath = path.join('/repo', '.note-usage', 'ai-rewrite.jsonl');
+    const line = (id) => JSON.stringify({
+      id, account_id: 'tokken', article_id: 'kyoto_1', model: 'claude-sonnet-4-5-20250929',
+      input_tokens: 1000, output_tokens: 100, created_at: '2026-10-01T00:00:00.000Z',
+    });
+    files[logPath] = `${line('a')}\n壊れた行\n${line('b')}\n`;
+
+    expect(await importUsageLog('/repo')).toBe(2);
+    files[logPath] += `${line('c')}\n`;
+    expect(await importUsageLog('/repo')).toBe(1);
+
+    const { byPurpose, total } = getCostBreakdown({ accountId: 'tokken' });
+    expect(byPurpose).toEqual([expect.objectContaining({ key: 'action_rewrite', calls: 3 })]);
+    expect(total.cost).toBeCloseTo(0.0135);
+    expect(await importUsageLog('/other')).toBe(0);
+  });
+
+  it('取り込みは設定で追加したモデルの単価で計算し、Anthropic 以外のプロバイダの行は費用を付けない', async () => {
+    values['models.custom'] = [{ id: 'claude-custom-1', input_price: 10, output_price: 50 }];
+    const logPath = path.join('/repo', '.note-usage', 'ai-rewrite.jsonl');
+    const line = (id, extra) => JSON.stringify({
+      id, account_id: 'tokken', article_id: 'kyoto_1', input_tokens: 1000, output_tokens: 100, ...extra,
+    });
+    files[logPath] = [
+      line('anthropic', { provider: 'anthropic', model: 'claude-custom-1' }),
+      line('local', { provider: 'openai', model: 'claude-custom-1' }),
+    ].join('\n');
+
+    expect(await importUsageLog('/repo')).toBe(2);
+
+    const byModel = getCostBreakdown({ accountId: 'tokken' }).byModel;
+    expect(byModel).toEqual([expect.objectContaining({ key: 'claude-custom-1', calls: 2, cost: 0.015 })]);
+  });
+});
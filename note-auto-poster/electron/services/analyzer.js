@@ -0,0 +1,428 @@
+/**
+ * Performance Analyzer
+ *
+ * note.com の統計（ビュー・スキ・売上数・売上金額）を取り込み、ローカルの記事と突き合わせて
+ * ピラー・価格・タイトルの型・サムネイル・文字数・生成モデル・システムプロンプトの版ごとの成績を集計する。
+ *
+ * - 取り込み元: note の CSV エクスポート、またはダッシュボードを保存した HTML
+ * - 記事との照合: note_url（/n/xxxx の記事キー）→ 正規化したタイトルの順
+ * - 取り込んだ統計は SQLite（note_stats）に保存し、再取り込み時は上書きする（累計値のため）
+ */
+
+const _fs = require('fs');
+const path = require('path');
+const { parse: parseCsv } = require('csv-parse/sync');
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const _db = require('../utils/db');
+const frontmatter = require('../utils/frontmatter');
+
+// Mutable deps for testing
+let deps = { fs: _fs, config: _config, logger: _logger, db: _db };
+
+// 購入率などの比較に含める最低ビュー数（少なすぎるグループは偶然に左右されるため）
+const MIN_VIEWS = 100;
+
+const DIMENSIONS = [
+  { key: 'pillar', label: 'ピラー' },
+  { key: 'price', label: '価格' },
+  { key: 'title_pattern', label: 'タイトルの型' },
+  { key: 'thumbnail_pattern', label: 'サムネイル' },
+  { key: 'length', label: '文字数' },
+  { key: 'model', label: '生成モデル' },
+  { key: 'system_prompt_version', label: 'プロンプトの版' },
+];
+
+const TITLE_PATTERNS = [
+  { key: 'tag', label: '【】タグ', test: (t) => /【[^】]+】/.test(t) },
+  { key: 'number', label: '数字入り', test: (t) => /[0-9０-９]/.test(t) },
+  { key: 'template', label: 'テンプレ・リスト系', test: (t) => /テンプレ|チェックリスト|マニュアル|フレーズ集|\d+選/.test(t) },
+  { key: 'question', label: '疑問形', test: (t) => /[?？]/.test(t) },
+];
+
+const LENGTH_BUCKETS = [
+  { key: 'short', label: '〜3000字', max: 3000 },
+  { key: 'medium', label: '3000〜5000字', max: 5000 },
+  { key: 'long', label: '5000字〜', max: Infinity },
+];
+
+// Map note.com export headers to normalized field names
+const HEADER_ALIASES = {
+  title: 'title',
+  タイトル: 'title',
+  記事タイトル: 'title',
+  記事名: 'title',
+  記事: 'title',
+  url: 'url',
+  記事url: 'url',
+  リンク: 'url',
+  views: 'views',
+  view: 'views',
+  pv: 'views',
+  ビュー: 'views',
+  ビュー数: 'views',
+  閲覧数: 'views',
+  likes: 'likes',
+  スキ: 'likes',
+  スキ数: 'likes',
+  いいね: 'likes',
+  comments: 'comments',
+  コメント: 'comments',
+  コメント数: 'comments',
+  sales: 'sales',
+  売上数: 'sales',
+  販売数: 'sales',
+  購入数: 'sales',
+  revenue: 'revenue',
+  売上: 'revenue',
+  売上金額: 'revenue',
+  売上額: 'revenue',
+  収益: 'revenue',
+  金額: 'revenue',
+};
+
+const NUMERIC_FIELDS = ['views', 'likes', 'comments', 'sales', 'revenue'];
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', '..', 'data');
+  }
+}
+
+function normalizeHeader(header) {
+  const trimmed = String(header || '').replace(/^\uFEFF/, '').trim();
+  return HEADER_ALIASES[trimmed.toLowerCase()] || HEADER_ALIASES[trimmed] || null;
+}
+
+function toNumber(value) {
+  const n = Number(String(value ?? '').replace(/[,，円¥\s]/g, ''));
+  return Number.isFinite(n) ? n : 0;
+}
+
+/**
+ * note の記事 URL から記事キー（n + 英数字）を取り出す
+ */
+function noteKey(url) {
+  const m = String(url || '').match(/\/n\/(n?[0-9a-z]+)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+/**
+ * 表記ゆれを吸収したタイトル（全角・半角、空白、記号を無視）
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s「」『』【】（）()\[\]"'“”‘’・:：、。！!？?～〜\-—|｜]/g, '');
+}
+
+/**
+ * 行データを記事ごとに集計する。
+ * 売上 CSV のように 1 購入 1 行で売上数の列が無い場合は、売上金額のある行を 1 件と数える
+ * @param {object[]} records - 正規化済みフィールドのオブジェクト
+ */
+function aggregateRecords(records) {
+  const byKey = new Map();
+  for (const rec of records) {
+    if (!rec.title && !rec.url) continue;
+    const key = noteKey(rec.url) || `title:${normalizeTitle(rec.title)}`;
+    const row = byKey.get(key) || { key, url: null, title: '', views: 0, likes: 0, comments: 0, sales: 0, revenue: 0 };
+    if (rec.url) row.url = rec.url;
+    if (rec.title) row.title = rec.title;
+    for (const field of NUMERIC_FIELDS) {
+      if (rec[field] !== undefined) row[field] += toNumber(rec[field]);
+    }
+    if (rec.sales === undefined && toNumber(rec.revenue) > 0) row.sales += 1;
+    byKey.set(key, row);
+  }
+  return [...byKey.values()];
+}
+
+function recordsFromTable(rows) {
+  const [header, ...body] = rows;
+  const fields = (header || []).map((h) => normalizeHeader(typeof h === 'object' ? h.text : h));
+  if (!fields.includes('title') && !fields.includes('url')) {
+    throw new Error('タイトルまたは URL の列が見つかりません');
+  }
+  return body.map((cells) => {
+    const rec = {};
+    cells.forEach((cell, i) => {
+      const field = fields[i];
+      const text = typeof cell === 'object' ? cell.text : cell;
+      const href = typeof cell === 'object' ? cell.href : null;
+      if (href && noteKey(href) && !rec.url) rec.url = href;
+      if (!field) return;
+      if (field === 'url' && !text && href) rec.url = href;
+      else if (field === 'revenue' && rec.revenue !== undefined) return; // 売上と金額が両方ある場合は先の列を使う
+      else rec[field] = text;
+    });
+    return rec;
+  });
+}
+
+/**
+ * note の CSV エクスポートをパースする
+ */
+function parseStatsCsv(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''), { skip_empty_lines: true, relax_column_count: true });
+  return aggregateRecords(recordsFromTable(rows));
+}
+
+function stripTags(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 保存したダッシュボードの HTML から統計の表をパースする（見出し行が title/url を含む最初の表）
+ */
+function parseStatsHtml(html) {
+  const tables = html.match(/<table[\s\S]*?<\/table>/gi) || [];
+  for (const table of tables) {
+    const rows = (table.match(/<tr[\s\S]*?<\/tr>/gi) || []).map((tr) =>
+      (tr.match(/<t[hd][^>]*>[\s\S]*?<\/t[hd]>/gi) || []).map((cell) => {
+        const href = cell.match(/<a[^>]*href="([^"]+)"/i);
+        return { text: stripTags(cell), href: href ? href[1] : null };
+      })
+    );
+    if (rows.length < 2) continue;
+    const fields = rows[0].map((c) => normalizeHeader(c.text));
+    if (fields.includes('title') || fields.includes('url')) {
+      return aggregateRecords(recordsFromTable(rows));
+    }
+  }
+  throw new Error('統計の表が見つかりません');
+}
+
+function parseStatsFile(filePath) {
+  const text = deps.fs.readFileSync(filePath, 'utf-8');
+  const isHtml = /\.html?$/i.test(filePath) || /^\s*<(!doctype|html)/i.test(text);
+  return isHtml ? parseStatsHtml(text) : parseStatsCsv(text);
+}
+
+// --- Local articles ---
+
+function classifyTitle(title) {
+  const matched = TITLE_PATTERNS.filter((p) => p.test(title || '')).map((p) => p.key);
+  return matched.length > 0 ? matched : ['plain'];
+}
+
+function lengthBucket(body) {
+  const length = String(body || '').replace(/\s/g, '').length;
+  return LENGTH_BUCKETS.find((b) => length < b.max).key;
+}
+
+function loadLocalArticles(accountId) {
+  const dir = path.join(getDataDir(), 'accounts', accountId, 'articles');
+  if (!deps.fs.existsSync(dir)) return [];
+
+  let topics = [];
+  try {
+    topics = deps.db.loadTopicsCache(accountId)?.topics || [];
+  } catch (e) {
+    deps.logger.warn('analyzer', `トピックキャッシュの読み込みに失敗: ${e.message}`, { accountId });
+  }
+
+  return deps.fs.readdirSync(dir).filter((f) => f.endsWith('.md')).map((filename) => {
+    const { metadata, body } = frontmatter.parse(deps.fs.readFileSync(path.join(dir, filename), 'utf-8'));
+    const topic = metadata.topic_id !== undefined
+      ? topics.find((t) => String(t.id) === String(metadata.topic_id))
+      : null;
+    const title = frontmatter.extractTitle(body) || metadata.title || filename;
+    return {
+      id: filename.replace(/\.md$/, ''),
+      filename,
+      title,
+      note_url: metadata.note_url || null,
+      pillar: metadata.pillar || topic?.pillar || null,
+      price: Number(metadata.price ?? topic?.price ?? 0) || 0,
+      title_pattern: classifyTitle(title),
+      thumbnail_pattern: metadata.thumbnail_pattern || null,
+      length: lengthBucket(body),
+      model: metadata.model || metadata.generation_model || null,
+      system_prompt_version: metadata.system_prompt_version != null ? String(metadata.system_prompt_version) : null,
+    };
+  });
+}
+
+/**
+ * 統計の行をローカル記事に照合する
+ * @returns {object|null} 記事
+ */
+function matchArticle(stat, articles) {
+  const key = noteKey(stat.url);
+  if (key) {
+    const byUrl = articles.find((a) => noteKey(a.note_url) === key);
+    if (byUrl) return byUrl;
+  }
+  const title = normalizeTitle(stat.title);
+  return title ? articles.find((a) => normalizeTitle(a.title) === title) || null : null;
+}
+
+// --- Analysis ---
+
+function emptyMetrics() {
+  return { articles: 0, views: 0, likes: 0, sales: 0, revenue: 0 };
+}
+
+function finalizeMetrics(m) {
+  return {
+    ...m,
+    conversion: m.views > 0 ? m.sales / m.views : null,
+    like_rate: m.views > 0 ? m.likes / m.views : null,
+    revenue_per_article: m.articles > 0 ? Math.round(m.revenue / m.articles) : 0,
+  };
+}
+
+function dimensionValues(row, dimension) {
+  if (dimension === 'price') return [row.price > 0 ? String(row.price) : 'free'];
+  const value = row[dimension];
+  if (Array.isArray(value)) return value;
+  return [value || 'unknown'];
+}
+
+function groupLabel(dimension, key, account) {
+  if (key === 'unknown') return '不明';
+  if (dimension === 'pillar') return (account?.pillars || []).find((p) => p.id === key)?.name || key;
+  if (dimension === 'price') return key === 'free' ? '無料' : `${key}円`;
+  if (dimension === 'title_pattern') {
+    return key === 'plain' ? '型なし' : TITLE_PATTERNS.find((p) => p.key === key)?.label || key;
+  }
+  if (dimension === 'thumbnail_pattern') return `パターン${key.toUpperCase()}`;
+  if (dimension === 'length') return LENGTH_BUCKETS.find((b) => b.key === key)?.label || key;
+  if (dimension === 'system_prompt_version') return `版 ${key}`;
+  return key;
+}
+
+/**
+ * 照合済みの行を各観点でグループ化して集計する
+ * @param {object[]} rows - 記事の属性と統計を結合した行
+ */
+function summarize(rows, account) {
+  const groups = {};
+  const best = {};
+  for (const { key: dimension } of DIMENSIONS) {
+    const byKey = new Map();
+    for (const row of rows) {
+      for (const value of dimensionValues(row, dimension)) {
+        const m = byKey.get(value) || emptyMetrics();
+        m.articles += 1;
+        m.views += row.views;
+        m.likes += row.likes;
+        m.sales += row.sales;
+        m.revenue += row.revenue;
+        byKey.set(value, m);
+      }
+    }
+    groups[dimension] = [...byKey.entries()]
+      .map(([key, m]) => ({ key, label: groupLabel(dimension, key, account), ...finalizeMetrics(m) }))
+      .sort((a, b) => b.revenue - a.revenue || b.views - a.views);
+
+    const comparable = groups[dimension].filter((g) => g.key !== 'unknown' && g.views >= MIN_VIEWS && g.conversion !== null);
+    const top = [...comparable].sort((a, b) => b.conversion - a.conversion || b.revenue - a.revenue)[0];
+    best[dimension] = top && top.sales > 0 ? { key: top.key, label: top.label, conversion: top.conversion } : null;
+  }
+  return { groups, best };
+}
+
+/**
+ * 企画に使える短い所見（日本語）
+ */
+function buildInsights(best) {
+  return DIMENSIONS
+    .filter((d) => best[d.key])
+    .map((d) => `${d.label}は「${best[d.key].label}」の購入率が最も高い（${(best[d.key].conversion * 100).toFixed(1)}%）`);
+}
+
+/**
+ * 統計ファイルを取り込む
+ * @returns {{ imported: number, matched: number, unmatched: string[] }}
+ */
+async function importStats(accountId, filePath) {
+  const rows = parseStatsFile(filePath);
+  if (rows.length === 0) throw new Error('取り込める行がありません');
+  deps.db.saveNoteStats(accountId, rows, path.basename(filePath));
+
+  const articles = loadLocalArticles(accountId);
+  const unmatched = rows.filter((r) => !matchArticle(r, articles)).map((r) => r.title || r.url);
+  deps.logger.info('analyzer', `Imported ${rows.length} rows from ${path.basename(filePath)}`, { accountId });
+  return { imported: rows.length, matched: rows.length - unmatched.length, unmatched };
+}
+
+/**
+ * 取り込み済みの統計とローカル記事を結合して集計する
+ */
+async function analyze(accountId) {
+  const account = await deps.config.getAccount(accountId);
+  const articles = loadLocalArticles(accountId);
+  const stats = deps.db.listNoteStats(accountId);
+
+  const rows = [];
+  let unmatched = 0;
+  for (const stat of stats) {
+    const article = matchArticle(stat, articles);
+    if (!article) {
+      unmatched++;
+      continue;
+    }
+    rows.push({
+      ...article,
+      views: stat.views,
+      likes: stat.likes,
+      comments: stat.comments,
+      sales: stat.sales,
+      revenue: stat.revenue,
+    });
+  }
+
+  const totals = finalizeMetrics(rows.reduce((m, r) => ({
+    articles: m.articles + 1,
+    views: m.views + r.views,
+    likes: m.likes + r.likes,
+    sales: m.sales + r.sales,
+    revenue: m.revenue + r.revenue,
+  }), emptyMetrics()));
+  const { groups, best } = summarize(rows, account);
+
+  return {
+    totals,
+    articles: rows.map((r) => ({ ...r, ...finalizeMetrics({ articles: 1, ...r }) })).sort((a, b) => b.revenue - a.revenue || b.views - a.views),
+    groups,
+    best,
+    insights: buildInsights(best),
+    unmatched,
+    imported_at: stats.reduce((latest, s) => (s.imported_at > latest ? s.imported_at : latest), '') || null,
+  };
+}
+
+module.exports = {
+  importStats,
+  analyze,
+  DIMENSIONS,
+  MIN_VIEWS,
+  _internal: {
+    parseStatsCsv,
+    parseStatsHtml,
+    noteKey,
+    normalizeTitle,
+    classifyTitle,
+    lengthBucket,
+    matchArticle,
+    summarize,
+    buildInsights,
+  },
+  _setDepsForTesting: (overrides) => { deps = { ...deps, ...overrides }; },
+};
@@ -5,23 +5,16 @@
  * 現状の rewrite.js が編集ごとに個別API呼び出しするのに対し、
  * 全指示を1プロンプトにまとめて送信することでコストを大幅削減。
  *
- * モデル選択:
- *   デフォルト: Sonnet（コスト効率重視）
- *   /done opus: Opus 4.6（最高品質、最終仕上げ向け）
+ * モデル選択（model-registry）:
+ *   デフォルト: api.batch_rewrite_model（既定は Sonnet、コスト効率重視）
+ *   /done opus: 別名かモデル ID で指定したモデル（Opus は最高品質、最終仕上げ向け）
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
 const config = require('../utils/config');
 const frontmatter = require('../utils/frontmatter');
 const logger = require('../utils/logger');
-
-const MODELS = {
-  sonnet: 'claude-sonnet-4-5-20250929',
-  opus: 'claude-opus-4-6',
-  haiku: 'claude-haiku-4-5-20251001',
-};
-
-const DEFAULT_MODEL = 'sonnet';
+const models = require('../utils/model-registry');
+const llm = require('../utils/llm-provider');
 
 const SYSTEM_PROMPT = `あなたはnoteで有料記事を販売するプロのコンテンツライターです。
 記事のリライト（書き直し）を行います。
@@ -42,17 +35,15 @@ const SYSTEM_PROMPT = `あなたはnoteで有料記事を販売するプロの
  * @param {Array} instructions - パース済み指示の配列
  *   [{ targetSection, sectionTitle, instruction, lineStart, lineEnd }]
  * @param {object} options
- *   @param {string} options.model - 'sonnet' | 'opus' | 'haiku'
+ *   @param {string} options.model - 登録済みのモデルの別名（'sonnet' | 'opus' | 'haiku' など）か ID。無ければ設定のモデル
  *   @param {string} options.writingGuidelines - ライティングガイドライン
  * @returns {object} { rewrittenContent, summary }
  */
 async function batchRewrite(articleContent, instructions, options = {}) {
-  const apiKey = await config.get('api.anthropic_key');
-  if (!apiKey) throw new Error('Anthropic APIキーが設定されていません');
+  const client = await llm.getClient();
 
-  const modelKey = options.model || DEFAULT_MODEL;
-  const model = MODELS[modelKey] || MODELS[DEFAULT_MODEL];
-  const client = new Anthropic({ apiKey });
+  const entry = await models.modelForTask('batch_rewrite', { override: options.model });
+  const model = entry.id;
 
   // frontmatter を分離
   const { metadata, body } = frontmatter.parse(articleContent);
@@ -71,7 +62,7 @@ async function batchRewrite(articleContent, instructions, options = {}) {
 
   const message = await client.messages.create({
     model,
-    max_tokens: 16384,
+    max_tokens: models.capTokens(model, 16384),
     system: systemPrompt,
     messages: [{ role: 'user', content: userPrompt }],
   });
@@ -96,6 +87,7 @@ async function batchRewrite(articleContent, instructions, options = {}) {
     summary,
     usage: {
       model,
+      modelName: entry.alias || entry.label,
       inputTokens: message.usage?.input_tokens || 0,
       outputTokens: message.usage?.output_tokens || 0,
     },
@@ -174,7 +166,7 @@ function formatSummaryForTelegram(summary, usage) {
   lines.push(`\u6587\u5b57\u6570: ${summary.originalChars} \u2192 ${summary.rewrittenChars} (${summary.charDiff})`);
 
   if (usage) {
-    const modelName = Object.entries(MODELS).find(([, v]) => v === usage.model)?.[0] || usage.model;
+    const modelName = usage.modelName || usage.model;
     lines.push(`\u30e2\u30c7\u30eb: ${modelName} | \u30c8\u30fc\u30af\u30f3: ${usage.inputTokens + usage.outputTokens}`);
   }
 
@@ -192,4 +184,4 @@ function escapeHtml(text) {
     .replace(/>/g, '&gt;');
 }
 
-module.exports = { batchRewrite, formatSummaryForTelegram, MODELS };
+module.exports = { batchRewrite, formatSummaryForTelegram };
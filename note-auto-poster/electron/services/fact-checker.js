@@ -0,0 +1,344 @@
+/**
+ * Fact Checker
+ *
+ * 記事中の具体的な主張（数値・日付・サービス名・規約やルール）を抜き出し、
+ * アカウントごとのファクト集（data/accounts/{id}/facts.json）と照合する。
+ *
+ * - 主張の抽出はローカルで行い、照合の判定は api.scoring_model に任せる
+ * - api.web_search_key が設定されていれば、ファクト集で確認できない主張を検索プロバイダで裏付ける
+ *   （プロバイダは registerSearchProvider で差し替え可能。既定は Brave Search）
+ * - 結果は data/accounts/{id}/fact-checks/{articleId}.json に保存し、frontmatter に fact_check_status を記録
+ */
+
+const _fs = require('fs');
+const path = require('path');
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const frontmatter = require('../utils/frontmatter');
+const models = require('../utils/model-registry');
+const llm = require('../utils/llm-provider');
+
+const MAX_CLAIMS = 40;
+const MAX_SEARCHES = 5;
+
+// 検索プロバイダ: (query, apiKey) => Promise<Array<{ title, url, snippet }>>
+const searchProviders = {
+  brave: async (query, apiKey) => {
+    const url = `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}&count=5`;
+    const res = await deps.fetch(url, {
+      headers: { Accept: 'application/json', 'X-Subscription-Token': apiKey },
+    });
+    if (!res.ok) throw new Error(`検索APIエラー: ${res.status}`);
+    const data = await res.json();
+    return (data.web?.results || []).map(r => ({ title: r.title, url: r.url, snippet: r.description || '' }));
+  },
+};
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  config: _config,
+  logger: _logger,
+  fetch: (...args) => fetch(...args),
+  getClient: () => llm.getClient({ config: deps.config }),
+  recordUsage: (entry) => require('./usage-tracker').recordUsage(entry),
+};
+
+// よく使われる予約・レビューサービス（ファクト集に無くてもサービス名として扱う）
+const KNOWN_SERVICES = [
+  'Viator', 'GetYourGuide', 'Klook', 'KKday', 'Airbnb', 'TripAdvisor', 'Tripadvisor',
+  'Booking.com', 'Expedia', 'ToursByLocals', 'Google マップ', 'Googleマップ', 'note',
+];
+
+const PATTERNS = {
+  number: /[0-9０-９]+(?:[.,][0-9０-９]+)?\s*(?:年|人|名|件|円|万|億|%|％|か国|ヶ国|カ国|回|時間|分|日|週間|ヶ月|か月|カ月|個|組|泊|km|キロ|倍|位|点|つ星|星)/,
+  date: /(?:19|20)[0-9]{2}\s*年|[0-9]{1,2}\s*月\s*[0-9]{1,2}\s*日|令和|平成|昨年|今年|去年/,
+  rule: /規約|規定|ルール|ポリシー|禁止|義務|必須|法律|法令|条例|許可|免許|資格|登録|手数料|キャンセル料|ガイドライン|違反/,
+};
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', '..', 'data');
+  }
+}
+
+function getAccountDir(accountId) {
+  return path.join(getDataDir(), 'accounts', accountId);
+}
+
+function getFactsPath(accountId) {
+  return path.join(getAccountDir(accountId), 'facts.json');
+}
+
+function getResultPath(accountId, articleId) {
+  return path.join(getAccountDir(accountId), 'fact-checks', `${articleId}.json`);
+}
+
+// --- Facts knowledge base ---
+
+/**
+ * @returns {Array<{ key: string, label: string, value: string, note?: string }>}
+ */
+function loadFacts(accountId) {
+  const filePath = getFactsPath(accountId);
+  if (!deps.fs.existsSync(filePath)) return [];
+  try {
+    const data = JSON.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+    return Array.isArray(data.facts) ? data.facts : [];
+  } catch (e) {
+    deps.logger.error('fact-checker', `facts.json の読み込みに失敗: ${e.message}`, { accountId });
+    return [];
+  }
+}
+
+function saveFacts(accountId, facts) {
+  const cleaned = (facts || [])
+    .map(f => ({
+      key: String(f.key || '').trim(),
+      label: String(f.label || '').trim(),
+      value: String(f.value || '').trim(),
+      note: String(f.note || '').trim(),
+    }))
+    .filter(f => f.label && f.value)
+    .map(f => ({ ...f, key: f.key || f.label }));
+  const filePath = getFactsPath(accountId);
+  deps.fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  deps.fs.writeFileSync(
+    filePath,
+    JSON.stringify({ facts: cleaned, updated_at: new Date().toISOString() }, null, 2),
+    'utf-8'
+  );
+  return cleaned;
+}
+
+// --- Claim extraction ---
+
+function serviceNames(facts) {
+  const fromFacts = facts.flatMap(f => f.value.split(/[,、，/]/)).map(s => s.trim())
+    .filter(s => /^[A-Za-z][A-Za-z0-9.\- ]+$/.test(s));
+  return [...new Set([...KNOWN_SERVICES, ...fromFacts])];
+}
+
+/**
+ * 本文から検証対象の文を抜き出す（見出し・タイトル行・コードブロックは除く）
+ * @returns {Array<{ id: number, sentence: string, line: number, types: string[] }>}
+ */
+function extractClaims(body, facts = []) {
+  const services = serviceNames(facts);
+  const claims = [];
+  let inCode = false;
+
+  const lines = String(body || '').split('\n');
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (line.startsWith('```')) { inCode = !inCode; return; }
+    if (inCode || i === 0 || !line || line.startsWith('#') || line.startsWith('<!--')) return;
+
+    const text = line.replace(/^(?:[-*・]|\d+[.)．])\s+/, '').replace(/\*\*/g, '');
+    const sentences = text.split(/(?<=[。！？!?])/).map(s => s.trim()).filter(Boolean);
+    for (const sentence of sentences) {
+      const types = [];
+      if (PATTERNS.number.test(sentence)) types.push('number');
+      if (PATTERNS.date.test(sentence)) types.push('date');
+      if (services.some(s => sentence.toLowerCase().includes(s.toLowerCase()))) types.push('service');
+      if (PATTERNS.rule.test(sentence)) types.push('rule');
+      if (types.length > 0 && claims.length < MAX_CLAIMS) {
+        claims.push({ id: claims.length + 1, sentence, line: i + 1, types });
+      }
+    }
+  });
+  return claims;
+}
+
+// --- Verification ---
+
+function formatFacts(facts) {
+  if (facts.length === 0) return '（登録されたファクトはありません）';
+  return facts.map(f => `- ${f.label}: ${f.value}${f.note ? `（${f.note}）` : ''}`).join('\n');
+}
+
+function buildVerificationPrompt(claims, facts, evidence) {
+  const claimLines = claims.map(c => `${c.id}. ${c.sentence}`).join('\n');
+  let prompt = `あなたは記事のファクトチェッカーです。次の「ファクト集」は筆者について確認済みの事実です。
+記事から抜き出した各文について、ファクト集と矛盾するか判定してください。
+
+## ファクト集
+${formatFacts(facts)}
+
+## 判定基準
+- consistent: ファクト集と一致する、または一般的に正しいと確認できる
+- conflict: ファクト集と矛盾する（数値・年数・サービス名・規約が異なる）、または明らかに事実と異なる
+- unverified: ファクト集では確認できない具体的な主張`;
+
+  if (evidence && evidence.length > 0) {
+    prompt += '\n\n## 検索結果（参考情報）\n' + evidence.map(e =>
+      `[${e.id}] ${e.results.map(r => `${r.title}: ${r.snippet} (${r.url})`).join(' / ')}`
+    ).join('\n');
+  }
+
+  prompt += `
+
+## 出力形式
+次の JSON のみを出力してください。fact には矛盾するファクトまたは根拠を、reason には理由を1文で書いてください。
+{"results":[{"id":1,"status":"consistent","fact":"","reason":""}]}
+
+## 検証する文
+${claimLines}`;
+  return prompt;
+}
+
+function parseVerificationResponse(text) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('ファクトチェック結果を解析できませんでした');
+  let data;
+  try {
+    data = JSON.parse(match[0]);
+  } catch {
+    throw new Error('ファクトチェック結果を解析できませんでした');
+  }
+  const byId = {};
+  for (const r of data.results || []) {
+    const status = ['consistent', 'conflict', 'unverified'].includes(r.status) ? r.status : 'unverified';
+    byId[Number(r.id)] = { status, fact: String(r.fact || '').trim(), reason: String(r.reason || '').trim() };
+  }
+  return byId;
+}
+
+async function verify(client, model, claims, facts, evidence, onUsage) {
+  const message = await client.messages.create({
+    model,
+    max_tokens: models.capTokens(model, 4096),
+    messages: [{ role: 'user', content: buildVerificationPrompt(claims, facts, evidence) }],
+  });
+  await onUsage?.(message.usage);
+  return parseVerificationResponse(message.content[0].text);
+}
+
+async function getSearchProvider() {
+  const apiKey = await deps.config.get('api.web_search_key');
+  if (!apiKey) return null;
+  const name = (await deps.config.get('api.web_search_provider')) || 'brave';
+  const provider = searchProviders[name];
+  if (!provider) {
+    deps.logger.warn('fact-checker', `未対応の検索プロバイダ: ${name}`);
+    return null;
+  }
+  return (query) => provider(query, apiKey);
+}
+
+/**
+ * 記事をファクトチェックして結果を保存する
+ * @returns {Promise<{ status: 'ok'|'flagged', checked_at: string, searched: boolean, claims: Array }>}
+ */
+async function checkArticle(accountId, filename) {
+  if (filename !== path.basename(filename)) throw new Error('不正なファイル名です');
+  const filePath = path.join(getAccountDir(accountId), 'articles', filename);
+  if (!deps.fs.existsSync(filePath)) throw new Error('記事ファイルが見つかりません');
+
+  const client = await deps.getClient();
+  const { id: model } = await models.modelForTask('scoring', { config: deps.config, logger: deps.logger });
+
+  const { body } = frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+  const facts = loadFacts(accountId);
+  const claims = extractClaims(body, facts);
+
+  let verdicts = {};
+  let searched = false;
+  if (claims.length > 0) {
+    const onUsage = (usage) => deps.recordUsage({ accountId, articleId: filename, purpose: 'fact_check', model, usage });
+    verdicts = await verify(client, model, claims, facts, null, onUsage);
+
+    // ファクト集で確認できなかったサービス・規約・日付の主張は検索で裏付ける
+    const search = await getSearchProvider();
+    const targets = claims
+      .filter(c => verdicts[c.id]?.status === 'unverified' && c.types.some(t => t !== 'number'))
+      .slice(0, MAX_SEARCHES);
+    if (search && targets.length > 0) {
+      const evidence = [];
+      for (const c of targets) {
+        try {
+          const results = await search(c.sentence);
+          if (results.length > 0) evidence.push({ id: c.id, results: results.slice(0, 3) });
+        } catch (e) {
+          deps.logger.warn('fact-checker', `検索に失敗: ${e.message}`, { accountId });
+        }
+      }
+      if (evidence.length > 0) {
+        searched = true;
+        const second = await verify(client, model, targets.filter(c => evidence.some(e => e.id === c.id)), facts, evidence, onUsage);
+        for (const e of evidence) {
+          if (second[e.id]) {
+            verdicts[e.id] = { ...second[e.id], sources: e.results.map(r => r.url) };
+          }
+        }
+      }
+    }
+  }
+
+  const results = claims.map(c => ({
+    ...c,
+    status: verdicts[c.id]?.status || 'unverified',
+    fact: verdicts[c.id]?.fact || '',
+    reason: verdicts[c.id]?.reason || '',
+    sources: verdicts[c.id]?.sources || [],
+  }));
+  const flagged = results.filter(r => r.status === 'conflict').length;
+  const result = {
+    status: flagged > 0 ? 'flagged' : 'ok',
+    checked_at: new Date().toISOString(),
+    searched,
+    claims: results,
+  };
+
+  const articleId = filename.replace(/\.md$/, '');
+  const resultPath = getResultPath(accountId, articleId);
+  deps.fs.mkdirSync(path.dirname(resultPath), { recursive: true });
+  deps.fs.writeFileSync(resultPath, JSON.stringify(result, null, 2), 'utf-8');
+
+  const latest = frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+  deps.fs.writeFileSync(
+    filePath,
+    frontmatter.stringify({ ...latest.metadata, fact_check_status: result.status, fact_check_flags: flagged }, latest.body),
+    'utf-8'
+  );
+
+  deps.logger.info('fact-checker', `${filename}: ${claims.length}件中 ${flagged}件に矛盾`, { accountId });
+  return result;
+}
+
+/**
+ * 保存済みのファクトチェック結果を読む（未実施なら null）
+ */
+function getResult(accountId, articleId) {
+  const resultPath = getResultPath(accountId, articleId.replace(/\.md$/, ''));
+  if (!deps.fs.existsSync(resultPath)) return null;
+  try {
+    return JSON.parse(deps.fs.readFileSync(resultPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 検索プロバイダを追加・差し替える（api.web_search_provider で選択）
+ */
+function registerSearchProvider(name, provider) {
+  searchProviders[name] = provider;
+}
+
+module.exports = {
+  checkArticle,
+  getResult,
+  loadFacts,
+  saveFacts,
+  extractClaims,
+  registerSearchProvider,
+  // テスト用
+  _internal: { buildVerificationPrompt, parseVerificationResponse },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
@@ -1,7 +1,126 @@
-const Anthropic = require('@anthropic-ai/sdk');
-const fs = require('fs');
+const crypto = require('crypto');
+const _fs = require('fs');
 const path = require('path');
-const config = require('../utils/config');
+const frontmatter = require('../utils/frontmatter');
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const _db = require('../utils/db');
+const {
+  DEFAULT_RANGE, countChars, classify: classifyLength, getLengthRange, enforceLength, addUsage,
+} = require('./length-enforcer');
+const outliner = require('./outliner');
+const models = require('../utils/model-registry');
+const llm = require('../utils/llm-provider');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  config: _config,
+  logger: _logger,
+  db: _db,
+  getClient: () => llm.getClient({ config: deps.config }),
+  postProcess: (...args) => postProcess(...args),
+  notify: (event, payload) => require('./notifier').notifier.notify(event, payload),
+  recordUsage: (entry) => require('./usage-tracker').recordUsage(entry),
+  assertWithinBudget: () => require('./usage-tracker').assertWithinBudget(),
+  seriesPrompt: (accountId, topic) => require('./series').buildSeriesPrompt(accountId, topic),
+  describeSeries: (accountId, topic) => require('./series').describeTopic(accountId, topic),
+  attachToSeries: (accountId, topic, filename) => require('./series').attachArticle(accountId, topic, filename),
+  regenerate: (accountId, filename, options) => require('./regenerator').regenerator.regenerate(accountId, filename, options),
+  getSystemPrompt: () => require('./system-prompt').getActive(),
+  sleep: (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new Error('Request was aborted.'));
+    }, { once: true });
+  }),
+};
+
+const MAX_TOKENS = 8192;
+
+// Streamed text arrives token by token; progress is forwarded at most this often
+const PROGRESS_INTERVAL_MS = 250;
+
+// Batches whose results are being written right now (status polls from the UI and the background poller overlap)
+const collecting = new Map();
+
+// In-flight generations per account, so the UI can cancel them: accountId -> Set<AbortController>
+const activeRuns = new Map();
+
+function trackRun(accountId) {
+  const controller = new AbortController();
+  if (!activeRuns.has(accountId)) activeRuns.set(accountId, new Set());
+  activeRuns.get(accountId).add(controller);
+  return controller;
+}
+
+function releaseRun(accountId, controller) {
+  const runs = activeRuns.get(accountId);
+  if (!runs) return;
+  runs.delete(controller);
+  if (runs.size === 0) activeRuns.delete(accountId);
+}
+
+// Streamed batch generation writes this many topics at once (api.concurrency, clamped)
+const MAX_CONCURRENCY = 5;
+
+// Rate limit (429) and overload (529) errors are retried with exponential backoff; any other error fails the topic at once
+const RETRY_STATUSES = [429, 529];
+const RETRY_ERROR_TYPES = ['rate_limit_error', 'overloaded_error'];
+const MAX_RETRIES = 4;
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 60 * 1000;
+
+function isRetryable(err) {
+  // Errors inside a stream arrive without a status, only with the error type
+  return RETRY_STATUSES.includes(err?.status) || RETRY_ERROR_TYPES.includes(err?.error?.error?.type);
+}
+
+// Honour retry-after when the API sends it; the jitter keeps concurrent workers from retrying in lockstep
+function retryDelay(err, attempt) {
+  const headers = err?.headers;
+  const retryAfter = Number(typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after']);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, RETRY_MAX_MS);
+  return Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS) + Math.floor(Math.random() * 1000);
+}
+
+// onRetry receives { attempt, delay, error } before each wait. Aborting `signal` ends the wait.
+async function withRetry(fn, { signal, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (signal?.aborted || attempt > MAX_RETRIES || !isRetryable(err)) throw err;
+      const delay = retryDelay(err, attempt);
+      onRetry?.({ attempt, delay, error: err });
+      await deps.sleep(delay, signal);
+    }
+  }
+}
+
+// Run worker over items with at most `concurrency` in flight. Once `signal` aborts no new item is started.
+async function runPool(items, concurrency, worker, signal) {
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+}
+
+function getConcurrency(value) {
+  return Math.min(Math.max(Math.floor(Number(value)) || 1, 1), MAX_CONCURRENCY);
+}
+
+// Abort every in-flight generation of the account. Returns how many were cancelled.
+function cancel(accountId) {
+  const runs = [...(activeRuns.get(accountId) || [])];
+  runs.forEach((controller) => controller.abort());
+  return runs.length;
+}
 
 const SYSTEM_PROMPT = `あなたはnoteで有料記事を販売するプロのコンテンツライターです。与えられたトピックについて、noteで「売れる」記事を日本語で執筆してください。
 
@@ -61,9 +180,7 @@ const SYSTEM_PROMPT = `あなたはnoteで有料記事を販売するプロの
 - 【保存版】【テンプレ付き】などの実用性を示すタグを活用
 - 具体的な数字を入れる（例：「1000人案内して作った」「10選」）
 - 読者が得られる価値を明示する
-- 例：「【保存版】現役○○が△△して作った"□□マニュアル"：テンプレ付き」
-
-文字数は3000〜5000文字程度を目安にしてください。`;
+- 例：「【保存版】現役○○が△△して作った"□□マニュアル"：テンプレ付き」`;
 
 function getDataDir() {
   try {
@@ -80,12 +197,38 @@ function buildArticlePath(accountId, topic) {
   return path.join(getDataDir(), 'accounts', accountId, 'articles', `${sanitized}_${timestamp}.md`);
 }
 
-async function callClaude(apiKey, model, topic, extra, writingGuidelines, regenerateInstructions) {
-  const client = new Anthropic({ apiKey });
-  let systemPrompt = SYSTEM_PROMPT;
+// The newest article written for a topic (file names end with the generation timestamp), or null.
+function findTopicArticle(accountId, topicId) {
+  const dir = path.join(getDataDir(), 'accounts', accountId, 'articles');
+  if (!deps.fs.existsSync(dir)) return null;
+  const candidates = deps.fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.md'))
+    .map((filename) => {
+      const { metadata } = frontmatter.parse(deps.fs.readFileSync(path.join(dir, filename), 'utf-8'));
+      const timestamp = Number(filename.match(/_(\d+)\.md$/)?.[1]) || 0;
+      return { filename, metadata, timestamp };
+    })
+    .filter((a) => a.metadata.topic_id !== undefined && String(a.metadata.topic_id) === String(topicId))
+    .sort((a, b) => b.timestamp - a.timestamp);
+  return candidates[0]?.filename || null;
+}
+
+// System and user prompt for one article, shared by streamed requests and Message Batches.
+// pillarPrompt is the rendered template of the topic's pillar (see prompt-templates.js),
+// followed by the series context when the topic is one part of a series (see series.js).
+// lengthRange is the configured { min, max } character count (see length-enforcer.js).
+// basePrompt is the active version of the editable system prompt (see system-prompt.js).
+function buildPrompts(topic, extra, writingGuidelines, regenerateInstructions, privacyRules, pillarPrompt, lengthRange = DEFAULT_RANGE, basePrompt = SYSTEM_PROMPT) {
+  let systemPrompt = `${basePrompt}\n\n文字数は${lengthRange.min}〜${lengthRange.max}文字に収めてください。`;
+  if (pillarPrompt) {
+    systemPrompt += `\n\n${pillarPrompt}`;
+  }
   if (writingGuidelines) {
     systemPrompt += `\n\n## ライティングガイドライン\n以下のガイドラインに必ず従って執筆してください：\n${writingGuidelines}`;
   }
+  if (privacyRules) {
+    systemPrompt += `\n\n${privacyRules}`;
+  }
   let userPrompt = `次のトピックについて記事を書いてください：${topic}`;
   if (extra) {
     userPrompt += `\n\n追加指示：${extra}`;
@@ -93,13 +236,301 @@ async function callClaude(apiKey, model, topic, extra, writingGuidelines, regene
   if (regenerateInstructions) {
     userPrompt += `\n\n## 再生成の修正指示\n前回生成した記事に対して以下の修正を反映してください：\n${regenerateInstructions}`;
   }
-  const message = await client.messages.create({
+  return { system: systemPrompt, user: userPrompt };
+}
+
+// Short hash of the full system prompt (base prompt plus pillar, guidelines and rules), recorded in the frontmatter so articles can be traced back to the prompt that wrote them.
+// Prefixed so the frontmatter parser never reads it as a number.
+function promptVersion(system) {
+  return `sha256:${crypto.createHash('sha256').update(system).digest('hex').slice(0, 12)}`;
+}
+
+// Frontmatter of a freshly generated article (the GitHub integration doc's fields plus usage and prompt version).
+// system_prompt_version is the base prompt version from Settings, so scores and sales can be compared per version.
+// Empty values are left out: the frontmatter parser would read an empty scalar back as a list.
+function buildArticleMetadata(accountId, topic, {
+  model, usage, promptVersion: version, systemPromptVersion, batchId, length, outlineId, series,
+}) {
+  const tags = String(topic.keywords || '').split(/[\s,、]+/).filter(Boolean);
+  return {
+    topic_id: topic.id,
+    account_id: accountId,
+    pillar: topic.pillar || undefined,
+    is_paid: topic.is_paid === true,
+    price: Number(topic.price) || 0,
+    free_preview_ratio: Number(topic.free_preview_ratio) || undefined,
+    generated_at: new Date().toISOString(),
+    model,
+    status: 'generated',
+    tags: tags.length > 0 ? tags : undefined,
+    token_usage: usage && { input: usage.input_tokens, output: usage.output_tokens },
+    prompt_version: version,
+    system_prompt_version: systemPromptVersion ?? undefined,
+    batch_id: batchId,
+    outline_id: outlineId,
+    length: length?.length,
+    length_status: length?.status,
+    length_passes: length?.passes.length > 0 ? length.passes : undefined,
+    ...series,
+  };
+}
+
+// Bring the article inside the configured length (continuation / condensation passes, see length-enforcer.js).
+// A failed pass never loses the article: it is saved as generated and flagged with its length status.
+async function fitLength(client, { model, system, user, text, stopReason, range, signal }) {
+  try {
+    return await enforceLength({ client, model, system, user, text, stopReason, range, signal });
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    deps.logger.error('generator', `Length enforcement failed (non-blocking): ${e.message}`, { model });
+    const length = countChars(text);
+    return { text, length, status: classifyLength(length, range, stopReason), passes: [], usage: null };
+  }
+}
+
+// Streams the article. onProgress receives { text, chars, input_tokens, output_tokens } while it is written;
+// aborting `signal` stops the request (the promise then rejects).
+// With lengthRange the article is then brought inside that range; usage covers every pass.
+// Resolves to { text, usage: { input_tokens, output_tokens }, promptVersion, length?: { length, status, passes } }.
+// `client` is any provider client from llm-provider.js (they all share the Anthropic SDK's messages API).
+async function callClaude(client, model, topic, extra, writingGuidelines, regenerateInstructions, privacyRules, {
+  onProgress, signal, pillarPrompt, lengthRange, basePrompt,
+} = {}) {
+  const { system, user } = buildPrompts(topic, extra, writingGuidelines, regenerateInstructions, privacyRules, pillarPrompt, lengthRange, basePrompt);
+  const stream = client.messages.stream({
     model,
-    max_tokens: 8192,
-    system: systemPrompt,
-    messages: [{ role: 'user', content: userPrompt }],
+    max_tokens: models.capTokens(model, MAX_TOKENS),
+    system,
+    messages: [{ role: 'user', content: user }],
+  }, { signal });
+
+  let text = '';
+  let lastSent = 0;
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const sendProgress = () => {
+    lastSent = Date.now();
+    onProgress?.({ text, chars: text.length, ...usage });
+  };
+  stream.on('streamEvent', (event) => {
+    if (event.type === 'message_start') usage.input_tokens = event.message.usage.input_tokens;
+    // The exact output count only arrives with message_delta; until then each text delta counts as one token
+    if (event.type === 'content_block_delta') usage.output_tokens += 1;
+    if (event.type === 'message_delta') {
+      usage.output_tokens = event.usage.output_tokens;
+      // Providers that only count the prompt at the end (OpenAI-compatible servers) report it here
+      if (event.usage.input_tokens) usage.input_tokens = event.usage.input_tokens;
+    }
+  });
+  stream.on('text', (delta, snapshot) => {
+    text = snapshot;
+    if (Date.now() - lastSent >= PROGRESS_INTERVAL_MS) sendProgress();
+  });
+
+  const message = await stream.finalMessage();
+  sendProgress();
+  text = message.content[0].text;
+  if (!lengthRange) return { text, usage: { ...usage }, promptVersion: promptVersion(system) };
+
+  const fitted = await fitLength(client, {
+    model, system, user, text, stopReason: message.stop_reason, range: lengthRange, signal,
+  });
+  if (fitted.passes.length > 0) {
+    text = fitted.text;
+    Object.assign(usage, addUsage(usage, fitted.usage));
+    sendProgress();
+  }
+  const { length, status, passes } = fitted;
+  return { text, usage: { ...usage }, promptVersion: promptVersion(system), length: { length, status, passes } };
+}
+
+async function getPrivacyRules(accountId) {
+  const { buildPrivacyRules } = require('./privacy-checker');
+  return buildPrivacyRules(await deps.config.getAccount(accountId));
+}
+
+// Rendered pillar template for the topic ('' when the topic has no pillar or the pillar no template).
+// Throws when the pillar names a prompt_file that does not exist.
+async function getPillarPrompt(accountId, topic) {
+  const { buildPillarPrompt } = require('./prompt-templates');
+  return buildPillarPrompt(await deps.config.getAccount(accountId), topic).text;
+}
+
+// Pillar template plus the series context: what the topic adds to the system prompt.
+// A series lookup failure only loses the context, never the generation.
+async function getTopicPrompt(accountId, topic) {
+  const pillarPrompt = await getPillarPrompt(accountId, topic);
+  let seriesPrompt = '';
+  try {
+    seriesPrompt = deps.seriesPrompt(accountId, topic);
+  } catch (e) {
+    deps.logger.error('generator', `Series context failed (non-blocking): ${e.message}`, { accountId, topicId: topic.id });
+  }
+  return [pillarPrompt, seriesPrompt].filter(Boolean).join('\n\n');
+}
+
+// Put the paid line where the topic's free preview ratio wants it (never blocks generation).
+async function checkPaidLine(accountId, filename) {
+  try {
+    const paidLine = require('./paid-line');
+    return await paidLine.checkArticle(accountId, filename, { fix: true });
+  } catch (e) {
+    deps.logger.error('generator', `Paid line check failed (non-blocking): ${e.message}`, { accountId, filename });
+    return null;
+  }
+}
+
+// Record privacy findings on a freshly generated article (never blocks generation).
+async function checkPrivacy(accountId, filename) {
+  try {
+    const privacyChecker = require('./privacy-checker');
+    return await privacyChecker.checkArticle(accountId, filename);
+  } catch (e) {
+    deps.logger.error('generator', `Privacy check failed (non-blocking): ${e.message}`, { accountId, filename });
+    return null;
+  }
+}
+
+// Fact-check a freshly generated article against the account's facts (never blocks generation).
+async function checkFactsIfEnabled(accountId, filename) {
+  try {
+    const enabled = await deps.config.get('fact_check.enabled');
+    if (enabled === false) return null;
+    const factChecker = require('./fact-checker');
+    return await factChecker.checkArticle(accountId, filename);
+  } catch (e) {
+    deps.logger.error('generator', `Fact check failed (non-blocking): ${e.message}`, { accountId, filename });
+    return null;
+  }
+}
+
+// Score a freshly generated article when scoring is enabled.
+// Returns the scorer result, or null when disabled or failed (scoring never blocks generation).
+async function scoreIfEnabled(accountId, filename) {
+  try {
+    const enabled = await deps.config.get('scoring.enabled');
+    if (enabled === false) return null;
+    const scorer = require('./scorer');
+    return await scorer.scoreArticle(accountId, filename);
+  } catch (e) {
+    deps.logger.error('generator', `Scoring failed (non-blocking): ${e.message}`, { accountId, filename });
+    return null;
+  }
+}
+
+// Post-save checks shared by fresh and regenerated articles: paid line → privacy → facts → score.
+// The paid line goes first because it may rewrite the body the other checks read.
+async function postProcess(accountId, filename) {
+  const paidLine = await checkPaidLine(accountId, filename);
+  const privacy = await checkPrivacy(accountId, filename);
+  const facts = await checkFactsIfEnabled(accountId, filename);
+  const scored = await scoreIfEnabled(accountId, filename);
+  return { paidLine, privacy, facts, scored };
+}
+
+// Generation history (runs, versions, article index) lives in SQLite; a DB failure never blocks generation.
+function recordInDb(label, fn) {
+  try {
+    return fn(deps.db);
+  } catch (e) {
+    deps.logger.error('generator', `${label} failed (non-blocking): ${e.message}`);
+    return null;
+  }
+}
+
+// Store the first version of a freshly saved article and index its final frontmatter.
+function recordArticle(accountId, filename, articleText) {
+  recordInDb('Article record', (db) => {
+    db.addVersion(accountId, filename.replace(/\.md$/, ''), { source: 'generated', body: articleText });
+    db.indexArticleFile(accountId, filename);
   });
-  return message.content[0].text;
+}
+
+// Hand a saved article to the outside world: GitHub push, Telegram review and the notifier.
+// Failures here are reported (sync_failed / logs) but never fail the generation.
+async function deliverArticle(accountId, { filename, title, body, status, score }) {
+  try {
+    if (await deps.config.get('github.enabled')) {
+      const { githubSync } = require('../utils/github-sync');
+      if (await deps.config.get('github.pr_mode')) {
+        await githubSync.pushArticleToPR(accountId, filename, status);
+      } else {
+        await githubSync.pushArticle(accountId, filename, status);
+      }
+    }
+  } catch (e) {
+    deps.logger.error('generator', `GitHub push failed (non-blocking): ${e.message}`, { accountId, filename });
+    await deps.notify('sync_failed', { accountId, filename, title, error: e.message });
+  }
+
+  try {
+    if (await deps.config.get('telegram.enabled')) {
+      const { telegramService } = require('./telegram');
+      await telegramService.sendArticleForReview(accountId, { title, body, filename });
+    }
+  } catch (e) {
+    deps.logger.error('generator', `Telegram send failed (non-blocking): ${e.message}`, { accountId, filename });
+  }
+
+  if (status === 'generated') {
+    await deps.notify('review_needed', { accountId, filename, title, score });
+  }
+}
+
+// Outline-first mode: post the outline to Telegram for review. Never fails the outline.
+async function deliverOutline(accountId, record) {
+  try {
+    if (await deps.config.get('telegram.enabled')) {
+      const { telegramService } = require('./telegram');
+      await telegramService.sendOutlineForReview(accountId, record);
+    }
+  } catch (e) {
+    deps.logger.error('generator', `Telegram outline send failed (non-blocking): ${e.message}`, { accountId, outlineId: record.id });
+  }
+}
+
+// What runSingle / approveOutline return to the renderer for a saved article.
+function buildArticleResult(topic, saved, { model, usage, length }) {
+  return {
+    id: `${topic.id}_${Date.now()}`,
+    topicId: topic.id,
+    title: saved.title,
+    theme: topic.theme,
+    body: saved.body,
+    articlePath: saved.articlePath,
+    status: saved.status,
+    score: saved.score,
+    model,
+    token_usage: { input: usage.input_tokens, output: usage.output_tokens },
+    paid_line_status: saved.paidLine?.status || null,
+    length: length.length,
+    length_status: length.status,
+    privacy_status: saved.privacy?.status || null,
+    fact_check_status: saved.facts?.status || null,
+    created_at: new Date().toISOString(),
+  };
+}
+
+// An outline can only be edited, approved or rejected while it waits for review.
+function getPendingOutline(id) {
+  const record = deps.db.getGenerationOutline(id);
+  if (!record) throw new Error(`アウトライン ${id} が見つかりません`);
+  if (record.status !== 'pending') throw new Error('このアウトラインは承認待ちではありません');
+  return record;
+}
+
+// Message Batches are polled this often in the background (results usually arrive within an hour, at most 24h)
+const BATCH_POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+function batchCustomId(topic) {
+  return `topic-${topic.id}`;
+}
+
+// Why a batch request produced no article. Expired / canceled requests were never written, so the topic goes back to pending.
+function describeBatchFailure(result) {
+  if (result.type === 'errored') {
+    return { topicStatus: 'error', error: result.error?.error?.message || 'バッチのリクエストがエラーになりました' };
+  }
+  return { topicStatus: 'pending', error: `バッチのリクエストが ${result.type} になりました（未生成に戻しました）` };
 }
 
 class Generator {
@@ -109,167 +540,785 @@ class Generator {
   }
 
   async _getApiConfig() {
-    const apiKey = await config.get('api.anthropic_key');
-    if (!apiKey) throw new Error('Anthropic APIキーが設定されていません');
-    const VALID_MODELS = ['claude-sonnet-4-5-20250929', 'claude-opus-4-6', 'claude-haiku-4-5-20251001'];
-    const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
-    let model = await config.get('api.generation_model');
-    if (!model || !VALID_MODELS.includes(model)) {
-      model = DEFAULT_MODEL;
-      // Auto-fix the saved config
-      await config.set('api.generation_model', model).catch(() => {});
+    // The configured provider (Anthropic, an OpenAI-compatible server, or the offline fake in demo mode)
+    const client = await deps.getClient();
+    // An unregistered model falls back to the task default without touching the saved setting
+    const { id: model } = await models.modelForTask('generation', { config: deps.config, logger: deps.logger });
+    const writingGuidelines = await deps.config.get('article.writing_guidelines') || '';
+    const lengthRange = await getLengthRange(deps.config);
+    const outlineFirst = await deps.config.get('api.outline_first') === true;
+    // { version, text } of the base prompt edited in Settings
+    const systemPrompt = deps.getSystemPrompt();
+    return { client, model, writingGuidelines, lengthRange, outlineFirst, systemPrompt };
+  }
+
+  // Save a generated article with its frontmatter and run the post-save pipeline (checks, DB, delivery).
+  // Shared by streamed generation and collected batch results.
+  // generation: { model, usage, promptVersion, systemPromptVersion?, batchId?, length?, outlineId? }
+  async _saveArticle(accountId, topic, articleText, generation) {
+    const articlePath = buildArticlePath(accountId, topic.theme);
+    const articleDir = path.dirname(articlePath);
+    if (!deps.fs.existsSync(articleDir)) {
+      deps.fs.mkdirSync(articleDir, { recursive: true });
     }
-    const writingGuidelines = await config.get('article.writing_guidelines') || '';
-    return { apiKey, model, writingGuidelines };
+    const series = recordInDb('Series lookup', () => deps.describeSeries(accountId, topic)) || undefined;
+    const metadata = buildArticleMetadata(accountId, topic, { ...generation, series });
+    deps.fs.writeFileSync(articlePath, frontmatter.stringify(metadata, articleText), 'utf-8');
+    if (series) {
+      // Adds the previous / next links to this part and refreshes the other parts
+      articleText = recordInDb('Series links', () => deps.attachToSeries(accountId, topic, path.basename(articlePath))) ?? articleText;
+    }
+
+    await this.sm.updateTopicStatus(accountId, topic.id, 'generated');
+
+    const title = frontmatter.extractTitle(articleText);
+    const filename = path.basename(articlePath);
+
+    const { paidLine, privacy, facts, scored } = await deps.postProcess(accountId, filename);
+    const status = scored?.status || 'generated';
+    const body = paidLine?.body ?? articleText;
+    recordArticle(accountId, filename, body);
+
+    await deliverArticle(accountId, {
+      filename, title, body, status, score: scored?.score,
+    });
+    return { articlePath, filename, title, body, status, score: scored?.score ?? null, paidLine, privacy, facts };
+  }
+
+  // Close a batch run (streamed loop or Message Batch): record it and send one notification for the whole batch.
+  async _finishBatch(accountId, runId, results, { cancelled = false } = {}) {
+    const summary = {
+      generated: results.filter((r) => r.status === 'success').length,
+      errors: results.filter((r) => r.status === 'error').length,
+      results,
+      ...(cancelled && { cancelled: true }),
+    };
+    let runStatus = summary.errors > 0 && summary.generated === 0 ? 'failed' : 'success';
+    if (cancelled) runStatus = 'cancelled';
+    recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, {
+      status: runStatus,
+      result: { generated: summary.generated, errors: summary.errors },
+    }));
+
+    // One notification per batch rather than one per topic
+    if (summary.generated > 0) {
+      const first = results.find((r) => r.status === 'success');
+      await deps.notify('generation_finished', {
+        accountId, count: summary.generated, errors: summary.errors, title: first.title,
+      });
+    } else if (summary.errors > 0) {
+      const first = results.find((r) => r.status === 'error');
+      await deps.notify('generation_failed', {
+        accountId, theme: summary.errors > 1 ? `${summary.errors} 件すべて` : first.topic, error: first.error,
+      });
+    }
+    return summary;
   }
 
-  // Immediate: generate a single topic
-  async runSingle(accountId, topicId, regenerateInstructions) {
-    const { apiKey, model, writingGuidelines } = await this._getApiConfig();
+  // Immediate: generate a single topic.
+  // onProgress receives the streamed text of the topic; cancel(accountId) puts the topic back to pending.
+  // With api.outline_first only the outline is written ({ success, outline }); regeneration always writes the article.
+  // With regenerateInstructions the topic's latest article is rewritten in place by the regenerator (previous draft +
+  // instructions, a new version in the history, regenerate_count + 1); only a topic without an article is written anew.
+  async runSingle(accountId, topicId, regenerateInstructions, { onProgress } = {}) {
+    if (regenerateInstructions) {
+      const filename = findTopicArticle(accountId, topicId);
+      if (filename) return this._regenerateArticle(accountId, filename, regenerateInstructions);
+    }
+
+    const apiConfig = await this._getApiConfig();
+    const { client, model, writingGuidelines, lengthRange, systemPrompt } = apiConfig;
+    await deps.assertWithinBudget();
+    const privacyRules = await getPrivacyRules(accountId);
     const topics = await this.sm.readTopics(accountId);
     const topic = topics.find((t) => t.id === topicId);
     if (!topic) throw new Error(`トピックID ${topicId} が見つかりません`);
+    const pillarPrompt = await getTopicPrompt(accountId, topic);
+
+    if (apiConfig.outlineFirst && !regenerateInstructions) {
+      return this._outlineSingle(accountId, topic, { ...apiConfig, privacyRules, pillarPrompt });
+    }
 
     // Update status to generating
     await this.sm.updateTopicStatus(accountId, topicId, 'generating');
+    const runId = recordInDb('Run tracking', (db) => db.startGenerationRun(accountId, { mode: 'single', topicId, model }));
+    const controller = trackRun(accountId);
 
     try {
-      const articleText = await callClaude(apiKey, model, topic.theme, topic.additional_instructions, writingGuidelines, regenerateInstructions);
+      const { text: articleText, usage, promptVersion: version, length } = await callClaude(
+        client, model, topic.theme, topic.additional_instructions, writingGuidelines, regenerateInstructions, privacyRules, {
+          signal: controller.signal,
+          pillarPrompt,
+          lengthRange,
+          basePrompt: systemPrompt.text,
+          onProgress: onProgress && ((p) => onProgress({ accountId, topicId, theme: topic.theme, ...p })),
+        }
+      );
+
+      const saved = await this._saveArticle(accountId, topic, articleText, {
+        model, usage, promptVersion: version, systemPromptVersion: systemPrompt.version, length,
+      });
+      await deps.recordUsage({
+        accountId, articleId: saved.filename, runId, purpose: 'generation', model, usage,
+      });
+      recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, {
+        status: 'success',
+        result: { filename: saved.filename, status: saved.status, score: saved.score },
+      }));
+      await deps.notify('generation_finished', { accountId, filename: saved.filename, title: saved.title, count: 1 });
 
-      // Save article
-      const articlePath = buildArticlePath(accountId, topic.theme);
-      const articleDir = path.dirname(articlePath);
-      if (!fs.existsSync(articleDir)) {
-        fs.mkdirSync(articleDir, { recursive: true });
+      return { success: true, article: buildArticleResult(topic, saved, { model, usage, length }) };
+    } catch (err) {
+      if (controller.signal.aborted) {
+        await this.sm.updateTopicStatus(accountId, topicId, 'pending').catch(() => {});
+        recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, { status: 'cancelled' }));
+        deps.logger.info('generator', `Generation cancelled: ${topic.theme}`, { accountId, topicId });
+        return { success: false, cancelled: true };
       }
-      fs.writeFileSync(articlePath, articleText, 'utf-8');
+      await this.sm.updateTopicStatus(accountId, topicId, 'error').catch(() => {});
+      recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, { status: 'failed', error: err.message }));
+      await deps.notify('generation_failed', { accountId, topicId, theme: topic.theme, error: err.message });
+      throw err;
+    } finally {
+      releaseRun(accountId, controller);
+    }
+  }
 
-      // Update status to generated
-      await this.sm.updateTopicStatus(accountId, topicId, 'generated');
+  // Rewrite an existing article from its previous draft; the result has the same shape as a fresh runSingle.
+  async _regenerateArticle(accountId, filename, instructions) {
+    const result = await deps.regenerate(accountId, filename, { reason: instructions, source: 'ui' });
+    if (result.action === 'skipped') return { success: false, skipped: true };
+    const filePath = path.join(getDataDir(), 'accounts', accountId, 'articles', filename);
+    const { metadata, body } = frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+    return {
+      success: true,
+      regenerated: true,
+      attempt: result.attempt,
+      article: {
+        id: filename.replace(/\.md$/, ''),
+        title: frontmatter.extractTitle(body),
+        body,
+        filename,
+        articlePath: filePath,
+        ...frontmatter.articleFields(metadata),
+      },
+    };
+  }
 
-      // Parse title from first line
-      const lines = articleText.split('\n');
-      const title = (lines[0] || '').replace(/^#+\s*/, '').trim();
-      const filename = path.basename(articlePath);
+  // Batch: generate all pending topics.
+  // With api.use_batch (or useBatch) they go out as one Message Batch and the call returns its batchId (Anthropic provider only);
+  // otherwise api.concurrency topics are streamed at a time, rate limit / overload errors are retried with backoff,
+  // and a cancel stops the run (the current and remaining topics stay pending).
+  // The streamed run is recorded topic by topic, so a run cut short by a crash can be resumed with resumeRunId.
+  // With api.outline_first every pending topic gets an outline to review instead (never as a Message Batch).
+  // onProgress payloads carry `topics`, the state of every topic in the run (queued / generating / retrying / done / error).
+  // The budget is checked before the run and before each topic; once it is reached the remaining topics stay pending
+  // and the summary carries `budgetExceeded` (the reason).
+  async run(accountId, { onProgress, useBatch, resumeRunId } = {}) {
+    const apiConfig = await this._getApiConfig();
+    const { client, model, writingGuidelines, lengthRange, systemPrompt } = apiConfig;
+    await deps.assertWithinBudget();
+    const privacyRules = await getPrivacyRules(accountId);
+    const topics = await this.sm.readTopics(accountId);
+    let pending = topics.filter((t) => (t.status || 'pending') === 'pending');
 
-      // Auto-push to GitHub if enabled
-      try {
-        const githubEnabled = await config.get('github.enabled');
-        if (githubEnabled) {
-          const { githubSync } = require('../utils/github-sync');
-          const prMode = await config.get('github.pr_mode');
-          const meta = { topic_id: topicId, pillar: topic.pillar || '' };
-          if (prMode) {
-            await githubSync.pushArticleToPR(accountId, filename, 'generated', meta);
-          } else {
-            await githubSync.pushArticle(accountId, filename, 'generated', meta);
-          }
+    let runId = null;
+    let progress = null;
+    if (resumeRunId) {
+      const record = recordInDb('Run tracking', (db) => db.getGenerationRun(resumeRunId));
+      if (!record || record.account_id !== accountId || record.status !== 'interrupted' || !record.progress) {
+        throw new Error('再開できるバッチ生成が見つかりません');
+      }
+      // Topics that already have a result are not written again; the one in flight at the crash is
+      const finished = new Set(record.progress.results.map((r) => r.topicId));
+      const remaining = new Set(record.progress.topicIds.filter((id) => !finished.has(id)));
+      pending = pending.filter((t) => remaining.has(t.id));
+      runId = record.id;
+      progress = record.progress;
+      deps.db.resumeGenerationRun(runId);
+      deps.logger.info('generator', `Resuming batch run ${runId}: ${pending.length} of ${progress.topicIds.length} topics left`, { accountId });
+    } else {
+      if (pending.length === 0) {
+        return { generated: 0, errors: 0, results: [] };
+      }
+
+      if (apiConfig.outlineFirst) {
+        return this._outlineBatch(accountId, pending, { ...apiConfig, privacyRules });
+      }
+
+      if (useBatch ?? await deps.config.get('api.use_batch')) {
+        if (client.messages.batches) {
+          return this._submitBatch(accountId, pending, { client, model, writingGuidelines, privacyRules, lengthRange, systemPrompt });
         }
-      } catch (e) {
-        console.error('[generator] GitHub push failed (non-blocking):', e.message);
+        // Only the Anthropic provider has Message Batches; the others stream the topics instead
+        deps.logger.warn('generator', 'Message Batches are not available with this provider; streaming the topics instead', { accountId });
       }
 
-      // Auto-send to Telegram if enabled
+      progress = { topicIds: pending.map((t) => t.id), results: [] };
+      runId = recordInDb('Run tracking', (db) => db.startGenerationRun(accountId, { mode: 'batch', model, progress }));
+    }
+
+    const results = [...progress.results];
+    const saveProgress = () => recordInDb('Run tracking', (db) => runId && db.saveGenerationRunProgress(runId, {
+      topicIds: progress.topicIds, results,
+    }));
+    const board = pending.map((t) => ({ topicId: t.id, theme: t.theme, state: 'queued', chars: 0 }));
+    const report = (index, p) => onProgress?.({
+      accountId,
+      topicId: pending[index].id,
+      theme: pending[index].theme,
+      index,
+      total: pending.length,
+      text: '',
+      chars: board[index].chars,
+      input_tokens: 0,
+      output_tokens: 0,
+      ...p,
+      topics: board.map((b) => ({ ...b })),
+    });
+    const concurrency = getConcurrency(await deps.config.get('api.concurrency'));
+    const controller = trackRun(accountId);
+    let budgetError = null;
+
+    await runPool(pending, concurrency, async (topic, index) => {
+      const entry = board[index];
+      if (!budgetError) {
+        try {
+          await deps.assertWithinBudget();
+        } catch (err) {
+          budgetError = err;
+        }
+      }
+      if (budgetError) {
+        entry.state = 'cancelled';
+        report(index);
+        return;
+      }
       try {
-        const telegramEnabled = await config.get('telegram.enabled');
-        if (telegramEnabled) {
-          const { telegramService } = require('./telegram');
-          await telegramService.sendArticleForReview(accountId, { title, body: articleText, filename });
+        const pillarPrompt = await getTopicPrompt(accountId, topic);
+        await this.sm.updateTopicStatus(accountId, topic.id, 'generating');
+
+        const { text: articleText, usage, promptVersion: version, length } = await withRetry(() => {
+          entry.state = 'generating';
+          report(index);
+          return callClaude(client, model, topic.theme, topic.additional_instructions, writingGuidelines, null, privacyRules, {
+            signal: controller.signal,
+            pillarPrompt,
+            lengthRange,
+            basePrompt: systemPrompt.text,
+            onProgress: onProgress && ((p) => {
+              entry.chars = p.chars;
+              report(index, p);
+            }),
+          });
+        }, {
+          signal: controller.signal,
+          onRetry: ({ attempt, delay, error }) => {
+            entry.state = 'retrying';
+            entry.attempt = attempt;
+            report(index);
+            deps.logger.warn('generator', `Retrying in ${delay}ms (${attempt}/${MAX_RETRIES}): ${error.message}`, { accountId, topicId: topic.id });
+          },
+        });
+
+        const saved = await this._saveArticle(accountId, topic, articleText, {
+          model, usage, promptVersion: version, systemPromptVersion: systemPrompt.version, length,
+        });
+        await deps.recordUsage({ accountId, articleId: saved.filename, runId, purpose: 'generation', model, usage });
+        entry.state = 'done';
+        results.push({
+          topic: topic.theme,
+          topicId: topic.id,
+          title: saved.title,
+          status: 'success',
+          articlePath: saved.articlePath,
+          score: saved.score,
+          articleStatus: saved.status,
+          lengthStatus: length.status,
+          privacyStatus: saved.privacy?.status || null,
+          factCheckStatus: saved.facts?.status || null,
+        });
+      } catch (err) {
+        if (controller.signal.aborted) {
+          await this.sm.updateTopicStatus(accountId, topic.id, 'pending').catch(() => {});
+          entry.state = 'cancelled';
+          return;
         }
-      } catch (e) {
-        console.error('[generator] Telegram send failed (non-blocking):', e.message);
+        await this.sm.updateTopicStatus(accountId, topic.id, 'error').catch(() => {});
+        entry.state = 'error';
+        entry.error = err.message;
+        results.push({ topic: topic.theme, topicId: topic.id, status: 'error', error: err.message });
       }
+      saveProgress();
+      report(index);
+    }, controller.signal);
+    const cancelled = controller.signal.aborted;
+    releaseRun(accountId, controller);
+    if (cancelled) deps.logger.info('generator', `Batch cancelled after ${results.length} of ${progress.topicIds.length} topics`, { accountId });
+    if (budgetError) deps.logger.warn('generator', `Batch stopped by the budget after ${results.length} of ${progress.topicIds.length} topics`, { accountId });
 
-      return {
-        success: true,
-        article: {
-          id: `${topicId}_${Date.now()}`,
-          topicId,
-          title,
-          theme: topic.theme,
-          body: articleText,
-          articlePath,
-          status: 'generated',
-          created_at: new Date().toISOString(),
+    const summary = await this._finishBatch(accountId, runId, results, { cancelled });
+    return budgetError ? { ...summary, budgetExceeded: budgetError.message } : summary;
+  }
+
+  // Send the topics as one Message Batch (half the price of regular requests) and remember it for polling.
+  async _submitBatch(accountId, pending, { client, model, writingGuidelines, privacyRules, lengthRange, systemPrompt }) {
+    const prompts = [];
+    for (const topic of pending) {
+      const pillarPrompt = await getTopicPrompt(accountId, topic);
+      prompts.push(buildPrompts(
+        topic.theme, topic.additional_instructions, writingGuidelines, null, privacyRules, pillarPrompt, lengthRange, systemPrompt.text,
+      ));
+    }
+    const batch = await client.messages.batches.create({
+      requests: pending.map((topic, i) => ({
+        custom_id: batchCustomId(topic),
+        params: {
+          model, max_tokens: models.capTokens(model, MAX_TOKENS), system: prompts[i].system, messages: [{ role: 'user', content: prompts[i].user }],
         },
-      };
-    } catch (err) {
-      await this.sm.updateTopicStatus(accountId, topicId, 'error').catch(() => {});
-      throw err;
+      })),
+    });
+
+    // Without the record the results could never be matched back to topics, so don't leave the batch running
+    const runId = recordInDb('Run tracking', (db) => db.startGenerationRun(accountId, { mode: 'batch', model }));
+    try {
+      deps.db.saveGenerationBatch(accountId, {
+        batchId: batch.id,
+        runId,
+        model,
+        // Everything the article frontmatter needs, so results can be saved without re-reading the sheet
+        topics: pending.map((t, i) => ({
+          custom_id: batchCustomId(t),
+          id: t.id,
+          theme: t.theme,
+          pillar: t.pillar || '',
+          keywords: t.keywords || '',
+          is_paid: t.is_paid === true,
+          price: t.price || 0,
+          free_preview_ratio: t.free_preview_ratio || 0,
+          prompt_version: promptVersion(prompts[i].system),
+          system_prompt_version: systemPrompt.version,
+          // The length passes continue the same conversation
+          system: prompts[i].system,
+          user: prompts[i].user,
+        })),
+      });
+    } catch (e) {
+      await client.messages.batches.cancel(batch.id).catch(() => {});
+      recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, { status: 'failed', error: e.message }));
+      throw new Error(`バッチを記録できませんでした: ${e.message}`);
+    }
+
+    for (const topic of pending) {
+      await this.sm.updateTopicStatus(accountId, topic.id, 'generating').catch(() => {});
     }
+    deps.logger.info('generator', `Message Batch submitted: ${batch.id} (${pending.length} topics)`, { accountId });
+    return { batchId: batch.id, submitted: pending.length, generated: 0, errors: 0, results: [] };
   }
 
-  // Batch: generate all pending topics
-  async run(accountId) {
-    const { apiKey, model, writingGuidelines } = await this._getApiConfig();
-    const topics = await this.sm.readTopics(accountId);
-    const pending = topics.filter((t) => (t.status || 'pending') === 'pending');
+  // Poll a Message Batch (generator:status). Once it has ended, its results are written as articles exactly once.
+  async status(batchId) {
+    const record = deps.db.getGenerationBatch(batchId);
+    if (!record) throw new Error(`バッチ ${batchId} が見つかりません`);
+    if (record.status === 'collected') {
+      return { batchId, status: 'ended', requestCounts: record.request_counts, ...record.result };
+    }
+
+    const { client, lengthRange } = await this._getApiConfig();
+    if (!client.messages.batches) throw new Error('Message Batches は Anthropic API でしか確認できません');
+    const batch = await client.messages.batches.retrieve(batchId);
+    deps.db.updateGenerationBatch(batchId, { requestCounts: batch.request_counts });
+    if (batch.processing_status !== 'ended') {
+      return { batchId, status: batch.processing_status, requestCounts: batch.request_counts };
+    }
+
+    if (!collecting.has(batchId)) {
+      collecting.set(batchId, this._collectBatch(client, record, lengthRange).finally(() => collecting.delete(batchId)));
+    }
+    const summary = await collecting.get(batchId);
+    return {
+      batchId, status: 'ended', requestCounts: batch.request_counts, generated: summary.generated, errors: summary.errors,
+    };
+  }
+
+  async _collectBatch(client, record, lengthRange) {
+    const accountId = record.account_id;
+    const topics = new Map(record.topics.map((t) => [t.custom_id, t]));
+    // Results are recorded per entry, so a collection cut short by a crash resumes without writing
+    // the articles it already saved a second time
+    const collected = { ...record.collected };
+    const results = Object.values(collected);
+    const done = (customId, result) => {
+      collected[customId] = result;
+      results.push(result);
+      deps.db.updateGenerationBatch(record.batch_id, { collected });
+    };
+    for await (const entry of await client.messages.batches.results(record.batch_id)) {
+      const topic = topics.get(entry.custom_id);
+      if (!topic || collected[entry.custom_id]) continue;
+      if (entry.result.type !== 'succeeded') {
+        const { topicStatus, error } = describeBatchFailure(entry.result);
+        await this.sm.updateTopicStatus(accountId, topic.id, topicStatus).catch(() => {});
+        done(entry.custom_id, { topic: topic.theme, topicId: topic.id, status: 'error', error });
+        continue;
+      }
+      try {
+        const { message } = entry.result;
+        const model = message.model || record.model;
+        const fitted = await fitLength(client, {
+          model,
+          system: topic.system,
+          user: topic.user,
+          text: message.content[0].text,
+          stopReason: message.stop_reason,
+          range: lengthRange,
+        });
+        const { length, status, passes } = fitted;
+        const saved = await this._saveArticle(accountId, topic, fitted.text, {
+          model,
+          usage: addUsage(message.usage, fitted.usage),
+          promptVersion: topic.prompt_version,
+          systemPromptVersion: topic.system_prompt_version,
+          batchId: record.batch_id,
+          length: { length, status, passes },
+        });
+        // The batch request is billed at the batch discount, the length passes at the regular price
+        const usageEntry = { accountId, articleId: saved.filename, runId: record.run_id, purpose: 'generation', model };
+        await deps.recordUsage({ ...usageEntry, usage: message.usage, batch: true });
+        await deps.recordUsage({ ...usageEntry, usage: fitted.usage });
+        done(entry.custom_id, {
+          topic: topic.theme,
+          topicId: topic.id,
+          title: saved.title,
+          status: 'success',
+          articlePath: saved.articlePath,
+          score: saved.score,
+          articleStatus: saved.status,
+        });
+      } catch (err) {
+        await this.sm.updateTopicStatus(accountId, topic.id, 'error').catch(() => {});
+        done(entry.custom_id, { topic: topic.theme, topicId: topic.id, status: 'error', error: err.message });
+      }
+    }
+
+    const summary = await this._finishBatch(accountId, record.run_id, results);
+    deps.db.updateGenerationBatch(record.batch_id, {
+      status: 'collected',
+      result: { generated: summary.generated, errors: summary.errors },
+    });
+    deps.logger.info('generator', `Message Batch collected: ${record.batch_id} (${summary.generated} generated, ${summary.errors} errors)`, { accountId });
+    return summary;
+  }
+
+  // Outline-first, first stage: write the outline of a topic and keep it for review.
+  // The prompts are stored with the outline so the approved article is expanded with exactly the same ones.
+  async _createOutline(accountId, topic, {
+    client, model, writingGuidelines, privacyRules, pillarPrompt, lengthRange, systemPrompt, signal,
+  }) {
+    const { system, user } = buildPrompts(
+      topic.theme, topic.additional_instructions, writingGuidelines, null, privacyRules, pillarPrompt, lengthRange, systemPrompt.text,
+    );
+    const { outline, usage } = await outliner.generateOutline({ client, model, system, user, signal });
+    const id = deps.db.saveGenerationOutline(accountId, {
+      topic, outline, model, prompts: { system, user, system_prompt_version: systemPrompt.version }, usage,
+    });
+    await deps.recordUsage({ accountId, purpose: 'outline', model, usage });
+    await this.sm.updateTopicStatus(accountId, topic.id, 'outlined');
+    const record = deps.db.getGenerationOutline(id);
+    await deliverOutline(accountId, record);
+    deps.logger.info('generator', `Outline ready for review: ${outline.title}`, { accountId, topicId: topic.id, outlineId: id });
+    return record;
+  }
 
-    if (pending.length === 0) {
-      return { generated: 0, errors: 0, results: [] };
+  async _outlineSingle(accountId, topic, apiConfig) {
+    await this.sm.updateTopicStatus(accountId, topic.id, 'generating');
+    const runId = recordInDb('Run tracking', (db) => db.startGenerationRun(accountId, { mode: 'outline', topicId: topic.id, model: apiConfig.model }));
+    const controller = trackRun(accountId);
+    try {
+      const record = await this._createOutline(accountId, topic, { ...apiConfig, signal: controller.signal });
+      recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, { status: 'success', result: { outlineId: record.id } }));
+      await deps.notify('outline_ready', { accountId, theme: topic.theme, count: 1 });
+      return { success: true, outline: record };
+    } catch (err) {
+      if (controller.signal.aborted) {
+        await this.sm.updateTopicStatus(accountId, topic.id, 'pending').catch(() => {});
+        recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, { status: 'cancelled' }));
+        deps.logger.info('generator', `Outline cancelled: ${topic.theme}`, { accountId, topicId: topic.id });
+        return { success: false, cancelled: true };
+      }
+      await this.sm.updateTopicStatus(accountId, topic.id, 'error').catch(() => {});
+      recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, { status: 'failed', error: err.message }));
+      await deps.notify('generation_failed', { accountId, topicId: topic.id, theme: topic.theme, error: err.message });
+      throw err;
+    } finally {
+      releaseRun(accountId, controller);
     }
+  }
 
+  async _outlineBatch(accountId, pending, apiConfig) {
+    const runId = recordInDb('Run tracking', (db) => db.startGenerationRun(accountId, { mode: 'outline', model: apiConfig.model }));
     const results = [];
+    const controller = trackRun(accountId);
     for (const topic of pending) {
+      if (controller.signal.aborted) break;
+      try {
+        await deps.assertWithinBudget();
+      } catch (err) {
+        deps.logger.warn('generator', `Outlines stopped by the budget: ${err.message}`, { accountId });
+        break;
+      }
       try {
+        const pillarPrompt = await getTopicPrompt(accountId, topic);
         await this.sm.updateTopicStatus(accountId, topic.id, 'generating');
+        const record = await this._createOutline(accountId, topic, { ...apiConfig, pillarPrompt, signal: controller.signal });
+        results.push({ topic: topic.theme, topicId: topic.id, title: record.outline.title, status: 'outlined', outlineId: record.id });
+      } catch (err) {
+        if (controller.signal.aborted) {
+          await this.sm.updateTopicStatus(accountId, topic.id, 'pending').catch(() => {});
+          break;
+        }
+        await this.sm.updateTopicStatus(accountId, topic.id, 'error').catch(() => {});
+        results.push({ topic: topic.theme, topicId: topic.id, status: 'error', error: err.message });
+      }
+    }
+    const cancelled = controller.signal.aborted;
+    releaseRun(accountId, controller);
 
-        const articleText = await callClaude(apiKey, model, topic.theme, topic.additional_instructions, writingGuidelines);
+    const summary = {
+      outlined: results.filter((r) => r.status === 'outlined').length,
+      generated: 0,
+      errors: results.filter((r) => r.status === 'error').length,
+      results,
+      ...(cancelled && { cancelled: true }),
+    };
+    let runStatus = summary.errors > 0 && summary.outlined === 0 ? 'failed' : 'success';
+    if (cancelled) runStatus = 'cancelled';
+    recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, {
+      status: runStatus,
+      result: { outlined: summary.outlined, errors: summary.errors },
+    }));
 
-        const articlePath = buildArticlePath(accountId, topic.theme);
-        const articleDir = path.dirname(articlePath);
-        if (!fs.existsSync(articleDir)) {
-          fs.mkdirSync(articleDir, { recursive: true });
-        }
-        fs.writeFileSync(articlePath, articleText, 'utf-8');
+    if (summary.outlined > 0) {
+      const first = results.find((r) => r.status === 'outlined');
+      await deps.notify('outline_ready', { accountId, count: summary.outlined, theme: first.topic });
+    } else if (summary.errors > 0) {
+      const first = results.find((r) => r.status === 'error');
+      await deps.notify('generation_failed', {
+        accountId, theme: summary.errors > 1 ? `${summary.errors} 件すべて` : first.topic, error: first.error,
+      });
+    }
+    return summary;
+  }
 
-        await this.sm.updateTopicStatus(accountId, topic.id, 'generated');
+  // The outline of a topic that is waiting for review (Inbox), or null.
+  getOutlineForTopic(accountId, topicId) {
+    const [record] = recordInDb('Outline lookup', (db) => db.listGenerationOutlines(accountId, { status: 'pending', topicId })) || [];
+    return record || null;
+  }
 
-        // Auto-push to GitHub if enabled
-        try {
-          const githubEnabled = await config.get('github.enabled');
-          if (githubEnabled) {
-            const { githubSync } = require('../utils/github-sync');
-            const prMode = await config.get('github.pr_mode');
-            const meta = { topic_id: topic.id, pillar: topic.pillar || '' };
-            const fname = path.basename(articlePath);
-            if (prMode) {
-              await githubSync.pushArticleToPR(accountId, fname, 'generated', meta);
-            } else {
-              await githubSync.pushArticle(accountId, fname, 'generated', meta);
-            }
-          }
-        } catch (e) {
-          console.error('[generator:batch] GitHub push failed (non-blocking):', e.message);
-        }
+  // Save an outline edited in the Inbox without approving it yet.
+  saveOutline(id, outline) {
+    getPendingOutline(id);
+    deps.db.updateGenerationOutline(id, { outline: outliner.normalizeOutline(outline) });
+    return deps.db.getGenerationOutline(id);
+  }
 
-        // Auto-send to Telegram if enabled
-        try {
-          const telegramEnabled = await config.get('telegram.enabled');
-          if (telegramEnabled) {
-            const { telegramService } = require('./telegram');
-            const lines = articleText.split('\n');
-            const title = (lines[0] || '').replace(/^#+\s*/, '').trim();
-            const fname = path.basename(articlePath);
-            await telegramService.sendArticleForReview(accountId, { title, body: articleText, filename: fname });
-          }
-        } catch (e) {
-          console.error('[generator:batch] Telegram send failed (non-blocking):', e.message);
-        }
+  // Rewrite the outline following a review instruction (a reply in its Telegram topic).
+  async reviseOutline(id, instruction) {
+    const record = getPendingOutline(id);
+    const { client, model: configModel } = await this._getApiConfig();
+    await deps.assertWithinBudget();
+    const model = record.model || configModel;
+    const { outline, usage } = await outliner.reviseOutline({
+      client,
+      model,
+      system: record.prompts.system,
+      user: record.prompts.user,
+      outline: record.outline,
+      instruction,
+    });
+    deps.db.updateGenerationOutline(id, { outline, usage: addUsage(record.usage, usage) });
+    await deps.recordUsage({ accountId: record.account_id, purpose: 'outline', model, usage });
+    return deps.db.getGenerationOutline(id);
+  }
 
-        results.push({ topic: topic.theme, topicId: topic.id, status: 'success', articlePath });
-      } catch (err) {
-        await this.sm.updateTopicStatus(accountId, topic.id, 'error').catch(() => {});
-        results.push({ topic: topic.theme, topicId: topic.id, status: 'error', error: err.message });
+  // Reject the outline: the topic goes back to pending so it can be written again.
+  async rejectOutline(id) {
+    const record = getPendingOutline(id);
+    deps.db.updateGenerationOutline(id, { status: 'rejected' });
+    await this.sm.updateTopicStatus(record.account_id, record.topic.id, 'pending');
+    deps.logger.info('generator', `Outline rejected: ${record.outline.title}`, { accountId: record.account_id, outlineId: id });
+    return { success: true };
+  }
+
+  // Outline-first, second stage: expand the approved outline (optionally the version edited in the Inbox)
+  // into the article section by section, then fit the length and save it like any generated article.
+  // The outline is 'approved' while it is expanded; a failure or cancel puts it back to 'pending' for another try.
+  async approveOutline(id, { outline, onProgress } = {}) {
+    const record = getPendingOutline(id);
+    const approved = outline ? outliner.normalizeOutline(outline) : record.outline;
+    // Marked before the first await so a second approval (Inbox and Telegram) is refused
+    deps.db.updateGenerationOutline(id, { status: 'approved', outline: approved, error: null });
+
+    const accountId = record.account_id;
+    const topic = record.topic;
+    const { system, user } = record.prompts;
+    let runId = null;
+    let controller = null;
+    try {
+      const { client, model: configModel, lengthRange } = await this._getApiConfig();
+      const model = record.model || configModel;
+      await deps.assertWithinBudget();
+      await this.sm.updateTopicStatus(accountId, topic.id, 'generating');
+      runId = recordInDb('Run tracking', (db) => db.startGenerationRun(accountId, { mode: 'outline_expand', topicId: topic.id, model }));
+      controller = trackRun(accountId);
+
+      const expanded = await outliner.expandOutline({
+        client,
+        model,
+        system,
+        user,
+        outline: approved,
+        isPaid: topic.is_paid === true,
+        signal: controller.signal,
+        onSection: onProgress && (({ text, usage }) => onProgress({
+          accountId, topicId: topic.id, theme: topic.theme, text, chars: text.length, ...usage,
+        })),
+      });
+      const fitted = await fitLength(client, {
+        model, system, user, text: expanded.text, stopReason: expanded.stopReason, range: lengthRange, signal: controller.signal,
+      });
+      const usage = addUsage(addUsage(record.usage, expanded.usage), fitted.usage);
+      const length = { length: fitted.length, status: fitted.status, passes: fitted.passes };
+
+      const saved = await this._saveArticle(accountId, topic, fitted.text, {
+        model, usage, promptVersion: promptVersion(system), systemPromptVersion: record.prompts.system_prompt_version, length, outlineId: id,
+      });
+      // The outline's own usage was recorded when it was written
+      await deps.recordUsage({
+        accountId, articleId: saved.filename, runId, purpose: 'generation', model, usage: addUsage(expanded.usage, fitted.usage),
+      });
+      recordInDb('Outline tracking', (db) => db.updateGenerationOutline(id, { status: 'expanded', filename: saved.filename }));
+      recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, {
+        status: 'success',
+        result: { filename: saved.filename, status: saved.status, score: saved.score },
+      }));
+      await deps.notify('generation_finished', { accountId, filename: saved.filename, title: saved.title, count: 1 });
+
+      return { success: true, article: buildArticleResult(topic, saved, { model, usage, length }) };
+    } catch (err) {
+      const cancelled = controller?.signal.aborted;
+      recordInDb('Outline tracking', (db) => db.updateGenerationOutline(id, { status: 'pending', error: cancelled ? null : err.message }));
+      await this.sm.updateTopicStatus(accountId, topic.id, 'outlined').catch(() => {});
+      if (cancelled) {
+        recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, { status: 'cancelled' }));
+        deps.logger.info('generator', `Outline expansion cancelled: ${topic.theme}`, { accountId, outlineId: id });
+        return { success: false, cancelled: true };
+      }
+      recordInDb('Run tracking', (db) => runId && db.finishGenerationRun(runId, { status: 'failed', error: err.message }));
+      await deps.notify('generation_failed', { accountId, topicId: topic.id, theme: topic.theme, error: err.message });
+      throw err;
+    } finally {
+      if (controller) releaseRun(accountId, controller);
+    }
+  }
+
+  // Streamed batch runs cut short by a crash or a restart, which the Inbox offers to resume.
+  listInterruptedRuns(accountId) {
+    return recordInDb('Run tracking', (db) => db.listInterruptedGenerationRuns(accountId)) || [];
+  }
+
+  // Startup sweep (before the scheduler starts, so nothing is being generated yet) for what a crash left behind:
+  // runs still 'running' become 'interrupted', outlines stuck in 'approved' wait for approval again,
+  // and topics stuck in 'generating' go back to pending (or outlined) unless they wait in an open Message Batch.
+  async recoverInterrupted() {
+    const interrupted = recordInDb('Run tracking', (db) => db.interruptGenerationRuns()) || 0;
+    const inBatch = new Set(this.listOpenBatches().flatMap((b) => b.topics.map((t) => `${b.account_id}:${t.id}`)));
+    const reset = [];
+    for (const account of await deps.config.getActiveAccounts()) {
+      try {
+        const approved = recordInDb('Outline tracking', (db) => db.listGenerationOutlines(account.id, { status: 'approved' })) || [];
+        approved.forEach((o) => deps.db.updateGenerationOutline(o.id, { status: 'pending' }));
+        const outlined = new Set(approved.map((o) => String(o.topic_id)));
+
+        const topics = await this.sm.readTopics(account.id);
+        for (const topic of topics) {
+          if (topic.status !== 'generating' || inBatch.has(`${account.id}:${topic.id}`)) continue;
+          const status = outlined.has(String(topic.id)) ? 'outlined' : 'pending';
+          await this.sm.updateTopicStatus(account.id, topic.id, status);
+          reset.push({ accountId: account.id, topicId: topic.id, status });
+        }
+      } catch (e) {
+        deps.logger.error('generator', `Startup sweep failed: ${e.message}`, { accountId: account.id });
       }
     }
+    if (interrupted > 0 || reset.length > 0) {
+      deps.logger.info('generator', `Startup sweep: ${interrupted} interrupted runs, ${reset.length} orphaned topics reset`);
+    }
+    return { interrupted, reset };
+  }
+
+  // Settings preview: the exact system / user prompt a topic would be generated with.
+  // pillarId and template let the editor try an unsaved template on a topic.
+  async previewPrompt(accountId, topicId, { pillarId, template } = {}) {
+    const writingGuidelines = await deps.config.get('article.writing_guidelines') || '';
+    const privacyRules = await getPrivacyRules(accountId);
+    const topics = await this.sm.readTopics(accountId);
+    const found = topics.find((t) => t.id === topicId);
+    if (!found) throw new Error(`トピックID ${topicId} が見つかりません`);
+    const topic = pillarId ? { ...found, pillar: pillarId } : found;
 
+    const { buildPillarPrompt, buildVariables } = require('./prompt-templates');
+    const account = await deps.config.getAccount(accountId);
+    const pillar = buildPillarPrompt(account, topic, { template });
+    const lengthRange = await getLengthRange(deps.config);
+    const seriesPrompt = deps.seriesPrompt(accountId, topic);
+    const topicPrompt = [pillar.text, seriesPrompt].filter(Boolean).join('\n\n');
+    const systemPrompt = deps.getSystemPrompt();
+    const { system, user } = buildPrompts(
+      topic.theme, topic.additional_instructions, writingGuidelines, null, privacyRules, topicPrompt, lengthRange, systemPrompt.text,
+    );
+    const pillarDef = (account?.pillars || []).find((p) => p.id === topic.pillar);
     return {
-      generated: results.filter((r) => r.status === 'success').length,
-      errors: results.filter((r) => r.status === 'error').length,
-      results,
+      system,
+      user,
+      systemPromptVersion: systemPrompt.version,
+      file: pillar.file,
+      unknown: pillar.unknown,
+      variables: buildVariables(topic, pillarDef, account),
     };
   }
+
+  // Batches still waiting for results, including ones submitted before the app was restarted.
+  listOpenBatches(accountId) {
+    return recordInDb('Batch tracking', (db) => db.listOpenGenerationBatches(accountId)) || [];
+  }
+
+  // Background poll (startup + BATCH_POLL_INTERVAL_MS): collect every batch that has ended since the last look.
+  async pollBatches() {
+    const summaries = [];
+    for (const record of this.listOpenBatches()) {
+      try {
+        summaries.push(await this.status(record.batch_id));
+      } catch (e) {
+        deps.logger.error('generator', `Batch poll failed (${record.batch_id}): ${e.message}`, { accountId: record.account_id });
+      }
+    }
+    return summaries;
+  }
 }
 
-module.exports = { Generator, SYSTEM_PROMPT, buildArticlePath, callClaude };
+module.exports = {
+  Generator,
+  SYSTEM_PROMPT,
+  buildArticlePath,
+  callClaude,
+  buildPrompts,
+  postProcess,
+  cancel,
+  BATCH_POLL_INTERVAL_MS,
+  // テスト用
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
@@ -0,0 +1,230 @@
+/**
+ * Length Enforcer
+ *
+ * 生成した記事の文字数を設定の範囲（app.min_chars〜app.max_chars）に収める。
+ *
+ * - 文字数は空白と HTML コメント（<!-- paid-line -->）を除いて数える
+ * - max_tokens で途中で切れた記事は続きを書かせ、短すぎる記事は締めの前にセクションを足させる
+ * - 長すぎる記事は見出しごとに圧縮する（見出し・有料ラインはそのまま）
+ * - MAX_PASSES 回やっても範囲に入らなければ length_status（too_short / too_long / truncated）で知らせる
+ */
+
+const _logger = require('../utils/logger');
+const models = require('../utils/model-registry');
+
+// Mutable deps for testing
+let deps = {
+  logger: _logger,
+};
+
+// config.js の既定値と同じ
+const DEFAULT_RANGE = { min: 1500, max: 4000 };
+
+// 続き・圧縮を合わせてこの回数まで
+const MAX_PASSES = 3;
+
+const MAX_TOKENS = 8192;
+
+// これより短いセクションは圧縮しない（見出しだけ・締めの一言など）
+const MIN_CONDENSE_CHARS = 200;
+
+// 圧縮の目標は上限の少し下にする（圧縮後に上限を超えないように）
+const CONDENSE_TARGET = 0.9;
+
+const HEADING_PATTERN = /^#{2,3}\s/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const COMMENT_LINE_PATTERN = /^\s*<!--.*-->\s*$/;
+
+function countChars(text) {
+  return (text || '').replace(/<!--[\s\S]*?-->/g, '').replace(/\s/g, '').length;
+}
+
+/**
+ * 設定の文字数の範囲。設定画面の app.min_chars / max_chars、無ければ article.min_length / max_length
+ */
+async function getLengthRange(config) {
+  const min = Number(await config.get('app.min_chars') ?? await config.get('article.min_length')) || DEFAULT_RANGE.min;
+  const max = Number(await config.get('app.max_chars') ?? await config.get('article.max_length')) || DEFAULT_RANGE.max;
+  return max > min ? { min, max } : DEFAULT_RANGE;
+}
+
+function classify(length, range, stopReason) {
+  if (stopReason === 'max_tokens') return 'truncated';
+  if (length < range.min) return 'too_short';
+  if (length > range.max) return 'too_long';
+  return 'ok';
+}
+
+function addUsage(a, b) {
+  return {
+    input_tokens: (a?.input_tokens || 0) + (b?.input_tokens || 0),
+    output_tokens: (a?.output_tokens || 0) + (b?.output_tokens || 0),
+  };
+}
+
+async function request(client, params, signal) {
+  const message = await client.messages.create({ max_tokens: models.capTokens(params.model, MAX_TOKENS), ...params }, { signal });
+  return { text: message.content[0].text, usage: message.usage, stopReason: message.stop_reason };
+}
+
+/**
+ * 本文を見出しごとのブロックに分ける。有料ラインなどのコメント行は単独のブロック（fixed）にする
+ */
+function splitSections(text) {
+  const blocks = [];
+  let current = null;
+  let inFence = false;
+  for (const line of text.split('\n')) {
+    if (FENCE_PATTERN.test(line)) inFence = !inFence;
+    const comment = !inFence && COMMENT_LINE_PATTERN.test(line);
+    if (!current || comment || current.fixed || (!inFence && HEADING_PATTERN.test(line))) {
+      current = { lines: [], fixed: comment };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  }
+  return blocks.map((b) => ({ text: b.lines.join('\n').trim(), fixed: b.fixed })).filter((b) => b.text !== '');
+}
+
+// 締めのセクション（最後の見出し）の位置。足したセクションはその前に入れる
+function closingIndex(blocks) {
+  for (let i = blocks.length - 1; i > 0; i--) {
+    if (!blocks[i].fixed && HEADING_PATTERN.test(blocks[i].text)) return i;
+  }
+  return blocks.length;
+}
+
+/**
+ * 途中で切れた記事の続きを書かせる
+ */
+async function continueTruncated(client, { model, system, user, text, signal }) {
+  const draft = text.trimEnd();
+  const result = await request(client, {
+    model,
+    system,
+    messages: [
+      { role: 'user', content: user },
+      { role: 'assistant', content: draft },
+      {
+        role: 'user',
+        content: '記事が途中で途切れています。最後の文の続きから、そのままつながる形で最後まで書き切ってください。既に書いた部分は繰り返さず、続きの本文だけを出力してください。',
+      },
+    ],
+  }, signal);
+  const joiner = /^\s/.test(result.text) ? '' : '\n';
+  return { ...result, text: draft + joiner + result.text };
+}
+
+/**
+ * 短すぎる記事に、締めの前に入れるセクションを書かせる
+ */
+async function expandShort(client, { model, system, user, text, range, signal }) {
+  const missing = range.min - countChars(text);
+  const target = missing + Math.round((range.max - range.min) / 4);
+  const result = await request(client, {
+    model,
+    system,
+    messages: [
+      { role: 'user', content: user },
+      { role: 'assistant', content: text.trimEnd() },
+      {
+        role: 'user',
+        content: `この記事は ${countChars(text)} 文字で、目標（${range.min}〜${range.max} 文字）に足りません。`
+          + `締めの前に入れる見出し付きのセクションを約 ${target} 文字書いてください。`
+          + '既に書いた内容は繰り返さず、同じトーンと構成（状況・問題・対処・テンプレート）で、追加するセクションの Markdown だけを出力してください。',
+      },
+    ],
+  }, signal);
+  const blocks = splitSections(text);
+  const at = closingIndex(blocks);
+  const added = { text: result.text.trim(), fixed: false };
+  const merged = [...blocks.slice(0, at), added, ...blocks.slice(at)];
+  // stop_reason をそのまま返すので、足したセクションが切れていれば次のパスで続きを書かせる
+  return { ...result, text: merged.map((b) => b.text).join('\n\n') };
+}
+
+/**
+ * 長すぎる記事を見出しごとに圧縮する
+ */
+async function condense(client, { model, system, text, range, signal }) {
+  const ratio = (range.max * CONDENSE_TARGET) / countChars(text);
+  let usage = null;
+  const blocks = [];
+  for (const block of splitSections(text)) {
+    const chars = countChars(block.text);
+    if (block.fixed || chars < MIN_CONDENSE_CHARS) {
+      blocks.push(block.text);
+      continue;
+    }
+    const target = Math.round(chars * ratio);
+    const result = await request(client, {
+      model,
+      system,
+      messages: [{
+        role: 'user',
+        content: `次の記事のセクションを約 ${target} 文字（今は ${chars} 文字）に縮めてください。`
+          + '見出し行はそのまま残し、具体的なエピソード・フレーズ・テンプレート・チェックリストは削らずに、重複した説明や前置きを削ってください。'
+          + `縮めたセクションの Markdown だけを出力してください。\n\n${block.text}`,
+      }],
+    }, signal);
+    usage = addUsage(usage, result.usage);
+    let condensed = result.text.trim();
+    const heading = block.text.split('\n')[0];
+    if (HEADING_PATTERN.test(heading) && !condensed.startsWith(heading)) condensed = `${heading}\n${condensed}`;
+    blocks.push(condensed);
+  }
+  return { text: blocks.join('\n\n'), usage, stopReason: 'end_turn' };
+}
+
+/**
+ * 記事を文字数の範囲に収める
+ * @param {object} params
+ * @param {object} params.client - LLM のクライアント（llm-provider.js）
+ * @param {string} params.model
+ * @param {string} params.system - 生成に使ったシステムプロンプト（続きを書かせるときに渡す）
+ * @param {string} params.user - 生成に使ったユーザープロンプト
+ * @param {string} params.text - 生成された本文
+ * @param {string} [params.stopReason] - 生成の stop_reason（max_tokens なら途中で切れている）
+ * @param {{ min: number, max: number }} params.range
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<{ text: string, length: number, status: 'ok'|'too_short'|'too_long'|'truncated', passes: string[], usage: object|null }>}
+ */
+async function enforceLength({ client, model, system, user, text, stopReason, range, signal }) {
+  let current = text;
+  let reason = stopReason;
+  let usage = null;
+  const passes = [];
+  while (passes.length < MAX_PASSES) {
+    const state = classify(countChars(current), range, reason);
+    if (state === 'ok') break;
+    const pass = { truncated: 'continue', too_short: 'expand', too_long: 'condense' }[state];
+    deps.logger.info('length', `${pass}: ${countChars(current)} 文字（${range.min}〜${range.max}）`, { model });
+    const run = { continue: continueTruncated, expand: expandShort, condense }[pass];
+    const result = await run(client, { model, system, user, text: current, range, signal });
+    current = result.text;
+    reason = result.stopReason;
+    usage = addUsage(usage, result.usage);
+    passes.push(pass);
+  }
+  const length = countChars(current);
+  const status = classify(length, range, reason);
+  if (status !== 'ok') {
+    deps.logger.warn('length', `文字数を範囲に収められませんでした: ${status} ${length} 文字（${range.min}〜${range.max}）`, { model });
+  }
+  return { text: current, length, status, passes, usage };
+}
+
+module.exports = {
+  DEFAULT_RANGE,
+  MAX_PASSES,
+  countChars,
+  classify,
+  getLengthRange,
+  enforceLength,
+  addUsage,
+  // テスト用
+  _internal: { splitSections, closingIndex },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
@@ -0,0 +1,280 @@
+/**
+ * Notifier
+ *
+ * パイプラインのイベント（生成完了・失敗、レビュー待ち、承認、投稿、同期失敗、予算超過）を
+ * 設定したチャネルに届ける。
+ *
+ * - チャネルはデスクトップ通知・Telegram・Webhook（JSON を POST）・メール（SMTP）の4つ
+ * - どのイベントをどのチャネルに送るかは notifications.routes（設定画面）で決める。未設定のイベントは既定の送り先
+ * - チャネルごとの失敗はログに残すだけで、呼び出し元には投げない（通知が処理を止めない）
+ * - 送信結果は 'notified' イベントで流す
+ */
+
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const _smtp = require('../utils/smtp');
+
+// Mutable deps for testing
+let deps = {
+  config: _config,
+  logger: _logger,
+  sendMail: (options) => _smtp.sendMail(options),
+  fetch: (...args) => fetch(...args),
+  showDesktop: ({ title, body }) => {
+    const { Notification } = require('electron');
+    if (!Notification.isSupported()) throw new Error('デスクトップ通知に対応していません');
+    new Notification({ title, body }).show();
+  },
+  getTelegram: () => require('./telegram').telegramService,
+};
+
+const CHANNELS = [
+  { key: 'desktop', label: 'デスクトップ' },
+  { key: 'telegram', label: 'Telegram' },
+  { key: 'webhook', label: 'Webhook' },
+  { key: 'email', label: 'メール' },
+];
+
+const EVENTS = {
+  generation_finished: {
+    label: '生成完了',
+    defaultChannels: ['desktop'],
+    format: (p) => ({
+      title: '記事を生成しました',
+      body: p.count > 1 || p.errors
+        ? `${p.count} 件の記事を生成しました${p.errors ? `（失敗 ${p.errors} 件）` : ''}`
+        : `「${p.title}」を生成しました`,
+    }),
+  },
+  generation_failed: {
+    label: '生成失敗',
+    defaultChannels: ['desktop', 'telegram'],
+    format: (p) => ({
+      title: '記事の生成に失敗しました',
+      body: `${p.theme ? `「${p.theme}」: ` : ''}${p.error}`,
+    }),
+  },
+  outline_ready: {
+    label: 'アウトライン承認待ち',
+    defaultChannels: ['desktop'],
+    format: (p) => ({
+      title: 'アウトラインの確認待ちです',
+      body: p.count > 1 ? `${p.count} 件のアウトラインを作りました` : `「${p.theme}」のアウトラインを作りました`,
+    }),
+  },
+  review_needed: {
+    label: 'レビュー待ち',
+    defaultChannels: ['desktop'],
+    format: (p) => (p.escalated
+      ? {
+        title: '記事の確認が必要です',
+        body: `⚠️ 「${p.title}」は ${p.attempts} 回再生成しても承認されませんでした。手動で確認してください。${p.reason ? `\n最後の却下理由: ${p.reason}` : ''}`,
+      }
+      : {
+        title: 'レビュー待ちの記事があります',
+        body: `「${p.title}」${p.score !== undefined && p.score !== null ? `（スコア ${p.score}）` : ''}`,
+      }),
+  },
+  approved: {
+    label: '承認',
+    defaultChannels: [],
+    format: (p) => ({
+      title: '記事が承認されました',
+      body: `「${p.title}」${p.source === 'scorer' ? '（スコアによる自動承認）' : ''}`,
+    }),
+  },
+  posted: {
+    label: '投稿',
+    defaultChannels: ['desktop'],
+    format: (p) => ({
+      title: p.status === 'draft' ? 'note に下書き保存しました' : 'note に投稿しました',
+      body: `「${p.title}」\n${p.url}`,
+    }),
+  },
+  sync_failed: {
+    label: '同期失敗',
+    defaultChannels: ['desktop'],
+    format: (p) => ({
+      title: 'GitHub への同期に失敗しました',
+      body: `${p.filename ? `${p.filename}: ` : ''}${p.error}`,
+    }),
+  },
+  budget_warning: {
+    label: '予算の残りわずか',
+    defaultChannels: ['desktop'],
+    format: (p) => ({
+      title: 'API の利用額が予算に近づいています',
+      body: p.message || `${p.period || ''}の利用額 $${p.spent} が予算 $${p.budget} の ${Math.round((p.ratio || 0) * 100)}% に達しました`,
+    }),
+  },
+  budget_exceeded: {
+    label: '予算超過',
+    defaultChannels: ['desktop', 'telegram', 'email'],
+    format: (p) => ({
+      title: 'API の利用額が予算を超えました',
+      body: p.message || `${p.period || ''}の利用額 $${p.spent} が予算 $${p.budget} を超えました`,
+    }),
+  },
+};
+
+/**
+ * notifications.routes を既定の送り先で補う
+ * @returns {Record<string, string[]>}
+ */
+function resolveRoutes(routes = {}) {
+  return Object.fromEntries(
+    Object.entries(EVENTS).map(([event, def]) => [
+      event,
+      Array.isArray(routes[event]) ? routes[event].filter((c) => CHANNELS.some((ch) => ch.key === c)) : def.defaultChannels,
+    ])
+  );
+}
+
+async function getSettings() {
+  const settings = (await deps.config.get('notifications')) || {};
+  return {
+    channels: settings.channels || {},
+    routes: resolveRoutes(settings.routes),
+  };
+}
+
+// デスクトップ通知は明示的に切らない限り有効。ほかのチャネルは設定して有効にしたものだけ
+function isChannelEnabled(channels, channel) {
+  return channel === 'desktop' ? channels.desktop?.enabled !== false : !!channels[channel]?.enabled;
+}
+
+function formatMessage(event, payload) {
+  const { title, body } = EVENTS[event].format(payload);
+  const account = payload.accountId ? `[${payload.accountId}] ` : '';
+  return { title, body, text: `${account}${title}\n${body}` };
+}
+
+// --- Channels ---
+
+const senders = {
+  async desktop(message) {
+    deps.showDesktop({ title: message.title, body: message.body });
+  },
+
+  async telegram(message, payload) {
+    const result = await deps.getTelegram().notifyArticle(payload.accountId, payload.filename, message.text);
+    if (!result?.success) throw new Error(result?.error || 'Telegram への送信に失敗しました');
+  },
+
+  async webhook(message, payload, event, settings) {
+    const url = settings.url;
+    if (!url) throw new Error('Webhook の URL が設定されていません');
+    const res = await deps.fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        event,
+        title: message.title,
+        text: message.text,
+        payload,
+        sent_at: new Date().toISOString(),
+      }),
+    });
+    if (!res.ok) throw new Error(`Webhook ${res.status}`);
+  },
+
+  async email(message, payload, event, settings) {
+    await deps.sendMail({
+      host: settings.host,
+      port: settings.port,
+      secure: !!settings.secure,
+      user: settings.user,
+      pass: settings.pass,
+      from: settings.from,
+      to: settings.to,
+      subject: `[note AutoPoster] ${message.title}`,
+      text: message.text,
+    });
+  },
+};
+
+class Notifier {
+  constructor() {
+    this._eventHandlers = {};
+  }
+
+  on(event, handler) {
+    if (!this._eventHandlers[event]) this._eventHandlers[event] = [];
+    this._eventHandlers[event].push(handler);
+  }
+
+  _emit(event, ...args) {
+    (this._eventHandlers[event] || []).forEach(h => h(...args));
+  }
+
+  async _send(channel, event, payload, message, channelSettings) {
+    try {
+      await senders[channel](message, payload, event, channelSettings);
+      return null;
+    } catch (e) {
+      deps.logger.error('notifier', `${channel} への通知に失敗 (${event}): ${e.message}`, { accountId: payload.accountId });
+      return { channel, error: e.message };
+    }
+  }
+
+  /**
+   * イベントを設定した送り先に届ける（失敗しても投げない）
+   * @param {string} event - EVENTS のキー
+   * @param {object} payload - accountId・filename・title などイベントごとの情報
+   * @returns {Promise<{ event: string, delivered: string[], failed: { channel: string, error: string }[] }>}
+   */
+  async notify(event, payload = {}) {
+    const result = { event, delivered: [], failed: [] };
+    if (!EVENTS[event]) {
+      deps.logger.warn('notifier', `未知のイベント: ${event}`);
+      return result;
+    }
+
+    try {
+      const { channels, routes } = await getSettings();
+      const targets = routes[event].filter((c) => isChannelEnabled(channels, c));
+      const message = formatMessage(event, payload);
+      for (const channel of targets) {
+        const failure = await this._send(channel, event, payload, message, channels[channel] || {});
+        if (failure) result.failed.push(failure);
+        else result.delivered.push(channel);
+      }
+    } catch (e) {
+      deps.logger.error('notifier', `通知の準備に失敗 (${event}): ${e.message}`, { accountId: payload.accountId });
+    }
+
+    this._emit('notified', result);
+    return result;
+  }
+
+  /**
+   * 設定画面の「テスト送信」。ルーティングや有効/無効に関係なく指定チャネルに送る
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async test(channel, channelSettings) {
+    if (!senders[channel]) return { success: false, error: `未知のチャネル: ${channel}` };
+    const { channels } = await getSettings();
+    const message = {
+      title: 'テスト通知',
+      body: '通知の設定を確認するためのテストです',
+      text: 'テスト通知\n通知の設定を確認するためのテストです',
+    };
+    const failure = await this._send(channel, 'test', {}, message, channelSettings || channels[channel] || {});
+    return failure ? { success: false, error: failure.error } : { success: true };
+  }
+}
+
+// Singleton
+const notifier = new Notifier();
+
+module.exports = {
+  notifier,
+  Notifier,
+  EVENTS,
+  CHANNELS,
+  // テスト用
+  _internal: { resolveRoutes, formatMessage, isChannelEnabled },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
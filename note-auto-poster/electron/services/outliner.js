@@ -0,0 +1,230 @@
+/**
+ * Outliner
+ *
+ * アウトラインを先に作る2段階生成（api.outline_first）の、アウトライン作りと本文への展開。
+ *
+ * - 1段目: タイトル案・読者の悩み・無料サンプル・有料パートの項目（❶〜❻の構成）・締めを JSON で作る
+ * - アウトラインは Inbox か Telegram で承認（編集）されるまで本文にしない
+ * - 2段目: 承認したアウトラインを毎回渡し、無料エリア → 有料パートの項目 → 締めの順にセクションごとに書く
+ */
+
+const _logger = require('../utils/logger');
+const { PAID_LINE } = require('./paid-line');
+const { addUsage } = require('./length-enforcer');
+const models = require('../utils/model-registry');
+
+// Mutable deps for testing
+let deps = {
+  logger: _logger,
+};
+
+const OUTLINE_MAX_TOKENS = 4096;
+const SECTION_MAX_TOKENS = 8192;
+
+// SYSTEM_PROMPT のメインコンテンツの ❶〜❻
+const STEPS = [
+  { key: 'situation', label: '❶ 状況' },
+  { key: 'problem', label: '❷ 問題' },
+  { key: 'reaction', label: '❸ 相手・周囲の反応' },
+  { key: 'response', label: '❹ その場での対処' },
+  { key: 'prevention', label: '❺ 以降の対策' },
+  { key: 'weapon', label: '❻ この経験から得た「武器」' },
+];
+
+const OUTLINE_INSTRUCTIONS = `## 今回はアウトラインだけを作ってください
+本文はまだ書かず、承認を受けるための記事のアウトラインを以下のJSON形式で返してください（JSONのみ、余計な説明不要）。
+
+{
+  "title_candidates": ["タイトル案1", "タイトル案2", "タイトル案3"],
+  "pain_points": ["読者の悩み1", "読者の悩み2", "読者の悩み3"],
+  "free_sample": "無料エリアで見せるサンプル（有料パートから1つ選んだ項目の要約）",
+  "paid_items": [
+    {
+      "title": "項目の見出し（具体的な失敗の場面）",
+${STEPS.map((s) => `      "${s.key}": "${s.label.slice(2)}の要点"`).join(',\n')}
+    }
+  ],
+  "closing": "締めのメッセージと次のアクションの要点"
+}
+
+- タイトル案はタイトルの付け方のルールに沿って3つ
+- paid_items は有料パートの項目を3〜6個。各項目は ❶〜❻ の構成の要点を1〜2文ずつ
+- 失敗ネタはその職種・業務形態ならではのものを選ぶ`;
+
+function toLines(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split('\n');
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+function toText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * アウトラインを決まった形に揃える（モデルの応答・画面で編集したもの）
+ * @returns {{ title: string, title_candidates: string[], pain_points: string[], free_sample: string, paid_items: object[], closing: string }}
+ */
+function normalizeOutline(data) {
+  const candidates = toLines(data?.title_candidates);
+  const title = toText(data?.title) || candidates[0] || '';
+  const paidItems = (Array.isArray(data?.paid_items) ? data.paid_items : [])
+    .map((item) => ({
+      title: toText(item?.title),
+      ...Object.fromEntries(STEPS.map((s) => [s.key, toText(item?.[s.key])])),
+    }))
+    .filter((item) => item.title);
+  if (!title) throw new Error('アウトラインにタイトルがありません');
+  if (paidItems.length === 0) throw new Error('アウトラインに有料パートの項目がありません');
+  return {
+    title,
+    title_candidates: candidates.includes(title) ? candidates : [title, ...candidates],
+    pain_points: toLines(data.pain_points),
+    free_sample: toText(data.free_sample),
+    paid_items: paidItems,
+    closing: toText(data.closing),
+  };
+}
+
+function parseOutline(text) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('アウトラインを解析できませんでした');
+  let data;
+  try {
+    data = JSON.parse(match[0]);
+  } catch {
+    throw new Error('アウトラインを解析できませんでした');
+  }
+  return normalizeOutline(data);
+}
+
+/**
+ * アウトラインを Markdown にする（本文を書くときの文脈・Telegram・ログ用）
+ */
+function formatOutline(outline) {
+  const lines = [`# ${outline.title}`];
+  const others = outline.title_candidates.filter((t) => t !== outline.title);
+  if (others.length > 0) lines.push('', `ほかのタイトル案: ${others.join(' / ')}`);
+  if (outline.pain_points.length > 0) {
+    lines.push('', '## 読者の悩み', ...outline.pain_points.map((p) => `- ${p}`));
+  }
+  if (outline.free_sample) lines.push('', '## 無料サンプル', outline.free_sample);
+  lines.push('', '## 有料パート');
+  outline.paid_items.forEach((item, i) => {
+    lines.push('', `### ${i + 1}. ${item.title}`);
+    for (const step of STEPS) {
+      if (item[step.key]) lines.push(`- ${step.label}: ${item[step.key]}`);
+    }
+  });
+  if (outline.closing) lines.push('', '## 締め', outline.closing);
+  return lines.join('\n');
+}
+
+async function request(client, params, signal) {
+  const message = await client.messages.create({ ...params, max_tokens: models.capTokens(params.model, params.max_tokens) }, { signal });
+  return { text: message.content[0].text, usage: message.usage, stopReason: message.stop_reason };
+}
+
+/**
+ * 1段目: アウトラインを作る
+ * @param {object} params - { client, model, system, user, signal? }（system / user は本文の生成と同じプロンプト）
+ * @returns {Promise<{ outline: object, usage: object }>}
+ */
+async function generateOutline({ client, model, system, user, signal }) {
+  const result = await request(client, {
+    model,
+    max_tokens: OUTLINE_MAX_TOKENS,
+    system,
+    messages: [{ role: 'user', content: `${user}\n\n${OUTLINE_INSTRUCTIONS}` }],
+  }, signal);
+  return { outline: parseOutline(result.text), usage: result.usage };
+}
+
+/**
+ * 指示に沿ってアウトラインを直す（Telegram で返信された修正指示）
+ * @returns {Promise<{ outline: object, usage: object }>}
+ */
+async function reviseOutline({ client, model, system, user, outline, instruction, signal }) {
+  const result = await request(client, {
+    model,
+    max_tokens: OUTLINE_MAX_TOKENS,
+    system,
+    messages: [
+      { role: 'user', content: `${user}\n\n${OUTLINE_INSTRUCTIONS}` },
+      { role: 'assistant', content: JSON.stringify(outline, null, 2) },
+      { role: 'user', content: `次の指示に沿ってアウトラインを直し、同じJSON形式で全体を返してください。\n\n${instruction}` },
+    ],
+  }, signal);
+  return { outline: parseOutline(result.text), usage: result.usage };
+}
+
+// 2段目で書くセクション。無料エリア → 有料パートの各項目 → 締め
+function buildSections(outline) {
+  return [
+    {
+      key: 'free',
+      instruction: `無料エリアを書いてください。「# ${outline.title}」の1行から始め、導入・読者の悩みへの共感・この記事で得られるもの・無料サンプルまで。有料ラインは書かないでください。`,
+    },
+    ...outline.paid_items.map((item, i) => ({
+      key: `paid_${i + 1}`,
+      instruction: `有料パートの項目 ${i + 1}「${item.title}」を書いてください。「## ${item.title}」の見出しで始め、❶〜❻ の構成で、フレーズやテンプレートなど現場ですぐ使えるものを含めてください。`,
+    })),
+    {
+      key: 'closing',
+      instruction: '締めを書いてください。見出しから始め、ポジティブなメッセージと次のアクションの誘導で終えてください。',
+    },
+  ];
+}
+
+/**
+ * 2段目: 承認したアウトラインをセクションごとに本文にする
+ * 毎回アウトライン全体とここまでの本文を渡す。有料記事は無料エリアの後に有料ラインを入れる
+ * @param {object} params - { client, model, system, user, outline, isPaid, signal?, onSection? }
+ *   onSection は { index, total, key, text, usage }（text はここまでの本文、usage はここまでの合計）で呼ばれる
+ * @returns {Promise<{ text: string, usage: object, stopReason: string }>}
+ */
+async function expandOutline({ client, model, system, user, outline, isPaid, signal, onSection }) {
+  const sections = buildSections(outline);
+  const context = formatOutline(outline);
+  const parts = [];
+  let usage = null;
+  let stopReason = null;
+  for (const [index, section] of sections.entries()) {
+    const written = parts.join('\n\n');
+    const result = await request(client, {
+      model,
+      max_tokens: SECTION_MAX_TOKENS,
+      system,
+      messages: [{
+        role: 'user',
+        content: [
+          user,
+          `## 承認済みのアウトライン\nこのアウトラインに沿って書いてください。\n\n${context}`,
+          `## ここまでの本文\n${written || '（まだありません）'}`,
+          `## 今回書くところ\n${section.instruction}\nここまでの本文と重複しないように、このセクションの Markdown だけを出力してください。`,
+        ].join('\n\n'),
+      }],
+    }, signal);
+    usage = addUsage(usage, result.usage);
+    stopReason = result.stopReason;
+    parts.push(result.text.trim());
+    if (section.key === 'free' && isPaid) parts.push(PAID_LINE);
+    onSection?.({ index, total: sections.length, key: section.key, text: parts.join('\n\n'), usage });
+  }
+  deps.logger.info('outliner', `Expanded outline into ${sections.length} sections: ${outline.title}`, { model });
+  return { text: parts.join('\n\n'), usage, stopReason };
+}
+
+module.exports = {
+  STEPS,
+  normalizeOutline,
+  parseOutline,
+  formatOutline,
+  generateOutline,
+  reviseOutline,
+  expandOutline,
+  // テスト用
+  _internal: { buildSections, OUTLINE_INSTRUCTIONS },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
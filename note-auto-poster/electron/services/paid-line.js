@@ -0,0 +1,241 @@
+/**
+ * Paid Line Validator
+ *
+ * 生成した記事の有料ライン（<!-- paid-line -->）と無料プレビュー率を検査し、必要なら直す。
+ *
+ * - 「✂️ ここから有料」「── ここから有料 ──」などの書き方も有料ラインとして見つけ、<!-- paid-line --> に揃える
+ * - 無料部分の文字数の割合をトピックの free_preview_ratio（無ければ30%）と比べる
+ * - 有料ラインが無い・割合が外れているときは、設定に一番近い見出し（無ければ段落）の前に置き直す
+ * - 無料記事には有料ラインを残さない
+ * - 結果は frontmatter の paid_line_status / free_ratio に記録する
+ */
+
+const _fs = require('fs');
+const path = require('path');
+const _logger = require('../utils/logger');
+const frontmatter = require('../utils/frontmatter');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  logger: _logger,
+};
+
+const PAID_LINE = '<!-- paid-line -->';
+
+// SYSTEM_PROMPT の「無料エリア（全体の約30%）」と同じ
+const DEFAULT_FREE_PREVIEW_RATIO = 0.3;
+
+// 設定との差がこれ以内なら直さない（0.1 = 10ポイント）
+const RATIO_TOLERANCE = 0.1;
+
+const MARKER_PATTERN = /^<!--\s*paid-line\s*-->$/;
+// 行全体が「ここから有料」の区切りになっているもの（飾りの罫線・はさみ・見出し記号は無視）
+const VARIANT_PATTERN = /^[\s#>*_~=|\-─━―‐✂✂️]*[【［]?ここから(?:先は)?有料(?:エリア|部分|パート)?[】］]?[\s*_~=|\-─━―‐✂✂️]*$/u;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const HEADING_PATTERN = /^#{2,6}\s/;
+const RULE_PATTERN = /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/;
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', '..', 'data');
+  }
+}
+
+function getArticlePath(accountId, filename) {
+  return path.join(getDataDir(), 'accounts', accountId, 'articles', filename);
+}
+
+// シートには 0.3 と 30 のどちらの書き方もある。空欄・0 は既定値
+function normalizeRatio(value) {
+  const ratio = Number(value);
+  if (!ratio || ratio < 0) return DEFAULT_FREE_PREVIEW_RATIO;
+  return ratio > 1 ? ratio / 100 : ratio;
+}
+
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+function markerKind(line) {
+  const trimmed = line.trim();
+  if (MARKER_PATTERN.test(trimmed)) return 'marker';
+  if (VARIANT_PATTERN.test(trimmed)) return 'variant';
+  return null;
+}
+
+/**
+ * 本文を有料ラインとそれ以外の行に分ける（有料ラインを挟んでいた空行は1行にまとめる）
+ * cut は有料ラインが lines のどの位置（この行の前）にあったか
+ */
+function splitMarkers(body) {
+  const lines = [];
+  const markers = [];
+  const fenced = [];
+  let inFence = false;
+  let afterMarker = false;
+  body.split('\n').forEach((line, i) => {
+    if (FENCE_PATTERN.test(line)) inFence = !inFence;
+    const kind = !inFence && markerKind(line);
+    if (kind) {
+      markers.push({ kind, text: line.trim(), line: i + 1, cut: lines.length });
+      afterMarker = true;
+      return;
+    }
+    const blank = line.trim() === '';
+    if (afterMarker && blank && (lines.length === 0 || lines[lines.length - 1].trim() === '')) return;
+    afterMarker = afterMarker && blank;
+    lines.push(line);
+    fenced.push(inFence || FENCE_PATTERN.test(line));
+  });
+  return { lines, markers, fenced };
+}
+
+// 1行目の「# タイトル」は本文の文字数に数えない
+function titleIndex(lines) {
+  const first = lines.findIndex((l) => l.trim() !== '');
+  return first !== -1 && /^#\s/.test(lines[first]) ? first : -1;
+}
+
+function charCount(line) {
+  return line.replace(/\s/g, '').length;
+}
+
+/**
+ * cut の位置で区切ったときの無料部分の割合（本文が無ければ null）
+ */
+function ratioAt(lines, cut) {
+  const title = titleIndex(lines);
+  let free = 0;
+  let total = 0;
+  lines.forEach((line, i) => {
+    if (i === title) return;
+    const n = charCount(line);
+    total += n;
+    if (i < cut) free += n;
+  });
+  return total === 0 ? null : free / total;
+}
+
+/**
+ * 有料ラインを置ける位置。見出し・区切り線の前、無ければ段落の頭
+ */
+function candidateCuts(lines, fenced) {
+  const title = titleIndex(lines);
+  const usable = (i) => i > title && !fenced[i] && ratioAt(lines, i) > 0 && ratioAt(lines, i) < 1;
+  const indexes = [...lines.keys()];
+  const sections = indexes.filter((i) => usable(i) && (HEADING_PATTERN.test(lines[i]) || RULE_PATTERN.test(lines[i])));
+  if (sections.length > 0) return sections;
+  return indexes.filter((i) => usable(i) && lines[i].trim() !== '' && lines[i - 1]?.trim() === '');
+}
+
+// cut の位置に marker を空行で挟んで入れる（前後の空行はまとめる）
+function joinAt(lines, cut, marker) {
+  let start = cut;
+  while (start > 0 && lines[start - 1].trim() === '') start--;
+  let end = cut;
+  while (end < lines.length && lines[end].trim() === '') end++;
+  const parts = [lines.slice(0, start), [marker], lines.slice(end)].filter((p) => p.length > 0);
+  return parts.flatMap((p, i) => (i === 0 ? p : ['', ...p]));
+}
+
+/**
+ * 本文の有料ラインを検査する
+ * @param {string} body - frontmatter を除いた本文
+ * @param {{ isPaid: boolean, freePreviewRatio?: number }} settings - トピックの設定
+ * @param {{ fix?: boolean }} [options] - fix: 見つかった問題を直した本文を返す
+ * @returns {{ report: object, body: string }}
+ *   report: { status: 'ok'|'fixed'|'needs_fix', is_paid, expected_ratio, ratio, original_ratio, markers, issues: [{ type, message }] }
+ */
+function validate(body, { isPaid, freePreviewRatio }, { fix = false } = {}) {
+  const { lines, markers, fenced } = splitMarkers(body || '');
+  const expected = isPaid ? normalizeRatio(freePreviewRatio) : null;
+  const originalRatio = markers.length > 0 ? ratioAt(lines, markers[0].cut) : null;
+  const issues = [];
+  let cut = markers[0]?.cut ?? null;
+
+  if (!isPaid) {
+    if (markers.length > 0) issues.push({ type: 'free_marker', message: '無料記事に有料ラインがあります' });
+  } else {
+    const variant = markers.find((m) => m.kind === 'variant');
+    if (variant) issues.push({ type: 'variant', message: `有料ラインが「${variant.text}」の形で書かれています（${variant.line}行目）` });
+    if (markers.length > 1) issues.push({ type: 'duplicate', message: `有料ラインが ${markers.length} 個あります` });
+    if (markers.length === 0) issues.push({ type: 'missing', message: '有料記事に有料ラインがありません' });
+    else if (originalRatio !== null && Math.abs(originalRatio - expected) > RATIO_TOLERANCE) {
+      issues.push({ type: 'ratio', message: `無料部分が ${formatPercent(originalRatio)} です（設定は ${formatPercent(expected)}）` });
+    }
+
+    if (issues.some((i) => i.type === 'missing' || i.type === 'ratio')) {
+      const candidates = candidateCuts(lines, fenced);
+      if (candidates.length === 0) {
+        issues.push({ type: 'no_boundary', message: '有料ラインを置ける見出しや段落がありません' });
+      } else {
+        const best = candidates.reduce((a, b) => (
+          Math.abs(ratioAt(lines, b) - expected) < Math.abs(ratioAt(lines, a) - expected) ? b : a
+        ));
+        // 今の位置より設定に近いときだけ動かす
+        if (cut === null || Math.abs(ratioAt(lines, best) - expected) < Math.abs(originalRatio - expected)) cut = best;
+      }
+    }
+  }
+
+  const unresolved = issues.some((i) => i.type === 'no_boundary');
+  const fixable = issues.length > 0 && cut !== null;
+  const report = {
+    status: issues.length === 0 ? 'ok' : fix && fixable && !unresolved ? 'fixed' : 'needs_fix',
+    is_paid: isPaid,
+    expected_ratio: expected,
+    ratio: originalRatio,
+    original_ratio: originalRatio,
+    markers: markers.length,
+    issues,
+  };
+  if (!fix || !fixable) return { report, body };
+
+  if (!isPaid) return { report, body: lines.join('\n') };
+  report.ratio = ratioAt(lines, cut);
+  return { report, body: joinAt(lines, cut, PAID_LINE).join('\n') };
+}
+
+/**
+ * 保存済みの記事を検査する。fix なら直した本文と結果を frontmatter に書き戻す
+ * 設定は frontmatter の is_paid / free_preview_ratio（is_paid が無い古い記事は有料ラインの有無で判断）
+ * @returns {object} validate の report に body（保存されている本文）を加えたもの
+ */
+async function checkArticle(accountId, filename, { fix = false } = {}) {
+  if (filename !== path.basename(filename)) throw new Error('不正なファイル名です');
+  const filePath = getArticlePath(accountId, filename);
+  if (!deps.fs.existsSync(filePath)) throw new Error('記事ファイルが見つかりません');
+
+  const { metadata, body } = frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+  const isPaid = typeof metadata.is_paid === 'boolean' ? metadata.is_paid : splitMarkers(body).markers.length > 0;
+  const result = validate(body, { isPaid, freePreviewRatio: metadata.free_preview_ratio }, { fix });
+
+  if (fix) {
+    const next = {
+      ...metadata,
+      paid_line_status: result.report.status,
+      free_ratio: result.report.ratio === null ? undefined : Math.round(result.report.ratio * 100) / 100,
+    };
+    deps.fs.writeFileSync(filePath, frontmatter.stringify(next, result.body), 'utf-8');
+    if (result.report.issues.length > 0) {
+      deps.logger.info('paid-line', `${filename}: ${result.report.status} (${result.report.issues.map((i) => i.type).join(', ')})`, { accountId });
+    }
+  }
+  return { ...result.report, body: result.body };
+}
+
+module.exports = {
+  PAID_LINE,
+  RATIO_TOLERANCE,
+  validate,
+  checkArticle,
+  // テスト用
+  _internal: { splitMarkers, ratioAt, candidateCuts, normalizeRatio },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
@@ -0,0 +1,385 @@
+/**
+ * note.com Poster
+ *
+ * 承認済み記事を Playwright で note.com のエディタに入力し、下書き保存または公開する。
+ *
+ * - ログイン情報はアカウント設定の note.email / note.password を使用
+ * - ログイン状態は data/accounts/{id}/cookies/note-state.json に保存して再利用
+ * - <!-- paid-line --> を有料ラインとして設定し、トピックの price を価格に設定（下書き保存でも同じ）
+ * - サムネイル（selected.png）とピラーのマガジンを設定
+ * - 投稿後、記事の frontmatter を status: posted にして note_url を書き戻し、notifier の posted で通知する
+ *
+ * エディタの URL とセレクタは差し替え可能（ローカルの HTML スタンドインで動作確認するため）。
+ */
+
+const { chromium } = require('playwright');
+const _fs = require('fs');
+const path = require('path');
+const _config = require('../utils/config');
+const _db = require('../utils/db');
+const _logger = require('../utils/logger');
+const frontmatter = require('../utils/frontmatter');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  config: _config,
+  db: _db,
+  logger: _logger,
+  launchBrowser: () => chromium.launch({ headless: true }),
+  getTopics: async (accountId) => {
+    const { SheetManager } = require('../utils/csv-manager');
+    return new SheetManager().readTopics(accountId);
+  },
+  notify: (event, payload) => require('./notifier').notifier.notify(event, payload),
+  refreshSeries: (accountId, seriesId) => require('./series').refreshNavigation(accountId, seriesId),
+};
+
+const DEFAULT_BASE_URL = 'https://note.com';
+const PAID_LINE = '<!-- paid-line -->';
+
+const URLS = {
+  login: '/login',
+  newNote: '/notes/new',
+};
+
+const SELECTORS = {
+  loginEmail: '#email',
+  loginPassword: '#password',
+  loginSubmit: 'button:has-text("ログイン")',
+  title: 'textarea[placeholder="記事タイトル"]',
+  body: '.ProseMirror',
+  thumbnailButton: 'button[aria-label="画像を追加"]',
+  thumbnailInput: 'input[type="file"]',
+  thumbnailApply: 'button:has-text("保存")',
+  draftSave: 'button:has-text("下書き保存")',
+  publishSettings: 'button:has-text("公開に進む")',
+  paidToggle: 'label:has-text("有料")',
+  priceInput: 'input[name="price"]',
+  paidLineButton: 'button:has-text("ラインをこの場所に変更")',
+  magazineOption: (name) => `label:has-text("${name}")`,
+  publish: 'button:has-text("投稿する")',
+  noteUrl: 'a[data-note-url]',
+};
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', '..', 'data');
+  }
+}
+
+function getArticlesDir(accountId) {
+  return path.join(getDataDir(), 'accounts', accountId, 'articles');
+}
+
+function getStorageStatePath(accountId) {
+  return path.join(getDataDir(), 'accounts', accountId, 'cookies', 'note-state.json');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function inlineToHtml(text) {
+  return escapeHtml(text)
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(?<!\*)\*([^*]+?)\*(?!\*)/g, '<em>$1</em>')
+    .replace(/`(.+?)`/g, '<code>$1</code>');
+}
+
+/**
+ * Markdown をエディタへ貼り付ける HTML ブロックの配列に変換する
+ * （note のエディタは見出し h2/h3・段落・リスト・区切り線を扱える）
+ * @returns {string[]} トップレベルのブロックごとの HTML
+ */
+function markdownToBlocks(markdown) {
+  const blocks = [];
+  let list = null;
+
+  const flushList = () => {
+    if (list) {
+      blocks.push(`<${list.tag}>${list.items.map(i => `<li>${i}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+
+  for (const line of (markdown || '').split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) { flushList(); continue; }
+    // 連載のリンクの目印などの HTML コメントは本文に出さない
+    if (/^<!--.*-->$/.test(trimmed)) continue;
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.+)$/);
+    if (heading) {
+      flushList();
+      const tag = heading[1].length <= 2 ? 'h2' : 'h3';
+      blocks.push(`<${tag}>${inlineToHtml(heading[2])}</${tag}>`);
+      continue;
+    }
+    if (/^[-─━*]{3,}$/.test(trimmed)) {
+      flushList();
+      blocks.push('<hr>');
+      continue;
+    }
+    const ul = trimmed.match(/^[-*・]\s+(.+)$/);
+    const ol = trimmed.match(/^\d+[.)．]\s+(.+)$/);
+    if (ul || ol) {
+      const tag = ul ? 'ul' : 'ol';
+      if (!list || list.tag !== tag) {
+        flushList();
+        list = { tag, items: [] };
+      }
+      list.items.push(inlineToHtml((ul || ol)[1]));
+      continue;
+    }
+    flushList();
+    blocks.push(`<p>${inlineToHtml(trimmed)}</p>`);
+  }
+  flushList();
+  return blocks;
+}
+
+/**
+ * 記事ファイルの内容を投稿用に分解する
+ * @param {string} content - frontmatter を含む記事全文
+ * @returns {{ metadata, title, freeBlocks: string[], paidBlocks: string[], hasPaidLine: boolean }}
+ */
+function buildPostContent(content) {
+  const { metadata, body } = frontmatter.parse(content);
+  const title = frontmatter.extractTitle(body);
+  // 1行目（タイトル行）はエディタのタイトル欄に入れるので本文からは除く
+  const rest = body.split('\n').slice(1).join('\n');
+  const index = rest.indexOf(PAID_LINE);
+  const hasPaidLine = index !== -1;
+  const free = hasPaidLine ? rest.slice(0, index) : rest;
+  const paid = hasPaidLine ? rest.slice(index + PAID_LINE.length) : '';
+  return {
+    metadata,
+    title,
+    freeBlocks: markdownToBlocks(free),
+    paidBlocks: markdownToBlocks(paid),
+    hasPaidLine,
+  };
+}
+
+/**
+ * 価格とマガジンを決定する
+ * frontmatter の値を優先し、無ければ topic_id からトピック行を参照する
+ */
+async function resolvePostOptions(accountId, account, metadata, hasPaidLine) {
+  let topic = null;
+  if (metadata.topic_id !== undefined && (metadata.price === undefined || metadata.is_paid === undefined || !metadata.pillar)) {
+    try {
+      const topics = await deps.getTopics(accountId);
+      topic = topics.find(t => String(t.id) === String(metadata.topic_id)) || null;
+    } catch (e) {
+      deps.logger.warn('poster', `トピック情報の取得に失敗: ${e.message}`, { accountId });
+    }
+  }
+
+  const price = Number(metadata.price ?? topic?.price ?? 0) || 0;
+  const isPaid = (metadata.is_paid ?? topic?.is_paid ?? hasPaidLine) && price > 0;
+  const pillarId = metadata.pillar || topic?.pillar || '';
+  const pillar = (account.pillars || []).find(p => p.id === pillarId);
+
+  return {
+    isPaid: !!isPaid,
+    price,
+    magazine: pillar?.magazine || '',
+    publishStatus: account.note?.publish_status === 'public' ? 'public' : 'draft',
+  };
+}
+
+async function getBaseUrl() {
+  const configured = await deps.config.get('note.base_url');
+  return (configured || DEFAULT_BASE_URL).replace(/\/$/, '');
+}
+
+async function ensureLoggedIn(page, baseUrl, account) {
+  await page.goto(`${baseUrl}${URLS.newNote}`, { waitUntil: 'domcontentloaded' });
+  if (!page.url().includes(URLS.login)) return;
+
+  if (!account.note?.email || !account.note?.password) {
+    throw new Error('note.com のログイン情報が設定されていません');
+  }
+  await page.fill(SELECTORS.loginEmail, account.note.email);
+  await page.fill(SELECTORS.loginPassword, account.note.password);
+  await page.click(SELECTORS.loginSubmit);
+  await page.waitForURL((url) => !String(url).includes(URLS.login), { timeout: 30000 })
+    .catch(() => { throw new Error('note.com へのログインに失敗しました'); });
+
+  if (!page.url().includes(URLS.newNote)) {
+    await page.goto(`${baseUrl}${URLS.newNote}`, { waitUntil: 'domcontentloaded' });
+  }
+}
+
+/**
+ * エディタ本文に HTML を貼り付ける（ProseMirror は paste イベントの text/html を取り込む）
+ */
+async function pasteHtml(page, selector, html) {
+  await page.click(selector);
+  await page.evaluate(({ selector, html }) => {
+    const el = document.querySelector(selector);
+    const data = new DataTransfer();
+    data.setData('text/html', html);
+    data.setData('text/plain', html.replace(/<[^>]+>/g, '\n'));
+    el.dispatchEvent(new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+  }, { selector, html });
+}
+
+/**
+ * 1記事を note.com に投稿する
+ * @param {string} accountId
+ * @param {string} filename - 記事ファイル名（.md）
+ * @returns {Promise<{ success: true, noteUrl: string, status: 'draft'|'public' }>}
+ */
+async function postArticle(accountId, filename) {
+  if (filename !== path.basename(filename)) throw new Error('不正なファイル名です');
+  const filePath = path.join(getArticlesDir(accountId), filename);
+  if (!deps.fs.existsSync(filePath)) throw new Error('記事ファイルが見つかりません');
+
+  const account = await deps.config.getAccount(accountId);
+  if (!account) throw new Error(`アカウント "${accountId}" が見つかりません`);
+
+  const content = deps.fs.readFileSync(filePath, 'utf-8');
+  const post = buildPostContent(content);
+  if (!post.title) throw new Error('記事タイトルがありません');
+  const options = await resolvePostOptions(accountId, account, post.metadata, post.hasPaidLine);
+
+  const articleId = filename.replace(/\.md$/, '');
+  const thumbnailGenerator = require('./thumbnail-generator');
+  const thumbnailPath = thumbnailGenerator.getSelectedPath(accountId, articleId);
+
+  const baseUrl = await getBaseUrl();
+  const statePath = getStorageStatePath(accountId);
+  const browser = await deps.launchBrowser();
+  try {
+    const context = await browser.newContext(
+      deps.fs.existsSync(statePath) ? { storageState: statePath } : {}
+    );
+    const page = await context.newPage();
+
+    await ensureLoggedIn(page, baseUrl, account);
+    deps.fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    await context.storageState({ path: statePath });
+
+    // タイトル・本文
+    await page.fill(SELECTORS.title, post.title);
+    await pasteHtml(page, SELECTORS.body, [...post.freeBlocks, ...post.paidBlocks].join(''));
+
+    // サムネイル
+    if (deps.fs.existsSync(thumbnailPath)) {
+      await page.click(SELECTORS.thumbnailButton);
+      await page.setInputFiles(SELECTORS.thumbnailInput, thumbnailPath);
+      await page.click(SELECTORS.thumbnailApply);
+    } else {
+      deps.logger.warn('poster', `サムネイル未選択: ${filename}`, { accountId });
+    }
+
+    // 有料設定とマガジンは公開設定の画面にある。下書きでも設定してから保存する
+    await page.click(SELECTORS.publishSettings);
+
+    if (options.isPaid) {
+      await page.click(SELECTORS.paidToggle);
+      await page.fill(SELECTORS.priceInput, String(options.price));
+      if (post.hasPaidLine && post.freeBlocks.length > 0) {
+        // 「ラインをこの場所に変更」はブロックごとに並ぶ。無料部分の最後のブロックの直後に設定する
+        await page.locator(SELECTORS.paidLineButton).nth(post.freeBlocks.length - 1).click();
+      }
+    }
+
+    if (options.magazine) {
+      await page.click(SELECTORS.magazineOption(options.magazine));
+    }
+
+    let noteUrl;
+    if (options.publishStatus === 'draft') {
+      await page.click(SELECTORS.draftSave);
+      noteUrl = page.url();
+    } else {
+      await page.click(SELECTORS.publish);
+      const link = page.locator(SELECTORS.noteUrl);
+      noteUrl = (await link.count()) > 0 ? await link.first().getAttribute('href') : page.url();
+    }
+
+    // frontmatter に投稿結果を書き戻す
+    const latest = frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+    const metadata = {
+      ...latest.metadata,
+      status: 'posted',
+      note_url: noteUrl,
+      note_status: options.publishStatus,
+      posted_at: new Date().toISOString(),
+    };
+    deps.fs.writeFileSync(filePath, frontmatter.stringify(metadata, latest.body), 'utf-8');
+    try {
+      deps.db.indexArticleFile(accountId, filename);
+    } catch (e) {
+      deps.logger.warn('poster', `記事インデックスの更新に失敗: ${e.message}`, { accountId, filename });
+    }
+
+    if (metadata.series_id) {
+      // 連載のほかの回の「前回 / 次回」にこの回の URL を入れる
+      try {
+        deps.refreshSeries(accountId, metadata.series_id);
+      } catch (e) {
+        deps.logger.warn('poster', `連載のリンク更新に失敗: ${e.message}`, { accountId, filename });
+      }
+    }
+    deps.logger.info('poster', `${post.title} → ${noteUrl} (${options.publishStatus})`, { accountId });
+    await deps.notify('posted', { accountId, filename, title: post.title, url: noteUrl, status: options.publishStatus });
+    return { success: true, noteUrl, status: options.publishStatus };
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * 承認済みでまだ投稿していない記事をすべて投稿する（スケジューラから呼ばれる）
+ */
+async function postApproved(accountId) {
+  const dir = getArticlesDir(accountId);
+  if (!deps.fs.existsSync(dir)) return { posted: 0, errors: 0, results: [] };
+
+  const files = deps.fs.readdirSync(dir).filter(f => f.endsWith('.md')).sort();
+  const targets = files.filter((f) => {
+    const { metadata } = frontmatter.parse(deps.fs.readFileSync(path.join(dir, f), 'utf-8'));
+    return metadata.status === 'reviewed' && !metadata.note_url;
+  });
+
+  const results = [];
+  for (const filename of targets) {
+    try {
+      const result = await postArticle(accountId, filename);
+      results.push({ filename, status: 'success', noteUrl: result.noteUrl });
+    } catch (e) {
+      deps.logger.error('poster', `${filename}: ${e.message}`, { accountId });
+      results.push({ filename, status: 'error', error: e.message });
+    }
+  }
+
+  return {
+    posted: results.filter(r => r.status === 'success').length,
+    errors: results.filter(r => r.status === 'error').length,
+    results,
+  };
+}
+
+module.exports = {
+  postArticle,
+  postApproved,
+  SELECTORS,
+  URLS,
+  // テスト用
+  _internal: { markdownToBlocks, buildPostContent, resolvePostOptions },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
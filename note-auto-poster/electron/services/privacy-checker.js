@@ -0,0 +1,369 @@
+/**
+ * Privacy Checker
+ *
+ * アカウントのプライバシー設定（public / vague / hidden）に従って、記事に個人情報が漏れていないか検査する。
+ *
+ * - 検査対象の実際の値はアカウント設定の privacy_values に保存（例: real_name: "山田/太郎, Taro Yamada"）
+ * - 本名は空白か / で姓と名を区切ると、姓だけ・名だけの表記も検査する（「山田/太郎」→ 山田太郎・山田・太郎）
+ * - hidden の値（表記ゆれを含む）が見つかった記事は承認できない
+ * - vague の値はぼかした言い換え（例: 「月収50万円」→「まとまった収入」）を提案する
+ * - 生成プロンプトに追加するプライバシールールもここで組み立てる（実際の値はプロンプトに含めない）
+ */
+
+const _fs = require('fs');
+const path = require('path');
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const frontmatter = require('../utils/frontmatter');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  config: _config,
+  logger: _logger,
+};
+
+// PrivacySettings.jsx と同じ項目。kind で表記ゆれの作り方を切り替える
+const PRIVACY_FIELDS = [
+  { key: 'real_name', label: '本名', kind: 'name', vague: '筆者' },
+  { key: 'international_marriage', label: '国際結婚', kind: 'text', vague: '家族' },
+  { key: 'residence', label: '居住地', kind: 'text', vague: 'ある地方都市' },
+  { key: 'guide_years', label: 'ガイド歴', kind: 'number', vague: '長年' },
+  { key: 'guest_count', label: '案内人数', kind: 'number', vague: '多くのお客様' },
+  { key: 'review_rating', label: 'レビュー評価', kind: 'number', vague: '高い評価' },
+  {
+    key: 'monthly_revenue',
+    label: '月間収益',
+    kind: 'amount',
+    vague: 'まとまった収入',
+    prefix: '(?:(?:月収|月商|年収|年商|月間収益|月の収益)[ \\t　]*)?',
+  },
+  { key: 'ota_platform_names', label: 'OTAプラットフォーム名', kind: 'text', vague: '海外の予約サイト' },
+  { key: 'ota_platform_count', label: 'OTAプラットフォーム数', kind: 'number', vague: '複数の予約サイト' },
+  { key: 'nihonneta', label: 'NihonNeta', kind: 'text', vague: '自作のサービス' },
+  { key: 'ai_tool_details', label: 'AIツール詳細', kind: 'text', vague: 'AIツール' },
+  { key: 'activity_area', label: '活動エリア', kind: 'text', vague: '観光地' },
+];
+
+// UI では未設定を hidden として表示している
+const DEFAULT_LEVEL = 'hidden';
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', '..', 'data');
+  }
+}
+
+function getArticlePath(accountId, filename) {
+  return path.join(getDataDir(), 'accounts', accountId, 'articles', filename);
+}
+
+function normalize(text) {
+  return String(text || '').normalize('NFKC').trim();
+}
+
+/**
+ * 設定値を検査語のリストに分ける（カンマ・読点・改行区切り）
+ */
+function splitTerms(value) {
+  const values = Array.isArray(value) ? value : String(value ?? '').split(/[,、，\n]/);
+  return values.map(normalize).filter(Boolean);
+}
+
+function formatNumber(n) {
+  return n.toLocaleString('en-US');
+}
+
+/**
+ * 検査語から表記ゆれを作る
+ * - name: 空白・/・「・」で区切った姓・名それぞれと、区切りを除いた表記
+ * - amount: 「50万円」「50万」「500,000円」「500000円」
+ * - number: 桁区切りの有無
+ */
+function buildVariants(term, kind) {
+  const variants = new Set([term]);
+
+  if (kind === 'name') {
+    // 「/」は姓と名の区切りを示すだけなので、本文に出る表記には含めない
+    if (term.includes('/')) variants.delete(term);
+    const parts = term.split(/[\s/・]+/).filter(Boolean);
+    if (parts.length > 1) {
+      variants.add(parts.join(''));
+      parts.filter(p => p.length >= 2).forEach(p => variants.add(p));
+    }
+  }
+
+  if (kind === 'amount') {
+    const m = term.replace(/[,，]/g, '').match(/(\d+(?:\.\d+)?)\s*(万)?\s*円?/);
+    if (m) {
+      const yen = Math.round(Number(m[1]) * (m[2] ? 10000 : 1));
+      if (yen % 10000 === 0) {
+        variants.add(`${yen / 10000}万円`);
+        variants.add(`${yen / 10000}万`);
+      }
+      variants.add(`${formatNumber(yen)}円`);
+      variants.add(`${yen}円`);
+      if (yen >= 10000) {
+        variants.add(formatNumber(yen));
+        variants.add(String(yen));
+      }
+    }
+  }
+
+  if (kind === 'number') {
+    const m = term.match(/^(\d[\d,，]*(?:\.\d+)?)(.*)$/);
+    if (m) {
+      const n = Number(m[1].replace(/[,，]/g, ''));
+      variants.add(`${n}${m[2]}`);
+      variants.add(`${formatNumber(n)}${m[2]}`);
+    }
+  }
+
+  return [...variants].filter(v => v.length >= 2 || /[^\x00-\x7F]/.test(v));
+}
+
+function escapeRegExp(ch) {
+  return ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 表記ゆれ1つを正規表現に変換する
+ * 英数字は全角も許容し、文字間の空白は無視する
+ */
+function variantToPattern(variant) {
+  const chars = [...variant].filter(ch => !/\s/.test(ch)).map((ch) => {
+    if (/[0-9A-Za-z]/.test(ch)) {
+      const full = String.fromCharCode(ch.charCodeAt(0) + 0xFEE0);
+      return `[${ch}${full}]`;
+    }
+    return escapeRegExp(ch);
+  });
+  let pattern = chars.join('\\s*');
+  if (/^[0-9]/.test(variant)) pattern = `(?<![0-9０-９.,，])${pattern}`;
+  if (/[0-9]$/.test(variant)) pattern = `${pattern}(?![0-9０-９])`;
+  return pattern;
+}
+
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+function excerptAt(text, index, length) {
+  const start = Math.max(0, index - 15);
+  const end = Math.min(text.length, index + length + 15);
+  return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\n/g, ' ') + (end < text.length ? '…' : '');
+}
+
+/**
+ * 本文中の個人情報を検出する
+ * @param {string} text - 記事本文
+ * @param {{ privacy?: Object, privacy_values?: Object }} account
+ * @returns {{ status: 'ok'|'warn'|'blocked', blocked: boolean, findings: Array }}
+ */
+function checkText(text, account) {
+  const levels = account?.privacy || {};
+  const values = account?.privacy_values || {};
+  const body = String(text || '');
+  const findings = [];
+
+  for (const field of PRIVACY_FIELDS) {
+    const level = levels[field.key] || DEFAULT_LEVEL;
+    if (level === 'public') continue;
+
+    const variants = splitTerms(values[field.key]).flatMap(t => buildVariants(t, field.kind));
+    if (variants.length === 0) continue;
+
+    // 長い表記を優先してマッチさせる
+    const alternatives = [...new Set(variants)]
+      .sort((a, b) => b.length - a.length)
+      .map(variantToPattern);
+    const regex = new RegExp(`${field.prefix || ''}(?:${alternatives.join('|')})`, 'giu');
+
+    let m;
+    while ((m = regex.exec(body)) !== null) {
+      if (m[0].length === 0) { regex.lastIndex++; continue; }
+      findings.push({
+        field: field.key,
+        label: field.label,
+        level,
+        match: m[0],
+        index: m.index,
+        line: lineAt(body, m.index),
+        excerpt: excerptAt(body, m.index, m[0].length),
+        suggestion: field.vague,
+      });
+    }
+  }
+
+  findings.sort((a, b) => a.index - b.index);
+  // 別項目の検査語が重なった場合は先に見つかったものだけ残す
+  const deduped = [];
+  for (const f of findings) {
+    const prev = deduped[deduped.length - 1];
+    if (prev && f.index < prev.index + prev.match.length) {
+      if (f.level === 'hidden' && prev.level !== 'hidden') deduped[deduped.length - 1] = f;
+      continue;
+    }
+    deduped.push(f);
+  }
+
+  const blocked = deduped.some(f => f.level === 'hidden');
+  return {
+    status: blocked ? 'blocked' : deduped.length > 0 ? 'warn' : 'ok',
+    blocked,
+    findings: deduped,
+  };
+}
+
+/**
+ * 指摘箇所をぼかし表現に置き換える
+ * @param {string} text
+ * @param {Array} findings - checkText の findings
+ * @param {string[]} [levels] - 置き換える対象のレベル（既定は vague のみ）
+ */
+function applySuggestions(text, findings, levels = ['vague']) {
+  let result = String(text || '');
+  const targets = findings
+    .filter(f => levels.includes(f.level))
+    .sort((a, b) => b.index - a.index);
+  for (const f of targets) {
+    if (result.slice(f.index, f.index + f.match.length) !== f.match) continue;
+    result = result.slice(0, f.index) + f.suggestion + result.slice(f.index + f.match.length);
+  }
+  return result;
+}
+
+/**
+ * 生成プロンプトに追加するプライバシールール（実際の値は含めない）
+ * @returns {string} すべて public ならルールは無く空文字
+ */
+function buildPrivacyRules(account) {
+  // 未設定の項目は checkText と同じく DEFAULT_LEVEL で扱う
+  const levels = account?.privacy || {};
+  const levelOf = f => levels[f.key] || DEFAULT_LEVEL;
+
+  const hidden = PRIVACY_FIELDS.filter(f => levelOf(f) === 'hidden');
+  const vague = PRIVACY_FIELDS.filter(f => levelOf(f) === 'vague');
+  if (hidden.length === 0 && vague.length === 0) return '';
+
+  const lines = ['## プライバシーに関するルール'];
+  if (hidden.length > 0) {
+    lines.push(`次の情報は記事に一切書かないこと（推測できる表現も不可）：${hidden.map(f => f.label).join('、')}`);
+  }
+  if (vague.length > 0) {
+    lines.push('次の情報は具体的な数値・固有名詞を出さず、ぼかして書くこと：');
+    vague.forEach(f => lines.push(`- ${f.label}（例：「${f.vague}」）`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 記事ファイルを検査し、結果を frontmatter の privacy_status に記録する
+ * @returns {Promise<{ status, blocked, findings }>}
+ */
+async function checkArticle(accountId, filename) {
+  if (filename !== path.basename(filename)) throw new Error('不正なファイル名です');
+  const filePath = getArticlePath(accountId, filename);
+  if (!deps.fs.existsSync(filePath)) throw new Error('記事ファイルが見つかりません');
+
+  const account = await deps.config.getAccount(accountId);
+  if (!account) throw new Error(`アカウント "${accountId}" が見つかりません`);
+
+  const { metadata, body } = frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+  const result = checkText(body, account);
+
+  if (metadata.privacy_status !== result.status) {
+    deps.fs.writeFileSync(
+      filePath,
+      frontmatter.stringify({ ...metadata, privacy_status: result.status }, body),
+      'utf-8'
+    );
+  }
+  if (result.findings.length > 0) {
+    deps.logger.info('privacy', `${filename}: ${result.status} (${result.findings.length}件)`, { accountId });
+  }
+  return result;
+}
+
+/**
+ * 承認前の検査。hidden の情報が含まれていれば code: 'PRIVACY_BLOCKED' のエラーを投げる（error.privacy に検査結果）
+ * 画面の保存のように、まだファイルに書いていない本文を承認するときは body を渡す（privacy_status は書かない）
+ * @returns {Promise<{ status, blocked, findings }>}
+ */
+async function assertApprovable(accountId, filename, { body } = {}) {
+  const result = body === undefined
+    ? await checkArticle(accountId, filename)
+    : checkText(body, await deps.config.getAccount(accountId));
+  if (result.blocked) {
+    const labels = [...new Set(result.findings.filter(f => f.level === 'hidden').map(f => f.label))];
+    const error = new Error(`非公開情報が含まれているため承認できません: ${labels.join('、')}`);
+    error.code = 'PRIVACY_BLOCKED';
+    error.privacy = result;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * 記事の vague 指摘箇所をぼかし表現に置き換えて保存する
+ */
+async function applySuggestionsToArticle(accountId, filename) {
+  const result = await checkArticle(accountId, filename);
+  const filePath = getArticlePath(accountId, filename);
+  const { metadata, body } = frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+  const updated = applySuggestions(body, result.findings);
+  const after = checkText(updated, await deps.config.getAccount(accountId));
+  deps.fs.writeFileSync(
+    filePath,
+    frontmatter.stringify({ ...metadata, privacy_status: after.status }, updated),
+    'utf-8'
+  );
+  return after;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Telegram のレビュートピック用メッセージ（HTML）
+ * @returns {string|null} 指摘が無ければ null
+ */
+function formatForTelegram(result) {
+  if (!result || result.findings.length === 0) return null;
+  const lines = ['🔒 <b>プライバシーチェック</b>'];
+  for (const f of result.findings) {
+    const place = `${f.line}行目`;
+    if (f.level === 'hidden') {
+      lines.push(`⛔ 非公開: ${escapeHtml(f.label)}「${escapeHtml(f.match)}」(${place})`);
+    } else {
+      lines.push(`⚠️ ぼかし推奨: ${escapeHtml(f.label)}「${escapeHtml(f.match)}」→「${escapeHtml(f.suggestion)}」(${place})`);
+    }
+  }
+  if (result.blocked) {
+    lines.push('', '非公開情報を削除するまで承認できません。');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  PRIVACY_FIELDS,
+  checkText,
+  checkArticle,
+  assertApprovable,
+  applySuggestions,
+  applySuggestionsToArticle,
+  buildPrivacyRules,
+  formatForTelegram,
+  // テスト用
+  _internal: { splitTerms, buildVariants, variantToPattern, PRIVACY_FIELDS },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
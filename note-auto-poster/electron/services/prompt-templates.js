@@ -0,0 +1,154 @@
+/**
+ * Prompt Templates
+ *
+ * コンテンツ柱（pillar）ごとのプロンプトファイルを読み込み、トピックの値を埋めてベースのプロンプトに足す。
+ *
+ * - ファイル名は柱の prompt_file（空欄なら「柱ID.md」）
+ * - data/prompts/ にあるファイルを優先し、無ければ同梱の electron/prompts/ を使う（保存は data/prompts/ に）
+ * - {{theme}} {{keywords}} {{price}} {{free_preview_ratio}} {{persona}} などをトピックの行（無ければ柱・アカウント）の値で置き換える
+ * - prompt_file を指定したのにファイルが無いときはエラー（柱の方針なしで書かせない）
+ */
+
+const _fs = require('fs');
+const path = require('path');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  getDataDir: () => {
+    try {
+      const { app } = require('electron');
+      return path.join(app.getPath('userData'), 'data');
+    } catch {
+      return path.join(__dirname, '..', '..', 'data');
+    }
+  },
+  bundledDir: path.join(__dirname, '..', 'prompts'),
+};
+
+// 無料プレビュー率の既定値（SYSTEM_PROMPT の「無料エリア約30%」と同じ）
+const DEFAULT_FREE_PREVIEW_RATIO = 0.3;
+
+const VARIABLES = [
+  { key: 'theme', label: 'テーマ' },
+  { key: 'keywords', label: 'キーワード' },
+  { key: 'pillar', label: '柱の名前' },
+  { key: 'is_paid', label: '有料/無料' },
+  { key: 'price', label: '価格（円）' },
+  { key: 'free_preview_ratio', label: '無料プレビュー率（例: 30%）' },
+  { key: 'persona', label: '想定読者（トピック → 柱 → アカウントの順）' },
+  { key: 'additional_instructions', label: '追加指示' },
+];
+
+function userDir() {
+  return path.join(deps.getDataDir(), 'prompts');
+}
+
+function promptFileFor(pillar) {
+  return (pillar?.prompt_file || '').trim() || `${pillar.id}.md`;
+}
+
+// prompts フォルダの外を指すファイル名は受け付けない
+function assertFilename(file) {
+  if (!file || file !== path.basename(file)) throw new Error(`不正なプロンプトファイル名です: ${file}`);
+}
+
+/**
+ * 柱のテンプレートを読む
+ * @returns {{ file: string, text: string, source: 'user'|'bundled'|'none' }}
+ */
+function loadTemplate(pillar) {
+  const file = promptFileFor(pillar);
+  assertFilename(file);
+  for (const [source, dir] of [['user', userDir()], ['bundled', deps.bundledDir]]) {
+    const filePath = path.join(dir, file);
+    if (deps.fs.existsSync(filePath)) return { file, text: deps.fs.readFileSync(filePath, 'utf-8'), source };
+  }
+  if (pillar.prompt_file) throw new Error(`プロンプトファイルが見つかりません: ${file}`);
+  return { file, text: '', source: 'none' };
+}
+
+/**
+ * テンプレートを data/prompts/ に保存する（同梱のファイルは書き換えない）
+ * @returns {{ file: string, path: string }}
+ */
+function saveTemplate(pillar, text) {
+  const file = promptFileFor(pillar);
+  assertFilename(file);
+  const dir = userDir();
+  if (!deps.fs.existsSync(dir)) deps.fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, file);
+  deps.fs.writeFileSync(filePath, text, 'utf-8');
+  return { file, path: filePath };
+}
+
+function formatRatio(value) {
+  const ratio = Number(value) || DEFAULT_FREE_PREVIEW_RATIO;
+  // シートには 0.3 と 30 のどちらの書き方もある
+  return `${Math.round(ratio > 1 ? ratio : ratio * 100)}%`;
+}
+
+/**
+ * トピックの行・柱・アカウントからテンプレート変数を作る
+ */
+function buildVariables(topic, pillar, account) {
+  return {
+    theme: topic.theme || '',
+    keywords: topic.keywords || '',
+    pillar: pillar?.name || topic.pillar || '',
+    is_paid: topic.is_paid === false ? '無料' : '有料',
+    price: topic.price ? String(topic.price) : '',
+    free_preview_ratio: formatRatio(topic.free_preview_ratio),
+    persona: topic.persona || pillar?.persona || account?.persona || '',
+    additional_instructions: topic.additional_instructions || '',
+  };
+}
+
+/**
+ * {{name}} を置き換える。知らない変数はそのまま残して unknown で返す
+ * @returns {{ text: string, unknown: string[] }}
+ */
+function renderTemplate(template, variables) {
+  const unknown = new Set();
+  const text = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+    unknown.add(name);
+    return match;
+  });
+  return { text, unknown: [...unknown] };
+}
+
+/**
+ * 生成プロンプトに足す柱の方針（柱もテンプレートも無ければ空文字）
+ * @param {object} account - アカウント設定（pillars / persona）
+ * @param {object} topic - シートの行
+ * @param {{ template?: string }} [options] - 保存前のテンプレートで試すとき（設定画面のプレビュー）
+ * @returns {{ text: string, file: string|null, source: string, unknown: string[] }}
+ */
+function buildPillarPrompt(account, topic, { template } = {}) {
+  const pillar = (account?.pillars || []).find((p) => p.id === topic.pillar);
+  if (!pillar) return { text: '', file: null, source: 'none', unknown: [] };
+  const loaded = template === undefined ? loadTemplate(pillar) : { file: promptFileFor(pillar), text: template, source: 'editor' };
+  if (!loaded.text.trim()) return { text: '', file: loaded.file, source: loaded.source, unknown: [] };
+  const rendered = renderTemplate(loaded.text.trim(), buildVariables(topic, pillar, account));
+  return {
+    text: `## コンテンツ柱「${pillar.name || pillar.id}」の執筆方針\n${rendered.text}`,
+    file: loaded.file,
+    source: loaded.source,
+    unknown: rendered.unknown,
+  };
+}
+
+module.exports = {
+  VARIABLES,
+  loadTemplate,
+  saveTemplate,
+  buildVariables,
+  renderTemplate,
+  buildPillarPrompt,
+  // テスト用
+  _internal: { promptFileFor, formatRatio },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
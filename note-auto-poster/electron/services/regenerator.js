@@ -0,0 +1,319 @@
+/**
+ * Regenerator
+ *
+ * 却下された記事を、前回の原稿と却下理由を添えて regeneration_model で書き直す。
+ * 却下していない記事も、前回の原稿と修正指示を添えて同じファイルのまま書き直せる（UI の再生成・runSingle の修正指示）。
+ *
+ * - 却下の経路は UI・Telegram（/reject <理由>）・スコアラーの自動却下の3つ
+ * - 却下理由は frontmatter（reject_reason / rejected_by）に記録する
+ * - regeneration.max_attempts 回まで自動で再生成し、各回の原稿は DB の版履歴に残す
+ * - 上限に達した記事は escalated: true にして人に通知する（'escalated' イベント・notifier の review_needed）
+ * - 再生成した記事は生成直後と同じ後処理（プライバシー・ファクトチェック・採点）を通す
+ */
+
+const _fs = require('fs');
+const path = require('path');
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const _db = require('../utils/db');
+const frontmatter = require('../utils/frontmatter');
+const models = require('../utils/model-registry');
+const llm = require('../utils/llm-provider');
+const { getLengthRange } = require('./length-enforcer');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  config: _config,
+  logger: _logger,
+  db: _db,
+  getClient: () => llm.getClient({ config: deps.config }),
+  callClaude: (...args) => require('./generator').callClaude(...args),
+  postProcess: (...args) => require('./generator').postProcess(...args),
+  getPrivacyRules: async (accountId) => {
+    const { buildPrivacyRules } = require('./privacy-checker');
+    return buildPrivacyRules(await _config.getAccount(accountId));
+  },
+  getPillarPrompt: async (accountId, topic) => {
+    const { buildPillarPrompt } = require('./prompt-templates');
+    return buildPillarPrompt(await _config.getAccount(accountId), topic).text;
+  },
+  seriesPrompt: (accountId, topic) => require('./series').buildSeriesPrompt(accountId, topic),
+  getSystemPrompt: () => require('./system-prompt').getActive(),
+  refreshSeries: (accountId, seriesId) => require('./series').refreshNavigation(accountId, seriesId),
+  readTopics: (accountId) => {
+    const { SheetManager } = require('../utils/csv-manager');
+    return new SheetManager().readTopics(accountId);
+  },
+  getTelegram: () => require('./telegram').telegramService,
+  notify: (event, payload) => require('./notifier').notifier.notify(event, payload),
+  recordUsage: (entry) => require('./usage-tracker').recordUsage(entry),
+  assertWithinBudget: () => require('./usage-tracker').assertWithinBudget(),
+};
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// 下書きごとに付く判定結果。再生成した原稿には引き継がない
+const DRAFT_FIELDS = [
+  'score', 'scores', 'score_reasons', 'score_summary', 'scoring_model', 'scored_at',
+  'auto_decision', 'auto_decision_reason', 'privacy_status', 'fact_check_status', 'escalated',
+];
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', '..', 'data');
+  }
+}
+
+function getArticlePath(accountId, filename) {
+  return path.join(getDataDir(), 'accounts', accountId, 'articles', filename);
+}
+
+function toArticleId(filename) {
+  return filename.replace(/\.md$/, '');
+}
+
+// frontmatter の値は1行で書くので、複数行の却下理由は1行にまとめる
+function toSingleLine(text) {
+  return String(text || '').replace(/\s*\n\s*/g, ' ').trim();
+}
+
+/**
+ * 再生成用の指示（前回の原稿 + 却下理由）を組み立てる
+ * 却下された記事でなければ、reason は修正指示として渡す
+ */
+function buildInstructions(previousBody, reason, { rejected = true } = {}) {
+  if (!rejected) {
+    return `前回の原稿に次の修正を反映してください。指示されていない部分はできるだけそのまま残し、記事全文を書き直してください。
+
+### 修正指示
+${reason || '（指示なし。全体の質を上げてください）'}
+
+### 前回の原稿
+${previousBody}`;
+  }
+  return `前回の原稿は次の理由で却下されました。良い部分は活かしつつ、却下理由を解消した記事全文を書き直してください。
+
+### 却下理由
+${reason || '（理由の記載なし。全体の質を上げてください）'}
+
+### 前回の原稿
+${previousBody}`;
+}
+
+async function getSettings() {
+  const enabled = await deps.config.get('regeneration.enabled');
+  const maxAttempts = Number(await deps.config.get('regeneration.max_attempts'));
+  const { id: model } = await models.modelForTask('regeneration', { config: deps.config, logger: deps.logger });
+  return {
+    enabled: enabled !== false,
+    maxAttempts: Number.isInteger(maxAttempts) && maxAttempts >= 0 ? maxAttempts : DEFAULT_MAX_ATTEMPTS,
+    model,
+  };
+}
+
+class Regenerator {
+  constructor() {
+    this.active = new Set(); // 再生成中の `${accountId}/${filename}`
+    this._eventHandlers = {};
+  }
+
+  on(event, handler) {
+    if (!this._eventHandlers[event]) this._eventHandlers[event] = [];
+    this._eventHandlers[event].push(handler);
+  }
+
+  _emit(event, ...args) {
+    (this._eventHandlers[event] || []).forEach(h => h(...args));
+  }
+
+  _read(accountId, filename) {
+    if (filename !== path.basename(filename)) throw new Error('不正なファイル名です');
+    const filePath = getArticlePath(accountId, filename);
+    if (!deps.fs.existsSync(filePath)) throw new Error('記事ファイルが見つかりません');
+    return { filePath, ...frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8')) };
+  }
+
+  _addVersion(accountId, filename, version) {
+    try {
+      deps.db.addVersion(accountId, toArticleId(filename), version);
+    } catch (e) {
+      deps.logger.error('regenerator', `版の記録に失敗: ${e.message}`, { accountId, filename });
+    }
+  }
+
+  /**
+   * 却下を記録し、上限回数までは再生成、超えたら人にエスカレーションする
+   * @param {string} accountId
+   * @param {string} filename - 記事ファイル名（.md）
+   * @param {{ reason?: string, source?: 'ui'|'telegram'|'scorer' }} options
+   * @returns {Promise<{ action: 'recorded'|'regenerated'|'escalated'|'skipped', attempt?: number, status?: string }>}
+   */
+  async handleRejection(accountId, filename, { reason: rawReason = '', source = 'ui' } = {}) {
+    const reason = toSingleLine(rawReason);
+    const { filePath, metadata, body } = this._read(accountId, filename);
+    const settings = await getSettings();
+    const attempts = Number(metadata.regenerate_count) || 0;
+
+    const recorded = {
+      ...metadata,
+      status: 'rejected',
+      reject_reason: reason || undefined,
+      rejected_by: source,
+      rejected_at: new Date().toISOString(),
+    };
+    deps.fs.writeFileSync(filePath, frontmatter.stringify(recorded, body), 'utf-8');
+    this._addVersion(accountId, filename, { source: 'rejected', body, metadata: recorded, note: reason || null });
+    deps.logger.info('regenerator', `${filename}: 却下 (${source})${reason ? ` ${reason}` : ''}`, { accountId });
+
+    if (!settings.enabled) return { action: 'recorded' };
+
+    if (attempts >= settings.maxAttempts) {
+      await this._escalate(accountId, filename, { filePath, metadata: recorded, body, reason, attempts });
+      return { action: 'escalated', attempt: attempts };
+    }
+
+    return this.regenerate(accountId, filename, { reason, source });
+  }
+
+  /**
+   * 前回の原稿と却下理由（却下していない記事なら修正指示）を添えて記事を書き直す（回数の上限は見ない）
+   * @returns {Promise<{ action: 'regenerated'|'skipped', attempt?: number, status?: string }>}
+   */
+  async regenerate(accountId, filename, { reason = '', source = 'ui' } = {}) {
+    const key = `${accountId}/${filename}`;
+    if (this.active.has(key)) {
+      deps.logger.warn('regenerator', `${filename}: 再生成中のためスキップ`, { accountId });
+      return { action: 'skipped' };
+    }
+
+    this.active.add(key);
+    let attempt;
+    try {
+      const { filePath, metadata, body } = this._read(accountId, filename);
+      const client = await deps.getClient();
+      await deps.assertWithinBudget();
+      const { model } = await getSettings();
+      const writingGuidelines = (await deps.config.get('article.writing_guidelines')) || '';
+      const lengthRange = await getLengthRange(deps.config);
+      const privacyRules = await deps.getPrivacyRules(accountId);
+
+      let topic = null;
+      if (metadata.topic_id !== undefined) {
+        try {
+          const topics = await deps.readTopics(accountId);
+          topic = topics.find((t) => String(t.id) === String(metadata.topic_id)) || null;
+        } catch (e) {
+          deps.logger.warn('regenerator', `トピックの取得に失敗: ${e.message}`, { accountId });
+        }
+      }
+      const theme = topic?.theme || frontmatter.extractTitle(body) || toArticleId(filename);
+
+      attempt = (Number(metadata.regenerate_count) || 0) + 1;
+      this._emit('started', { accountId, filename, attempt });
+      const pillarPrompt = topic
+        ? [await deps.getPillarPrompt(accountId, topic), deps.seriesPrompt(accountId, topic)].filter(Boolean).join('\n\n')
+        : '';
+      const systemPrompt = deps.getSystemPrompt();
+      const { text, usage, promptVersion, length } = await deps.callClaude(
+        client, model, theme, topic?.additional_instructions,
+        writingGuidelines, buildInstructions(body, reason, { rejected: metadata.status === 'rejected' }), privacyRules,
+        { pillarPrompt, lengthRange, basePrompt: systemPrompt.text }
+      );
+      // 破棄する原稿でもトークンは使っている
+      await deps.recordUsage({ accountId, articleId: filename, purpose: 'regeneration', model, usage });
+
+      // 生成中に編集・承認された場合はその内容を優先して上書きしない
+      const latest = this._read(accountId, filename);
+      if (latest.body !== body || latest.metadata.status !== metadata.status) {
+        deps.logger.warn('regenerator', `${filename}: 再生成中に記事が更新されたため破棄`, { accountId });
+        return { action: 'skipped' };
+      }
+
+      const next = { ...metadata };
+      for (const field of DRAFT_FIELDS) delete next[field];
+      Object.assign(next, {
+        status: 'generated',
+        regenerate_count: attempt,
+        regeneration_model: model,
+        regenerated_at: new Date().toISOString(),
+        // トークン数とプロンプトの版は今の原稿のもの
+        token_usage: { input: usage.input_tokens, output: usage.output_tokens },
+        prompt_version: promptVersion,
+        system_prompt_version: systemPrompt.version ?? undefined,
+        length: length?.length,
+        length_status: length?.status,
+        length_passes: length?.passes.length > 0 ? length.passes : undefined,
+      });
+      const regenerated = frontmatter.parse(text);
+      deps.fs.writeFileSync(filePath, frontmatter.stringify(next, regenerated.body), 'utf-8');
+      this._addVersion(accountId, filename, {
+        source: 'regenerated', body: regenerated.body, metadata: next, note: `再生成 ${attempt} 回目 (${source})${reason ? `: ${reason}` : ''}`,
+      });
+      if (next.series_id) {
+        // 書き直した原稿には連載の「前回 / 次回」が無いので入れ直す
+        try {
+          deps.refreshSeries(accountId, next.series_id);
+        } catch (e) {
+          deps.logger.error('regenerator', `連載のリンク更新に失敗: ${e.message}`, { accountId, filename });
+        }
+      }
+      deps.logger.info('regenerator', `${filename}: 再生成 ${attempt} 回目`, { accountId, model });
+    } finally {
+      this.active.delete(key);
+    }
+
+    // 採点で再び自動却下された場合は handleRejection が次の回を始める
+    const { scored } = await deps.postProcess(accountId, filename);
+    const status = scored?.status || 'generated';
+    try {
+      deps.db.indexArticleFile(accountId, filename);
+    } catch (e) {
+      deps.logger.error('regenerator', `インデックス更新に失敗: ${e.message}`, { accountId, filename });
+    }
+    this._emit('regenerated', { accountId, filename, attempt, status });
+
+    if (status !== 'rejected') {
+      const { body } = this._read(accountId, filename);
+      const title = frontmatter.extractTitle(body);
+      try {
+        if (await deps.config.get('telegram.enabled')) {
+          await deps.getTelegram().sendArticleForReview(accountId, { title, body, filename });
+        }
+      } catch (e) {
+        deps.logger.error('regenerator', `Telegram 送信に失敗: ${e.message}`, { accountId, filename });
+      }
+      if (status === 'generated') {
+        await deps.notify('review_needed', { accountId, filename, title, score: scored?.score });
+      }
+    }
+
+    return { action: 'regenerated', attempt, status };
+  }
+
+  async _escalate(accountId, filename, { filePath, metadata, body, reason, attempts }) {
+    const escalated = { ...metadata, escalated: true };
+    deps.fs.writeFileSync(filePath, frontmatter.stringify(escalated, body), 'utf-8');
+
+    const title = frontmatter.extractTitle(body) || filename;
+    deps.logger.warn('regenerator', `${filename}: 再生成 ${attempts} 回でも承認されずエスカレーション`, { accountId });
+    this._emit('escalated', { accountId, filename, title, reason, attempts });
+    await deps.notify('review_needed', { accountId, filename, title, reason, attempts, escalated: true });
+  }
+}
+
+// Singleton
+const regenerator = new Regenerator();
+
+module.exports = {
+  regenerator,
+  Regenerator,
+  // テスト用
+  _internal: { buildInstructions, getSettings, DRAFT_FIELDS },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
@@ -29,7 +29,12 @@ class ReviewSession {
     this.instructions = [];
     this.history = []; // 過去のリライト履歴
     this.createdAt = new Date();
-    this.model = null; // null = デフォルト（Sonnet）
+    this.model = null; // null = デフォルト（api.batch_rewrite_model）
+    this.onChange = null; // 状態が変わるたびに呼ばれる（永続化用）
+  }
+
+  _changed() {
+    if (this.onChange) this.onChange(this);
   }
 
   /**
@@ -44,6 +49,7 @@ class ReviewSession {
 
     const parsed = parseInstruction(raw, this.structureMap);
     this.instructions.push(parsed);
+    this._changed();
     return parsed;
   }
 
@@ -53,7 +59,9 @@ class ReviewSession {
    */
   undoLast() {
     if (this.instructions.length === 0) return null;
-    return this.instructions.pop();
+    const removed = this.instructions.pop();
+    this._changed();
+    return removed;
   }
 
   /**
@@ -61,6 +69,7 @@ class ReviewSession {
    */
   clearInstructions() {
     this.instructions = [];
+    this._changed();
   }
 
   /**
@@ -73,6 +82,7 @@ class ReviewSession {
     }
     this.state = 'executing';
     this.model = model || null;
+    this._changed();
   }
 
   /**
@@ -88,6 +98,23 @@ class ReviewSession {
     });
     this.instructions = [];
     this.state = 'done';
+    this._changed();
+  }
+
+  /**
+   * 実行失敗（指示を残したまま collecting に戻す）
+   */
+  failExecution() {
+    this.state = 'collecting';
+    this._changed();
+  }
+
+  /**
+   * 構造マップを差し替える（記事の更新後など）
+   */
+  updateStructureMap(structureMap) {
+    this.structureMap = structureMap;
+    this._changed();
   }
 
   /**
@@ -98,6 +125,38 @@ class ReviewSession {
       throw new Error('実行中はretryできません。完了をお待ちください。');
     }
     this.state = 'collecting';
+    this._changed();
+  }
+
+  /**
+   * 保存用のプレーンなオブジェクトに変換
+   */
+  toRecord() {
+    return {
+      topicId: this.topicId,
+      accountId: this.accountId,
+      filename: this.filename,
+      state: this.state,
+      structureMap: this.structureMap,
+      instructions: this.instructions,
+      history: this.history,
+      model: this.model,
+      createdAt: this.createdAt.toISOString(),
+    };
+  }
+
+  /**
+   * toRecord() の結果からセッションを復元する。
+   * 実行中に終了したセッションは指示を残したまま collecting に戻す
+   */
+  static fromRecord(record) {
+    const session = new ReviewSession(record.accountId, record.filename, record.topicId, record.structureMap);
+    session.state = record.state === 'executing' ? 'collecting' : record.state;
+    session.instructions = record.instructions || [];
+    session.history = record.history || [];
+    session.model = record.model || null;
+    if (record.createdAt) session.createdAt = new Date(record.createdAt);
+    return session;
   }
 
   /**
@@ -183,6 +242,36 @@ function parseInstruction(raw, structureMap) {
 class ReviewSessionManager {
   constructor() {
     this.sessions = new Map(); // topicId → ReviewSession
+    this.store = null;
+  }
+
+  /**
+   * 永続化先を設定し、保存済みのセッションを復元する
+   * @param {object} store - { saveReviewSession, loadReviewSessions, removeReviewSession }（utils/db）
+   * @returns {number} 復元したセッション数
+   */
+  attachStore(store) {
+    this.store = store;
+    const records = store.loadReviewSessions();
+    for (const record of records) {
+      this._track(ReviewSession.fromRecord(record));
+    }
+    logger.info('review-session:restore', `${records.length} sessions`);
+    return records.length;
+  }
+
+  _persist(session) {
+    if (!this.store) return;
+    try {
+      this.store.saveReviewSession(session.toRecord());
+    } catch (e) {
+      logger.error('review-session:persist', `topic ${session.topicId}: ${e.message}`);
+    }
+  }
+
+  _track(session) {
+    session.onChange = (s) => this._persist(s);
+    this.sessions.set(session.topicId, session);
   }
 
   /**
@@ -190,7 +279,8 @@ class ReviewSessionManager {
    */
   create(accountId, filename, topicId, structureMap) {
     const session = new ReviewSession(accountId, filename, topicId, structureMap);
-    this.sessions.set(topicId, session);
+    this._track(session);
+    this._persist(session);
     logger.info('review-session:create', `topic ${topicId}, file: ${filename}`);
     return session;
   }
@@ -207,6 +297,12 @@ class ReviewSessionManager {
    */
   remove(topicId) {
     this.sessions.delete(topicId);
+    if (!this.store) return;
+    try {
+      this.store.removeReviewSession(topicId);
+    } catch (e) {
+      logger.error('review-session:persist', `topic ${topicId}: ${e.message}`);
+    }
   }
 
   /**
@@ -0,0 +1,239 @@
+/**
+ * Article Scorer
+ *
+ * 生成された記事を SYSTEM_PROMPT の「絶対に守るべきルール」に沿って AI で採点する。
+ *
+ * - 6項目（人物像の一貫性・具体性・実用性・トーン・対処法のレベル・失敗ネタの独自性）を 1〜10 で評価
+ * - 総合スコア（平均）と項目別スコア・理由を frontmatter に書き込む
+ * - scoring.auto_approve_threshold 以上は承認（reviewed）、auto_reject_threshold 以下は却下（rejected）
+ * - 自動判定は未レビュー（generated）の記事のみ。手動で承認・却下した記事のステータスは変えない
+ * - プライバシーチェックで非公開情報が見つかった記事（privacy_status: blocked）は自動承認しない
+ * - 自動却下した記事は減点理由を添えて再生成に回す（regenerator）、自動承認は notifier の approved で通知する
+ */
+
+const _fs = require('fs');
+const path = require('path');
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const frontmatter = require('../utils/frontmatter');
+const models = require('../utils/model-registry');
+const llm = require('../utils/llm-provider');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  config: _config,
+  logger: _logger,
+  getClient: () => llm.getClient({ config: deps.config }),
+  onAutoReject: (accountId, filename, reason) =>
+    require('./regenerator').regenerator.handleRejection(accountId, filename, { reason, source: 'scorer' }),
+  notify: (event, payload) => require('./notifier').notifier.notify(event, payload),
+  recordUsage: (entry) => require('./usage-tracker').recordUsage(entry),
+};
+
+const DEFAULT_APPROVE_THRESHOLD = 8;
+const DEFAULT_REJECT_THRESHOLD = 4;
+
+// SYSTEM_PROMPT の「絶対に守るべきルール」1〜6 に対応
+const CRITERIA = [
+  { key: 'persona', label: '人物像の一貫性', description: 'トピックの人物の業務形態・専門分野とズレた描写がないか' },
+  { key: 'specificity', label: '具体性', description: '検索1ページ目の一般論ではなく、現場でしか分からないリアルを書いているか' },
+  { key: 'practicality', label: '実用性', description: 'コピペで使えるテンプレート・リスト・フレーズ集を含むか' },
+  { key: 'tone', label: 'トーン', description: 'ポジティブで読者を励ます方向性か。暗すぎる表現がないか' },
+  { key: 'countermeasures', label: '対処法のレベル', description: '常識レベルで終わらず、プロならではの仕組み化されたノウハウを示しているか' },
+  { key: 'originality', label: '失敗ネタの独自性', description: 'その職種・業務形態ならではの失敗か。ありきたりな失敗ではないか' },
+];
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', '..', 'data');
+  }
+}
+
+function getArticlePath(accountId, filename) {
+  return path.join(getDataDir(), 'accounts', accountId, 'articles', filename);
+}
+
+function buildScoringPrompt(body) {
+  const criteria = CRITERIA
+    .map((c, i) => `${i + 1}. ${c.key}（${c.label}）: ${c.description}`)
+    .join('\n');
+  return `あなたは note の有料記事の編集者です。以下の記事を6つの観点で 1〜10 の整数で採点してください。
+10 は「そのまま販売できる」、5 は「修正が必要」、1 は「ルールを満たしていない」を意味します。
+
+## 採点項目
+${criteria}
+
+## 出力形式
+次の JSON のみを出力してください（前置きや説明は不要）。reasons は各項目1文で、減点理由を具体的に書いてください。
+{"scores":{"persona":0,"specificity":0,"practicality":0,"tone":0,"countermeasures":0,"originality":0},"reasons":{"persona":"","specificity":"","practicality":"","tone":"","countermeasures":"","originality":""},"summary":""}
+
+## 記事
+${body}`;
+}
+
+function toSingleLine(text) {
+  return String(text || '').replace(/\s*\n\s*/g, ' ').trim();
+}
+
+/**
+ * モデルの応答から採点結果を取り出す
+ * @returns {{ score: number, scores: Object<string, number>, reasons: Object<string, string>, summary: string }}
+ */
+function parseScoringResponse(text) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('採点結果を解析できませんでした');
+
+  let data;
+  try {
+    data = JSON.parse(match[0]);
+  } catch {
+    throw new Error('採点結果を解析できませんでした');
+  }
+
+  const scores = {};
+  const reasons = {};
+  for (const { key } of CRITERIA) {
+    const value = Number(data.scores?.[key]);
+    if (!Number.isFinite(value)) throw new Error(`採点項目 ${key} のスコアがありません`);
+    scores[key] = Math.min(10, Math.max(1, Math.round(value)));
+    reasons[key] = toSingleLine(data.reasons?.[key]);
+  }
+
+  const total = Object.values(scores).reduce((sum, v) => sum + v, 0);
+  return {
+    score: Math.round((total / CRITERIA.length) * 10) / 10,
+    scores,
+    reasons,
+    summary: toSingleLine(data.summary),
+  };
+}
+
+/**
+ * 総合スコアとしきい値から自動判定する
+ * @returns {{ status: 'reviewed'|'rejected', decision: 'approved'|'rejected', reason: string } | null}
+ */
+function decide(result, thresholds, currentStatus) {
+  if (currentStatus && currentStatus !== 'generated') return null;
+
+  if (result.score >= thresholds.approve) {
+    return {
+      status: 'reviewed',
+      decision: 'approved',
+      reason: `総合スコア ${result.score} が自動承認のしきい値 ${thresholds.approve} 以上`,
+    };
+  }
+  if (result.score <= thresholds.reject) {
+    const weakest = CRITERIA
+      .filter(c => result.scores[c.key] <= thresholds.reject)
+      .map(c => `${c.label}(${result.scores[c.key]})${result.reasons[c.key] ? ` ${result.reasons[c.key]}` : ''}`);
+    return {
+      status: 'rejected',
+      decision: 'rejected',
+      reason: `総合スコア ${result.score} が自動却下のしきい値 ${thresholds.reject} 以下`
+        + (weakest.length > 0 ? `。${weakest.join(' / ')}` : ''),
+    };
+  }
+  return null;
+}
+
+// 未設定か数値でないときだけ既定値を使う（0 も設定値として扱う）
+function toThreshold(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+async function getThresholds() {
+  const approve = toThreshold(await deps.config.get('scoring.auto_approve_threshold'), DEFAULT_APPROVE_THRESHOLD);
+  const reject = toThreshold(await deps.config.get('scoring.auto_reject_threshold'), DEFAULT_REJECT_THRESHOLD);
+  // 却下が承認以上だと同じスコアが両方に当たるので、この設定は使わず既定値に戻す
+  if (reject >= approve) {
+    deps.logger.warn('scorer', `自動却下のしきい値 ${reject} が自動承認のしきい値 ${approve} 以上のため既定値を使います`);
+    return { approve: DEFAULT_APPROVE_THRESHOLD, reject: DEFAULT_REJECT_THRESHOLD };
+  }
+  return { approve, reject };
+}
+
+/**
+ * 記事を採点して frontmatter に結果を書き込み、しきい値に応じてステータスを更新する
+ * @param {string} accountId
+ * @param {string} filename - 記事ファイル名（.md）
+ * @returns {Promise<{ score, scores, reasons, summary, status: string, decision: string|null }>}
+ */
+async function scoreArticle(accountId, filename) {
+  if (filename !== path.basename(filename)) throw new Error('不正なファイル名です');
+  const filePath = getArticlePath(accountId, filename);
+  if (!deps.fs.existsSync(filePath)) throw new Error('記事ファイルが見つかりません');
+
+  const client = await deps.getClient();
+  const { id: model } = await models.modelForTask('scoring', { config: deps.config, logger: deps.logger });
+
+  const { body } = frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+  const message = await client.messages.create({
+    model,
+    max_tokens: models.capTokens(model, 1024),
+    messages: [{ role: 'user', content: buildScoringPrompt(body) }],
+  });
+  await deps.recordUsage({ accountId, articleId: filename, purpose: 'scoring', model, usage: message.usage });
+  const result = parseScoringResponse(message.content[0].text);
+
+  // 採点中に編集・承認された場合に備えて最新の内容に書き込む
+  const latest = frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+  let decision = decide(result, await getThresholds(), latest.metadata.status);
+  if (decision?.status === 'reviewed' && latest.metadata.privacy_status === 'blocked') {
+    // 非公開情報を含む記事は自動承認しない（人のレビューに回す）
+    decision = null;
+  }
+  const metadata = {
+    ...latest.metadata,
+    score: result.score,
+    scores: result.scores,
+    score_reasons: result.reasons,
+    score_summary: result.summary || undefined,
+    scoring_model: model,
+    scored_at: new Date().toISOString(),
+  };
+  if (decision) {
+    metadata.status = decision.status;
+    metadata.auto_decision = decision.decision;
+    metadata.auto_decision_reason = decision.reason;
+  }
+  deps.fs.writeFileSync(filePath, frontmatter.stringify(metadata, latest.body), 'utf-8');
+
+  deps.logger.info(
+    'scorer',
+    `${filename}: ${result.score}${decision ? ` → ${decision.decision}` : ''}`,
+    { accountId }
+  );
+
+  if (decision?.decision === 'rejected') {
+    // 再生成は時間がかかるため採点の完了を待たせない
+    Promise.resolve()
+      .then(() => deps.onAutoReject(accountId, filename, decision.reason))
+      .catch((e) => deps.logger.error('scorer', `${filename}: 自動却下後の再生成に失敗: ${e.message}`, { accountId }));
+  } else if (decision?.decision === 'approved') {
+    await deps.notify('approved', {
+      accountId, filename, title: frontmatter.extractTitle(latest.body) || filename, score: result.score, source: 'scorer',
+    });
+  }
+
+  return {
+    ...result,
+    status: metadata.status || 'generated',
+    decision: decision?.decision || null,
+  };
+}
+
+module.exports = {
+  scoreArticle,
+  CRITERIA,
+  // テスト用
+  _internal: { buildScoringPrompt, parseScoringResponse, decide, getThresholds },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
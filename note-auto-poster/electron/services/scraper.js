@@ -0,0 +1,464 @@
+/**
+ * Trend Scraper
+ *
+ * note.com のハッシュタグ・検索・急上昇ページから、ピラーのキーワードに関する記事を集めて
+ * テーマ案にまとめる。
+ *
+ * - ピラーの keywords（無ければピラー名）ごとにハッシュタグ・検索ページを Playwright で開く
+ * - 一覧の HTML から記事のタイトル・価格・スキ数を取り出す（保存した HTML も同じ関数で読む）
+ * - タイトルの語（カタカナ・漢字・英数字のまとまり）の重なりで記事をクラスタにまとめ、
+ *   スキ数の合計が多い順にテーマ案として返す
+ * - 最新の結果は DB（trend_scrapes）に保存し、選んだテーマ案は SheetManager.addTopic で追加する
+ *
+ * URL は note.base_url で差し替え可能（ローカルの HTML で動作確認するため）。
+ */
+
+const { chromium } = require('playwright');
+const _fs = require('fs');
+const crypto = require('crypto');
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const _db = require('../utils/db');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  config: _config,
+  logger: _logger,
+  db: _db,
+  launchBrowser: () => chromium.launch({ headless: true }),
+  addTopic: (accountId, topic) => {
+    const { SheetManager } = require('../utils/csv-manager');
+    return new SheetManager().addTopic(accountId, topic);
+  },
+  sleep: (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+};
+
+const DEFAULT_BASE_URL = 'https://note.com';
+
+const SOURCES = {
+  hashtag: { label: 'ハッシュタグ', perKeyword: true, path: (kw) => `/hashtag/${encodeURIComponent(kw)}` },
+  search: { label: '検索', perKeyword: true, path: (kw) => `/search?q=${encodeURIComponent(kw)}&context=note&mode=search` },
+  ranking: { label: '急上昇', perKeyword: false, path: () => '/ranking' },
+};
+
+// 無限スクロールで読み込ませる回数と待ち時間
+const SCROLL_COUNT = 3;
+const SCROLL_WAIT_MS = 800;
+// note.com への連続アクセスを避ける間隔
+const REQUEST_INTERVAL_MS = 1500;
+
+// 2件以上の記事がまとまったクラスタだけをテーマ案にする
+const MIN_CLUSTER_SIZE = 2;
+// 代表記事の語のうち、この割合以上が重なれば同じクラスタとみなす
+const SIMILARITY_THRESHOLD = 0.5;
+
+// どの記事にも付く語はクラスタリングの手がかりにならないため除く
+const STOPWORDS = new Set([
+  '保存版', '完全版', '永久保存版', '決定版', '最新版', '徹底解説', '完全', '解説', 'まとめ',
+  '方法', 'やり方', 'コツ', '初心者', '入門', '完全ガイド', 'テンプレ', 'テンプレート', 'note',
+]);
+
+async function getBaseUrl() {
+  const configured = await deps.config.get('note.base_url');
+  return (configured || DEFAULT_BASE_URL).replace(/\/$/, '');
+}
+
+// --- Parsing ---
+
+function stripTags(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * "1,204" / "1.2k" / "3.4万" のような表示をスキ数に変換する
+ */
+function parseCount(text) {
+  const m = String(text || '').normalize('NFKC').replace(/,/g, '').match(/([\d.]+)\s*([kKmM万]?)/);
+  if (!m) return 0;
+  const value = parseFloat(m[1]);
+  if (!Number.isFinite(value)) return 0;
+  const unit = { k: 1e3, K: 1e3, m: 1e6, M: 1e6, 万: 1e4 }[m[2]] || 1;
+  return Math.round(value * unit);
+}
+
+function parsePrice(segment) {
+  const text = stripTags(segment).normalize('NFKC');
+  const m = text.match(/¥\s*([\d,]+)/) || text.match(/([\d,]+)\s*円/);
+  return m ? parseInt(m[1].replace(/,/g, ''), 10) || 0 : 0;
+}
+
+function parseLikes(segment) {
+  const patterns = [
+    /aria-label="スキ\s*([\d.,]+\s*[kKmM万]?)"/,
+    /class="[^"]*like[^"]*count[^"]*"[^>]*>\s*([\d.,]+\s*[kKmM万]?)\s*</i,
+    /スキ\s*([\d.,]+\s*[kKmM万]?)/,
+  ];
+  for (const re of patterns) {
+    const m = segment.match(re);
+    if (m) return parseCount(m[1]);
+  }
+  return 0;
+}
+
+function parseTitle(segment) {
+  const heading = segment.match(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/i);
+  if (heading && stripTags(heading[1])) return stripTags(heading[1]);
+  const attr = segment.match(/<a\b[^>]*\btitle="([^"]+)"/i);
+  if (attr) return stripTags(attr[1]);
+  const texts = [...segment.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)]
+    .map((m) => stripTags(m[1]))
+    .sort((a, b) => b.length - a.length);
+  return texts[0] || '';
+}
+
+/**
+ * note の一覧ページ（ハッシュタグ・検索・急上昇）の HTML から記事を取り出す。
+ * 記事カードの境目は記事リンク（/{user}/n/{key}）の切り替わりで判定する。
+ * @returns {{ key, url, author, title, price, likes }[]}
+ */
+function parseListingHtml(html, baseUrl = DEFAULT_BASE_URL) {
+  const linkRe = /<a\b[^>]*\bhref="((?:https?:\/\/[^/"]+)?\/([\w-]+)\/n\/(n[0-9a-z]+))[^"]*"[^>]*>/gi;
+  const links = [...String(html || '').matchAll(linkRe)].map((m) => ({
+    index: m.index,
+    path: `/${m[2]}/n/${m[3].toLowerCase()}`,
+    author: m[2],
+    key: m[3].toLowerCase(),
+  }));
+
+  const items = [];
+  const seen = new Set();
+  for (let i = 0; i < links.length; i++) {
+    const link = links[i];
+    if (seen.has(link.key)) continue;
+    seen.add(link.key);
+    const next = links.slice(i + 1).find((l) => l.key !== link.key);
+    const segment = html.slice(link.index, next ? next.index : link.index + 5000);
+    const title = parseTitle(segment);
+    if (!title) continue;
+    items.push({
+      key: link.key,
+      url: `${baseUrl}${link.path}`,
+      author: link.author,
+      title,
+      price: parsePrice(segment),
+      likes: parseLikes(segment),
+    });
+  }
+  return items;
+}
+
+// --- Clustering ---
+
+/**
+ * タイトルを語に分ける（カタカナ・漢字・英数字のまとまり。ひらがな・記号は区切り）
+ */
+function tokenize(title) {
+  const text = String(title || '').normalize('NFKC').toLowerCase().replace(/【[^】]*】/g, ' ');
+  const tokens = text.match(/[ァ-ヴー]{2,}|[一-龠々]{2,}|[a-z][a-z0-9]+/g) || [];
+  return [...new Set(tokens.filter((t) => !STOPWORDS.has(t)))];
+}
+
+function similarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const shared = a.filter((t) => b.includes(t)).length;
+  return shared / Math.min(a.length, b.length);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function topKeywords(members, limit = 3) {
+  const counts = new Map();
+  for (const item of members) {
+    for (const token of item.tokens) counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .filter(([, n]) => n >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([token]) => token);
+}
+
+function buildProposal(pillar, members) {
+  const sorted = [...members].sort((a, b) => b.likes - a.likes);
+  const keywords = topKeywords(sorted);
+  const paid = sorted.filter((m) => m.price > 0);
+  const isPaid = paid.length * 2 >= sorted.length;
+  const likes = sorted.reduce((sum, m) => sum + m.likes, 0);
+  const examples = sorted.slice(0, 3);
+  const references = examples
+    .map((m) => `「${m.title}」(スキ${m.likes}${m.price > 0 ? `・¥${m.price}` : '・無料'})`)
+    .join(' / ');
+
+  return {
+    id: crypto.createHash('sha1').update(`${pillar}:${sorted.map((m) => m.key).sort().join(',')}`).digest('hex').slice(0, 12),
+    pillar,
+    theme: sorted[0].title.replace(/【[^】]*】/g, '').trim(),
+    keywords,
+    is_paid: isPaid,
+    price: isPaid ? Math.round(median(paid.map((m) => m.price)) / 100) * 100 : 0,
+    additional_instructions: `note で反応が多い類似記事: ${references}。これらと切り口を変え、自分の体験を中心に書く`,
+    stats: {
+      notes: sorted.length,
+      likes,
+      avg_likes: Math.round(likes / sorted.length),
+      paid_ratio: Math.round((paid.length / sorted.length) * 100) / 100,
+    },
+    examples: examples.map(({ title, url, likes: l, price }) => ({ title, url, likes: l, price })),
+  };
+}
+
+/**
+ * ピラーごとに記事をクラスタにまとめてテーマ案を作る（スキの合計が多い順）
+ * @param {{ pillar: string, title: string, likes: number, price: number }[]} items
+ */
+function clusterItems(items, { minSize = MIN_CLUSTER_SIZE, threshold = SIMILARITY_THRESHOLD } = {}) {
+  const byPillar = new Map();
+  for (const item of items) {
+    if (!byPillar.has(item.pillar)) byPillar.set(item.pillar, []);
+    byPillar.get(item.pillar).push({ ...item, tokens: tokenize(item.title) });
+  }
+
+  const proposals = [];
+  for (const [pillar, pillarItems] of byPillar) {
+    // スキの多い記事から順に、代表記事の語と重なるクラスタへ入れる
+    const clusters = [];
+    for (const item of [...pillarItems].sort((a, b) => b.likes - a.likes)) {
+      if (item.tokens.length === 0) continue;
+      let best = null;
+      let bestScore = 0;
+      for (const cluster of clusters) {
+        const score = similarity(item.tokens, cluster[0].tokens);
+        if (score > bestScore) {
+          best = cluster;
+          bestScore = score;
+        }
+      }
+      if (best && bestScore >= threshold) best.push(item);
+      else clusters.push([item]);
+    }
+    for (const members of clusters) {
+      if (members.length >= minSize) proposals.push(buildProposal(pillar, members));
+    }
+  }
+  return proposals.sort((a, b) => b.stats.likes - a.stats.likes);
+}
+
+// --- Pillars ---
+
+function pillarKeywords(pillar) {
+  const raw = Array.isArray(pillar.keywords) ? pillar.keywords : String(pillar.keywords || '').split(/[,、，\n]/);
+  const keywords = raw.map((k) => String(k).trim()).filter(Boolean);
+  return keywords.length > 0 ? keywords : [pillar.name || pillar.id].filter(Boolean);
+}
+
+/**
+ * キーワードを指定せずに取った記事（急上昇・保存した HTML）を、タイトルに含むキーワードでピラーに振り分ける
+ */
+function assignPillar(title, pillars) {
+  const text = String(title || '').normalize('NFKC').toLowerCase();
+  const hit = pillars.find((p) => pillarKeywords(p).some((k) => text.includes(k.normalize('NFKC').toLowerCase())));
+  return hit ? hit.id : null;
+}
+
+/**
+ * 同じ記事が複数のページに出てきたら 1 件にまとめ、取得元を記録する
+ */
+function mergeItems(items) {
+  const merged = new Map();
+  for (const item of items) {
+    const id = `${item.pillar}:${item.key}`;
+    const existing = merged.get(id);
+    if (existing) {
+      existing.likes = Math.max(existing.likes, item.likes);
+      existing.price = existing.price || item.price;
+      if (!existing.sources.includes(item.source)) existing.sources.push(item.source);
+    } else {
+      const { source, ...rest } = item;
+      merged.set(id, { ...rest, sources: [source] });
+    }
+  }
+  return [...merged.values()];
+}
+
+async function getPillars(accountId) {
+  const account = await deps.config.getAccount(accountId);
+  if (!account) throw new Error(`アカウント "${accountId}" が見つかりません`);
+  const pillars = (account.pillars || []).filter((p) => p.id);
+  if (pillars.length === 0) throw new Error('ピラーが設定されていません');
+  return pillars;
+}
+
+function saveResult(accountId, items) {
+  const proposals = clusterItems(items);
+  let scrapedAt = new Date().toISOString();
+  try {
+    scrapedAt = deps.db.saveTrendScrape(accountId, { items, proposals });
+  } catch (e) {
+    deps.logger.error('scraper', `結果の保存に失敗: ${e.message}`, { accountId });
+  }
+  return { items, proposals, scraped_at: scrapedAt };
+}
+
+// --- Public API ---
+
+async function fetchListing(page, url) {
+  await page.goto(url, { waitUntil: 'domcontentloaded' });
+  for (let i = 0; i < SCROLL_COUNT; i++) {
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await page.waitForTimeout(SCROLL_WAIT_MS);
+  }
+  return page.content();
+}
+
+/**
+ * ピラーのキーワードで note.com の一覧ページを巡回し、テーマ案を作る
+ * @param {string} accountId
+ * @param {{ sources?: string[] }} options - 'hashtag' | 'search' | 'ranking'
+ * @returns {Promise<{ items: object[], proposals: object[], scraped_at: string, errors: object[] }>}
+ */
+async function scrapeTrends(accountId, { sources = Object.keys(SOURCES) } = {}) {
+  const pillars = await getPillars(accountId);
+  const baseUrl = await getBaseUrl();
+
+  const targets = [];
+  for (const source of sources.filter((s) => SOURCES[s])) {
+    if (SOURCES[source].perKeyword) {
+      for (const pillar of pillars) {
+        for (const keyword of pillarKeywords(pillar)) {
+          targets.push({ source, pillar: pillar.id, keyword, url: `${baseUrl}${SOURCES[source].path(keyword)}` });
+        }
+      }
+    } else {
+      targets.push({ source, pillar: null, keyword: null, url: `${baseUrl}${SOURCES[source].path()}` });
+    }
+  }
+
+  const collected = [];
+  const errors = [];
+  const browser = await deps.launchBrowser();
+  try {
+    const page = await (await browser.newContext()).newPage();
+    for (const [i, target] of targets.entries()) {
+      if (i > 0) await deps.sleep(REQUEST_INTERVAL_MS);
+      try {
+        const html = await fetchListing(page, target.url);
+        for (const item of parseListingHtml(html, baseUrl)) {
+          const pillar = target.pillar || assignPillar(item.title, pillars);
+          if (pillar) collected.push({ ...item, pillar, source: target.source, keyword: target.keyword });
+        }
+      } catch (e) {
+        deps.logger.warn('scraper', `${target.url}: ${e.message}`, { accountId });
+        errors.push({ url: target.url, error: e.message });
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const result = saveResult(accountId, mergeItems(collected));
+  deps.logger.info(
+    'scraper',
+    `${result.items.length} 件の記事から ${result.proposals.length} 件のテーマ案`,
+    { accountId, pages: targets.length, errors: errors.length }
+  );
+  return { ...result, errors };
+}
+
+/**
+ * 保存した一覧ページの HTML からテーマ案を作る（オフラインでの確認用）
+ * @param {string} accountId
+ * @param {string[]} filePaths
+ */
+async function importHtml(accountId, filePaths) {
+  const pillars = await getPillars(accountId);
+  const baseUrl = await getBaseUrl();
+  const collected = [];
+  for (const filePath of filePaths) {
+    const html = deps.fs.readFileSync(filePath, 'utf-8');
+    for (const item of parseListingHtml(html, baseUrl)) {
+      const pillar = assignPillar(item.title, pillars);
+      if (pillar) collected.push({ ...item, pillar, source: 'file', keyword: null });
+    }
+  }
+  const result = saveResult(accountId, mergeItems(collected));
+  deps.logger.info('scraper', `HTML ${filePaths.length} 件から ${result.proposals.length} 件のテーマ案`, { accountId });
+  return { ...result, errors: [] };
+}
+
+/**
+ * 前回の結果
+ * @returns {{ items: object[], proposals: object[], scraped_at: string }|null}
+ */
+function getLatest(accountId) {
+  return deps.db.loadTrendScrape(accountId);
+}
+
+/**
+ * 選んだテーマ案を Google Sheets のテーマ一覧に追加し、追加済みとして記録する
+ * @param {string} accountId
+ * @param {object[]} proposals - clusterItems の結果（theme などは編集済みでもよい）
+ * @returns {Promise<{ added: number, pushed: string[], errors: { id: string, theme: string, error: string }[] }>}
+ */
+async function pushProposals(accountId, proposals) {
+  const pushed = [];
+  const errors = [];
+  for (const proposal of proposals) {
+    try {
+      await deps.addTopic(accountId, {
+        theme: proposal.theme,
+        keywords: (proposal.keywords || []).join(', '),
+        pillar: proposal.pillar,
+        is_paid: !!proposal.is_paid,
+        price: proposal.price || 0,
+        additional_instructions: proposal.additional_instructions || '',
+        status: 'pending',
+      });
+      pushed.push(proposal.id);
+    } catch (e) {
+      errors.push({ id: proposal.id, theme: proposal.theme, error: e.message });
+    }
+  }
+
+  if (pushed.length > 0) {
+    try {
+      const latest = deps.db.loadTrendScrape(accountId);
+      if (latest) {
+        const proposalsWithState = latest.proposals.map((p) => (pushed.includes(p.id) ? { ...p, pushed: true } : p));
+        deps.db.saveTrendScrape(accountId, { items: latest.items, proposals: proposalsWithState });
+      }
+    } catch (e) {
+      deps.logger.error('scraper', `追加済みの記録に失敗: ${e.message}`, { accountId });
+    }
+  }
+
+  deps.logger.info('scraper', `テーマ案 ${pushed.length} 件をシートに追加`, { accountId, errors: errors.length });
+  return { added: pushed.length, pushed, errors };
+}
+
+module.exports = {
+  scrapeTrends,
+  importHtml,
+  getLatest,
+  pushProposals,
+  SOURCES,
+  // テスト用
+  _internal: { parseListingHtml, parseCount, tokenize, clusterItems, pillarKeywords, assignPillar, mergeItems },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
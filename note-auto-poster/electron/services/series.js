@@ -0,0 +1,379 @@
+/**
+ * Series Planner
+ *
+ * 1本に収まらない種テーマを、全N回の連載として企画し、回ごとに1本ずつ記事にする。
+ *
+ * - 企画（planSeries）は generation のモデルで、連載名・語り手の人物像・回ごとのテーマと概要を JSON で作る
+ * - 作成（createSeries）で回ごとに SheetManager.addTopic でトピックの行を足し、DB に連載として記録する
+ * - 回の記事を書くときは、連載の構成・人物像・それまでの回の内容（buildSeriesPrompt）をシステムプロンプトに足す
+ * - 記事の冒頭（タイトルの直後）に「前回 / 次回」のリンク（SERIES_NAV）を入れ、回が増えたり投稿したりするたびに全回を書き直す
+ */
+
+const _fs = require('fs');
+const path = require('path');
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const _db = require('../utils/db');
+const frontmatter = require('../utils/frontmatter');
+const models = require('../utils/model-registry');
+const llm = require('../utils/llm-provider');
+const { getLengthRange } = require('./length-enforcer');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  config: _config,
+  logger: _logger,
+  db: _db,
+  getClient: () => llm.getClient({ config: deps.config }),
+  getSheetManager: () => {
+    const { SheetManager } = require('../utils/csv-manager');
+    return new SheetManager();
+  },
+  recordUsage: (entry) => require('./usage-tracker').recordUsage(entry),
+  assertWithinBudget: () => require('./usage-tracker').assertWithinBudget(),
+};
+
+const MIN_PARTS = 2;
+const MAX_PARTS = 10;
+const PLAN_MAX_TOKENS = 4096;
+
+const NAV_START = '<!-- series-nav -->';
+const NAV_END = '<!-- /series-nav -->';
+const NAV_PATTERN = /<!-- series-nav -->[\s\S]*?<!-- \/series-nav -->\n*/;
+
+// 回ごとに作るトピックの行へ引き継ぐ項目
+const TOPIC_FIELDS = ['keywords', 'pillar', 'is_paid', 'price', 'free_preview_ratio'];
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', '..', 'data');
+  }
+}
+
+function getArticlePath(accountId, filename) {
+  return path.join(getDataDir(), 'accounts', accountId, 'articles', filename);
+}
+
+function clampParts(value) {
+  const n = Math.round(Number(value) || 0);
+  return Math.min(MAX_PARTS, Math.max(MIN_PARTS, n || 3));
+}
+
+function buildPlanPrompt(seedTheme, partCount, persona, lengthRange) {
+  const lines = [
+    'あなたはnoteで有料記事を販売するプロのコンテンツ編集者です。',
+    `次の種となるテーマを、全${partCount}回の連載に分けて企画してください。`,
+    '',
+    `種となるテーマ: ${seedTheme}`,
+  ];
+  if (persona) lines.push(`語り手（全回共通の人物像）: ${persona}`);
+  lines.push(
+    '',
+    '## ルール',
+    `- 各回は1本の記事（${lengthRange.min}〜${lengthRange.max}文字）に収まる大きさにし、単独で読んでも役に立つようにする`,
+    '- 回ごとの内容は重ならないようにし、第1回から順に読むと理解が深まる順番にする',
+    '- 全回を通して同じ語り手（人物像）で書く前提で企画する',
+    '- 各回の theme はそのまま1本の記事のテーマとして使える具体的な文にする',
+    '',
+    '## 出力形式',
+    '次のJSONのみを返してください。',
+    '{"title": "連載名", "persona": "語り手の人物像（全回共通）", "parts": [{"theme": "第1回のテーマ", "summary": "この回で扱う内容（2〜3文）"}]}',
+  );
+  return lines.join('\n');
+}
+
+/**
+ * 企画の JSON を読み、足りない項目を埋める
+ * @returns {{ title: string, persona: string, parts: Array<{ theme: string, summary: string }> }}
+ */
+function normalizePlan(data, { seedTheme = '', persona = '' } = {}) {
+  const parts = (Array.isArray(data?.parts) ? data.parts : [])
+    .map((p) => ({ theme: String(p?.theme || '').trim(), summary: String(p?.summary || '').trim() }))
+    .filter((p) => p.theme);
+  if (parts.length === 0) throw new Error('連載の回がありません');
+  return {
+    title: String(data?.title || '').trim() || seedTheme,
+    persona: String(data?.persona || '').trim() || persona,
+    parts,
+  };
+}
+
+function parsePlan(text, fallback) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('連載の企画を解析できませんでした');
+  let data;
+  try {
+    data = JSON.parse(match[0]);
+  } catch {
+    throw new Error('連載の企画を解析できませんでした');
+  }
+  return normalizePlan(data, fallback);
+}
+
+/**
+ * 種テーマから連載を企画する（保存はしない。UI で直してから createSeries に渡す）
+ * @param {object} options - { seedTheme, parts?（回数、2〜10）, persona? }
+ * @returns {Promise<{ title, persona, parts: Array<{ theme, summary }> }>}
+ */
+async function planSeries(accountId, { seedTheme, parts, persona = '' } = {}) {
+  const seed = String(seedTheme || '').trim();
+  if (!seed) throw new Error('種となるテーマを入力してください');
+  const client = await deps.getClient();
+  await deps.assertWithinBudget();
+
+  const partCount = clampParts(parts);
+  const { id: model } = await models.modelForTask('generation', { config: deps.config, logger: deps.logger });
+  const lengthRange = await getLengthRange(deps.config);
+  const message = await client.messages.create({
+    model,
+    max_tokens: models.capTokens(model, PLAN_MAX_TOKENS),
+    messages: [{ role: 'user', content: buildPlanPrompt(seed, partCount, persona, lengthRange) }],
+  });
+  await deps.recordUsage({ accountId, purpose: 'series_plan', model, usage: message.usage });
+  const plan = parsePlan(message.content[0].text, { seedTheme: seed, persona });
+  deps.logger.info('series', `Planned "${plan.title}" (${plan.parts.length} parts)`, { accountId });
+  return { ...plan, parts: plan.parts.slice(0, partCount) };
+}
+
+// addTopic は行番号を返さないので、足した後に読み直してテーマで引く（同じテーマなら後の行）
+function findTopicId(topics, theme, taken) {
+  const matches = topics.filter((t) => t.theme === theme && !taken.has(t.id));
+  return matches.length > 0 ? matches[matches.length - 1].id : null;
+}
+
+/**
+ * 企画した連載を保存し、回ごとにトピックの行を足す
+ * @param {object} plan - { title, persona?, seedTheme?, parts: [{ theme, summary? }] }
+ * @param {object} [topicFields] - 全回のトピックに入れる { keywords, pillar, is_paid, price, free_preview_ratio }
+ * @returns {Promise<object>} 保存した連載（parts に topic_id 付き）
+ */
+async function createSeries(accountId, plan, topicFields = {}) {
+  const normalized = normalizePlan(plan, { seedTheme: plan?.seedTheme, persona: plan?.persona });
+  const id = deps.db.saveSeries(accountId, {
+    title: normalized.title,
+    seedTheme: String(plan.seedTheme || normalized.title),
+    persona: normalized.persona || null,
+    parts: normalized.parts,
+  });
+
+  const sm = deps.getSheetManager();
+  const shared = {};
+  for (const field of TOPIC_FIELDS) {
+    if (topicFields[field] !== undefined) shared[field] = topicFields[field];
+  }
+  for (const [i, part] of normalized.parts.entries()) {
+    try {
+      await sm.addTopic(accountId, { ...shared, theme: part.theme, persona: normalized.persona, status: 'pending' });
+    } catch (e) {
+      deps.logger.error('series', `Failed to add part ${i + 1}: ${e.message}`, { accountId, seriesId: id });
+      throw new Error(`第${i + 1}回のトピックを追加できませんでした: ${e.message}`);
+    }
+  }
+
+  const topics = await sm.readTopics(accountId);
+  const taken = new Set();
+  for (const [i, part] of normalized.parts.entries()) {
+    const topicId = findTopicId(topics, part.theme, taken);
+    if (topicId === null) continue;
+    taken.add(topicId);
+    deps.db.updateSeriesPart(id, i + 1, { topicId });
+  }
+  deps.logger.info('series', `Created "${normalized.title}" (${normalized.parts.length} parts)`, { accountId, seriesId: id });
+  return deps.db.getSeries(id);
+}
+
+// 書いた回の記事。ファイルが無ければ null
+function readPart(accountId, part) {
+  if (!part.filename) return null;
+  const filePath = getArticlePath(accountId, part.filename);
+  if (!deps.fs.existsSync(filePath)) return null;
+  const { metadata, body } = frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8'));
+  return { filePath, metadata, body, title: frontmatter.extractTitle(body) };
+}
+
+function headingsOf(body) {
+  return String(body || '').split('\n')
+    .map((line) => line.match(/^##\s+(.+)$/))
+    .filter(Boolean)
+    .map((m) => m[1].trim());
+}
+
+/**
+ * 連載とトピックの回（記事の frontmatter 用）
+ * @returns {{ series_id, series_title, series_part, series_total }|null}
+ */
+function describeTopic(accountId, topic) {
+  const found = deps.db.findSeriesPart(accountId, topic);
+  if (!found) return null;
+  return {
+    series_id: found.series.id,
+    series_title: found.series.title,
+    series_part: found.part,
+    series_total: found.series.parts.length,
+  };
+}
+
+/**
+ * 連載の回を書くときにシステムプロンプトへ足す文脈（連載の回でなければ ''）
+ * 構成・人物像と、それまでの回の概要（書いた回はタイトルと見出しも）を渡す
+ */
+function buildSeriesPrompt(accountId, topic) {
+  const found = deps.db.findSeriesPart(accountId, topic);
+  if (!found) return '';
+  const { series, part } = found;
+  const total = series.parts.length;
+  const next = series.parts.find((p) => p.part === part + 1);
+
+  const lines = [
+    `## 連載「${series.title}」の第${part}回（全${total}回）`,
+    'この記事は連載の1回分です。次の点を守ってください。',
+  ];
+  if (series.persona) lines.push(`- 語り手（人物像）は全回共通: ${series.persona}`);
+  lines.push('- これまでの回で書いた内容は繰り返さず、必要なら「前回お伝えした〜」と触れる程度にする');
+  lines.push(next
+    ? `- 最後に次回（第${next.part}回「${next.theme}」）の予告を1〜2文で入れる`
+    : '- 最終回なので、連載全体を振り返って締める');
+  lines.push('- 前回・次回へのリンクは自動で入れるので書かないでください');
+
+  lines.push('', '### 連載の構成');
+  for (const p of series.parts) {
+    const summary = p.summary ? ` — ${p.summary}` : '';
+    lines.push(`${p.part}. ${p.theme}${summary}${p.part === part ? '（← この回）' : ''}`);
+  }
+
+  const earlier = series.parts.filter((p) => p.part < part);
+  if (earlier.length > 0) {
+    lines.push('', '### これまでの回の内容');
+    for (const p of earlier) {
+      const written = readPart(accountId, p);
+      const title = written?.title || p.theme;
+      lines.push(`- 第${p.part}回「${title}」: ${p.summary || p.theme}`);
+      const headings = written ? headingsOf(written.body) : [];
+      if (headings.length > 0) lines.push(`  見出し: ${headings.join(' / ')}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function partLabel(p, written) {
+  return `第${p.part}回 ${written?.title || p.theme}`;
+}
+
+function linkTo(p, written) {
+  const label = partLabel(p, written);
+  const url = written?.metadata?.note_url;
+  return url ? `[${label}](${url})` : label;
+}
+
+// 記事の冒頭に入れる「前回 / 次回」
+function buildNavigation(series, part, written) {
+  const prev = series.parts.find((p) => p.part === part - 1);
+  const next = series.parts.find((p) => p.part === part + 1);
+  const lines = [NAV_START, `**連載「${series.title}」第${part}回（全${series.parts.length}回）**`];
+  if (prev) lines.push(`前回: ${linkTo(prev, written[prev.part])}`);
+  if (next) lines.push(`次回: ${written[next.part] ? linkTo(next, written[next.part]) : `${partLabel(next, null)}（近日公開）`}`);
+  lines.push(NAV_END);
+  return lines.join('\n');
+}
+
+// 既にあれば差し替え、無ければタイトル（最初の # 行）の直後に入れる
+function insertNavigation(body, nav) {
+  const text = String(body || '');
+  if (NAV_PATTERN.test(text)) return text.replace(NAV_PATTERN, `${nav}\n\n`);
+  const lines = text.split('\n');
+  const titleIndex = lines.findIndex((line) => /^#\s+/.test(line));
+  if (titleIndex === -1) return `${nav}\n\n${text}`;
+  const before = lines.slice(0, titleIndex + 1).join('\n');
+  const after = lines.slice(titleIndex + 1).join('\n').replace(/^\n+/, '');
+  return `${before}\n\n${nav}\n\n${after}`;
+}
+
+/**
+ * 連載の書いた回すべての「前回 / 次回」を書き直す（変わった記事だけ保存し、版を残す）
+ * @returns {number} 書き直した記事の数
+ */
+function refreshNavigation(accountId, seriesId) {
+  const series = deps.db.getSeries(seriesId);
+  if (!series) return 0;
+  const written = {};
+  for (const p of series.parts) {
+    const article = readPart(accountId, p);
+    if (article) written[p.part] = article;
+  }
+  let updated = 0;
+  for (const [part, article] of Object.entries(written)) {
+    const body = insertNavigation(article.body, buildNavigation(series, Number(part), written));
+    if (body === article.body) continue;
+    deps.fs.writeFileSync(article.filePath, frontmatter.stringify(article.metadata, body), 'utf-8');
+    const filename = path.basename(article.filePath);
+    try {
+      deps.db.addVersion(accountId, filename.replace(/\.md$/, ''), { source: 'edited', body, note: '連載のリンクを更新' });
+      deps.db.indexArticleFile(accountId, filename);
+    } catch (e) {
+      deps.logger.warn('series', `Version record failed: ${e.message}`, { accountId, filename });
+    }
+    updated++;
+  }
+  return updated;
+}
+
+/**
+ * 書いた回の記事を連載に紐づけ、全回の「前回 / 次回」を書き直す
+ * @returns {string|null} 紐づけた記事の本文（リンク入り）。連載の回でなければ null
+ */
+function attachArticle(accountId, topic, filename) {
+  const found = deps.db.findSeriesPart(accountId, topic);
+  if (!found) return null;
+  deps.db.updateSeriesPart(found.series.id, found.part, { topicId: topic.id, filename });
+  refreshNavigation(accountId, found.series.id);
+  return readPart(accountId, { filename })?.body ?? null;
+}
+
+/**
+ * アカウントの連載と、回ごとのトピック・記事の状態（Inbox 用）
+ * @returns {object[]} [{ id, title, persona, seed_theme, parts: [{ part, theme, summary, topic_id, filename, article: { id, title, status, note_url }|null }] }]
+ */
+function listSeries(accountId) {
+  return deps.db.listSeries(accountId).map((series) => ({
+    ...series,
+    parts: series.parts.map((p) => {
+      const written = readPart(accountId, p);
+      return {
+        ...p,
+        article: written && {
+          id: p.filename.replace(/\.md$/, ''),
+          title: written.title,
+          status: written.metadata.status || 'generated',
+          note_url: written.metadata.note_url || null,
+        },
+      };
+    }),
+  }));
+}
+
+// 連載の記録だけを消す（トピックの行と記事はそのまま）
+function removeSeries(seriesId) {
+  deps.db.removeSeries(seriesId);
+}
+
+module.exports = {
+  MIN_PARTS,
+  MAX_PARTS,
+  planSeries,
+  createSeries,
+  describeTopic,
+  buildSeriesPrompt,
+  attachArticle,
+  refreshNavigation,
+  listSeries,
+  removeSeries,
+  // テスト用
+  _internal: { parsePlan, insertNavigation, buildNavigation },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
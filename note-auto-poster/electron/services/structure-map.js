@@ -2,13 +2,14 @@
  * Structure Map Generator
  *
  * 記事の構造を分析し、セクションごとの品質マップを生成する。
- * Haiku で低コスト（1回 ≈ $0.004）に俯瞰情報を提供。
+ * 既定は Haiku（api.structure_map_model）で、低コスト（1回 ≈ $0.004）に俯瞰情報を提供。
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-const config = require('../utils/config');
 const frontmatter = require('../utils/frontmatter');
 const logger = require('../utils/logger');
+const models = require('../utils/model-registry');
+const llm = require('../utils/llm-provider');
+const { recordUsage } = require('./usage-tracker');
 
 const STRUCTURE_MAP_PROMPT = `あなたは記事の構造分析アシスタントです。
 与えられた記事を分析し、以下のJSON形式で構造マップを返してください。
@@ -57,24 +58,23 @@ JSONのみを返してください。`;
 /**
  * 記事の構造マップを生成する
  * @param {string} articleBody - 記事本文（frontmatter除去済み）
+ * @param {object} [article] - { accountId, filename } 使用量の記録用
  * @returns {object} 構造マップオブジェクト
  */
-async function generateStructureMap(articleBody) {
-  const apiKey = await config.get('api.anthropic_key');
-  if (!apiKey) throw new Error('Anthropic APIキーが設定されていません');
-
-  const model = 'claude-haiku-4-5-20251001';
-  const client = new Anthropic({ apiKey });
+async function generateStructureMap(articleBody, { accountId = null, filename = null } = {}) {
+  const client = await llm.getClient();
+  const { id: model } = await models.modelForTask('structure_map');
 
   const message = await client.messages.create({
     model,
-    max_tokens: 2048,
+    max_tokens: models.capTokens(model, 2048),
     system: STRUCTURE_MAP_PROMPT,
     messages: [{
       role: 'user',
       content: `以下の記事を分析してください：\n\n${articleBody}`,
     }],
   });
+  await recordUsage({ accountId, articleId: filename, purpose: 'structure_map', model, usage: message.usage });
 
   const text = message.content[0].text;
 
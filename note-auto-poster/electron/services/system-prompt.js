@@ -0,0 +1,157 @@
+/**
+ * System Prompt
+ *
+ * 記事生成のベースプロンプト（システムプロンプト）を版つきで管理する。
+ *
+ * - 版は SQLite（system_prompt_versions）に本文・メモ・作成日時と一緒に残す
+ * - 使う版は常に1つ。保存すると新しい版になってすぐ使われ、復元は過去の版を使う版に戻すだけ（版は増えない）
+ * - 版がまだ無ければ、同梱の SYSTEM_PROMPT（generator.js）を版 1 として登録する
+ * - 生成した記事の frontmatter には使った版が system_prompt_version として残る（版ごとのスコア・売上の比較用）
+ */
+
+const _db = require('../utils/db');
+const _logger = require('../utils/logger');
+
+// Mutable deps for testing
+let deps = {
+  db: _db,
+  logger: _logger,
+  bundledPrompt: () => require('./generator').SYSTEM_PROMPT,
+};
+
+const INITIAL_NOTE = '同梱の初期版';
+
+function normalizeNote(note) {
+  const text = String(note ?? '').trim();
+  return text || null;
+}
+
+function ensureSeeded() {
+  const active = deps.db.getActiveSystemPromptVersion();
+  if (active) return active;
+  const [latest] = deps.db.listSystemPromptVersions();
+  if (latest) return deps.db.activateSystemPromptVersion(latest.version);
+  return deps.db.addSystemPromptVersion({ text: deps.bundledPrompt(), note: INITIAL_NOTE });
+}
+
+function findVersion(version) {
+  const found = deps.db.getSystemPromptVersion(Number(version));
+  if (!found) throw new Error(`システムプロンプトの版 ${version} が見つかりません`);
+  return found;
+}
+
+/**
+ * 生成に使う版
+ * DB が使えないときは同梱のプロンプトを版なし（version: null）で返す（生成は止めない）
+ * @returns {{ version: number|null, text: string, note: string|null }}
+ */
+function getActive() {
+  try {
+    const { version, text, note } = ensureSeeded();
+    return { version, text, note };
+  } catch (e) {
+    deps.logger.error('system-prompt', `Active version lookup failed, using the bundled prompt: ${e.message}`);
+    return { version: null, text: deps.bundledPrompt(), note: null };
+  }
+}
+
+// 版の一覧（新しい順）。本文の代わりに文字数と、その版で書いた記事の数・平均スコアを持つ
+function listVersions() {
+  ensureSeeded();
+  return deps.db.listSystemPromptVersions();
+}
+
+function getVersion(version) {
+  return findVersion(version);
+}
+
+/**
+ * 編集したプロンプトを新しい版として保存し、使う版にする
+ * @returns {object} 追加した版
+ */
+function saveVersion(text, note) {
+  if (!String(text ?? '').trim()) throw new Error('システムプロンプトを入力してください');
+  const active = ensureSeeded();
+  if (active.text === text) throw new Error(`いまの版（版 ${active.version}）と同じ内容です`);
+  const saved = deps.db.addSystemPromptVersion({ text, note: normalizeNote(note) });
+  deps.logger.info('system-prompt', `Saved version ${saved.version}`, { previous: active.version });
+  return saved;
+}
+
+// 過去の版を使う版に戻す
+function restoreVersion(version) {
+  const target = findVersion(version);
+  const restored = deps.db.activateSystemPromptVersion(target.version);
+  deps.logger.info('system-prompt', `Restored version ${target.version}`);
+  return restored;
+}
+
+function updateNote(version, note) {
+  findVersion(version);
+  return deps.db.updateSystemPromptNote(Number(version), normalizeNote(note));
+}
+
+/**
+ * 行単位の差分（最長共通部分列）
+ * @returns {{ type: 'same'|'added'|'removed', text: string }[]}
+ */
+function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // lcs[i][j]: a[i..] と b[j..] の共通部分列の長さ
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+/**
+ * 2つの版の差分。to を省くと使っている版と比べる
+ * @returns {{ from: number, to: number, lines: object[], added: number, removed: number }}
+ */
+function diffVersions(from, to) {
+  const before = findVersion(from);
+  const after = to === undefined || to === null ? ensureSeeded() : findVersion(to);
+  const lines = diffLines(before.text, after.text);
+  return {
+    from: before.version,
+    to: after.version,
+    lines,
+    added: lines.filter((l) => l.type === 'added').length,
+    removed: lines.filter((l) => l.type === 'removed').length,
+  };
+}
+
+module.exports = {
+  getActive,
+  listVersions,
+  getVersion,
+  saveVersion,
+  restoreVersion,
+  updateNote,
+  diffVersions,
+  // テスト用
+  _internal: { diffLines },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
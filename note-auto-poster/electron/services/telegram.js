@@ -6,6 +6,11 @@ const path = require('path');
 const { generateStructureMap, formatForTelegram } = require('./structure-map');
 const { reviewSessionManager } = require('./review-session');
 const { batchRewrite, formatSummaryForTelegram } = require('./batch-rewriter');
+const privacyChecker = require('./privacy-checker');
+const db = require('../utils/db');
+const models = require('../utils/model-registry');
+const llm = require('../utils/llm-provider');
+const { recordUsage } = require('./usage-tracker');
 
 const TELEGRAPH_API = 'https://api.telegra.ph';
 const TELEGRAM_API = 'https://api.telegram.org';
@@ -145,10 +150,6 @@ function getArticlesDir(accountId) {
   return path.join(getDataDir(), 'accounts', accountId, 'articles');
 }
 
-function getMappingPath(accountId) {
-  return path.join(getDataDir(), 'accounts', accountId, 'telegram-mappings.json');
-}
-
 // --- Main service ---
 
 class TelegramService {
@@ -190,6 +191,13 @@ class TelegramService {
 
     // Load all account mappings
     await this._loadAllMappings();
+
+    // Restore review sessions that were open when the app last quit
+    try {
+      reviewSessionManager.attachStore(db);
+    } catch (e) {
+      logger.error('telegram:restoreSessions', e.message);
+    }
   }
 
   async _loadAllMappings() {
@@ -204,15 +212,12 @@ class TelegramService {
   }
 
   async _loadMapping(accountId) {
-    const mapPath = getMappingPath(accountId);
     try {
-      if (fs.existsSync(mapPath)) {
-        const data = JSON.parse(fs.readFileSync(mapPath, 'utf-8'));
-        this.mappings[accountId] = data;
-        for (const [filename, mapping] of Object.entries(data)) {
-          if (mapping.topicId) {
-            this.topicIndex[mapping.topicId] = { accountId, filename };
-          }
+      const data = db.loadTelegramMappings(accountId);
+      this.mappings[accountId] = data;
+      for (const [filename, mapping] of Object.entries(data)) {
+        if (mapping.topicId) {
+          this.topicIndex[mapping.topicId] = { accountId, filename };
         }
       }
     } catch (e) {
@@ -226,10 +231,11 @@ class TelegramService {
     if (mapping.topicId) {
       this.topicIndex[mapping.topicId] = { accountId, filename };
     }
-    const mapPath = getMappingPath(accountId);
-    const dir = path.dirname(mapPath);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(mapPath, JSON.stringify(this.mappings[accountId], null, 2), 'utf-8');
+    try {
+      db.saveTelegramMapping(accountId, filename, mapping);
+    } catch (e) {
+      logger.error('telegram:saveMapping', `${accountId}/${filename}: ${e.message}`);
+    }
   }
 
   // --- Telegraph API ---
@@ -442,7 +448,7 @@ class TelegramService {
     // 5. Generate & send structure map (Phase 0)
     let structureMap = null;
     try {
-      structureMap = await generateStructureMap(body);
+      structureMap = await generateStructureMap(body, { accountId, filename });
       const mapText = formatForTelegram(title, structureMap);
       await this.sendMessage(mapText, { message_thread_id: topicId });
     } catch (e) {
@@ -450,6 +456,15 @@ class TelegramService {
       // 構造マップ失敗は非致命的 — 続行する
     }
 
+    // 5b. Privacy findings
+    try {
+      const account = await config.getAccount(accountId);
+      const privacyText = privacyChecker.formatForTelegram(privacyChecker.checkText(body, account));
+      if (privacyText) await this.sendMessage(privacyText, { message_thread_id: topicId });
+    } catch (e) {
+      logger.error('telegram:privacy', e.message);
+    }
+
     // 6. Create review session (Phase 1 ready)
     reviewSessionManager.create(accountId, filename, topicId, structureMap);
 
@@ -539,7 +554,11 @@ class TelegramService {
     }
 
     if (update.message && update.message.message_thread_id) {
-      await this._handleTopicMessage(update.message);
+      if (this.topicIndex[update.message.message_thread_id]) {
+        await this._handleTopicMessage(update.message);
+      } else {
+        await this._handleOutlineMessage(update.message);
+      }
     }
   }
 
@@ -551,6 +570,21 @@ class TelegramService {
     const [action, accountId, ...filenameParts] = parts;
     const filename = filenameParts.join(':');
 
+    if (action === 'outline_ok' || action === 'outline_ng') {
+      const outlineId = Number(filename);
+      const approved = action === 'outline_ok';
+      await this.answerCallbackQuery(query.id, approved ? '✅ 承認しました。本文を生成します' : '❌ 却下しました');
+      try {
+        await this.editMessageText(query.message.message_id, approved ? '✅ 承認済み（本文を生成中）' : '❌ 却下済み', {
+          message_thread_id: query.message.message_thread_id,
+        });
+      } catch (e) {
+        logger.error('telegram:statusUpdate', e.message);
+      }
+      this._emit(approved ? 'outlineApproved' : 'outlineRejected', accountId, outlineId);
+      return;
+    }
+
     // パストラバーサル防止
     if (filename !== path.basename(filename)) {
       logger.error('telegram:callback', `Invalid filename rejected: ${filename}`);
@@ -558,6 +592,12 @@ class TelegramService {
     }
 
     if (action === 'approve') {
+      const blocked = await this._privacyBlockMessage(accountId, filename);
+      if (blocked) {
+        await this.answerCallbackQuery(query.id, '🔒 非公開情報が含まれているため承認できません');
+        await this.sendMessage(blocked, { message_thread_id: query.message?.message_thread_id });
+        return;
+      }
       await this._updateArticleStatus(accountId, filename, 'reviewed');
       await this.answerCallbackQuery(query.id, '✅ 承認しました');
       await this._sendStatusUpdate(accountId, filename, query.message, '✅ 承認済み');
@@ -565,6 +605,7 @@ class TelegramService {
       await this._updateArticleStatus(accountId, filename, 'rejected');
       await this.answerCallbackQuery(query.id, '❌ 却下しました');
       await this._sendStatusUpdate(accountId, filename, query.message, '❌ 却下済み');
+      this._emit('articleRejected', accountId, filename, '');
     } else if (action === 'regen') {
       await this.answerCallbackQuery(query.id, '🔄 再生成を開始します...');
       await this._handleRegenerate(accountId, filename, query.message);
@@ -587,13 +628,27 @@ class TelegramService {
     this._emit('articleUpdated', accountId, filename);
   }
 
+  // Returns the findings message when the article still contains hidden private info
+  async _privacyBlockMessage(accountId, filename) {
+    try {
+      await privacyChecker.assertApprovable(accountId, filename);
+      return null;
+    } catch (e) {
+      if (e.code === 'PRIVACY_BLOCKED') return privacyChecker.formatForTelegram(e.privacy);
+      logger.error('telegram:privacy', e.message);
+      return null;
+    }
+  }
+
   async _updateArticleStatus(accountId, filename, status) {
     const dir = getArticlesDir(accountId);
     const filePath = path.join(dir, filename);
     if (!fs.existsSync(filePath)) return;
 
-    // Read current content (don't modify)
-    // Status is tracked externally via the articles:update IPC handler pattern
+    // Persist the status in frontmatter so the app (and the poster) see it
+    const { metadata, body } = frontmatter.parse(fs.readFileSync(filePath, 'utf-8'));
+    fs.writeFileSync(filePath, frontmatter.stringify({ ...metadata, status }, body), 'utf-8');
+
     // Emit event so the renderer can update
     this._emit('articleStatusChanged', accountId, filename, status);
 
@@ -625,14 +680,25 @@ class TelegramService {
     // --- コマンド処理 ---
 
     if (text.startsWith('/approve') || text.startsWith('/承認')) {
+      const blocked = await this._privacyBlockMessage(ref.accountId, ref.filename);
+      if (blocked) {
+        await this.sendMessage(blocked, { message_thread_id: topicId });
+        return;
+      }
       await this._updateArticleStatus(ref.accountId, ref.filename, 'reviewed');
       await this.sendMessage('✅ 承認しました', { message_thread_id: topicId });
       return;
     }
 
     if (text.startsWith('/reject') || text.startsWith('/却下')) {
+      // "/reject 理由" の理由は再生成の指示に使う。frontmatter に残すので改行は詰める
+      const reason = text.replace(/^\/(reject|却下)(@\S+)?/, '').replace(/\s*\n\s*/g, ' ').trim();
       await this._updateArticleStatus(ref.accountId, ref.filename, 'rejected');
-      await this.sendMessage('❌ 却下しました', { message_thread_id: topicId });
+      await this.sendMessage(
+        reason ? `❌ 却下しました\n理由: ${escapeSessionHtml(reason)}` : '❌ 却下しました',
+        { message_thread_id: topicId }
+      );
+      this._emit('articleRejected', ref.accountId, ref.filename, reason);
       return;
     }
 
@@ -729,11 +795,11 @@ class TelegramService {
     await this.sendMessage('✏️ 編集を適用中...', { message_thread_id: topicId });
 
     try {
-      const currentBody = fs.readFileSync(filePath, 'utf-8');
-      const updatedBody = await this._applyEditWithClaude(currentBody, editInstruction);
+      const { metadata, body: currentBody } = frontmatter.parse(fs.readFileSync(filePath, 'utf-8'));
+      const updatedBody = await this._applyEditWithClaude(currentBody, editInstruction, { accountId, filename });
 
-      // Save updated article
-      fs.writeFileSync(filePath, updatedBody, 'utf-8');
+      // Save updated article (frontmatter is kept as is)
+      fs.writeFileSync(filePath, frontmatter.stringify(metadata, updatedBody), 'utf-8');
 
       // Update Telegraph page
       const mapping = (this.mappings[accountId] || {})[filename];
@@ -771,27 +837,128 @@ class TelegramService {
     }
   }
 
-  async _applyEditWithClaude(articleBody, editInstruction) {
-    const Anthropic = require('@anthropic-ai/sdk');
-    const apiKey = await config.get('api.anthropic_key');
-    if (!apiKey) throw new Error('Anthropic APIキーが設定されていません');
-
-    const model = await config.get('telegram.edit_model') || 'claude-haiku-4-5-20251001';
-    const client = new Anthropic({ apiKey });
+  async _applyEditWithClaude(articleBody, editInstruction, { accountId = null, filename = null } = {}) {
+    const client = await llm.getClient();
+    const { id: model } = await models.modelForTask('quick_edit');
 
     const message = await client.messages.create({
       model,
-      max_tokens: 8192,
+      max_tokens: models.capTokens(model, 8192),
       system: '記事の編集アシスタントです。ユーザーの修正指示に従って記事を編集し、修正後の記事全文のみを出力してください。余計な説明は不要です。',
       messages: [{
         role: 'user',
         content: `## 現在の記事\n${articleBody}\n\n## 修正指示\n${editInstruction}`,
       }],
     });
+    await recordUsage({ accountId, articleId: filename, purpose: 'telegram_edit', model, usage: message.usage });
 
     return message.content[0].text;
   }
 
+  /**
+   * 記事に紐づくトピック（無ければ一般スレッド）にお知らせを送る
+   */
+  async notifyArticle(accountId, filename, text) {
+    await this.init();
+    if (!this.botToken || !this.chatId) return { success: false, error: 'Telegram が設定されていません' };
+    const mapping = (this.mappings[accountId] || {})[filename];
+    const result = await this.sendMessage(escapeSessionHtml(text), mapping?.topicId ? { message_thread_id: mapping.topicId } : {});
+    if (!result?.ok) {
+      logger.error('telegram:notify', JSON.stringify(result));
+      return { success: false, error: 'メッセージ送信失敗: ' + (result?.description || '') };
+    }
+    return { success: true };
+  }
+
+  // --- Outline review (outline-first generation) ---
+
+  /**
+   * 承認待ちのアウトラインをフォーラムトピックに送る。トピックへの返信はアウトラインの修正指示になる
+   * @param {object} record - generation_outlines の行
+   */
+  async sendOutlineForReview(accountId, record) {
+    await this.init();
+    if (!this.botToken || !this.chatId) {
+      return { success: false, error: 'Telegram が設定されていません' };
+    }
+    const topicResult = await this.createForumTopic(`📝 ${record.topic.theme || record.outline.title}`);
+    if (!topicResult.ok) {
+      logger.error('telegram:createTopic', JSON.stringify(topicResult));
+      return { success: false, error: 'トピック作成失敗: ' + (topicResult.description || '') };
+    }
+    const topicId = topicResult.result.message_thread_id;
+    try {
+      db.updateGenerationOutline(record.id, { telegramTopicId: topicId });
+    } catch (e) {
+      logger.error('telegram:outline', e.message);
+    }
+    await this._sendOutline(accountId, record, topicId);
+    logger.info('telegram:outline', `${record.outline.title} → topic ${topicId}`);
+    return { success: true, topicId };
+  }
+
+  async _sendOutline(accountId, record, topicId) {
+    const { formatOutline } = require('./outliner');
+    for (const chunk of splitForTelegram(markdownToTelegramHtml(formatOutline(record.outline)))) {
+      await this.sendMessage(chunk, { message_thread_id: topicId });
+    }
+    const cbPrefix = `${accountId}:${record.id}`;
+    await this.sendMessage('承認すると本文を生成します。直したいところはこのトピックに返信してください。', {
+      message_thread_id: topicId,
+      reply_markup: {
+        inline_keyboard: [
+          [
+            { text: '✅ 承認して本文を生成', callback_data: `outline_ok:${cbPrefix}` },
+            { text: '❌ 却下', callback_data: `outline_ng:${cbPrefix}` },
+          ],
+        ],
+      },
+    });
+  }
+
+  /**
+   * アウトラインのトピックにお知らせを送る。record を渡すと直したアウトラインとボタンも送り直す
+   */
+  async notifyOutline(outlineId, text, { record } = {}) {
+    await this.init();
+    const outline = db.getGenerationOutline(outlineId);
+    if (!this.botToken || !this.chatId || !outline?.telegram_topic_id) return { success: false };
+    await this.sendMessage(escapeSessionHtml(text), { message_thread_id: outline.telegram_topic_id });
+    if (record) await this._sendOutline(record.account_id, record, outline.telegram_topic_id);
+    return { success: true };
+  }
+
+  async _handleOutlineMessage(message) {
+    const topicId = message.message_thread_id;
+    let outline;
+    try {
+      outline = db.findGenerationOutlineByTelegramTopic(topicId);
+    } catch (e) {
+      logger.error('telegram:outline', e.message);
+      return;
+    }
+    if (!outline) return; // not a tracked topic
+
+    const text = (message.text || '').trim();
+    if (!text) return;
+    if (outline.status !== 'pending') {
+      await this.sendMessage('このアウトラインは承認待ちではありません', { message_thread_id: topicId });
+      return;
+    }
+    if (text.startsWith('/approve') || text.startsWith('/承認')) {
+      await this.sendMessage('✅ 承認しました。本文を生成します...', { message_thread_id: topicId });
+      this._emit('outlineApproved', outline.account_id, outline.id);
+      return;
+    }
+    if (text.startsWith('/reject') || text.startsWith('/却下')) {
+      await this.sendMessage('❌ 却下しました（テーマは未生成に戻しました）', { message_thread_id: topicId });
+      this._emit('outlineRejected', outline.account_id, outline.id);
+      return;
+    }
+    await this.sendMessage('✏️ アウトラインを直しています...', { message_thread_id: topicId });
+    this._emit('outlineRevisionRequested', outline.account_id, outline.id, text);
+  }
+
   async _handleRegenerate(accountId, filename, originalMessage) {
     const topicId = originalMessage?.message_thread_id;
     try {
@@ -824,14 +991,15 @@ class TelegramService {
       return;
     }
 
-    // モデル指定のパース: /done opus, /done sonnet
-    const modelArg = text.replace(/^\/done\s*/, '').trim().toLowerCase();
-    const modelKey = ['opus', 'sonnet', 'haiku'].includes(modelArg) ? modelArg : null;
+    // モデル指定のパース: /done opus, /done sonnet（登録済みの別名・モデル ID なら何でも）
+    const modelArg = text.replace(/^\/done\s*/, '').trim();
+    const modelKey = modelArg && await models.findModel(modelArg) ? modelArg : null;
 
     try {
       session.startExecution(modelKey);
 
-      const modelLabel = modelKey || 'sonnet';
+      const selected = await models.modelForTask('batch_rewrite', { override: modelKey });
+      const modelLabel = selected.alias || selected.label;
       await this.sendMessage(
         `⏳ 一括リライト実行中...\n指示: ${session.instructions.length}件\nモデル: ${modelLabel}`,
         { message_thread_id: topicId }
@@ -853,6 +1021,7 @@ class TelegramService {
       const result = await batchRewrite(articleContent, session.instructions, {
         model: modelKey,
       });
+      await recordUsage({ accountId, articleId: filename, purpose: 'batch_rewrite', model: result.usage.model, usage: result.usage });
 
       // 記事を保存
       fs.writeFileSync(filePath, result.rewrittenContent, 'utf-8');
@@ -896,7 +1065,7 @@ class TelegramService {
       logger.info('telegram:batchRewrite', `${filename}: ${result.summary.instructionCount} edits applied`);
     } catch (e) {
       logger.error('telegram:batchRewrite', e.message);
-      session.state = 'collecting'; // 失敗時は collecting に戻す
+      session.failExecution(); // 失敗時は collecting に戻す
       await this.sendMessage(`❌ リライト失敗: ${e.message}`, { message_thread_id: topicId });
     }
   }
@@ -1000,12 +1169,12 @@ class TelegramService {
       const content = fs.readFileSync(filePath, 'utf-8');
       const { body } = frontmatter.parse(content);
       const title = frontmatter.extractTitle(body) || '無題';
-      const structureMap = await generateStructureMap(body);
+      const structureMap = await generateStructureMap(body, { accountId, filename });
 
       // セッションの構造マップを更新
       const session = reviewSessionManager.get(topicId);
       if (session) {
-        session.structureMap = structureMap;
+        session.updateStructureMap(structureMap);
       }
 
       const mapText = formatForTelegram(title, structureMap);
@@ -4,7 +4,7 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 
-const { Generator, buildArticlePath, SYSTEM_PROMPT } = await import('../generator.js');
+const { Generator, buildArticlePath, buildPrompts, SYSTEM_PROMPT } = await import('../generator.js');
 
 describe('generator', () => {
   let tmpDir;
@@ -37,7 +37,12 @@ describe('generator', () => {
     it('日本語のシステムプロンプトを含む', () => {
       expect(SYSTEM_PROMPT).toContain('プロのコンテンツライター');
       expect(SYSTEM_PROMPT).toContain('note');
-      expect(SYSTEM_PROMPT).toContain('3000〜5000文字');
+    });
+
+    it('文字数の目安は設定の範囲を書き込む', () => {
+      expect(SYSTEM_PROMPT).not.toContain('3000〜5000文字');
+      expect(buildPrompts('京都', '', '', null, '', '', { min: 2000, max: 3500 }).system).toContain('文字数は2000〜3500文字に収めてください。');
+      expect(buildPrompts('京都').system).toContain('文字数は1500〜4000文字に収めてください。');
     });
   });
 
@@ -155,3 +155,44 @@ describe('ReviewSessionManager', () => {
     expect(Object.keys(summaries)).toHaveLength(2);
   });
 });
+
+describe('ReviewSessionManager persistence', () => {
+  function createStore(records = []) {
+    const saved = new Map(records.map((r) => [r.topicId, r]));
+    return {
+      saved,
+      saveReviewSession: (record) => saved.set(record.topicId, record),
+      loadReviewSessions: () => [...saved.values()],
+      removeReviewSession: (topicId) => saved.delete(topicId),
+    };
+  }
+
+  it('作成・指示追加・削除をストアに反映する', () => {
+    const store = createStore();
+    const manager = new ReviewSessionManager();
+    manager.attachStore(store);
+
+    const session = manager.create('tokken', 'test.md', 123, { sections: [] });
+    session.addInstruction('全体 短く');
+    expect(store.saved.get(123)).toMatchObject({ state: 'collecting', instructions: [{ display: '全体: 短く' }] });
+
+    manager.remove(123);
+    expect(store.saved.has(123)).toBe(false);
+  });
+
+  it('保存済みのセッションを復元し、実行中だったものは collecting に戻す', () => {
+    const store = createStore([{
+      topicId: 5, accountId: 'tokken', filename: 'a.md', state: 'executing',
+      structureMap: { sections: [] }, instructions: [{ display: '全体: 短く' }], history: [], model: 'opus',
+      createdAt: '2026-01-01T00:00:00.000Z',
+    }]);
+    const manager = new ReviewSessionManager();
+    expect(manager.attachStore(store)).toBe(1);
+
+    const session = manager.get(5);
+    expect(session).toBeInstanceOf(ReviewSession);
+    expect(session.state).toBe('collecting');
+    expect(session.getSummary().instructionCount).toBe(1);
+    expect(session.createdAt.toISOString()).toBe('2026-01-01T00:00:00.000Z');
+  });
+});
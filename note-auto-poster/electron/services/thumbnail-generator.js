@@ -152,6 +152,15 @@ function listThumbnails(accountId, articleId) {
     .filter(t => t.exists);
 }
 
+/**
+ * 選択済みサムネイル（selected.png）のパスを返す（未選択でもパスは返す）
+ */
+function getSelectedPath(accountId, articleId) {
+  return path.join(
+    __dirname, '../../data/accounts', accountId, 'thumbnails', String(articleId), 'selected.png'
+  );
+}
+
 /**
  * ブラウザを閉じる（アプリ終了時に呼ぶ）
  */
@@ -166,6 +175,8 @@ module.exports = {
   generateAll,
   selectThumbnail,
   listThumbnails,
+  getSelectedPath,
+  formatTitle,
   cleanup,
   // テスト用
   _internal: { formatTitle, getTitleFontSize, PILLAR_CONFIG },
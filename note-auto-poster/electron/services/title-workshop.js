@@ -0,0 +1,251 @@
+/**
+ * Title Workshop
+ *
+ * 記事のタイトル案をまとめて作り、採点して並べる。選んだ案は H1 と frontmatter の title に一度に反映する。
+ *
+ * - タイトル案はシステムプロンプトの「## タイトルの付け方」に従って作る（title_workshop のモデル）
+ * - 採点は、付け方の規則を満たすか（タグ・具体的な数字・得られる価値・長さ）と、モデルが付けた訴求力の平均（10点満点）
+ * - 各案に文字数と、サムネイルでの改行位置（thumbnail-generator の formatTitle）を付ける
+ * - 反映したタイトルは版履歴に残し、連載の回なら「前回 / 次回」のリンクも書き直す
+ */
+
+const _fs = require('fs');
+const path = require('path');
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const _db = require('../utils/db');
+const frontmatter = require('../utils/frontmatter');
+const models = require('../utils/model-registry');
+const llm = require('../utils/llm-provider');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  config: _config,
+  logger: _logger,
+  db: _db,
+  getClient: () => llm.getClient({ config: deps.config }),
+  getSystemPrompt: () => require('./system-prompt').getActive().text,
+  formatTitle: (title) => require('./thumbnail-generator').formatTitle(title),
+  refreshSeries: (accountId, seriesId) => require('./series').refreshNavigation(accountId, seriesId),
+  recordUsage: (entry) => require('./usage-tracker').recordUsage(entry),
+  assertWithinBudget: () => require('./usage-tracker').assertWithinBudget(),
+};
+
+const DEFAULT_COUNT = 12;
+const MIN_COUNT = 10;
+const MAX_COUNT = 20;
+const MAX_TOKENS = 4096;
+// 本文はこの文字数までを渡す（タイトルを決めるには冒頭と見出しで足りる）
+const EXCERPT_CHARS = 3000;
+
+// システムプロンプトに見出しが無いときの規則
+const DEFAULT_RULES = `- 【保存版】【テンプレ付き】などの実用性を示すタグを活用
+- 具体的な数字を入れる（例：「1000人案内して作った」「10選」）
+- 読者が得られる価値を明示する`;
+
+// 長さの目安（文字数）。短すぎると価値が伝わらず、長すぎると一覧とサムネイルで切れる
+const LENGTH_RANGE = { min: 20, max: 45 };
+
+const CHECKS = [
+  { key: 'tag', label: '【】のタグ', test: (title) => /【[^】]+】/.test(title) },
+  {
+    key: 'number',
+    label: '具体的な数字',
+    test: (title) => /[0-9０-９]/.test(title) || /[一二三四五六七八九十百千万]+(?:選|つ|人|年|回|日|件|個|ヶ月|か月|倍)/.test(title),
+  },
+  {
+    key: 'value',
+    label: '得られる価値',
+    test: (title) => /(方法|コツ|手順|マニュアル|テンプレ|ロードマップ|チェックリスト|完全|保存版|まとめ|攻略|やり方|秘訣|術|ガイド|入門|教科書|全部|すべて)/.test(title),
+  },
+  {
+    key: 'length',
+    label: `${LENGTH_RANGE.min}〜${LENGTH_RANGE.max}文字`,
+    test: (title) => [...title].length >= LENGTH_RANGE.min && [...title].length <= LENGTH_RANGE.max,
+  },
+];
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', '..', 'data');
+  }
+}
+
+function readArticle(accountId, filename) {
+  if (filename !== path.basename(filename)) throw new Error('不正なファイル名です');
+  const filePath = path.join(getDataDir(), 'accounts', accountId, 'articles', filename);
+  if (!deps.fs.existsSync(filePath)) throw new Error('記事ファイルが見つかりません');
+  return { filePath, ...frontmatter.parse(deps.fs.readFileSync(filePath, 'utf-8')) };
+}
+
+/**
+ * システムプロンプトの「## タイトルの付け方」の箇条書き（無ければ既定の規則）
+ */
+function extractTitleRules(systemPrompt) {
+  const match = String(systemPrompt || '').match(/##\s*タイトルの付け方\s*\n([\s\S]*?)(?=\n##\s|$)/);
+  const rules = match ? match[1].trim() : '';
+  return rules || DEFAULT_RULES;
+}
+
+/**
+ * 付け方の規則でタイトルを採点する（各項目 2.5 点、10点満点）
+ * @returns {{ score: number, checks: Array<{ key, label, passed }> }}
+ */
+function scoreRules(title) {
+  const checks = CHECKS.map((c) => ({ key: c.key, label: c.label, passed: c.test(title) }));
+  const score = (checks.filter((c) => c.passed).length / checks.length) * 10;
+  return { score, checks };
+}
+
+function roundScore(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function buildPrompt({ title, body, rules, count }) {
+  return `あなたはnoteで有料記事を販売するプロの編集者です。次の記事のタイトル案を${count}個作り、それぞれの訴求力を採点してください。
+
+## タイトルの付け方
+${rules}
+
+## ルール
+- 記事の内容から外れた約束をしない（本文に無い数字・特典を書かない）
+- 切り口（タグ・数字・ベネフィット・体験・問いかけなど）が重ならないように幅を持たせる
+- 今のタイトルと同じ案は出さない
+- appeal は読者がクリックしたくなる度合い（1〜10）。今のタイトルも同じ基準で採点する
+
+## 今のタイトル
+${title || '（なし）'}
+
+## 記事（冒頭）
+${body.slice(0, EXCERPT_CHARS)}
+
+## 出力形式
+次のJSONのみを返してください。
+{"current": {"appeal": 6, "reason": "今のタイトルの評価（1文）"}, "candidates": [{"title": "タイトル案", "appeal": 8, "reason": "狙い（1文）"}]}`;
+}
+
+function parseCandidates(text) {
+  const match = String(text || '').match(/\{[\s\S]*\}/);
+  if (!match) throw new Error('タイトル案を解析できませんでした');
+  try {
+    return JSON.parse(match[0]);
+  } catch {
+    throw new Error('タイトル案を解析できませんでした');
+  }
+}
+
+function clampAppeal(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(10, Math.max(0, n)) : null;
+}
+
+/**
+ * 1案分の表示用の情報（文字数・サムネイルの改行・採点）
+ * appeal が無ければ規則の点だけで採点する
+ */
+function describeTitle(title, { appeal = null, reason = '' } = {}) {
+  const rules = scoreRules(title);
+  return {
+    title,
+    length: [...title].length,
+    lines: deps.formatTitle(title).split('<br>').filter(Boolean),
+    checks: rules.checks,
+    rule_score: rules.score,
+    appeal,
+    score: roundScore(appeal === null ? rules.score : (rules.score + appeal) / 2),
+    reason: reason || '',
+  };
+}
+
+/**
+ * 記事のタイトル案を作って採点する（保存はしない）
+ * @param {object} [options] - { count }（10〜20、既定 12）
+ * @returns {Promise<{ current: object, candidates: object[] }>} candidates は点の高い順
+ */
+async function generateCandidates(accountId, filename, { count = DEFAULT_COUNT } = {}) {
+  const { body } = readArticle(accountId, filename);
+  const client = await deps.getClient();
+  await deps.assertWithinBudget();
+
+  const wanted = Math.min(MAX_COUNT, Math.max(MIN_COUNT, Math.round(Number(count)) || DEFAULT_COUNT));
+  const title = frontmatter.extractTitle(body);
+  const rules = extractTitleRules(deps.getSystemPrompt());
+  const { id: model } = await models.modelForTask('title_workshop', { config: deps.config, logger: deps.logger });
+  const message = await client.messages.create({
+    model,
+    max_tokens: models.capTokens(model, MAX_TOKENS),
+    messages: [{ role: 'user', content: buildPrompt({ title, body, rules, count: wanted }) }],
+  });
+  await deps.recordUsage({ accountId, articleId: filename, purpose: 'title_workshop', model, usage: message.usage });
+
+  const data = parseCandidates(message.content[0].text);
+  const seen = new Set([title]);
+  const candidates = [];
+  for (const c of Array.isArray(data.candidates) ? data.candidates : []) {
+    const candidate = String(c?.title || '').replace(/^#+\s*/, '').trim();
+    if (!candidate || seen.has(candidate)) continue;
+    seen.add(candidate);
+    candidates.push(describeTitle(candidate, { appeal: clampAppeal(c.appeal), reason: c.reason }));
+  }
+  if (candidates.length === 0) throw new Error('タイトル案がありません');
+  if (candidates.length < MIN_COUNT) {
+    deps.logger.warn('title-workshop', `Only ${candidates.length} title candidates`, { accountId, filename });
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  deps.logger.info('title-workshop', `${filename}: ${candidates.length} title candidates`, { accountId, model });
+  return {
+    current: describeTitle(title, { appeal: clampAppeal(data.current?.appeal), reason: data.current?.reason }),
+    candidates,
+  };
+}
+
+/**
+ * タイトルを H1（本文の1行目）と frontmatter の title に反映する
+ * @returns {{ title: string, body: string }}
+ */
+function applyTitle(accountId, filename, title) {
+  const next = String(title || '').replace(/^#+\s*/, '').replace(/\s*\n\s*/g, ' ').trim();
+  if (!next) throw new Error('タイトルを入力してください');
+  const { filePath, metadata, body } = readArticle(accountId, filename);
+
+  const lines = body.split('\n');
+  if (/^#\s/.test(lines[0] || '')) lines[0] = `# ${next}`;
+  else lines.unshift(`# ${next}`, '');
+  const updatedBody = lines.join('\n');
+  const updated = { ...metadata, title: next };
+  deps.fs.writeFileSync(filePath, frontmatter.stringify(updated, updatedBody), 'utf-8');
+
+  try {
+    deps.db.addVersion(accountId, filename.replace(/\.md$/, ''), {
+      source: 'edited', body: updatedBody, metadata: updated, note: 'タイトルを変更',
+    });
+    deps.db.upsertArticle(accountId, { filename, metadata: updated, body: updatedBody });
+  } catch (e) {
+    deps.logger.error('title-workshop', `DB record failed (non-blocking): ${e.message}`, { accountId, filename });
+  }
+  if (updated.series_id) {
+    // ほかの回の「前回 / 次回」にもタイトルが出ている
+    try {
+      deps.refreshSeries(accountId, updated.series_id);
+    } catch (e) {
+      deps.logger.warn('title-workshop', `連載のリンク更新に失敗: ${e.message}`, { accountId, filename });
+    }
+  }
+  deps.logger.info('title-workshop', `${filename}: title → ${next}`, { accountId });
+  return { title: next, body: readArticle(accountId, filename).body };
+}
+
+module.exports = {
+  generateCandidates,
+  applyTitle,
+  // テスト用
+  _internal: { extractTitleRules, parseCandidates, scoreRules, describeTitle },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
@@ -0,0 +1,270 @@
+/**
+ * Usage Tracker
+ *
+ * LLM の呼び出しごとのトークン数と費用（USD）の記録と、日・月の予算。
+ *
+ * - 記録はアカウント・記事・用途（purpose）ごと。費用は model-registry の単価から出す（Message Batches は半額）
+ * - Anthropic 以外のプロバイダ（OpenAI 互換サーバー・フェイク）はトークン数だけ記録し、費用は 0 にする
+ * - 記録に失敗しても呼び出し元の処理は止めない
+ * - 予算（budget.daily_usd / budget.monthly_usd、全アカウントの合計）に達したら新しい生成を止める
+ * - 予算の warn_ratio に達したら budget_warning、上限に達したら budget_exceeded を期間ごとに1回通知する
+ * - GitHub Actions のリライト（rewrite.js）の使用量は、同期リポジトリの .note-usage/ai-rewrite.jsonl から取り込む
+ *   （費用を出すのはその行のプロバイダが Anthropic のときだけ。provider の無い古い行は Anthropic とみなす）
+ */
+
+const _fs = require('fs');
+const path = require('path');
+const _config = require('../utils/config');
+const _logger = require('../utils/logger');
+const _db = require('../utils/db');
+const models = require('../utils/model-registry');
+const llm = require('../utils/llm-provider');
+
+// Mutable deps for testing
+let deps = {
+  fs: _fs,
+  config: _config,
+  logger: _logger,
+  db: _db,
+  notify: (event, payload) => require('./notifier').notifier.notify(event, payload),
+  now: () => new Date(),
+  isBilled: () => llm.isBilled({ config: deps.config }),
+};
+
+const BATCH_DISCOUNT = 0.5;
+
+const PURPOSES = {
+  generation: '記事の生成',
+  outline: 'アウトライン',
+  regeneration: '再生成',
+  scoring: 'スコアリング',
+  fact_check: 'ファクトチェック',
+  structure_map: '構成マップ',
+  telegram_edit: 'Telegram の修正指示',
+  batch_rewrite: '一括リライト',
+  action_rewrite: 'GitHub Actions のリライト',
+  series_plan: '連載の企画',
+  title_workshop: 'タイトル案',
+};
+
+const PERIODS = {
+  daily: { label: '今日', key: 'budget.daily_usd' },
+  monthly: { label: '今月', key: 'budget.monthly_usd' },
+};
+
+const USAGE_LOG_PATH = '.note-usage/ai-rewrite.jsonl';
+
+// 期間ごとに通知済みのレベル。{ 'monthly:2026-10': 'warning' | 'exceeded' }
+const notified = new Map();
+
+// API の usage（input_tokens）と batch-rewriter の usage（inputTokens）のどちらでも受け取る
+function toTokens(usage) {
+  return {
+    inputTokens: Number(usage?.input_tokens ?? usage?.inputTokens) || 0,
+    outputTokens: Number(usage?.output_tokens ?? usage?.outputTokens) || 0,
+  };
+}
+
+/**
+ * 使用量から費用（USD）を出す。登録にないモデルはファミリー名の単価、それも無ければ sonnet の単価で見積もる
+ * @param {string} model
+ * @param {object} usage - { input_tokens, output_tokens } または { inputTokens, outputTokens }
+ * @param {object} [options] - { batch } Message Batches API の呼び出し
+ */
+function estimateCost(model, usage, { batch = false } = {}) {
+  const { inputTokens, outputTokens } = toTokens(usage);
+  const price = models.pricingFor(model);
+  const cost = (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+  return Math.round(cost * (batch ? BATCH_DISCOUNT : 1) * 1e6) / 1e6;
+}
+
+function startOf(period, date) {
+  return period === 'daily'
+    ? new Date(date.getFullYear(), date.getMonth(), date.getDate())
+    : new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+function periodKey(period, date) {
+  const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  return period === 'daily' ? `${month}-${String(date.getDate()).padStart(2, '0')}` : month;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 今日・今月の利用額と予算
+ * @returns {Promise<{ warnRatio: number, daily: object, monthly: object }>}
+ *   daily / monthly は { label, budget, spent, ratio, warning, exceeded }（budget 0 は上限なし）
+ */
+async function getBudgetStatus() {
+  const date = deps.now();
+  const warnRatio = Number(await deps.config.get('budget.warn_ratio')) || 0.8;
+  const status = { warnRatio };
+  for (const [period, def] of Object.entries(PERIODS)) {
+    const budget = Number(await deps.config.get(def.key)) || 0;
+    const [total] = deps.db.summarizeTokenCost({ since: startOf(period, date).toISOString() });
+    const spent = total ? total.cost : 0;
+    const ratio = budget > 0 ? spent / budget : 0;
+    status[period] = {
+      label: def.label,
+      budget,
+      spent: round(spent),
+      ratio,
+      warning: budget > 0 && ratio >= warnRatio && ratio < 1,
+      exceeded: budget > 0 && ratio >= 1,
+    };
+  }
+  return status;
+}
+
+function budgetMessage(period) {
+  return `${period.label}の予算 $${period.budget} に達しました（利用額 $${period.spent}）`;
+}
+
+/**
+ * 予算を超えていたら例外を投げる（新しい生成を始める前に呼ぶ）
+ * 予算を読めないときは止めない
+ */
+async function assertWithinBudget() {
+  let status;
+  try {
+    status = await getBudgetStatus();
+  } catch (e) {
+    deps.logger.warn('usage-tracker', `予算を確認できませんでした: ${e.message}`);
+    return;
+  }
+  const over = Object.keys(PERIODS).find((period) => status[period].exceeded);
+  if (!over) return;
+  const error = new Error(`${budgetMessage(status[over])}。新しい生成は止めています`);
+  error.code = 'BUDGET_EXCEEDED';
+  throw error;
+}
+
+// 警告・超過をそれぞれ期間ごとに1回だけ通知する
+async function checkBudget(accountId) {
+  const status = await getBudgetStatus();
+  const date = deps.now();
+  for (const period of Object.keys(PERIODS)) {
+    const current = status[period];
+    const level = current.exceeded ? 'exceeded' : current.warning ? 'warning' : null;
+    if (!level) continue;
+    const key = `${period}:${periodKey(period, date)}`;
+    if (notified.get(key) === level || notified.get(key) === 'exceeded') continue;
+    notified.set(key, level);
+    const payload = { accountId, period: current.label, spent: current.spent, budget: current.budget, ratio: current.ratio };
+    if (level === 'exceeded') {
+      deps.logger.warn('usage-tracker', budgetMessage(current));
+      await deps.notify('budget_exceeded', payload);
+    } else {
+      await deps.notify('budget_warning', payload);
+    }
+  }
+}
+
+/**
+ * API 呼び出し1回分の使用量を記録する。失敗しても例外は投げない
+ * @param {object} entry - { accountId?, articleId?, runId?, purpose, model, usage, batch? }
+ *   articleId は記事ファイル名（.md の有無は問わない）
+ * @returns {Promise<number|null>} 費用（USD）。記録できなかったときは null
+ */
+async function recordUsage({ accountId = null, articleId = null, runId = null, purpose, model, usage, batch = false }) {
+  if (!usage) return null;
+  let cost;
+  try {
+    // 設定で追加したモデルの単価も引けるように読み直す
+    await models.listModels({ config: deps.config, logger: deps.logger });
+    cost = (await deps.isBilled()) ? estimateCost(model, usage, { batch }) : 0;
+    deps.db.recordTokenUsage({
+      accountId,
+      runId,
+      articleId: articleId ? String(articleId).replace(/\.md$/, '') : null,
+      purpose,
+      model,
+      ...toTokens(usage),
+      cost,
+    });
+  } catch (e) {
+    deps.logger.warn('usage-tracker', `使用量を記録できませんでした: ${e.message}`, { accountId, purpose });
+    return null;
+  }
+  try {
+    await checkBudget(accountId);
+  } catch (e) {
+    deps.logger.warn('usage-tracker', `予算の確認に失敗: ${e.message}`, { accountId });
+  }
+  return cost;
+}
+
+/**
+ * 費用の内訳
+ * @param {object} [filter] - { accountId?, since?, until? (ISO 文字列) }
+ * @returns {{ total: object, byPurpose: object[], byModel: object[], byAccount: object[], byDay: object[], byArticle: object[] }}
+ */
+function getCostBreakdown({ accountId = null, since = null, until = null } = {}) {
+  const filter = { accountId, since, until };
+  const [total] = deps.db.summarizeTokenCost(filter);
+  return {
+    total,
+    byPurpose: deps.db.summarizeTokenCost({ ...filter, groupBy: 'purpose' })
+      .map((row) => ({ ...row, label: PURPOSES[row.key] || row.key })),
+    byModel: deps.db.summarizeTokenCost({ ...filter, groupBy: 'model' }),
+    byAccount: deps.db.summarizeTokenCost({ ...filter, groupBy: 'account' }),
+    byDay: deps.db.summarizeTokenCost({ ...filter, groupBy: 'day' }),
+    byArticle: deps.db.summarizeTokenCost({ ...filter, groupBy: 'article' }).slice(0, 20),
+  };
+}
+
+/**
+ * GitHub Actions のリライトが同期リポジトリに書いた使用量のログを取り込む（取り込み済みの行は飛ばす）
+ * @param {string} repoDir - 同期リポジトリのディレクトリ
+ * @returns {Promise<number>} 取り込んだ行数
+ */
+async function importUsageLog(repoDir) {
+  const logPath = path.join(repoDir, USAGE_LOG_PATH);
+  if (!deps.fs.existsSync(logPath)) return 0;
+  // 設定で追加したモデルの単価も引けるように読み直す
+  await models.listModels({ config: deps.config, logger: deps.logger });
+  let imported = 0;
+  for (const line of deps.fs.readFileSync(logPath, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (!entry.id) continue;
+    const billed = (entry.provider || 'anthropic') === 'anthropic';
+    const recorded = deps.db.recordTokenUsage({
+      accountId: entry.account_id || null,
+      articleId: entry.article_id || null,
+      purpose: 'action_rewrite',
+      model: entry.model,
+      ...toTokens(entry),
+      cost: billed ? estimateCost(entry.model, entry) : 0,
+      sourceId: `action:${entry.id}`,
+      createdAt: entry.created_at || null,
+    });
+    if (recorded) imported++;
+  }
+  if (imported > 0) deps.logger.info('usage-tracker', `GitHub Actions の使用量を ${imported} 件取り込みました`);
+  return imported;
+}
+
+module.exports = {
+  PURPOSES,
+  USAGE_LOG_PATH,
+  estimateCost,
+  recordUsage,
+  getBudgetStatus,
+  assertWithinBudget,
+  getCostBreakdown,
+  importUsageLog,
+  // テスト用
+  _internal: { startOf, notified },
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+  },
+};
@@ -6,6 +6,11 @@
  *
  * Environment variables:
  *   ANTHROPIC_API_KEY - Claude API key
+ *   LLM_PROVIDER      - anthropic (default), openai (OpenAI-compatible server) or fake (fixtures, no network)
+ *   LLM_BASE_URL      - Base URL of the OpenAI-compatible server (LLM_PROVIDER=openai)
+ *   LLM_API_KEY       - API key of the OpenAI-compatible server (optional)
+ *   LLM_MODEL         - Model name on the OpenAI-compatible server (optional)
+ *   LLM_FIXTURES      - Fixture JSON file for LLM_PROVIDER=fake
  *   TARGET_FILE       - Specific file to rewrite (optional)
  *   LINE_START        - Start line for range rewrite (optional)
  *   LINE_END          - End line for range rewrite (optional)
@@ -13,11 +18,16 @@
  *   INSTRUCTION       - Rewrite instruction
  *   DRY_RUN           - If "true", output diff without writing (for /rewrite diff)
  *   BATCH_FILE        - JSON file with array of {file, lineStart, lineEnd, instruction} (for /rewrite apply)
+ *
+ * Token usage of every API call is appended to .note-usage/ai-rewrite.jsonl, which is committed with
+ * the rewrite and imported by the app on its next pull (cost accounting).
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const Anthropic = require('@anthropic-ai/sdk');
+// Deployed next to this script from electron/utils/llm-provider.js
+const llm = require('./llm-provider');
 
 const SYSTEM_PROMPT = `あなたはnoteで有料記事を販売するプロのコンテンツライターです。
 記事のリライト（書き直し）を行います。
@@ -30,8 +40,9 @@ const SYSTEM_PROMPT = `あなたはnoteで有料記事を販売するプロの
 - 指示がない箇所は変更しないでください`;
 
 async function main() {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+  const provider = process.env.LLM_PROVIDER || 'anthropic';
+  const apiKey = provider === 'anthropic' ? process.env.ANTHROPIC_API_KEY : process.env.LLM_API_KEY;
+  if (provider === 'anthropic' && !apiKey) {
     setOutput('success', 'false');
     console.error('ANTHROPIC_API_KEY が設定されていません');
     process.exit(1);
@@ -48,7 +59,20 @@ async function main() {
   }
 
   const model = config.model || 'claude-sonnet-4-5-20250929';
-  const client = new Anthropic({ apiKey });
+  let client;
+  try {
+    client = llm.createClient({
+      provider,
+      apiKey,
+      baseUrl: process.env.LLM_BASE_URL || '',
+      model: process.env.LLM_MODEL || '',
+      fixtures: process.env.LLM_FIXTURES || '',
+    });
+  } catch (e) {
+    setOutput('success', 'false');
+    console.error(e.message);
+    process.exit(1);
+  }
 
   // Build system prompt with config
   let systemPrompt = SYSTEM_PROMPT;
@@ -141,6 +165,7 @@ async function main() {
         system: systemPrompt,
         messages: [{ role: 'user', content: userPrompt }],
       });
+      logUsage(relPath, model, message.usage);
 
       const rewritten = message.content[0].text;
 
@@ -274,6 +299,7 @@ async function processBatch(client, model, systemPrompt, edits, isDryRun) {
           system: systemPrompt,
           messages: [{ role: 'user', content: userPrompt }],
         });
+        logUsage(path.relative(process.cwd(), absPath), model, message.usage);
 
         const rewritten = message.content[0].text;
         bodyPart = prefix + (prefix.endsWith('\n') ? '' : '\n') + rewritten + (suffix.startsWith('\n') ? '' : '\n') + suffix;
@@ -440,6 +466,32 @@ function parseSimpleYaml(text) {
   return result;
 }
 
+/**
+ * Append the token usage of one API call to the usage log. Articles live under {accountId}/, so the
+ * first path segment is the account. A failure here never fails the rewrite.
+ */
+function logUsage(relPath, model, usage) {
+  try {
+    const logPath = path.join(process.cwd(), '.note-usage', 'ai-rewrite.jsonl');
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    const segments = relPath.split(path.sep);
+    const entry = {
+      id: crypto.randomUUID(),
+      // The app only prices Anthropic usage
+      provider: process.env.LLM_PROVIDER || 'anthropic',
+      account_id: segments.length > 1 ? segments[0] : null,
+      article_id: path.basename(relPath, '.md'),
+      model,
+      input_tokens: usage?.input_tokens || 0,
+      output_tokens: usage?.output_tokens || 0,
+      created_at: new Date().toISOString(),
+    };
+    fs.appendFileSync(logPath, JSON.stringify(entry) + '\n', 'utf-8');
+  } catch (err) {
+    console.error(`使用量を記録できませんでした: ${err.message}`);
+  }
+}
+
 function setOutput(key, value) {
   const outputFile = process.env.GITHUB_OUTPUT;
   if (outputFile) {
@@ -0,0 +1,227 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+const db = await import('../db.js');
+
+describe('db', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'db-test-'));
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('migrations', () => {
+    it('空の DB に全マイグレーションを適用する', () => {
+      const conn = db.open(':memory:', { dataDir: tmpDir });
+      const latest = db.MIGRATIONS[db.MIGRATIONS.length - 1].version;
+      expect(db.getSchemaVersion(conn)).toBe(latest);
+
+      const tables = conn.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map((t) => t.name);
+      expect(tables).toEqual(expect.arrayContaining([
+        'articles', 'article_versions', 'topics_cache', 'telegram_mappings',
+        'review_sessions', 'generation_runs', 'token_usage',
+      ]));
+    });
+
+    it('適用済みの版は再実行しない', () => {
+      const file = path.join(tmpDir, 'test.db');
+      db.open(file, { dataDir: tmpDir });
+      db.close();
+      const conn = db.open(file, { dataDir: tmpDir });
+      expect(db.migrate(conn, { dataDir: tmpDir })).toEqual([]);
+    });
+  });
+
+  describe('legacy import', () => {
+    it('初回起動時に既存の JSON と記事ファイルを取り込む', () => {
+      const accountDir = path.join(tmpDir, 'accounts', 'tokken');
+      fs.mkdirSync(path.join(accountDir, 'articles'), { recursive: true });
+      fs.writeFileSync(path.join(accountDir, 'topics-cache.json'), JSON.stringify({
+        topics: [{ id: 1, theme: 'キャッシュテーマ', status: 'pending' }],
+        cached_at: '2026-02-19T00:00:00Z',
+      }));
+      fs.writeFileSync(path.join(accountDir, 'telegram-mappings.json'), JSON.stringify({
+        'a_1.md': { topicId: 42, telegraphUrl: 'https://telegra.ph/a' },
+      }));
+      fs.writeFileSync(path.join(accountDir, 'articles', 'a_1.md'), '---\nstatus: reviewed\nscore: 8.5\n---\n# 記事A\n\n本文');
+      fs.writeFileSync(path.join(accountDir, 'articles', 'b_2.md'), '# 記事B\n\n本文');
+
+      db.open(path.join(tmpDir, 'app.db'), { dataDir: tmpDir });
+
+      expect(db.loadTopicsCache('tokken')).toEqual({
+        topics: [{ id: 1, theme: 'キャッシュテーマ', status: 'pending' }],
+        cached_at: '2026-02-19T00:00:00Z',
+      });
+      expect(db.loadTelegramMappings('tokken')).toEqual({
+        'a_1.md': { topicId: 42, telegraphUrl: 'https://telegra.ph/a' },
+      });
+      expect(db.getArticle('tokken', 'a_1')).toMatchObject({ title: '記事A', status: 'reviewed', score: 8.5 });
+      expect(db.getArticle('tokken', 'b_2')).toMatchObject({ title: '記事B', status: 'generated' });
+      expect(db.listVersions('tokken', 'a_1')).toEqual([expect.objectContaining({ version: 1, source: 'imported' })]);
+    });
+  });
+
+  describe('repositories', () => {
+    beforeEach(() => {
+      db.open(':memory:', { dataDir: tmpDir });
+    });
+
+    it('記事インデックスをファイル一覧と同期する', () => {
+      db.upsertArticle('tokken', { filename: 'old.md', body: '# 古い記事' });
+      db.syncArticles('tokken', [
+        { filename: 'new.md', metadata: { status: 'rejected' }, body: '# 新しい記事' },
+      ]);
+      expect(db.listArticles('tokken').map((a) => a.article_id)).toEqual(['new']);
+      expect(db.listArticles('tokken', { status: 'rejected' })[0].title).toBe('新しい記事');
+    });
+
+    it('本文が変わったときだけ版を追加する', () => {
+      expect(db.addVersion('tokken', 'a', { source: 'generated', body: 'v1' }).version).toBe(1);
+      expect(db.addVersion('tokken', 'a', { source: 'edited', body: 'v1' })).toBeNull();
+      expect(db.addVersion('tokken', 'a', { source: 'edited', body: 'v2', note: '手動修正' }).version).toBe(2);
+      expect(db.getVersion('tokken', 'a', 2)).toMatchObject({ body: 'v2', source: 'edited', note: '手動修正' });
+      expect(db.listVersions('tokken', 'a').map((v) => v.version)).toEqual([1, 2]);
+    });
+
+    it('レビューセッションを保存・復元・削除する', () => {
+      db.saveReviewSession({
+        topicId: 7, accountId: 'tokken', filename: 'a.md', state: 'collecting',
+        instructions: [{ display: '全体: 短く' }], createdAt: '2026-01-01T00:00:00.000Z',
+      });
+      expect(db.loadReviewSessions()).toEqual([{
+        topicId: 7, accountId: 'tokken', filename: 'a.md', state: 'collecting',
+        instructions: [{ display: '全体: 短く' }], createdAt: '2026-01-01T00:00:00.000Z',
+      }]);
+      db.removeReviewSession(7);
+      expect(db.loadReviewSessions()).toEqual([]);
+    });
+
+    it('落ちたバッチ生成を中断扱いにし、回収中の Message Batch のジョブは残す', () => {
+      const runId = db.startGenerationRun('tokken', { mode: 'batch', model: 'm', progress: { topicIds: [1, 2], results: [] } });
+      db.saveGenerationRunProgress(runId, { topicIds: [1, 2], results: [{ topicId: 1, status: 'success' }] });
+      const batchRunId = db.startGenerationRun('tokken', { mode: 'batch', model: 'm' });
+      db.saveGenerationBatch('tokken', { batchId: 'msgbatch_01', runId: batchRunId, topics: [] });
+
+      expect(db.interruptGenerationRuns()).toBe(1);
+      expect(db.getGenerationRun(batchRunId).status).toBe('running');
+      expect(db.listInterruptedGenerationRuns('tokken')).toEqual([expect.objectContaining({
+        id: runId, status: 'interrupted', progress: { topicIds: [1, 2], results: [{ topicId: 1, status: 'success' }] },
+      })]);
+
+      db.resumeGenerationRun(runId);
+      expect(db.getGenerationRun(runId)).toMatchObject({ status: 'running', finished_at: null });
+      expect(db.listInterruptedGenerationRuns('tokken')).toEqual([]);
+    });
+
+    it('生成ジョブとトークン使用量を記録する', () => {
+      const runId = db.startGenerationRun('tokken', { mode: 'single', topicId: 3, model: 'm' });
+      db.finishGenerationRun(runId, { status: 'success', result: { filename: 'a.md' } });
+      expect(db.listGenerationRuns('tokken')[0]).toMatchObject({
+        id: runId, status: 'success', topic_id: 3, result: { filename: 'a.md' },
+      });
+
+      db.recordTokenUsage({ accountId: 'tokken', runId, purpose: 'generation', model: 'm', inputTokens: 100, outputTokens: 50 });
+      db.recordTokenUsage({ accountId: 'tokken', purpose: 'scoring', model: 'm', inputTokens: 10, outputTokens: 5 });
+      db.recordTokenUsage({ accountId: 'other', purpose: 'scoring', model: 'm', inputTokens: 1, outputTokens: 1 });
+      expect(db.summarizeTokenUsage({ accountId: 'tokken' })).toEqual([
+        { model: 'm', input_tokens: 110, output_tokens: 55, calls: 2 },
+      ]);
+    });
+
+    it('費用を切り口ごとに集計し、同じ取り込み元の行は二重に記録しない', () => {
+      db.recordTokenUsage({ accountId: 'tokken', articleId: 'a', purpose: 'generation', model: 'm', inputTokens: 100, outputTokens: 50, cost: 0.5 });
+      db.recordTokenUsage({ accountId: 'tokken', purpose: 'outline', model: 'm', inputTokens: 10, outputTokens: 5, cost: 0.1, createdAt: '2026-01-01T00:00:00.000Z' });
+      expect(db.recordTokenUsage({ accountId: 'other', purpose: 'action_rewrite', model: 'm', cost: 0.2, sourceId: 'action:1' })).toBe(true);
+      expect(db.recordTokenUsage({ accountId: 'other', purpose: 'action_rewrite', model: 'm', cost: 0.2, sourceId: 'action:1' })).toBe(false);
+
+      expect(db.summarizeTokenCost()).toEqual([{ key: null, input_tokens: 110, output_tokens: 55, cost: 0.8, calls: 3 }]);
+      expect(db.summarizeTokenCost({ groupBy: 'account' }).map((r) => [r.key, r.cost])).toEqual([['tokken', 0.6], ['other', 0.2]]);
+      expect(db.summarizeTokenCost({ accountId: 'tokken', groupBy: 'article' }).map((r) => r.key)).toEqual(['tokken/a']);
+      expect(db.summarizeTokenCost({ since: '2026-02-01T00:00:00.000Z', groupBy: 'purpose' }).map((r) => r.key)).toEqual(['generation', 'action_rewrite']);
+      expect(() => db.summarizeTokenCost({ groupBy: 'nope' })).toThrow('不明な集計の切り口です');
+    });
+
+    it('送信したバッチを回収するまで未回収として残す', () => {
+      const topics = [{ custom_id: 'topic-3', id: 3, theme: '京都' }];
+      db.saveGenerationBatch('tokken', { batchId: 'msgbatch_1', runId: 9, model: 'm', topics });
+      db.updateGenerationBatch('msgbatch_1', { requestCounts: { processing: 1, succeeded: 0 } });
+      expect(db.listOpenGenerationBatches().map((b) => b.batch_id)).toEqual(['msgbatch_1']);
+      expect(db.getGenerationBatch('msgbatch_1')).toMatchObject({
+        account_id: 'tokken', run_id: 9, topics, status: 'in_progress', request_counts: { processing: 1, succeeded: 0 }, collected: {},
+      });
+      db.updateGenerationBatch('msgbatch_1', { collected: { 'topic-3': { topicId: 3, status: 'success' } } });
+      expect(db.getGenerationBatch('msgbatch_1').collected).toEqual({ 'topic-3': { topicId: 3, status: 'success' } });
+
+      db.updateGenerationBatch('msgbatch_1', { status: 'collected', result: { generated: 1, errors: 0 } });
+      expect(db.listOpenGenerationBatches('tokken')).toEqual([]);
+      expect(db.getGenerationBatch('msgbatch_1').collected_at).toBeTruthy();
+    });
+
+    it('アウトラインを承認待ちで保存し、状態と Telegram のトピックを更新する', () => {
+      const topic = { id: 3, theme: '京都', is_paid: true };
+      const id = db.saveGenerationOutline('tokken', {
+        topic, outline: { title: '京都の1日' }, model: 'm', prompts: { system: 's', user: 'u' }, usage: { input_tokens: 10, output_tokens: 5 },
+      });
+      db.updateGenerationOutline(id, { telegramTopicId: 77 });
+      expect(db.listGenerationOutlines('tokken', { status: 'pending', topicId: 3 })).toEqual([
+        expect.objectContaining({ id, topic_id: '3', topic, outline: { title: '京都の1日' }, prompts: { system: 's', user: 'u' } }),
+      ]);
+      expect(db.findGenerationOutlineByTelegramTopic(77).id).toBe(id);
+
+      db.updateGenerationOutline(id, { status: 'expanded', filename: 'a.md', outline: { title: '直したタイトル' } });
+      expect(db.getGenerationOutline(id)).toMatchObject({ status: 'expanded', filename: 'a.md', outline: { title: '直したタイトル' } });
+      expect(db.listGenerationOutlines('tokken', { status: 'pending' })).toEqual([]);
+    });
+
+    it('連載の回をテーマで引き、同じテーマならトピック ID が合う回を選ぶ', () => {
+      const id = db.saveSeries('tokken', {
+        title: '京都ガイド入門', seedTheme: '京都ガイド', persona: '元ツアーガイド',
+        parts: [{ theme: '集合場所', summary: '駅での集合' }, { theme: 'まとめ' }],
+      });
+      const other = db.saveSeries('tokken', { title: '別の連載', seedTheme: 'x', parts: [{ theme: 'まとめ' }, { theme: '続き' }] });
+      db.updateSeriesPart(id, 2, { topicId: 8, filename: 'b.md' });
+
+      expect(db.getSeries(id)).toMatchObject({
+        title: '京都ガイド入門', persona: '元ツアーガイド',
+        parts: [
+          { part: 1, theme: '集合場所', summary: '駅での集合', topic_id: null, filename: null },
+          { part: 2, theme: 'まとめ', summary: null, topic_id: '8', filename: 'b.md' },
+        ],
+      });
+      expect(db.findSeriesPart('tokken', { id: 8, theme: 'まとめ' })).toMatchObject({ series: { id }, part: 2 });
+      expect(db.findSeriesPart('tokken', { id: 9, theme: 'まとめ' })).toMatchObject({ series: { id: other }, part: 1 });
+      expect(db.findSeriesPart('other', { id: 8, theme: 'まとめ' })).toBeNull();
+      expect(db.listSeries('tokken').map((s) => s.id)).toEqual([other, id]);
+
+      db.removeSeries(other);
+      expect(db.getSeries(other)).toBeNull();
+      expect(db.findSeriesPart('tokken', { id: 9, theme: 'まとめ' })).toMatchObject({ series: { id }, part: 2 });
+    });
+
+    it('システムプロンプトの版を追加・復元し、版ごとの記事数と平均スコアを付けて並べる', () => {
+      db.open(':memory:', { dataDir: tmpDir });
+      expect(db.getActiveSystemPromptVersion()).toBeNull();
+      db.addSystemPromptVersion({ text: 'v1', note: '初期版' });
+      expect(db.addSystemPromptVersion({ text: 'v2 です' })).toMatchObject({ version: 2, text: 'v2 です', note: null, active: true });
+      db.upsertArticle('tokken', { filename: 'a.md', metadata: { system_prompt_version: 1, score: 6 }, body: '# A' });
+      db.upsertArticle('tokken', { filename: 'b.md', metadata: { system_prompt_version: 1, score: 8 }, body: '# B' });
+      db.upsertArticle('tokken', { filename: 'c.md', metadata: { system_prompt_version: 2 }, body: '# C' });
+
+      expect(db.activateSystemPromptVersion(1)).toMatchObject({ version: 1, active: true });
+      expect(db.getActiveSystemPromptVersion().text).toBe('v1');
+      expect(db.updateSystemPromptNote(2, '語尾を変えた').note).toBe('語尾を変えた');
+      expect(db.listSystemPromptVersions()).toEqual([
+        expect.objectContaining({ version: 2, note: '語尾を変えた', active: false, chars: 5, articles: 1, avg_score: null }),
+        expect.objectContaining({ version: 1, note: '初期版', active: true, chars: 2, articles: 2, avg_score: 7 }),
+      ]);
+    });
+  });
+});
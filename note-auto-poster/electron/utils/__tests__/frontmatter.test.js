@@ -0,0 +1,76 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+
+const { parse, stringify, extractTitle, articleFields } = await import('../frontmatter.js');
+
+describe('frontmatter', () => {
+  it('frontmatter の無い記事はそのまま本文として扱う', () => {
+    expect(parse('# タイトル\n本文')).toEqual({ metadata: {}, body: '# タイトル\n本文' });
+  });
+
+  it('スカラー・配列を読み書きできる', () => {
+    const content = stringify({ status: 'generated', is_paid: true, price: 500, tags: ['AI', 'note'] }, '# T\n');
+    expect(parse(content)).toEqual({
+      metadata: { status: 'generated', is_paid: true, price: 500, tags: ['AI', 'note'] },
+      body: '# T\n',
+    });
+  });
+
+  it('1階層のネストしたマップを読み書きできる', () => {
+    const metadata = {
+      score: 7.5,
+      scores: { persona: 8, tone: 7 },
+      score_reasons: { persona: '業務形態と一致: 問題なし' },
+      status: 'generated',
+    };
+    const content = stringify(metadata, '# T\n');
+    expect(content).toContain('scores:\n  persona: 8\n  tone: 7\n');
+    expect(parse(content).metadata).toEqual(metadata);
+  });
+
+  it('null / undefined の値は書き出さない', () => {
+    const content = stringify({ status: 'generated', note_url: null, scores: { a: 1, b: undefined } }, '');
+    expect(content).not.toContain('note_url');
+    expect(content).not.toContain('b:');
+  });
+
+  it('extractTitle は1行目の見出し記号を除く', () => {
+    expect(extractTitle('## タイトル\n本文')).toBe('タイトル');
+    expect(extractTitle('')).toBe('');
+  });
+
+  it('articleFields は生成時の frontmatter を画面用の項目にする', () => {
+    const content = stringify({
+      topic_id: 3,
+      account_id: 'tokken',
+      pillar: 'guide_ai',
+      is_paid: true,
+      price: 500,
+      generated_at: '2026-02-20T10:30:00Z',
+      model: 'claude-sonnet-4-5-20250929',
+      status: 'reviewed',
+      tags: ['AI', '副業'],
+      token_usage: { input: 1200, output: 3400 },
+      prompt_version: 'sha256:0123456789ab',
+    }, '# T\n');
+    expect(articleFields(parse(content).metadata)).toMatchObject({
+      status: 'reviewed',
+      topic_id: 3,
+      pillar: 'guide_ai',
+      tags: ['AI', '副業'],
+      pricing: { is_paid: true, price: 500, magazine: null },
+      generated_at: '2026-02-20T10:30:00Z',
+      model: 'claude-sonnet-4-5-20250929',
+      token_usage: { input: 1200, output: 3400 },
+      prompt_version: 'sha256:0123456789ab',
+      regenerate_count: 0,
+      escalated: false,
+    });
+  });
+
+  it('articleFields は frontmatter の無い記事を generated として扱う', () => {
+    expect(articleFields(parse('# 古い記事\n本文').metadata)).toMatchObject({
+      status: 'generated', pillar: null, tags: [], model: null, token_usage: null, batch_id: null,
+    });
+  });
+});
@@ -0,0 +1,179 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+const llm = await import('../llm-provider.js');
+const { resolveSettings, createClient, getClient, isBilled, DEMO_FIXTURES } = llm;
+
+function createConfig(values = {}) {
+  return { get: vi.fn(async (key) => values[key]) };
+}
+
+const FIXTURES = {
+  responses: [
+    { match: ['採点', 'JSON'], text: '{"score": 8}' },
+    { pattern: 'テーマ：(.+)', text: ['# {{1}}', '', '本文'] },
+    { match: '長い記事', text: '途中まで', stop_reason: 'max_tokens' },
+  ],
+};
+
+function collect(stream) {
+  const events = [];
+  const texts = [];
+  stream.on('streamEvent', (event) => events.push(event.type));
+  stream.on('text', (delta, snapshot) => texts.push(snapshot));
+  return { events, texts };
+}
+
+describe('resolveSettings / createClient', () => {
+  afterEach(() => {
+    delete process.env.NOTE_AUTO_POSTER_DEMO;
+  });
+
+  it('設定のプロバイダと接続先を読み、デモモードでは fake にする', async () => {
+    expect(await resolveSettings({ config: createConfig({ 'api.anthropic_key': 'sk-test' }) }))
+      .toMatchObject({ provider: 'anthropic', demo: false, apiKey: 'sk-test' });
+    expect(await resolveSettings({
+      config: createConfig({ 'api.provider': 'openai', 'api.local_base_url': 'http://localhost:8080/v1', 'api.local_model': 'qwen' }),
+    })).toMatchObject({ provider: 'openai', baseUrl: 'http://localhost:8080/v1', model: 'qwen', apiKey: '' });
+
+    const demo = await resolveSettings({ config: createConfig({ 'api.provider': 'openai', 'app.demo_mode': true }) });
+    expect(demo).toMatchObject({ provider: 'fake', demo: true, fixtures: DEMO_FIXTURES });
+    process.env.NOTE_AUTO_POSTER_DEMO = '1';
+    expect((await resolveSettings({ config: createConfig() })).provider).toBe('fake');
+    expect(await isBilled({ config: createConfig({ 'api.anthropic_key': 'sk-test' }) })).toBe(false);
+  });
+
+  it('キーや URL が無い・知らないプロバイダはエラーにする', async () => {
+    await expect(getClient({ config: createConfig() })).rejects.toThrow('Anthropic APIキーが設定されていません');
+    expect(() => createClient({ provider: 'openai' })).toThrow('OpenAI 互換サーバーの URL が設定されていません');
+    await expect(resolveSettings({ config: createConfig({ 'api.provider': 'gemini' }) })).rejects.toThrow('不明なプロバイダです: gemini');
+    expect(() => createClient({ provider: 'fake', fixtures: '/no/such/fixtures.json' })).toThrow('フィクスチャを読み込めません');
+  });
+});
+
+describe('fake', () => {
+  it('上から順にフィクスチャと照らし合わせ、キャプチャを埋める。当たらなければ最後のメッセージを返す', async () => {
+    const client = createClient({ provider: 'fake', fixtures: FIXTURES });
+
+    const scored = await client.messages.create({ model: 'haiku', messages: [{ role: 'user', content: '採点して JSON で返して' }] });
+    expect(scored).toMatchObject({ model: 'haiku', content: [{ type: 'text', text: '{"score": 8}' }], stop_reason: 'end_turn' });
+    expect(scored.usage.input_tokens).toBeGreaterThan(0);
+
+    const article = await client.messages.create({
+      model: 'sonnet',
+      system: 'あなたはライターです',
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'テーマ：京都ガイド ' }] }],
+    });
+    expect(article.content[0].text).toBe('# 京都ガイド\n\n本文');
+
+    const echoed = await client.messages.create({ model: 'sonnet', messages: [{ role: 'user', content: 'そのまま' }] });
+    expect(echoed.content[0].text).toBe('そのまま');
+    expect((await client.messages.create({ model: 'sonnet', messages: [{ role: 'user', content: '長い記事' }] })).stop_reason).toBe('max_tokens');
+    expect(client.calls).toHaveLength(4);
+    // 同じプロンプトには同じ応答
+    const again = await client.messages.create({ model: 'haiku', messages: [{ role: 'user', content: '採点して JSON で返して' }] });
+    expect(again).toEqual(scored);
+  });
+
+  it('SDK と同じ形のイベントで流し、finalMessage で全体を返す', async () => {
+    const client = createClient({ provider: 'fake', fixtures: { responses: [{ match: '長文', text: 'あ'.repeat(100) }] } });
+    const stream = client.messages.stream({ model: 'sonnet', messages: [{ role: 'user', content: '長文' }] });
+    const { events, texts } = collect(stream);
+
+    const message = await stream.finalMessage();
+
+    expect(message.content[0].text).toBe('あ'.repeat(100));
+    expect(events[0]).toBe('message_start');
+    expect(events.filter((e) => e === 'content_block_delta')).toHaveLength(3);
+    expect(events.at(-1)).toBe('message_delta');
+    expect(texts.at(-1)).toBe('あ'.repeat(100));
+
+    const controller = new AbortController();
+    controller.abort();
+    await expect(client.messages.stream({ model: 'sonnet', messages: [{ role: 'user', content: '長文' }] }, { signal: controller.signal }).finalMessage())
+      .rejects.toThrow('Request was aborted.');
+  });
+
+  it('同梱のデモ用フィクスチャを読める', async () => {
+    const client = createClient({ provider: 'fake', fixtures: DEMO_FIXTURES });
+    const message = await client.messages.create({
+      model: 'sonnet',
+      messages: [{ role: 'user', content: '次のトピックについて記事を書いてください：京都ガイドの1日' }],
+    });
+    expect(message.content[0].text).toMatch(/^# 【保存版】京都ガイドの1日｜/);
+    expect(message.content[0].text).toContain('<!-- paid-line -->');
+  });
+});
+
+describe('openai', () => {
+  function sseBody(lines) {
+    const encoder = new TextEncoder();
+    const text = lines.map((l) => `data: ${typeof l === 'string' ? l : JSON.stringify(l)}\n\n`).join('');
+    // 行の途中で切れたチャンクも読めること
+    return [encoder.encode(text.slice(0, 25)), encoder.encode(text.slice(25))];
+  }
+
+  it('chat/completions に変換して送り、Anthropic の形で返す', async () => {
+    const fetch = vi.fn(async () => ({
+      ok: true,
+      json: async () => ({
+        model: 'qwen',
+        choices: [{ message: { content: '# 記事' }, finish_reason: 'length' }],
+        usage: { prompt_tokens: 120, completion_tokens: 30 },
+      }),
+    }));
+    const client = createClient({ provider: 'openai', baseUrl: 'http://localhost:8080/v1/', apiKey: 'local', model: 'qwen' }, { fetch });
+
+    const message = await client.messages.create({
+      model: 'claude-sonnet-4-5-20250929',
+      max_tokens: 1024,
+      system: 'システム',
+      messages: [{ role: 'user', content: '書いて' }],
+    });
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(init.headers.Authorization).toBe('Bearer local');
+    expect(JSON.parse(init.body)).toEqual({
+      model: 'qwen',
+      max_tokens: 1024,
+      messages: [{ role: 'system', content: 'システム' }, { role: 'user', content: '書いて' }],
+      stream: false,
+    });
+    expect(message).toMatchObject({
+      model: 'qwen', content: [{ type: 'text', text: '# 記事' }], stop_reason: 'max_tokens', usage: { input_tokens: 120, output_tokens: 30 },
+    });
+    expect(client.messages.batches).toBeUndefined();
+  });
+
+  it('ストリームを SSE で受け取り、最後の usage を message_delta で渡す', async () => {
+    const fetch = vi.fn(async () => ({
+      ok: true,
+      body: sseBody([
+        { model: 'qwen', choices: [{ delta: { content: '# 京都' } }] },
+        { choices: [{ delta: { content: 'ガイド' }, finish_reason: 'stop' }] },
+        { choices: [], usage: { prompt_tokens: 50, completion_tokens: 4 } },
+        '[DONE]',
+      ]),
+    }));
+    const client = createClient({ provider: 'openai', baseUrl: 'http://localhost:8080/v1' }, { fetch });
+    const stream = client.messages.stream({ model: 'sonnet', max_tokens: 100, messages: [{ role: 'user', content: '書いて' }] });
+    const deltas = [];
+    stream.on('streamEvent', (event) => event.type === 'message_delta' && deltas.push(event.usage));
+    const { texts } = collect(stream);
+
+    const message = await stream.finalMessage();
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({ model: 'sonnet', stream: true, stream_options: { include_usage: true } });
+    expect(texts).toEqual(['# 京都', '# 京都ガイド']);
+    expect(message).toMatchObject({ model: 'qwen', stop_reason: 'end_turn', content: [{ text: '# 京都ガイド' }] });
+    expect(deltas).toEqual([{ input_tokens: 50, output_tokens: 4 }]);
+  });
+
+  it('サーバーのエラーを伝える', async () => {
+    const fetch = vi.fn(async () => ({ ok: false, status: 503, text: async () => 'model is loading' }));
+    const client = createClient({ provider: 'openai', baseUrl: 'http://localhost:8080/v1' }, { fetch });
+    await expect(client.messages.create({ model: 'sonnet', messages: [{ role: 'user', content: 'x' }] }))
+      .rejects.toThrow('OpenAI 互換サーバーのエラー (503): model is loading');
+  });
+});
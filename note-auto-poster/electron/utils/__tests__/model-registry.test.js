@@ -0,0 +1,82 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const registry = await import('../model-registry.js');
+const { listModels, findModel, modelForTask, listTasks, pricingFor, capTokens, _setDepsForTesting } = registry;
+
+describe('model-registry', () => {
+  let values;
+  let ctx;
+
+  beforeEach(() => {
+    values = {};
+    ctx = {
+      config: { get: vi.fn(async (key) => values[key]) },
+      logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+    };
+    _setDepsForTesting(ctx);
+  });
+
+  it('別名とモデル ID のどちらでも引ける', async () => {
+    expect((await findModel('opus')).id).toBe('claude-opus-4-6');
+    expect((await findModel('Haiku')).id).toBe('claude-haiku-4-5-20251001');
+    expect((await findModel('claude-sonnet-4-5-20250929')).alias).toBe('sonnet');
+    expect(await findModel('gpt-4')).toBeNull();
+  });
+
+  it('処理ごとに設定のモデルを使い、未設定なら既定のモデルを使う', async () => {
+    values['api.scoring_model'] = 'opus';
+    expect((await modelForTask('scoring')).id).toBe('claude-opus-4-6');
+    expect((await modelForTask('structure_map')).id).toBe('claude-haiku-4-5-20251001');
+    expect((await modelForTask('batch_rewrite', { override: 'haiku' })).id).toBe('claude-haiku-4-5-20251001');
+    await expect(modelForTask('nope')).rejects.toThrow('不明な処理です');
+  });
+
+  it('登録されていないモデルは設定を書き換えずに既定のモデルで動かす', async () => {
+    values['api.generation_model'] = 'claude-retired-1';
+    ctx.config.set = vi.fn();
+
+    expect((await modelForTask('generation')).id).toBe('claude-sonnet-4-5-20250929');
+    expect(ctx.logger.warn).toHaveBeenCalledWith('model-registry', expect.stringContaining('claude-retired-1'), { task: 'generation' });
+    expect(ctx.config.set).not.toHaveBeenCalled();
+  });
+
+  it('設定で追加したモデルを処理に割り当て、単価と最大出力トークン数を引ける', async () => {
+    values['models.custom'] = [
+      { id: 'claude-sonnet-5', label: 'Claude Sonnet 5', alias: 'sonnet', input_price: 2, output_price: 10, max_output_tokens: 4096 },
+      { id: '' },
+    ];
+    values['api.regeneration_model'] = 'claude-sonnet-5';
+
+    const models = await listModels();
+    expect(models.map((m) => [m.id, m.alias, m.custom])).toEqual([
+      ['claude-sonnet-5', 'sonnet', true],
+      ['claude-sonnet-4-5-20250929', null, false],
+      ['claude-opus-4-6', 'opus', false],
+      ['claude-haiku-4-5-20251001', 'haiku', false],
+    ]);
+    // 別名 sonnet は追加したモデルを指す
+    expect((await modelForTask('generation')).id).toBe('claude-sonnet-5');
+    expect((await modelForTask('regeneration')).id).toBe('claude-sonnet-5');
+
+    expect(pricingFor('claude-sonnet-5')).toEqual({ input: 2, output: 10 });
+    expect(capTokens('claude-sonnet-5', 8192)).toBe(4096);
+    expect(capTokens('claude-opus-4-6', 8192)).toBe(8192);
+    expect(capTokens('unknown-model', 8192)).toBe(8192);
+  });
+
+  it('登録にないモデルの単価はファミリー名、それも無ければ sonnet で見積もる', () => {
+    expect(pricingFor('claude-opus-4-7')).toEqual({ input: 5, output: 25 });
+    expect(pricingFor('mystery')).toEqual({ input: 3, output: 15 });
+  });
+
+  it('設定画面用に処理ごとの設定値と解決後のモデルを返す', async () => {
+    values['telegram.edit_model'] = 'sonnet';
+    const tasks = await listTasks();
+    expect(tasks.find((t) => t.task === 'quick_edit')).toEqual({
+      task: 'quick_edit', label: 'Telegram の修正指示', key: 'telegram.edit_model', value: 'sonnet', default: 'haiku',
+      model: 'claude-sonnet-4-5-20250929',
+    });
+    expect(tasks.find((t) => t.task === 'action_rewrite')).toMatchObject({ value: 'sonnet', model: 'claude-sonnet-4-5-20250929' });
+  });
+});
@@ -88,6 +88,13 @@ describe('sheet-manager', () => {
       expect(obj.price).toBe(3000);
       expect(obj.free_preview_ratio).toBe(0.3);
       expect(obj.status).toBe('pending');
+      expect(obj.persona).toBe('');
+    });
+
+    it('K列の想定読者を persona として読む', async () => {
+      const { _internal } = await import('../sheet-manager.js');
+      const row = ['4', 'テーマD', '', '', 'guide_ai', 'TRUE', '500', '0.3', 'pending', '', '副業ガイド'];
+      expect(_internal.rowToObject(row).persona).toBe('副業ガイド');
     });
 
     it('FALSEをbooleanに変換する', async () => {
@@ -7,11 +7,31 @@ const schema = {
     type: 'object',
     additionalProperties: true,
     properties: {
+      // LLM のプロバイダ: anthropic / openai（OpenAI 互換サーバー）/ fake（フィクスチャ）。llm-provider.js
+      provider: { type: 'string', default: 'anthropic' },
       anthropic_key: { type: 'string', default: '' },
+      // OpenAI 互換サーバー（手元のモデルサーバー）。local_model が空なら処理ごとのモデル名で呼ぶ
+      local_base_url: { type: 'string', default: 'http://localhost:11434/v1' },
+      local_model: { type: 'string', default: '' },
+      local_key: { type: 'string', default: '' },
+      // fake の応答を決めるフィクスチャ（JSON のパス）。空なら同梱のデモ用
+      fake_fixtures: { type: 'string', default: '' },
       web_search_key: { type: 'string', default: '' },
-      generation_model: { type: 'string', default: 'claude-sonnet-4-5-20250929' },
-      scoring_model: { type: 'string', default: 'claude-haiku-4-5-20251001' },
-      regeneration_model: { type: 'string', default: 'claude-sonnet-4-5-20250929' },
+      web_search_provider: { type: 'string', default: 'brave' },
+      // 処理ごとのモデル。モデル ID か別名（sonnet / opus / haiku）。登録は model-registry.js と models.custom
+      generation_model: { type: 'string', default: 'sonnet' },
+      scoring_model: { type: 'string', default: 'haiku' },
+      regeneration_model: { type: 'string', default: 'sonnet' },
+      structure_map_model: { type: 'string', default: 'haiku' },
+      batch_rewrite_model: { type: 'string', default: 'sonnet' },
+      action_rewrite_model: { type: 'string', default: 'sonnet' },
+      title_model: { type: 'string', default: 'sonnet' },
+      // バッチ生成を Message Batches API で送る（結果は後から回収）
+      use_batch: { type: 'boolean', default: false },
+      // 逐次のバッチ生成で同時に書く記事の数（1〜5）
+      concurrency: { type: 'number', default: 2 },
+      // 先にアウトラインを作り、承認してから本文を書く
+      outline_first: { type: 'boolean', default: false },
       google_service_account_key_path: { type: 'string', default: '' },
     },
     default: {},
@@ -34,11 +54,29 @@ const schema = {
     type: 'object',
     additionalProperties: true,
     properties: {
+      enabled: { type: 'boolean', default: true },
       auto_approve_threshold: { type: 'number', default: 8 },
       auto_reject_threshold: { type: 'number', default: 4 },
     },
     default: {},
   },
+  regeneration: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      enabled: { type: 'boolean', default: true },
+      max_attempts: { type: 'number', default: 3 },
+    },
+    default: {},
+  },
+  fact_check: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      enabled: { type: 'boolean', default: true },
+    },
+    default: {},
+  },
   article: {
     type: 'object',
     additionalProperties: true,
@@ -57,6 +95,8 @@ const schema = {
       language: { type: 'string', default: '日本語' },
       min_chars: { type: 'number', default: 1500 },
       max_chars: { type: 'number', default: 4000 },
+      // デモモード: ネットワークを使わずにフェイクのプロバイダで動かす（環境変数 NOTE_AUTO_POSTER_DEMO=1 でも可）
+      demo_mode: { type: 'boolean', default: false },
     },
     default: {},
   },
@@ -71,6 +111,38 @@ const schema = {
     },
     default: {},
   },
+  notifications: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      // { desktop: { enabled }, telegram: { enabled }, webhook: { enabled, url }, email: { enabled, host, port, secure, user, pass, from, to } }
+      channels: { type: 'object', additionalProperties: true, default: {} },
+      // { [event]: ['desktop', 'email', ...] } 未設定のイベントは notifier の既定の送り先
+      routes: { type: 'object', additionalProperties: true, default: {} },
+    },
+    default: {},
+  },
+  budget: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      // Anthropic API の利用額の上限（USD、全アカウントの合計）。0 は上限なし
+      daily_usd: { type: 'number', default: 0 },
+      monthly_usd: { type: 'number', default: 0 },
+      // 上限のこの割合に達したら budget_warning を通知する
+      warn_ratio: { type: 'number', default: 0.8 },
+    },
+    default: {},
+  },
+  models: {
+    type: 'object',
+    additionalProperties: true,
+    properties: {
+      // 追加で使うモデル [{ id, label, alias, input_price, output_price, max_output_tokens }]
+      custom: { type: 'array', default: [] },
+    },
+    default: {},
+  },
   telegram: {
     type: 'object',
     additionalProperties: true,
@@ -79,7 +151,7 @@ const schema = {
       chat_id: { type: 'string', default: '' },
       enabled: { type: 'boolean', default: false },
       telegraph_access_token: { type: 'string', default: '' },
-      edit_model: { type: 'string', default: 'claude-haiku-4-5-20251001' },
+      edit_model: { type: 'string', default: 'haiku' },
     },
     default: {},
   },
@@ -1,17 +1,7 @@
 const { google } = require('googleapis');
 const fs = require('fs');
-const path = require('path');
 const config = require('./config');
-
-function getDataDir() {
-  try {
-    const { app } = require('electron');
-    return path.join(app.getPath('userData'), 'data');
-  } catch {
-    // Fallback for testing or when app is not ready
-    return path.join(__dirname, '..', '..', 'data');
-  }
-}
+const db = require('./db');
 
 // Map common header variations to normalized field names
 const HEADER_ALIASES = {
@@ -31,6 +21,8 @@ const HEADER_ALIASES = {
   価格: 'price',
   free_preview_ratio: 'free_preview_ratio',
   無料プレビュー率: 'free_preview_ratio',
+  persona: 'persona',
+  想定読者: 'persona',
   status: 'status',
   ステータス: 'status',
   updated_at: 'updated_at',
@@ -94,30 +86,19 @@ class SheetManager {
     return { spreadsheetId, sheetName };
   }
 
-  _getCachePath(accountId) {
-    return path.join(getDataDir(), 'accounts', accountId, 'topics-cache.json');
-  }
-
   _saveCache(accountId, topics) {
     try {
-      const cachePath = this._getCachePath(accountId);
-      const cacheDir = path.dirname(cachePath);
-      if (!fs.existsSync(cacheDir)) {
-        fs.mkdirSync(cacheDir, { recursive: true });
-      }
-      const data = { topics, cached_at: new Date().toISOString() };
-      fs.writeFileSync(cachePath, JSON.stringify(data, null, 2), 'utf-8');
+      db.saveTopicsCache(accountId, topics);
     } catch (e) {
       console.error('[SheetManager] Cache save failed:', e.message);
     }
   }
 
   _loadCache(accountId) {
-    const cachePath = this._getCachePath(accountId);
-    if (!fs.existsSync(cachePath)) return null;
     try {
-      return JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
-    } catch {
+      return db.loadTopicsCache(accountId);
+    } catch (e) {
+      console.error('[SheetManager] Cache load failed:', e.message);
       return null;
     }
   }
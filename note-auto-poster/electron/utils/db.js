@@ -0,0 +1,1145 @@
+/**
+ * SQLite persistence layer
+ *
+ * 記事のインデックスと版・トピックキャッシュ・Telegram マッピング・レビューセッション・
+ * 生成ジョブ・トークン使用量・連載を 1 つの DB（data/note-autoposter.db）で管理する。
+ * 記事本文は従来どおり data/accounts/{id}/articles/*.md が正で、DB はその索引と履歴を持つ。
+ *
+ * スキーマは MIGRATIONS に追記していき、PRAGMA user_version で適用済みの版を管理する。
+ * 版 2 で既存の JSON / Markdown ファイルを取り込む（初回起動時に 1 度だけ実行される）。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const frontmatter = require('./frontmatter');
+const logger = require('./logger');
+
+const DB_FILENAME = 'note-autoposter.db';
+
+let instance = null;
+
+function getDataDir() {
+  try {
+    const { app } = require('electron');
+    return path.join(app.getPath('userData'), 'data');
+  } catch {
+    return path.join(__dirname, '..', '..', 'data');
+  }
+}
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function fromJson(text, fallback = null) {
+  if (text === null || text === undefined) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+// --- Migrations ---
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up(db) {
+      db.exec(`
+        CREATE TABLE articles (
+          account_id TEXT NOT NULL,
+          article_id TEXT NOT NULL,
+          filename TEXT NOT NULL,
+          title TEXT NOT NULL DEFAULT '',
+          status TEXT NOT NULL DEFAULT 'generated',
+          score REAL,
+          privacy_status TEXT,
+          fact_check_status TEXT,
+          note_url TEXT,
+          metadata TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (account_id, article_id)
+        );
+        CREATE INDEX idx_articles_status ON articles (account_id, status);
+
+        CREATE TABLE article_versions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id TEXT NOT NULL,
+          article_id TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          source TEXT NOT NULL,
+          body TEXT NOT NULL,
+          metadata TEXT,
+          note TEXT,
+          created_at TEXT NOT NULL,
+          UNIQUE (account_id, article_id, version)
+        );
+
+        CREATE TABLE topics_cache (
+          account_id TEXT PRIMARY KEY,
+          topics TEXT NOT NULL,
+          cached_at TEXT NOT NULL
+        );
+
+        CREATE TABLE telegram_mappings (
+          account_id TEXT NOT NULL,
+          filename TEXT NOT NULL,
+          topic_id INTEGER,
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (account_id, filename)
+        );
+        CREATE INDEX idx_telegram_mappings_topic ON telegram_mappings (topic_id);
+
+        CREATE TABLE review_sessions (
+          topic_id INTEGER PRIMARY KEY,
+          account_id TEXT NOT NULL,
+          filename TEXT NOT NULL,
+          state TEXT NOT NULL,
+          data TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE generation_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id TEXT NOT NULL,
+          mode TEXT NOT NULL,
+          topic_id INTEGER,
+          status TEXT NOT NULL DEFAULT 'running',
+          model TEXT,
+          result TEXT,
+          error TEXT,
+          started_at TEXT NOT NULL,
+          finished_at TEXT
+        );
+        CREATE INDEX idx_generation_runs_account ON generation_runs (account_id, started_at);
+
+        CREATE TABLE token_usage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id TEXT,
+          run_id INTEGER,
+          article_id TEXT,
+          purpose TEXT NOT NULL,
+          model TEXT NOT NULL,
+          input_tokens INTEGER NOT NULL DEFAULT 0,
+          output_tokens INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_token_usage_account ON token_usage (account_id, created_at);
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'import legacy files',
+    up(db, { dataDir }) {
+      importLegacyFiles(db, dataDir);
+    },
+  },
+  {
+    version: 3,
+    name: 'note stats',
+    up(db) {
+      db.exec(`
+        CREATE TABLE note_stats (
+          account_id TEXT NOT NULL,
+          stat_key TEXT NOT NULL,
+          url TEXT,
+          title TEXT NOT NULL DEFAULT '',
+          views INTEGER NOT NULL DEFAULT 0,
+          likes INTEGER NOT NULL DEFAULT 0,
+          comments INTEGER NOT NULL DEFAULT 0,
+          sales INTEGER NOT NULL DEFAULT 0,
+          revenue INTEGER NOT NULL DEFAULT 0,
+          source TEXT,
+          imported_at TEXT NOT NULL,
+          PRIMARY KEY (account_id, stat_key)
+        );
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: 'trend scrapes',
+    up(db) {
+      db.exec(`
+        CREATE TABLE trend_scrapes (
+          account_id TEXT PRIMARY KEY,
+          items TEXT NOT NULL DEFAULT '[]',
+          proposals TEXT NOT NULL DEFAULT '[]',
+          scraped_at TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: 'generation batches',
+    up(db) {
+      db.exec(`
+        CREATE TABLE generation_batches (
+          batch_id TEXT PRIMARY KEY,
+          account_id TEXT NOT NULL,
+          run_id INTEGER,
+          model TEXT,
+          topics TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'in_progress',
+          request_counts TEXT,
+          result TEXT,
+          created_at TEXT NOT NULL,
+          collected_at TEXT,
+          collected TEXT
+        );
+        CREATE INDEX idx_generation_batches_status ON generation_batches (status);
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'generation outlines',
+    up(db) {
+      db.exec(`
+        CREATE TABLE generation_outlines (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id TEXT NOT NULL,
+          topic_id TEXT NOT NULL,
+          topic TEXT NOT NULL,
+          outline TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          model TEXT,
+          prompts TEXT,
+          usage TEXT,
+          filename TEXT,
+          telegram_topic_id INTEGER,
+          error TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_generation_outlines_account ON generation_outlines (account_id, status);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: 'generation run progress',
+    up(db) {
+      // バッチ生成の対象トピックと結果。アプリが落ちても中断したところから再開できるように都度書く
+      db.exec('ALTER TABLE generation_runs ADD COLUMN progress TEXT');
+    },
+  },
+  {
+    version: 8,
+    name: 'token usage cost',
+    up(db) {
+      // cost は記録した時点の単価で出した USD。source_id は GitHub Actions のログから取り込んだ行の重複防止
+      db.exec(`
+        ALTER TABLE token_usage ADD COLUMN cost REAL;
+        ALTER TABLE token_usage ADD COLUMN source_id TEXT;
+        CREATE UNIQUE INDEX idx_token_usage_source ON token_usage (source_id);
+        CREATE INDEX idx_token_usage_created ON token_usage (created_at);
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: 'series',
+    up(db) {
+      // 1つの種テーマから企画した連載。回ごとにトピックの行と記事ファイルを持つ
+      db.exec(`
+        CREATE TABLE series (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id TEXT NOT NULL,
+          title TEXT NOT NULL,
+          seed_theme TEXT NOT NULL,
+          persona TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_series_account ON series (account_id);
+
+        CREATE TABLE series_parts (
+          series_id INTEGER NOT NULL,
+          part INTEGER NOT NULL,
+          theme TEXT NOT NULL,
+          summary TEXT,
+          topic_id TEXT,
+          filename TEXT,
+          PRIMARY KEY (series_id, part)
+        );
+        CREATE INDEX idx_series_parts_theme ON series_parts (theme);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: 'system prompt versions',
+    up(db) {
+      // 記事生成のベースプロンプトの版。使う版（active）は常に1つ
+      db.exec(`
+        CREATE TABLE system_prompt_versions (
+          version INTEGER PRIMARY KEY,
+          text TEXT NOT NULL,
+          note TEXT,
+          active INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT NOT NULL
+        );
+      `);
+    },
+  },
+];
+
+function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * 未適用のマイグレーションを版の順に 1 つずつトランザクションで適用する
+ * @returns {number[]} 適用した版
+ */
+function migrate(db, { dataDir = getDataDir() } = {}) {
+  const current = getSchemaVersion(db);
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    db.transaction(() => {
+      migration.up(db, { dataDir });
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    applied.push(migration.version);
+    logger.info('db:migrate', `v${migration.version} ${migration.name}`);
+  }
+  return applied;
+}
+
+// --- Legacy import ---
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    logger.warn('db:import', `${filePath}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * 既存の topics-cache.json / telegram-mappings.json / 記事 Markdown を取り込む。
+ * 元のファイルは削除しない（記事は引き続きファイルが正）。
+ */
+function importLegacyFiles(db, dataDir) {
+  const accountsDir = path.join(dataDir, 'accounts');
+  const counts = { articles: 0, topics: 0, mappings: 0 };
+  if (!fs.existsSync(accountsDir)) return counts;
+
+  const accountIds = fs.readdirSync(accountsDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name);
+
+  for (const accountId of accountIds) {
+    const accountDir = path.join(accountsDir, accountId);
+
+    const cachePath = path.join(accountDir, 'topics-cache.json');
+    if (fs.existsSync(cachePath)) {
+      const cache = readJsonFile(cachePath);
+      if (cache && Array.isArray(cache.topics)) {
+        saveTopicsCache(accountId, cache.topics, cache.cached_at, db);
+        counts.topics++;
+      }
+    }
+
+    const mappingPath = path.join(accountDir, 'telegram-mappings.json');
+    if (fs.existsSync(mappingPath)) {
+      const mappings = readJsonFile(mappingPath) || {};
+      for (const [filename, mapping] of Object.entries(mappings)) {
+        saveTelegramMapping(accountId, filename, mapping, db);
+        counts.mappings++;
+      }
+    }
+
+    const articlesDir = path.join(accountDir, 'articles');
+    if (fs.existsSync(articlesDir)) {
+      for (const filename of fs.readdirSync(articlesDir).filter((f) => f.endsWith('.md'))) {
+        const filePath = path.join(articlesDir, filename);
+        const content = fs.readFileSync(filePath, 'utf-8');
+        const { metadata, body } = frontmatter.parse(content);
+        const createdAt = fs.statSync(filePath).birthtime.toISOString();
+        const article = upsertArticle(accountId, { filename, metadata, body, created_at: createdAt }, db);
+        addVersion(accountId, article.article_id, { source: 'imported', body, metadata }, db);
+        counts.articles++;
+      }
+    }
+  }
+
+  logger.info('db:import', `articles ${counts.articles}, topic caches ${counts.topics}, telegram mappings ${counts.mappings}`);
+  return counts;
+}
+
+// --- Connection ---
+
+/**
+ * DB を開き、マイグレーションを適用する
+ * @param {string} [file] - DB ファイルのパス（テストでは ':memory:'）
+ * @param {object} [options] - { dataDir } 取り込み元のデータディレクトリ
+ */
+function open(file, { dataDir = getDataDir() } = {}) {
+  close();
+  const Database = require('better-sqlite3');
+  const dbPath = file || path.join(dataDir, DB_FILENAME);
+  if (dbPath !== ':memory:') fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  migrate(db, { dataDir });
+  instance = db;
+  return db;
+}
+
+function getDb() {
+  return instance || open();
+}
+
+function close() {
+  if (instance) {
+    instance.close();
+    instance = null;
+  }
+}
+
+// --- Articles ---
+
+function rowToArticle(row) {
+  if (!row) return null;
+  return { ...row, metadata: fromJson(row.metadata, {}) };
+}
+
+/**
+ * 記事のインデックスを frontmatter から更新する
+ * @param {object} article - { filename, metadata, body, created_at? }
+ */
+function upsertArticle(accountId, { filename, metadata = {}, body = '', created_at }, db = getDb()) {
+  const articleId = filename.replace(/\.md$/, '');
+  const timestamp = now();
+  db.prepare(`
+    INSERT INTO articles (account_id, article_id, filename, title, status, score, privacy_status,
+      fact_check_status, note_url, metadata, created_at, updated_at)
+    VALUES (@account_id, @article_id, @filename, @title, @status, @score, @privacy_status,
+      @fact_check_status, @note_url, @metadata, @created_at, @updated_at)
+    ON CONFLICT (account_id, article_id) DO UPDATE SET
+      filename = excluded.filename, title = excluded.title, status = excluded.status,
+      score = excluded.score, privacy_status = excluded.privacy_status,
+      fact_check_status = excluded.fact_check_status, note_url = excluded.note_url,
+      metadata = excluded.metadata, updated_at = excluded.updated_at
+  `).run({
+    account_id: accountId,
+    article_id: articleId,
+    filename,
+    title: frontmatter.extractTitle(body) || articleId,
+    status: metadata.status || 'generated',
+    score: typeof metadata.score === 'number' ? metadata.score : null,
+    privacy_status: metadata.privacy_status || null,
+    fact_check_status: metadata.fact_check_status || null,
+    note_url: metadata.note_url || null,
+    metadata: toJson(metadata),
+    created_at: created_at || timestamp,
+    updated_at: timestamp,
+  });
+  return getArticle(accountId, articleId, db);
+}
+
+/**
+ * 記事ファイルを読み直してインデックスを更新する
+ */
+function indexArticleFile(accountId, filename, db = getDb()) {
+  const filePath = path.join(getDataDir(), 'accounts', accountId, 'articles', filename);
+  const { metadata, body } = frontmatter.parse(fs.readFileSync(filePath, 'utf-8'));
+  const createdAt = fs.statSync(filePath).birthtime.toISOString();
+  return upsertArticle(accountId, { filename, metadata, body, created_at: createdAt }, db);
+}
+
+function getArticle(accountId, articleId, db = getDb()) {
+  return rowToArticle(
+    db.prepare('SELECT * FROM articles WHERE account_id = ? AND article_id = ?').get(accountId, articleId)
+  );
+}
+
+/**
+ * @param {object} [filter] - { status }
+ */
+function listArticles(accountId, { status } = {}, db = getDb()) {
+  const rows = status
+    ? db.prepare('SELECT * FROM articles WHERE account_id = ? AND status = ? ORDER BY article_id DESC').all(accountId, status)
+    : db.prepare('SELECT * FROM articles WHERE account_id = ? ORDER BY article_id DESC').all(accountId);
+  return rows.map(rowToArticle);
+}
+
+function removeArticle(accountId, articleId, db = getDb()) {
+  db.prepare('DELETE FROM articles WHERE account_id = ? AND article_id = ?').run(accountId, articleId);
+}
+
+/**
+ * ディレクトリの記事一覧とインデックスを揃える（消えたファイルの行は削除）
+ * @param {object[]} entries - [{ filename, metadata, body, created_at }]
+ */
+function syncArticles(accountId, entries, db = getDb()) {
+  db.transaction(() => {
+    const ids = new Set();
+    for (const entry of entries) {
+      ids.add(upsertArticle(accountId, entry, db).article_id);
+    }
+    for (const row of db.prepare('SELECT article_id FROM articles WHERE account_id = ?').all(accountId)) {
+      if (!ids.has(row.article_id)) removeArticle(accountId, row.article_id, db);
+    }
+  })();
+}
+
+// --- Article versions ---
+
+/**
+ * 記事の版を追加する。直前の版と本文が同じなら追加しない
+ * @param {object} version - { source: 'generated'|'edited'|'imported'|…, body, metadata?, note? }
+ * @returns {object|null} 追加した版（変更なしなら null）
+ */
+function addVersion(accountId, articleId, { source, body, metadata = null, note = null }, db = getDb()) {
+  const latest = db.prepare(
+    'SELECT version, body FROM article_versions WHERE account_id = ? AND article_id = ? ORDER BY version DESC LIMIT 1'
+  ).get(accountId, articleId);
+  if (latest && latest.body === body) return null;
+  const version = (latest?.version || 0) + 1;
+  db.prepare(`
+    INSERT INTO article_versions (account_id, article_id, version, source, body, metadata, note, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(accountId, articleId, version, source, body, toJson(metadata), note, now());
+  return getVersion(accountId, articleId, version, db);
+}
+
+function getVersion(accountId, articleId, version, db = getDb()) {
+  const row = db.prepare(
+    'SELECT * FROM article_versions WHERE account_id = ? AND article_id = ? AND version = ?'
+  ).get(accountId, articleId, version);
+  return row ? { ...row, metadata: fromJson(row.metadata) } : null;
+}
+
+function listVersions(accountId, articleId, db = getDb()) {
+  return db.prepare(
+    'SELECT id, version, source, note, created_at FROM article_versions WHERE account_id = ? AND article_id = ? ORDER BY version'
+  ).all(accountId, articleId);
+}
+
+// --- Topics cache ---
+
+function saveTopicsCache(accountId, topics, cachedAt = now(), db = getDb()) {
+  db.prepare(`
+    INSERT INTO topics_cache (account_id, topics, cached_at) VALUES (?, ?, ?)
+    ON CONFLICT (account_id) DO UPDATE SET topics = excluded.topics, cached_at = excluded.cached_at
+  `).run(accountId, JSON.stringify(topics), cachedAt || now());
+}
+
+/**
+ * @returns {{ topics: object[], cached_at: string }|null}
+ */
+function loadTopicsCache(accountId, db = getDb()) {
+  const row = db.prepare('SELECT topics, cached_at FROM topics_cache WHERE account_id = ?').get(accountId);
+  return row ? { topics: fromJson(row.topics, []), cached_at: row.cached_at } : null;
+}
+
+// --- Telegram mappings ---
+
+function saveTelegramMapping(accountId, filename, mapping, db = getDb()) {
+  db.prepare(`
+    INSERT INTO telegram_mappings (account_id, filename, topic_id, data, updated_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (account_id, filename) DO UPDATE SET
+      topic_id = excluded.topic_id, data = excluded.data, updated_at = excluded.updated_at
+  `).run(accountId, filename, mapping.topicId ?? null, JSON.stringify(mapping), now());
+}
+
+/**
+ * @returns {object} filename → mapping
+ */
+function loadTelegramMappings(accountId, db = getDb()) {
+  const result = {};
+  for (const row of db.prepare('SELECT filename, data FROM telegram_mappings WHERE account_id = ?').all(accountId)) {
+    result[row.filename] = fromJson(row.data, {});
+  }
+  return result;
+}
+
+// --- Review sessions ---
+
+/**
+ * @param {object} session - { topicId, accountId, filename, state, ...rest }（rest は data に JSON で保存）
+ */
+function saveReviewSession(session, db = getDb()) {
+  const { topicId, accountId, filename, state, createdAt, ...data } = session;
+  const timestamp = now();
+  db.prepare(`
+    INSERT INTO review_sessions (topic_id, account_id, filename, state, data, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (topic_id) DO UPDATE SET
+      account_id = excluded.account_id, filename = excluded.filename, state = excluded.state,
+      data = excluded.data, updated_at = excluded.updated_at
+  `).run(topicId, accountId, filename, state, JSON.stringify(data), createdAt || timestamp, timestamp);
+}
+
+function loadReviewSessions(db = getDb()) {
+  return db.prepare('SELECT * FROM review_sessions ORDER BY created_at').all().map((row) => ({
+    ...fromJson(row.data, {}),
+    topicId: row.topic_id,
+    accountId: row.account_id,
+    filename: row.filename,
+    state: row.state,
+    createdAt: row.created_at,
+  }));
+}
+
+function removeReviewSession(topicId, db = getDb()) {
+  db.prepare('DELETE FROM review_sessions WHERE topic_id = ?').run(topicId);
+}
+
+// --- Generation runs ---
+
+function toRun(row) {
+  return row && { ...row, result: fromJson(row.result), progress: fromJson(row.progress) };
+}
+
+/**
+ * @param {object} run - { mode: 'single'|'batch', topicId?, model?, progress? }
+ *   progress はバッチ生成の { topicIds, results }（中断したら再開に使う）
+ * @returns {number} run id
+ */
+function startGenerationRun(accountId, { mode, topicId = null, model = null, progress = null }, db = getDb()) {
+  const info = db.prepare(`
+    INSERT INTO generation_runs (account_id, mode, topic_id, model, progress, started_at) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(accountId, mode, topicId, model, toJson(progress), now());
+  return Number(info.lastInsertRowid);
+}
+
+function saveGenerationRunProgress(runId, progress, db = getDb()) {
+  db.prepare('UPDATE generation_runs SET progress = ? WHERE id = ?').run(toJson(progress), runId);
+}
+
+function getGenerationRun(runId, db = getDb()) {
+  return toRun(db.prepare('SELECT * FROM generation_runs WHERE id = ?').get(runId));
+}
+
+/**
+ * 起動時に、前回のプロセスで実行中のまま終わったジョブを interrupted にする
+ * 結果を回収中の Message Batch のジョブはそのまま（再起動後も回収を続ける）
+ * @returns {number} interrupted にした件数
+ */
+function interruptGenerationRuns(db = getDb()) {
+  return db.prepare(`
+    UPDATE generation_runs SET status = 'interrupted', finished_at = ?
+    WHERE status = 'running'
+      AND id NOT IN (SELECT run_id FROM generation_batches WHERE status != 'collected' AND run_id IS NOT NULL)
+  `).run(now()).changes;
+}
+
+// 再開できるバッチ生成（中断したもの）。新しい順
+function listInterruptedGenerationRuns(accountId, db = getDb()) {
+  return db.prepare(`
+    SELECT * FROM generation_runs
+    WHERE account_id = ? AND mode = 'batch' AND status = 'interrupted' AND progress IS NOT NULL
+    ORDER BY id DESC
+  `).all(accountId).map(toRun);
+}
+
+function resumeGenerationRun(runId, db = getDb()) {
+  db.prepare("UPDATE generation_runs SET status = 'running', finished_at = NULL WHERE id = ?").run(runId);
+}
+
+/**
+ * @param {object} outcome - { status: 'success'|'failed', result?, error? }
+ */
+function finishGenerationRun(runId, { status, result = null, error = null }, db = getDb()) {
+  db.prepare(`
+    UPDATE generation_runs SET status = ?, result = ?, error = ?, finished_at = ? WHERE id = ?
+  `).run(status, toJson(result), error, now(), runId);
+}
+
+function listGenerationRuns(accountId, { limit = 50 } = {}, db = getDb()) {
+  return db.prepare(
+    'SELECT * FROM generation_runs WHERE account_id = ? ORDER BY id DESC LIMIT ?'
+  ).all(accountId, limit).map(toRun);
+}
+
+// --- Message Batches ---
+
+function toBatch(row) {
+  return row && {
+    ...row,
+    topics: fromJson(row.topics, []),
+    request_counts: fromJson(row.request_counts),
+    result: fromJson(row.result),
+    collected: fromJson(row.collected, {}),
+  };
+}
+
+/**
+ * 送信した Message Batch を記録する（結果の回収はアプリを再起動しても続ける）
+ * @param {object} batch - { batchId, runId?, model?, topics: [{ custom_id, id, theme, pillar, ... }] }
+ */
+function saveGenerationBatch(accountId, { batchId, runId = null, model = null, topics }, db = getDb()) {
+  db.prepare(`
+    INSERT INTO generation_batches (batch_id, account_id, run_id, model, topics, created_at) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(batchId, accountId, runId, model, JSON.stringify(topics), now());
+}
+
+/**
+ * @param {object} changes - { status?: 'in_progress'|'collected', requestCounts?, result?, collected?: { [custom_id]: result } }
+ */
+function updateGenerationBatch(batchId, { status, requestCounts, result, collected } = {}, db = getDb()) {
+  const sets = [];
+  const params = [];
+  if (status) {
+    sets.push('status = ?');
+    params.push(status);
+    if (status === 'collected') {
+      sets.push('collected_at = ?');
+      params.push(now());
+    }
+  }
+  if (requestCounts !== undefined) {
+    sets.push('request_counts = ?');
+    params.push(toJson(requestCounts));
+  }
+  if (result !== undefined) {
+    sets.push('result = ?');
+    params.push(toJson(result));
+  }
+  if (collected !== undefined) {
+    sets.push('collected = ?');
+    params.push(toJson(collected));
+  }
+  if (sets.length === 0) return;
+  db.prepare(`UPDATE generation_batches SET ${sets.join(', ')} WHERE batch_id = ?`).run(...params, batchId);
+}
+
+function getGenerationBatch(batchId, db = getDb()) {
+  return toBatch(db.prepare('SELECT * FROM generation_batches WHERE batch_id = ?').get(batchId));
+}
+
+/**
+ * 結果をまだ回収していないバッチ（accountId を省略すると全アカウント）
+ */
+function listOpenGenerationBatches(accountId = null, db = getDb()) {
+  const rows = accountId
+    ? db.prepare("SELECT * FROM generation_batches WHERE status != 'collected' AND account_id = ? ORDER BY created_at").all(accountId)
+    : db.prepare("SELECT * FROM generation_batches WHERE status != 'collected' ORDER BY created_at").all();
+  return rows.map(toBatch);
+}
+
+// --- Outlines ---
+
+function toOutline(row) {
+  return row && {
+    ...row,
+    topic: fromJson(row.topic, {}),
+    outline: fromJson(row.outline, {}),
+    prompts: fromJson(row.prompts),
+    usage: fromJson(row.usage),
+  };
+}
+
+/**
+ * 2段階生成のアウトラインを承認待ち（pending）で保存する
+ * @param {object} outline - { topic: トピックの行, outline, model?, prompts?: { system, user }, usage? }
+ * @returns {number} id
+ */
+function saveGenerationOutline(accountId, { topic, outline, model = null, prompts = null, usage = null }, db = getDb()) {
+  const createdAt = now();
+  const info = db.prepare(`
+    INSERT INTO generation_outlines (account_id, topic_id, topic, outline, model, prompts, usage, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(accountId, String(topic.id), JSON.stringify(topic), JSON.stringify(outline), model, toJson(prompts), toJson(usage), createdAt, createdAt);
+  return Number(info.lastInsertRowid);
+}
+
+/**
+ * @param {object} changes - { status?: 'pending'|'approved'|'expanded'|'rejected', outline?, usage?, filename?, telegramTopicId?, error? }
+ */
+function updateGenerationOutline(id, { status, outline, usage, filename, telegramTopicId, error } = {}, db = getDb()) {
+  const sets = ['updated_at = ?'];
+  const params = [now()];
+  const columns = { status, outline: outline && JSON.stringify(outline), usage: usage && JSON.stringify(usage), filename, telegram_topic_id: telegramTopicId, error };
+  for (const [column, value] of Object.entries(columns)) {
+    if (value === undefined) continue;
+    sets.push(`${column} = ?`);
+    params.push(value);
+  }
+  db.prepare(`UPDATE generation_outlines SET ${sets.join(', ')} WHERE id = ?`).run(...params, id);
+}
+
+function getGenerationOutline(id, db = getDb()) {
+  return toOutline(db.prepare('SELECT * FROM generation_outlines WHERE id = ?').get(id));
+}
+
+/**
+ * アカウントのアウトライン（新しい順）
+ * @param {object} [filter] - { status?, topicId? }
+ */
+function listGenerationOutlines(accountId, { status = null, topicId = null } = {}, db = getDb()) {
+  const where = ['account_id = ?'];
+  const params = [accountId];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (topicId !== null) {
+    where.push('topic_id = ?');
+    params.push(String(topicId));
+  }
+  return db.prepare(`SELECT * FROM generation_outlines WHERE ${where.join(' AND ')} ORDER BY id DESC`).all(...params).map(toOutline);
+}
+
+// Telegram のフォーラムトピックで返信されたアウトライン
+function findGenerationOutlineByTelegramTopic(telegramTopicId, db = getDb()) {
+  return toOutline(db.prepare('SELECT * FROM generation_outlines WHERE telegram_topic_id = ? ORDER BY id DESC').get(telegramTopicId));
+}
+
+// --- Token usage ---
+
+/**
+ * @param {object} usage - { accountId?, runId?, articleId?, purpose, model, inputTokens, outputTokens, cost?, sourceId?, createdAt? }
+ * @returns {boolean} 記録したか（同じ sourceId の行が既にあれば記録しない）
+ */
+function recordTokenUsage({
+  accountId = null, runId = null, articleId = null, purpose, model, inputTokens = 0, outputTokens = 0,
+  cost = null, sourceId = null, createdAt = null,
+}, db = getDb()) {
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO token_usage
+      (account_id, run_id, article_id, purpose, model, input_tokens, output_tokens, cost, source_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(accountId, runId, articleId, purpose, model, inputTokens, outputTokens, cost, sourceId, createdAt || now());
+  return result.changes > 0;
+}
+
+/**
+ * モデル別の合計トークン数
+ * @param {object} [filter] - { accountId?, since? (ISO 文字列) }
+ */
+function summarizeTokenUsage({ accountId = null, since = null } = {}, db = getDb()) {
+  const where = [];
+  const params = [];
+  if (accountId) {
+    where.push('account_id = ?');
+    params.push(accountId);
+  }
+  if (since) {
+    where.push('created_at >= ?');
+    params.push(since);
+  }
+  return db.prepare(`
+    SELECT model, SUM(input_tokens) AS input_tokens, SUM(output_tokens) AS output_tokens, COUNT(*) AS calls
+    FROM token_usage ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    GROUP BY model ORDER BY model
+  `).all(...params);
+}
+
+// 集計の切り口。day はローカル時刻の日付
+const TOKEN_COST_GROUPS = {
+  purpose: 'purpose',
+  model: 'model',
+  account: 'account_id',
+  article: "account_id || '/' || article_id",
+  day: "date(created_at, 'localtime')",
+};
+
+/**
+ * 費用とトークン数の集計。groupBy を省くと全体の1行を返す
+ * @param {object} [filter] - { accountId?, since?, until? (ISO 文字列), groupBy?: 'purpose'|'model'|'account'|'article'|'day' }
+ * @returns {object[]} [{ key, input_tokens, output_tokens, cost, calls }]（費用の大きい順、day は日付順）
+ */
+function summarizeTokenCost({ accountId = null, since = null, until = null, groupBy = null } = {}, db = getDb()) {
+  if (groupBy && !TOKEN_COST_GROUPS[groupBy]) throw new Error(`不明な集計の切り口です: ${groupBy}`);
+  const where = [];
+  const params = [];
+  if (accountId) {
+    where.push('account_id = ?');
+    params.push(accountId);
+  }
+  if (since) {
+    where.push('created_at >= ?');
+    params.push(since);
+  }
+  if (until) {
+    where.push('created_at < ?');
+    params.push(until);
+  }
+  if (groupBy === 'article') where.push('article_id IS NOT NULL');
+  const key = groupBy ? TOKEN_COST_GROUPS[groupBy] : 'NULL';
+  const order = groupBy === 'day' ? 'key' : 'cost DESC, key';
+  return db.prepare(`
+    SELECT ${key} AS key, COALESCE(SUM(input_tokens), 0) AS input_tokens, COALESCE(SUM(output_tokens), 0) AS output_tokens,
+      COALESCE(SUM(cost), 0) AS cost, COUNT(*) AS calls
+    FROM token_usage ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+    ${groupBy ? `GROUP BY key ORDER BY ${order}` : ''}
+  `).all(...params);
+}
+
+// --- note.com stats ---
+
+/**
+ * note.com の統計を保存する。エクスポートは累計値なので同じ記事の行は上書きする
+ * @param {object[]} rows - [{ key, url, title, views, likes, comments, sales, revenue }]
+ * @param {string} source - 取り込んだファイル名
+ */
+function saveNoteStats(accountId, rows, source, db = getDb()) {
+  const stmt = db.prepare(`
+    INSERT INTO note_stats (account_id, stat_key, url, title, views, likes, comments, sales, revenue, source, imported_at)
+    VALUES (@account_id, @stat_key, @url, @title, @views, @likes, @comments, @sales, @revenue, @source, @imported_at)
+    ON CONFLICT (account_id, stat_key) DO UPDATE SET
+      url = COALESCE(excluded.url, note_stats.url), title = excluded.title,
+      views = excluded.views, likes = excluded.likes, comments = excluded.comments,
+      sales = excluded.sales, revenue = excluded.revenue,
+      source = excluded.source, imported_at = excluded.imported_at
+  `);
+  const timestamp = now();
+  db.transaction(() => {
+    for (const row of rows) {
+      stmt.run({
+        account_id: accountId,
+        stat_key: row.key,
+        url: row.url || null,
+        title: row.title || '',
+        views: row.views || 0,
+        likes: row.likes || 0,
+        comments: row.comments || 0,
+        sales: row.sales || 0,
+        revenue: row.revenue || 0,
+        source: source || null,
+        imported_at: timestamp,
+      });
+    }
+  })();
+}
+
+function listNoteStats(accountId, db = getDb()) {
+  return db.prepare('SELECT * FROM note_stats WHERE account_id = ? ORDER BY views DESC').all(accountId);
+}
+
+// --- Trend scrapes ---
+
+function saveTrendScrape(accountId, { items, proposals }, db = getDb()) {
+  const scrapedAt = now();
+  db.prepare(`
+    INSERT INTO trend_scrapes (account_id, items, proposals, scraped_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (account_id) DO UPDATE SET
+      items = excluded.items, proposals = excluded.proposals, scraped_at = excluded.scraped_at
+  `).run(accountId, JSON.stringify(items || []), JSON.stringify(proposals || []), scrapedAt);
+  return scrapedAt;
+}
+
+/**
+ * @returns {{ items: object[], proposals: object[], scraped_at: string }|null}
+ */
+function loadTrendScrape(accountId, db = getDb()) {
+  const row = db.prepare('SELECT items, proposals, scraped_at FROM trend_scrapes WHERE account_id = ?').get(accountId);
+  return row
+    ? { items: fromJson(row.items, []), proposals: fromJson(row.proposals, []), scraped_at: row.scraped_at }
+    : null;
+}
+
+// --- Series ---
+
+function toSeries(row, db) {
+  if (!row) return null;
+  const parts = db.prepare('SELECT * FROM series_parts WHERE series_id = ? ORDER BY part').all(row.id)
+    .map((p) => ({ part: p.part, theme: p.theme, summary: p.summary, topic_id: p.topic_id, filename: p.filename }));
+  return { ...row, parts };
+}
+
+/**
+ * 連載を保存する
+ * @param {object} series - { title, seedTheme, persona?, parts: [{ theme, summary? }] }（parts の順が第1回から）
+ * @returns {number} id
+ */
+function saveSeries(accountId, { title, seedTheme, persona = null, parts }, db = getDb()) {
+  const createdAt = now();
+  return db.transaction(() => {
+    const info = db.prepare(`
+      INSERT INTO series (account_id, title, seed_theme, persona, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(accountId, title, seedTheme, persona, createdAt, createdAt);
+    const id = Number(info.lastInsertRowid);
+    const stmt = db.prepare('INSERT INTO series_parts (series_id, part, theme, summary) VALUES (?, ?, ?, ?)');
+    parts.forEach((p, i) => stmt.run(id, i + 1, p.theme, p.summary || null));
+    return id;
+  })();
+}
+
+/**
+ * @param {object} changes - { topicId?, filename? }
+ */
+function updateSeriesPart(seriesId, part, { topicId, filename } = {}, db = getDb()) {
+  const sets = [];
+  const params = [];
+  if (topicId !== undefined) {
+    sets.push('topic_id = ?');
+    params.push(topicId === null ? null : String(topicId));
+  }
+  if (filename !== undefined) {
+    sets.push('filename = ?');
+    params.push(filename);
+  }
+  if (sets.length === 0) return;
+  db.prepare(`UPDATE series_parts SET ${sets.join(', ')} WHERE series_id = ? AND part = ?`).run(...params, seriesId, part);
+  db.prepare('UPDATE series SET updated_at = ? WHERE id = ?').run(now(), seriesId);
+}
+
+function getSeries(id, db = getDb()) {
+  return toSeries(db.prepare('SELECT * FROM series WHERE id = ?').get(id), db);
+}
+
+// アカウントの連載（新しい順）
+function listSeries(accountId, db = getDb()) {
+  return db.prepare('SELECT * FROM series WHERE account_id = ? ORDER BY id DESC').all(accountId).map((row) => toSeries(row, db));
+}
+
+/**
+ * トピックが連載の何回目か。テーマで引き、同じテーマが複数あればトピック ID の一致するものを優先する
+ * @param {object} topic - { id, theme }
+ * @returns {{ series: object, part: number }|null}
+ */
+function findSeriesPart(accountId, topic, db = getDb()) {
+  const rows = db.prepare(`
+    SELECT p.series_id, p.part, p.topic_id FROM series_parts p JOIN series s ON s.id = p.series_id
+    WHERE s.account_id = ? AND p.theme = ? ORDER BY p.series_id DESC
+  `).all(accountId, String(topic.theme || ''));
+  const row = rows.find((r) => r.topic_id === String(topic.id)) || rows[0];
+  return row ? { series: getSeries(row.series_id, db), part: row.part } : null;
+}
+
+function removeSeries(id, db = getDb()) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM series_parts WHERE series_id = ?').run(id);
+    db.prepare('DELETE FROM series WHERE id = ?').run(id);
+  })();
+}
+
+// --- System prompt versions ---
+
+/**
+ * システムプロンプトの新しい版を追加し、使う版にする
+ * @param {object} version - { text, note? }
+ * @returns {object} 追加した版
+ */
+function addSystemPromptVersion({ text, note = null }, db = getDb()) {
+  return db.transaction(() => {
+    const latest = db.prepare('SELECT MAX(version) AS version FROM system_prompt_versions').get();
+    const version = (latest?.version || 0) + 1;
+    db.prepare('UPDATE system_prompt_versions SET active = 0').run();
+    db.prepare(`
+      INSERT INTO system_prompt_versions (version, text, note, active, created_at) VALUES (?, ?, ?, 1, ?)
+    `).run(version, text, note, now());
+    return getSystemPromptVersion(version, db);
+  })();
+}
+
+function toSystemPromptVersion(row) {
+  return row ? { ...row, active: row.active === 1 } : null;
+}
+
+function getSystemPromptVersion(version, db = getDb()) {
+  return toSystemPromptVersion(db.prepare('SELECT * FROM system_prompt_versions WHERE version = ?').get(version));
+}
+
+function getActiveSystemPromptVersion(db = getDb()) {
+  return toSystemPromptVersion(db.prepare('SELECT * FROM system_prompt_versions WHERE active = 1').get());
+}
+
+/**
+ * 版の一覧（新しい順、本文なし）。その版で生成した記事の数と平均スコアを付ける
+ */
+function listSystemPromptVersions(db = getDb()) {
+  return db.prepare(`
+    SELECT v.version, v.note, v.active, v.created_at, LENGTH(v.text) AS chars,
+      COUNT(a.article_id) AS articles, AVG(a.score) AS avg_score
+    FROM system_prompt_versions v
+    LEFT JOIN articles a ON json_extract(a.metadata, '$.system_prompt_version') = v.version
+    GROUP BY v.version ORDER BY v.version DESC
+  `).all().map(toSystemPromptVersion);
+}
+
+// 過去の版を使う版に戻す（版は増やさない）
+function activateSystemPromptVersion(version, db = getDb()) {
+  db.transaction(() => {
+    db.prepare('UPDATE system_prompt_versions SET active = 0').run();
+    db.prepare('UPDATE system_prompt_versions SET active = 1 WHERE version = ?').run(version);
+  })();
+  return getSystemPromptVersion(version, db);
+}
+
+function updateSystemPromptNote(version, note, db = getDb()) {
+  db.prepare('UPDATE system_prompt_versions SET note = ? WHERE version = ?').run(note, version);
+  return getSystemPromptVersion(version, db);
+}
+
+module.exports = {
+  open,
+  close,
+  getDb,
+  migrate,
+  getSchemaVersion,
+  importLegacyFiles,
+  MIGRATIONS,
+  upsertArticle,
+  indexArticleFile,
+  getArticle,
+  listArticles,
+  removeArticle,
+  syncArticles,
+  addVersion,
+  getVersion,
+  listVersions,
+  saveTopicsCache,
+  loadTopicsCache,
+  saveTelegramMapping,
+  loadTelegramMappings,
+  saveReviewSession,
+  loadReviewSessions,
+  removeReviewSession,
+  startGenerationRun,
+  finishGenerationRun,
+  listGenerationRuns,
+  saveGenerationRunProgress,
+  getGenerationRun,
+  interruptGenerationRuns,
+  listInterruptedGenerationRuns,
+  resumeGenerationRun,
+  saveGenerationBatch,
+  updateGenerationBatch,
+  getGenerationBatch,
+  listOpenGenerationBatches,
+  saveGenerationOutline,
+  updateGenerationOutline,
+  getGenerationOutline,
+  listGenerationOutlines,
+  findGenerationOutlineByTelegramTopic,
+  recordTokenUsage,
+  summarizeTokenUsage,
+  summarizeTokenCost,
+  saveNoteStats,
+  listNoteStats,
+  saveTrendScrape,
+  loadTrendScrape,
+  saveSeries,
+  updateSeriesPart,
+  getSeries,
+  listSeries,
+  findSeriesPart,
+  removeSeries,
+  addSystemPromptVersion,
+  getSystemPromptVersion,
+  getActiveSystemPromptVersion,
+  listSystemPromptVersions,
+  activateSystemPromptVersion,
+  updateSystemPromptNote,
+};
@@ -1,11 +1,23 @@
 /**
  * Frontmatter utility for articles.
  * Handles reading/writing YAML frontmatter in markdown files.
+ * Supports scalars, arrays of scalars and one level of nested maps (e.g. scores).
  * Backward-compatible: articles without frontmatter are handled gracefully.
  */
 
 const FRONTMATTER_REGEX = /^---\n([\s\S]*?)\n---\n/;
 
+function coerce(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value !== '' && !isNaN(Number(value))) return Number(value);
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
 /**
  * Parse YAML frontmatter from markdown content.
  * Returns { metadata: {}, body: string }
@@ -34,6 +46,20 @@ function parse(content) {
       continue;
     }
 
+    // Handle nested map entries (scores etc.)
+    const nested = line.match(/^\s+([^:\s][^:]*):\s*(.*)$/);
+    if (nested) {
+      const lastKey = Object.keys(metadata).pop();
+      if (!lastKey) continue;
+      if (Array.isArray(metadata[lastKey]) && metadata[lastKey].length === 0) {
+        metadata[lastKey] = {};
+      }
+      if (isPlainObject(metadata[lastKey])) {
+        metadata[lastKey][nested[1].trim()] = coerce(nested[2].trim());
+      }
+      continue;
+    }
+
     const colonIndex = line.indexOf(':');
     if (colonIndex === -1) continue;
 
@@ -43,13 +69,11 @@ function parse(content) {
     if (!key) continue;
 
     // Type coercion
-    if (value === 'true') value = true;
-    else if (value === 'false') value = false;
-    else if (value !== '' && !isNaN(Number(value))) value = Number(value);
-    else if (value === '') {
-      // Could be start of array or multiline - check next lines
-      // For now, initialize as empty array (tags pattern)
+    if (value === '') {
+      // Start of an array or nested map - decided by the following lines
       value = [];
+    } else {
+      value = coerce(value);
     }
 
     metadata[key] = value;
@@ -73,6 +97,12 @@ function stringify(metadata, body) {
       for (const item of value) {
         lines.push(`  - ${item}`);
       }
+    } else if (isPlainObject(value)) {
+      lines.push(`${key}:`);
+      for (const [subKey, subValue] of Object.entries(value)) {
+        if (subValue === undefined || subValue === null) continue;
+        lines.push(`  ${subKey}: ${subValue}`);
+      }
     } else if (value === undefined || value === null) {
       continue;
     } else {
@@ -94,4 +124,58 @@ function extractTitle(body) {
   return firstLine.replace(/^#+\s*/, '').trim();
 }
 
-module.exports = { parse, stringify, extractTitle };
+function asString(value) {
+  return typeof value === 'string' && value !== '' ? value : null;
+}
+
+/**
+ * Article fields shown by the app (articles:list / articles:get), read from frontmatter.
+ * Articles without frontmatter fall back to status 'generated' and empty metadata.
+ */
+function articleFields(metadata = {}) {
+  const tokenUsage = isPlainObject(metadata.token_usage) ? metadata.token_usage : null;
+  return {
+    status: asString(metadata.status) || 'generated',
+    topic_id: metadata.topic_id ?? null,
+    pillar: asString(metadata.pillar),
+    tags: Array.isArray(metadata.tags) ? metadata.tags.map(String) : [],
+    pricing: {
+      is_paid: metadata.is_paid === true,
+      price: typeof metadata.price === 'number' ? metadata.price : 0,
+      magazine: asString(metadata.magazine),
+    },
+    generated_at: asString(metadata.generated_at),
+    model: asString(metadata.model),
+    token_usage: tokenUsage && { input: tokenUsage.input ?? 0, output: tokenUsage.output ?? 0 },
+    prompt_version: asString(metadata.prompt_version),
+    system_prompt_version: typeof metadata.system_prompt_version === 'number' ? metadata.system_prompt_version : null,
+    batch_id: asString(metadata.batch_id),
+    paid_line_status: asString(metadata.paid_line_status),
+    free_ratio: typeof metadata.free_ratio === 'number' ? metadata.free_ratio : null,
+    length: typeof metadata.length === 'number' ? metadata.length : null,
+    length_status: asString(metadata.length_status),
+    score: metadata.score ?? null,
+    scores: isPlainObject(metadata.scores) ? metadata.scores : null,
+    score_reasons: metadata.score_reasons || null,
+    score_summary: metadata.score_summary || null,
+    auto_decision: metadata.auto_decision || null,
+    auto_decision_reason: metadata.auto_decision_reason || null,
+    privacy_status: metadata.privacy_status || null,
+    fact_check_status: metadata.fact_check_status || null,
+    note_url: metadata.note_url || null,
+    regenerate_count: metadata.regenerate_count ?? 0,
+    reject_reason: metadata.reject_reason || null,
+    rejected_by: metadata.rejected_by || null,
+    escalated: metadata.escalated === true,
+    series: metadata.series_id
+      ? {
+        id: metadata.series_id,
+        title: asString(metadata.series_title),
+        part: metadata.series_part ?? null,
+        total: metadata.series_total ?? null,
+      }
+      : null,
+  };
+}
+
+module.exports = { parse, stringify, extractTitle, articleFields };
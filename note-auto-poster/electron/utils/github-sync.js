@@ -471,12 +471,14 @@ class GitHubSync {
         { repoPath: '.github/workflows/ai-rewrite.yml', templateName: 'ai-rewrite.yml' },
         { repoPath: '.github/scripts/rewrite-parser.js', templateName: 'rewrite-parser.js' },
         { repoPath: '.github/scripts/rewrite.js', templateName: 'rewrite.js' },
+        // rewrite.js calls the model through the same provider layer as the app
+        { repoPath: '.github/scripts/llm-provider.js', sourcePath: path.join(__dirname, 'llm-provider.js') },
       ];
 
       // Build .rewrite-config.yml content
       const config = require('./config');
       const writingGuidelines = await config.get('article.writing_guidelines') || '';
-      const model = await config.get('api.generation_model') || 'claude-sonnet-4-5-20250929';
+      const { id: model } = await require('./model-registry').modelForTask('action_rewrite');
 
       const configYaml = [
         '# リライト時に適用するライティングガイドライン',
@@ -505,7 +507,7 @@ class GitHubSync {
         if (file.content) {
           content = file.content;
         } else {
-          const templatePath = path.join(__dirname, '..', 'templates', file.templateName);
+          const templatePath = file.sourcePath || path.join(__dirname, '..', 'templates', file.templateName);
           content = fs.readFileSync(templatePath, 'utf-8');
         }
 
@@ -587,7 +589,7 @@ class GitHubSync {
   async _syncRewriteConfig(syncDir) {
     const config = require('./config');
     const writingGuidelines = await config.get('article.writing_guidelines') || '';
-    const model = await config.get('api.generation_model') || 'claude-sonnet-4-5-20250929';
+    const { id: model } = await require('./model-registry').modelForTask('action_rewrite');
 
     const configYaml = [
       '# リライト時に適用するライティングガイドライン',
@@ -607,6 +609,18 @@ class GitHubSync {
     fs.writeFileSync(path.join(syncDir, '.rewrite-config.yml'), configYaml, 'utf-8');
   }
 
+  /**
+   * Import the token usage the rewrite Action logged in the repository (cost accounting).
+   * Already imported lines are skipped, so this runs after every pull; a failure never fails the sync.
+   */
+  async _importUsageLog(syncDir) {
+    try {
+      await require('../services/usage-tracker').importUsageLog(syncDir);
+    } catch (e) {
+      logger.warn('github-sync', `Failed to import rewrite usage: ${e.message}`);
+    }
+  }
+
   // ─── Phase 1: Pull & Sync ───
 
   /**
@@ -624,6 +638,7 @@ class GitHubSync {
       await this._ensureMainBranch(git);
 
       await this._safePull(git, 'main');
+      await this._importUsageLog(syncDir);
 
       const articlesDir = this._getArticlesDir(accountId);
       if (!fs.existsSync(articlesDir)) {
@@ -696,6 +711,7 @@ class GitHubSync {
       await this._ensureMainBranch(git);
 
       await this._safePull(git, 'main');
+      await this._importUsageLog(syncDir);
 
       const articlesDir = this._getArticlesDir(accountId);
       if (!fs.existsSync(articlesDir)) {
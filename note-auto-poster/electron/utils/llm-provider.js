@@ -0,0 +1,343 @@
+/**
+ * LLM Provider
+ *
+ * サービスが使う LLM のクライアントを設定から作る。どのプロバイダも Anthropic SDK と同じ形
+ * （messages.create / messages.stream）で呼べるので、サービス側はプロバイダを意識しない。
+ *
+ * - anthropic: Anthropic API（api.anthropic_key）。Message Batches（messages.batches）はこのプロバイダだけ
+ * - openai: OpenAI 互換の HTTP サーバー（api.local_base_url の /chat/completions）。手元で動かすモデルサーバー向け
+ *   api.local_model を設定すると、処理ごとのモデルの代わりにそのモデル名で呼ぶ
+ * - fake: フィクスチャ（JSON）から決まった応答を返す。ネットワークを使わない（テスト・デモモード）
+ * - デモモード（app.demo_mode か環境変数 NOTE_AUTO_POSTER_DEMO=1）では、設定に関わらず fake を使う
+ * - GitHub Actions のリライト（rewrite.js）にもこのファイルを配備するので、Node の標準モジュール以外は使うときに読み込む
+ *
+ * フィクスチャは { responses: [...], default? }。responses は上から順に、プロンプト（system とすべてのメッセージ）と照らし合わせる
+ * - match: 含まれていればよい文字列（配列ならすべて）
+ * - pattern: 正規表現。text の {{1}} などをキャプチャで置き換える
+ * - text: 応答（行の配列でもよい）。stop_reason も指定できる
+ * どれにも当たらず default も無ければ、最後のメッセージをそのまま返す
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const PROVIDERS = {
+  anthropic: 'Anthropic API',
+  openai: 'OpenAI 互換サーバー',
+  fake: 'フェイク（オフライン）',
+};
+
+const DEFAULT_PROVIDER = 'anthropic';
+const DEMO_ENV = 'NOTE_AUTO_POSTER_DEMO';
+const DEMO_FIXTURES = path.join(__dirname, '..', 'fixtures', 'demo-llm.json');
+
+// 疑似ストリームで一度に流す文字数
+const STREAM_CHUNK_CHARS = 40;
+
+// OpenAI 互換の finish_reason → Anthropic の stop_reason
+const STOP_REASONS = { stop: 'end_turn', length: 'max_tokens' };
+
+function isDemo() {
+  return process.env[DEMO_ENV] === '1';
+}
+
+/**
+ * 設定から使うプロバイダとその接続先を決める
+ * @param {object} [ctx] - { config }（呼び出し元のサービスが差し替えた deps をそのまま渡す）
+ * @returns {Promise<{ provider, demo, apiKey, baseUrl, model, fixtures }>}
+ */
+async function resolveSettings({ config = require('./config') } = {}) {
+  const demo = isDemo() || (await config.get('app.demo_mode')) === true;
+  const provider = demo ? 'fake' : (await config.get('api.provider')) || DEFAULT_PROVIDER;
+  if (!PROVIDERS[provider]) throw new Error(`不明なプロバイダです: ${provider}`);
+
+  const settings = { provider, demo, apiKey: '', baseUrl: '', model: '', fixtures: '' };
+  if (provider === 'anthropic') {
+    settings.apiKey = await config.get('api.anthropic_key');
+  } else if (provider === 'openai') {
+    settings.apiKey = (await config.get('api.local_key')) || '';
+    settings.baseUrl = (await config.get('api.local_base_url')) || '';
+    settings.model = (await config.get('api.local_model')) || '';
+  } else {
+    settings.fixtures = (await config.get('api.fake_fixtures')) || DEMO_FIXTURES;
+  }
+  return settings;
+}
+
+// ─── 共通 ───
+
+// Anthropic の content（文字列かブロックの配列）をテキストにする
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map((block) => (block?.type === 'text' ? block.text : '')).join('');
+}
+
+function promptText(params) {
+  return [contentText(params.system), ...(params.messages || []).map((m) => contentText(m.content))]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// サーバーが数えないときの目安（2文字で1トークン）
+function estimateTokens(text) {
+  return Math.ceil([...String(text || '')].length / 2);
+}
+
+function toMessage({ model, text, stopReason = 'end_turn', usage }) {
+  return {
+    id: `msg_${crypto.createHash('sha256').update(`${model}\n${text}`).digest('hex').slice(0, 24)}`,
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: [{ type: 'text', text }],
+    stop_reason: stopReason,
+    stop_sequence: null,
+    usage,
+  };
+}
+
+function abortError() {
+  return new Error('Request was aborted.');
+}
+
+/**
+ * Anthropic SDK の MessageStream と同じイベント（streamEvent / text）と finalMessage() を持つストリーム
+ * run({ start, write }) は start(入力トークン数) → write(差分) を呼び、最後にメッセージを返す
+ */
+function createStream(run) {
+  const stream = new EventEmitter();
+  let snapshot = '';
+  const start = (inputTokens) => {
+    stream.emit('streamEvent', { type: 'message_start', message: { usage: { input_tokens: inputTokens, output_tokens: 0 } } });
+  };
+  const write = (delta) => {
+    if (!delta) return;
+    snapshot += delta;
+    stream.emit('streamEvent', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: delta } });
+    stream.emit('text', delta, snapshot);
+  };
+  const result = (async () => {
+    // 呼び出し元が on() を付け終わってから流す
+    await new Promise((resolve) => setImmediate(resolve));
+    const message = await run({ start, write });
+    stream.emit('streamEvent', { type: 'message_delta', delta: { stop_reason: message.stop_reason }, usage: { ...message.usage } });
+    return message;
+  })();
+  // 失敗は finalMessage() で受け取る
+  result.catch(() => {});
+  stream.finalMessage = () => result;
+  return stream;
+}
+
+// ─── OpenAI 互換 ───
+
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let index;
+    while ((index = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, index).trim();
+      buffer = buffer.slice(index + 1);
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+      yield JSON.parse(payload);
+    }
+  }
+}
+
+function createOpenAIClient({ baseUrl, apiKey, model: fixedModel }, fetchImpl) {
+  const url = `${String(baseUrl).replace(/\/+$/, '')}/chat/completions`;
+
+  const toRequest = (params, stream) => ({
+    model: fixedModel || params.model,
+    max_tokens: params.max_tokens,
+    ...(params.temperature !== undefined && { temperature: params.temperature }),
+    messages: [
+      ...(params.system ? [{ role: 'system', content: contentText(params.system) }] : []),
+      ...params.messages.map((m) => ({ role: m.role, content: contentText(m.content) })),
+    ],
+    stream,
+    ...(stream && { stream_options: { include_usage: true } }),
+  });
+
+  const post = async (body, signal) => {
+    const res = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => '');
+      throw new Error(`OpenAI 互換サーバーのエラー (${res.status}): ${detail.slice(0, 200)}`);
+    }
+    return res;
+  };
+
+  const usageOf = (usage, params, text) => ({
+    input_tokens: usage?.prompt_tokens ?? estimateTokens(promptText(params)),
+    output_tokens: usage?.completion_tokens ?? estimateTokens(text),
+  });
+
+  return {
+    provider: 'openai',
+    messages: {
+      create: async (params, { signal } = {}) => {
+        const data = await (await post(toRequest(params, false), signal)).json();
+        const choice = data.choices?.[0];
+        const text = choice?.message?.content || '';
+        return toMessage({
+          model: data.model || fixedModel || params.model,
+          text,
+          stopReason: STOP_REASONS[choice?.finish_reason] || 'end_turn',
+          usage: usageOf(data.usage, params, text),
+        });
+      },
+      stream: (params, { signal } = {}) => createStream(async ({ start, write }) => {
+        const res = await post(toRequest(params, true), signal);
+        // 入力トークン数は最後に届く（message_delta の usage で上書きする）
+        start(0);
+        let text = '';
+        let finish = null;
+        let usage = null;
+        let model = fixedModel || params.model;
+        for await (const data of readServerSentEvents(res.body)) {
+          if (data.model) model = data.model;
+          if (data.usage) usage = data.usage;
+          const choice = data.choices?.[0];
+          if (choice?.delta?.content) {
+            text += choice.delta.content;
+            write(choice.delta.content);
+          }
+          if (choice?.finish_reason) finish = choice.finish_reason;
+        }
+        return toMessage({ model, text, stopReason: STOP_REASONS[finish] || 'end_turn', usage: usageOf(usage, params, text) });
+      }),
+    },
+  };
+}
+
+// ─── フェイク ───
+
+function loadFixtures(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    throw new Error(`フィクスチャを読み込めません (${file}): ${e.message}`);
+  }
+}
+
+function findFixture(fixtures, prompt) {
+  for (const entry of fixtures.responses || []) {
+    if (entry.pattern) {
+      const match = prompt.match(new RegExp(entry.pattern));
+      if (match) return { entry, groups: match };
+    } else if (entry.match && [].concat(entry.match).every((text) => prompt.includes(text))) {
+      return { entry, groups: [] };
+    }
+  }
+  return fixtures.default ? { entry: fixtures.default, groups: [] } : null;
+}
+
+function renderFixture(entry, groups) {
+  const text = Array.isArray(entry.text) ? entry.text.join('\n') : String(entry.text ?? '');
+  return text.replace(/\{\{(\d+)\}\}/g, (_, i) => (groups[i] ?? '').trim());
+}
+
+/**
+ * フィクスチャで答えるクライアント。同じプロンプトには常に同じ応答を返す
+ * 受け取ったリクエストは calls に残る（テスト用）
+ */
+function createFakeClient(fixtures = {}) {
+  const calls = [];
+  const complete = (params) => {
+    calls.push(params);
+    const prompt = promptText(params);
+    const found = findFixture(fixtures, prompt);
+    const text = found ? renderFixture(found.entry, found.groups) : contentText(params.messages?.at(-1)?.content);
+    return toMessage({
+      model: params.model,
+      text,
+      stopReason: found?.entry.stop_reason || 'end_turn',
+      usage: { input_tokens: estimateTokens(prompt), output_tokens: estimateTokens(text) },
+    });
+  };
+
+  return {
+    provider: 'fake',
+    calls,
+    messages: {
+      create: async (params, { signal } = {}) => {
+        if (signal?.aborted) throw abortError();
+        return complete(params);
+      },
+      stream: (params, { signal } = {}) => createStream(async ({ start, write }) => {
+        const message = complete(params);
+        start(message.usage.input_tokens);
+        const chars = [...message.content[0].text];
+        for (let i = 0; i < chars.length; i += STREAM_CHUNK_CHARS) {
+          if (signal?.aborted) throw abortError();
+          write(chars.slice(i, i + STREAM_CHUNK_CHARS).join(''));
+        }
+        return message;
+      }),
+    },
+  };
+}
+
+// ─── クライアント ───
+
+/**
+ * 決まった設定からクライアントを作る
+ * @param {object} settings - { provider, apiKey?, baseUrl?, model?, fixtures?（ファイルのパスか中身） }
+ * @param {object} [options] - { fetch }（openai 用）
+ */
+function createClient(settings = {}, { fetch: fetchImpl = globalThis.fetch } = {}) {
+  const provider = settings.provider || DEFAULT_PROVIDER;
+  if (provider === 'anthropic') {
+    if (!settings.apiKey) throw new Error('Anthropic APIキーが設定されていません');
+    const Anthropic = require('@anthropic-ai/sdk');
+    return new Anthropic({ apiKey: settings.apiKey });
+  }
+  if (provider === 'openai') {
+    if (!settings.baseUrl) throw new Error('OpenAI 互換サーバーの URL が設定されていません');
+    return createOpenAIClient(settings, fetchImpl);
+  }
+  if (provider === 'fake') {
+    const fixtures = typeof settings.fixtures === 'string' ? loadFixtures(settings.fixtures) : settings.fixtures;
+    return createFakeClient(fixtures || {});
+  }
+  throw new Error(`不明なプロバイダです: ${provider}`);
+}
+
+/**
+ * 設定のプロバイダのクライアント
+ * @param {object} [ctx] - { config }
+ */
+async function getClient(ctx = {}) {
+  return createClient(await resolveSettings(ctx));
+}
+
+/**
+ * 費用がかかるプロバイダか（usage-tracker が費用を 0 で記録するかの判断に使う）
+ */
+async function isBilled(ctx = {}) {
+  return (await resolveSettings(ctx)).provider === 'anthropic';
+}
+
+module.exports = {
+  PROVIDERS,
+  DEMO_FIXTURES,
+  resolveSettings,
+  createClient,
+  getClient,
+  isBilled,
+  // テスト用
+  _internal: { findFixture, renderFixture, promptText, readServerSentEvents },
+};
@@ -0,0 +1,190 @@
+/**
+ * Model Registry
+ *
+ * 使えるモデル（ID・別名・単価・最大出力トークン数）と、処理ごとに使うモデルの割り当て。
+ *
+ * - 組み込みのモデルに加えて、設定の models.custom に登録したモデルも使える（コードの変更は不要）
+ *   custom は [{ id, label?, alias?, input_price, output_price, max_output_tokens? }]。同じ ID・別名なら組み込みより優先する
+ * - 別名（sonnet / opus / haiku）は各ファミリーの最新のモデルを指す。設定にはモデル ID と別名のどちらでも保存できる
+ * - 処理ごとのモデルは TASKS の設定キーから読む。知らないモデルが保存されていたら、設定は書き換えずに既定のモデルで動かす
+ * - 単価・最大出力トークン数は、一度読み込んだ登録内容から同期的にも引ける（費用の見積もり・max_tokens の上限）
+ * - 非同期の関数は { config, logger } を受け取れる（呼び出し元のサービスが差し替えた deps をそのまま渡す）
+ */
+
+const _config = require('./config');
+const _logger = require('./logger');
+
+// Mutable deps for testing
+let deps = {
+  config: _config,
+  logger: _logger,
+};
+
+// 単価は USD / 100万トークン
+const BUILTIN_MODELS = [
+  {
+    id: 'claude-sonnet-4-5-20250929',
+    label: 'Claude Sonnet 4.5',
+    alias: 'sonnet',
+    pricing: { input: 3, output: 15 },
+    maxOutputTokens: 64000,
+  },
+  {
+    id: 'claude-opus-4-6',
+    label: 'Claude Opus 4.6',
+    alias: 'opus',
+    pricing: { input: 5, output: 25 },
+    maxOutputTokens: 128000,
+  },
+  {
+    id: 'claude-haiku-4-5-20251001',
+    label: 'Claude Haiku 4.5',
+    alias: 'haiku',
+    pricing: { input: 1, output: 5 },
+    maxOutputTokens: 64000,
+  },
+];
+
+const FALLBACK_ALIAS = 'sonnet';
+
+const TASKS = {
+  generation: { label: '記事の生成・アウトライン', key: 'api.generation_model', default: 'sonnet' },
+  regeneration: { label: '却下された記事の再生成', key: 'api.regeneration_model', default: 'sonnet' },
+  scoring: { label: 'スコアリング・ファクトチェック', key: 'api.scoring_model', default: 'haiku' },
+  structure_map: { label: '構成マップ', key: 'api.structure_map_model', default: 'haiku' },
+  batch_rewrite: { label: '一括リライト（/done）', key: 'api.batch_rewrite_model', default: 'sonnet' },
+  quick_edit: { label: 'Telegram の修正指示', key: 'telegram.edit_model', default: 'haiku' },
+  action_rewrite: { label: 'GitHub Actions のリライト', key: 'api.action_rewrite_model', default: 'sonnet' },
+  title_workshop: { label: 'タイトル案', key: 'api.title_model', default: 'sonnet' },
+};
+
+function toEntry(custom) {
+  const id = String(custom?.id || '').trim();
+  if (!id) return null;
+  return {
+    id,
+    label: custom.label || id,
+    alias: custom.alias ? String(custom.alias).trim().toLowerCase() : null,
+    pricing: { input: Number(custom.input_price) || 0, output: Number(custom.output_price) || 0 },
+    maxOutputTokens: Number(custom.max_output_tokens) || null,
+    custom: true,
+  };
+}
+
+function merge(customs) {
+  const models = [];
+  for (const entry of [...customs, ...BUILTIN_MODELS]) {
+    if (models.some((m) => m.id === entry.id)) continue;
+    // 別名は先に登録したもの（custom）が持つ
+    const alias = entry.alias && models.some((m) => m.alias === entry.alias) ? null : entry.alias;
+    models.push({ custom: false, ...entry, alias });
+  }
+  return models;
+}
+
+// 最後に読み込んだ登録内容（組み込み + custom）。同期的な単価・上限の参照に使う
+let loaded = merge([]);
+
+/**
+ * 使えるモデルの一覧（custom が先、組み込みが後）
+ * @param {object} [ctx] - { config, logger }
+ * @returns {Promise<object[]>} [{ id, label, alias, pricing: { input, output }, maxOutputTokens, custom }]
+ */
+async function listModels({ config = deps.config, logger = deps.logger } = {}) {
+  let customs = [];
+  try {
+    const value = await config.get('models.custom');
+    customs = (Array.isArray(value) ? value : []).map(toEntry).filter(Boolean);
+  } catch (e) {
+    logger.warn('model-registry', `登録したモデルを読めませんでした: ${e.message}`);
+  }
+  loaded = merge(customs);
+  return loaded;
+}
+
+function lookup(models, idOrAlias) {
+  const key = String(idOrAlias || '').trim();
+  if (!key) return null;
+  return models.find((m) => m.id === key) || models.find((m) => m.alias === key.toLowerCase()) || null;
+}
+
+/**
+ * モデル ID か別名からモデルを引く
+ * @returns {Promise<object|null>}
+ */
+async function findModel(idOrAlias, ctx = {}) {
+  return lookup(await listModels(ctx), idOrAlias);
+}
+
+/**
+ * 処理に割り当てたモデル
+ * @param {string} task - TASKS のキー
+ * @param {object} [options] - { override, config, logger }
+ *   override は設定より優先するモデル ID・別名（/done opus など）
+ * @returns {Promise<object>} モデルの登録内容
+ */
+async function modelForTask(task, { override = null, config = deps.config, logger = deps.logger } = {}) {
+  const def = TASKS[task];
+  if (!def) throw new Error(`不明な処理です: ${task}`);
+  const models = await listModels({ config, logger });
+  if (override) {
+    const entry = lookup(models, override);
+    if (entry) return entry;
+    logger.warn('model-registry', `登録されていないモデルです: ${override}`, { task });
+  }
+  const saved = await config.get(def.key);
+  if (saved) {
+    const entry = lookup(models, saved);
+    if (entry) return entry;
+    logger.warn('model-registry', `登録されていないモデル ${saved} が設定されています。${def.default} で続けます`, { task });
+  }
+  return lookup(models, def.default) || lookup(models, FALLBACK_ALIAS);
+}
+
+/**
+ * 処理ごとの割り当て（設定画面用）
+ * @returns {Promise<object[]>} [{ task, label, key, value, default, model }] model は解決後の ID
+ */
+async function listTasks({ config = deps.config, logger = deps.logger } = {}) {
+  const result = [];
+  for (const [task, def] of Object.entries(TASKS)) {
+    const value = (await config.get(def.key)) || def.default;
+    const model = await modelForTask(task, { config, logger });
+    result.push({ task, label: def.label, key: def.key, value, default: def.default, model: model.id });
+  }
+  return result;
+}
+
+/**
+ * 単価（USD / 100万トークン）。登録にないモデルはファミリー名で引き、それも無ければ sonnet の単価
+ */
+function pricingFor(model) {
+  const entry = lookup(loaded, model)
+    || loaded.find((m) => m.alias && String(model || '').includes(m.alias))
+    || lookup(loaded, FALLBACK_ALIAS);
+  return entry.pricing;
+}
+
+/**
+ * 要求した max_tokens をモデルの最大出力トークン数までに抑える（上限が分からないモデルはそのまま）
+ */
+function capTokens(model, requested) {
+  const limit = lookup(loaded, model)?.maxOutputTokens;
+  return limit ? Math.min(requested, limit) : requested;
+}
+
+module.exports = {
+  BUILTIN_MODELS,
+  TASKS,
+  listModels,
+  findModel,
+  modelForTask,
+  listTasks,
+  pricingFor,
+  capTokens,
+  // テスト用
+  _setDepsForTesting: (overrides) => {
+    deps = { ...deps, ...overrides };
+    loaded = merge([]);
+  },
+};
@@ -9,7 +9,7 @@ let _logger = require('./logger');
 const CACHE_DIR = (accountId) =>
   path.join(__dirname, '../../data/accounts', accountId);
 
-const COLUMNS = ['id', 'theme', 'keywords', 'additional_instructions', 'pillar', 'is_paid', 'price', 'free_preview_ratio', 'status', 'updated_at'];
+const COLUMNS = ['id', 'theme', 'keywords', 'additional_instructions', 'pillar', 'is_paid', 'price', 'free_preview_ratio', 'status', 'updated_at', 'persona'];
 
 /**
  * Google Sheets APIクライアントを取得
@@ -102,7 +102,7 @@ module.exports = {
 
       const res = await sheets.spreadsheets.values.get({
         spreadsheetId,
-        range: `${sheetName}!A2:J`,
+        range: `${sheetName}!A2:K`,
       });
 
       const rows = res.data.values || [];
@@ -137,7 +137,7 @@ module.exports = {
 
     const res = await sheets.spreadsheets.values.get({
       spreadsheetId,
-      range: `${sheetName}!A2:J`,
+      range: `${sheetName}!A2:K`,
     });
     const rows = res.data.values || [];
     const rowIndex = rows.findIndex((row) => parseInt(row[0], 10) === topicId);
@@ -191,11 +191,12 @@ module.exports = {
       free_preview_ratio: topic.free_preview_ratio || 0,
       status: 'pending',
       updated_at: new Date().toISOString(),
+      persona: topic.persona || '',
     };
 
     await sheets.spreadsheets.values.append({
       spreadsheetId,
-      range: `${sheetName}!A:J`,
+      range: `${sheetName}!A:K`,
       valueInputOption: 'RAW',
       insertDataOption: 'INSERT_ROWS',
       requestBody: {
@@ -0,0 +1,64 @@
+/**
+ * SMTP Client
+ *
+ * 通知メール（テキストメール1通）を nodemailer で送る。
+ *
+ * - secure: true なら最初から TLS（465番）、それ以外はサーバーが対応していれば STARTTLS に切り替える
+ * - user が設定されていればログインする
+ *
+ * ローカルのテスト用 SMTP サーバー（MailHog など）にもそのまま送れる。
+ */
+
+const nodemailer = require('nodemailer');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+function parseAddresses(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((a) => a.trim())
+    .filter(Boolean);
+}
+
+/**
+ * テキストメールを1通送る
+ * @param {{ host: string, port?: number, secure?: boolean, user?: string, pass?: string,
+ *   from: string, to: string|string[], subject: string, text: string,
+ *   rejectUnauthorized?: boolean, timeoutMs?: number }} options
+ * @returns {Promise<{ accepted: string[] }>}
+ */
+async function sendMail(options) {
+  const {
+    host, secure = false, user, pass, from, subject, text,
+    rejectUnauthorized = true, timeoutMs = DEFAULT_TIMEOUT_MS,
+  } = options;
+  const port = Number(options.port) || (secure ? 465 : 587);
+  const to = parseAddresses(options.to);
+  if (!host) throw new Error('SMTP サーバーが設定されていません');
+  if (!from) throw new Error('送信元アドレスが設定されていません');
+  if (to.length === 0) throw new Error('送信先アドレスが設定されていません');
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: pass || '' } : undefined,
+    tls: { rejectUnauthorized },
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs,
+  });
+  try {
+    const info = await transport.sendMail({ from, to, subject, text });
+    return { accepted: info.accepted };
+  } catch (e) {
+    throw new Error(`メールを送信できませんでした: ${e.message}`);
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = {
+  sendMail,
+  // テスト用
+  _internal: { parseAddresses },
+};
@@ -2,8 +2,10 @@ import { Routes, Route } from 'react-router-dom';
 import { ToastProvider } from './hooks/useToast';
 import { AccountProvider } from './contexts/AccountContext';
 import Sidebar from './components/common/Sidebar';
+import StatusBar from './components/common/StatusBar';
 import InboxPage from './pages/InboxPage';
 import DashboardPage from './pages/DashboardPage';
+import TrendsPage from './pages/TrendsPage';
 import AccountsPage from './pages/AccountsPage';
 import SettingsPage from './pages/SettingsPage';
 import LogsPage from './pages/LogsPage';
@@ -14,15 +16,19 @@ export default function App() {
       <ToastProvider>
         <div className="flex h-screen bg-gray-50">
           <Sidebar />
-          <main className="flex-1 overflow-auto">
-            <Routes>
-              <Route path="/" element={<InboxPage />} />
-              <Route path="/dashboard" element={<DashboardPage />} />
-              <Route path="/accounts" element={<AccountsPage />} />
-              <Route path="/settings" element={<SettingsPage />} />
-              <Route path="/logs" element={<LogsPage />} />
-            </Routes>
-          </main>
+          <div className="flex-1 flex flex-col overflow-hidden">
+            <main className="flex-1 overflow-auto">
+              <Routes>
+                <Route path="/" element={<InboxPage />} />
+                <Route path="/dashboard" element={<DashboardPage />} />
+                <Route path="/trends" element={<TrendsPage />} />
+                <Route path="/accounts" element={<AccountsPage />} />
+                <Route path="/settings" element={<SettingsPage />} />
+                <Route path="/logs" element={<LogsPage />} />
+              </Routes>
+            </main>
+            <StatusBar />
+          </div>
         </div>
       </ToastProvider>
     </AccountProvider>
@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { useToast } from '../../hooks/useToast';
 import PillarList from './PillarList';
 import PrivacySettings from './PrivacySettings';
+import FactsEditor from './FactsEditor';
 
 export default function AccountCard({ accountId, initialData, onSave, onDelete }) {
   const { showToast } = useToast();
@@ -195,9 +196,14 @@ export default function AccountCard({ accountId, initialData, onSave, onDelete }
         {/* プライバシー設定 */}
         <PrivacySettings
           privacy={data.privacy || {}}
+          values={data.privacy_values || {}}
           onChange={(privacy) => update('privacy', privacy)}
+          onValuesChange={(values) => update('privacy_values', values)}
         />
 
+        {/* ファクト集 */}
+        <FactsEditor accountId={accountId} />
+
         {/* スケジュール */}
         <section>
           <h3 className="text-sm font-bold text-gray-700 mb-2">スケジュール</h3>
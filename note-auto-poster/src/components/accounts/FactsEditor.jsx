@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { useToast } from '../../hooks/useToast';
+
+const EXAMPLES = [
+  { label: 'ガイド歴', value: '' },
+  { label: '案内人数', value: '' },
+  { label: '利用しているプラットフォーム', value: '' },
+];
+
+export default function FactsEditor({ accountId }) {
+  const { showToast } = useToast();
+  const [facts, setFacts] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const data = await window.electronAPI.facts.get(accountId);
+        if (!cancelled) setFacts(Array.isArray(data) && data.length > 0 ? data : EXAMPLES);
+      } catch {
+        if (!cancelled) setFacts(EXAMPLES);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [accountId]);
+
+  const handleChange = (index, key, value) => {
+    setFacts((prev) => prev.map((f, i) => (i === index ? { ...f, [key]: value } : f)));
+  };
+
+  const handleRemove = (index) => {
+    setFacts((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await window.electronAPI.facts.save(accountId, facts);
+      if (result.success) {
+        setFacts(result.facts);
+        showToast('ファクト集を保存しました', 'success');
+      } else {
+        showToast('保存に失敗しました: ' + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('保存に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-bold text-gray-700 mb-1">ファクト集</h3>
+      <p className="text-xs text-gray-400 mb-2">
+        記事中の数値・サービス名・ルールをここに登録した事実と照合します（例: ガイド歴 12年、プラットフォーム Viator, GetYourGuide）。
+      </p>
+      <div className="border border-gray-200 rounded overflow-hidden">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="bg-gray-50 text-left">
+              <th className="px-3 py-1.5 text-gray-600 font-medium w-48">項目</th>
+              <th className="px-3 py-1.5 text-gray-600 font-medium">事実</th>
+              <th className="px-3 py-1.5 text-gray-600 font-medium w-16"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {facts.map((fact, i) => (
+              <tr key={i} className="border-t border-gray-100">
+                <td className="px-3 py-1.5">
+                  <input
+                    value={fact.label}
+                    onChange={(e) => handleChange(i, 'label', e.target.value)}
+                    placeholder="項目"
+                    className="w-full border border-gray-300 rounded px-2 py-0.5 text-sm"
+                  />
+                </td>
+                <td className="px-3 py-1.5">
+                  <input
+                    value={fact.value}
+                    onChange={(e) => handleChange(i, 'value', e.target.value)}
+                    placeholder="事実"
+                    aria-label={`${fact.label || '項目'}の事実`}
+                    className="w-full border border-gray-300 rounded px-2 py-0.5 text-sm"
+                  />
+                </td>
+                <td className="px-3 py-1.5 text-right">
+                  <button
+                    onClick={() => handleRemove(i)}
+                    className="text-red-500 hover:text-red-700 text-xs"
+                    title="削除"
+                  >
+                    削除
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 flex items-center gap-3">
+        <button
+          onClick={() => setFacts((prev) => [...prev, { label: '', value: '' }])}
+          className="text-sm text-blue-600 hover:text-blue-700"
+        >
+          + ファクトを追加
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="ml-auto px-3 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? '保存中...' : 'ファクト集を保存'}
+        </button>
+      </div>
+    </div>
+  );
+}
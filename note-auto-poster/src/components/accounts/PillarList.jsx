@@ -2,7 +2,7 @@ import { useState } from 'react';
 
 export default function PillarList({ pillars, onChange }) {
   const [adding, setAdding] = useState(false);
-  const [newPillar, setNewPillar] = useState({ id: '', name: '', prompt_file: '', magazine: '' });
+  const [newPillar, setNewPillar] = useState({ id: '', name: '', prompt_file: '', magazine: '', keywords: '', persona: '' });
 
   const handleRemove = (index) => {
     const updated = pillars.filter((_, i) => i !== index);
@@ -12,7 +12,7 @@ export default function PillarList({ pillars, onChange }) {
   const handleAdd = () => {
     if (!newPillar.id || !newPillar.name) return;
     onChange([...pillars, { ...newPillar }]);
-    setNewPillar({ id: '', name: '', prompt_file: '', magazine: '' });
+    setNewPillar({ id: '', name: '', prompt_file: '', magazine: '', keywords: '', persona: '' });
     setAdding(false);
   };
 
@@ -25,6 +25,7 @@ export default function PillarList({ pillars, onChange }) {
             <tr className="bg-gray-50 text-left">
               <th className="px-3 py-1.5 text-gray-600 font-medium">ID</th>
               <th className="px-3 py-1.5 text-gray-600 font-medium">名前</th>
+              <th className="px-3 py-1.5 text-gray-600 font-medium">キーワード</th>
               <th className="px-3 py-1.5 text-gray-600 font-medium w-16"></th>
             </tr>
           </thead>
@@ -33,6 +34,7 @@ export default function PillarList({ pillars, onChange }) {
               <tr key={p.id} className="border-t border-gray-100">
                 <td className="px-3 py-1.5 font-mono text-xs">{p.id}</td>
                 <td className="px-3 py-1.5">{p.name}</td>
+                <td className="px-3 py-1.5 text-xs text-gray-500">{p.keywords || '-'}</td>
                 <td className="px-3 py-1.5 text-right">
                   <button
                     onClick={() => handleRemove(i)}
@@ -66,7 +68,7 @@ export default function PillarList({ pillars, onChange }) {
           </div>
           <div className="flex gap-2">
             <input
-              placeholder="プロンプトファイル"
+              placeholder="プロンプトファイル（空欄なら ID.md）"
               value={newPillar.prompt_file}
               onChange={(e) => setNewPillar({ ...newPillar, prompt_file: e.target.value })}
               className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
@@ -78,6 +80,18 @@ export default function PillarList({ pillars, onChange }) {
               className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
             />
           </div>
+          <input
+            placeholder="トレンド調査のキーワード（カンマ区切り。空欄なら名前で検索）"
+            value={newPillar.keywords}
+            onChange={(e) => setNewPillar({ ...newPillar, keywords: e.target.value })}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <input
+            placeholder="想定読者（プロンプトの {{persona}}。シートのトピックに無ければこれを使う）"
+            value={newPillar.persona}
+            onChange={(e) => setNewPillar({ ...newPillar, persona: e.target.value })}
+            className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+          />
           <div className="flex gap-2">
             <button
               onClick={handleAdd}
@@ -21,14 +21,23 @@ const DOT_COLORS = {
   hidden: 'bg-red-500',
 };
 
-export default function PrivacySettings({ privacy, onChange }) {
+export default function PrivacySettings({ privacy, values, onChange, onValuesChange }) {
   const handleChange = (key, value) => {
     onChange({ ...privacy, [key]: value });
   };
 
+  const handleValueChange = (key, value) => {
+    onValuesChange?.({ ...values, [key]: value });
+  };
+
   return (
     <div>
-      <h3 className="text-sm font-bold text-gray-700 mb-2">プライバシー設定</h3>
+      <h3 className="text-sm font-bold text-gray-700 mb-1">プライバシー設定</h3>
+      <p className="text-xs text-gray-400 mb-2">
+        実際の値を入力すると、生成された記事に含まれていないか検査します（複数はカンマ区切り）。
+        本名は姓と名を / で区切ると（例: 山田/太郎）、姓だけ・名だけの表記も検査します。
+        hidden の値を含む記事は承認できません。
+      </p>
       <div className="border border-gray-200 rounded overflow-hidden">
         <table className="w-full text-sm">
           <tbody>
@@ -55,6 +64,15 @@ export default function PrivacySettings({ privacy, onChange }) {
                     </select>
                   </div>
                 </td>
+                <td className="px-3 py-1.5">
+                  <input
+                    value={values?.[field.key] || ''}
+                    onChange={(e) => handleValueChange(field.key, e.target.value)}
+                    placeholder="実際の値"
+                    aria-label={`${field.label}の実際の値`}
+                    className="w-full border border-gray-300 rounded px-2 py-0.5 text-sm"
+                  />
+                </td>
               </tr>
             ))}
           </tbody>
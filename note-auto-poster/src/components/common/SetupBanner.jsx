@@ -19,7 +19,10 @@ export default function SetupBanner() {
 
         if (cancelled) return;
         setChecks({
-          apiKey: !!config?.api?.anthropic_key,
+          // Anthropic 以外のプロバイダ・デモモードでは API Key が無くても動く
+          apiKey: !!config?.api?.anthropic_key
+            || (config?.api?.provider && config.api.provider !== 'anthropic')
+            || !!config?.app?.demo_mode,
           sheets: !!config?.google?.key_file,
           accounts: Array.isArray(accounts) && accounts.length > 0,
         });
@@ -3,6 +3,7 @@ import { NavLink } from 'react-router-dom';
 const links = [
   { to: '/', label: 'レビュー待ち', text: '受信トレイ' },
   { to: '/dashboard', label: 'ダッシュボード', text: '概要' },
+  { to: '/trends', label: 'トレンド調査', text: 'トレンド' },
   { to: '/accounts', label: 'アカウント管理', text: 'ユーザー' },
   { to: '/settings', label: '設定', text: 'オプション' },
   { to: '/logs', label: 'エラーログ', text: 'ログ' },
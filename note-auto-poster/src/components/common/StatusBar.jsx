@@ -1,6 +1,78 @@
+import { useState, useEffect } from 'react';
+
+function formatRunTime(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  const today = new Date();
+  const time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (d.toDateString() === today.toDateString()) return `今日 ${time}`;
+  const tomorrow = new Date(today);
+  tomorrow.setDate(today.getDate() + 1);
+  if (d.toDateString() === tomorrow.toDateString()) return `明日 ${time}`;
+  return `${d.getMonth() + 1}/${d.getDate()} ${time}`;
+}
+
+const RESULT_STYLES = {
+  success: { icon: '✅', color: 'text-green-700' },
+  error: { icon: '❌', color: 'text-red-600' },
+  skipped: { icon: '⏭', color: 'text-gray-500' },
+};
+
 export default function StatusBar() {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const result = await window.electronAPI.schedule.status();
+        if (!cancelled) setStatus(result);
+      } catch {
+        // scheduler not available
+      }
+    };
+    load();
+    const timer = setInterval(load, 60000);
+    try {
+      window.electronAPI.schedule.onUpdated((s) => {
+        if (!cancelled) setStatus(s);
+      });
+    } catch {
+      // scheduler not available
+    }
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, []);
+
+  const running = status?.jobs?.filter((j) => j.running) || [];
+  const next = status?.next;
+  const last = status?.last;
+  const lastStyle = RESULT_STYLES[last?.lastResult?.status] || RESULT_STYLES.skipped;
+
   return (
-    <footer className="h-8 bg-gray-200 border-t border-gray-300 flex items-center px-4 text-xs text-gray-500">
+    <footer className="h-8 bg-gray-200 border-t border-gray-300 flex items-center gap-6 px-4 text-xs text-gray-500">
+      {running.length > 0 && (
+        <span className="text-blue-700">
+          <span className="animate-pulse">&#9203;</span>{' '}
+          実行中: {running.map((j) => `${j.accountId} ${j.label}`).join(', ')}
+        </span>
+      )}
+      {next && (
+        <span>
+          次回: {next.accountId} {next.label} {formatRunTime(next.nextRun)}
+        </span>
+      )}
+      {last && (
+        <span className={lastStyle.color} title={last.lastResult.summary}>
+          前回: {last.accountId} {last.label} {lastStyle.icon} {last.lastResult.summary}
+          {' '}({formatRunTime(last.lastResult.finishedAt)})
+        </span>
+      )}
+      {status && !next && !last && running.length === 0 && (
+        <span>スケジュールされたジョブはありません</span>
+      )}
     </footer>
   );
 }
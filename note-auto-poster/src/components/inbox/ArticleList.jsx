@@ -62,6 +62,9 @@ export default function ArticleList({ articles, selectedId, onSelect, selectionM
               <span className="flex-1 truncate text-sm text-gray-800">
                 {article.title}
               </span>
+              {article.score != null && (
+                <span className={`text-xs font-medium ${badge.color}`}>{article.score}</span>
+              )}
             </div>
             <div className={`flex items-center gap-2 mt-0.5 ${selectionMode ? 'ml-12' : 'ml-6'} text-xs text-gray-400`}>
               <span>{article.pillar}</span>
@@ -70,6 +73,11 @@ export default function ArticleList({ articles, selectedId, onSelect, selectionM
                   ? `\u00A5${article.pricing.price?.toLocaleString()}`
                   : '無料'}
               </span>
+              {article.series && (
+                <span className="px-1 rounded bg-indigo-50 text-indigo-600" title={article.series.title}>
+                  連載 {article.series.part}/{article.series.total}
+                </span>
+              )}
               <span>{formatDate(article.generated_at)}</span>
             </div>
           </div>
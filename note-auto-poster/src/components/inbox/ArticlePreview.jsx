@@ -3,6 +3,7 @@ import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { useToast } from '../../hooks/useToast';
 import ThumbnailSelector from './ThumbnailSelector';
+import TitleWorkshop from './TitleWorkshop';
 
 function PaidLineDivider() {
   return (
@@ -12,24 +13,190 @@ function PaidLineDivider() {
   );
 }
 
-function MarkdownPreview({ body }) {
+function textOf(children) {
+  if (children == null || typeof children === 'boolean') return '';
+  if (typeof children === 'string' || typeof children === 'number') return String(children);
+  if (Array.isArray(children)) return children.map(textOf).join('');
+  return textOf(children.props?.children);
+}
+
+// Highlight paragraphs / list items that contain a sentence flagged by the fact checker
+function buildFactComponents(flags) {
+  if (!flags?.length) return undefined;
+  const findFlag = (children) => {
+    const text = textOf(children).replace(/\s+/g, '');
+    return flags.find((f) => text.includes(f.sentence.replace(/\s+/g, '')));
+  };
+  const annotate = (Tag) => function Annotated({ children, node, ...props }) {
+    const flag = findFlag(children);
+    if (!flag) return <Tag {...props}>{children}</Tag>;
+    return (
+      <Tag {...props} className="bg-red-50 border-l-2 border-red-400 pl-2">
+        {children}
+        <span className="block text-xs text-red-600" title={flag.reason}>
+          &#9888; ファクトと矛盾: {flag.fact || flag.reason}
+        </span>
+      </Tag>
+    );
+  };
+  return { p: annotate('p'), li: annotate('li') };
+}
+
+function MarkdownPreview({ body, flags }) {
   if (!body) return <p className="text-gray-400 text-sm">本文がありません</p>;
 
   const parts = body.split('<!-- paid-line -->');
+  const components = buildFactComponents(flags);
 
   return (
     <div className="prose prose-sm max-w-none">
-      <ReactMarkdown remarkPlugins={[remarkGfm]}>{parts[0]}</ReactMarkdown>
+      <ReactMarkdown remarkPlugins={[remarkGfm]} components={components}>{parts[0]}</ReactMarkdown>
       {parts.length > 1 && (
         <>
           <PaidLineDivider />
-          <ReactMarkdown remarkPlugins={[remarkGfm]}>{parts.slice(1).join('')}</ReactMarkdown>
+          <ReactMarkdown remarkPlugins={[remarkGfm]} components={components}>
+            {parts.slice(1).join('')}
+          </ReactMarkdown>
         </>
       )}
     </div>
   );
 }
 
+const SCORE_LABELS = {
+  persona: '人物像の一貫性',
+  specificity: '具体性',
+  practicality: '実用性',
+  tone: 'トーン',
+  countermeasures: '対処法のレベル',
+  originality: '失敗ネタの独自性',
+};
+
+function scoreColor(score) {
+  if (score >= 8) return 'text-green-600';
+  if (score >= 5) return 'text-yellow-600';
+  return 'text-red-600';
+}
+
+function ScoreBreakdown({ article }) {
+  if (!article.scores) return null;
+  return (
+    <div className="space-y-1.5">
+      {article.score_summary && (
+        <p className="text-xs text-gray-600">{article.score_summary}</p>
+      )}
+      {Object.entries(SCORE_LABELS).map(([key, label]) => (
+        <div key={key} className="text-xs">
+          <div className="flex">
+            <span className="w-28 text-gray-500 shrink-0">{label}:</span>
+            <span className={`font-medium ${scoreColor(article.scores[key])}`}>
+              {article.scores[key] ?? '-'}
+            </span>
+          </div>
+          {article.score_reasons?.[key] && (
+            <p className="ml-28 text-gray-500">{article.score_reasons[key]}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function PrivacyFindings({ privacy, onApply, applying }) {
+  if (!privacy?.findings?.length) return null;
+  const hasVague = privacy.findings.some((f) => f.level === 'vague');
+  return (
+    <div
+      className={`px-4 py-3 border-b ${
+        privacy.blocked ? 'bg-red-50 border-red-200' : 'bg-yellow-50 border-yellow-200'
+      }`}
+    >
+      <p className={`text-sm font-medium mb-1 ${privacy.blocked ? 'text-red-800' : 'text-yellow-800'}`}>
+        &#128274; {privacy.blocked
+          ? '非公開情報が含まれています（削除するまで承認できません）'
+          : 'ぼかした方がよい情報が含まれています'}
+      </p>
+      <ul className="text-xs space-y-0.5">
+        {privacy.findings.map((f, i) => (
+          <li key={`${f.field}-${f.index}-${i}`} className={f.level === 'hidden' ? 'text-red-700' : 'text-yellow-800'}>
+            {f.level === 'hidden' ? '非公開' : 'ぼかし'}: {f.label}「{f.match}」
+            {f.level === 'vague' && <> &rarr;「{f.suggestion}」</>}
+            <span className="text-gray-400"> ({f.line}行目)</span>
+          </li>
+        ))}
+      </ul>
+      {hasVague && (
+        <button
+          onClick={onApply}
+          disabled={applying}
+          className="mt-2 px-3 py-1 text-xs rounded bg-yellow-600 text-white hover:bg-yellow-700 disabled:opacity-50"
+        >
+          {applying ? '置き換え中...' : 'ぼかし表現に置き換え'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+function formatPercent(ratio) {
+  return ratio == null ? '-' : `${Math.round(ratio * 100)}%`;
+}
+
+function PaidLineReport({ report, autoFixed, onFix, fixing }) {
+  if (!report) return null;
+  if (report.issues.length === 0) {
+    if (!report.is_paid) return null;
+    return (
+      <div className="px-4 py-1.5 border-b border-gray-100 text-xs text-gray-500">
+        &#9986; 無料部分 {formatPercent(report.ratio)}（設定 {formatPercent(report.expected_ratio)}）
+        {autoFixed && <span className="ml-2 text-gray-400">有料ラインは調整済みです</span>}
+      </div>
+    );
+  }
+  const canFix = !report.issues.some((i) => i.type === 'no_boundary');
+  return (
+    <div className="px-4 py-3 border-b bg-orange-50 border-orange-200">
+      <p className="text-sm font-medium mb-1 text-orange-800">
+        &#9986; 有料ラインに問題があります
+        {report.is_paid && (
+          <span className="ml-2 text-xs font-normal">
+            無料部分 {formatPercent(report.ratio)}（設定 {formatPercent(report.expected_ratio)}）
+          </span>
+        )}
+      </p>
+      <ul className="text-xs space-y-0.5 text-orange-800">
+        {report.issues.map((issue) => (
+          <li key={issue.type}>{issue.message}</li>
+        ))}
+      </ul>
+      {canFix && (
+        <button
+          onClick={onFix}
+          disabled={fixing}
+          className="mt-2 px-3 py-1 text-xs rounded bg-orange-600 text-white hover:bg-orange-700 disabled:opacity-50"
+        >
+          {fixing ? '調整中...' : report.is_paid ? '有料ラインを見出しの位置に直す' : '有料ラインを取り除く'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+const LENGTH_MESSAGES = {
+  too_short: '設定の文字数に足りません。追記してから承認してください',
+  too_long: '設定の文字数を超えています。削ってから承認してください',
+  truncated: '記事が途中で途切れています。続きを書き足してから承認してください',
+};
+
+function LengthFlag({ length, status }) {
+  if (!LENGTH_MESSAGES[status]) return null;
+  return (
+    <div className="px-4 py-2 border-b bg-orange-50 border-orange-200 text-sm text-orange-800">
+      文字数 {length?.toLocaleString() ?? '-'}：{LENGTH_MESSAGES[status]}
+    </div>
+  );
+}
+
 export default function ArticlePreview({ article, accountId, onUpdate, onClose, onRegenerate, onDelete, regenerating }) {
   const { showToast } = useToast();
   const [tab, setTab] = useState('preview');
@@ -40,8 +207,22 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
   const [rejected, setRejected] = useState(article.status === 'rejected');
   const [showRegenerateForm, setShowRegenerateForm] = useState(false);
   const [regenerateInstructions, setRegenerateInstructions] = useState('');
+  const [showRejectReason, setShowRejectReason] = useState(false);
+  const [rejectReason, setRejectReason] = useState('');
   const [telegramLinked, setTelegramLinked] = useState(null);
   const [sendingToTelegram, setSendingToTelegram] = useState(false);
+  const [posting, setPosting] = useState(false);
+  const [scoring, setScoring] = useState(false);
+  const [privacy, setPrivacy] = useState(null);
+  const [factCheck, setFactCheck] = useState(null);
+  const [factChecking, setFactChecking] = useState(false);
+  const [applyingPrivacy, setApplyingPrivacy] = useState(false);
+  const [paidLine, setPaidLine] = useState(null);
+  const [fixingPaidLine, setFixingPaidLine] = useState(false);
+
+  useEffect(() => {
+    setRejected(article.status === 'rejected');
+  }, [article.id, article.status]);
 
   // Check Telegram linking status
   useEffect(() => {
@@ -53,6 +234,118 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
       .catch(() => setTelegramLinked(false));
   }, [accountId, article.filename, article.id]);
 
+  // Check the article against the account's privacy settings
+  useEffect(() => {
+    if (!article.filename || !accountId) return;
+    let cancelled = false;
+    setPrivacy(null);
+    (async () => {
+      try {
+        const result = await window.electronAPI.privacy.check(accountId, article.filename);
+        if (!cancelled && result && !result.error) setPrivacy(result);
+      } catch {
+        // privacy check not available
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [accountId, article.filename, article.body]);
+
+  // Check the paid line against the topic's free preview ratio
+  useEffect(() => {
+    if (!article.filename || !accountId) return;
+    let cancelled = false;
+    setPaidLine(null);
+    (async () => {
+      try {
+        const result = await window.electronAPI.paidLine.check(accountId, article.filename);
+        if (!cancelled && result && !result.error) setPaidLine(result);
+      } catch {
+        // paid line check not available
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [accountId, article.filename, article.body]);
+
+  // Load the saved fact-check result
+  useEffect(() => {
+    if (!article.filename || !accountId) return;
+    let cancelled = false;
+    setFactCheck(null);
+    (async () => {
+      try {
+        const result = await window.electronAPI.factChecker.get(accountId, article.id);
+        if (!cancelled) setFactCheck(result);
+      } catch {
+        // fact checker not available
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [accountId, article.filename, article.id]);
+
+  const handleFactCheck = async () => {
+    setFactChecking(true);
+    try {
+      const result = await window.electronAPI.factChecker.check(accountId, article.filename);
+      if (result.success) {
+        setFactCheck(result);
+        const conflicts = result.claims.filter((c) => c.status === 'conflict').length;
+        showToast(conflicts > 0 ? `${conflicts}件の矛盾が見つかりました` : '矛盾は見つかりませんでした', conflicts > 0 ? 'error' : 'success');
+        onUpdate?.();
+      } else {
+        showToast('ファクトチェック失敗: ' + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('ファクトチェックに失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setFactChecking(false);
+    }
+  };
+
+  const factFlags = factCheck?.claims?.filter((c) => c.status === 'conflict') || [];
+
+  const handleApplyPrivacy = async () => {
+    setApplyingPrivacy(true);
+    try {
+      const result = await window.electronAPI.privacy.applySuggestions(accountId, article.filename);
+      if (result.success) {
+        setPrivacy(result);
+        showToast('ぼかし表現に置き換えました', 'success');
+        onUpdate?.();
+      } else {
+        showToast('置き換え失敗: ' + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('置き換えに失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setApplyingPrivacy(false);
+    }
+  };
+
+  const handleFixPaidLine = async () => {
+    setFixingPaidLine(true);
+    try {
+      const result = await window.electronAPI.paidLine.fix(accountId, article.filename);
+      if (result.success) {
+        setPaidLine({ ...result, issues: [] });
+        setBodyValue(result.body);
+        showToast(result.is_paid ? '有料ラインを直しました' : '有料ラインを取り除きました', 'success');
+        onUpdate?.();
+      } else {
+        showToast('有料ラインの調整に失敗しました: ' + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('有料ラインの調整に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setFixingPaidLine(false);
+    }
+  };
+
   const handleSendToTelegram = async () => {
     setSendingToTelegram(true);
     try {
@@ -74,6 +367,41 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
     }
   };
 
+  const handlePostToNote = async () => {
+    setPosting(true);
+    try {
+      const result = await window.electronAPI.poster.post(accountId, article.filename);
+      if (result.success) {
+        showToast(result.status === 'public' ? 'noteに公開しました' : 'noteに下書き保存しました', 'success');
+        onUpdate?.();
+      } else {
+        showToast('投稿失敗: ' + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('投稿に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const handleScore = async () => {
+    setScoring(true);
+    try {
+      const result = await window.electronAPI.scorer.score(accountId, article.filename);
+      if (result.success) {
+        showToast(`採点しました: ${result.score}`, 'success');
+        if (result.status === 'rejected') setRejected(true);
+        onUpdate?.();
+      } else {
+        showToast('採点失敗: ' + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('採点に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setScoring(false);
+    }
+  };
+
   const handleRegenerateWithInstructions = () => {
     onRegenerate?.(article, regenerateInstructions);
     setShowRegenerateForm(false);
@@ -84,10 +412,12 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
     setEditingTitle(false);
     if (titleValue === article.title) return;
     try {
-      await window.electronAPI.articles.update(accountId, {
-        ...article,
-        title: titleValue,
-      });
+      // H1 と frontmatter の title を一緒に書き換える（タイトル案と同じ経路）
+      const result = await window.electronAPI.titles.apply(accountId, article.filename, titleValue);
+      if (result?.error) {
+        showToast('更新エラー: ' + result.error, 'error');
+        return;
+      }
       showToast('タイトルを更新しました', 'success');
       onUpdate?.();
     } catch {
@@ -116,10 +446,18 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
       const now = new Date().toISOString();
       const updates = { ...article, status: newStatus };
       if (newStatus === 'reviewed') updates.reviewed_at = now;
-      await window.electronAPI.articles.update(accountId, updates);
+      if (newStatus === 'rejected') updates.reject_reason = rejectReason.trim();
+      const result = await window.electronAPI.articles.update(accountId, updates);
+      if (result?.error) {
+        if (result.privacy) setPrivacy(result.privacy);
+        showToast(result.error, 'error');
+        return;
+      }
       await window.electronAPI.topics.updateStatus(accountId, article.id, newStatus);
       if (newStatus === 'rejected') {
         setRejected(true);
+        setShowRejectReason(false);
+        setRejectReason('');
       } else {
         setRejected(false);
       }
@@ -141,6 +479,7 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
     { id: 'preview', label: 'プレビュー' },
     { id: 'markdown', label: '編集' },
     { id: 'meta', label: 'メタ情報' },
+    { id: 'title', label: 'タイトル' },
     { id: 'thumbnail', label: 'サムネイル' },
   ];
 
@@ -193,6 +532,47 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
             </span>
           )}
         </div>
+        <div className="flex items-center gap-2 text-xs">
+          {article.score != null ? (
+            <span className={`font-medium ${scoreColor(article.score)}`}>
+              スコア {article.score}
+            </span>
+          ) : (
+            <span className="text-gray-400">未採点</span>
+          )}
+          {article.auto_decision && (
+            <span
+              className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-600"
+              title={article.auto_decision_reason || ''}
+            >
+              {article.auto_decision === 'approved' ? '自動承認' : '自動却下'}
+            </span>
+          )}
+          <button
+            onClick={handleScore}
+            disabled={scoring || !article.filename}
+            className="ml-auto text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            {scoring ? '採点中...' : article.score != null ? '再採点' : '採点する'}
+          </button>
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          {factCheck ? (
+            <span className={factFlags.length > 0 ? 'text-red-600 font-medium' : 'text-green-700'}>
+              ファクトチェック: {factFlags.length > 0 ? `${factFlags.length}件の矛盾` : '矛盾なし'}
+              {factCheck.claims && ` (${factCheck.claims.length}件を確認)`}
+            </span>
+          ) : (
+            <span className="text-gray-400">ファクトチェック未実施</span>
+          )}
+          <button
+            onClick={handleFactCheck}
+            disabled={factChecking || !article.filename}
+            className="ml-auto text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            {factChecking ? 'チェック中...' : factCheck ? '再チェック' : 'ファクトチェック'}
+          </button>
+        </div>
         {article.tags && (
           <div className="flex flex-wrap gap-1">
             {article.tags.map((tag) => (
@@ -224,10 +604,27 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
         ))}
       </div>
 
+      <PrivacyFindings privacy={privacy} onApply={handleApplyPrivacy} applying={applyingPrivacy} />
+      <PaidLineReport
+        report={paidLine}
+        autoFixed={article.paid_line_status === 'fixed'}
+        onFix={handleFixPaidLine}
+        fixing={fixingPaidLine}
+      />
+      <LengthFlag length={article.length} status={article.length_status} />
+
       {/* Rejected banner */}
       {rejected && (
         <div className="px-4 py-3 bg-amber-50 border-b border-amber-200">
           <p className="text-sm text-amber-800 font-medium mb-2">この記事は却下されました。次のアクションを選択してください：</p>
+          {article.reject_reason && (
+            <p className="text-xs text-amber-800 mb-2">却下理由: {article.reject_reason}</p>
+          )}
+          {article.escalated && (
+            <p className="text-xs text-red-700 font-medium mb-2">
+              &#9888; {article.regenerate_count} 回再生成しても承認されませんでした。手動で確認してください。
+            </p>
+          )}
           <div className="flex gap-2">
             <button
               onClick={handleEditClick}
@@ -248,7 +645,7 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
               <textarea
                 value={regenerateInstructions}
                 onChange={(e) => setRegenerateInstructions(e.target.value)}
-                placeholder="修正指示を入力してください（例：もっとカジュアルな文体にしてください、具体例を増やしてください）"
+                placeholder="修正指示を入力してください。前回の原稿をもとに書き直します（例：もっとカジュアルな文体にしてください、具体例を増やしてください）"
                 className="w-full border border-gray-300 rounded p-2 text-sm resize-y min-h-[80px]"
               />
               <div className="flex gap-2">
@@ -275,7 +672,7 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
       <div className="flex-1 overflow-y-auto p-4">
         {tab === 'preview' && (
           <div>
-            <MarkdownPreview body={article.body} />
+            <MarkdownPreview body={article.body} flags={factFlags} />
             {article.body && !rejected && (
               <button
                 onClick={handleEditClick}
@@ -329,10 +726,35 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
               }
             />
             <MetaRow label="バッチID" value={article.batch_id || '-'} />
+            <MetaRow
+              label="文字数"
+              value={article.length != null ? `${article.length.toLocaleString()}文字` : '-'}
+            />
             <MetaRow label="再生成回数" value={article.regenerate_count ?? 0} />
+            {article.reject_reason && (
+              <MetaRow label="却下理由" value={article.reject_reason} />
+            )}
+            <MetaRow label="note URL" value={article.note_url || '-'} />
+            {article.auto_decision_reason && (
+              <MetaRow label="自動判定" value={article.auto_decision_reason} />
+            )}
+            {article.scores && (
+              <div className="pt-2 border-t border-gray-100">
+                <p className="text-gray-500 mb-1">スコア内訳</p>
+                <ScoreBreakdown article={article} />
+              </div>
+            )}
           </div>
         )}
 
+        {tab === 'title' && (
+          <TitleWorkshop
+            article={article}
+            accountId={accountId}
+            onUpdate={onUpdate}
+          />
+        )}
+
         {tab === 'thumbnail' && (
           <ThumbnailSelector
             article={article}
@@ -360,8 +782,47 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
         </div>
       )}
 
+      {/* note.com posting */}
+      {article.status === 'reviewed' && (
+        <div className="px-4 py-2 border-t border-gray-200 bg-gray-50">
+          {article.note_url ? (
+            <p className="text-xs text-gray-500 text-center break-all">
+              note投稿済み: {article.note_url}
+            </p>
+          ) : (
+            <button
+              onClick={handlePostToNote}
+              disabled={posting}
+              className="w-full px-3 py-2 text-sm rounded bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50"
+            >
+              {posting ? 'note投稿中...' : 'noteに投稿'}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Actions */}
-      <div className="flex gap-2 px-4 py-3 border-t border-gray-200">
+      {!rejected && (
+        <div className="px-4 pt-2 border-t border-gray-200">
+          {showRejectReason ? (
+            <input
+              value={rejectReason}
+              onChange={(e) => setRejectReason(e.target.value)}
+              placeholder="却下理由（再生成の指示になります）"
+              className="w-full border border-gray-300 rounded px-2 py-1 text-sm"
+              autoFocus
+            />
+          ) : (
+            <button
+              onClick={() => setShowRejectReason(true)}
+              className="text-xs text-gray-500 hover:text-gray-700"
+            >
+              却下理由を添える
+            </button>
+          )}
+        </div>
+      )}
+      <div className={`flex gap-2 px-4 py-3 ${rejected ? 'border-t border-gray-200' : ''}`}>
         {rejected ? (
           <>
             <button
@@ -392,6 +853,12 @@ export default function ArticlePreview({ article, accountId, onUpdate, onClose,
             >
               承認
             </button>
+            <button
+              onClick={() => handleStatusChange('rejected')}
+              className="flex-1 px-3 py-2 text-sm rounded bg-amber-500 text-white hover:bg-amber-600"
+            >
+              却下
+            </button>
             <button
               onClick={handleEditClick}
               className="flex-1 px-3 py-2 text-sm rounded bg-gray-100 text-gray-700 border border-gray-300 hover:bg-gray-200"
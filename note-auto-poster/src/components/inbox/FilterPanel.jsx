@@ -11,7 +11,7 @@ export default function FilterPanel({
   onPillarFilterChange,
   onRefresh,
 }) {
-  const topicStatuses = ['pending', 'generating', 'generated', 'error'];
+  const topicStatuses = ['pending', 'generating', 'outlined', 'generated', 'error'];
   const articleStatuses = ['generated', 'reviewed', 'rejected', 'posted'];
   const statuses = view === 'topics' ? topicStatuses : articleStatuses;
 
@@ -62,30 +62,42 @@ export default function FilterPanel({
             />
             記事
           </label>
+          <label className="flex items-center gap-1.5 text-sm cursor-pointer">
+            <input
+              type="radio"
+              name="view"
+              value="series"
+              checked={view === 'series'}
+              onChange={() => onViewChange('series')}
+            />
+            連載
+          </label>
         </div>
       </div>
 
-      {/* ステータスフィルタ */}
-      <div>
-        <label className="text-xs font-bold text-gray-500 uppercase mb-1 block">
-          ステータス
-        </label>
-        <div className="space-y-1">
-          {statuses.map((s) => (
-            <label key={s} className="flex items-center gap-1.5 text-sm cursor-pointer">
-              <input
-                type="checkbox"
-                checked={statusFilters.includes(s)}
-                onChange={() => onStatusFilterChange(s)}
-              />
-              {s}
-            </label>
-          ))}
+      {/* ステータスフィルタ（連載は回ごとの状態を一覧に出すので無し） */}
+      {view !== 'series' && (
+        <div>
+          <label className="text-xs font-bold text-gray-500 uppercase mb-1 block">
+            ステータス
+          </label>
+          <div className="space-y-1">
+            {statuses.map((s) => (
+              <label key={s} className="flex items-center gap-1.5 text-sm cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={statusFilters.includes(s)}
+                  onChange={() => onStatusFilterChange(s)}
+                />
+                {s}
+              </label>
+            ))}
+          </div>
         </div>
-      </div>
+      )}
 
       {/* 柱フィルタ */}
-      {pillars.length > 0 && (
+      {pillars.length > 0 && view !== 'series' && (
         <div>
           <label className="text-xs font-bold text-gray-500 uppercase mb-1 block">
             柱
@@ -1,6 +1,100 @@
 import { useState, useEffect, useRef } from 'react';
 
-export default function GenerationPanel({ batchId, onComplete }) {
+// 逐次生成の本文は末尾だけ表示する
+const PREVIEW_CHARS = 300;
+
+// バッチ生成のトピックごとの状態（generator.run の progress.topics）
+const TOPIC_STATES = {
+  queued: { label: '待機中', className: 'text-gray-400' },
+  generating: { label: '生成中', className: 'text-blue-700' },
+  retrying: { label: '再試行待ち', className: 'text-yellow-700' },
+  done: { label: '完了', className: 'text-green-700' },
+  error: { label: 'エラー', className: 'text-red-600' },
+  cancelled: { label: '中止', className: 'text-gray-400' },
+};
+
+function TopicProgress({ topics }) {
+  return (
+    <ul className="divide-y divide-blue-100 bg-white border border-blue-100 rounded">
+      {topics.map((t) => {
+        const state = TOPIC_STATES[t.state] || TOPIC_STATES.queued;
+        return (
+          <li key={t.topicId} className="flex items-center gap-2 px-2 py-1" title={t.error || ''}>
+            <span className="flex-1 truncate text-gray-700">{t.theme}</span>
+            {t.chars > 0 && t.state !== 'queued' && (
+              <span className="text-gray-400">{t.chars.toLocaleString()} 文字</span>
+            )}
+            <span className={`shrink-0 ${state.className}`}>
+              {state.label}
+              {t.state === 'retrying' && t.attempt ? `（${t.attempt} 回目）` : ''}
+            </span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+function StreamingProgress({ progress, onCancel }) {
+  const [cancelling, setCancelling] = useState(false);
+
+  const handleCancel = async () => {
+    setCancelling(true);
+    try {
+      await onCancel?.();
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const text = progress?.text || '';
+  const topics = progress?.topics?.length > 1 ? progress.topics : null;
+  const finished = topics?.filter((t) => t.state === 'done' || t.state === 'error').length;
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded p-3 mb-3">
+      <div className="flex items-center gap-2 mb-2">
+        <span className="animate-pulse">&#9203;</span>
+        <span className="font-bold text-sm text-blue-800">
+          {topics && 'バッチ生成中'}
+          {!topics && (progress?.theme ? `「${progress.theme}」を生成中` : '生成を開始しています...')}
+        </span>
+        {topics && (
+          <span className="text-xs text-blue-700">（{finished} / {topics.length} 件完了）</span>
+        )}
+        {onCancel && (
+          <button
+            onClick={handleCancel}
+            disabled={cancelling}
+            className="ml-auto px-2 py-0.5 text-xs rounded border border-red-300 text-red-600 hover:bg-red-50 disabled:opacity-50"
+          >
+            {cancelling ? '中止中...' : '中止'}
+          </button>
+        )}
+      </div>
+      {progress && (
+        <div className="text-xs text-blue-700 space-y-1">
+          {topics ? (
+            <TopicProgress topics={topics} />
+          ) : (
+            <div>
+              {progress.chars.toLocaleString()} 文字 / 入力 {progress.input_tokens.toLocaleString()} トークン・出力{' '}
+              {progress.output_tokens.toLocaleString()} トークン
+            </div>
+          )}
+          {topics && text && <div>「{progress.theme}」</div>}
+          {text && (
+            <pre className="whitespace-pre-wrap font-sans text-gray-600 bg-white border border-blue-100 rounded p-2 max-h-40 overflow-y-auto">
+              {text.length > PREVIEW_CHARS ? `…${text.slice(-PREVIEW_CHARS)}` : text}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// batchId があれば Batch API のステータスをポーリング、なければ逐次生成の進捗（progress）を表示する
+export default function GenerationPanel({ batchId, onComplete, progress, onCancel }) {
   const [status, setStatus] = useState(null);
   const [elapsed, setElapsed] = useState(0);
   const [lastCheck, setLastCheck] = useState(null);
@@ -49,6 +143,8 @@ export default function GenerationPanel({ batchId, onComplete }) {
     }
   };
 
+  if (!batchId) return <StreamingProgress progress={progress} onCancel={onCancel} />;
+
   return (
     <div className="bg-blue-50 border border-blue-200 rounded p-3 mb-3">
       <div className="flex items-center gap-2 mb-2">
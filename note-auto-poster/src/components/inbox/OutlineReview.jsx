@@ -0,0 +1,238 @@
+import { useState, useEffect } from 'react';
+import { useToast } from '../../hooks/useToast';
+
+// electron/services/outliner.js の STEPS と同じ
+const STEPS = [
+  { key: 'situation', label: '❶ 状況' },
+  { key: 'problem', label: '❷ 問題' },
+  { key: 'reaction', label: '❸ 相手・周囲の反応' },
+  { key: 'response', label: '❹ その場での対処' },
+  { key: 'prevention', label: '❺ 以降の対策' },
+  { key: 'weapon', label: '❻ この経験から得た「武器」' },
+];
+
+const inputClass = 'w-full border border-gray-300 rounded px-2 py-1 text-sm';
+
+function Field({ label, children }) {
+  return (
+    <div>
+      <label className="text-xs font-bold text-gray-500 block mb-1">{label}</label>
+      {children}
+    </div>
+  );
+}
+
+// Outline-first generation: edit / approve / reject the outline of a topic before the article is written
+export default function OutlineReview({ accountId, topic, refreshKey, onApprove, onChanged, approving }) {
+  const { showToast } = useToast();
+  const [record, setRecord] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    async function load() {
+      setLoading(true);
+      try {
+        const found = await window.electronAPI.outlines.get(accountId, topic.id);
+        if (!active) return;
+        setRecord(found || null);
+        setDraft(found ? found.outline : null);
+      } catch {
+        if (active) setRecord(null);
+      } finally {
+        if (active) setLoading(false);
+      }
+    }
+    load();
+    return () => {
+      active = false;
+    };
+  }, [accountId, topic.id, refreshKey]);
+
+  if (loading) return <p className="text-sm text-gray-400">アウトラインを読み込み中...</p>;
+  if (!record || !draft) return <p className="text-sm text-gray-400">承認待ちのアウトラインがありません</p>;
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+  const updateItem = (index, changes) => setDraft((prev) => ({
+    ...prev,
+    paid_items: prev.paid_items.map((item, i) => (i === index ? { ...item, ...changes } : item)),
+  }));
+  const removeItem = (index) => setDraft((prev) => ({
+    ...prev,
+    paid_items: prev.paid_items.filter((_, i) => i !== index),
+  }));
+  const addItem = () => setDraft((prev) => ({
+    ...prev,
+    paid_items: [...prev.paid_items, { title: '', ...Object.fromEntries(STEPS.map((s) => [s.key, ''])) }],
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await window.electronAPI.outlines.save(record.id, draft);
+      if (result.success) {
+        setRecord(result.outline);
+        setDraft(result.outline.outline);
+        showToast('アウトラインを保存しました', 'success');
+      } else {
+        showToast('保存エラー: ' + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('保存に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReject = async () => {
+    if (!window.confirm('このアウトラインを却下しますか？テーマは未生成に戻ります。')) return;
+    try {
+      const result = await window.electronAPI.outlines.reject(record.id);
+      if (result.success) {
+        showToast('アウトラインを却下しました', 'info');
+        onChanged?.();
+      } else {
+        showToast('却下エラー: ' + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('却下に失敗しました: ' + (e.message || ''), 'error');
+    }
+  };
+
+  const busy = saving || approving;
+
+  return (
+    <div className="space-y-3 text-sm">
+      {record.error && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-xs text-red-700">
+          前回の本文の生成に失敗しました: {record.error}
+        </div>
+      )}
+
+      <Field label="タイトル">
+        <input
+          aria-label="タイトル"
+          value={draft.title}
+          onChange={(e) => update({ title: e.target.value })}
+          className={inputClass}
+        />
+        <div className="mt-1 flex flex-wrap gap-1">
+          {draft.title_candidates.filter((t) => t !== draft.title).map((candidate) => (
+            <button
+              key={candidate}
+              type="button"
+              onClick={() => update({ title: candidate })}
+              className="px-2 py-0.5 text-xs rounded border border-gray-300 text-gray-600 hover:bg-gray-50"
+            >
+              {candidate}
+            </button>
+          ))}
+        </div>
+      </Field>
+
+      <Field label="読者の悩み（1行に1つ）">
+        <textarea
+          aria-label="読者の悩み"
+          value={draft.pain_points.join('\n')}
+          onChange={(e) => update({ pain_points: e.target.value.split('\n') })}
+          rows={3}
+          className={inputClass}
+        />
+      </Field>
+
+      <Field label="無料サンプル">
+        <textarea
+          aria-label="無料サンプル"
+          value={draft.free_sample}
+          onChange={(e) => update({ free_sample: e.target.value })}
+          rows={3}
+          className={inputClass}
+        />
+      </Field>
+
+      <div>
+        <span className="text-xs font-bold text-gray-500 block mb-1">有料パートの項目</span>
+        <div className="space-y-2">
+          {draft.paid_items.map((item, index) => (
+            <div key={index} className="border border-gray-200 rounded p-2 space-y-1">
+              <div className="flex items-center gap-1">
+                <span className="text-xs text-gray-400 shrink-0">{index + 1}.</span>
+                <input
+                  aria-label={`項目 ${index + 1} の見出し`}
+                  value={item.title}
+                  onChange={(e) => updateItem(index, { title: e.target.value })}
+                  className={inputClass}
+                />
+                <button
+                  type="button"
+                  onClick={() => removeItem(index)}
+                  disabled={draft.paid_items.length <= 1}
+                  className="text-gray-400 hover:text-red-600 disabled:opacity-30 px-1"
+                  title="この項目を削除"
+                >
+                  &times;
+                </button>
+              </div>
+              {STEPS.map((step) => (
+                <label key={step.key} className="block">
+                  <span className="text-xs text-gray-500">{step.label}</span>
+                  <input
+                    aria-label={`項目 ${index + 1} ${step.label}`}
+                    value={item[step.key] || ''}
+                    onChange={(e) => updateItem(index, { [step.key]: e.target.value })}
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={addItem}
+          className="mt-2 px-2 py-1 text-xs rounded border border-gray-300 text-gray-600 hover:bg-gray-50"
+        >
+          + 項目を追加
+        </button>
+      </div>
+
+      <Field label="締め">
+        <textarea
+          aria-label="締め"
+          value={draft.closing}
+          onChange={(e) => update({ closing: e.target.value })}
+          rows={2}
+          className={inputClass}
+        />
+      </Field>
+
+      <div className="pt-3 border-t border-gray-200 flex flex-col gap-2">
+        <button
+          onClick={() => onApprove?.(record.id, draft)}
+          disabled={busy}
+          className="w-full px-3 py-2 text-sm rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+        >
+          {approving ? '本文を生成中...' : '承認して本文を生成'}
+        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={handleSave}
+            disabled={busy}
+            className="flex-1 px-3 py-1.5 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            {saving ? '保存中...' : '保存'}
+          </button>
+          <button
+            onClick={handleReject}
+            disabled={busy}
+            className="flex-1 px-3 py-1.5 text-sm rounded border border-red-300 text-red-600 hover:bg-red-50 disabled:opacity-50"
+          >
+            却下
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,277 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useToast } from '../../hooks/useToast';
+
+// electron/services/series.js の MIN_PARTS / MAX_PARTS と同じ
+const MIN_PARTS = 2;
+const MAX_PARTS = 10;
+
+const inputClass = 'w-full border border-gray-300 rounded px-2 py-1 text-sm';
+
+const EMPTY_REQUEST = { seedTheme: '', parts: 3, persona: '', pillar: '', is_paid: false, price: 0 };
+
+function partStatus(part) {
+  if (part.article) return part.article.note_url ? 'posted' : part.article.status;
+  if (part.topic_id === null || part.topic_id === undefined) return 'トピック未登録';
+  return '未生成';
+}
+
+// Series: plan a multi-part series from one seed theme, add the parts as topics and write them in order
+export default function SeriesPanel({ accountId, pillars = [], refreshKey, onGenerate, onOpenArticle, generating }) {
+  const { showToast } = useToast();
+  const [series, setSeries] = useState([]);
+  const [request, setRequest] = useState(EMPTY_REQUEST);
+  const [plan, setPlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  const loadSeries = useCallback(async () => {
+    try {
+      const list = await window.electronAPI.series.list(accountId);
+      setSeries(Array.isArray(list) ? list : []);
+    } catch {
+      setSeries([]);
+    }
+  }, [accountId]);
+
+  useEffect(() => {
+    loadSeries();
+  }, [loadSeries, refreshKey]);
+
+  const handlePlan = async () => {
+    if (!request.seedTheme.trim()) return;
+    setPlanning(true);
+    try {
+      const result = await window.electronAPI.series.plan(accountId, {
+        seedTheme: request.seedTheme.trim(),
+        parts: Number(request.parts),
+        persona: request.persona.trim(),
+      });
+      if (result.error) {
+        showToast('企画エラー: ' + result.error, 'error');
+      } else {
+        setPlan(result.plan);
+      }
+    } catch (e) {
+      showToast('企画に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const updatePart = (index, changes) => setPlan((prev) => ({
+    ...prev,
+    parts: prev.parts.map((p, i) => (i === index ? { ...p, ...changes } : p)),
+  }));
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const result = await window.electronAPI.series.create(
+        accountId,
+        { ...plan, seedTheme: request.seedTheme.trim() },
+        { pillar: request.pillar, is_paid: request.is_paid, price: request.is_paid ? Number(request.price) || 0 : 0 },
+      );
+      if (result.error) {
+        showToast('連載の作成エラー: ' + result.error, 'error');
+        return;
+      }
+      showToast(`「${result.series.title}」の${result.series.parts.length}回分をトピックに追加しました`, 'success');
+      setPlan(null);
+      setRequest(EMPTY_REQUEST);
+      loadSeries();
+    } catch (e) {
+      showToast('連載の作成に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRemove = async (item) => {
+    if (!window.confirm(`連載「${item.title}」の記録を削除しますか？トピックと記事はそのまま残ります。`)) return;
+    try {
+      const result = await window.electronAPI.series.remove(item.id);
+      if (result.error) {
+        showToast('削除エラー: ' + result.error, 'error');
+        return;
+      }
+      loadSeries();
+    } catch (e) {
+      showToast('削除に失敗しました: ' + (e.message || ''), 'error');
+    }
+  };
+
+  return (
+    <div className="p-3 space-y-4">
+      {/* 企画 */}
+      <div className="bg-white border border-gray-200 rounded p-3 space-y-2 text-sm">
+        <h3 className="font-bold text-gray-800">連載を企画</h3>
+        <textarea
+          aria-label="種テーマ"
+          value={request.seedTheme}
+          onChange={(e) => setRequest({ ...request, seedTheme: e.target.value })}
+          placeholder="1本に収まらないテーマ（例: 京都ガイド10年で学んだこと）"
+          rows={2}
+          className={inputClass}
+        />
+        <div className="flex items-center gap-2">
+          <label className="text-xs text-gray-500" htmlFor="series-parts">回数</label>
+          <input
+            id="series-parts"
+            type="number"
+            min={MIN_PARTS}
+            max={MAX_PARTS}
+            value={request.parts}
+            onChange={(e) => setRequest({ ...request, parts: e.target.value })}
+            className="w-16 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <input
+            aria-label="語り手"
+            value={request.persona}
+            onChange={(e) => setRequest({ ...request, persona: e.target.value })}
+            placeholder="語り手の人物像（任意）"
+            className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          {pillars.length > 0 && (
+            <select
+              aria-label="柱"
+              value={request.pillar}
+              onChange={(e) => setRequest({ ...request, pillar: e.target.value })}
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              <option value="">柱なし</option>
+              {pillars.map((p) => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+          )}
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={request.is_paid}
+              onChange={(e) => setRequest({ ...request, is_paid: e.target.checked })}
+            />
+            有料
+          </label>
+          {request.is_paid && (
+            <input
+              aria-label="価格"
+              type="number"
+              min={0}
+              value={request.price}
+              onChange={(e) => setRequest({ ...request, price: e.target.value })}
+              className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+            />
+          )}
+          <button
+            onClick={handlePlan}
+            disabled={planning || !request.seedTheme.trim()}
+            className="ml-auto px-3 py-1.5 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {planning ? '企画中...' : '連載を企画'}
+          </button>
+        </div>
+
+        {plan && (
+          <div className="pt-2 border-t border-gray-200 space-y-2">
+            <input
+              aria-label="連載名"
+              value={plan.title}
+              onChange={(e) => setPlan({ ...plan, title: e.target.value })}
+              className={`${inputClass} font-bold`}
+            />
+            <input
+              aria-label="連載の語り手"
+              value={plan.persona || ''}
+              onChange={(e) => setPlan({ ...plan, persona: e.target.value })}
+              placeholder="語り手の人物像"
+              className={inputClass}
+            />
+            {plan.parts.map((part, i) => (
+              <div key={i} className="space-y-1">
+                <input
+                  aria-label={`第${i + 1}回のテーマ`}
+                  value={part.theme}
+                  onChange={(e) => updatePart(i, { theme: e.target.value })}
+                  className={inputClass}
+                />
+                <textarea
+                  aria-label={`第${i + 1}回の概要`}
+                  value={part.summary || ''}
+                  onChange={(e) => updatePart(i, { summary: e.target.value })}
+                  rows={2}
+                  className={`${inputClass} text-xs`}
+                />
+              </div>
+            ))}
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setPlan(null)}
+                className="px-3 py-1.5 text-sm rounded border border-gray-300 hover:bg-gray-100"
+              >
+                破棄
+              </button>
+              <button
+                onClick={handleCreate}
+                disabled={creating || plan.parts.some((p) => !p.theme.trim())}
+                className="px-3 py-1.5 text-sm rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+              >
+                {creating ? '追加中...' : 'トピックに追加'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* 連載の一覧 */}
+      {series.length === 0 ? (
+        <p className="text-gray-400 text-sm">連載がありません</p>
+      ) : (
+        series.map((item) => (
+          <div key={item.id} className="bg-white border border-gray-200 rounded text-sm">
+            <div className="px-3 py-2 border-b border-gray-100 flex items-center gap-2">
+              <span className="flex-1 font-bold text-gray-800">{item.title}</span>
+              <span className="text-xs text-gray-400">
+                {item.parts.filter((p) => p.article).length} / {item.parts.length} 回
+              </span>
+              <button
+                onClick={() => handleRemove(item)}
+                aria-label={`${item.title} を削除`}
+                className="text-xs text-red-500 hover:underline"
+              >
+                削除
+              </button>
+            </div>
+            <div className="divide-y divide-gray-100">
+              {item.parts.map((part) => (
+                <div key={part.part} className="px-3 py-1.5 flex items-center gap-2">
+                  <span className="text-xs text-gray-400 w-12 shrink-0">第{part.part}回</span>
+                  <span className="flex-1 truncate text-gray-800">{part.article?.title || part.theme}</span>
+                  <span className="text-xs text-gray-500">{partStatus(part)}</span>
+                  {part.article ? (
+                    <button
+                      onClick={() => onOpenArticle?.(part.article)}
+                      className="px-2 py-0.5 text-xs rounded border border-gray-300 hover:bg-gray-100"
+                    >
+                      開く
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => onGenerate?.({ id: part.topic_id, theme: part.theme, status: 'pending' })}
+                      disabled={generating || part.topic_id === null || part.topic_id === undefined}
+                      aria-label={`第${part.part}回を生成`}
+                      className="px-2 py-0.5 text-xs rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                    >
+                      生成
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import { useState, useEffect } from 'react';
+import { useToast } from '../../hooks/useToast';
+
+function TitleCard({ item, label, onApply, applying }) {
+  return (
+    <div className="border border-gray-200 rounded p-2 space-y-1">
+      <div className="flex items-start gap-2">
+        {label && <span className="text-xs text-gray-400 shrink-0">{label}</span>}
+        <span className="flex-1 font-bold text-gray-800">{item.title}</span>
+        <span className="text-xs text-gray-500 shrink-0">{item.length}文字</span>
+        <span className="text-xs font-bold text-blue-600 shrink-0">{item.score}点</span>
+      </div>
+      {/* サムネイルでの改行 */}
+      <div className="bg-gray-800 text-white text-xs rounded px-2 py-1 leading-tight" aria-label={`${item.title} のサムネイル表示`}>
+        {item.lines.map((line, i) => (
+          <div key={i}>{line}</div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {item.checks.map((c) => (
+          <span
+            key={c.key}
+            className={`text-[10px] px-1.5 py-0.5 rounded ${c.passed ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-400 line-through'}`}
+          >
+            {c.label}
+          </span>
+        ))}
+      </div>
+      {item.reason && <p className="text-xs text-gray-500">{item.reason}</p>}
+      {onApply && (
+        <div className="flex justify-end">
+          <button
+            onClick={() => onApply(item.title)}
+            disabled={applying}
+            aria-label={`「${item.title}」にする`}
+            className="px-2 py-0.5 text-xs rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+          >
+            このタイトルにする
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Title workshop: generate scored title candidates and apply one to the H1 and frontmatter
+export default function TitleWorkshop({ article, accountId, onUpdate }) {
+  const { showToast } = useToast();
+  const [result, setResult] = useState(null);
+  const [generating, setGenerating] = useState(false);
+  const [applying, setApplying] = useState(false);
+
+  // 別の記事を開いたら案を捨てる
+  useEffect(() => {
+    setResult(null);
+  }, [article.id]);
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      const data = await window.electronAPI.titles.candidates(accountId, article.filename);
+      if (data.error) {
+        showToast('タイトル案の作成エラー: ' + data.error, 'error');
+      } else {
+        setResult(data);
+      }
+    } catch (e) {
+      showToast('タイトル案の作成に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleApply = async (title) => {
+    setApplying(true);
+    try {
+      const data = await window.electronAPI.titles.apply(accountId, article.filename, title);
+      if (data.error) {
+        showToast('タイトルの変更エラー: ' + data.error, 'error');
+        return;
+      }
+      showToast('タイトルを変更しました', 'success');
+      setResult((prev) => prev && {
+        current: prev.candidates.find((c) => c.title === data.title) || prev.current,
+        candidates: prev.candidates.filter((c) => c.title !== data.title),
+      });
+      onUpdate?.();
+    } catch (e) {
+      showToast('タイトルの変更に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  return (
+    <div className="p-3 space-y-3 text-sm">
+      {result ? (
+        <TitleCard item={result.current} label="今" />
+      ) : (
+        <div className="border border-gray-200 rounded p-2 flex items-start gap-2">
+          <span className="text-xs text-gray-400 shrink-0">今</span>
+          <span className="flex-1 font-bold text-gray-800">{article.title}</span>
+          <span className="text-xs text-gray-500 shrink-0">{[...(article.title || '')].length}文字</span>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <span className="flex-1 text-xs text-gray-500">
+          点数は付け方の規則（タグ・数字・価値・長さ）と訴求力の平均です
+        </span>
+        <button
+          onClick={handleGenerate}
+          disabled={generating || !article.filename}
+          className="px-3 py-1.5 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {generating ? '作成中...' : result ? '作り直す' : 'タイトル案を作る'}
+        </button>
+      </div>
+
+      {result?.candidates.map((item) => (
+        <TitleCard key={item.title} item={item} onApply={handleApply} applying={applying} />
+      ))}
+    </div>
+  );
+}
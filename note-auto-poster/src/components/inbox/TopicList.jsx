@@ -1,6 +1,7 @@
 const STATUS_COLORS = {
   pending: 'bg-gray-200 text-gray-700',
   generating: 'bg-blue-200 text-blue-700 animate-pulse',
+  outlined: 'bg-yellow-200 text-yellow-700',
   generated: 'bg-green-200 text-green-700',
   error: 'bg-red-200 text-red-700',
 };
@@ -100,6 +100,30 @@ describe('ArticlePreview', () => {
     });
   });
 
+  it('入力した却下理由がreject_reasonとして送られる', async () => {
+    const user = userEvent.setup();
+    renderPreview();
+
+    await user.click(screen.getByRole('button', { name: '却下理由を添える' }));
+    await user.type(screen.getByPlaceholderText(/却下理由/), '具体例が少ない');
+    await user.click(screen.getByRole('button', { name: '却下' }));
+
+    await waitFor(() => {
+      expect(mockElectronAPI.articles.update).toHaveBeenCalledWith(
+        'tokken',
+        expect.objectContaining({ status: 'rejected', reject_reason: '具体例が少ない' })
+      );
+    });
+  });
+
+  it('上限まで再生成した記事は却下理由とエスカレーションを表示する', () => {
+    renderPreview({
+      article: { ...mockArticle, status: 'rejected', reject_reason: 'トーンが暗い', regenerate_count: 3, escalated: true },
+    });
+    expect(screen.getByText('却下理由: トーンが暗い')).toBeInTheDocument();
+    expect(screen.getByText(/3 回再生成しても承認されませんでした/)).toBeInTheDocument();
+  });
+
   it('タブ切り替え（プレビュー/編集/メタ情報）が動作する', async () => {
     const user = userEvent.setup();
     renderPreview();
@@ -178,4 +202,104 @@ describe('ArticlePreview', () => {
     await user.click(screen.getByText('閉じる', { exact: false }));
     expect(onClose).toHaveBeenCalled();
   });
+
+  it('スコアと自動判定、メタ情報タブに項目別スコアが表示される', async () => {
+    const user = userEvent.setup();
+    renderPreview({
+      article: {
+        ...mockArticle,
+        score: 8.5,
+        scores: { persona: 9, specificity: 8, practicality: 9, tone: 9, countermeasures: 8, originality: 8 },
+        score_reasons: { persona: '業務形態と一致している' },
+        auto_decision: 'approved',
+        auto_decision_reason: '総合スコア 8.5 が自動承認のしきい値 8 以上',
+      },
+    });
+
+    expect(screen.getByText('スコア 8.5')).toBeInTheDocument();
+    expect(screen.getByText('自動承認')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'メタ情報' }));
+    expect(screen.getByText('人物像の一貫性:')).toBeInTheDocument();
+    expect(screen.getByText('業務形態と一致している')).toBeInTheDocument();
+  });
+
+  it('プライバシーの指摘が表示され、非公開情報があると承認できない', async () => {
+    const user = userEvent.setup();
+    const privacy = {
+      status: 'blocked',
+      blocked: true,
+      findings: [
+        { field: 'real_name', label: '本名', level: 'hidden', match: '山田太郎', index: 0, line: 3, suggestion: '筆者' },
+        { field: 'monthly_revenue', label: '月間収益', level: 'vague', match: '月収50万円', index: 10, line: 5, suggestion: 'まとまった収入' },
+      ],
+    };
+    window.electronAPI = {
+      ...mockElectronAPI,
+      privacy: { check: vi.fn().mockResolvedValue(privacy), applySuggestions: vi.fn() },
+      telegram: { isLinked: vi.fn().mockResolvedValue({ linked: true }) },
+    };
+    mockElectronAPI.articles.update.mockResolvedValue({
+      error: '非公開情報が含まれているため承認できません: 本名',
+      privacy,
+    });
+    renderPreview({ article: { ...mockArticle, filename: 'article.md' } });
+
+    await waitFor(() => {
+      expect(screen.getByText(/非公開情報が含まれています/)).toBeInTheDocument();
+    });
+    expect(screen.getByText(/本名「山田太郎」/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'ぼかし表現に置き換え' })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: '承認' }));
+    await waitFor(() => {
+      expect(screen.getByText('非公開情報が含まれているため承認できません: 本名')).toBeInTheDocument();
+    });
+    expect(mockElectronAPI.topics.updateStatus).not.toHaveBeenCalled();
+  });
+
+  it('有料ラインの問題を表示し、見出しの位置に直せる', async () => {
+    const user = userEvent.setup();
+    const onUpdate = vi.fn();
+    const report = {
+      status: 'needs_fix',
+      is_paid: true,
+      expected_ratio: 0.3,
+      ratio: 0.62,
+      markers: 1,
+      issues: [
+        { type: 'variant', message: '有料ラインが「──── ✂️ ここから有料 ────」の形で書かれています（12行目）' },
+        { type: 'ratio', message: '無料部分が 62% です（設定は 30%）' },
+      ],
+    };
+    const paidLine = {
+      check: vi.fn().mockResolvedValue(report),
+      fix: vi.fn().mockResolvedValue({
+        success: true, ...report, status: 'fixed', ratio: 0.28, body: '## はじめに\n\n<!-- paid-line -->\n\n## ステップ1',
+      }),
+    };
+    window.electronAPI = {
+      ...mockElectronAPI,
+      paidLine,
+      telegram: { isLinked: vi.fn().mockResolvedValue({ linked: false }) },
+    };
+    renderPreview({ article: { ...mockArticle, filename: 'article.md' }, onUpdate });
+
+    expect(await screen.findByText(/有料ラインに問題があります/)).toBeInTheDocument();
+    expect(screen.getByText('無料部分 62%（設定 30%）')).toBeInTheDocument();
+    expect(screen.getByText('無料部分が 62% です（設定は 30%）')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: '有料ラインを見出しの位置に直す' }));
+
+    expect(paidLine.fix).toHaveBeenCalledWith('tokken', 'article.md');
+    expect(await screen.findByText('有料ラインを直しました')).toBeInTheDocument();
+    expect(screen.queryByText(/有料ラインに問題があります/)).not.toBeInTheDocument();
+    expect(screen.getByText(/無料部分 28%（設定 30%）/)).toBeInTheDocument();
+    expect(onUpdate).toHaveBeenCalled();
+  });
+
+  it('文字数が範囲に収まらなかった記事に注意を出す', () => {
+    renderPreview({ article: { ...mockArticle, length: 1180, length_status: 'too_short' } });
+    expect(screen.getByText('文字数 1,180：設定の文字数に足りません。追記してから承認してください')).toBeInTheDocument();
+  });
 });
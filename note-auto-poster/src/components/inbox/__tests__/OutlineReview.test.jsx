@@ -0,0 +1,81 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ToastProvider } from '../../../hooks/useToast';
+import OutlineReview from '../OutlineReview';
+
+const record = {
+  id: 7,
+  status: 'pending',
+  outline: {
+    title: '京都ガイドの失敗3選',
+    title_candidates: ['京都ガイドの失敗3選', '京都ガイドで学んだこと'],
+    pain_points: ['お客様が迷子になる'],
+    free_sample: '集合場所の失敗',
+    paid_items: [{
+      title: '集合場所を間違えた', situation: '朝の京都駅', problem: '', reaction: '', response: '', prevention: '', weapon: '',
+    }],
+    closing: '失敗は武器になる',
+  },
+};
+
+const mockElectronAPI = {
+  outlines: {
+    get: vi.fn(),
+    save: vi.fn(),
+    reject: vi.fn(),
+  },
+};
+
+function renderReview(props = {}) {
+  return render(
+    <ToastProvider>
+      <OutlineReview accountId="tokken" topic={{ id: 1, theme: '京都ガイドの1日' }} {...props} />
+    </ToastProvider>
+  );
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  window.electronAPI = mockElectronAPI;
+  mockElectronAPI.outlines.get.mockResolvedValue(record);
+});
+
+describe('OutlineReview', () => {
+  it('アウトラインを編集して承認すると、編集したものを渡す', async () => {
+    const onApprove = vi.fn();
+    const user = userEvent.setup();
+    renderReview({ onApprove });
+
+    await user.click(await screen.findByRole('button', { name: '京都ガイドで学んだこと' }));
+    const step = screen.getByLabelText('項目 1 ❷ 問題');
+    await user.type(step, '改札が違った');
+    await user.click(screen.getByRole('button', { name: '承認して本文を生成' }));
+
+    expect(mockElectronAPI.outlines.get).toHaveBeenCalledWith('tokken', 1);
+    expect(onApprove).toHaveBeenCalledWith(7, expect.objectContaining({
+      title: '京都ガイドで学んだこと',
+      paid_items: [expect.objectContaining({ title: '集合場所を間違えた', problem: '改札が違った' })],
+    }));
+  });
+
+  it('項目を足して保存できる', async () => {
+    mockElectronAPI.outlines.save.mockImplementation(async (id, outline) => ({ success: true, outline: { ...record, outline } }));
+    const user = userEvent.setup();
+    renderReview();
+
+    await user.click(await screen.findByRole('button', { name: '+ 項目を追加' }));
+    await user.type(screen.getByLabelText('項目 2 の見出し'), '雨で予定が崩れた');
+    await user.click(screen.getByRole('button', { name: '保存' }));
+
+    await waitFor(() => expect(mockElectronAPI.outlines.save).toHaveBeenCalled());
+    expect(mockElectronAPI.outlines.save.mock.calls[0][1].paid_items.map((i) => i.title)).toEqual(['集合場所を間違えた', '雨で予定が崩れた']);
+  });
+
+  it('承認待ちのアウトラインが無ければそう表示する', async () => {
+    mockElectronAPI.outlines.get.mockResolvedValue(null);
+    renderReview();
+
+    expect(await screen.findByText('承認待ちのアウトラインがありません')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,88 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ToastProvider } from '../../../hooks/useToast';
+import SeriesPanel from '../SeriesPanel';
+
+const plan = {
+  title: '京都ガイド入門',
+  persona: '元ツアーガイド',
+  parts: [
+    { theme: '集合場所', summary: '駅での集合' },
+    { theme: '雨の日', summary: '雨の日のルート' },
+  ],
+};
+
+const existing = {
+  id: 3,
+  title: '大阪ガイド入門',
+  parts: [
+    { part: 1, theme: '梅田の集合', topic_id: '4', filename: 'a.md', article: { id: 'a', title: '梅田は北口で', status: 'reviewed', note_url: null } },
+    { part: 2, theme: '難波の夜', topic_id: '5', filename: null, article: null },
+  ],
+};
+
+const mockElectronAPI = {
+  series: {
+    plan: vi.fn(),
+    create: vi.fn(),
+    list: vi.fn(),
+    remove: vi.fn(),
+  },
+};
+
+function renderPanel(props = {}) {
+  return render(
+    <ToastProvider>
+      <SeriesPanel accountId="tokken" pillars={[{ id: 'guide', name: 'ガイド' }]} {...props} />
+    </ToastProvider>
+  );
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  window.electronAPI = mockElectronAPI;
+  mockElectronAPI.series.list.mockResolvedValue([existing]);
+  mockElectronAPI.series.plan.mockResolvedValue({ plan });
+  mockElectronAPI.series.create.mockResolvedValue({ success: true, series: { id: 4, title: '京都ガイド入門', parts: plan.parts } });
+});
+
+describe('SeriesPanel', () => {
+  it('企画を直してからトピックに追加する', async () => {
+    const user = userEvent.setup();
+    renderPanel();
+
+    await user.type(screen.getByLabelText('種テーマ'), '京都ガイドの仕事');
+    await user.click(screen.getByRole('button', { name: '連載を企画' }));
+    const second = await screen.findByLabelText('第2回のテーマ');
+    await user.clear(second);
+    await user.type(second, '雨の日の京都');
+    await user.selectOptions(screen.getByLabelText('柱'), 'guide');
+    await user.click(screen.getByRole('button', { name: 'トピックに追加' }));
+
+    expect(mockElectronAPI.series.plan).toHaveBeenCalledWith('tokken', { seedTheme: '京都ガイドの仕事', parts: 3, persona: '' });
+    expect(mockElectronAPI.series.create).toHaveBeenCalledWith(
+      'tokken',
+      expect.objectContaining({ title: '京都ガイド入門', seedTheme: '京都ガイドの仕事', parts: [plan.parts[0], { theme: '雨の日の京都', summary: '雨の日のルート' }] }),
+      { pillar: 'guide', is_paid: false, price: 0 },
+    );
+    await waitFor(() => expect(screen.queryByLabelText('第2回のテーマ')).not.toBeInTheDocument());
+  });
+
+  it('回ごとの状態を出し、書いた回は開き、まだの回は生成する', async () => {
+    const onGenerate = vi.fn();
+    const onOpenArticle = vi.fn();
+    const user = userEvent.setup();
+    renderPanel({ onGenerate, onOpenArticle });
+
+    expect(await screen.findByText('梅田は北口で')).toBeInTheDocument();
+    expect(screen.getByText('1 / 2 回')).toBeInTheDocument();
+    expect(screen.getByText('reviewed')).toBeInTheDocument();
+    expect(screen.getByText('未生成')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: '開く' }));
+    expect(onOpenArticle).toHaveBeenCalledWith(existing.parts[0].article);
+    await user.click(screen.getByRole('button', { name: '第2回を生成' }));
+    expect(onGenerate).toHaveBeenCalledWith({ id: '5', theme: '難波の夜', status: 'pending' });
+  });
+});
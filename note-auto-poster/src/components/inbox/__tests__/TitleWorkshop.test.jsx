@@ -0,0 +1,62 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ToastProvider } from '../../../hooks/useToast';
+import TitleWorkshop from '../TitleWorkshop';
+
+const checks = (passed) => [
+  { key: 'tag', label: '【】のタグ', passed },
+  { key: 'number', label: '具体的な数字', passed },
+];
+
+const candidates = {
+  current: { title: '京都ガイドの話', length: 7, lines: ['京都ガイドの話'], checks: checks(false), score: 2, reason: '価値が見えない' },
+  candidates: [
+    { title: '【保存版】集合場所5選', length: 11, lines: ['【保存版】', '集合場所5選'], checks: checks(true), score: 9, reason: '全部入り' },
+    { title: '雨の日の京都', length: 6, lines: ['雨の日の京都'], checks: checks(false), score: 4.5, reason: '' },
+  ],
+};
+
+const mockElectronAPI = {
+  titles: {
+    candidates: vi.fn(),
+    apply: vi.fn(),
+  },
+};
+
+const article = { id: 'a', filename: 'a.md', title: '京都ガイドの話' };
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  window.electronAPI = mockElectronAPI;
+  mockElectronAPI.titles.candidates.mockResolvedValue(candidates);
+  mockElectronAPI.titles.apply.mockResolvedValue({ success: true, title: '【保存版】集合場所5選', body: '# 【保存版】集合場所5選' });
+});
+
+describe('TitleWorkshop', () => {
+  it('今のタイトルと案を文字数・点数・サムネイルの改行つきで並べ、選んだ案を反映する', async () => {
+    const onUpdate = vi.fn();
+    const user = userEvent.setup();
+    render(
+      <ToastProvider>
+        <TitleWorkshop article={article} accountId="tokken" onUpdate={onUpdate} />
+      </ToastProvider>
+    );
+
+    expect(screen.getByText('7文字')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'タイトル案を作る' }));
+
+    expect(mockElectronAPI.titles.candidates).toHaveBeenCalledWith('tokken', 'a.md');
+    expect(await screen.findByText('9点')).toBeInTheDocument();
+    expect(screen.getByText('11文字')).toBeInTheDocument();
+    expect(screen.getByText('集合場所5選')).toBeInTheDocument();
+    expect(screen.getByText('価値が見えない')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: '「【保存版】集合場所5選」にする' }));
+
+    expect(mockElectronAPI.titles.apply).toHaveBeenCalledWith('tokken', 'a.md', '【保存版】集合場所5選');
+    await waitFor(() => expect(onUpdate).toHaveBeenCalled());
+    expect(screen.queryByRole('button', { name: '「【保存版】集合場所5選」にする' })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: '「雨の日の京都」にする' })).toBeInTheDocument();
+  });
+});
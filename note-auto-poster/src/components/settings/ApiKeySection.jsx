@@ -1,15 +1,11 @@
 import { useState } from 'react';
 import { useToast } from '../../hooks/useToast';
 
-const GENERATION_MODELS = [
-  'claude-sonnet-4-5-20250929',
-  'claude-opus-4-6',
-  'claude-haiku-4-5-20251001',
-];
-
-const SCORING_MODELS = [
-  'claude-haiku-4-5-20251001',
-  'claude-sonnet-4-5-20250929',
+// electron/utils/llm-provider.js の PROVIDERS と同じ
+const PROVIDERS = [
+  { id: 'anthropic', label: 'Anthropic API' },
+  { id: 'openai', label: 'OpenAI 互換サーバー（ローカル）' },
+  { id: 'fake', label: 'フェイク（オフライン）' },
 ];
 
 export default function ApiKeySection({ config, onConfigChange }) {
@@ -17,12 +13,17 @@ export default function ApiKeySection({ config, onConfigChange }) {
   const [apiKey, setApiKey] = useState(config?.api?.anthropic_key || '');
   const [showKey, setShowKey] = useState(false);
   const [saving, setSaving] = useState(false);
-  const [genModel, setGenModel] = useState(
-    config?.api?.generation_model || GENERATION_MODELS[0]
-  );
-  const [scoreModel, setScoreModel] = useState(
-    config?.api?.scoring_model || SCORING_MODELS[0]
-  );
+  const [searchKey, setSearchKey] = useState(config?.api?.web_search_key || '');
+  const [useBatch, setUseBatch] = useState(!!config?.api?.use_batch);
+  const [outlineFirst, setOutlineFirst] = useState(!!config?.api?.outline_first);
+  const [concurrency, setConcurrency] = useState(config?.api?.concurrency || 2);
+  const [provider, setProvider] = useState(config?.api?.provider || 'anthropic');
+  const [demoMode, setDemoMode] = useState(!!config?.app?.demo_mode);
+  const [local, setLocal] = useState({
+    base_url: config?.api?.local_base_url || 'http://localhost:11434/v1',
+    model: config?.api?.local_model || '',
+    key: config?.api?.local_key || '',
+  });
 
   const handleSaveKey = async () => {
     setSaving(true);
@@ -38,6 +39,29 @@ export default function ApiKeySection({ config, onConfigChange }) {
     }
   };
 
+  const handleSaveLocal = async () => {
+    try {
+      const api = window.electronAPI;
+      await api.config.set('api.local_base_url', local.base_url.trim());
+      await api.config.set('api.local_model', local.model.trim());
+      await api.config.set('api.local_key', local.key);
+      showToast('保存しました', 'success');
+      onConfigChange?.();
+    } catch (e) {
+      showToast('保存に失敗しました: ' + e.message, 'error');
+    }
+  };
+
+  const handleSaveSearchKey = async () => {
+    try {
+      await window.electronAPI.config.set('api.web_search_key', searchKey);
+      showToast('保存しました', 'success');
+      onConfigChange?.();
+    } catch (e) {
+      showToast('保存に失敗しました: ' + e.message, 'error');
+    }
+  };
+
   const handleModelChange = async (key, value, setter) => {
     setter(value);
     try {
@@ -54,6 +78,74 @@ export default function ApiKeySection({ config, onConfigChange }) {
     <section>
       <h2 className="text-base font-bold text-gray-800 mb-3">API設定</h2>
       <div className="bg-white border border-gray-200 rounded p-4 space-y-3">
+        <div className="flex items-center gap-2">
+          <label className="w-40 text-sm text-gray-600 shrink-0" htmlFor="llm-provider">
+            プロバイダ
+          </label>
+          <select
+            id="llm-provider"
+            value={provider}
+            onChange={(e) => handleModelChange('api.provider', e.target.value, setProvider)}
+            disabled={demoMode}
+            className="border border-gray-300 rounded px-2 py-1 text-sm disabled:opacity-50"
+          >
+            {PROVIDERS.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+          {provider !== 'anthropic' && !demoMode && (
+            <span className="text-xs text-gray-400">Message Batches は使えません。費用は 0 で記録します</span>
+          )}
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-600 ml-[10.5rem]">
+          <input
+            type="checkbox"
+            checked={demoMode}
+            onChange={(e) => handleModelChange('app.demo_mode', e.target.checked, setDemoMode)}
+            className="w-4 h-4 rounded border-gray-300"
+          />
+          デモモード（ネットワークを使わず、同梱のフィクスチャの応答で動かす）
+        </label>
+
+        {provider === 'openai' && !demoMode && (
+          <div className="flex items-center gap-2">
+            <label className="w-40 text-sm text-gray-600 shrink-0">
+              サーバー
+            </label>
+            <input
+              aria-label="サーバーの URL"
+              value={local.base_url}
+              onChange={(e) => setLocal({ ...local, base_url: e.target.value })}
+              placeholder="http://localhost:11434/v1"
+              className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm font-mono"
+            />
+            <input
+              aria-label="モデル名"
+              value={local.model}
+              onChange={(e) => setLocal({ ...local, model: e.target.value })}
+              placeholder="モデル名（空なら処理ごとのモデル）"
+              className="w-48 border border-gray-300 rounded px-2 py-1 text-sm font-mono"
+            />
+            <input
+              aria-label="サーバーの API Key"
+              type="password"
+              value={local.key}
+              onChange={(e) => setLocal({ ...local, key: e.target.value })}
+              placeholder="API Key（任意）"
+              className="w-32 border border-gray-300 rounded px-2 py-1 text-sm font-mono"
+            />
+            <button
+              onClick={handleSaveLocal}
+              className="px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-100"
+            >
+              保存
+            </button>
+          </div>
+        )}
+
         <div className="flex items-center gap-2">
           <label className="w-40 text-sm text-gray-600 shrink-0">
             Anthropic API Key
@@ -82,42 +174,65 @@ export default function ApiKeySection({ config, onConfigChange }) {
           </button>
         </div>
 
+        <label className="flex items-center gap-2 text-sm text-gray-600 ml-[10.5rem]">
+          <input
+            type="checkbox"
+            checked={useBatch}
+            onChange={(e) => handleModelChange('api.use_batch', e.target.checked, setUseBatch)}
+            className="w-4 h-4 rounded border-gray-300"
+          />
+          バッチ生成を Message Batches API で送る（料金半額・結果は最大24時間後）
+        </label>
+
         <div className="flex items-center gap-2">
           <label className="w-40 text-sm text-gray-600 shrink-0">
-            生成モデル
+            同時に生成する数
           </label>
           <select
-            value={genModel}
+            value={concurrency}
             onChange={(e) =>
-              handleModelChange('api.generation_model', e.target.value, setGenModel)
+              handleModelChange('api.concurrency', Number(e.target.value), setConcurrency)
             }
-            className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
           >
-            {GENERATION_MODELS.map((m) => (
-              <option key={m} value={m}>
-                {m}
+            {[1, 2, 3, 4, 5].map((n) => (
+              <option key={n} value={n}>
+                {n}
               </option>
             ))}
           </select>
+          <span className="text-xs text-gray-400">
+            バッチ生成（Message Batches 以外）で並行して書く記事の数。混雑やレート制限のときは待って再試行します
+          </span>
         </div>
 
+        <label className="flex items-center gap-2 text-sm text-gray-600 ml-[10.5rem]">
+          <input
+            type="checkbox"
+            checked={outlineFirst}
+            onChange={(e) => handleModelChange('api.outline_first', e.target.checked, setOutlineFirst)}
+            className="w-4 h-4 rounded border-gray-300"
+          />
+          先にアウトラインを作り、承認してから本文を書く
+        </label>
+
         <div className="flex items-center gap-2">
           <label className="w-40 text-sm text-gray-600 shrink-0">
-            スコアリングモデル
+            Web検索 API Key
           </label>
-          <select
-            value={scoreModel}
-            onChange={(e) =>
-              handleModelChange('api.scoring_model', e.target.value, setScoreModel)
-            }
-            className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+          <input
+            type="password"
+            value={searchKey}
+            onChange={(e) => setSearchKey(e.target.value)}
+            placeholder="Brave Search (ファクトチェック用・任意)"
+            className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm font-mono"
+          />
+          <button
+            onClick={handleSaveSearchKey}
+            className="px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-100"
           >
-            {SCORING_MODELS.map((m) => (
-              <option key={m} value={m}>
-                {m}
-              </option>
-            ))}
-          </select>
+            保存
+          </button>
         </div>
       </div>
     </section>
@@ -0,0 +1,114 @@
+import { useState, useEffect } from 'react';
+import { useToast } from '../../hooks/useToast';
+
+const WARN_RATIOS = [0.5, 0.7, 0.8, 0.9];
+
+function BudgetBar({ period }) {
+  if (!period || !period.budget) {
+    return <span className="text-xs text-gray-400">利用額 ${period?.spent ?? 0}（上限なし）</span>;
+  }
+  const percent = Math.min(100, Math.round(period.ratio * 100));
+  const color = period.exceeded ? 'bg-red-500' : period.warning ? 'bg-yellow-500' : 'bg-blue-500';
+  return (
+    <div className="flex-1 flex items-center gap-2">
+      <div className="flex-1 h-2 bg-gray-100 rounded overflow-hidden">
+        <div className={`h-2 ${color}`} style={{ width: `${percent}%` }} />
+      </div>
+      <span className={`text-xs ${period.exceeded ? 'text-red-600 font-bold' : 'text-gray-500'}`}>
+        ${period.spent} / ${period.budget}（{percent}%）
+      </span>
+    </div>
+  );
+}
+
+export default function BudgetSection({ config, onConfigChange }) {
+  const { showToast } = useToast();
+  const [daily, setDaily] = useState(config?.budget?.daily_usd ?? 0);
+  const [monthly, setMonthly] = useState(config?.budget?.monthly_usd ?? 0);
+  const [warnRatio, setWarnRatio] = useState(config?.budget?.warn_ratio ?? 0.8);
+  const [status, setStatus] = useState(null);
+
+  const loadStatus = async () => {
+    try {
+      const result = await window.electronAPI.usage.budget();
+      setStatus(result?.error ? null : result);
+    } catch {
+      setStatus(null);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const handleChange = async (key, value, setter) => {
+    setter(value);
+    try {
+      await window.electronAPI.config.set(key, value);
+      showToast('保存しました', 'success');
+      onConfigChange?.();
+      loadStatus();
+    } catch (e) {
+      showToast('保存に失敗しました', 'error');
+    }
+  };
+
+  return (
+    <section>
+      <h2 className="text-base font-bold text-gray-800 mb-3">API の予算</h2>
+      <div className="bg-white border border-gray-200 rounded p-4 space-y-3">
+        <div className="flex items-center gap-2">
+          <label className="w-40 text-sm text-gray-600 shrink-0">
+            1日の上限（USD）
+          </label>
+          <input
+            type="number"
+            min={0}
+            step={1}
+            value={daily}
+            onChange={(e) => handleChange('budget.daily_usd', Number(e.target.value), setDaily)}
+            className="w-32 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <BudgetBar period={status?.daily} />
+        </div>
+
+        <div className="flex items-center gap-2">
+          <label className="w-40 text-sm text-gray-600 shrink-0">
+            1か月の上限（USD）
+          </label>
+          <input
+            type="number"
+            min={0}
+            step={1}
+            value={monthly}
+            onChange={(e) => handleChange('budget.monthly_usd', Number(e.target.value), setMonthly)}
+            className="w-32 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <BudgetBar period={status?.monthly} />
+        </div>
+
+        <div className="flex items-center gap-2">
+          <label className="w-40 text-sm text-gray-600 shrink-0">
+            警告を出す割合
+          </label>
+          <select
+            value={warnRatio}
+            onChange={(e) => handleChange('budget.warn_ratio', Number(e.target.value), setWarnRatio)}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {WARN_RATIOS.map((r) => (
+              <option key={r} value={r}>
+                {Math.round(r * 100)}%
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <p className="text-xs text-gray-400">
+          全アカウントの合計です。0 は上限なし。上限に達すると新しい生成・再生成・アウトラインの作成を止め、通知します（採点・ファクトチェックは続けます）。
+          費用はモデルごとの単価から出した目安で、請求額とは多少ずれることがあります。
+        </p>
+      </div>
+    </section>
+  );
+}
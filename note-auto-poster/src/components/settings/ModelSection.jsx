@@ -0,0 +1,196 @@
+import { useState, useEffect } from 'react';
+import { useToast } from '../../hooks/useToast';
+
+const EMPTY_MODEL = { id: '', label: '', alias: '', input_price: '', output_price: '', max_output_tokens: '' };
+
+function formatPrice(model) {
+  return `$${model.pricing.input} / $${model.pricing.output}`;
+}
+
+export default function ModelSection({ config, onConfigChange }) {
+  const { showToast } = useToast();
+  const [models, setModels] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_MODEL);
+
+  const loadModels = async () => {
+    try {
+      const result = await window.electronAPI.models.list();
+      if (result?.error) return;
+      setModels(result.models || []);
+      setTasks(result.tasks || []);
+    } catch {
+      // ignore
+    }
+  };
+
+  useEffect(() => {
+    loadModels();
+  }, []);
+
+  const save = async (key, value) => {
+    try {
+      await window.electronAPI.config.set(key, value);
+      showToast('保存しました', 'success');
+      onConfigChange?.();
+      await loadModels();
+      return true;
+    } catch (e) {
+      showToast('保存に失敗しました', 'error');
+      return false;
+    }
+  };
+
+  const customModels = config?.models?.custom || [];
+
+  const handleAdd = async () => {
+    const id = draft.id.trim();
+    if (!id) return;
+    if (models.some((m) => m.id === id && m.custom)) {
+      showToast(`${id} は登録済みです`, 'error');
+      return;
+    }
+    const entry = {
+      id,
+      label: draft.label.trim() || id,
+      alias: draft.alias.trim().toLowerCase(),
+      input_price: Number(draft.input_price) || 0,
+      output_price: Number(draft.output_price) || 0,
+      max_output_tokens: Number(draft.max_output_tokens) || 0,
+    };
+    if (await save('models.custom', [...customModels, entry])) setDraft(EMPTY_MODEL);
+  };
+
+  const handleRemove = (id) => save('models.custom', customModels.filter((m) => m.id !== id));
+
+  const aliases = models.filter((m) => m.alias);
+
+  return (
+    <section>
+      <h2 className="text-base font-bold text-gray-800 mb-3">モデル</h2>
+      <div className="bg-white border border-gray-200 rounded p-4 space-y-3">
+        {tasks.map((task) => (
+          <div key={task.task} className="flex items-center gap-2">
+            <label htmlFor={`model-${task.task}`} className="w-48 text-sm text-gray-600 shrink-0">
+              {task.label}
+            </label>
+            <select
+              id={`model-${task.task}`}
+              value={task.value}
+              onChange={(e) => save(task.key, e.target.value)}
+              className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+            >
+              {aliases.map((m) => (
+                <option key={`alias-${m.alias}`} value={m.alias}>
+                  {m.alias}（{m.label}）
+                </option>
+              ))}
+              {models.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.id}
+                </option>
+              ))}
+              {!models.some((m) => m.id === task.value) && !aliases.some((m) => m.alias === task.value) && (
+                <option value={task.value}>{task.value}（未登録）</option>
+              )}
+            </select>
+            {task.value !== task.model && (
+              <span className="text-xs text-gray-400">→ {task.model}</span>
+            )}
+          </div>
+        ))}
+
+        <table className="w-full text-xs text-gray-600">
+          <thead>
+            <tr className="text-left text-gray-400">
+              <th className="py-1 font-normal">モデル</th>
+              <th className="py-1 font-normal">別名</th>
+              <th className="py-1 font-normal">単価（入力 / 出力, $/100万トークン）</th>
+              <th className="py-1 font-normal">最大出力</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {models.map((m) => (
+              <tr key={m.id} className="border-t border-gray-100">
+                <td className="py-1 font-mono">{m.id}</td>
+                <td className="py-1">{m.alias || '-'}</td>
+                <td className="py-1">{formatPrice(m)}</td>
+                <td className="py-1">{m.maxOutputTokens || '-'}</td>
+                <td className="py-1 text-right">
+                  {m.custom && (
+                    <button
+                      onClick={() => handleRemove(m.id)}
+                      aria-label={`${m.id} を削除`}
+                      className="text-red-500 hover:underline"
+                    >
+                      削除
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            aria-label="モデル ID"
+            value={draft.id}
+            onChange={(e) => setDraft({ ...draft, id: e.target.value })}
+            placeholder="モデル ID"
+            className="flex-1 min-w-[12rem] border border-gray-300 rounded px-2 py-1 text-sm font-mono"
+          />
+          <input
+            aria-label="別名"
+            value={draft.alias}
+            onChange={(e) => setDraft({ ...draft, alias: e.target.value })}
+            placeholder="別名（任意）"
+            className="w-24 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <input
+            aria-label="入力の単価"
+            type="number"
+            min={0}
+            step="any"
+            value={draft.input_price}
+            onChange={(e) => setDraft({ ...draft, input_price: e.target.value })}
+            placeholder="入力 $"
+            className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <input
+            aria-label="出力の単価"
+            type="number"
+            min={0}
+            step="any"
+            value={draft.output_price}
+            onChange={(e) => setDraft({ ...draft, output_price: e.target.value })}
+            placeholder="出力 $"
+            className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <input
+            aria-label="最大出力トークン数"
+            type="number"
+            min={0}
+            value={draft.max_output_tokens}
+            onChange={(e) => setDraft({ ...draft, max_output_tokens: e.target.value })}
+            placeholder="最大出力"
+            className="w-24 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <button
+            onClick={handleAdd}
+            disabled={!draft.id.trim()}
+            className="px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+          >
+            モデルを追加
+          </button>
+        </div>
+
+        <p className="text-xs text-gray-400">
+          別名（sonnet / opus / haiku）は各ファミリーの最新のモデルを指します。追加したモデルは同じ ID・別名の組み込みのモデルより優先されます。
+          登録されていないモデルが設定されているときは、設定はそのままで既定のモデルを使います。
+        </p>
+      </div>
+    </section>
+  );
+}
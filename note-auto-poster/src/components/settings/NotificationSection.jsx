@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react';
+import { useToast } from '../../hooks/useToast';
+
+const EMAIL_FIELDS = [
+  { key: 'host', label: 'SMTP サーバー', placeholder: 'smtp.example.com（テストなら localhost）' },
+  { key: 'port', label: 'ポート', placeholder: '587', type: 'number' },
+  { key: 'user', label: 'ユーザー名', placeholder: '空欄なら認証なし' },
+  { key: 'pass', label: 'パスワード', type: 'password' },
+  { key: 'from', label: '送信元', placeholder: 'autoposter@example.com' },
+  { key: 'to', label: '送信先', placeholder: 'me@example.com（カンマ区切りで複数）' },
+];
+
+// 未設定のイベントは既定の送り先を表示する
+function initialRoutes(events, saved) {
+  return Object.fromEntries(events.map((e) => [e.key, saved?.[e.key] || e.defaultChannels]));
+}
+
+export default function NotificationSection({ config, onConfigChange }) {
+  const { showToast } = useToast();
+  const [catalog, setCatalog] = useState(null);
+  const [channels, setChannels] = useState(config?.notifications?.channels || {});
+  const [routes, setRoutes] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [testing, setTesting] = useState(null);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const data = await window.electronAPI.notifier.catalog();
+        setCatalog(data);
+        setRoutes(initialRoutes(data.events, config?.notifications?.routes));
+      } catch {
+        setCatalog(null);
+      }
+    })();
+  }, []);
+
+  const channelSettings = (key) => channels[key] || {};
+  const isEnabled = (key) => (key === 'desktop' ? channelSettings(key).enabled !== false : !!channelSettings(key).enabled);
+
+  const updateChannel = (key, field, value) => {
+    setChannels((prev) => ({ ...prev, [key]: { ...(prev[key] || {}), [field]: value } }));
+  };
+
+  const toggleRoute = (event, channel) => {
+    setRoutes((prev) => {
+      const current = prev[event] || [];
+      return {
+        ...prev,
+        [event]: current.includes(channel) ? current.filter((c) => c !== channel) : [...current, channel],
+      };
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const api = window.electronAPI;
+      await api.config.set('notifications.channels', channels);
+      await api.config.set('notifications.routes', routes);
+      showToast('通知設定を保存しました', 'success');
+      onConfigChange?.();
+    } catch (e) {
+      showToast('保存に失敗しました: ' + e.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTest = async (channel) => {
+    setTesting(channel.key);
+    try {
+      const result = await window.electronAPI.notifier.test(channel.key, channelSettings(channel.key));
+      if (result.success) {
+        showToast(`${channel.label} にテスト通知を送りました`, 'success');
+      } else {
+        showToast(`${channel.label} への送信に失敗しました: ` + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('テストに失敗しました: ' + e.message, 'error');
+    } finally {
+      setTesting(null);
+    }
+  };
+
+  if (!catalog) return null;
+
+  return (
+    <section>
+      <h2 className="text-base font-bold text-gray-800 mb-3">通知</h2>
+      <div className="bg-white border border-gray-200 rounded p-4 space-y-4">
+        <div className="space-y-3">
+          {catalog.channels.map((channel) => (
+            <div key={channel.key} className="space-y-2">
+              <div className="flex items-center gap-2">
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={isEnabled(channel.key)}
+                    onChange={(e) => updateChannel(channel.key, 'enabled', e.target.checked)}
+                    className="w-4 h-4 rounded border-gray-300"
+                  />
+                  {channel.label}
+                </label>
+                <button
+                  onClick={() => handleTest(channel)}
+                  disabled={testing !== null}
+                  className="ml-auto px-2 py-0.5 text-xs rounded border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {testing === channel.key ? '送信中...' : 'テスト送信'}
+                </button>
+              </div>
+
+              {channel.key === 'telegram' && (
+                <p className="ml-6 text-xs text-gray-400">Telegram セクションのグループに送ります（記事の通知は記事のトピックに）</p>
+              )}
+
+              {channel.key === 'webhook' && (
+                <input
+                  value={channelSettings('webhook').url || ''}
+                  onChange={(e) => updateChannel('webhook', 'url', e.target.value)}
+                  placeholder="https://hooks.example.com/...（イベントを JSON で POST）"
+                  aria-label="Webhook URL"
+                  className="ml-6 w-[calc(100%-1.5rem)] border border-gray-300 rounded px-2 py-1 text-sm"
+                />
+              )}
+
+              {channel.key === 'email' && (
+                <div className="ml-6 grid grid-cols-2 gap-2">
+                  {EMAIL_FIELDS.map((field) => (
+                    <input
+                      key={field.key}
+                      type={field.type || 'text'}
+                      value={channelSettings('email')[field.key] ?? ''}
+                      onChange={(e) =>
+                        updateChannel('email', field.key, field.type === 'number' ? Number(e.target.value) || '' : e.target.value)
+                      }
+                      placeholder={field.placeholder || field.label}
+                      aria-label={field.label}
+                      className="border border-gray-300 rounded px-2 py-1 text-sm"
+                    />
+                  ))}
+                  <label className="flex items-center gap-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={!!channelSettings('email').secure}
+                      onChange={(e) => updateChannel('email', 'secure', e.target.checked)}
+                      className="w-4 h-4 rounded border-gray-300"
+                    />
+                    最初から TLS で接続する（465番）
+                  </label>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="bg-gray-50 border-b border-gray-200 text-left">
+              <th className="px-3 py-1.5 text-gray-600 font-medium">イベント</th>
+              {catalog.channels.map((channel) => (
+                <th key={channel.key} className="px-3 py-1.5 text-gray-600 font-medium text-center">{channel.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {catalog.events.map((event) => (
+              <tr key={event.key} className="border-b border-gray-100">
+                <td className="px-3 py-1.5 text-gray-800">{event.label}</td>
+                {catalog.channels.map((channel) => (
+                  <td key={channel.key} className="px-3 py-1.5 text-center">
+                    <input
+                      type="checkbox"
+                      checked={(routes[event.key] || []).includes(channel.key)}
+                      onChange={() => toggleRoute(event.key, channel.key)}
+                      aria-label={`${event.label}を${channel.label}に送る`}
+                      className="w-4 h-4 rounded border-gray-300"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-3 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? '保存中...' : '保存'}
+          </button>
+          <span className="text-xs text-gray-400">無効にしたチャネルには、表でチェックしていても送りません</span>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,225 @@
+import { useState, useEffect } from 'react';
+import { useToast } from '../../hooks/useToast';
+
+const SOURCE_LABELS = {
+  user: 'data/prompts に保存済み',
+  bundled: '同梱のテンプレート（保存すると data/prompts にコピー）',
+  none: '未作成（空欄なら柱の方針なしで生成）',
+  missing: 'ファイルが見つかりません（保存すると作成）',
+};
+
+export default function PillarPromptSection() {
+  const { showToast } = useToast();
+  const [accounts, setAccounts] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [pillars, setPillars] = useState([]);
+  const [pillarId, setPillarId] = useState('');
+  const [template, setTemplate] = useState(null);
+  const [text, setText] = useState('');
+  const [topics, setTopics] = useState([]);
+  const [topicId, setTopicId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const active = await window.electronAPI.accounts.listActive();
+        setAccounts(active || []);
+        if (active?.length > 0) setAccountId(active[0].id);
+      } catch {
+        setAccounts([]);
+      }
+    })();
+  }, []);
+
+  useEffect(() => {
+    if (!accountId) return;
+    (async () => {
+      try {
+        const account = await window.electronAPI.accounts.get(accountId);
+        const list = account?.pillars || [];
+        setPillars(list);
+        setPillarId(list[0]?.id || '');
+      } catch {
+        setPillars([]);
+        setPillarId('');
+      }
+      try {
+        const data = await window.electronAPI.topics.list(accountId);
+        setTopics(Array.isArray(data) ? data : data?.topics || []);
+      } catch {
+        setTopics([]);
+      }
+    })();
+  }, [accountId]);
+
+  useEffect(() => {
+    setPreview(null);
+    if (!accountId || !pillarId) {
+      setTemplate(null);
+      return;
+    }
+    (async () => {
+      try {
+        const loaded = await window.electronAPI.prompts.load(accountId, pillarId);
+        if (loaded.error && !loaded.variables) {
+          showToast('プロンプトの読み込みに失敗しました: ' + loaded.error, 'error');
+          setTemplate(null);
+          return;
+        }
+        setTemplate(loaded);
+        setText(loaded.text || '');
+      } catch (e) {
+        showToast('プロンプトの読み込みに失敗しました: ' + e.message, 'error');
+        setTemplate(null);
+      }
+    })();
+  }, [accountId, pillarId]);
+
+  // 選んだ柱のトピックを先に並べる（ほかの柱のトピックでも試せる）
+  const sortedTopics = [...topics].sort((a, b) => (b.pillar === pillarId) - (a.pillar === pillarId));
+
+  useEffect(() => {
+    setTopicId(sortedTopics[0]?.id ?? '');
+  }, [topics, pillarId]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const result = await window.electronAPI.prompts.save(accountId, pillarId, text);
+      if (result.success) {
+        showToast(`${result.file} を保存しました`, 'success');
+        setTemplate((prev) => ({ ...prev, file: result.file, source: 'user', text }));
+      } else {
+        showToast('保存に失敗しました: ' + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('保存に失敗しました: ' + e.message, 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      const result = await window.electronAPI.prompts.preview(accountId, Number(topicId), { pillarId, template: text });
+      if (result.error) {
+        showToast('プレビューに失敗しました: ' + result.error, 'error');
+        return;
+      }
+      setPreview(result);
+    } catch (e) {
+      showToast('プレビューに失敗しました: ' + e.message, 'error');
+    }
+  };
+
+  if (accounts.length === 0) return null;
+
+  return (
+    <section>
+      <h2 className="text-base font-bold text-gray-800 mb-1">柱ごとのプロンプト</h2>
+      <p className="text-xs text-gray-500 mb-3">
+        コンテンツ柱の執筆方針をシステムプロンプトの後ろに足します。{'{{変数}}'} はトピックの値に置き換わります。
+      </p>
+      <div className="bg-white border border-gray-200 rounded p-4 space-y-3">
+        <div className="flex items-center gap-2">
+          <select
+            value={accountId}
+            onChange={(e) => setAccountId(e.target.value)}
+            aria-label="アカウント"
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {accounts.map((a) => (
+              <option key={a.id} value={a.id}>{a.display_name || a.id}</option>
+            ))}
+          </select>
+          <select
+            value={pillarId}
+            onChange={(e) => setPillarId(e.target.value)}
+            aria-label="柱"
+            className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {pillars.length === 0 && <option value="">柱がありません</option>}
+            {pillars.map((p) => (
+              <option key={p.id} value={p.id}>{p.name || p.id}</option>
+            ))}
+          </select>
+        </div>
+
+        {template && (
+          <>
+            <div className="text-xs text-gray-500">
+              ファイル: <span className="font-mono">{template.file}</span>（{SOURCE_LABELS[template.source] || template.source}）
+            </div>
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={10}
+              aria-label="柱のプロンプト"
+              className="w-full border border-gray-300 rounded px-2 py-1 text-sm font-mono"
+            />
+            <div className="flex flex-wrap gap-1">
+              {template.variables.map((v) => (
+                <button
+                  key={v.key}
+                  type="button"
+                  onClick={() => setText((prev) => `${prev}{{${v.key}}}`)}
+                  title={v.label}
+                  className="px-1.5 py-0.5 text-xs font-mono rounded border border-gray-200 text-gray-600 hover:bg-gray-50"
+                >
+                  {`{{${v.key}}}`}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="px-3 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? '保存中...' : '保存'}
+              </button>
+              <select
+                value={topicId}
+                onChange={(e) => setTopicId(e.target.value)}
+                aria-label="プレビューするトピック"
+                className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+              >
+                {sortedTopics.length === 0 && <option value="">トピックがありません</option>}
+                {sortedTopics.map((t) => (
+                  <option key={t.id} value={t.id}>{t.theme}</option>
+                ))}
+              </select>
+              <button
+                onClick={handlePreview}
+                disabled={topicId === ''}
+                className="px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+              >
+                プレビュー
+              </button>
+            </div>
+          </>
+        )}
+
+        {preview && (
+          <div className="space-y-2">
+            {preview.unknown.length > 0 && (
+              <p className="text-xs text-yellow-700 bg-yellow-50 border border-yellow-200 rounded px-2 py-1">
+                置き換えられない変数: {preview.unknown.map((v) => `{{${v}}}`).join(' ')}
+              </p>
+            )}
+            <h3 className="text-xs font-bold text-gray-600">システムプロンプト（{preview.system.length}文字）</h3>
+            <pre className="w-full bg-gray-50 border border-gray-200 rounded p-3 text-xs font-mono whitespace-pre-wrap text-gray-700 max-h-[400px] overflow-y-auto">
+              {preview.system}
+            </pre>
+            <h3 className="text-xs font-bold text-gray-600">ユーザープロンプト</h3>
+            <pre className="w-full bg-gray-50 border border-gray-200 rounded p-3 text-xs font-mono whitespace-pre-wrap text-gray-700">
+              {preview.user}
+            </pre>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
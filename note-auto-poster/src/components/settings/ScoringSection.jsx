@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { useToast } from '../../hooks/useToast';
+
+export default function ScoringSection({ config, onConfigChange }) {
+  const { showToast } = useToast();
+  const [enabled, setEnabled] = useState(config?.scoring?.enabled !== false);
+  const [factCheckEnabled, setFactCheckEnabled] = useState(config?.fact_check?.enabled !== false);
+  const [approveThreshold, setApproveThreshold] = useState(
+    config?.scoring?.auto_approve_threshold ?? 8
+  );
+  const [rejectThreshold, setRejectThreshold] = useState(
+    config?.scoring?.auto_reject_threshold ?? 4
+  );
+  const [regenerationEnabled, setRegenerationEnabled] = useState(config?.regeneration?.enabled !== false);
+  const [maxAttempts, setMaxAttempts] = useState(config?.regeneration?.max_attempts ?? 3);
+
+  const handleChange = async (key, value, setter) => {
+    setter(value);
+    try {
+      const api = window.electronAPI;
+      await api.config.set(key, value);
+      showToast('保存しました', 'success');
+      onConfigChange?.();
+    } catch (e) {
+      showToast('保存に失敗しました', 'error');
+    }
+  };
+
+  return (
+    <section>
+      <h2 className="text-base font-bold text-gray-800 mb-3">品質スコア</h2>
+      <div className="bg-white border border-gray-200 rounded p-4 space-y-3">
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={enabled}
+            onChange={(e) => handleChange('scoring.enabled', e.target.checked, setEnabled)}
+            className="w-4 h-4 rounded border-gray-300"
+          />
+          生成後に自動で採点する
+        </label>
+
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={factCheckEnabled}
+            onChange={(e) => handleChange('fact_check.enabled', e.target.checked, setFactCheckEnabled)}
+            className="w-4 h-4 rounded border-gray-300"
+          />
+          生成後にファクト集と照合する（ファクトチェック）
+        </label>
+
+        <div className="flex items-center gap-2">
+          <label className="w-40 text-sm text-gray-600 shrink-0">
+            自動承認スコア
+          </label>
+          <input
+            type="number"
+            min={1}
+            max={10}
+            step={0.5}
+            value={approveThreshold}
+            onChange={(e) =>
+              handleChange('scoring.auto_approve_threshold', Number(e.target.value), setApproveThreshold)
+            }
+            className="w-32 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <span className="text-xs text-gray-400">以上で承認</span>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <label className="w-40 text-sm text-gray-600 shrink-0">
+            自動却下スコア
+          </label>
+          <input
+            type="number"
+            min={0}
+            max={10}
+            step={0.5}
+            value={rejectThreshold}
+            onChange={(e) =>
+              handleChange('scoring.auto_reject_threshold', Number(e.target.value), setRejectThreshold)
+            }
+            className="w-32 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <span className="text-xs text-gray-400">以下で却下</span>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={regenerationEnabled}
+            onChange={(e) => handleChange('regeneration.enabled', e.target.checked, setRegenerationEnabled)}
+            className="w-4 h-4 rounded border-gray-300"
+          />
+          却下された記事を却下理由を添えて自動で再生成する
+        </label>
+
+        <div className="flex items-center gap-2">
+          <label className="w-40 text-sm text-gray-600 shrink-0">
+            再生成の上限回数
+          </label>
+          <input
+            type="number"
+            min={0}
+            max={10}
+            step={1}
+            value={maxAttempts}
+            onChange={(e) =>
+              handleChange('regeneration.max_attempts', Number(e.target.value), setMaxAttempts)
+            }
+            className="w-32 border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+          <span className="text-xs text-gray-400">回を超えたら通知して人が確認</span>
+        </div>
+
+        <p className="text-xs text-gray-400">
+          人物像の一貫性・具体性・実用性・トーン・対処法のレベル・失敗ネタの独自性を 1〜10 で採点し、平均を総合スコアとします。
+          自動判定は未レビューの記事のみが対象です。
+        </p>
+      </div>
+    </section>
+  );
+}
@@ -1,30 +1,203 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import { useToast } from '../../hooks/useToast';
 
+const DIFF_STYLES = {
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-700 line-through',
+  same: 'text-gray-400',
+};
+
+const DIFF_MARKS = { added: '+', removed: '-', same: ' ' };
+
+function formatDate(iso) {
+  return iso ? iso.slice(0, 16).replace('T', ' ') : '';
+}
+
+function VersionRow({ item, onDiff, onRestore, onSaveNote, busy }) {
+  const [editing, setEditing] = useState(false);
+  const [note, setNote] = useState(item.note || '');
+
+  useEffect(() => {
+    setNote(item.note || '');
+  }, [item.note]);
+
+  const handleSaveNote = async () => {
+    if (await onSaveNote(item.version, note)) setEditing(false);
+  };
+
+  return (
+    <li className="border border-gray-200 rounded p-2 space-y-1">
+      <div className="flex items-center gap-2 text-sm">
+        <span className="font-bold text-gray-800">版 {item.version}</span>
+        {item.active && <span className="text-[10px] px-1.5 py-0.5 rounded bg-blue-100 text-blue-700">使用中</span>}
+        <span className="text-xs text-gray-400">{formatDate(item.created_at)}</span>
+        <span className="text-xs text-gray-400">{item.chars}文字</span>
+        <span className="flex-1 text-xs text-gray-500 text-right">
+          記事 {item.articles}本{item.avg_score !== null && item.avg_score !== undefined && ` ・ 平均 ${item.avg_score.toFixed(1)}点`}
+        </span>
+      </div>
+      {editing ? (
+        <div className="flex items-center gap-2">
+          <input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            aria-label={`版 ${item.version} のメモ`}
+            className="flex-1 border border-gray-300 rounded px-2 py-0.5 text-xs"
+          />
+          <button onClick={handleSaveNote} className="px-2 py-0.5 text-xs rounded bg-blue-600 text-white hover:bg-blue-700">
+            保存
+          </button>
+          <button onClick={() => setEditing(false)} className="px-2 py-0.5 text-xs rounded border border-gray-300 hover:bg-gray-100">
+            やめる
+          </button>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-600">{item.note || <span className="text-gray-400">メモなし</span>}</p>
+      )}
+      <div className="flex justify-end gap-1">
+        {!editing && (
+          <button
+            onClick={() => setEditing(true)}
+            aria-label={`版 ${item.version} のメモを編集`}
+            className="px-2 py-0.5 text-xs rounded border border-gray-300 hover:bg-gray-100"
+          >
+            メモを編集
+          </button>
+        )}
+        {!item.active && (
+          <>
+            <button
+              onClick={() => onDiff(item.version)}
+              aria-label={`版 ${item.version} と比べる`}
+              className="px-2 py-0.5 text-xs rounded border border-gray-300 hover:bg-gray-100"
+            >
+              差分
+            </button>
+            <button
+              onClick={() => onRestore(item.version)}
+              disabled={busy}
+              aria-label={`版 ${item.version} に戻す`}
+              className="px-2 py-0.5 text-xs rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+            >
+              この版に戻す
+            </button>
+          </>
+        )}
+      </div>
+    </li>
+  );
+}
+
+// Base system prompt: edit it as a new version, compare versions and restore an older one
 export default function SystemPromptSection() {
-  const [prompt, setPrompt] = useState('');
+  const { showToast } = useToast();
+  const [active, setActive] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [text, setText] = useState('');
+  const [note, setNote] = useState('');
   const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
   const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [diff, setDiff] = useState(null);
 
-  useEffect(() => {
-    (async () => {
-      try {
-        const text = await window.electronAPI.generator.getSystemPrompt();
-        setPrompt(text || '');
-      } catch {
-        setPrompt('読み込みに失敗しました');
-      } finally {
-        setLoading(false);
+  const load = useCallback(async () => {
+    try {
+      const data = await window.electronAPI.systemPrompt.get();
+      if (data.error) {
+        setError(data.error);
+        return;
       }
-    })();
+      setError('');
+      setActive(data.active);
+      setVersions(data.versions || []);
+      setText(data.active.text || '');
+    } catch {
+      setError('読み込みに失敗しました');
+    } finally {
+      setLoading(false);
+    }
   }, []);
 
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const changed = active !== null && text !== active.text;
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      const result = await window.electronAPI.systemPrompt.save(text, note);
+      if (!result.success) {
+        showToast('保存に失敗しました: ' + (result.error || ''), 'error');
+        return;
+      }
+      showToast(`版 ${result.version.version} として保存しました`, 'success');
+      setNote('');
+      setDiff(null);
+      await load();
+    } catch (e) {
+      showToast('保存に失敗しました: ' + e.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (changed && !window.confirm('編集中の内容は破棄されます。版を戻しますか？')) return;
+    setBusy(true);
+    try {
+      const result = await window.electronAPI.systemPrompt.restore(version);
+      if (!result.success) {
+        showToast('版を戻せませんでした: ' + (result.error || ''), 'error');
+        return;
+      }
+      showToast(`版 ${version} に戻しました`, 'success');
+      setDiff(null);
+      await load();
+    } catch (e) {
+      showToast('版を戻せませんでした: ' + e.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDiff = async (version) => {
+    try {
+      const result = await window.electronAPI.systemPrompt.diff(version);
+      if (result.error) {
+        showToast('差分を取得できませんでした: ' + result.error, 'error');
+        return;
+      }
+      setDiff(result);
+    } catch (e) {
+      showToast('差分を取得できませんでした: ' + e.message, 'error');
+    }
+  };
+
+  const handleSaveNote = async (version, value) => {
+    try {
+      const result = await window.electronAPI.systemPrompt.updateNote(version, value);
+      if (!result.success) {
+        showToast('メモを保存できませんでした: ' + (result.error || ''), 'error');
+        return false;
+      }
+      setVersions((prev) => prev.map((v) => (v.version === version ? { ...v, note: result.version.note } : v)));
+      return true;
+    } catch (e) {
+      showToast('メモを保存できませんでした: ' + e.message, 'error');
+      return false;
+    }
+  };
+
   return (
     <section>
       <h2 className="text-base font-bold text-gray-800 mb-1">
         システムプロンプト
       </h2>
       <p className="text-xs text-gray-500 mb-3">
-        記事生成時にAIへ渡されるベースプロンプトです（読み取り専用）。
+        記事生成時にAIへ渡されるベースプロンプトです。保存するたびに新しい版になり、生成した記事には使った版が記録されます。
       </p>
       <div className="bg-white border border-gray-200 rounded p-4">
         <button
@@ -33,24 +206,90 @@ export default function SystemPromptSection() {
         >
           <span className="text-xs">{open ? '▼' : '▶'}</span>
           <span>{open ? 'プロンプトを閉じる' : 'プロンプトを表示'}</span>
-          {!open && (
+          {!open && active && (
             <span className="text-xs text-gray-400 ml-auto">
-              {prompt.length}文字
+              版 {active.version ?? '-'} ・ {active.text.length}文字
             </span>
           )}
         </button>
         {open && (
-          <div className="mt-3 space-y-2">
+          <div className="mt-3 space-y-3">
             {loading ? (
               <p className="text-sm text-gray-400">読み込み中...</p>
+            ) : error ? (
+              <p className="text-sm text-red-600">{error}</p>
             ) : (
               <>
-                <pre className="w-full bg-gray-50 border border-gray-200 rounded p-3 text-xs font-mono whitespace-pre-wrap text-gray-700 max-h-[500px] overflow-y-auto">
-                  {prompt}
-                </pre>
-                <span className="text-xs text-gray-400 block text-right">
-                  {prompt.length}文字
-                </span>
+                <textarea
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                  rows={16}
+                  aria-label="システムプロンプト"
+                  className="w-full border border-gray-300 rounded px-2 py-1 text-xs font-mono"
+                />
+                <div className="flex items-center gap-2">
+                  <input
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="変更のメモ（例: 見出しの数を減らした）"
+                    aria-label="変更のメモ"
+                    className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm"
+                  />
+                  <span className="text-xs text-gray-400">{text.length}文字</span>
+                  <button
+                    onClick={() => setText(active.text)}
+                    disabled={!changed || busy}
+                    className="px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-100 disabled:opacity-50"
+                  >
+                    編集を取り消す
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    disabled={!changed || !text.trim() || busy}
+                    className="px-3 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {busy ? '保存中...' : '新しい版として保存'}
+                  </button>
+                </div>
+
+                {diff && (
+                  <div className="space-y-1">
+                    <div className="flex items-center gap-2">
+                      <h3 className="flex-1 text-xs font-bold text-gray-600">
+                        版 {diff.from} → 版 {diff.to}（+{diff.added} / -{diff.removed} 行）
+                      </h3>
+                      <button onClick={() => setDiff(null)} className="text-xs text-gray-500 hover:text-gray-700">
+                        閉じる
+                      </button>
+                    </div>
+                    <pre
+                      aria-label="版の差分"
+                      className="w-full bg-gray-50 border border-gray-200 rounded p-2 text-xs font-mono whitespace-pre-wrap max-h-[400px] overflow-y-auto"
+                    >
+                      {diff.lines.map((line, i) => (
+                        <div key={i} className={DIFF_STYLES[line.type]}>
+                          {DIFF_MARKS[line.type]} {line.text}
+                        </div>
+                      ))}
+                    </pre>
+                  </div>
+                )}
+
+                <div className="space-y-1">
+                  <h3 className="text-xs font-bold text-gray-600">版の履歴</h3>
+                  <ul className="space-y-2">
+                    {versions.map((item) => (
+                      <VersionRow
+                        key={item.version}
+                        item={item}
+                        busy={busy}
+                        onDiff={handleDiff}
+                        onRestore={handleRestore}
+                        onSaveNote={handleSaveNote}
+                      />
+                    ))}
+                  </ul>
+                </div>
               </>
             )}
           </div>
@@ -6,7 +6,6 @@ export default function TelegramSection({ config, onConfigChange }) {
   const [botToken, setBotToken] = useState(config?.telegram?.bot_token || '');
   const [chatId, setChatId] = useState(config?.telegram?.chat_id || '');
   const [enabled, setEnabled] = useState(config?.telegram?.enabled || false);
-  const [editModel, setEditModel] = useState(config?.telegram?.edit_model || 'claude-haiku-4-5-20251001');
   const [showToken, setShowToken] = useState(false);
   const [saving, setSaving] = useState(false);
   const [testing, setTesting] = useState(false);
@@ -34,7 +33,6 @@ export default function TelegramSection({ config, onConfigChange }) {
       await api.config.set('telegram.bot_token', botToken);
       await api.config.set('telegram.chat_id', chatId);
       await api.config.set('telegram.enabled', enabled);
-      await api.config.set('telegram.edit_model', editModel);
       showToast('Telegram設定を保存しました', 'success');
       onConfigChange?.();
 
@@ -200,18 +198,6 @@ export default function TelegramSection({ config, onConfigChange }) {
           </label>
         </div>
 
-        <div className="flex items-center gap-2">
-          <label className="w-40 text-sm text-gray-600 shrink-0">編集モデル</label>
-          <select
-            value={editModel}
-            onChange={(e) => setEditModel(e.target.value)}
-            className="border border-gray-300 rounded px-2 py-1 text-sm"
-          >
-            <option value="claude-haiku-4-5-20251001">Haiku (低コスト)</option>
-            <option value="claude-sonnet-4-5-20250929">Sonnet (高品質)</option>
-          </select>
-        </div>
-
         <div className="flex gap-2 pt-2">
           <button
             onClick={handleTest}
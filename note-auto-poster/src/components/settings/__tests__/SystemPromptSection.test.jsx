@@ -0,0 +1,75 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ToastProvider } from '../../../hooks/useToast';
+import SystemPromptSection from '../SystemPromptSection';
+
+const versions = [
+  { version: 2, note: '語尾を変えた', active: true, created_at: '2026-10-01T09:00:00.000Z', chars: 12, articles: 3, avg_score: 7.25 },
+  { version: 1, note: '同梱の初期版', active: false, created_at: '2026-09-01T09:00:00.000Z', chars: 10, articles: 5, avg_score: null },
+];
+
+const mockElectronAPI = {
+  systemPrompt: {
+    get: vi.fn(),
+    save: vi.fn(),
+    restore: vi.fn(),
+    updateNote: vi.fn(),
+    diff: vi.fn(),
+  },
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  window.electronAPI = mockElectronAPI;
+  mockElectronAPI.systemPrompt.get.mockResolvedValue({ active: { version: 2, text: '## 文体\n- だ・である', note: '語尾を変えた' }, versions });
+  mockElectronAPI.systemPrompt.save.mockResolvedValue({ success: true, version: { version: 3 } });
+  mockElectronAPI.systemPrompt.restore.mockResolvedValue({ success: true, version: { version: 1 } });
+  mockElectronAPI.systemPrompt.updateNote.mockResolvedValue({ success: true, version: { version: 1, note: '最初の版' } });
+  mockElectronAPI.systemPrompt.diff.mockResolvedValue({
+    from: 1, to: 2, added: 1, removed: 1,
+    lines: [{ type: 'same', text: '## 文体' }, { type: 'removed', text: '- です・ます' }, { type: 'added', text: '- だ・である' }],
+  });
+});
+
+describe('SystemPromptSection', () => {
+  it('編集したプロンプトをメモ付きの新しい版として保存し、履歴から差分・復元・メモの編集ができる', async () => {
+    const user = userEvent.setup();
+    render(
+      <ToastProvider>
+        <SystemPromptSection />
+      </ToastProvider>
+    );
+
+    await user.click(await screen.findByText('プロンプトを表示'));
+    const textarea = screen.getByRole('textbox', { name: 'システムプロンプト' });
+    expect(textarea).toHaveValue('## 文体\n- だ・である');
+    expect(screen.getByText('記事 3本 ・ 平均 7.3点')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: '新しい版として保存' })).toBeDisabled();
+
+    await user.type(textarea, '\n- 短く');
+    await user.type(screen.getByRole('textbox', { name: '変更のメモ' }), '短くした');
+    await user.click(screen.getByRole('button', { name: '新しい版として保存' }));
+    expect(mockElectronAPI.systemPrompt.save).toHaveBeenCalledWith('## 文体\n- だ・である\n- 短く', '短くした');
+    await waitFor(() => expect(mockElectronAPI.systemPrompt.get).toHaveBeenCalledTimes(2));
+
+    await user.click(screen.getByRole('button', { name: '版 1 と比べる' }));
+    expect(mockElectronAPI.systemPrompt.diff).toHaveBeenCalledWith(1);
+    expect(await screen.findByText('版 1 → 版 2（+1 / -1 行）')).toBeInTheDocument();
+    expect(screen.getByLabelText('版の差分')).toHaveTextContent('- - です・ます');
+
+    await user.click(screen.getByRole('button', { name: '版 1 のメモを編集' }));
+    const note = screen.getByRole('textbox', { name: '版 1 のメモ' });
+    await user.clear(note);
+    await user.type(note, '最初の版');
+    await user.click(screen.getByRole('button', { name: '保存' }));
+    expect(mockElectronAPI.systemPrompt.updateNote).toHaveBeenCalledWith(1, '最初の版');
+    expect(await screen.findByText('最初の版')).toBeInTheDocument();
+
+    // 使っている版には「戻す」が無い
+    expect(screen.queryByRole('button', { name: '版 2 に戻す' })).not.toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: '版 1 に戻す' }));
+    expect(mockElectronAPI.systemPrompt.restore).toHaveBeenCalledWith(1);
+    await waitFor(() => expect(mockElectronAPI.systemPrompt.get).toHaveBeenCalledTimes(3));
+  });
+});
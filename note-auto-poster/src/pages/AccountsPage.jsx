@@ -23,6 +23,7 @@ const DEFAULT_ACCOUNT = {
     ai_tool_details: 'vague',
     activity_area: 'public',
   },
+  privacy_values: {},
   sheets: { spreadsheet_id: '', sheet_name: 'topics' },
   schedule: { batch_generation_time: '02:00', auto_post_time: '12:00' },
 };
@@ -1,7 +1,381 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useToast } from '../hooks/useToast';
+
+const DIMENSIONS = [
+  { key: 'pillar', label: 'ピラー' },
+  { key: 'price', label: '価格' },
+  { key: 'title_pattern', label: 'タイトルの型' },
+  { key: 'thumbnail_pattern', label: 'サムネイル' },
+  { key: 'length', label: '文字数' },
+  { key: 'model', label: '生成モデル' },
+  { key: 'system_prompt_version', label: 'プロンプトの版' },
+];
+
+function formatRate(rate) {
+  return rate === null || rate === undefined ? '-' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatYen(value) {
+  return `¥${(value || 0).toLocaleString('ja-JP')}`;
+}
+
+function formatUsd(value) {
+  return `$${(value || 0).toFixed(2)}`;
+}
+
+const COST_PERIODS = [
+  { key: 'this_month', label: '今月' },
+  { key: 'last_month', label: '先月' },
+  { key: 'last_30_days', label: '過去30日' },
+  { key: 'all', label: '全期間' },
+];
+
+function costPeriodRange(key, now = new Date()) {
+  const year = now.getFullYear();
+  const month = now.getMonth();
+  if (key === 'this_month') return { since: new Date(year, month, 1).toISOString() };
+  if (key === 'last_month') {
+    return { since: new Date(year, month - 1, 1).toISOString(), until: new Date(year, month, 1).toISOString() };
+  }
+  if (key === 'last_30_days') return { since: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString() };
+  return {};
+}
+
+function MetricCard({ label, value }) {
+  return (
+    <div className="bg-white border border-gray-200 rounded p-3">
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="text-lg font-bold text-gray-800">{value}</div>
+    </div>
+  );
+}
+
+function GroupTable({ groups, bestKey }) {
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="bg-gray-50 border-b border-gray-200 text-left">
+          <th className="px-3 py-2 text-gray-600 font-medium"></th>
+          <th className="px-3 py-2 text-gray-600 font-medium text-right">記事</th>
+          <th className="px-3 py-2 text-gray-600 font-medium text-right">ビュー</th>
+          <th className="px-3 py-2 text-gray-600 font-medium text-right">スキ率</th>
+          <th className="px-3 py-2 text-gray-600 font-medium text-right">売上数</th>
+          <th className="px-3 py-2 text-gray-600 font-medium text-right">購入率</th>
+          <th className="px-3 py-2 text-gray-600 font-medium text-right">売上</th>
+        </tr>
+      </thead>
+      <tbody>
+        {groups.map((g) => (
+          <tr key={g.key} className={`border-b border-gray-100 ${g.key === bestKey ? 'bg-green-50' : ''}`}>
+            <td className="px-3 py-1.5 text-gray-800">
+              {g.label}
+              {g.key === bestKey && <span className="ml-1 text-xs text-green-700">★</span>}
+            </td>
+            <td className="px-3 py-1.5 text-right text-gray-600">{g.articles}</td>
+            <td className="px-3 py-1.5 text-right text-gray-600">{g.views.toLocaleString('ja-JP')}</td>
+            <td className="px-3 py-1.5 text-right text-gray-600">{formatRate(g.like_rate)}</td>
+            <td className="px-3 py-1.5 text-right text-gray-600">{g.sales}</td>
+            <td className="px-3 py-1.5 text-right text-gray-600">{formatRate(g.conversion)}</td>
+            <td className="px-3 py-1.5 text-right text-gray-800">{formatYen(g.revenue)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function CostTable({ title, rows, labelOf = (r) => r.key }) {
+  return (
+    <div>
+      <h3 className="text-xs font-bold text-gray-500 mb-1">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-xs text-gray-400">記録がありません</p>
+      ) : (
+        <table className="w-full text-sm">
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.key ?? '-'} className="border-b border-gray-100">
+                <td className="py-1 text-gray-800">{labelOf(r) ?? '-'}</td>
+                <td className="py-1 text-right text-gray-500 text-xs">
+                  {(r.input_tokens + r.output_tokens).toLocaleString('ja-JP')} tokens
+                </td>
+                <td className="py-1 text-right text-gray-800 w-20">{formatUsd(r.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function BudgetNotice({ budget }) {
+  const periods = [budget?.daily, budget?.monthly].filter((p) => p && (p.warning || p.exceeded));
+  if (periods.length === 0) return null;
+  const exceeded = periods.some((p) => p.exceeded);
+  return (
+    <div className={`p-2 rounded border text-sm ${exceeded ? 'bg-red-50 border-red-200 text-red-700' : 'bg-yellow-50 border-yellow-200 text-yellow-800'}`}>
+      {periods.map((p) => (
+        <p key={p.label}>
+          {p.exceeded
+            ? `${p.label}の予算 ${formatUsd(p.budget)} に達したため、新しい生成を止めています（利用額 ${formatUsd(p.spent)}）`
+            : `${p.label}の利用額 ${formatUsd(p.spent)} が予算 ${formatUsd(p.budget)} の ${Math.round(p.ratio * 100)}% に達しました`}
+        </p>
+      ))}
+    </div>
+  );
+}
+
+// API の費用の内訳（用途・モデル・日・記事）と予算の状況
+function CostSection({ accountId }) {
+  const [period, setPeriod] = useState('this_month');
+  const [allAccounts, setAllAccounts] = useState(false);
+  const [breakdown, setBreakdown] = useState(null);
+  const [budget, setBudget] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    (async () => {
+      try {
+        const filter = { ...costPeriodRange(period), accountId: allAccounts ? null : accountId || null };
+        const [result, status] = await Promise.all([
+          window.electronAPI.usage.breakdown(filter),
+          window.electronAPI.usage.budget(),
+        ]);
+        if (!active) return;
+        setBreakdown(result?.error ? null : result);
+        setBudget(status?.error ? null : status);
+      } catch {
+        if (active) setBreakdown(null);
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, [period, allAccounts, accountId]);
+
+  return (
+    <section className="bg-white border border-gray-200 rounded p-3 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <h2 className="text-sm font-bold text-gray-700">API の費用</h2>
+        <select
+          aria-label="費用の期間"
+          value={period}
+          onChange={(e) => setPeriod(e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          {COST_PERIODS.map((p) => (
+            <option key={p.key} value={p.key}>{p.label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={allAccounts}
+            onChange={(e) => setAllAccounts(e.target.checked)}
+            className="w-4 h-4 rounded border-gray-300"
+          />
+          全アカウント
+        </label>
+      </div>
+
+      <BudgetNotice budget={budget} />
+
+      {!breakdown ? (
+        <p className="text-sm text-gray-400">費用の記録を読み込めませんでした</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-4 gap-3">
+            <MetricCard label="費用（目安）" value={formatUsd(breakdown.total?.cost)} />
+            <MetricCard label="入力トークン" value={(breakdown.total?.input_tokens || 0).toLocaleString('ja-JP')} />
+            <MetricCard label="出力トークン" value={(breakdown.total?.output_tokens || 0).toLocaleString('ja-JP')} />
+            <MetricCard label="API 呼び出し" value={(breakdown.total?.calls || 0).toLocaleString('ja-JP')} />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <CostTable title="用途別" rows={breakdown.byPurpose} labelOf={(r) => r.label} />
+            <CostTable title="モデル別" rows={breakdown.byModel} />
+            {allAccounts && <CostTable title="アカウント別" rows={breakdown.byAccount} />}
+            <CostTable title="日別" rows={breakdown.byDay} />
+            <CostTable title="記事別（上位20件）" rows={breakdown.byArticle} />
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
 export default function DashboardPage() {
+  const { showToast } = useToast();
+  const [accounts, setAccounts] = useState([]);
+  const [selectedAccount, setSelectedAccount] = useState('');
+  const [analysis, setAnalysis] = useState(null);
+  const [dimension, setDimension] = useState('pillar');
+  const [loading, setLoading] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const active = await window.electronAPI.accounts.listActive();
+        setAccounts(active || []);
+        if (active && active.length > 0) setSelectedAccount(active[0].id);
+      } catch {
+        setAccounts([]);
+      }
+    })();
+  }, []);
+
+  const loadAnalysis = useCallback(async () => {
+    if (!selectedAccount) return;
+    setLoading(true);
+    try {
+      const result = await window.electronAPI.analyzer.analyze(selectedAccount);
+      setAnalysis(result?.error ? null : result);
+    } catch {
+      setAnalysis(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedAccount]);
+
+  useEffect(() => {
+    loadAnalysis();
+  }, [loadAnalysis]);
+
+  const handleImport = async () => {
+    try {
+      const filePath = await window.electronAPI.dialog.openFile({
+        filters: [{ name: 'note 統計 (CSV / HTML)', extensions: ['csv', 'html', 'htm'] }],
+      });
+      if (!filePath) return;
+      setImporting(true);
+      const result = await window.electronAPI.analyzer.import(selectedAccount, filePath);
+      if (result.success) {
+        showToast(`${result.imported} 件を取り込みました（照合 ${result.matched} 件）`, 'success');
+        await loadAnalysis();
+      } else {
+        showToast('取り込みに失敗しました: ' + (result.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('取り込みに失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const hasData = analysis && analysis.totals.articles > 0;
+
   return (
-    <div className="p-8">
-      <h1 className="text-2xl font-bold text-gray-800">ダッシュボード（準備中）</h1>
+    <div className="p-6 max-w-6xl">
+      <h1 className="text-xl font-bold text-gray-800 mb-4">ダッシュボード</h1>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <label className="text-sm text-gray-600">
+          アカウント:
+          <select
+            value={selectedAccount}
+            onChange={(e) => setSelectedAccount(e.target.value)}
+            className="ml-1 border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {accounts.map((a) => (
+              <option key={a.id} value={a.id}>{a.display_name || a.id}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={handleImport}
+          disabled={!selectedAccount || importing}
+          className="px-3 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {importing ? '取り込み中...' : 'note の統計を取り込む'}
+        </button>
+        {analysis?.imported_at && (
+          <span className="ml-auto text-xs text-gray-400">
+            最終取り込み: {new Date(analysis.imported_at).toLocaleString('ja-JP')}
+          </span>
+        )}
+      </div>
+
+      {!hasData ? (
+        <div className="bg-white border border-gray-200 rounded p-8 text-center text-sm text-gray-400">
+          {loading
+            ? '読込中...'
+            : 'note の統計から CSV をエクスポートするか、統計ページを HTML で保存して取り込んでください'}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="grid grid-cols-5 gap-3">
+            <MetricCard label="記事" value={analysis.totals.articles} />
+            <MetricCard label="ビュー" value={analysis.totals.views.toLocaleString('ja-JP')} />
+            <MetricCard label="スキ" value={analysis.totals.likes.toLocaleString('ja-JP')} />
+            <MetricCard label="購入率" value={formatRate(analysis.totals.conversion)} />
+            <MetricCard label="売上" value={formatYen(analysis.totals.revenue)} />
+          </div>
+
+          {analysis.insights.length > 0 && (
+            <section className="bg-blue-50 border border-blue-200 rounded p-3">
+              <h2 className="text-sm font-bold text-blue-800 mb-1">企画のヒント</h2>
+              <ul className="list-disc list-inside text-sm text-blue-900 space-y-0.5">
+                {analysis.insights.map((text) => (
+                  <li key={text}>{text}</li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          <section className="bg-white border border-gray-200 rounded overflow-hidden">
+            <div className="flex gap-1 p-2 border-b border-gray-200">
+              {DIMENSIONS.map((d) => (
+                <button
+                  key={d.key}
+                  onClick={() => setDimension(d.key)}
+                  className={`px-3 py-1 text-sm rounded ${
+                    dimension === d.key ? 'bg-gray-800 text-white' : 'text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  {d.label}
+                </button>
+              ))}
+            </div>
+            <GroupTable groups={analysis.groups[dimension] || []} bestKey={analysis.best[dimension]?.key} />
+          </section>
+
+          <section className="bg-white border border-gray-200 rounded overflow-hidden">
+            <h2 className="px-3 py-2 text-sm font-bold text-gray-700 border-b border-gray-200">記事別</h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="bg-gray-50 border-b border-gray-200 text-left">
+                  <th className="px-3 py-2 text-gray-600 font-medium">タイトル</th>
+                  <th className="px-3 py-2 text-gray-600 font-medium text-right">ビュー</th>
+                  <th className="px-3 py-2 text-gray-600 font-medium text-right">スキ</th>
+                  <th className="px-3 py-2 text-gray-600 font-medium text-right">売上数</th>
+                  <th className="px-3 py-2 text-gray-600 font-medium text-right">売上</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.articles.map((a) => (
+                  <tr key={a.id} className="border-b border-gray-100">
+                    <td className="px-3 py-1.5 text-gray-800">{a.title}</td>
+                    <td className="px-3 py-1.5 text-right text-gray-600">{a.views.toLocaleString('ja-JP')}</td>
+                    <td className="px-3 py-1.5 text-right text-gray-600">{a.likes}</td>
+                    <td className="px-3 py-1.5 text-right text-gray-600">{a.sales}</td>
+                    <td className="px-3 py-1.5 text-right text-gray-800">{formatYen(a.revenue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {analysis.unmatched > 0 && (
+              <p className="px-3 py-2 text-xs text-gray-400">
+                ローカルの記事と照合できなかった統計が {analysis.unmatched} 件あります
+              </p>
+            )}
+          </section>
+        </div>
+      )}
+
+      <div className="mt-4">
+        <CostSection accountId={selectedAccount} />
+      </div>
     </div>
   );
 }
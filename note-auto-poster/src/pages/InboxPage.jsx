@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useToast } from '../hooks/useToast';
 import SetupBanner from '../components/common/SetupBanner';
 import ConfirmDialog from '../components/common/ConfirmDialog';
@@ -7,6 +7,8 @@ import TopicList from '../components/inbox/TopicList';
 import ArticleList from '../components/inbox/ArticleList';
 import GenerationPanel from '../components/inbox/GenerationPanel';
 import ArticlePreview from '../components/inbox/ArticlePreview';
+import OutlineReview from '../components/inbox/OutlineReview';
+import SeriesPanel from '../components/inbox/SeriesPanel';
 
 export default function InboxPage() {
   const { showToast } = useToast();
@@ -27,8 +29,17 @@ export default function InboxPage() {
   const [generating, setGenerating] = useState(false);
   const [generatingSingle, setGeneratingSingle] = useState(false);
   const [batchId, setBatchId] = useState(null);
+  // Streamed batch runs cut short by a crash, offered for resuming
+  const [interruptedRuns, setInterruptedRuns] = useState([]);
+  // Streamed generation (runSingle / run): null until the first chunk arrives
+  const [streaming, setStreaming] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [showConfirm, setShowConfirm] = useState(false);
   const [pendingCount, setPendingCount] = useState(0);
+  // Outline-first generation: bumped when an outline changes elsewhere (Telegram) so the review panel reloads
+  const [outlineVersion, setOutlineVersion] = useState(0);
+  // Series view: bumped to reload the series list (it loads its own data)
+  const [seriesVersion, setSeriesVersion] = useState(0);
 
   // Bulk selection state
   const [selectionMode, setSelectionMode] = useState(false);
@@ -83,10 +94,45 @@ export default function InboxPage() {
     load();
   }, [selectedAccount]);
 
+  // Resume the panel for a Message Batch submitted earlier (possibly before the app was restarted)
+  useEffect(() => {
+    if (!selectedAccount) return;
+    async function load() {
+      try {
+        const open = await window.electronAPI.generator.openBatches(selectedAccount);
+        if (open && open.length > 0) {
+          setBatchId(open[0].batchId);
+          setGenerating(true);
+        }
+      } catch {
+        // batches not available
+      }
+    }
+    load();
+  }, [selectedAccount]);
+
+  // Streamed batch runs that were interrupted (the app quit or crashed mid-run)
+  const loadInterruptedRuns = useCallback(async () => {
+    if (!selectedAccount) return;
+    try {
+      setInterruptedRuns(await window.electronAPI.generator.interruptedRuns(selectedAccount) || []);
+    } catch {
+      setInterruptedRuns([]);
+    }
+  }, [selectedAccount]);
+
+  useEffect(() => {
+    loadInterruptedRuns();
+  }, [loadInterruptedRuns]);
+
   // Load data when account or view changes
   const loadData = useCallback(async () => {
     if (!selectedAccount) return;
     setLoadError('');
+    if (view === 'series') {
+      setSeriesVersion((v) => v + 1);
+      return;
+    }
     try {
       if (view === 'topics') {
         const data = await window.electronAPI.topics.list(selectedAccount);
@@ -107,10 +153,66 @@ export default function InboxPage() {
     }
   }, [selectedAccount, view]);
 
+  const loadDataRef = useRef(loadData);
+  loadDataRef.current = loadData;
+
   useEffect(() => {
     loadData();
   }, [loadData]);
 
+  // Background regeneration (rejections from the scorer / Telegram) changes articles on disk
+  useEffect(() => {
+    try {
+      window.electronAPI.regenerator.onUpdated((event, payload) => {
+        if (event === 'escalated') {
+          showToast(`「${payload.title}」は ${payload.attempts} 回再生成しても承認されませんでした`, 'error');
+        }
+        if (event !== 'started') loadDataRef.current?.();
+      });
+    } catch {
+      // regenerator not available
+    }
+  }, []);
+
+  // Outlines approved / rejected / revised from Telegram
+  useEffect(() => {
+    try {
+      window.electronAPI.outlines.onUpdated(() => {
+        setOutlineVersion((v) => v + 1);
+        loadDataRef.current?.();
+      });
+    } catch {
+      // outlines not available
+    }
+  }, []);
+
+  // Partial text / token counts while an article is being written
+  useEffect(() => {
+    try {
+      window.electronAPI.generator.onProgress((payload) => setProgress(payload));
+    } catch {
+      // progress not available
+    }
+  }, []);
+
+  const startStreaming = () => {
+    setProgress(null);
+    setStreaming(true);
+  };
+
+  const stopStreaming = () => {
+    setStreaming(false);
+    setProgress(null);
+  };
+
+  const handleCancelGeneration = async () => {
+    try {
+      await window.electronAPI.generator.cancel(selectedAccount);
+    } catch (e) {
+      showToast('中止に失敗しました: ' + (e.message || ''), 'error');
+    }
+  };
+
   const handleStatusFilterChange = (status) => {
     setStatusFilters((prev) =>
       prev.includes(status) ? prev.filter((s) => s !== status) : [...prev, status]
@@ -136,18 +238,32 @@ export default function InboxPage() {
     return true;
   });
 
-  // Immediate single-topic generation
-  const handleGenerateSingle = async () => {
-    if (!selectedTopic || !selectedAccount) return;
+  // Immediate single-topic generation (the selected topic, or a part from the series view)
+  const generateTopic = async (topic) => {
+    if (!topic || !selectedAccount) return;
     setGeneratingSingle(true);
+    startStreaming();
     try {
-      const result = await window.electronAPI.generator.runSingle(selectedAccount, selectedTopic.id);
+      const result = await window.electronAPI.generator.runSingle(selectedAccount, topic.id);
       if (result.error) {
         showToast('生成エラー: ' + result.error, 'error');
         setGeneratingSingle(false);
         loadData();
         return;
       }
+      if (result.cancelled) {
+        showToast('生成を中止しました（トピックは未生成に戻しました）', 'info');
+        loadData();
+        return;
+      }
+      if (result.outline) {
+        // Outline-first: the article is written once the outline is approved in the topic panel
+        showToast('アウトラインを作りました。確認して承認すると本文を生成します', 'success');
+        setSelectedTopic({ ...topic, status: 'outlined' });
+        setView('topics');
+        loadData();
+        return;
+      }
       showToast('記事が生成されました', 'success');
       // Show generated article in preview
       setSelectedArticle(result.article);
@@ -158,6 +274,47 @@ export default function InboxPage() {
       showToast('生成に失敗しました: ' + (e.message || ''), 'error');
     } finally {
       setGeneratingSingle(false);
+      stopStreaming();
+    }
+  };
+
+  const handleGenerateSingle = () => generateTopic(selectedTopic);
+
+  // Series view: open a part's article in the articles view
+  const handleOpenSeriesArticle = async (article) => {
+    setView('articles');
+    await handleArticleSelect(article);
+  };
+
+  // Outline-first: expand the approved (possibly edited) outline into the article
+  const handleApproveOutline = async (outlineId, outline) => {
+    if (!selectedAccount) return;
+    setGeneratingSingle(true);
+    startStreaming();
+    try {
+      const result = await window.electronAPI.outlines.approve(outlineId, outline);
+      if (result.error) {
+        showToast('生成エラー: ' + result.error, 'error');
+        setOutlineVersion((v) => v + 1);
+        loadData();
+        return;
+      }
+      if (result.cancelled) {
+        showToast('本文の生成を中止しました（アウトラインは承認待ちに戻しました）', 'info');
+        setOutlineVersion((v) => v + 1);
+        loadData();
+        return;
+      }
+      showToast('記事が生成されました', 'success');
+      setSelectedArticle(result.article);
+      setView('articles');
+      setSelectedTopic(null);
+      loadData();
+    } catch (e) {
+      showToast('生成に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setGeneratingSingle(false);
+      stopStreaming();
     }
   };
 
@@ -168,21 +325,51 @@ export default function InboxPage() {
     setShowConfirm(true);
   };
 
-  const handleGenerate = async () => {
+  const handleGenerate = () => {
     setShowConfirm(false);
+    startRun();
+  };
+
+  // Resume an interrupted run: only its topics that have no result yet are written
+  const handleResumeRun = (runId) => {
+    setInterruptedRuns([]);
+    startRun({ resumeRunId: runId });
+  };
+
+  const startRun = async (options) => {
     setGenerating(true);
+    startStreaming();
     try {
-      const result = await window.electronAPI.generator.run(selectedAccount);
+      const result = await window.electronAPI.generator.run(selectedAccount, options);
+      stopStreaming();
       if (result.error) {
         showToast('生成エラー: ' + result.error, 'error');
         setGenerating(false);
         loadData();
+        loadInterruptedRuns();
         return;
       }
       if (result.batchId) {
+        // Message Batch: GenerationPanel polls until the results have been written as articles
         setBatchId(result.batchId);
+        showToast(`${result.submitted}件のテーマをバッチで送信しました。結果が届くと記事になります`, 'success');
+        loadData();
+        return;
+      }
+      if (result.outlined !== undefined) {
+        // Outline-first: the topics stay in the list until their outlines are approved
+        showToast(`${result.outlined}件のアウトラインを作りました（エラー: ${result.errors || 0}件）。テーマを選んで確認してください`, 'success');
+        setGenerating(false);
+        loadData();
+        return;
+      }
+      if (result.cancelled) {
+        showToast(`バッチ生成を中止しました（生成済み: ${result.generated || 0}件、残りは未生成のまま）`, 'info');
+      } else if (result.budgetExceeded) {
+        showToast(`${result.budgetExceeded}（生成済み: ${result.generated || 0}件、残りは未生成のまま）`, 'error');
+      } else {
+        showToast(`${result.generated || 0}件の記事が生成されました（エラー: ${result.errors || 0}件）`, 'success');
       }
-      showToast(`${result.generated || 0}件の記事が生成されました（エラー: ${result.errors || 0}件）`, 'success');
       setGenerating(false);
       setBatchId(null);
       setView('articles');
@@ -190,16 +377,17 @@ export default function InboxPage() {
     } catch (e) {
       showToast('生成に失敗しました', 'error');
       setGenerating(false);
+      stopStreaming();
     }
   };
 
-  const handleGenerationComplete = () => {
+  const handleGenerationComplete = useCallback((result) => {
     setGenerating(false);
     setBatchId(null);
-    showToast('バッチ生成が完了しました', 'success');
+    showToast(`バッチ生成が完了しました（生成: ${result?.generated ?? 0}件、エラー: ${result?.errors ?? 0}件）`, 'success');
     setView('articles');
-    loadData();
-  };
+    loadDataRef.current?.();
+  }, [showToast]);
 
   const handleTopicSelect = (topic) => {
     setSelectedTopic(selectedTopic?.id === topic.id ? null : topic);
@@ -226,26 +414,20 @@ export default function InboxPage() {
     }
   };
 
-  // Regenerate an article (find its topic and re-run generation)
+  // Regenerate an article in place from its previous draft plus the instructions
   const handleRegenerate = async (article, regenerateInstructions) => {
     if (!selectedAccount) return;
     setGeneratingSingle(true);
     try {
-      // Try to find the matching topic by topicId or by theme
-      const topicId = article.topicId;
-      if (topicId) {
-        const result = await window.electronAPI.generator.runSingle(selectedAccount, topicId, regenerateInstructions || undefined);
-        if (result.error) {
-          showToast('再生成エラー: ' + result.error, 'error');
-        } else {
-          showToast('記事を再生成しました', 'success');
-          setSelectedArticle(result.article);
-        }
+      const result = await window.electronAPI.regenerator.run(selectedAccount, article.filename, regenerateInstructions || '');
+      if (!result.success) {
+        showToast('再生成エラー: ' + (result.error || ''), 'error');
+      } else if (result.action === 'skipped') {
+        showToast('この記事は再生成中です', 'info');
       } else {
-        // No topicId — switch to topics view so user can pick the topic
-        showToast('テーマビューからテーマを選んで「即時生成」してください', 'info');
-        setView('topics');
-        setSelectedArticle(null);
+        showToast('記事を再生成しました', 'success');
+        const updated = await window.electronAPI.articles.get(selectedAccount, article.id);
+        if (updated) setSelectedArticle(updated);
       }
       loadData();
     } catch (e) {
@@ -433,6 +615,23 @@ export default function InboxPage() {
             </div>
           )}
 
+          {/* Interrupted batch runs */}
+          {view === 'topics' && selectedAccount && !generating && interruptedRuns.length > 0 && (
+            <div className="mx-3 mt-2 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800 flex items-center gap-2">
+              <span className="flex-1">
+                前回のバッチ生成が中断されました（{interruptedRuns[0].done} / {interruptedRuns[0].total} 件完了）。
+                残りのテーマは未生成に戻してあります。
+              </span>
+              <button
+                onClick={() => handleResumeRun(interruptedRuns[0].runId)}
+                disabled={generatingSingle}
+                className="px-3 py-1.5 text-sm rounded bg-yellow-600 text-white hover:bg-yellow-700 disabled:opacity-50"
+              >
+                再開
+              </button>
+            </div>
+          )}
+
           {/* GitHub Sync bar */}
           {githubEnabled && selectedAccount && (
             <div className="px-3 py-2 border-b border-gray-200 flex items-center justify-between bg-gray-50">
@@ -464,8 +663,15 @@ export default function InboxPage() {
             </div>
           )}
 
-          {/* Generating single indicator */}
-          {generatingSingle && (
+          {/* Streamed generation: partial text, tokens and cancel */}
+          {streaming && !batchId && (
+            <div className="p-3">
+              <GenerationPanel progress={progress} onCancel={handleCancelGeneration} />
+            </div>
+          )}
+
+          {/* Regenerating indicator */}
+          {generatingSingle && !streaming && (
             <div className="mx-3 mt-2 p-3 bg-blue-50 border border-blue-200 rounded text-sm text-blue-700">
               「{selectedTopic?.theme}」の記事を生成中... しばらくお待ちください。
             </div>
@@ -480,7 +686,18 @@ export default function InboxPage() {
 
           {/* Content */}
           <div>
-            {view === 'topics' ? (
+            {view === 'series' ? (
+              selectedAccount && (
+                <SeriesPanel
+                  accountId={selectedAccount}
+                  pillars={pillars}
+                  refreshKey={seriesVersion}
+                  onGenerate={generateTopic}
+                  onOpenArticle={handleOpenSeriesArticle}
+                  generating={generating || generatingSingle}
+                />
+              )
+            ) : view === 'topics' ? (
               <TopicList
                 topics={filteredTopics}
                 selectedId={selectedTopic?.id}
@@ -562,15 +779,32 @@ export default function InboxPage() {
                   <span className="ml-2 text-gray-800">{selectedTopic.price}円</span>
                 </div>
               )}
-              <div className="pt-3 border-t border-gray-200">
-                <button
-                  onClick={handleGenerateSingle}
-                  disabled={generating || generatingSingle || (selectedTopic.status !== 'pending' && selectedTopic.status !== 'error' && selectedTopic.status !== '')}
-                  className="w-full px-3 py-2 text-sm rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
-                >
-                  {generatingSingle ? '生成中...' : 'このテーマで記事を即時生成'}
-                </button>
-              </div>
+              {selectedTopic.status === 'outlined' ? (
+                <div className="pt-3 border-t border-gray-200">
+                  <h4 className="font-bold text-gray-800 mb-2">アウトライン</h4>
+                  <OutlineReview
+                    accountId={selectedAccount}
+                    topic={selectedTopic}
+                    refreshKey={outlineVersion}
+                    onApprove={handleApproveOutline}
+                    onChanged={() => {
+                      setSelectedTopic({ ...selectedTopic, status: 'pending' });
+                      loadData();
+                    }}
+                    approving={generatingSingle}
+                  />
+                </div>
+              ) : (
+                <div className="pt-3 border-t border-gray-200">
+                  <button
+                    onClick={handleGenerateSingle}
+                    disabled={generating || generatingSingle || (selectedTopic.status !== 'pending' && selectedTopic.status !== 'error' && selectedTopic.status !== '')}
+                    className="w-full px-3 py-2 text-sm rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                  >
+                    {generatingSingle ? '生成中...' : 'このテーマで記事を即時生成'}
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         )}
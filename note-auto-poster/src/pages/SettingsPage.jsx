@@ -1,11 +1,16 @@
 import { useState, useEffect } from 'react';
 import ApiKeySection from '../components/settings/ApiKeySection';
+import ModelSection from '../components/settings/ModelSection';
+import ScoringSection from '../components/settings/ScoringSection';
+import BudgetSection from '../components/settings/BudgetSection';
 import GoogleSheetsSection from '../components/settings/GoogleSheetsSection';
 import GitHubSection from '../components/settings/GitHubSection';
 import TelegramSection from '../components/settings/TelegramSection';
+import NotificationSection from '../components/settings/NotificationSection';
 import AppSettingsSection from '../components/settings/AppSettingsSection';
 import WritingGuidelinesSection from '../components/settings/WritingGuidelinesSection';
 import SystemPromptSection from '../components/settings/SystemPromptSection';
+import PillarPromptSection from '../components/settings/PillarPromptSection';
 
 export default function SettingsPage() {
   const [config, setConfig] = useState(null);
@@ -40,11 +45,16 @@ export default function SettingsPage() {
       <h1 className="text-2xl font-bold text-gray-800 mb-6">設定</h1>
       <div className="space-y-6">
         <ApiKeySection config={config} onConfigChange={loadConfig} />
+        <ModelSection config={config} onConfigChange={loadConfig} />
+        <ScoringSection config={config} onConfigChange={loadConfig} />
+        <BudgetSection config={config} onConfigChange={loadConfig} />
         <GoogleSheetsSection config={config} onConfigChange={loadConfig} />
         <GitHubSection config={config} onConfigChange={loadConfig} />
         <TelegramSection config={config} onConfigChange={loadConfig} />
+        <NotificationSection config={config} onConfigChange={loadConfig} />
         <WritingGuidelinesSection config={config} onConfigChange={loadConfig} />
         <SystemPromptSection />
+        <PillarPromptSection />
         <AppSettingsSection config={config} onConfigChange={loadConfig} />
       </div>
     </div>
@@ -0,0 +1,252 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useToast } from '../hooks/useToast';
+
+const SOURCES = [
+  { key: 'hashtag', label: 'ハッシュタグ' },
+  { key: 'search', label: '検索' },
+  { key: 'ranking', label: '急上昇' },
+];
+
+function formatYen(value) {
+  return `¥${(value || 0).toLocaleString('ja-JP')}`;
+}
+
+function ProposalCard({ proposal, pillarName, selected, onToggle, onThemeChange }) {
+  return (
+    <div className={`bg-white border rounded p-3 space-y-2 ${selected ? 'border-blue-400' : 'border-gray-200'}`}>
+      <div className="flex items-start gap-2">
+        <input
+          type="checkbox"
+          checked={selected}
+          disabled={proposal.pushed}
+          onChange={onToggle}
+          aria-label={`${proposal.theme} を選択`}
+          className="mt-1.5 w-4 h-4 rounded border-gray-300"
+        />
+        <input
+          value={proposal.theme}
+          onChange={(e) => onThemeChange(e.target.value)}
+          aria-label="テーマ"
+          className="flex-1 border border-gray-300 rounded px-2 py-1 text-sm font-medium"
+        />
+        {proposal.pushed && (
+          <span className="shrink-0 px-1.5 py-0.5 text-xs rounded bg-green-100 text-green-700">追加済み</span>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-500">
+        <span>柱: {pillarName}</span>
+        <span>キーワード: {proposal.keywords.join('、') || '-'}</span>
+        <span>記事 {proposal.stats.notes}件</span>
+        <span>スキ合計 {proposal.stats.likes.toLocaleString('ja-JP')}</span>
+        <span>有料率 {Math.round(proposal.stats.paid_ratio * 100)}%</span>
+        <span>{proposal.is_paid ? `想定価格 ${formatYen(proposal.price)}` : '無料'}</span>
+      </div>
+      <ul className="text-xs text-gray-600 space-y-0.5">
+        {proposal.examples.map((ex) => (
+          <li key={ex.url} className="truncate" title={ex.url}>
+            「{ex.title}」 スキ{ex.likes} {ex.price > 0 ? formatYen(ex.price) : '無料'}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function TrendsPage() {
+  const { showToast } = useToast();
+  const [accounts, setAccounts] = useState([]);
+  const [selectedAccount, setSelectedAccount] = useState('');
+  const [sources, setSources] = useState(SOURCES.map((s) => s.key));
+  const [result, setResult] = useState(null);
+  const [proposals, setProposals] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [scraping, setScraping] = useState(false);
+  const [pushing, setPushing] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const active = await window.electronAPI.accounts.listActive();
+        setAccounts(active || []);
+        if (active && active.length > 0) setSelectedAccount(active[0].id);
+      } catch {
+        setAccounts([]);
+      }
+    })();
+  }, []);
+
+  const applyResult = (data) => {
+    setResult(data);
+    setProposals(data?.proposals || []);
+    setSelectedIds([]);
+  };
+
+  const loadLatest = useCallback(async () => {
+    if (!selectedAccount) return;
+    try {
+      applyResult(await window.electronAPI.trends.latest(selectedAccount));
+    } catch {
+      applyResult(null);
+    }
+  }, [selectedAccount]);
+
+  useEffect(() => {
+    loadLatest();
+  }, [loadLatest]);
+
+  const account = accounts.find((a) => a.id === selectedAccount);
+  const pillarName = (id) => account?.pillars?.find((p) => p.id === id)?.name || id;
+
+  const handleResult = (data, label) => {
+    if (data.success) {
+      applyResult(data);
+      const failed = data.errors?.length ? `（取得失敗 ${data.errors.length} ページ）` : '';
+      showToast(`${label}: ${data.items.length} 件の記事から ${data.proposals.length} 件のテーマ案${failed}`, 'success');
+    } else {
+      showToast(`${label}に失敗しました: ` + (data.error || ''), 'error');
+    }
+  };
+
+  const handleScrape = async () => {
+    setScraping(true);
+    try {
+      handleResult(await window.electronAPI.trends.scrape(selectedAccount, { sources }), 'トレンド取得');
+    } catch (e) {
+      showToast('トレンド取得に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setScraping(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      const filePath = await window.electronAPI.dialog.openFile({
+        filters: [{ name: 'note の一覧ページ (HTML)', extensions: ['html', 'htm'] }],
+      });
+      if (!filePath) return;
+      setScraping(true);
+      handleResult(await window.electronAPI.trends.import(selectedAccount, [filePath]), 'HTML 読み込み');
+    } catch (e) {
+      showToast('HTML 読み込みに失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setScraping(false);
+    }
+  };
+
+  const handlePush = async () => {
+    const targets = proposals.filter((p) => selectedIds.includes(p.id));
+    if (targets.length === 0) return;
+    setPushing(true);
+    try {
+      const res = await window.electronAPI.trends.push(selectedAccount, targets);
+      if (res.success) {
+        setProposals((prev) => prev.map((p) => (res.pushed.includes(p.id) ? { ...p, pushed: true } : p)));
+        setSelectedIds([]);
+        showToast(
+          `${res.added} 件のテーマをシートに追加しました${res.errors.length ? `（失敗 ${res.errors.length} 件）` : ''}`,
+          res.errors.length ? 'error' : 'success'
+        );
+      } else {
+        showToast('シートへの追加に失敗しました: ' + (res.error || ''), 'error');
+      }
+    } catch (e) {
+      showToast('シートへの追加に失敗しました: ' + (e.message || ''), 'error');
+    } finally {
+      setPushing(false);
+    }
+  };
+
+  const toggleSource = (key) => {
+    setSources((prev) => (prev.includes(key) ? prev.filter((s) => s !== key) : [...prev, key]));
+  };
+
+  const toggleProposal = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const updateTheme = (id, theme) => {
+    setProposals((prev) => prev.map((p) => (p.id === id ? { ...p, theme } : p)));
+  };
+
+  return (
+    <div className="p-6 max-w-5xl">
+      <h1 className="text-xl font-bold text-gray-800 mb-4">トレンド</h1>
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <label className="text-sm text-gray-600">
+          アカウント:
+          <select
+            value={selectedAccount}
+            onChange={(e) => setSelectedAccount(e.target.value)}
+            className="ml-1 border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            {accounts.map((a) => (
+              <option key={a.id} value={a.id}>{a.display_name || a.id}</option>
+            ))}
+          </select>
+        </label>
+        {SOURCES.map((s) => (
+          <label key={s.key} className="flex items-center gap-1 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={sources.includes(s.key)}
+              onChange={() => toggleSource(s.key)}
+              className="w-4 h-4 rounded border-gray-300"
+            />
+            {s.label}
+          </label>
+        ))}
+        <button
+          onClick={handleScrape}
+          disabled={!selectedAccount || scraping || sources.length === 0}
+          className="px-3 py-1 text-sm rounded bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {scraping ? '取得中...' : 'note からトレンドを取得'}
+        </button>
+        <button
+          onClick={handleImport}
+          disabled={!selectedAccount || scraping}
+          className="px-3 py-1 text-sm rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          保存した HTML を読み込む
+        </button>
+        {result?.scraped_at && (
+          <span className="ml-auto text-xs text-gray-400">
+            最終取得: {new Date(result.scraped_at).toLocaleString('ja-JP')}
+          </span>
+        )}
+      </div>
+
+      {proposals.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded p-8 text-center text-sm text-gray-400">
+          ピラーのキーワードで note の一覧ページを取得すると、反応の多い記事をまとめたテーマ案が表示されます
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex items-center gap-3">
+            <span className="text-sm text-gray-600">
+              {result?.items?.length ?? 0} 件の記事から {proposals.length} 件のテーマ案
+            </span>
+            <button
+              onClick={handlePush}
+              disabled={selectedIds.length === 0 || pushing}
+              className="ml-auto px-3 py-1 text-sm rounded bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+            >
+              {pushing ? '追加中...' : `選んだテーマをシートに追加 (${selectedIds.length})`}
+            </button>
+          </div>
+          {proposals.map((p) => (
+            <ProposalCard
+              key={p.id}
+              proposal={p}
+              pillarName={pillarName(p.pillar)}
+              selected={selectedIds.includes(p.id)}
+              onToggle={() => toggleProposal(p.id)}
+              onThemeChange={(theme) => updateTheme(p.id, theme)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ToastProvider } from '../../hooks/useToast';
+import DashboardPage from '../DashboardPage';
+
+const group = (key, label, extra = {}) => ({
+  key, label, articles: 1, views: 1000, likes: 50, sales: 20, revenue: 9800,
+  conversion: 0.02, like_rate: 0.05, revenue_per_article: 9800, ...extra,
+});
+
+const ANALYSIS = {
+  totals: { articles: 2, views: 1500, likes: 60, sales: 21, revenue: 10780, conversion: 0.014 },
+  articles: [
+    { id: 'phrases', title: '英語フレーズ集', views: 1000, likes: 50, sales: 20, revenue: 9800 },
+  ],
+  groups: {
+    pillar: [group('guide_ai', 'AI × ガイド'), group('guide_business', 'ガイド業', { sales: 1, revenue: 980, conversion: 0.002 })],
+    price: [group('980', '980円')],
+    title_pattern: [group('tag', '【】タグ')],
+    thumbnail_pattern: [group('b', 'パターンB')],
+    length: [group('medium', '3000〜5000字')],
+    model: [group('unknown', '不明')],
+  },
+  best: { pillar: { key: 'guide_ai', label: 'AI × ガイド', conversion: 0.02 } },
+  insights: ['ピラーは「AI × ガイド」の購入率が最も高い（2.0%）'],
+  unmatched: 1,
+  imported_at: '2026-03-01T00:00:00.000Z',
+};
+
+const costRow = (key, cost, extra = {}) => ({ key, input_tokens: 1000, output_tokens: 500, cost, calls: 1, ...extra });
+
+const BREAKDOWN = {
+  total: { key: null, input_tokens: 3000, output_tokens: 1500, cost: 1.25, calls: 3 },
+  byPurpose: [costRow('generation', 1.2, { label: '記事の生成' }), costRow('scoring', 0.05, { label: 'スコアリング' })],
+  byModel: [costRow('claude-sonnet-4-5-20250929', 1.25)],
+  byAccount: [costRow('tokken', 1.25)],
+  byDay: [costRow('2026-10-18', 1.25)],
+  byArticle: [costRow('tokken/kyoto_1', 1.2)],
+};
+
+const BUDGET = {
+  warnRatio: 0.8,
+  daily: { label: '今日', budget: 0, spent: 0.5, ratio: 0, warning: false, exceeded: false },
+  monthly: { label: '今月', budget: 1.5, spent: 1.25, ratio: 0.83, warning: true, exceeded: false },
+};
+
+const mockElectronAPI = {
+  accounts: {
+    listActive: vi.fn(),
+  },
+  analyzer: {
+    analyze: vi.fn(),
+    import: vi.fn(),
+  },
+  dialog: {
+    openFile: vi.fn(),
+  },
+  usage: {
+    breakdown: vi.fn(),
+    budget: vi.fn(),
+  },
+};
+
+function renderPage() {
+  return render(
+    <ToastProvider>
+      <DashboardPage />
+    </ToastProvider>
+  );
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  window.electronAPI = mockElectronAPI;
+  mockElectronAPI.accounts.listActive.mockResolvedValue([{ id: 'tokken', display_name: 'とっけん' }]);
+  mockElectronAPI.analyzer.analyze.mockResolvedValue(ANALYSIS);
+  mockElectronAPI.usage.breakdown.mockResolvedValue(BREAKDOWN);
+  mockElectronAPI.usage.budget.mockResolvedValue(BUDGET);
+});
+
+describe('DashboardPage', () => {
+  it('集計結果と企画のヒントを表示する', async () => {
+    renderPage();
+    await waitFor(() => {
+      expect(screen.getByText('ピラーは「AI × ガイド」の購入率が最も高い（2.0%）')).toBeInTheDocument();
+    });
+    expect(mockElectronAPI.analyzer.analyze).toHaveBeenCalledWith('tokken');
+    expect(screen.getByText('ガイド業')).toBeInTheDocument();
+    expect(screen.getByText(/照合できなかった統計が 1 件/)).toBeInTheDocument();
+  });
+
+  it('観点を切り替えるとその集計を表示する', async () => {
+    const user = userEvent.setup();
+    renderPage();
+    await waitFor(() => expect(screen.getByText('ガイド業')).toBeInTheDocument());
+
+    await user.click(screen.getByRole('button', { name: 'サムネイル' }));
+    expect(screen.getByText('パターンB')).toBeInTheDocument();
+    expect(screen.queryByText('ガイド業')).not.toBeInTheDocument();
+  });
+
+  it('統計ファイルを取り込んで再集計する', async () => {
+    const user = userEvent.setup();
+    mockElectronAPI.dialog.openFile.mockResolvedValue('/tmp/stats.csv');
+    mockElectronAPI.analyzer.import.mockResolvedValue({ success: true, imported: 3, matched: 2, unmatched: ['x'] });
+    renderPage();
+    await waitFor(() => expect(mockElectronAPI.analyzer.analyze).toHaveBeenCalledTimes(1));
+
+    await user.click(screen.getByRole('button', { name: 'note の統計を取り込む' }));
+    await waitFor(() => {
+      expect(screen.getByText('3 件を取り込みました（照合 2 件）')).toBeInTheDocument();
+    });
+    expect(mockElectronAPI.analyzer.import).toHaveBeenCalledWith('tokken', '/tmp/stats.csv');
+    expect(mockElectronAPI.analyzer.analyze).toHaveBeenCalledTimes(2);
+  });
+
+  it('統計が無ければ取り込み方法を案内する', async () => {
+    mockElectronAPI.analyzer.analyze.mockResolvedValue({ ...ANALYSIS, totals: { ...ANALYSIS.totals, articles: 0 } });
+    renderPage();
+    await waitFor(() => {
+      expect(screen.getByText(/CSV をエクスポートするか/)).toBeInTheDocument();
+    });
+  });
+
+  it('API の費用の内訳と予算の警告を表示する', async () => {
+    const user = userEvent.setup();
+    renderPage();
+    await waitFor(() => expect(screen.getByText('記事の生成')).toBeInTheDocument());
+    expect(mockElectronAPI.usage.breakdown).toHaveBeenLastCalledWith(expect.objectContaining({ accountId: 'tokken' }));
+    expect(screen.getByText('$1.25', { selector: 'div' })).toBeInTheDocument();
+    expect(screen.getByText('今月の利用額 $1.25 が予算 $1.50 の 83% に達しました')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('checkbox', { name: '全アカウント' }));
+    await waitFor(() => {
+      expect(mockElectronAPI.usage.breakdown).toHaveBeenLastCalledWith(expect.objectContaining({ accountId: null }));
+    });
+    expect(screen.getByText('アカウント別')).toBeInTheDocument();
+  });
+});
@@ -1,4 +1,4 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { MemoryRouter } from 'react-router-dom';
 import { describe, it, expect, vi, beforeEach } from 'vitest';
@@ -79,7 +79,11 @@ const mockElectronAPI = {
   },
   generator: {
     run: vi.fn(),
+    runSingle: vi.fn(),
     status: vi.fn(),
+    cancel: vi.fn(),
+    onProgress: vi.fn(),
+    openBatches: vi.fn(),
   },
   config: {
     getAll: vi.fn().mockResolvedValue({ api: { anthropic_key: 'sk-test' }, google: { key_file: '/key.json' } }),
@@ -96,6 +100,7 @@ beforeEach(() => {
   mockElectronAPI.articles.get.mockResolvedValue(mockArticles[0]);
   mockElectronAPI.articles.update.mockResolvedValue({});
   mockElectronAPI.topics.updateStatus.mockResolvedValue({});
+  mockElectronAPI.generator.openBatches.mockResolvedValue([]);
 });
 
 describe('InboxPage', () => {
@@ -188,4 +193,60 @@ describe('InboxPage', () => {
     expect(screen.getByText('承認')).toBeInTheDocument();
     expect(screen.getByText('却下')).toBeInTheDocument();
   });
+
+  it('即時生成中は逐次生成の進捗を表示し、中止できる', async () => {
+    let resolveRun;
+    mockElectronAPI.generator.runSingle.mockReturnValue(new Promise((resolve) => { resolveRun = resolve; }));
+    mockElectronAPI.generator.cancel.mockImplementation(async () => {
+      resolveRun({ success: false, cancelled: true });
+      return { success: true, cancelled: 1 };
+    });
+    const user = userEvent.setup();
+    renderPage();
+
+    await user.click(await screen.findByText('未経験からツアーガイドで安定収益を得る方法'));
+    await user.click(screen.getByRole('button', { name: 'このテーマで記事を即時生成' }));
+    expect(mockElectronAPI.generator.runSingle).toHaveBeenCalledWith('tokken', 1);
+    expect(await screen.findByText('生成を開始しています...')).toBeInTheDocument();
+
+    const sendProgress = mockElectronAPI.generator.onProgress.mock.calls[0][0];
+    act(() => sendProgress({
+      accountId: 'tokken', topicId: 1, theme: '未経験からツアーガイドで安定収益を得る方法',
+      text: '# 未経験からガイドへ\n\n最初の一歩', chars: 1234, input_tokens: 2100, output_tokens: 860,
+    }));
+    expect(screen.getByText('「未経験からツアーガイドで安定収益を得る方法」を生成中')).toBeInTheDocument();
+    expect(screen.getByText(/1,234 文字 \/ 入力 2,100 トークン・出力 860 トークン/)).toBeInTheDocument();
+    expect(screen.getByText(/最初の一歩/)).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: '中止' }));
+    expect(mockElectronAPI.generator.cancel).toHaveBeenCalledWith('tokken');
+    expect(await screen.findByText('生成を中止しました（トピックは未生成に戻しました）')).toBeInTheDocument();
+    await waitFor(() => expect(screen.queryByRole('button', { name: '中止' })).not.toBeInTheDocument());
+  });
+
+  it('Message Batch で送ったら結果が届くまでバッチの進捗を表示する', async () => {
+    mockElectronAPI.generator.run.mockResolvedValue({ batchId: 'msgbatch_01', submitted: 2, generated: 0, errors: 0, results: [] });
+    mockElectronAPI.generator.status.mockResolvedValue({
+      batchId: 'msgbatch_01', status: 'in_progress', requestCounts: { processing: 2, succeeded: 0, errored: 0 },
+    });
+    const user = userEvent.setup();
+    renderPage();
+
+    await user.click(await screen.findByText('バッチ生成'));
+    await user.click(await screen.findByText('生成開始'));
+
+    expect(await screen.findByText('2件のテーマをバッチで送信しました。結果が届くと記事になります')).toBeInTheDocument();
+    expect(screen.getByText('バッチID: msgbatch_01')).toBeInTheDocument();
+    expect(await screen.findByText('処理中: 2 / 成功: 0 / エラー: 0')).toBeInTheDocument();
+    expect(mockElectronAPI.generator.status).toHaveBeenCalledWith('msgbatch_01');
+  });
+
+  it('未回収のバッチがあれば起動時から進捗を表示する', async () => {
+    mockElectronAPI.generator.openBatches.mockResolvedValue([{ batchId: 'msgbatch_02', topics: 3 }]);
+    mockElectronAPI.generator.status.mockResolvedValue({ batchId: 'msgbatch_02', status: 'in_progress' });
+    renderPage();
+
+    expect(await screen.findByText('バッチID: msgbatch_02')).toBeInTheDocument();
+    expect(mockElectronAPI.generator.openBatches).toHaveBeenCalledWith('tokken');
+  });
 });
@@ -1,7 +1,7 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { MemoryRouter } from 'react-router-dom';
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { ToastProvider } from '../../hooks/useToast';
 import { AccountProvider } from '../../contexts/AccountContext';
 import SettingsPage from '../SettingsPage';
@@ -30,14 +30,34 @@ const mockElectronAPI = {
   google: {
     readKeyFile: vi.fn(),
   },
+  notifier: {
+    catalog: vi.fn(),
+    test: vi.fn(),
+  },
   accounts: {
     list: vi.fn().mockResolvedValue({}),
     listActive: vi.fn().mockResolvedValue([]),
     get: vi.fn().mockResolvedValue(null),
     set: vi.fn().mockResolvedValue(undefined),
   },
+  topics: {
+    list: vi.fn(),
+  },
+  prompts: {
+    load: vi.fn(),
+    save: vi.fn(),
+    preview: vi.fn(),
+  },
+  models: {
+    list: vi.fn(),
+  },
 };
 
+const BUILTIN_MODELS = [
+  { id: 'claude-sonnet-4-5-20250929', label: 'Claude Sonnet 4.5', alias: 'sonnet', pricing: { input: 3, output: 15 }, maxOutputTokens: 64000, custom: false },
+  { id: 'claude-haiku-4-5-20251001', label: 'Claude Haiku 4.5', alias: 'haiku', pricing: { input: 1, output: 5 }, maxOutputTokens: 64000, custom: false },
+];
+
 beforeEach(() => {
   vi.clearAllMocks();
   window.electronAPI = mockElectronAPI;
@@ -47,6 +67,25 @@ beforeEach(() => {
     app: { language: '日本語', min_chars: 1500, max_chars: 4000 },
   });
   mockElectronAPI.config.set.mockResolvedValue(undefined);
+  mockElectronAPI.models.list.mockResolvedValue({
+    models: BUILTIN_MODELS,
+    tasks: [
+      { task: 'generation', label: '記事の生成・アウトライン', key: 'api.generation_model', value: 'claude-sonnet-4-5-20250929', default: 'sonnet', model: 'claude-sonnet-4-5-20250929' },
+      { task: 'structure_map', label: '構成マップ', key: 'api.structure_map_model', value: 'haiku', default: 'haiku', model: 'claude-haiku-4-5-20251001' },
+    ],
+  });
+  mockElectronAPI.notifier.catalog.mockResolvedValue({
+    events: [
+      { key: 'generation_failed', label: '生成失敗', defaultChannels: ['desktop', 'telegram'] },
+      { key: 'posted', label: '投稿', defaultChannels: ['desktop'] },
+    ],
+    channels: [
+      { key: 'desktop', label: 'デスクトップ' },
+      { key: 'telegram', label: 'Telegram' },
+      { key: 'webhook', label: 'Webhook' },
+      { key: 'email', label: 'メール' },
+    ],
+  });
 });
 
 describe('SettingsPage', () => {
@@ -62,7 +101,7 @@ describe('SettingsPage', () => {
     await waitFor(() => {
       expect(mockElectronAPI.config.getAll).toHaveBeenCalled();
     });
-    expect(screen.getByText('API設定')).toBeInTheDocument();
+    expect(await screen.findByText('API設定')).toBeInTheDocument();
     expect(screen.getByText('Google Sheets接続')).toBeInTheDocument();
     expect(screen.getByText('アプリ設定')).toBeInTheDocument();
   });
@@ -157,4 +196,136 @@ describe('SettingsPage', () => {
       expect(screen.getByText('ライティングガイドライン')).toBeInTheDocument();
     });
   });
+
+  it('通知のチャネル設定とイベントごとの送り先を保存する', async () => {
+    const user = userEvent.setup();
+    renderPage();
+    const postedToEmail = await screen.findByLabelText('投稿をメールに送る');
+
+    // 未設定のイベントは既定の送り先にチェックが入る
+    expect(screen.getByLabelText('生成失敗をTelegramに送る')).toBeChecked();
+    expect(postedToEmail).not.toBeChecked();
+
+    await user.click(postedToEmail);
+    await user.click(screen.getByLabelText('生成失敗をTelegramに送る'));
+    await user.click(screen.getByRole('checkbox', { name: 'メール' }));
+    await user.type(screen.getByLabelText('SMTP サーバー'), 'localhost');
+    await user.type(screen.getByLabelText('送信先'), 'me@example.com');
+
+    const section = screen.getByText('通知').closest('section');
+    await user.click(within(section).getByRole('button', { name: '保存' }));
+
+    await waitFor(() => {
+      expect(mockElectronAPI.config.set).toHaveBeenCalledWith('notifications.routes', {
+        generation_failed: ['desktop'],
+        posted: ['desktop', 'email'],
+      });
+    });
+    expect(mockElectronAPI.config.set).toHaveBeenCalledWith('notifications.channels', {
+      email: { enabled: true, host: 'localhost', to: 'me@example.com' },
+    });
+  });
+
+  it('通知のテスト送信の結果を表示する', async () => {
+    mockElectronAPI.notifier.test.mockResolvedValue({ success: false, error: 'Webhook の URL が設定されていません' });
+    const user = userEvent.setup();
+    renderPage();
+    await screen.findByLabelText('Webhook URL');
+
+    const webhookRow = screen.getByRole('checkbox', { name: 'Webhook' }).closest('div');
+    await user.click(within(webhookRow).getByRole('button', { name: 'テスト送信' }));
+
+    expect(mockElectronAPI.notifier.test).toHaveBeenCalledWith('webhook', {});
+    expect(await screen.findByText('Webhook への送信に失敗しました: Webhook の URL が設定されていません')).toBeInTheDocument();
+  });
+
+  it('処理ごとのモデルを切り替え、モデルを追加する', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    const select = await screen.findByLabelText('構成マップ');
+    expect(select).toHaveValue('haiku');
+    expect(screen.getByText('→ claude-haiku-4-5-20251001')).toBeInTheDocument();
+    await user.selectOptions(select, 'claude-sonnet-4-5-20250929');
+    expect(mockElectronAPI.config.set).toHaveBeenCalledWith('api.structure_map_model', 'claude-sonnet-4-5-20250929');
+
+    await user.type(screen.getByLabelText('モデル ID'), 'claude-next');
+    await user.type(screen.getByLabelText('入力の単価'), '2');
+    await user.type(screen.getByLabelText('出力の単価'), '10');
+    await user.click(screen.getByRole('button', { name: 'モデルを追加' }));
+
+    await waitFor(() => {
+      expect(mockElectronAPI.config.set).toHaveBeenCalledWith('models.custom', [
+        { id: 'claude-next', label: 'claude-next', alias: '', input_price: 2, output_price: 10, max_output_tokens: 0 },
+      ]);
+    });
+    expect(screen.getByLabelText('モデル ID')).toHaveValue('');
+  });
+
+  describe('柱ごとのプロンプト', () => {
+    beforeEach(() => {
+      mockElectronAPI.accounts.listActive.mockResolvedValue([{ id: 'tokken', display_name: 'とっけん' }]);
+      mockElectronAPI.accounts.get.mockResolvedValue({
+        pillars: [
+          { id: 'guide_business', name: 'ツアーガイド副業', prompt_file: '' },
+          { id: 'guide_ai', name: 'AI効率化', prompt_file: '' },
+        ],
+      });
+      mockElectronAPI.topics.list.mockResolvedValue([
+        { id: 1, theme: 'AIで台本を作る', pillar: 'guide_ai' },
+        { id: 2, theme: 'ガイドの価格設定', pillar: 'guide_business' },
+      ]);
+      mockElectronAPI.prompts.load.mockResolvedValue({
+        file: 'guide_business.md',
+        text: 'テーマは「{{theme}}」',
+        source: 'bundled',
+        variables: [{ key: 'theme', label: 'テーマ' }, { key: 'price', label: '価格（円）' }],
+      });
+    });
+
+    afterEach(() => {
+      mockElectronAPI.accounts.listActive.mockResolvedValue([]);
+      mockElectronAPI.accounts.get.mockResolvedValue(null);
+    });
+
+    it('柱のテンプレートを編集して保存する', async () => {
+      mockElectronAPI.prompts.save.mockResolvedValue({ success: true, file: 'guide_business.md' });
+      const user = userEvent.setup();
+      renderPage();
+
+      const editor = await screen.findByLabelText('柱のプロンプト');
+      expect(editor).toHaveValue('テーマは「{{theme}}」');
+      expect(mockElectronAPI.prompts.load).toHaveBeenCalledWith('tokken', 'guide_business');
+      expect(screen.getByText(/同梱のテンプレート/)).toBeInTheDocument();
+
+      await user.type(editor, ' 価格は');
+      await user.click(screen.getByRole('button', { name: '{{price}}' }));
+      await user.click(within(editor.closest('section')).getByRole('button', { name: '保存' }));
+
+      expect(mockElectronAPI.prompts.save).toHaveBeenCalledWith('tokken', 'guide_business', 'テーマは「{{theme}}」 価格は{{price}}');
+      expect(await screen.findByText('guide_business.md を保存しました')).toBeInTheDocument();
+      expect(screen.getByText(/data\/prompts に保存済み/)).toBeInTheDocument();
+    });
+
+    it('選んだトピックで組み立てたプロンプトをプレビューする', async () => {
+      mockElectronAPI.prompts.preview.mockResolvedValue({
+        system: 'ベース\n\n## コンテンツ柱「ツアーガイド副業」の執筆方針\nテーマは「ガイドの価格設定」',
+        user: '次のトピックについて記事を書いてください：ガイドの価格設定',
+        unknown: ['tone'],
+      });
+      const user = userEvent.setup();
+      renderPage();
+      await screen.findByLabelText('柱のプロンプト');
+
+      // 柱のトピックが先頭に来る
+      await waitFor(() => expect(screen.getByLabelText('プレビューするトピック')).toHaveValue('2'));
+      await user.click(screen.getByRole('button', { name: 'プレビュー' }));
+
+      expect(mockElectronAPI.prompts.preview).toHaveBeenCalledWith('tokken', 2, {
+        pillarId: 'guide_business', template: 'テーマは「{{theme}}」',
+      });
+      expect(await screen.findByText(/テーマは「ガイドの価格設定」/)).toBeInTheDocument();
+      expect(screen.getByText('置き換えられない変数: {{tone}}')).toBeInTheDocument();
+    });
+  });
 });
@@ -0,0 +1,108 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ToastProvider } from '../../hooks/useToast';
+import TrendsPage from '../TrendsPage';
+
+const proposal = (id, theme, extra = {}) => ({
+  id,
+  pillar: 'guide_business',
+  theme,
+  keywords: ['価格設定', '集客'],
+  is_paid: true,
+  price: 900,
+  additional_instructions: '',
+  stats: { notes: 3, likes: 1926, avg_likes: 642, paid_ratio: 0.67 },
+  examples: [{ title: `${theme}の例`, url: `https://note.com/a/n/${id}`, likes: 1200, price: 0 }],
+  ...extra,
+});
+
+const LATEST = {
+  items: [{}, {}, {}, {}, {}],
+  proposals: [
+    proposal('p1', 'インバウンド向けツアーの価格設定'),
+    proposal('p2', 'ツアーガイドの英語フレーズ', { pushed: true }),
+  ],
+  scraped_at: '2026-03-01T00:00:00.000Z',
+};
+
+const mockElectronAPI = {
+  accounts: {
+    listActive: vi.fn(),
+  },
+  trends: {
+    scrape: vi.fn(),
+    import: vi.fn(),
+    latest: vi.fn(),
+    push: vi.fn(),
+  },
+  dialog: {
+    openFile: vi.fn(),
+  },
+};
+
+function renderPage() {
+  return render(
+    <ToastProvider>
+      <TrendsPage />
+    </ToastProvider>
+  );
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  window.electronAPI = mockElectronAPI;
+  mockElectronAPI.accounts.listActive.mockResolvedValue([
+    { id: 'tokken', display_name: 'とっけん', pillars: [{ id: 'guide_business', name: 'ガイド業' }] },
+  ]);
+  mockElectronAPI.trends.latest.mockResolvedValue(LATEST);
+});
+
+describe('TrendsPage', () => {
+  it('前回のテーマ案をピラー名と一緒に表示する', async () => {
+    renderPage();
+    expect(await screen.findByDisplayValue('インバウンド向けツアーの価格設定')).toBeInTheDocument();
+    expect(mockElectronAPI.trends.latest).toHaveBeenCalledWith('tokken');
+    expect(screen.getByText('5 件の記事から 2 件のテーマ案')).toBeInTheDocument();
+    expect(screen.getAllByText('柱: ガイド業')).toHaveLength(2);
+    expect(screen.getByText('追加済み')).toBeInTheDocument();
+    expect(screen.getByLabelText('ツアーガイドの英語フレーズ を選択')).toBeDisabled();
+  });
+
+  it('選んだソースでトレンドを取得する', async () => {
+    mockElectronAPI.trends.scrape.mockResolvedValue({ success: true, ...LATEST, errors: [{ url: 'x', error: '404' }] });
+    const user = userEvent.setup();
+    renderPage();
+    await screen.findByDisplayValue('インバウンド向けツアーの価格設定');
+
+    await user.click(screen.getByLabelText('検索'));
+    await user.click(screen.getByRole('button', { name: 'note からトレンドを取得' }));
+
+    expect(mockElectronAPI.trends.scrape).toHaveBeenCalledWith('tokken', { sources: ['hashtag', 'ranking'] });
+    expect(await screen.findByText(/トレンド取得: 5 件の記事から 2 件のテーマ案（取得失敗 1 ページ）/)).toBeInTheDocument();
+  });
+
+  it('編集したテーマ案をシートに追加する', async () => {
+    mockElectronAPI.trends.push.mockResolvedValue({ success: true, added: 1, pushed: ['p1'], errors: [] });
+    const user = userEvent.setup();
+    renderPage();
+    const themeInput = await screen.findByDisplayValue('インバウンド向けツアーの価格設定');
+
+    await user.clear(themeInput);
+    await user.type(themeInput, '副業ガイドの価格設定');
+    await user.click(screen.getByLabelText('副業ガイドの価格設定 を選択'));
+    await user.click(screen.getByRole('button', { name: '選んだテーマをシートに追加 (1)' }));
+
+    expect(mockElectronAPI.trends.push).toHaveBeenCalledWith('tokken', [
+      expect.objectContaining({ id: 'p1', theme: '副業ガイドの価格設定' }),
+    ]);
+    expect(await screen.findByText('1 件のテーマをシートに追加しました')).toBeInTheDocument();
+    await waitFor(() => expect(screen.getAllByText('追加済み')).toHaveLength(2));
+  });
+
+  it('結果が無ければ案内を表示する', async () => {
+    mockElectronAPI.trends.latest.mockResolvedValue(null);
+    renderPage();
+    expect(await screen.findByText(/ピラーのキーワードで note の一覧ページを取得すると/)).toBeInTheDocument();
+  });
+});